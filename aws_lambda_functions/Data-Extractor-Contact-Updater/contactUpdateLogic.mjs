@@ -1,4 +1,5 @@
 // Path: contactUpdateLogic.mjs
+import { normalizeFieldValue } from './valueNormalizer.mjs';
 
 /**
  * @typedef {Object} GHLContact
@@ -30,6 +31,7 @@
  * @property {string} target_ghl_key
  * @property {string} [field_key]
  * @property {string} field_type
+ * @property {any[]} [picklist_options]
  * @property {string} [overwrite_policy]
  * @property {Object} [original_ghl_field_data]
  */
@@ -88,17 +90,53 @@ function isStandardField(field) {
     }
   }
   
+  /**
+   * Checks whether a contact value counts as empty for the 'only_empty' and 'ask' policies.
+   * @param {any} value - The current value on the contact.
+   * @returns {boolean} True for null, undefined, empty strings and empty arrays.
+   */
+  function isEmptyValue(value) {
+    return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+  }
+
+  /**
+   * @typedef {Object} FieldReview
+   * @property {string} fieldKey - The extracted data key.
+   * @property {ExtractionField} field - The field configuration.
+   * @property {any} currentValue - The value on the contact.
+   * @property {any} proposedValue - The extracted value waiting for review.
+   * @property {string} reason - 'overwrite_policy' for the 'ask' policy or 'low_confidence' for values below the field's min_confidence.
+   */
+
+  /**
+   * @typedef {Object} FieldChange
+   * @property {string} fieldKey - The extracted data key.
+   * @property {ExtractionField | null} field - The field configuration, if one matched.
+   * @property {any} previousValue - The value on the contact before the update.
+   * @property {any} newValue - The value written, proposed or rejected.
+   * @property {string} decision - written, skipped_by_policy, review, rejected, skipped_empty or skipped_unconfigured.
+   * @property {string} [reason] - Why the value was not written, when known.
+   */
+
   /**
    * Prepares the payload for updating a GHL contact based on extracted data and overwrite policies.
+   * Fields with the 'ask' policy that would replace existing data, and the low-confidence keys in
+   * `forceReview`, are returned in `reviewFields` instead of the payload, for the caller to queue
+   * in pending_field_reviews.
    * @param {GHLContact} existingContact - The current GHL contact data.
    * @param {Object.<string, any>} extractedData - The data extracted by OpenAI.
    * @param {ExtractionField[]} extractionFields - The configuration for data extraction fields.
-   * @returns {{updatePayload: Object, updatedFields: string[], skippedFields: string[]}} The prepared update payload and lists of updated/skipped fields.
+   * @param {string | null} [country] - The location's default_country, for phone numbers and numeric dates.
+   * @param {string[]} [forceReview] - Keys the extraction found below their field's min_confidence; these go to review even when the field is empty.
+   * @returns {{updatePayload: Object, updatedFields: string[], skippedFields: string[], rejectedFields: Array<{field: string, value: any, reason: string}>, reviewFields: FieldReview[], fieldChanges: FieldChange[]}} The prepared update payload, lists of updated/skipped/rejected fields, the changes needing review and every key's decision for the extraction history.
    */
-  export function prepareUpdatePayload(existingContact, extractedData, extractionFields) {
+  export function prepareUpdatePayload(existingContact, extractedData, extractionFields, country = null, forceReview = []) {
     const updatePayload = {};
     const updatedFields = [];
     const skippedFields = [];
+    const rejectedFields = [];
+    const reviewFields = [];
+    const fieldChanges = [];
   
     // Initialize customFields array if needed
     // This will be added to updatePayload only if custom fields are actually updated
@@ -136,15 +174,16 @@ function isStandardField(field) {
     }
   
     // Process each extracted field
-    for (const [extractedKey, newValue] of Object.entries(extractedData)) {
+    for (const [extractedKey, extractedValue] of Object.entries(extractedData)) {
       // Skip empty values from extracted data
-      if (newValue === null || newValue === undefined || newValue === '') {
+      if (extractedValue === null || extractedValue === undefined || extractedValue === '') {
         console.log(`Skipping empty value for field ${extractedKey}`);
         skippedFields.push(extractedKey);
+        fieldChanges.push({ fieldKey: extractedKey, field: null, previousValue: null, newValue: null, decision: 'skipped_empty' });
         continue;
       }
   
-      console.log(`Processing extracted field: ${extractedKey} with value: ${newValue}`);
+      console.log(`Processing extracted field: ${extractedKey} with value: ${extractedValue}`);
   
       // Get field configuration using the extracted key
       const fieldConfig = fieldsMap.get(extractedKey);
@@ -152,8 +191,19 @@ function isStandardField(field) {
       if (!fieldConfig) {
         console.log(`No field configuration found for extracted key "${extractedKey}", skipping.`);
         skippedFields.push(extractedKey);
+        fieldChanges.push({ fieldKey: extractedKey, field: null, previousValue: null, newValue: extractedValue, decision: 'skipped_unconfigured' });
         continue;
       }
+
+      // Coerce the value to what GHL expects for the field type, or reject it
+      const normalized = normalizeFieldValue(fieldConfig, extractedValue, { country: country || undefined });
+      if (!normalized.ok) {
+        console.log(`❌ Rejected "${extractedKey}": ${normalized.reason} (got ${JSON.stringify(extractedValue)})`);
+        rejectedFields.push({ field: extractedKey, value: extractedValue, reason: normalized.reason });
+        fieldChanges.push({ fieldKey: extractedKey, field: fieldConfig, previousValue: null, newValue: extractedValue, decision: 'rejected', reason: normalized.reason });
+        continue;
+      }
+      const newValue = normalized.value;
   
       const isStandard = isStandardField(fieldConfig);
       const fieldName = fieldConfig.field_name || extractedKey;
@@ -171,6 +221,20 @@ function isStandardField(field) {
         currentValue = existingCustomFieldsMap.get(targetGHLKey);
         console.log(`Custom field "${extractedKey}" (ID: "${targetGHLKey}"):`, { current: currentValue, new: newValue, policy });
       }
+      const previousValue = currentValue ?? null;
+
+      // Low-confidence values go to review even when the field is empty
+      if (forceReview.includes(extractedKey)) {
+        if (JSON.stringify(currentValue) === JSON.stringify(newValue)) {
+          skippedFields.push(extractedKey);
+          fieldChanges.push({ fieldKey: extractedKey, field: fieldConfig, previousValue, newValue, decision: 'skipped_by_policy', reason: 'Value unchanged' });
+        } else {
+          console.log(`📝 Queueing "${fieldName}" (key: "${extractedKey}") for review: below minimum confidence`);
+          reviewFields.push({ fieldKey: extractedKey, field: fieldConfig, currentValue, proposedValue: newValue, reason: 'low_confidence' });
+          fieldChanges.push({ fieldKey: extractedKey, field: fieldConfig, previousValue, newValue, decision: 'review', reason: 'Below minimum confidence' });
+        }
+        continue;
+      }
   
       // Apply overwrite policy
       let shouldUpdate = false;
@@ -178,14 +242,26 @@ function isStandardField(field) {
         case 'always':
           shouldUpdate = true;
           break;
+        case 'only_empty':
         case 'if_empty':
           // Consider empty if null, undefined, empty string, or empty array for tags
-          shouldUpdate = (currentValue === null || currentValue === undefined || currentValue === '' || (Array.isArray(currentValue) && currentValue.length === 0));
+          shouldUpdate = isEmptyValue(currentValue);
           break;
         case 'never':
           shouldUpdate = false;
           break;
-        default: // 'ask' or any other unknown policy defaults to 'always' for update purposes
+        case 'ask':
+          // Filling an empty field needs no review; replacing existing data does
+          if (isEmptyValue(currentValue)) {
+            shouldUpdate = true;
+          } else if (JSON.stringify(currentValue) !== JSON.stringify(newValue)) {
+            console.log(`📝 Queueing "${fieldName}" (key: "${extractedKey}") for review: ${JSON.stringify(currentValue)} → ${JSON.stringify(newValue)}`);
+            reviewFields.push({ fieldKey: extractedKey, field: fieldConfig, currentValue, proposedValue: newValue, reason: 'overwrite_policy' });
+            fieldChanges.push({ fieldKey: extractedKey, field: fieldConfig, previousValue, newValue, decision: 'review', reason: 'Overwrite policy: ask' });
+            continue;
+          }
+          break;
+        default: // Any other unknown policy defaults to 'always' for update purposes
           shouldUpdate = true;
           break;
       }
@@ -193,6 +269,7 @@ function isStandardField(field) {
       if (!shouldUpdate) {
         console.log(`⏭️ Skipping "${fieldName}" (key: "${extractedKey}") due to overwrite policy: "${policy}"`);
         skippedFields.push(extractedKey);
+        fieldChanges.push({ fieldKey: extractedKey, field: fieldConfig, previousValue, newValue, decision: 'skipped_by_policy', reason: `Overwrite policy: ${policy}` });
         continue;
       }
   
@@ -211,6 +288,13 @@ function isStandardField(field) {
         }
         console.log(`✅ Will update standard field "${ghlStandardKey}": ${JSON.stringify(currentValue)} → ${JSON.stringify(newValue)}`);
         updatedFields.push(extractedKey);
+        fieldChanges.push({
+          fieldKey: extractedKey,
+          field: fieldConfig,
+          previousValue,
+          newValue: ghlStandardKey === 'tags' ? updatePayload.tags : newValue,
+          decision: 'written'
+        });
       } else {
         // Custom field
         customFieldsToUpdate.push({
@@ -219,6 +303,7 @@ function isStandardField(field) {
         });
         console.log(`✅ Will update custom field "${targetGHLKey}" ("${fieldName}"): ${JSON.stringify(currentValue)} → ${JSON.stringify(newValue)}`);
         updatedFields.push(extractedKey);
+        fieldChanges.push({ fieldKey: extractedKey, field: fieldConfig, previousValue, newValue, decision: 'written' });
       }
     }
   
@@ -233,11 +318,16 @@ function isStandardField(field) {
     console.log('Custom fields count:', updatePayload.customFields?.length || 0);
     console.log('Updated fields (from extracted data keys):', updatedFields);
     console.log('Skipped fields (from extracted data keys):', skippedFields);
+    console.log('Rejected fields (failed normalization):', rejectedFields);
+    console.log('Fields queued for review:', reviewFields.map((r) => r.fieldKey));
     console.log('=== END FINAL UPDATE PAYLOAD PREPARED ===');
   
     return {
       updatePayload,
       updatedFields,
-      skippedFields
+      skippedFields,
+      rejectedFields,
+      reviewFields,
+      fieldChanges
     };
   }
\ No newline at end of file
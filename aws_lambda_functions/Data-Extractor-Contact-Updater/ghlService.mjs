@@ -1,6 +1,9 @@
 // Path: ghlService.mjs
 
 import { getSupabaseClient } from './supabaseClient.mjs'; // Adjusted path
+import { buildNotificationDeliveries } from './notificationRules.mjs';
+import { decryptGhlTokens, hasEncryptedGhlTokens, loadKeyring } from './secretEncryption.mjs';
+import { getEncryptionSecrets } from './secrets.mjs';
 
 // --- CRITICAL CHANGE FOR X-RAY SDK IMPORT ---
 let AWSXRay;
@@ -15,13 +18,19 @@ try {
 // --- END CRITICAL CHANGE ---
 
 const GHL_API_DOMAIN = process.env.GHL_API_DOMAIN || 'https://services.leadconnectorhq.com';
+// Messages stored with a review so the reviewer can see where the value came from
+const REVIEW_EXCERPT_MESSAGES = 10;
+
+let keyringPromise = null; // Master keys, loaded once for warm starts
 
 /**
  * @typedef {Object} GHLConfiguration
  * @property {string} id
- * @property {string} access_token
+ * @property {string} access_token - Decrypted.
  * @property {string} ghl_account_id
  * @property {string} business_name
+ * @property {string | null} default_country
+ * @property {'live' | 'shadow'} extraction_mode
  */
 
 /**
@@ -45,7 +54,9 @@ export async function getGHLConfiguration(supabase, locationId) {
             id,
             access_token,
             ghl_account_id,
-            business_name
+            business_name,
+            default_country,
+            extraction_mode
           `) // Removed refresh_token, token_expires_at as they are not used
           .eq('ghl_account_id', locationId)
           .eq('is_active', true)
@@ -70,7 +81,9 @@ export async function getGHLConfiguration(supabase, locationId) {
         id,
         access_token,
         ghl_account_id,
-        business_name
+        business_name,
+        default_country,
+        extraction_mode
       `) // Removed refresh_token, token_expires_at
       .eq('ghl_account_id', locationId)
       .eq('is_active', true)
@@ -95,7 +108,12 @@ export async function getGHLConfiguration(supabase, locationId) {
     hasAccessToken: !!data.access_token
   });
 
-  return data;
+  // Tokens are stored encrypted; ones saved before encryption are plain text and need no keys
+  if (hasEncryptedGhlTokens(data) && !keyringPromise) {
+    keyringPromise = getEncryptionSecrets()
+      .then((secrets) => loadKeyring(secrets.ENCRYPTION_MASTER_KEYS, secrets.ENCRYPTION_MASTER_KEY_ID));
+  }
+  return decryptGhlTokens(data, hasEncryptedGhlTokens(data) ? await keyringPromise : null);
 }
 
 /**
@@ -105,6 +123,7 @@ export async function getGHLConfiguration(supabase, locationId) {
  * @property {string} target_ghl_key
  * @property {string} [field_key]
  * @property {string} field_type
+ * @property {any[]} [picklist_options]
  * @property {string} [overwrite_policy]
  * @property {Object} [original_ghl_field_data]
  */
@@ -132,6 +151,7 @@ export async function getExtractionFields(supabase, configId) {
             target_ghl_key,
             field_key,
             field_type,
+            picklist_options,
             overwrite_policy,
             original_ghl_field_data
           `)
@@ -159,6 +179,7 @@ export async function getExtractionFields(supabase, configId) {
         target_ghl_key,
         field_key,
         field_type,
+        picklist_options,
         overwrite_policy,
         original_ghl_field_data
       `)
@@ -396,4 +417,177 @@ export async function updateGHLContact(accessToken, contactId, payload) {
       error: error.message
     };
   }
-}
\ No newline at end of file
+}
+/**
+ * Stores 'ask' policy and low-confidence changes in pending_field_reviews together with the latest conversation
+ * messages, superseding any proposal for the same contact field that is still waiting.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - The Supabase client instance.
+ * @param {{configId: string, locationId: string, contactId: string, conversationId?: string, fieldEvidence?: Object}} context - Where the changes came from, and the extraction's evidence by key.
+ * @param {import('./contactUpdateLogic.mjs').FieldReview[]} reviewFields - Changes returned by prepareUpdatePayload.
+ * @returns {Promise<void>}
+ */
+export async function queueFieldReviews(supabase, context, reviewFields) {
+  const { configId, locationId, contactId, conversationId, fieldEvidence } = context;
+  let conversationExcerpt = [];
+
+  if (conversationId) {
+    const { data: messages, error: messagesError } = await supabase
+      .from('ghl_conversations')
+      .select('direction, body, message_type, date_added')
+      .eq('conversation_id', conversationId)
+      .not('body', 'is', null)
+      .order('date_added', { ascending: false })
+      .limit(REVIEW_EXCERPT_MESSAGES);
+
+    if (messagesError) {
+      console.warn('Failed to load conversation excerpt for review:', messagesError);
+    } else {
+      conversationExcerpt = (messages || []).reverse();
+    }
+  }
+
+  for (const review of reviewFields) {
+    const evidence = fieldEvidence?.[review.fieldKey] || null;
+
+    const { error: supersedeError } = await supabase
+      .from('pending_field_reviews')
+      .update({ status: 'superseded' })
+      .eq('contact_id', contactId)
+      .eq('target_ghl_key', review.field.target_ghl_key)
+      .eq('status', 'pending');
+
+    if (supersedeError) {
+      throw new Error(`Failed to supersede pending review for ${review.fieldKey}: ${supersedeError.message}`);
+    }
+
+    const { error: insertError } = await supabase
+      .from('pending_field_reviews')
+      .insert({
+        location_id: locationId,
+        config_id: configId,
+        extraction_field_id: review.field.id,
+        contact_id: contactId,
+        conversation_id: conversationId || null,
+        field_name: review.field.field_name,
+        target_ghl_key: review.field.target_ghl_key,
+        field_type: review.field.field_type,
+        current_value: review.currentValue ?? null,
+        proposed_value: review.proposedValue,
+        conversation_excerpt: conversationExcerpt,
+        review_reason: review.reason,
+        confidence: evidence?.confidence ?? null,
+        evidence
+      });
+
+    if (insertError) {
+      throw new Error(`Failed to queue review for ${review.fieldKey}: ${insertError.message}`);
+    }
+  }
+
+  console.log(`✅ Queued ${reviewFields.length} field(s) for review`);
+}
+
+/**
+ * Stores an update run in extraction_results with one extraction_result_fields row per key,
+ * so each write can be traced and rolled back from the log viewer. Best effort: the contact
+ * is already updated, so failures are logged instead of thrown.
+ * @param {Object} supabase - The Supabase client instance.
+ * @param {{configId: string, locationId: string, contactId: string, conversationId?: string, usageLogId?: string}} context - Where the values were written.
+ * @param {import('./contactUpdateLogic.mjs').FieldChange[]} fieldChanges - Per-key decisions from prepareUpdatePayload.
+ * @param {'applied' | 'no_changes' | 'failed' | 'shadow'} status - Outcome of the GHL update.
+ * @param {string | null} [errorMessage] - Why the GHL update failed.
+ * @returns {Promise<string | null>} The extraction_results id, or null if it could not be stored.
+ */
+export async function recordExtractionResult(supabase, context, fieldChanges, status, errorMessage = null) {
+  const { configId, locationId, contactId, conversationId, usageLogId } = context;
+
+  try {
+    const { data: result, error: resultError } = await supabase
+      .from('extraction_results')
+      .insert({
+        location_id: locationId,
+        config_id: configId,
+        contact_id: contactId,
+        conversation_id: conversationId || null,
+        usage_log_id: usageLogId || null,
+        source: 'extraction',
+        status,
+        error_message: errorMessage
+      })
+      .select('id')
+      .single();
+
+    if (resultError) {
+      throw new Error(resultError.message);
+    }
+
+    if (fieldChanges.length > 0) {
+      const { error: fieldsError } = await supabase
+        .from('extraction_result_fields')
+        .insert(fieldChanges.map((change) => ({
+          result_id: result.id,
+          location_id: locationId,
+          extraction_field_id: change.field?.id || null,
+          field_key: change.fieldKey,
+          target_ghl_key: change.field?.target_ghl_key || null,
+          field_name: change.field?.field_name || null,
+          previous_value: change.previousValue ?? null,
+          new_value: change.newValue ?? null,
+          decision: change.decision,
+          reason: change.reason || null
+        })));
+
+      if (fieldsError) {
+        throw new Error(fieldsError.message);
+      }
+    }
+
+    console.log(`✅ Recorded extraction result ${result.id} (${status})`);
+    return result.id;
+  } catch (error) {
+    console.warn('Failed to record extraction history:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Queues a notification_deliveries row for every active notification rule the written values
+ * fire. The process-notifications function sends them on its schedule. Best effort, like the history.
+ * @param {Object} supabase - The Supabase client instance.
+ * @param {{configId: string, locationId: string, contactId: string, conversationId?: string}} context - Where the values were written.
+ * @param {import('./contactUpdateLogic.mjs').FieldChange[]} fieldChanges - Per-key decisions from prepareUpdatePayload.
+ * @param {string | null} extractionResultId - The extraction_results row of the update.
+ * @returns {Promise<number>} How many notifications were queued.
+ */
+export async function queueNotifications(supabase, context, fieldChanges, extractionResultId) {
+  try {
+    const { data: triggers, error: triggersError } = await supabase
+      .from('notification_triggers')
+      .select('*')
+      .eq('config_id', context.configId)
+      .eq('is_active', true);
+
+    if (triggersError) {
+      throw new Error(triggersError.message);
+    }
+
+    const deliveries = buildNotificationDeliveries(triggers || [], fieldChanges, { ...context, extractionResultId });
+    if (deliveries.length === 0) {
+      return 0;
+    }
+
+    const { error: insertError } = await supabase
+      .from('notification_deliveries')
+      .insert(deliveries);
+
+    if (insertError) {
+      throw new Error(insertError.message);
+    }
+
+    console.log(`✅ Queued ${deliveries.length} notification(s):`, deliveries.map((d) => d.trigger_name));
+    return deliveries.length;
+  } catch (error) {
+    console.warn('Failed to queue notifications:', error.message);
+    return 0;
+  }
+}
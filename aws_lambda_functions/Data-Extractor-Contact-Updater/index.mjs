@@ -6,7 +6,10 @@ import {
   getGHLConfiguration,
   getExtractionFields,
   getGHLContact,
-  updateGHLContact
+  updateGHLContact,
+  queueFieldReviews,
+  recordExtractionResult,
+  queueNotifications
 } from './ghlService.mjs';
 import { prepareUpdatePayload } from './contactUpdateLogic.mjs';
 
@@ -72,7 +75,7 @@ const _handler = async (event) => {
     // For direct Lambda invocation, the event itself is the payload
     const requestBody = event;
 
-    const { ghl_contact_id, location_id, conversation_id, extracted_data } = requestBody;
+    const { ghl_contact_id, location_id, conversation_id, extracted_data, force_review, field_evidence, usage_log_id } = requestBody;
 
     // --- X-Ray: Add Annotations for Searchability ---
     if (currentSegment) {
@@ -151,16 +154,62 @@ const _handler = async (event) => {
 
     // Step 5: Prepare update payload
     console.log('Step 5: Preparing update payload...');
-    const updateResult = prepareUpdatePayload(existingContact, extracted_data, extractionFields);
+    const updateResult = prepareUpdatePayload(existingContact, extracted_data, extractionFields, ghlConfig.default_country, force_review || []);
+
+    const historyContext = {
+      configId: ghlConfig.id,
+      locationId: location_id,
+      contactId: ghl_contact_id,
+      conversationId: conversation_id,
+      usageLogId: usage_log_id
+    };
+
+    // A location in shadow mode records what would be written and stops there:
+    // no GHL update, no review items and no notifications
+    if (ghlConfig.extraction_mode === 'shadow') {
+      console.log('Shadow mode: recording the planned update without writing to GHL');
+      const extractionResultId = await recordExtractionResult(supabase, historyContext, updateResult.fieldChanges, 'shadow');
+      return {
+        success: true,
+        shadow: true,
+        message: "Location is in shadow mode; the update was recorded but not sent to GHL",
+        contact_id: ghl_contact_id,
+        location_id: location_id,
+        updated_fields: [],
+        planned_fields: updateResult.updatedFields,
+        skipped_fields: updateResult.skippedFields,
+        rejected_fields: updateResult.rejectedFields,
+        review_fields: updateResult.reviewFields.map((r) => r.fieldKey),
+        extraction_result_id: extractionResultId,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    // Fields with the 'ask' policy wait in the review inbox instead of overwriting the contact
+    if (updateResult.reviewFields.length > 0) {
+      console.log('Queueing fields for review:', updateResult.reviewFields.map((r) => r.fieldKey));
+      await queueFieldReviews(supabase, {
+        configId: ghlConfig.id,
+        locationId: location_id,
+        contactId: ghl_contact_id,
+        conversationId: conversation_id,
+        fieldEvidence: field_evidence
+      }, updateResult.reviewFields);
+    }
+    const reviewFieldKeys = updateResult.reviewFields.map((r) => r.fieldKey);
 
     if (Object.keys(updateResult.updatePayload).length === 0) {
       console.log('No fields were determined to be updated based on policies.');
+      const extractionResultId = await recordExtractionResult(supabase, historyContext, updateResult.fieldChanges, 'no_changes');
       return {
         success: true,
         message: "No fields were updated due to overwrite policies",
         contact_id: ghl_contact_id,
         location_id: location_id,
         skipped_fields: updateResult.skippedFields,
+        rejected_fields: updateResult.rejectedFields,
+        review_fields: reviewFieldKeys,
+        extraction_result_id: extractionResultId,
         updated_fields: []
       };
     }
@@ -207,6 +256,7 @@ const _handler = async (event) => {
 
     if (!ghlUpdateResult.success) {
       console.error("GHL Update Error: Failed to update contact in GHL.");
+      await recordExtractionResult(supabase, historyContext, updateResult.fieldChanges, 'failed', ghlUpdateResult.error);
       return {
         success: false,
         error: "Failed to update contact in GHL",
@@ -216,12 +266,17 @@ const _handler = async (event) => {
     }
 
     console.log('✅ Contact updated successfully');
+    const extractionResultId = await recordExtractionResult(supabase, historyContext, updateResult.fieldChanges, 'applied');
+    await queueNotifications(supabase, historyContext, updateResult.fieldChanges, extractionResultId);
     return {
       success: true,
       contact_id: ghl_contact_id,
       location_id: location_id,
       updated_fields: updateResult.updatedFields,
       skipped_fields: updateResult.skippedFields,
+      rejected_fields: updateResult.rejectedFields,
+      review_fields: reviewFieldKeys,
+      extraction_result_id: extractionResultId,
       ghl_response: ghlUpdateResult.ghlResponse,
       timestamp: new Date().toISOString()
     };
@@ -5,6 +5,7 @@ import { SecretsManagerClient, GetSecretValueCommand } from "@aws-sdk/client-sec
 // These global variables will cache the secrets after the first fetch (on a cold start)
 let SUPABASE_PROJECT_URL;
 let SUPABASE_SERVICE_ROLE_SECRET;
+let ENCRYPTION_SECRETS;
 
 // These environment variables tell the function WHERE to find the secret, not what the secret is.
 const SECRET_NAME = process.env.SECRET_NAME || "SUPABASE_DATA_EXTRACTOR"; // Ensure this matches your secret name
@@ -63,4 +64,34 @@ export function getAppSecrets() {
     SUPABASE_PROJECT_URL,
     SUPABASE_SERVICE_ROLE_SECRET
   };
+}
+
+/**
+ * Fetches the master keys that encrypt GHL tokens stored in Supabase, from the secret named by
+ * ENCRYPTION_SECRET_NAME. Cached for the container's lifetime like the Supabase secrets.
+ * @returns {Promise<Object>} An object containing ENCRYPTION_MASTER_KEYS and, optionally, ENCRYPTION_MASTER_KEY_ID.
+ */
+export async function getEncryptionSecrets() {
+  if (ENCRYPTION_SECRETS) {
+    return ENCRYPTION_SECRETS;
+  }
+
+  const secretName = process.env.ENCRYPTION_SECRET_NAME;
+  if (!secretName) {
+    throw new Error("Environment variable ENCRYPTION_SECRET_NAME is not set.");
+  }
+
+  console.log(`Fetching encryption keys from Secrets Manager: ${secretName} in ${AWS_REGION}`);
+  const response = await secretsClient.send(
+    new GetSecretValueCommand({
+      SecretId: secretName,
+      VersionStage: "AWSCURRENT",
+    })
+  );
+
+  if (!response.SecretString) {
+    throw new Error("SecretString from Secrets Manager is empty.");
+  }
+  ENCRYPTION_SECRETS = JSON.parse(response.SecretString);
+  return ENCRYPTION_SECRETS;
 }
\ No newline at end of file
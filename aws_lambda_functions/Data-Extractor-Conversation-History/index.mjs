@@ -88,7 +88,7 @@ const _handler = async (event) => {
                         .select('direction, body, date_added, location_id, contact_id')
                         .eq('conversation_id', conversationId)
                         .not('body', 'is', null)
-                        .order('date_added', { ascending: true })
+                        .order('date_added', { ascending: false }) // newest first, so long threads keep their latest turns
                         .limit(50);
                     
                     // FIX: Add location_id to the query if available
@@ -120,7 +120,7 @@ const _handler = async (event) => {
                 .select('direction, body, date_added, location_id, contact_id')
                 .eq('conversation_id', conversationId)
                 .not('body', 'is', null)
-                .order('date_added', { ascending: true })
+                .order('date_added', { ascending: false }) // newest first, so long threads keep their latest turns
                 .limit(50);
             
             // FIX: Add location_id to the query if available
@@ -154,6 +154,9 @@ const _handler = async (event) => {
 
         console.log(`Found ${messages.length} messages.`);
 
+        // Back to chronological order for the transcript
+        messages = [...messages].reverse();
+
         const formattedMessages = messages.map(msg => ({
             role: msg.direction === 'inbound' ? 'user' : 'assistant',
             content: msg.body || ''
@@ -162,7 +165,7 @@ const _handler = async (event) => {
         const transcript = formattedMessages.map(msg => `${msg.role}: ${msg.content}`).join('\n');
 
         // Use the location_id from the first message if available, otherwise from the event
-        const locationId = messages[0]?.location_id || locationIdFromEvent || null;
+        const locationId = messages[messages.length - 1]?.location_id || locationIdFromEvent || null;
         const contactId = messages[0]?.contact_id || null;
 
         // --- X-Ray: Add more Annotations once data is available ---
@@ -5,6 +5,7 @@ import {
   getExtractionFields,
   getContextualRules,
   getStopTriggers,
+  recordPromptVersion,
   getSupabaseClient // <-- Ensure getSupabaseClient is exported
 } from './supabaseClient.mjs'; // Updated import if getSupabaseClient isn't directly exposed by default
 import {
@@ -203,6 +204,13 @@ export const handler = async (event) => {
 
     console.log('✅ AI prompt generated successfully');
     console.log('Prompt length:', prompt.length, 'characters');
+
+    // Step 6: Recording prompt version...
+    console.log('Step 6: Recording prompt version...');
+    if (!supabase) {
+        supabase = await getSupabaseClient();
+    }
+    const promptVersionId = await recordPromptVersion(supabase, ghlConfig.id, prompt);
     console.log('Summary:');
     console.log('- Business:', ghlConfig.business_name);
     console.log('- Extraction fields:', extractionFields.length);
@@ -238,6 +246,7 @@ export const handler = async (event) => {
       success: true,
       locationId,
       prompt,
+      promptVersionId,
       metadata: {
         businessName: ghlConfig.business_name,
         businessDescription: ghlConfig.business_description,
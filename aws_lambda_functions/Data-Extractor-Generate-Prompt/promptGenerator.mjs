@@ -58,7 +58,7 @@ export function generatePromptWithSeparatedFields({ ghlConfig, extractionFields,
 
   // Consolidate business context and relevant contextual rules
   let contextSection = '';
-  if (ghlConfig.business_description || ghlConfig.business_context || ghlConfig.services_offered) {
+  if (ghlConfig.business_description || ghlConfig.business_context || ghlConfig.services_offered || ghlConfig.target_audience) {
     contextSection += `Business Context:\\n`;
     if (ghlConfig.business_description) {
       contextSection += `- Business: ${ghlConfig.business_description}\\n`;
@@ -66,6 +66,9 @@ export function generatePromptWithSeparatedFields({ ghlConfig, extractionFields,
     if (ghlConfig.services_offered) {
       contextSection += `- Services: ${ghlConfig.services_offered}\\n`;
     }
+    if (ghlConfig.target_audience) {
+      contextSection += `- Customers: ${ghlConfig.target_audience}\\n`;
+    }
     if (ghlConfig.business_context) {
       contextSection += `- Context: ${ghlConfig.business_context}\\n`;
     }
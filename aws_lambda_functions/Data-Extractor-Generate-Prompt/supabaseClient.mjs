@@ -148,7 +148,7 @@ export async function getContextualRules(supabase, configId) { // <-- Added supa
   const operation = async (subsegment) => {
     try {
       console.log('Fetching contextual rules for config:', configId);
-      const { data, error } = await supabase.from('contextual_rules').select('rule_name, rule_description, rule_type, rule_value, is_active').eq('config_id', configId).eq('is_active', true);
+      const { data, error } = await supabase.from('contextual_rules').select('rule_name, rule_description, rule_type, rule_value, is_active').eq('config_id', configId).eq('is_active', true).order('sort_order', { ascending: true });
 
       if (error) {
         if (subsegment) subsegment.addError(error);
@@ -194,4 +194,28 @@ export async function getStopTriggers(supabase, configId) { // <-- Added supabas
   } else {
       return operation(null);
   }
-}
\ No newline at end of file
+}
+// Returns the prompt_versions id for this prompt and the configuration it was built from.
+// Errors are logged, not thrown: the extraction still runs, just without a version.
+export async function recordPromptVersion(supabase, configId, prompt) {
+  const operation = async (subsegment) => {
+    const { data, error } = await supabase.rpc('record_prompt_version', {
+      p_config_id: configId,
+      p_prompt: prompt
+    });
+
+    if (error) {
+      if (subsegment) subsegment.addError(error);
+      console.error('Error recording prompt version:', error);
+      return null;
+    }
+    console.log('✅ Prompt version:', data);
+    return data;
+  };
+
+  if (AWSXRay && AWSXRay.captureAsyncFunc) {
+      return AWSXRay.captureAsyncFunc('Supabase - recordPromptVersion', operation);
+  } else {
+      return operation(null);
+  }
+}
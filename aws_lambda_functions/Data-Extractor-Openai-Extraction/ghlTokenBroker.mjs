@@ -0,0 +1,283 @@
+// The one place GHL access tokens are refreshed. Used by the edge functions through
+// _shared/ghl-tokens.ts and by the Data-Extractor-Openai-Extraction Lambda, whose copy at
+// aws_lambda_functions/Data-Extractor-Openai-Extraction/ghlTokenBroker.mjs is a verbatim
+// copy of this file; edit here and copy it over.
+//
+// Runtime-neutral like secret-encryption.mjs: plain ESM, no imports. The caller passes in
+// the OAuth client credentials and how to decrypt and encrypt the stored tokens.
+//
+// GHL rotates the refresh token on every refresh, so two refreshes of one configuration
+// racing each other leave one of them with a dead refresh token. A refresh therefore holds
+// a lease on the configuration (claim_ghl_token_refresh); anyone else who finds the token
+// due waits for the lease to be released and uses the token the holder stored. When GHL
+// rejects the refresh token the configuration is marked needs_reauth and an audit entry is
+// written; the app then asks the user to reconnect, and nothing tries to refresh it again
+// until new tokens are stored by a reinstall.
+
+const DEFAULT_REFRESH_WITHIN_SECONDS = 3600;
+const LEASE_SECONDS = 30;
+const WAIT_SECONDS = 20;
+const POLL_INTERVAL_MS = 500;
+const REFRESH_TIMEOUT_MS = 15000;
+
+const CONFIG_COLUMNS = 'id, ghl_account_id, access_token, refresh_token, token_expires_at, token_is_placeholder, needs_reauth';
+
+/**
+ * Why a token could not be handed back. `status` follows HTTP, so callers can pass it on:
+ * 401 when the configuration needs reconnecting, GHL's own status (or none, for network
+ * errors) when the refresh failed in a way worth retrying, 503 when another refresh held
+ * the lease for too long.
+ */
+export class GhlTokenError extends Error {
+  constructor(message, status, code, retryAfter = null) {
+    super(message);
+    this.name = 'GhlTokenError';
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * @typedef {Object} TokenBrokerOptions
+ * @property {string} clientId - GHL marketplace app client id.
+ * @property {string} clientSecret - GHL marketplace app client secret.
+ * @property {string} [apiDomain] - Defaults to https://services.leadconnectorhq.com.
+ * @property {(row: object) => Promise<object>} readTokens - Decrypts a ghl_configurations row's tokens.
+ * @property {(configId: string, tokens: object) => Promise<object>} tokenColumns - Encrypts tokens for storing.
+ */
+
+/**
+ * @typedef {Object} FreshTokens
+ * @property {string} access_token
+ * @property {string|null} token_expires_at
+ * @property {boolean} refreshed - Whether this call refreshed the token (rather than finding it fresh).
+ * @property {object|null} tokenData - GHL's refresh response when refreshed, e.g. for companyId.
+ */
+
+/**
+ * Hands back an access token for a configuration that stays valid for at least
+ * `refreshWithinSeconds`, refreshing it first if needed.
+ * @param {object} supabase - A Supabase client with the service role.
+ * @param {object} config - The configuration as the caller has it: id, and its decrypted
+ *   access_token and token_expires_at if selected. Only read again if a refresh looks due.
+ * @param {TokenBrokerOptions} options
+ * @param {Object} [request]
+ * @param {number} [request.refreshWithinSeconds] - Refresh tokens expiring sooner than this; default an hour.
+ * @param {string} [request.rejectedToken] - A token GHL just answered 401 to. It is refreshed
+ *   whatever its expiry, unless the stored token has already moved on from it.
+ * @returns {Promise<FreshTokens>}
+ */
+export async function ensureFreshGhlTokens(supabase, config, options, request = {}) {
+  const refreshWithinSeconds = request.refreshWithinSeconds ?? DEFAULT_REFRESH_WITHIN_SECONDS;
+
+  if (config.access_token && !request.rejectedToken && !isDue(config, refreshWithinSeconds)) {
+    return { access_token: config.access_token, token_expires_at: config.token_expires_at ?? null, refreshed: false, tokenData: null };
+  }
+
+  const deadline = Date.now() + WAIT_SECONDS * 1000;
+  while (true) {
+    const current = await loadConfig(supabase, config.id, options);
+    const usable = currentTokens(current, refreshWithinSeconds, request.rejectedToken);
+    if (usable) {
+      return usable;
+    }
+
+    const { data: lockId, error: claimError } = await supabase.rpc('claim_ghl_token_refresh', {
+      p_config_id: config.id,
+      p_lease_seconds: LEASE_SECONDS
+    });
+    if (claimError) {
+      throw new Error(`Failed to claim token refresh: ${claimError.message}`);
+    }
+
+    if (lockId) {
+      try {
+        return await refreshHoldingLease(supabase, config.id, refreshWithinSeconds, request.rejectedToken, options);
+      } finally {
+        await releaseLease(supabase, config.id, lockId);
+      }
+    }
+
+    if (Date.now() >= deadline) {
+      throw new GhlTokenError('Timed out waiting for another token refresh to finish', 503, 'refresh_in_progress', String(LEASE_SECONDS));
+    }
+    console.log(`Token refresh for ${config.id} in progress elsewhere, waiting...`);
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Like ensureFreshGhlTokens, returning just the access token.
+ * @returns {Promise<string>}
+ */
+export async function getValidGhlAccessToken(supabase, config, options, request = {}) {
+  return (await ensureFreshGhlTokens(supabase, config, options, request)).access_token;
+}
+
+async function refreshHoldingLease(supabase, configId, refreshWithinSeconds, rejectedToken, options) {
+  // Read again under the lease: the previous holder may have just stored a fresh token
+  const stored = await loadConfig(supabase, configId, options);
+  const usable = currentTokens(stored, refreshWithinSeconds, rejectedToken);
+  if (usable) {
+    return usable;
+  }
+
+  console.log(`Refreshing GHL token for configuration ${configId}...`);
+  const response = await requestRefresh(stored.refresh_token, options);
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    // 400 and 401 mean GHL rejected the refresh token itself (invalid_grant); retrying cannot help
+    if (response.status === 400 || response.status === 401) {
+      await markNeedsReauth(supabase, stored, `GHL rejected the refresh token: ${response.status} - ${errorText}`);
+      throw new GhlTokenError('GHL rejected the refresh token; the app must be reconnected', 401, 'needs_reauth');
+    }
+    throw new GhlTokenError(`Token refresh failed: ${response.status} - ${errorText}`, response.status, 'refresh_failed', response.headers.get('retry-after'));
+  }
+
+  const tokenData = await response.json();
+  const expiresAt = new Date(Date.now() + tokenData.expires_in * 1000).toISOString();
+
+  const { error: updateError } = await supabase
+    .from('ghl_configurations')
+    .update({
+      ...(await options.tokenColumns(configId, { access_token: tokenData.access_token, refresh_token: tokenData.refresh_token })),
+      token_expires_at: expiresAt,
+      needs_reauth: false,
+      reauth_reason: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', configId);
+
+  if (updateError) {
+    // The old refresh token is spent now, so losing the new one means reconnecting
+    await markNeedsReauth(supabase, stored, `Refreshed tokens could not be stored: ${updateError.message}`);
+    throw new GhlTokenError(`Failed to store refreshed tokens: ${updateError.message}`, 500, 'needs_reauth');
+  }
+
+  console.log(`✅ GHL token refreshed for configuration ${configId}, expires ${expiresAt}`);
+  return { access_token: tokenData.access_token, token_expires_at: expiresAt, refreshed: true, tokenData };
+}
+
+async function requestRefresh(refreshToken, options) {
+  if (!options.clientId || !options.clientSecret) {
+    throw new Error('GHL_MARKETPLACE_CLIENT_ID and GHL_MARKETPLACE_CLIENT_SECRET must be set to refresh tokens');
+  }
+
+  const params = new URLSearchParams({
+    client_id: options.clientId,
+    client_secret: options.clientSecret,
+    grant_type: 'refresh_token',
+    refresh_token: refreshToken
+  });
+
+  try {
+    return await fetch(`${options.apiDomain || 'https://services.leadconnectorhq.com'}/oauth/token`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Accept': 'application/json'
+      },
+      body: params.toString(),
+      signal: AbortSignal.timeout(REFRESH_TIMEOUT_MS)
+    });
+  } catch (error) {
+    // Whether GHL processed the request is unknown, so the next attempt may find the
+    // refresh token spent; that is reported as needs_reauth then
+    throw new GhlTokenError(`Token refresh request failed: ${error.message}`, null, 'refresh_failed');
+  }
+}
+
+// The stored tokens if they can be handed back as they are; throws if the configuration
+// cannot be refreshed; null if it needs refreshing
+function currentTokens(config, refreshWithinSeconds, rejectedToken) {
+  // Development placeholders cannot be refreshed; GHL would reject them and flag the configuration
+  if (config.token_is_placeholder && config.access_token) {
+    return { access_token: config.access_token, token_expires_at: config.token_expires_at, refreshed: false, tokenData: null };
+  }
+
+  const moved = rejectedToken && config.access_token && config.access_token !== rejectedToken;
+  if (config.access_token && (moved || (!rejectedToken && !isDue(config, refreshWithinSeconds)))) {
+    return { access_token: config.access_token, token_expires_at: config.token_expires_at, refreshed: false, tokenData: null };
+  }
+
+  if (config.needs_reauth) {
+    throw new GhlTokenError('This configuration needs reconnecting before its token can be refreshed', 401, 'needs_reauth');
+  }
+  if (!config.refresh_token) {
+    throw new GhlTokenError('No refresh token stored for this configuration', 401, 'no_refresh_token');
+  }
+  return null;
+}
+
+function isDue(config, refreshWithinSeconds) {
+  if (!config.token_expires_at) {
+    return false;
+  }
+  return new Date(config.token_expires_at).getTime() - Date.now() <= refreshWithinSeconds * 1000;
+}
+
+async function loadConfig(supabase, configId, options) {
+  const { data, error } = await supabase
+    .from('ghl_configurations')
+    .select(CONFIG_COLUMNS)
+    .eq('id', configId)
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to load configuration ${configId}: ${error.message}`);
+  }
+  return { ...(await options.readTokens(data)), storedRefreshToken: data.refresh_token };
+}
+
+async function releaseLease(supabase, configId, lockId) {
+  const { error } = await supabase
+    .from('ghl_token_refresh_locks')
+    .delete()
+    .eq('config_id', configId)
+    .eq('lock_id', lockId);
+
+  if (error) {
+    // The lease expires on its own after LEASE_SECONDS
+    console.error(`Failed to release token refresh lease for ${configId}:`, error);
+  }
+}
+
+// Flags the configuration for reconnecting, unless new tokens were stored in the meantime,
+// and records why in the audit log. Never throws.
+async function markNeedsReauth(supabase, config, reason) {
+  console.error(`🚨 GHL configuration ${config.id} (${config.ghl_account_id}) needs reconnecting: ${reason}`);
+  try {
+    const { error } = await supabase
+      .from('ghl_configurations')
+      .update({ needs_reauth: true, reauth_reason: reason, needs_reauth_at: new Date().toISOString() })
+      .eq('id', config.id)
+      .eq('refresh_token', config.storedRefreshToken);
+
+    if (error) {
+      console.error(`Failed to mark ${config.id} as needing reconnection:`, error);
+    }
+
+    const { error: auditError } = await supabase
+      .from('audit_log')
+      .insert({
+        table_name: 'ghl_configurations',
+        record_id: config.id,
+        action: 'NEEDS_REAUTH',
+        old_values: null,
+        new_values: { ghl_account_id: config.ghl_account_id, reason },
+        user_id: null
+      });
+
+    if (auditError) {
+      console.error('Failed to write NEEDS_REAUTH audit entry:', auditError);
+    }
+  } catch (error) {
+    console.error(`Failed to record that ${config.id} needs reconnection:`, error);
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
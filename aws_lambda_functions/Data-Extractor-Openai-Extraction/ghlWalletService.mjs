@@ -158,78 +158,3 @@ export async function createCharge(accessToken, chargePayload) {
     return operation(null);
   }
 }
-
-/**
- * Refresh GHL access token using refresh token
- * @param {string} refreshToken - The GHL refresh token
- * @param {string} clientId - The GHL client ID
- * @param {string} clientSecret - The GHL client secret
- * @returns {Promise<{access_token: string, refresh_token: string, expires_in: number}>} - New token data
- */
-export async function refreshAccessToken(refreshToken, clientId, clientSecret) {
-  const segment = AWSXRay.getSegment ? AWSXRay.getSegment() : null;
-  let responseData;
-
-  const operation = async (subsegment) => {
-    try {
-      const url = `${GHL_API_DOMAIN}/oauth/token`;
-      
-      if (subsegment) {
-        subsegment.addAnnotation('ghlOperation', 'refreshToken');
-      }
-
-      console.log('Refreshing GHL access token...');
-      
-      const params = new URLSearchParams({
-        client_id: clientId,
-        client_secret: clientSecret,
-        grant_type: 'refresh_token',
-        refresh_token: refreshToken
-      });
-
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-          'Accept': 'application/json'
-        },
-        body: params.toString()
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        if (subsegment) {
-          subsegment.addError(new Error(`Token refresh failed: ${response.status}`));
-          subsegment.addMetadata('ghlErrorResponse', errorText);
-        }
-        throw new Error(`Token refresh failed: ${response.status} - ${errorText}`);
-      }
-
-      responseData = await response.json();
-      
-      if (subsegment) {
-        subsegment.addAnnotation('tokenRefreshed', true);
-      }
-
-      console.log('GHL access token refreshed successfully');
-      return responseData;
-
-    } catch (e) {
-      if (subsegment) {
-        subsegment.addError(e);
-      }
-      throw e;
-    } finally {
-      if (subsegment) {
-        subsegment.close();
-      }
-    }
-  };
-
-  if (segment && AWSXRay.captureAsyncFunc) {
-    return AWSXRay.captureAsyncFunc('GHL_RefreshToken', operation, segment);
-  } else {
-    console.warn("X-Ray tracing for GHL token refresh skipped.");
-    return operation(null);
-  }
-}
\ No newline at end of file
@@ -1,4 +1,14 @@
 // helpers.mjs
+import {
+    decryptGhlTokens,
+    decryptSecret,
+    encryptGhlTokens,
+    hasEncryptedGhlTokens,
+    loadKeyring,
+    secretContext
+} from './secretEncryption.mjs';
+import { ensureFreshGhlTokens } from './ghlTokenBroker.mjs';
+import { getEncryptionSecrets } from './secrets.mjs';
 
 // X-Ray SDK import and initialization for helpers
 let AWSXRay;
@@ -10,23 +20,118 @@ try {
     AWSXRay = null;
 }
 
+let keyringPromise = null; // Master keys, loaded once for warm starts
+
+function getKeyring() {
+    if (!keyringPromise) {
+        keyringPromise = getEncryptionSecrets()
+            .then((secrets) => loadKeyring(secrets.ENCRYPTION_MASTER_KEYS, secrets.ENCRYPTION_MASTER_KEY_ID));
+    }
+    return keyringPromise;
+}
+
+/**
+ * Decrypts an agency key record's API key with the master keys from getEncryptionSecrets.
+ * Rows saved before encryption are plain base64 and are refused once ENCRYPTION_SECRET_NAME
+ * is set, until the rotate-encryption-keys edge function encrypts them.
+ * @param {object} keyData - The agency_openai_keys row; needs id and encrypted_openai_api_key.
+ * @returns {Promise<string>} The API key.
+ */
+export async function decryptAgencyKey(keyData) {
+    const keyring = process.env.ENCRYPTION_SECRET_NAME ? await getKeyring() : null;
+    return decryptSecret(keyData.encrypted_openai_api_key, keyring, secretContext('agency_openai_keys', keyData.id));
+}
+
+/**
+ * Decrypts a ghl_configurations row's GHL tokens, like _shared/ghl-tokens.ts in the edge functions.
+ * Tokens saved before encryption are plain text and pass through unchanged.
+ * @param {object} config - Needs id and the token columns.
+ * @returns {Promise<object>} A copy of the row with its tokens decrypted.
+ */
+export async function readGhlTokens(config) {
+    return decryptGhlTokens(config, hasEncryptedGhlTokens(config) ? await getKeyring() : null);
+}
+
+/**
+ * Encrypts GHL tokens for writing to a ghl_configurations row.
+ * @param {string} configId - The row the tokens are written to.
+ * @param {{access_token?: string|null, refresh_token?: string|null}} tokens
+ * @returns {Promise<object>} Columns to include in the update.
+ */
+export async function ghlTokenColumns(configId, tokens) {
+    return encryptGhlTokens(tokens, await getKeyring(), configId);
+}
+
 /**
- * Helper function to decrypt API key (placeholder for actual decryption logic)
- * @param {string} encryptedKey - The key to decrypt. Assumed base64 encoded for this example.
- * @returns {string} The decrypted key.
+ * Hands back valid GHL tokens for a configuration, refreshing them through the token
+ * broker (ghlTokenBroker.mjs, shared with the edge functions) when they expire within the hour.
+ * @param {object} supabase - The Supabase client instance.
+ * @param {object} config - Needs id, and the decrypted access_token and token_expires_at.
+ * @param {object} [request] - refreshWithinSeconds and rejectedToken, see ensureFreshGhlTokens.
+ * @returns {Promise<import('./ghlTokenBroker.mjs').FreshTokens>}
+ * @throws {import('./ghlTokenBroker.mjs').GhlTokenError} When no valid token can be had.
  */
-export async function decryptApiKey(encryptedKey) {
-    // This is a placeholder. In a real application, you would use a secure key management system
-    // like KMS, AWS Secrets Manager's encryption, or another robust method.
-    // For now, assuming it's base64 encoded for simplicity (as hinted by the original code's `atob`).
-    try {
-        return atob(encryptedKey);
-    } catch (e) {
-        console.error('Failed to base64 decode API key:', e);
-        // If base64 decode fails, return the original string.
-        // This might indicate it's not base64, or already plain text.
-        return encryptedKey;
+export async function refreshGhlTokens(supabase, config, request = {}) {
+    return ensureFreshGhlTokens(supabase, config, {
+        clientId: process.env.GHL_MARKETPLACE_CLIENT_ID,
+        clientSecret: process.env.GHL_MARKETPLACE_CLIENT_SECRET,
+        apiDomain: process.env.GHL_API_DOMAIN,
+        readTokens: readGhlTokens,
+        tokenColumns: ghlTokenColumns
+    }, request);
+}
+
+/**
+ * Splits the model's evidence objects ({value, confidence, message_id, quote}) into values
+ * and evidence, then applies each field's min_confidence like applyConfidenceThresholds in
+ * the edge functions' _shared/extraction-schema.ts. Bare values count as below any threshold.
+ * @param {object} extractedData - The parsed model response, keyed by ghl_key.
+ * @param {Array<{ghl_key: string, min_confidence?: number|null, low_confidence_action?: string}>} fields - fields_to_extract from the payload.
+ * @returns {{writeData: object, reviewKeys: string[], skippedKeys: string[], evidence: object}} The values to send to the
+ * contact updater, the keys it must queue for review, the keys dropped and the evidence of every non-empty value.
+ */
+export function applyConfidenceThresholds(extractedData, fields) {
+    const fieldsByKey = new Map(fields.map((field) => [field.ghl_key, field]));
+    const writeData = {};
+    const reviewKeys = [];
+    const skippedKeys = [];
+    const evidence = {};
+
+    for (const [key, raw] of Object.entries(extractedData || {})) {
+        const isEnvelope = raw && typeof raw === 'object' && !Array.isArray(raw) && 'value' in raw;
+        const value = isEnvelope ? raw.value : raw;
+        if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+            continue;
+        }
+
+        const confidence = isEnvelope && typeof raw.confidence === 'number' && Number.isFinite(raw.confidence)
+            ? Math.min(1, Math.max(0, raw.confidence))
+            : null;
+        evidence[key] = {
+            value,
+            confidence,
+            message_id: isEnvelope && typeof raw.message_id === 'string' && raw.message_id ? raw.message_id : null,
+            quote: isEnvelope && typeof raw.quote === 'string' && raw.quote ? raw.quote : null
+        };
+
+        const field = fieldsByKey.get(key);
+        const minConfidence = field?.min_confidence ?? null;
+        if (minConfidence === null || (confidence !== null && confidence >= minConfidence)) {
+            writeData[key] = value;
+            continue;
+        }
+
+        if (field?.low_confidence_action === 'review') {
+            writeData[key] = value;
+            reviewKeys.push(key);
+            evidence[key].outcome = 'review';
+        } else {
+            skippedKeys.push(key);
+            evidence[key].outcome = 'skipped_low_confidence';
+        }
     }
+
+    return { writeData, reviewKeys, skippedKeys, evidence };
 }
 
 /**
@@ -58,4 +163,72 @@ export async function updateUsageLog(supabase, logId, updates, parentSegment = n
     } else {
         return operation(null); // No X-Ray segment if SDK not loaded
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Estimates what a completion cost the platform, per million tokens.
+ * Tries the agency's own prices for its key, then openai_model_pricing for the model that
+ * answered and for the model requested, then model family fallbacks. The mock provider is free.
+ * @param {object} supabase - The Supabase client instance.
+ * @param {object} usage - { providerType, modelUsed, requestedModel, priceOverride, inputTokens, outputTokens }.
+ * @param {object} [parentSegment=null] - The parent X-Ray segment for subsegment creation.
+ * @returns {Promise<number>} The estimated cost in USD.
+ */
+export async function estimateCost(supabase, usage, parentSegment = null) {
+    const { providerType, modelUsed, requestedModel, priceOverride, inputTokens, outputTokens } = usage;
+    if (providerType === 'mock') {
+        return 0;
+    }
+
+    const costFor = (pricing) =>
+        (inputTokens / 1000000) * pricing.input_price_per_million + (outputTokens / 1000000) * pricing.output_price_per_million;
+
+    if (priceOverride) {
+        return costFor(priceOverride);
+    }
+
+    const candidates = [...new Set([modelUsed, requestedModel].filter(Boolean))];
+    const operation = async (subsegment) => {
+        const { data, error } = await supabase.from('openai_model_pricing')
+            .select('model_id, input_price_per_million, output_price_per_million')
+            .in('model_id', candidates);
+        if (error) {
+            console.warn('Error fetching model pricing:', error.message);
+            if (subsegment) subsegment.addError(error);
+            return null;
+        }
+        return data || [];
+    };
+
+    const pricingRows = AWSXRay && AWSXRay.captureAsyncFunc
+        ? await AWSXRay.captureAsyncFunc('Supabase - getModelPricing', operation, parentSegment)
+        : await operation(null);
+
+    if (!pricingRows) {
+        return (inputTokens / 1000000 * 0.5) + (outputTokens / 1000000 * 1.5);
+    }
+
+    for (const candidate of candidates) {
+        const pricing = pricingRows.find((row) => row.model_id === candidate);
+        if (pricing) {
+            return costFor(pricing);
+        }
+    }
+
+    console.warn('No pricing data found for model:', candidates.join(', '));
+    const family = candidates.join(' ');
+    if (family.includes('gpt-4o-mini')) {
+        return (inputTokens / 1000000 * 0.15) + (outputTokens / 1000000 * 0.60);
+    } else if (family.includes('gpt-4o')) {
+        return (inputTokens / 1000000 * 2.50) + (outputTokens / 1000000 * 10.00);
+    } else if (family.includes('gpt-4.1-mini')) {
+        return (inputTokens / 1000000 * 0.40) + (outputTokens / 1000000 * 1.60);
+    } else if (family.includes('gpt-4.1')) {
+        return (inputTokens / 1000000 * 2.00) + (outputTokens / 1000000 * 8.00);
+    } else if (family.includes('haiku')) {
+        return (inputTokens / 1000000 * 0.80) + (outputTokens / 1000000 * 4.00);
+    } else if (family.includes('claude')) {
+        return (inputTokens / 1000000 * 3.00) + (outputTokens / 1000000 * 15.00);
+    }
+    return (inputTokens / 1000000 * 1.00) + (outputTokens / 1000000 * 3.00);
+}
@@ -1,9 +1,9 @@
 // Path: index.mjs (for openai-extraction-lambda)
 import { getSupabaseClient } from './supabaseClient.mjs';
 import { getOpenAISecrets, getSupabaseSecrets } from './secrets.mjs';
-import { decryptApiKey, updateUsageLog } from './helpers.mjs';
+import { applyConfidenceThresholds, decryptAgencyKey, estimateCost, readGhlTokens, refreshGhlTokens, updateUsageLog } from './helpers.mjs';
 import * as ghlWalletService from './ghlWalletService.mjs';
-import OpenAI from 'openai';
+import { buildFallbackChain, completeWithFallback, selectFallbackChain } from './llmProviders.mjs';
 import { LambdaClient, InvokeCommand } from "@aws-sdk/client-lambda"; // Keep this import
 
 // X-Ray SDK import and initialization
@@ -19,10 +19,13 @@ try {
 // Initialize AWS Lambda client for cross-Lambda invocation
 const lambdaClient = new LambdaClient({ region: process.env.AWS_REGIONS || "us-east-2" });
 
+// Provider settings read from an agency's key record
+const AGENCY_KEY_COLUMNS = 'id, encrypted_openai_api_key, key_hint, openai_org_id, openai_model, provider_type, base_url, deployment_name, api_version, input_price_per_million, output_price_per_million, fallback_chain';
+
 /**
  * Main Lambda handler for OpenAI data extraction.
  * It receives a pre-assembled payload from the orchestrator.
- * It determines the OpenAI model, calls OpenAI, and logs usage.
+ * It determines the LLM provider and model (agency key or platform default), calls the provider, and logs usage.
  * @param {object} event - The payload from Data-Extractor-Prompt-Orchestrator.
  *                         Expected to match the `extractionPayload` structure.
  * @returns {Promise<object>} - A structured success or error response.
@@ -47,12 +50,13 @@ export const handler = async (event) => {
         fields_to_extract,
         conversation_history,
         system_prompt,
+        prompt_version_id = null,
         instructions,
         response_format,
         // Billing entity information for metered pricing
         billing_entity_id,
+        billing_config_id,
         billing_access_token,
-        billing_refresh_token,
         billing_token_expires_at,
         billing_user_id,
         billing_company_id,
@@ -74,7 +78,9 @@ export const handler = async (event) => {
 
     // Initialize variables for logging and tracking
     let supabaseClient;
-    let openai;
+    let providerType = null;
+    let keySource = null; // Whose key the call used: 'agency' or 'platform'
+    let llmAttempts = []; // Every call made down the fallback chain
     let usageLogId = null;
     let extractionSuccess = false;
     let errorMessage = null;
@@ -91,7 +97,7 @@ export const handler = async (event) => {
     let isOverage = false;
     let meterId = '';
     let unitsToCharge = 0;
-    let currentBillingAccessToken = billing_access_token; // Track current token for refreshes
+    let currentBillingAccessToken = null; // Track current token for refreshes
     let ghlUpdateResult = null; // NEW: To store the result from the update Lambda
 
     const startTime = Date.now();
@@ -104,84 +110,64 @@ export const handler = async (event) => {
 
         // Retrieve OpenAI secrets
         const openaiSecrets = await getOpenAISecrets();
-        let openaiApiKey = openaiSecrets.OPENAI_API_KEY;
-        let openaiOrgId = openaiSecrets.OPENAI_ORG_ID;
-        let openaiModel = 'gpt-4o-mini'; // Default model
+        // Platform default provider: LLM_PROVIDER (openai unless set) with the platform credentials
+        const platformSettings = {
+            provider_type: process.env.LLM_PROVIDER || 'openai',
+            api_key: openaiSecrets.OPENAI_API_KEY,
+            organization: openaiSecrets.OPENAI_ORG_ID,
+            base_url: process.env.OPENAI_BASE_URL || null,
+            model: 'gpt-4o-mini', // Default model
+            mock_response: process.env.LLM_MOCK_RESPONSE || null
+        };
+        let openaiModel = platformSettings.model;
+        let agencySettings = null;
+        let agencyChain = null;
+        let agencyKeySnippet = null;
+        let agencyPriceOverride = null;
+        let priceOverride = null;
 
         // Initialize Supabase client
         supabaseClient = await getSupabaseClient();
 
         // Step 0.5: Validate and refresh billing entity tokens if needed
         console.log('Step 0.5: Validating billing entity tokens...');
-        if (billing_token_expires_at) {
-            const expiryDate = new Date(billing_token_expires_at);
-            const now = new Date();
-            const hoursUntilExpiry = (expiryDate.getTime() - now.getTime()) / (1000 * 60 * 60);
-            
-            console.log(`Billing token expires in ${hoursUntilExpiry.toFixed(2)} hours`);
+        // The orchestrator passes the access token on as stored in ghl_configurations, encrypted
+        const billingTokens = await readGhlTokens({
+            id: billing_config_id,
+            access_token: billing_access_token
+        });
+        try {
+            // Refreshes through the token broker if the token expires within the hour
+            const freshTokens = await refreshGhlTokens(supabaseClient, {
+                id: billing_config_id,
+                access_token: billingTokens.access_token,
+                token_expires_at: billing_token_expires_at
+            });
+            currentBillingAccessToken = freshTokens.access_token;
+            if (freshTokens.refreshed) {
+                console.log('✅ Billing tokens refreshed and updated in database');
+            }
+        } catch (refreshError) {
+            console.error('Failed to refresh billing tokens:', refreshError);
+            errorMessage = `Failed to refresh billing tokens: ${refreshError.message}`;
+            extractionSuccess = false;
             
-            // Refresh if token expires within 1 hour
-            if (hoursUntilExpiry <= 1) {
-                console.log('Billing token needs refresh...');
-                try {
-                    const clientId = process.env.GHL_MARKETPLACE_CLIENT_ID;
-                    const clientSecret = process.env.GHL_MARKETPLACE_CLIENT_SECRET;
-                    
-                    if (!clientId || !clientSecret) {
-                        throw new Error('GHL client credentials not configured for token refresh');
-                    }
-                    
-                    const refreshResult = await ghlWalletService.refreshAccessToken(
-                        billing_refresh_token,
-                        clientId,
-                        clientSecret
-                    );
-                    
-                    // Update the current token
-                    currentBillingAccessToken = refreshResult.access_token;
-                    
-                    // Update the database with new tokens
-                    const newExpiresAt = new Date(Date.now() + (refreshResult.expires_in * 1000)).toISOString();
-                    
-                    const { error: updateError } = await supabaseClient
-                        .from('ghl_configurations')
-                        .update({
-                            access_token: refreshResult.access_token,
-                            refresh_token: refreshResult.refresh_token,
-                            token_expires_at: newExpiresAt,
-                            updated_at: new Date().toISOString()
-                        })
-                        .eq('ghl_account_id', billing_entity_id);
-                    
-                    if (updateError) {
-                        console.warn('Failed to update refreshed tokens in database:', updateError);
-                    } else {
-                        console.log('✅ Billing tokens refreshed and updated in database');
-                    }
-                    
-                } catch (refreshError) {
-                    console.error('Failed to refresh billing tokens:', refreshError);
-                    errorMessage = `Failed to refresh billing tokens: ${refreshError.message}`;
-                    extractionSuccess = false;
-                    
-                    // Update usage log with error and return early
-                    if (usageLogId && supabaseClient) {
-                        await updateUsageLog(supabaseClient, usageLogId, {
-                            success: false,
-                            error_message: errorMessage,
-                            response_time_ms: Date.now() - startTime
-                        }, currentSegment);
-                    }
-                    
-                    return {
-                        statusCode: 401,
-                        body: JSON.stringify({
-                            success: false,
-                            error: errorMessage
-                        }),
-                    };
-                }
+            // Update usage log with error and return early
+            if (usageLogId && supabaseClient) {
+                await updateUsageLog(supabaseClient, usageLogId, {
+                    success: false,
+                    error_message: errorMessage,
+                    response_time_ms: Date.now() - startTime
+                }, currentSegment);
             }
+            
+            return {
+                statusCode: 401,
+                body: JSON.stringify({
+                    success: false,
+                    error: errorMessage
+                }),
+            };
         }
 
         // Step 0.6: Determine if this extraction will be an overage and check funds
@@ -331,7 +317,7 @@ export const handler = async (event) => {
                 if (AWSXRay && AWSXRay.captureAsyncFunc) {
                     return AWSXRay.captureAsyncFunc('Supabase - getAgencyOpenAIKey', async (subsegment) => {
                         const result = await supabaseClient.from('agency_openai_keys')
-                            .select('encrypted_openai_api_key, openai_org_id, openai_model')
+                            .select(AGENCY_KEY_COLUMNS)
                             .eq('agency_ghl_id', agency_ghl_id)
                             .eq('is_active', true)
                             .maybeSingle();
@@ -341,7 +327,7 @@ export const handler = async (event) => {
                     }, currentSegment);
                 } else {
                     return await supabaseClient.from('agency_openai_keys')
-                        .select('encrypted_openai_api_key, openai_org_id, openai_model')
+                        .select(AGENCY_KEY_COLUMNS)
                         .eq('agency_ghl_id', agency_ghl_id)
                         .eq('is_active', true)
                         .maybeSingle();
@@ -351,16 +337,28 @@ export const handler = async (event) => {
             if (agencyKeyError) {
                 console.warn('Error fetching agency OpenAI key:', agencyKeyError.message);
                 if (currentSegment) currentSegment.addError(agencyKeyError, true);
-            } else if (agencyKeyData && agencyKeyData.encrypted_openai_api_key) {
-                console.log('Using agency-specific OpenAI key.');
-                openaiApiKey = await decryptApiKey(agencyKeyData.encrypted_openai_api_key);
-                openaiOrgId = agencyKeyData.openai_org_id || openaiOrgId;
-                openaiModel = agencyKeyData.openai_model || openaiModel;
-                console.log(`Using agency-selected model: ${openaiModel}`);
-                openaiKeyUsed = agencyKeyData.encrypted_openai_api_key.substring(0, 10) + '...';
+            } else if (agencyKeyData) {
+                console.log(`Found agency-specific ${agencyKeyData.provider_type} key.`);
+                agencySettings = {
+                    provider_type: agencyKeyData.provider_type,
+                    api_key: agencyKeyData.encrypted_openai_api_key ? await decryptAgencyKey(agencyKeyData) : null,
+                    organization: agencyKeyData.openai_org_id,
+                    base_url: agencyKeyData.base_url,
+                    deployment_name: agencyKeyData.deployment_name,
+                    api_version: agencyKeyData.api_version,
+                    model: agencyKeyData.openai_model || platformSettings.model,
+                    mock_response: platformSettings.mock_response
+                };
+                agencyChain = agencyKeyData.fallback_chain;
+                agencyPriceOverride = agencyKeyData.input_price_per_million != null && agencyKeyData.output_price_per_million != null
+                    ? { input_price_per_million: agencyKeyData.input_price_per_million, output_price_per_million: agencyKeyData.output_price_per_million }
+                    : null;
+                agencyKeySnippet = agencyKeyData.encrypted_openai_api_key
+                    ? agencyKeyData.key_hint || '****'
+                    : `${agencyKeyData.provider_type} (no key)`;
                 if (currentSegment) {
                     currentSegment.addAnnotation('openaiKeySource', 'agency');
-                    currentSegment.addAnnotation('agencyModelUsed', openaiModel);
+                    currentSegment.addAnnotation('agencyModelUsed', agencySettings.model);
                 }
             } else {
                 console.log('No active agency-specific OpenAI key found, falling back to default.');
@@ -371,21 +369,29 @@ export const handler = async (event) => {
             if (currentSegment) currentSegment.addAnnotation('openaiKeySource', 'default');
         }
 
-        if (!openaiApiKey) {
-            throw new Error("OpenAI API key is not configured. Check secrets and agency keys.");
+        // A location's fallback chain overrides its agency's
+        const { data: locationConfig, error: locationConfigError } = await supabaseClient.from('ghl_configurations')
+            .select('llm_fallback_chain')
+            .eq('ghl_account_id', location_id)
+            .eq('is_active', true)
+            .maybeSingle();
+        if (locationConfigError) {
+            console.warn('Error fetching location fallback chain:', locationConfigError.message);
         }
 
-        // Initialize OpenAI client
-        openai = new OpenAI({
-            apiKey: openaiApiKey,
-            organization: openaiOrgId || undefined,
-        });
+        const locationChain = locationConfig?.llm_fallback_chain;
+        const chain = buildFallbackChain(selectFallbackChain(locationChain, agencyChain), agencySettings, platformSettings);
+        console.log('Fallback chain:', chain.map((entry) => `${entry.source}:${entry.settings.provider_type || 'openai'}/${entry.settings.model}`));
+
+        // Log the first entry until a call succeeds
+        openaiModel = chain[0].settings.model;
+        providerType = chain[0].settings.provider_type || 'openai';
+        keySource = chain[0].source;
+        openaiKeyUsed = keySource === 'agency' ? agencyKeySnippet : null;
+        if (currentSegment) currentSegment.addAnnotation('fallbackChainLength', chain.length);
 
-        // Construct messages for OpenAI API
-        const messages = [
-            { role: "system", content: system_prompt },
-            ...conversation_history.map((msg) => ({ role: msg.role, content: msg.content }))
-        ];
+        // Construct the conversation for the model
+        const messages = conversation_history.map((msg) => ({ role: msg.role, content: msg.content }));
 
         // Log initial usage record
         const { data: logData, error: logError } = await (async () => {
@@ -404,7 +410,10 @@ export const handler = async (event) => {
                         customer_cost_estimate: 0,
                         success: false,
                         openai_key_used: openaiKeyUsed,
-                        extraction_type: 'data_extraction'
+                        extraction_type: 'data_extraction',
+                        provider_type: providerType,
+                        key_source: keySource,
+                        prompt_version_id: prompt_version_id
                     }).select('id').single();
                     if (result.error) { if (subsegment) subsegment.addError(result.error); }
                     return result;
@@ -423,7 +432,10 @@ export const handler = async (event) => {
                     customer_cost_estimate: 0,
                     success: false,
                     openai_key_used: openaiKeyUsed,
-                    extraction_type: 'data_extraction'
+                    extraction_type: 'data_extraction',
+                    provider_type: providerType,
+                    key_source: keySource,
+                    prompt_version_id: prompt_version_id
                 }).select('id').single();
             }
         })();
@@ -436,42 +448,59 @@ export const handler = async (event) => {
         console.log('Usage log created with ID:', usageLogId);
         if (currentSegment) currentSegment.addAnnotation('usageLogId', usageLogId);
 
-        // Call OpenAI API
-        console.log('Calling OpenAI Chat Completions API...');
-        const chatCompletion = await (async () => {
-            if (AWSXRay && AWSXRay.captureAsyncFunc) {
-                return AWSXRay.captureAsyncFunc('OpenAI - chatCompletions.create', async (subsegment) => {
-                    if (subsegment) subsegment.addAnnotation('model', openaiModel);
-                    const result = await openai.chat.completions.create({
-                        model: openaiModel,
-                        messages: messages,
-                        response_format: { type: "json_object" },
-                        temperature: 0.1
-                    });
-                    if (subsegment) {
-                        subsegment.addAnnotation('inputTokens', result.usage?.prompt_tokens || 0);
-                        subsegment.addAnnotation('outputTokens', result.usage?.completion_tokens || 0);
-                        subsegment.addAnnotation('totalTokens', result.usage?.total_tokens || 0);
-                    }
-                    return result;
-                }, currentSegment);
-            } else {
-                return await openai.chat.completions.create({
-                    model: openaiModel,
-                    messages: messages,
-                    response_format: { type: "json_object" },
-                    temperature: 0.1
-                });
+        // Call the LLM providers in chain order
+        console.log(`Calling ${providerType} with model: ${openaiModel} (${chain.length} chain entries)...`);
+        const llmRequest = { system: system_prompt, messages, temperature: 0.1 };
+        const llmOptions = {
+            maxRetries: parseInt(process.env.LLM_RETRIES_PER_MODEL || '1', 10),
+            maxWaitSeconds: parseInt(process.env.LLM_RETRY_MAX_WAIT_SECONDS || '10', 10)
+        };
+        const fallbackResult = await (async () => {
+            try {
+                if (AWSXRay && AWSXRay.captureAsyncFunc) {
+                    return await AWSXRay.captureAsyncFunc('LLM - completeWithFallback', async (subsegment) => {
+                        const result = await completeWithFallback(chain, llmRequest, llmOptions);
+                        if (subsegment) {
+                            subsegment.addAnnotation('attempts', result.attempts.length);
+                            subsegment.addAnnotation('keySource', result.entry.source);
+                            subsegment.addAnnotation('model', result.entry.settings.model);
+                            subsegment.addAnnotation('inputTokens', result.completion.usage.input_tokens);
+                            subsegment.addAnnotation('outputTokens', result.completion.usage.output_tokens);
+                            subsegment.addAnnotation('totalTokens', result.completion.usage.total_tokens);
+                        }
+                        return result;
+                    }, currentSegment);
+                }
+                return await completeWithFallback(chain, llmRequest, llmOptions);
+            } catch (llmError) {
+                llmAttempts = llmError.attempts || llmAttempts;
+                throw llmError;
             }
         })();
+        const completion = fallbackResult.completion;
+        llmAttempts = fallbackResult.attempts;
+
+        // Cost is attributed to whoever's key answered
+        keySource = fallbackResult.entry.source;
+        openaiModel = fallbackResult.entry.settings.model;
+        providerType = fallbackResult.entry.settings.provider_type || 'openai';
+        openaiKeyUsed = keySource === 'agency' ? agencyKeySnippet : null;
+        priceOverride = keySource === 'agency' ? agencyPriceOverride : null;
+        if (llmAttempts.length > 1) {
+            console.log(`Succeeded on attempt ${llmAttempts.length} with ${keySource} ${providerType}/${openaiModel}`);
+        }
+        if (currentSegment) {
+            currentSegment.addAnnotation('providerType', providerType);
+            currentSegment.addAnnotation('openaiKeySource', keySource);
+        }
 
         responseTimeMs = Date.now() - startTime;
-        modelUsed = chatCompletion.model;
-        inputTokens = chatCompletion.usage?.prompt_tokens || 0;
-        outputTokens = chatCompletion.usage?.completion_tokens || 0;
-        totalTokens = chatCompletion.usage?.total_tokens || 0;
+        modelUsed = completion.model;
+        inputTokens = completion.usage.input_tokens;
+        outputTokens = completion.usage.output_tokens;
+        totalTokens = completion.usage.total_tokens;
 
-        console.log('OpenAI API call successful.');
+        console.log('LLM call successful.');
         console.log('Model:', modelUsed);
         console.log('Tokens:', { input: inputTokens, output: outputTokens, total: totalTokens });
         console.log('Response time:', responseTimeMs, 'ms');
@@ -481,11 +510,36 @@ export const handler = async (event) => {
             currentSegment.addAnnotation('responseTimeMs', responseTimeMs);
         }
 
-        const extractedDataString = chatCompletion.choices[0].message.content;
+        try {
+            costEstimate = await estimateCost(supabaseClient, {
+                providerType,
+                modelUsed,
+                requestedModel: openaiModel,
+                priceOverride,
+                inputTokens,
+                outputTokens
+            }, currentSegment);
+        } catch (costError) {
+            console.error('Error calculating cost:', costError);
+            costEstimate = (totalTokens / 1000) * 0.002; // $0.002 per 1K tokens as a fallback
+        }
+        platformCostEstimate = costEstimate;
+        console.log('Cost estimate:', costEstimate);
+
+        const extractedDataString = completion.content;
         let extractedData = {};
+        let reviewKeys = [];
+        let fieldEvidence = {};
         if (extractedDataString) {
             try {
-                extractedData = JSON.parse(extractedDataString);
+                // Fields with a minimum confidence drop or queue for review anything below it
+                const thresholds = applyConfidenceThresholds(JSON.parse(extractedDataString), fields_to_extract);
+                extractedData = thresholds.writeData;
+                reviewKeys = thresholds.reviewKeys;
+                fieldEvidence = thresholds.evidence;
+                if (thresholds.skippedKeys.length > 0 || reviewKeys.length > 0) {
+                    console.log('Low-confidence values:', { skipped: thresholds.skippedKeys, sent_to_review: reviewKeys });
+                }
                 extractionSuccess = true;
                 if (currentSegment) currentSegment.addAnnotation('jsonParseSuccess', true);
             } catch (parseError) {
@@ -516,7 +570,10 @@ export const handler = async (event) => {
                         ghl_contact_id: contact_id,
                         location_id: location_id,
                         conversation_id: conversation_id,
-                        extracted_data: extractedData
+                        extracted_data: extractedData,
+                        force_review: reviewKeys,
+                        field_evidence: fieldEvidence,
+                        usage_log_id: usageLogId
                     };
 
                     const invokeCommand = new InvokeCommand({
@@ -640,6 +697,11 @@ export const handler = async (event) => {
         // Final update to usage log
         await updateUsageLog(supabaseClient, usageLogId, {
             model: modelUsed,
+            model_used: openaiModel,
+            provider_type: providerType,
+            key_source: keySource,
+            llm_attempts: llmAttempts,
+            successful_attempt: llmAttempts.length,
             input_tokens: inputTokens,
             output_tokens: outputTokens,
             total_tokens: totalTokens,
@@ -700,6 +762,7 @@ export const handler = async (event) => {
         if (usageLogId && supabaseClient) {
             await updateUsageLog(supabaseClient, usageLogId, {
                 model: modelUsed || 'unknown',
+                llm_attempts: llmAttempts.length > 0 ? llmAttempts : null,
                 input_tokens: inputTokens,
                 output_tokens: outputTokens,
                 total_tokens: totalTokens,
@@ -0,0 +1,492 @@
+// Chat completion backends for extraction, used by openai-extraction (Deno) and the
+// Data-Extractor-Openai-Extraction Lambda (Node).
+//
+// Like value-normalizer.mjs this file must stay runtime-neutral: plain ESM, no imports,
+// no Deno or Node APIs beyond the global fetch. The Lambda copy at
+// aws_lambda_functions/Data-Extractor-Openai-Extraction/llmProviders.mjs is a verbatim
+// copy of this file; edit here and copy it over.
+//
+// Provider types (agency_openai_keys.provider_type):
+//   openai            - api.openai.com, or base_url for a proxy
+//   azure_openai      - an Azure OpenAI resource; base_url is the resource endpoint and
+//                       deployment_name the deployment that serves the model
+//   openai_compatible - any server speaking the OpenAI chat completions API at base_url,
+//                       e.g. vLLM or Ollama; the API key is optional
+//   anthropic         - the Anthropic Messages API; structured output goes through a forced tool call
+//   mock              - answers locally without a network call, for tests
+// Every provider returns the same completion shape, so callers log usage and price tokens
+// the same way whichever backend answered.
+//
+// completeWithFallback runs one request down an ordered chain of providers (see
+// buildFallbackChain), retrying rate limits and server errors before moving on.
+
+export const PROVIDER_TYPES = ['openai', 'azure_openai', 'openai_compatible', 'anthropic', 'mock'];
+
+export const DEFAULT_AZURE_API_VERSION = '2024-10-21';
+
+// Whose key a fallback chain entry uses: the agency's key record or the platform's credentials
+export const FALLBACK_SOURCES = ['agency', 'platform'];
+
+export const DEFAULT_PLATFORM_MODEL = 'gpt-4o-mini';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+const ANTHROPIC_MAX_TOKENS = 4096;
+
+/**
+ * @typedef {Object} ProviderSettings
+ * @property {string} provider_type - One of PROVIDER_TYPES; defaults to 'openai'.
+ * @property {string} model - Model to request. For Azure, the model behind the deployment (used for pricing).
+ * @property {string|null} [api_key]
+ * @property {string|null} [base_url]
+ * @property {string|null} [deployment_name] - Azure deployment.
+ * @property {string|null} [api_version] - Azure API version.
+ * @property {string|null} [organization] - OpenAI organization id.
+ * @property {any} [mock_response] - What the mock provider answers; an object or JSON string.
+ * @property {Function} [fetch] - fetch implementation; defaults to the global one.
+ */
+
+/**
+ * @typedef {Object} Completion
+ * @property {string|null} content - The model's answer as a JSON string.
+ * @property {string|null} refusal - Why the model declined, if it did.
+ * @property {string} model - Model that answered, as reported by the provider.
+ * @property {{input_tokens: number, output_tokens: number, total_tokens: number}} usage
+ */
+
+/** An HTTP failure from a provider, carrying the status and Retry-After for the job worker. */
+export class LLMProviderError extends Error {
+  constructor(message, status, headers = {}, provider = null) {
+    super(message);
+    this.name = 'LLMProviderError';
+    this.status = status;
+    this.headers = headers;
+    this.provider = provider;
+  }
+}
+
+/**
+ * Returns a provider for one key record.
+ * @param {ProviderSettings} settings
+ * @returns {{type: string, model: string, complete: (request: {system: string, messages: Array<{role: string, content: string}>, jsonSchema?: Object|null, temperature?: number}) => Promise<Completion>}}
+ */
+export function createLLMProvider(settings) {
+  const type = settings.provider_type || 'openai';
+  const fetchImpl = settings.fetch || fetch;
+
+  switch (type) {
+    case 'openai':
+      return chatCompletionsProvider(type, settings, fetchImpl, {
+        url: `${trimSlash(settings.base_url || 'https://api.openai.com/v1')}/chat/completions`,
+        headers: {
+          'Authorization': `Bearer ${requireKey(type, settings.api_key)}`,
+          ...(settings.organization ? { 'OpenAI-Organization': settings.organization } : {})
+        }
+      });
+    case 'azure_openai':
+      if (!settings.base_url || !settings.deployment_name) {
+        throw new Error('Azure OpenAI needs a base URL and a deployment name');
+      }
+      return chatCompletionsProvider(type, settings, fetchImpl, {
+        url: `${trimSlash(settings.base_url)}/openai/deployments/${encodeURIComponent(settings.deployment_name)}/chat/completions` +
+          `?api-version=${encodeURIComponent(settings.api_version || DEFAULT_AZURE_API_VERSION)}`,
+        headers: { 'api-key': requireKey(type, settings.api_key) }
+      });
+    case 'openai_compatible':
+      if (!settings.base_url) {
+        throw new Error('An OpenAI-compatible provider needs a base URL');
+      }
+      return chatCompletionsProvider(type, settings, fetchImpl, {
+        url: `${trimSlash(settings.base_url)}/chat/completions`,
+        headers: settings.api_key ? { 'Authorization': `Bearer ${settings.api_key}` } : {}
+      });
+    case 'anthropic':
+      return anthropicProvider(settings, fetchImpl);
+    case 'mock':
+      return mockProvider(settings);
+    default:
+      throw new Error(`Unknown LLM provider type: ${type}`);
+  }
+}
+
+function trimSlash(url) {
+  return url.replace(/\/+$/, '');
+}
+
+function requireKey(type, apiKey) {
+  if (!apiKey) {
+    throw new Error(`No API key configured for the ${type} provider`);
+  }
+  return apiKey;
+}
+
+async function postJson(fetchImpl, type, url, headers, body) {
+  const response = await fetchImpl(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+
+  const text = await response.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch (parseError) {
+    data = null;
+  }
+
+  if (!response.ok) {
+    const detail = data?.error?.message || data?.error || text || response.statusText;
+    const retryAfter = response.headers.get('retry-after');
+    throw new LLMProviderError(
+      `${response.status} ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`,
+      response.status,
+      retryAfter ? { 'retry-after': retryAfter } : {},
+      type
+    );
+  }
+
+  return data;
+}
+
+// OpenAI, Azure OpenAI and OpenAI-compatible servers share the chat completions format
+function chatCompletionsProvider(type, settings, fetchImpl, { url, headers }) {
+  const send = (messages, responseFormat, temperature) => postJson(fetchImpl, type, url, headers, {
+    // Azure routes by deployment and ignores the model
+    ...(type === 'azure_openai' ? {} : { model: settings.model }),
+    messages,
+    response_format: responseFormat,
+    temperature
+  });
+
+  return {
+    type,
+    model: settings.model,
+    async complete({ system, messages, jsonSchema = null, temperature = 0.1 }) {
+      const chatMessages = [{ role: 'system', content: system }, ...messages];
+      let data;
+
+      if (jsonSchema) {
+        try {
+          data = await send(chatMessages, { type: 'json_schema', json_schema: jsonSchema }, temperature);
+        } catch (schemaError) {
+          // Older models and many self-hosted servers reject json_schema; callers validate the answer anyway
+          if (schemaError.status !== 400 || !String(schemaError.message).includes('response_format')) {
+            throw schemaError;
+          }
+          console.warn(`${type} model ${settings.model} does not support structured outputs, falling back to json_object:`, schemaError.message);
+          data = await send(chatMessages, { type: 'json_object' }, temperature);
+        }
+      } else {
+        data = await send(chatMessages, { type: 'json_object' }, temperature);
+      }
+
+      const message = data?.choices?.[0]?.message || {};
+      const inputTokens = data?.usage?.prompt_tokens || 0;
+      const outputTokens = data?.usage?.completion_tokens || 0;
+
+      return {
+        content: message.content || null,
+        refusal: message.refusal || null,
+        model: data?.model || settings.model,
+        usage: {
+          input_tokens: inputTokens,
+          output_tokens: outputTokens,
+          total_tokens: data?.usage?.total_tokens || inputTokens + outputTokens
+        }
+      };
+    }
+  };
+}
+
+// The Messages API wants alternating turns starting with the user, so consecutive turns
+// from one side are merged and the request always ends with a user turn asking for the answer.
+function toAnthropicMessages(messages, instruction) {
+  const turns = [];
+  for (const message of [...messages, { role: 'user', content: instruction }]) {
+    const role = message.role === 'assistant' ? 'assistant' : 'user';
+    const last = turns[turns.length - 1];
+    if (last && last.role === role) {
+      last.content += `\n\n${message.content}`;
+    } else {
+      turns.push({ role, content: String(message.content) });
+    }
+  }
+  if (turns[0].role !== 'user') {
+    turns.unshift({ role: 'user', content: '(Conversation starts.)' });
+  }
+  return turns;
+}
+
+function anthropicProvider(settings, fetchImpl) {
+  const url = `${trimSlash(settings.base_url || 'https://api.anthropic.com')}/v1/messages`;
+  const headers = {
+    'x-api-key': requireKey('anthropic', settings.api_key),
+    'anthropic-version': ANTHROPIC_VERSION
+  };
+
+  return {
+    type: 'anthropic',
+    model: settings.model,
+    async complete({ system, messages, jsonSchema = null, temperature = 0.1 }) {
+      // A forced tool call makes the model answer with input matching the schema
+      const tool = jsonSchema
+        ? { name: jsonSchema.name, description: 'Record the data extracted from the conversation.', input_schema: jsonSchema.schema }
+        : null;
+      const instruction = tool
+        ? `Record the extracted data with the ${tool.name} tool.`
+        : 'Reply with the extracted data as a single JSON object and nothing else.';
+
+      const data = await postJson(fetchImpl, 'anthropic', url, headers, {
+        model: settings.model,
+        system,
+        messages: toAnthropicMessages(messages, instruction),
+        max_tokens: ANTHROPIC_MAX_TOKENS,
+        temperature,
+        ...(tool ? { tools: [tool], tool_choice: { type: 'tool', name: tool.name } } : {})
+      });
+
+      const blocks = data?.content || [];
+      const toolUse = blocks.find((block) => block.type === 'tool_use');
+      const text = blocks.filter((block) => block.type === 'text').map((block) => block.text).join('');
+      const inputTokens = data?.usage?.input_tokens || 0;
+      const outputTokens = data?.usage?.output_tokens || 0;
+
+      return {
+        content: toolUse ? JSON.stringify(toolUse.input) : (text || null),
+        refusal: data?.stop_reason === 'refusal' ? (text || 'The model declined to answer.') : null,
+        model: data?.model || settings.model,
+        usage: {
+          input_tokens: inputTokens,
+          output_tokens: outputTokens,
+          total_tokens: inputTokens + outputTokens
+        }
+      };
+    }
+  };
+}
+
+// Answers with mock_response when given, otherwise with every schema field empty and no
+// escalation. Token counts are estimated at four characters per token.
+function mockProvider(settings) {
+  return {
+    type: 'mock',
+    model: settings.model || 'mock',
+    async complete({ system, messages, jsonSchema = null }) {
+      let answer;
+      if (settings.mock_response !== undefined && settings.mock_response !== null) {
+        answer = typeof settings.mock_response === 'string' ? JSON.parse(settings.mock_response) : settings.mock_response;
+      } else {
+        answer = {};
+        for (const key of Object.keys(jsonSchema?.schema?.properties || {})) {
+          answer[key] = key === 'escalation'
+            ? { triggered: false, trigger_name: null, reason: null }
+            : { value: null, confidence: 0, message_id: null, quote: null };
+        }
+      }
+
+      const content = JSON.stringify(answer);
+      const inputTokens = Math.ceil((system.length + messages.reduce((sum, message) => sum + String(message.content).length, 0)) / 4);
+      const outputTokens = Math.ceil(content.length / 4);
+
+      return {
+        content,
+        refusal: null,
+        model: settings.model || 'mock',
+        usage: {
+          input_tokens: inputTokens,
+          output_tokens: outputTokens,
+          total_tokens: inputTokens + outputTokens
+        }
+      };
+    }
+  };
+}
+
+/**
+ * @typedef {Object} ChainEntry
+ * @property {'agency'|'platform'} source - Whose key to use.
+ * @property {ProviderSettings} settings - Provider settings for this attempt.
+ */
+
+/**
+ * Resolves a configured fallback chain into provider settings.
+ * The chain is a list of { source, model } objects; a missing model means the agency key's
+ * model, or DEFAULT_PLATFORM_MODEL for the platform. Agency entries are dropped when the
+ * agency has no active key, and unknown sources are ignored. Without a chain the agency key
+ * is used if there is one, otherwise the platform, which is how extraction worked before chains.
+ * @param {Array<{source: string, model?: string|null}>|null} chain
+ * @param {ProviderSettings|null} agencySettings - Settings from the agency's key record, if any.
+ * @param {ProviderSettings} platformSettings - The platform default provider.
+ * @returns {ChainEntry[]}
+ */
+export function buildFallbackChain(chain, agencySettings, platformSettings) {
+  const entries = (Array.isArray(chain) ? chain : [])
+    .filter((entry) => entry && FALLBACK_SOURCES.includes(entry.source))
+    .filter((entry) => entry.source === 'platform' || agencySettings)
+    .map((entry) => {
+      const base = entry.source === 'agency' ? agencySettings : platformSettings;
+      return {
+        source: entry.source,
+        settings: { ...base, model: entry.model || base.model || DEFAULT_PLATFORM_MODEL }
+      };
+    });
+
+  if (entries.length > 0) {
+    return entries;
+  }
+  return agencySettings
+    ? [{ source: 'agency', settings: agencySettings }]
+    : [{ source: 'platform', settings: { ...platformSettings, model: platformSettings.model || DEFAULT_PLATFORM_MODEL } }];
+}
+
+/**
+ * Picks the fallback chain an extraction runs with: the location's own chain when it has
+ * one, otherwise the chain on the agency's key record.
+ * @param {Array<{source: string, model?: string|null}>|null} locationChain - ghl_configurations.llm_fallback_chain.
+ * @param {Array<{source: string, model?: string|null}>|null} agencyChain - The agency key record's fallback_chain.
+ * @returns {Array<{source: string, model?: string|null}>|null}
+ */
+export function selectFallbackChain(locationChain, agencyChain) {
+  return Array.isArray(locationChain) && locationChain.length > 0 ? locationChain : agencyChain;
+}
+
+/**
+ * Whether a failed call should be retried or passed down the chain: rate limits, timeouts,
+ * server errors, and requests that never completed. Other errors would fail the same way
+ * on the next provider (a bad request) or need fixing (a revoked key).
+ * @param {any} error
+ * @returns {boolean}
+ */
+export function isFallbackError(error) {
+  const status = error?.status;
+  if (!status) {
+    // fetch rejects with a TypeError when the connection fails, in Deno and Node alike
+    return error instanceof TypeError;
+  }
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Parses a Retry-After header (delta-seconds or HTTP date) into seconds.
+ * @param {string|null|undefined} retryAfter
+ * @returns {number|null}
+ */
+export function parseRetryAfterSeconds(retryAfter) {
+  if (!retryAfter) {
+    return null;
+  }
+  const seconds = Number(retryAfter);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, Math.ceil(seconds));
+  }
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * @typedef {Object} AttemptRecord
+ * @property {number} attempt - 1-based position among all calls made.
+ * @property {number} chain_index - Position of the entry in the chain.
+ * @property {'agency'|'platform'} source - Whose key was used, and so who pays for it.
+ * @property {string} provider_type
+ * @property {string|null} model - Model requested.
+ * @property {'succeeded'|'failed'} outcome
+ * @property {number|null} status - HTTP status of a failed call.
+ * @property {string|null} error
+ * @property {number|null} retry_after_seconds
+ * @property {number} duration_ms
+ */
+
+/**
+ * Sends a request down a fallback chain. Each entry is tried up to maxRetries + 1 times:
+ * a rate limit or server error is retried after the provider's Retry-After (or a short
+ * exponential backoff when it sends none) as long as that wait is at most maxWaitSeconds,
+ * and otherwise the next entry is tried. Any other error ends the chain. An entry whose
+ * settings are unusable (say, an Azure key with no deployment) is recorded as a failed
+ * attempt and skipped, since a later entry may use a different key.
+ *
+ * Resolves to the completion, the entry that produced it and a record of every call. When
+ * every entry fails, rejects with the last error, with the record attached as `attempts`;
+ * its status and Retry-After headers are left for the job worker's own backoff.
+ * @param {ChainEntry[]} chain
+ * @param {{system: string, messages: Array<{role: string, content: string}>, jsonSchema?: Object|null, temperature?: number}} request
+ * @param {{maxRetries?: number, maxWaitSeconds?: number, sleep?: (ms: number) => Promise<void>}} [options]
+ * @returns {Promise<{completion: Completion, entry: ChainEntry, chainIndex: number, attempts: AttemptRecord[]}>}
+ */
+export async function completeWithFallback(chain, request, options = {}) {
+  const { maxRetries = 1, maxWaitSeconds = 10, sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)) } = options;
+  const attempts = [];
+  let lastError = null;
+
+  for (let chainIndex = 0; chainIndex < chain.length; chainIndex++) {
+    const entry = chain[chainIndex];
+    let provider;
+    try {
+      provider = createLLMProvider(entry.settings);
+    } catch (error) {
+      lastError = error;
+      attempts.push({
+        attempt: attempts.length + 1,
+        chain_index: chainIndex,
+        source: entry.source,
+        provider_type: entry.settings?.provider_type || 'openai',
+        model: entry.settings?.model || null,
+        outcome: 'failed',
+        status: null,
+        error: error.message,
+        retry_after_seconds: null,
+        duration_ms: 0
+      });
+      console.warn(`Skipping ${entry.source} ${entry.settings?.provider_type || 'openai'} entry:`, error.message);
+      continue;
+    }
+
+    for (let retry = 0; retry <= maxRetries; retry++) {
+      const startedAt = Date.now();
+      const record = {
+        attempt: attempts.length + 1,
+        chain_index: chainIndex,
+        source: entry.source,
+        provider_type: provider.type,
+        model: provider.model,
+        outcome: 'failed',
+        status: null,
+        error: null,
+        retry_after_seconds: null,
+        duration_ms: 0
+      };
+      attempts.push(record);
+
+      try {
+        const completion = await provider.complete(request);
+        record.outcome = 'succeeded';
+        record.duration_ms = Date.now() - startedAt;
+        return { completion, entry, chainIndex, attempts };
+      } catch (error) {
+        lastError = error;
+        const retryAfter = parseRetryAfterSeconds(error.headers?.['retry-after']);
+        Object.assign(record, {
+          status: error.status || null,
+          error: error.message,
+          retry_after_seconds: retryAfter,
+          duration_ms: Date.now() - startedAt
+        });
+        console.warn(`Attempt ${record.attempt} (${entry.source} ${provider.type} ${provider.model}) failed:`, error.message);
+
+        if (!isFallbackError(error)) {
+          error.attempts = attempts;
+          throw error;
+        }
+
+        const waitSeconds = retryAfter ?? Math.pow(2, retry);
+        if (retry === maxRetries || waitSeconds > maxWaitSeconds) {
+          break;
+        }
+        await sleep(waitSeconds * 1000);
+      }
+    }
+  }
+
+  lastError.attempts = attempts;
+  throw lastError;
+}
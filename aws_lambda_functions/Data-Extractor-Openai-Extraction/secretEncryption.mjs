@@ -0,0 +1,283 @@
+// Envelope encryption for secrets stored in the database: agency LLM API keys and GHL OAuth tokens.
+// Used by the edge functions and by the Data-Extractor-Openai-Extraction and
+// Data-Extractor-Contact-Updater Lambdas, whose secretEncryption.mjs files are verbatim
+// copies of this file; edit here and copy it over.
+//
+// Runtime-neutral like value-normalizer.mjs: plain ESM, no imports, and nothing beyond the
+// Web Crypto API (globalThis.crypto), btoa and atob, which Deno and Node 18+ both provide.
+//
+// Every secret gets its own random 256-bit data key. The secret is encrypted with the data
+// key and the data key with a master key, both with AES-256-GCM. The stored value is
+//
+//   enc:v1:<master key id>:<wrapped data key>:<ciphertext>
+//
+// where both encrypted parts are base64 of a 12-byte IV followed by the GCM output. The
+// caller's context string (e.g. the row id) is bound as additional authenticated data, so
+// a value copied into another row does not decrypt. Master keys are versioned by id:
+// rotating re-wraps the data key under the current master key and leaves the ciphertext
+// as it is, so old master keys can be retired once every row has been re-wrapped.
+
+export const ENCRYPTED_PREFIX = 'enc:v1:';
+
+const IV_BYTES = 12;
+
+/**
+ * @typedef {Object} Keyring
+ * @property {string} currentId - Master key id used for new encryptions.
+ * @property {Map<string, CryptoKey>} keys - Every master key that can still decrypt.
+ */
+
+/**
+ * Builds a keyring from a master key list.
+ * @param {string} spec - Comma-separated `<id>:<base64 32-byte key>` entries.
+ * @param {string} [currentId] - Id of the key new secrets are encrypted with; defaults to the first entry.
+ * @returns {Promise<Keyring>}
+ */
+export async function loadKeyring(spec, currentId) {
+  if (!spec) {
+    throw new Error('No encryption master keys configured (ENCRYPTION_MASTER_KEYS)');
+  }
+
+  const keys = new Map();
+  for (const entry of spec.split(',').map((part) => part.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    const id = entry.slice(0, separator);
+    const raw = base64ToBytes(entry.slice(separator + 1));
+    if (separator <= 0 || raw.length !== 32) {
+      throw new Error('Each encryption master key must be "<id>:<base64 of 32 bytes>"');
+    }
+    keys.set(id, await crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']));
+  }
+
+  const current = currentId || keys.keys().next().value;
+  if (!keys.has(current)) {
+    throw new Error(`Current encryption master key "${current}" is not in ENCRYPTION_MASTER_KEYS`);
+  }
+  return { currentId: current, keys };
+}
+
+/**
+ * The context a secret is bound to: the table and row it is stored in, and the column when
+ * the row holds more than one secret.
+ * @param {string} table
+ * @param {string} rowId
+ * @param {string} [column]
+ * @returns {string}
+ */
+export function secretContext(table, rowId, column) {
+  return column ? `${table}:${rowId}:${column}` : `${table}:${rowId}`;
+}
+
+/**
+ * Whether a stored value was written by encryptSecret (as opposed to a legacy base64 value).
+ * @param {string|null|undefined} stored
+ * @returns {boolean}
+ */
+export function isEncryptedSecret(stored) {
+  return typeof stored === 'string' && stored.startsWith(ENCRYPTED_PREFIX);
+}
+
+/**
+ * The id of the master key a stored value is wrapped with, or null for legacy values.
+ * @param {string|null|undefined} stored
+ * @returns {string|null}
+ */
+export function masterKeyIdOf(stored) {
+  return isEncryptedSecret(stored) ? stored.slice(ENCRYPTED_PREFIX.length).split(':')[0] : null;
+}
+
+/**
+ * Encrypts a secret under a fresh data key wrapped with the current master key.
+ * @param {string} plaintext
+ * @param {Keyring} keyring
+ * @param {string} context - Binds the value to where it is stored; see secretContext.
+ * @returns {Promise<string>}
+ */
+export async function encryptSecret(plaintext, keyring, context) {
+  const dataKeyBytes = crypto.getRandomValues(new Uint8Array(32));
+  const dataKey = await crypto.subtle.importKey('raw', dataKeyBytes, 'AES-GCM', false, ['encrypt']);
+
+  const ciphertext = await seal(dataKey, new TextEncoder().encode(plaintext), context);
+  const wrappedKey = await seal(keyring.keys.get(keyring.currentId), dataKeyBytes, keyring.currentId);
+  return `${ENCRYPTED_PREFIX}${keyring.currentId}:${wrappedKey}:${ciphertext}`;
+}
+
+/**
+ * Decrypts a stored secret. Values from before encryption (base64 of the secret) are only
+ * decoded while no master keys are configured. Once there is a keyring they are refused, so
+ * nothing keeps running on a secret stored in the clear; rotate-encryption-keys encrypts them.
+ * @param {string} stored
+ * @param {Keyring|null} keyring - The configured keyring, or null when there are no master keys.
+ * @param {string} context - The context the value was encrypted with.
+ * @returns {Promise<string>}
+ */
+export async function decryptSecret(stored, keyring, context) {
+  if (!isEncryptedSecret(stored)) {
+    if (keyring) {
+      throw new Error('Refusing a secret stored without encryption; run rotate-encryption-keys to encrypt it');
+    }
+    console.warn('Decoding a legacy unencrypted secret; set ENCRYPTION_MASTER_KEYS and run rotate-encryption-keys to encrypt it');
+    return decodeLegacySecret(stored);
+  }
+
+  const dataKeyBytes = await unwrapDataKey(stored, keyring);
+  const dataKey = await crypto.subtle.importKey('raw', dataKeyBytes, 'AES-GCM', false, ['decrypt']);
+  const ciphertext = stored.slice(ENCRYPTED_PREFIX.length).split(':')[2];
+  return new TextDecoder().decode(await open(dataKey, ciphertext, context));
+}
+
+/**
+ * Re-wraps a stored secret's data key under the current master key. The ciphertext itself
+ * is unchanged, so the context is not needed.
+ * @param {string} stored - Must be an encrypted value; legacy values need encryptSecret.
+ * @param {Keyring} keyring
+ * @returns {Promise<string>}
+ */
+export async function rewrapSecret(stored, keyring) {
+  const dataKeyBytes = await unwrapDataKey(stored, keyring);
+  const ciphertext = stored.slice(ENCRYPTED_PREFIX.length).split(':')[2];
+  const wrappedKey = await seal(keyring.keys.get(keyring.currentId), dataKeyBytes, keyring.currentId);
+  return `${ENCRYPTED_PREFIX}${keyring.currentId}:${wrappedKey}:${ciphertext}`;
+}
+
+/**
+ * Decodes a value stored before encryption existed: base64 of the secret, or the secret itself.
+ * @param {string} stored
+ * @returns {string}
+ */
+export function decodeLegacySecret(stored) {
+  try {
+    return new TextDecoder().decode(base64ToBytes(stored));
+  } catch (e) {
+    return stored;
+  }
+}
+
+/**
+ * A hint that identifies a secret in the UI without revealing it, e.g. `sk-...a1B2`.
+ * @param {string} plaintext
+ * @returns {string}
+ */
+export function secretHint(plaintext) {
+  if (!plaintext || plaintext.length < 12) {
+    return '****';
+  }
+  return `${plaintext.slice(0, 3)}...${plaintext.slice(-4)}`;
+}
+
+// GHL OAuth tokens. ghl_configurations.access_token and refresh_token hold encrypted values;
+// tokens saved before encryption are plain text (not base64) until rotate-encryption-keys
+// encrypts them, so they are passed through rather than decoded.
+
+/** ghl_configurations columns holding GHL OAuth tokens. */
+export const GHL_TOKEN_COLUMNS = ['access_token', 'refresh_token'];
+
+/**
+ * Whether a token is one of the dev-, test- or temp- placeholders written by development setups.
+ * @param {string|null|undefined} token
+ * @returns {boolean}
+ */
+export function isPlaceholderToken(token) {
+  return typeof token === 'string' && /^(dev|test|temp)-/.test(token);
+}
+
+/**
+ * Whether any of a ghl_configurations row's tokens needs a keyring to decrypt.
+ * @param {object} config
+ * @returns {boolean}
+ */
+export function hasEncryptedGhlTokens(config) {
+  return GHL_TOKEN_COLUMNS.some((column) => isEncryptedSecret(config?.[column]));
+}
+
+/**
+ * Decrypts a ghl_configurations row's tokens. Returns a copy; columns not selected stay absent.
+ * @param {object} config - Needs id and whichever token columns were selected.
+ * @param {Keyring|null} keyring - May be null when hasEncryptedGhlTokens is false.
+ * @returns {Promise<object>}
+ */
+export async function decryptGhlTokens(config, keyring) {
+  const decrypted = { ...config };
+  for (const column of GHL_TOKEN_COLUMNS) {
+    if (isEncryptedSecret(config[column])) {
+      decrypted[column] = await decryptSecret(config[column], keyring, secretContext('ghl_configurations', config.id, column));
+    }
+  }
+  return decrypted;
+}
+
+/**
+ * Encrypts tokens for writing to a ghl_configurations row, along with the token_is_placeholder
+ * flag the browser reads instead of the tokens. Only the tokens given are returned; null clears one.
+ * @param {{access_token?: string|null, refresh_token?: string|null}} tokens
+ * @param {Keyring} keyring
+ * @param {string} configId - The row the tokens are written to; new rows need their id chosen up front.
+ * @returns {Promise<object>} Columns to include in the insert or update.
+ */
+export async function encryptGhlTokens(tokens, keyring, configId) {
+  const columns = {};
+  for (const column of GHL_TOKEN_COLUMNS) {
+    if (column in tokens) {
+      columns[column] = tokens[column]
+        ? await encryptSecret(tokens[column], keyring, secretContext('ghl_configurations', configId, column))
+        : null;
+    }
+  }
+  if ('access_token' in tokens) {
+    columns.token_is_placeholder = isPlaceholderToken(tokens.access_token);
+  }
+  return columns;
+}
+
+async function unwrapDataKey(stored, keyring) {
+  const [keyId, wrappedKey] = stored.slice(ENCRYPTED_PREFIX.length).split(':');
+  const masterKey = keyring?.keys.get(keyId);
+  if (!masterKey) {
+    throw new Error(`Encryption master key "${keyId}" is not configured`);
+  }
+  return new Uint8Array(await open(masterKey, wrappedKey, keyId));
+}
+
+async function seal(key, bytes, context) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const sealed = new Uint8Array(await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(context) },
+    key,
+    bytes
+  ));
+  const out = new Uint8Array(IV_BYTES + sealed.length);
+  out.set(iv);
+  out.set(sealed, IV_BYTES);
+  return bytesToBase64(out);
+}
+
+async function open(key, encoded, context) {
+  const bytes = base64ToBytes(encoded);
+  try {
+    return await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: bytes.slice(0, IV_BYTES), additionalData: new TextEncoder().encode(context) },
+      key,
+      bytes.slice(IV_BYTES)
+    );
+  } catch (e) {
+    // GCM authentication failed: wrong key, wrong context or a tampered value
+    throw new Error('Failed to decrypt secret');
+  }
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(encoded) {
+  const binary = atob(encoded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
@@ -16,6 +16,7 @@ try {
 // Caches for different secret types
 let supabaseSecretsCache = {};
 let openaiSecretsCache = {};
+let encryptionSecretsCache = {};
 
 /**
  * Initializes the Secrets Manager client if it hasn't been already.
@@ -82,4 +83,12 @@ export async function getSupabaseSecrets() {
  */
 export async function getOpenAISecrets() {
     return fetchAndCacheSecret('OPENAI_SECRET_NAME', openaiSecretsCache);
+}
+
+/**
+ * Retrieves the master keys that encrypt secrets stored in Supabase: agency API keys and GHL tokens.
+ * @returns {Promise<object>} An object containing ENCRYPTION_MASTER_KEYS and, optionally, ENCRYPTION_MASTER_KEY_ID.
+ */
+export async function getEncryptionSecrets() {
+    return fetchAndCacheSecret('ENCRYPTION_SECRET_NAME', encryptionSecretsCache);
 }
\ No newline at end of file
@@ -207,9 +207,12 @@ export const handler = async (event) => { // Directly export the async handler
 
         // Step 4.5: Determine billing entity and fetch billing tokens
         console.log('Step 4.5: Determining billing entity and tokens...');
+        // The billing access token is passed on encrypted, as stored; the extraction Lambda decrypts
+        // it with billing_config_id, the configuration row it was encrypted for, and refreshes it
+        // through the token broker, which reads the refresh token itself
         let billing_entity_id;
+        let billing_config_id;
         let billing_access_token;
-        let billing_refresh_token;
         let billing_token_expires_at;
         let billing_user_id;
         let billing_company_id;
@@ -226,8 +229,8 @@ export const handler = async (event) => { // Directly export the async handler
                 throw new Error(`No GHL configuration found for agency: ${ghlConfig.agency_ghl_id}`);
             }
             
+            billing_config_id = agencyConfig.id;
             billing_access_token = agencyConfig.access_token;
-            billing_refresh_token = agencyConfig.refresh_token;
             billing_token_expires_at = agencyConfig.token_expires_at;
             billing_user_id = agencyConfig.user_id;
             billing_company_id = agencyConfig.ghl_company_id || ghlConfig.agency_ghl_id;
@@ -235,14 +238,13 @@ export const handler = async (event) => { // Directly export the async handler
             console.log('Agency billing configuration retrieved:', {
                 billing_entity_id,
                 hasAccessToken: !!billing_access_token,
-                hasRefreshToken: !!billing_refresh_token,
                 tokenExpiry: billing_token_expires_at
             });
         } else {
             // Direct location - location will be billed directly
             billing_entity_id = ghlConfig.ghl_account_id;
+            billing_config_id = ghlConfig.id;
             billing_access_token = ghlConfig.access_token;
-            billing_refresh_token = ghlConfig.refresh_token;
             billing_token_expires_at = ghlConfig.token_expires_at;
             billing_user_id = ghlConfig.user_id;
             billing_company_id = ghlConfig.ghl_company_id || ghlConfig.ghl_account_id;
@@ -301,11 +303,12 @@ export const handler = async (event) => { // Directly export the async handler
             fields_to_extract: fieldsToExtract,
             conversation_history: conversationData.messages,
             system_prompt: promptData.prompt, // Use the generated prompt
+            prompt_version_id: promptData.promptVersionId || null,
             instructions: "Extract all relevant information from the conversation",
             // Billing entity information for metered pricing
             billing_entity_id: billing_entity_id,
+            billing_config_id: billing_config_id,
             billing_access_token: billing_access_token,
-            billing_refresh_token: billing_refresh_token,
             billing_token_expires_at: billing_token_expires_at,
             billing_user_id: billing_user_id,
             billing_company_id: billing_company_id,
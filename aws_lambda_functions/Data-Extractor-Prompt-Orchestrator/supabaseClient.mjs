@@ -123,7 +123,8 @@ export async function getContextualRules(supabase, configId) {
             const { data, error } = await supabase.from('contextual_rules')
                 .select('rule_name, rule_description, rule_type, rule_value, is_active')
                 .eq('config_id', configId)
-                .eq('is_active', true);
+                .eq('is_active', true)
+                .order('sort_order', { ascending: true });
 
             if (error) {
                 if (subsegment) subsegment.addError(error);
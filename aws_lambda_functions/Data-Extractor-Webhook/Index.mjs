@@ -11,11 +11,24 @@ import {
 } from './awsUtilities.mjs'
 
 // Import webhook processing utilities and constants
+import { CORS_HEADERS } from './ghlUtils.mjs'
+
+import {
+  loadChannelPolicy,
+  normalizeGHLWebhook,
+  quarantineWebhook,
+  shouldTriggerExtraction,
+  toConversationRecord,
+} from './ghlWebhookNormalizer.mjs'
+
+import { handleLifecycleEvent } from './ghlAppLifecycle.mjs'
+
 import {
-  CORS_HEADERS,
-  INBOUND_AI_EXTRACTION_MESSAGE_TYPES,
-  mapWebhookToConversation,
-} from './ghlUtils.mjs'
+  getRawBody,
+  getSignatureHeader,
+  verifyGHLWebhookSignature,
+  recordRejectedWebhook,
+} from './webhookSignature.mjs'
 
 let cachedSecrets = null; // Cache secrets across warm invocations
 
@@ -85,21 +98,35 @@ export const handler = async (event) => {
     };
   }
 
+  // Verify the GHL signature on the raw body before trusting anything in it
+  const rawBody = getRawBody(event);
+  const verification = verifyGHLWebhookSignature(rawBody || '', getSignatureHeader(event.headers));
+
+  if (!verification.valid) {
+    console.warn(`Rejecting webhook: ${verification.reason}`);
+    if (segment) segment.addAnnotation('requestType', 'INVALID_SIGNATURE');
+    const supabase = createClient(cachedSecrets.SUPABASE_PROJECT_URL, cachedSecrets.SUPABASE_SERVICE_ROLE_SECRET);
+    await recordRejectedWebhook(supabase, { reason: verification.reason, rawBody }, event);
+    return {
+      statusCode: 401,
+      headers: {
+        "Content-Type": "application/json",
+        ...CORS_HEADERS
+      },
+      body: JSON.stringify({
+        error: "Invalid webhook signature.",
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+
   let rawWebhookData;
   try {
     // Ensure event.body exists before trying to parse it
-    if (!event.body) {
+    if (!rawBody) {
         throw new Error("Request body is missing.");
     }
-    rawWebhookData = JSON.parse(event.body);
-    if (segment) {
-        segment.addAnnotation('locationId', rawWebhookData.locationId);
-        segment.addAnnotation('conversationId', rawWebhookData.conversationId);
-        segment.addAnnotation('contactId', rawWebhookData.contactId);
-        segment.addAnnotation('webhookType', rawWebhookData.type);
-        segment.addAnnotation('messageType', rawWebhookData.messageType);
-        segment.addAnnotation('direction', rawWebhookData.direction);
-    }
+    rawWebhookData = JSON.parse(rawBody);
   } catch (e) {
     console.error("Error parsing request body as JSON:", e);
     if (segment) segment.addError(e);
@@ -122,7 +149,57 @@ export const handler = async (event) => {
 
   try {
     const supabase = createClient(cachedSecrets.SUPABASE_PROJECT_URL, cachedSecrets.SUPABASE_SERVICE_ROLE_SECRET);
-    const conversationData = mapWebhookToConversation(rawWebhookData);
+
+    // Normalize either GHL payload shape into one event
+    const result = normalizeGHLWebhook(rawWebhookData);
+    const webhookType = rawWebhookData?.type || rawWebhookData?.event || 'unknown';
+
+    if (result.kind !== 'message') {
+      if (result.kind === 'lifecycle') {
+        console.log(`Processing ${webhookType} lifecycle event`);
+        if (segment) segment.addAnnotation('requestType', 'LIFECYCLE');
+        await handleLifecycleEvent(supabase, result.event, {
+          clientId: cachedSecrets.GHL_MARKETPLACE_CLIENT_ID,
+        });
+      } else if (result.kind === 'ignored') {
+        console.log(`Ignoring unsupported event type: ${webhookType}`);
+        if (segment) segment.addAnnotation('requestType', 'IGNORED_EVENT');
+      } else {
+        // Unknown or incomplete shape: keep it for inspection instead of dropping it
+        console.warn(`Quarantining ${webhookType} webhook: ${result.reason}`, result.missingFields || '');
+        if (segment) segment.addAnnotation('requestType', 'QUARANTINED');
+        await quarantineWebhook(supabase, {
+          source: 'Data-Extractor-Webhook',
+          result,
+          payload: rawWebhookData,
+        });
+      }
+
+      return {
+        statusCode: 200,
+        headers: {
+          "Content-Type": "application/json",
+          ...CORS_HEADERS
+        },
+        body: JSON.stringify({
+          success: true,
+          message: `GHL webhook ${result.kind}.`,
+          outcome: result.kind,
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    const conversationData = toConversationRecord(result.event, rawWebhookData);
+
+    if (segment) {
+        segment.addAnnotation('locationId', conversationData.location_id);
+        segment.addAnnotation('conversationId', conversationData.conversation_id);
+        segment.addAnnotation('contactId', conversationData.contact_id);
+        segment.addAnnotation('webhookType', webhookType);
+        segment.addAnnotation('messageType', conversationData.message_type);
+        segment.addAnnotation('direction', conversationData.direction);
+    }
 
     let logId = null;
     if (segment && AWSXRay.captureAsyncFunc) {
@@ -172,9 +249,11 @@ export const handler = async (event) => {
         direction: direction,
     };
 
-    if (direction === 'inbound' && INBOUND_AI_EXTRACTION_MESSAGE_TYPES.includes(message_type)) {
-        console.log(`inbound text-based message (${message_type}) detected. Invoking AI Extraction Lambda: ${AI_EXTRACTION_LAMBDA_ARN}`);
-        await invokeDownstreamLambda(AI_EXTRACTION_LAMBDA_ARN, invocationPayload, segment);
+    // The location's channel policy decides whether this message is processed at all
+    const policy = await loadChannelPolicy(supabase, location_id);
+
+    if (!shouldTriggerExtraction(result.event, policy)) {
+        console.log(`${direction} ${message_type} message not covered by channel policy, skipping processing`);
     } else if (message_type === 'Call' || message_type === 'Voicemail') {
         console.log(`Call/Voicemail detected. Invoking Call Processing Lambda: ${CALL_PROCESSING_LAMBDA_ARN}`);
         await invokeDownstreamLambda(CALL_PROCESSING_LAMBDA_ARN, invocationPayload, segment);
@@ -182,7 +261,8 @@ export const handler = async (event) => {
         console.log(`Email detected. Invoking Email Processing Lambda: ${EMAIL_PROCESSING_LAMBDA_ARN}`);
         await invokeDownstreamLambda(EMAIL_PROCESSING_LAMBDA_ARN, invocationPayload, segment);
     } else {
-        console.log(`No specific downstream processing required for message type: ${message_type}, direction: ${direction}`);
+        console.log(`${direction} text-based message (${message_type}) detected. Invoking AI Extraction Lambda: ${AI_EXTRACTION_LAMBDA_ARN}`);
+        await invokeDownstreamLambda(AI_EXTRACTION_LAMBDA_ARN, invocationPayload, segment);
     }
 
     return {
@@ -63,6 +63,8 @@ import {
             SUPABASE_PROJECT_URL: secrets.SUPABASE_PROJECT_URL,
             SUPABASE_ANON_PUBLIC: secrets.SUPABASE_ANON_PUBLIC,
             SUPABASE_SERVICE_ROLE_SECRET: secrets.SUPABASE_SERVICE_ROLE_SECRET,
+            // Optional; recorded on configurations provisioned by INSTALL webhooks
+            GHL_MARKETPLACE_CLIENT_ID: secrets.GHL_MARKETPLACE_CLIENT_ID || null,
         };
       } else {
         throw new Error("SecretString is empty or null.");
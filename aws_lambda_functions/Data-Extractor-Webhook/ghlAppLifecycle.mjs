@@ -0,0 +1,309 @@
+// GoHighLevel app lifecycle handling (INSTALL, UNINSTALL, LocationUpdate), shared by
+// ghl-webhook-handler (Deno) and the Data-Extractor-Webhook Lambda (Node).
+//
+// Like ghl-webhook-normalizer.mjs this file must stay runtime-neutral. The Lambda copy at
+// aws_lambda_functions/Data-Extractor-Webhook/ghlAppLifecycle.mjs is a verbatim copy of
+// this file; edit here and copy it over.
+//
+// Every lifecycle event writes an audit_log entry against the ghl_configurations row.
+// Tokens are never written to the audit entry.
+
+/** Columns copied into audit entries; never includes tokens. */
+const AUDITED_COLUMNS = [
+  'ghl_account_id',
+  'ghl_company_id',
+  'agency_ghl_id',
+  'ghl_user_type',
+  'business_name',
+  'timezone',
+  'is_active',
+  'installed_at',
+  'uninstalled_at',
+];
+
+/**
+ * Picks the audited columns from a configuration row.
+ * @param {object | null} row - A ghl_configurations row.
+ * @returns {object | null}
+ */
+function auditSnapshot(row) {
+  if (!row) {
+    return null;
+  }
+  return Object.fromEntries(AUDITED_COLUMNS.filter((column) => column in row).map((column) => [column, row[column]]));
+}
+
+/**
+ * Writes an audit_log entry for a lifecycle change. Never throws.
+ * @param {object} supabase - A Supabase client with the service role.
+ * @param {object} entry - The audit entry.
+ * @param {string} entry.action - INSTALL, UNINSTALL or LOCATION_UPDATE.
+ * @param {string | null} entry.recordId - The ghl_configurations id.
+ * @param {object | null} entry.oldValues - Row before the change.
+ * @param {object | null} entry.newValues - Row after the change.
+ * @param {string | null} entry.userId - GHL user who triggered it, if known.
+ */
+async function writeAuditEntry(supabase, { action, recordId, oldValues, newValues, userId }) {
+  try {
+    const { error } = await supabase
+      .from('audit_log')
+      .insert({
+        table_name: 'ghl_configurations',
+        record_id: recordId,
+        action,
+        old_values: auditSnapshot(oldValues),
+        new_values: auditSnapshot(newValues),
+        user_id: userId,
+      });
+
+    if (error) {
+      console.error(`Failed to write ${action} audit entry:`, error);
+    }
+  } catch (error) {
+    console.error(`Error writing ${action} audit entry:`, error);
+  }
+}
+
+/**
+ * Provisions the configuration row for a new install. The row stays inactive until the
+ * OAuth exchange stores tokens for it; a reinstall clears uninstalled_at.
+ * @param {object} supabase - A Supabase client with the service role.
+ * @param {object} event - A normalized lifecycle event.
+ * @param {{clientId?: string | null}} options
+ * @returns {Promise<object>} Summary of what changed.
+ */
+async function handleInstall(supabase, event, { clientId }) {
+  const resourceId = event.location_id || event.company_id;
+  const now = new Date().toISOString();
+
+  const { data: existing, error: fetchError } = await supabase
+    .from('ghl_configurations')
+    .select('*')
+    .eq('ghl_account_id', resourceId)
+    .maybeSingle();
+
+  if (fetchError) {
+    throw new Error(`Failed to fetch configuration: ${fetchError.message}`);
+  }
+
+  let config;
+  if (existing) {
+    const { data, error } = await supabase
+      .from('ghl_configurations')
+      .update({
+        ghl_company_id: event.company_id,
+        agency_ghl_id: event.company_id,
+        installed_at: now,
+        uninstalled_at: null,
+        updated_at: now,
+      })
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update configuration on install: ${error.message}`);
+    }
+    config = data;
+  } else {
+    const { data, error } = await supabase
+      .from('ghl_configurations')
+      .insert({
+        user_id: event.user_id,
+        created_by: event.user_id,
+        ghl_account_id: resourceId,
+        ghl_company_id: event.company_id,
+        agency_ghl_id: event.company_id,
+        ghl_user_type: event.install_type,
+        client_id: clientId || null,
+        business_name: event.name || `GHL ${event.install_type || 'Location'} - ${resourceId}`,
+        business_description: 'Provisioned by INSTALL webhook, awaiting OAuth',
+        is_active: false,
+        installed_at: now,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to provision configuration: ${error.message}`);
+    }
+    config = data;
+  }
+
+  await writeAuditEntry(supabase, {
+    action: 'INSTALL',
+    recordId: config.id,
+    oldValues: existing,
+    newValues: config,
+    userId: event.user_id,
+  });
+
+  console.log(`✅ Install recorded for ${resourceId} (${existing ? 'existing' : 'new'} configuration)`);
+  return { action: 'install', ghl_account_id: resourceId, provisioned: !existing };
+}
+
+/**
+ * Deactivates configurations for an uninstall, clears their tokens and frees their
+ * license seats. An agency-level uninstall (no locationId) covers the agency's own
+ * configuration and every location under it.
+ * @param {object} supabase - A Supabase client with the service role.
+ * @param {object} event - A normalized lifecycle event.
+ * @returns {Promise<object>} Summary of what changed.
+ */
+async function handleUninstall(supabase, event) {
+  const now = new Date().toISOString();
+  const configs = await findUninstalledConfigurations(supabase, event);
+
+  for (const config of configs) {
+    // GHL has already invalidated the tokens; clearing them stops refresh-tokens retrying them
+    const { data: updated, error: updateError } = await supabase
+      .from('ghl_configurations')
+      .update({
+        is_active: false,
+        access_token: null,
+        refresh_token: null,
+        token_expires_at: null,
+        uninstalled_at: now,
+        updated_at: now,
+      })
+      .eq('id', config.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      throw new Error(`Failed to deactivate configuration ${config.ghl_account_id}: ${updateError.message}`);
+    }
+
+    const { error: licenseError } = await supabase
+      .from('agency_licensed_locations')
+      .update({ is_active: false, updated_at: now })
+      .eq('location_ghl_id', config.ghl_account_id);
+
+    if (licenseError) {
+      throw new Error(`Failed to release license for ${config.ghl_account_id}: ${licenseError.message}`);
+    }
+
+    await writeAuditEntry(supabase, {
+      action: 'UNINSTALL',
+      recordId: config.id,
+      oldValues: config,
+      newValues: updated,
+      userId: event.user_id,
+    });
+  }
+
+  console.log(`✅ Uninstall deactivated ${configs.length} configuration(s)`);
+  return {
+    action: 'uninstall',
+    deactivated: configs.map((config) => config.ghl_account_id),
+  };
+}
+
+/**
+ * The configurations an uninstall covers: the location's own, or for an agency-level
+ * uninstall the agency's configuration and every location under it. The ids come from
+ * the webhook payload, so they are only ever passed as values, never built into filters.
+ * @param {object} supabase - A Supabase client with the service role.
+ * @param {object} event - A normalized lifecycle event.
+ * @returns {Promise<object[]>} ghl_configurations rows.
+ */
+async function findUninstalledConfigurations(supabase, event) {
+  const lookups = event.location_id
+    ? [['ghl_account_id', event.location_id]]
+    : [['ghl_account_id', event.company_id], ['agency_ghl_id', event.company_id]];
+
+  const configs = new Map();
+  for (const [column, value] of lookups) {
+    const { data, error } = await supabase
+      .from('ghl_configurations')
+      .select('*')
+      .eq(column, value);
+
+    if (error) {
+      throw new Error(`Failed to fetch configurations: ${error.message}`);
+    }
+    for (const config of data || []) {
+      configs.set(config.id, config);
+    }
+  }
+  return [...configs.values()];
+}
+
+/**
+ * Syncs the business name and timezone GHL reports for a location.
+ * @param {object} supabase - A Supabase client with the service role.
+ * @param {object} event - A normalized lifecycle event.
+ * @returns {Promise<object>} Summary of what changed.
+ */
+async function handleLocationUpdate(supabase, event) {
+  const { data: existing, error: fetchError } = await supabase
+    .from('ghl_configurations')
+    .select('*')
+    .eq('ghl_account_id', event.location_id)
+    .maybeSingle();
+
+  if (fetchError) {
+    throw new Error(`Failed to fetch configuration: ${fetchError.message}`);
+  }
+
+  if (!existing) {
+    console.log(`No configuration for location ${event.location_id}, ignoring LocationUpdate`);
+    return { action: 'location_update', ghl_account_id: event.location_id, updated: false };
+  }
+
+  const changes = {};
+  if (event.name && event.name !== existing.business_name) {
+    changes.business_name = event.name;
+  }
+  if (event.timezone && event.timezone !== existing.timezone) {
+    changes.timezone = event.timezone;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return { action: 'location_update', ghl_account_id: event.location_id, updated: false };
+  }
+
+  const { data: updated, error: updateError } = await supabase
+    .from('ghl_configurations')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', existing.id)
+    .select()
+    .single();
+
+  if (updateError) {
+    throw new Error(`Failed to sync location details: ${updateError.message}`);
+  }
+
+  await writeAuditEntry(supabase, {
+    action: 'LOCATION_UPDATE',
+    recordId: existing.id,
+    oldValues: existing,
+    newValues: updated,
+    userId: event.user_id,
+  });
+
+  console.log(`✅ Synced ${Object.keys(changes).join(', ')} for location ${event.location_id}`);
+  return { action: 'location_update', ghl_account_id: event.location_id, updated: true };
+}
+
+/**
+ * Applies a normalized lifecycle event to ghl_configurations and agency_licensed_locations.
+ * @param {object} supabase - A Supabase client with the service role.
+ * @param {object} event - A lifecycle event from normalizeGHLWebhook.
+ * @param {{clientId?: string | null}} [options] - clientId is the marketplace client id for new rows.
+ * @returns {Promise<object>} Summary of what changed.
+ */
+export async function handleLifecycleEvent(supabase, event, options = {}) {
+  console.log(`Handling ${event.ghl_event_type} for ${event.location_id || event.company_id}`);
+
+  switch (event.action) {
+    case 'install':
+      return handleInstall(supabase, event, options);
+    case 'uninstall':
+      return handleUninstall(supabase, event);
+    case 'location_update':
+      return handleLocationUpdate(supabase, event);
+    default:
+      throw new Error(`Unsupported lifecycle action: ${event.action}`);
+  }
+}
@@ -0,0 +1,110 @@
+import { createVerify } from 'node:crypto';
+
+// --- GHL Webhook Signature Verification ---
+// GHL signs every webhook body with RSA-SHA256 and sends the base64 signature
+// in the `x-wh-signature` header.
+export const GHL_WEBHOOK_SIGNATURE_HEADER = 'x-wh-signature';
+
+// Published GHL webhook public key. Override with GHL_WEBHOOK_PUBLIC_KEY if GHL rotates it.
+const GHL_WEBHOOK_PUBLIC_KEY = process.env.GHL_WEBHOOK_PUBLIC_KEY || `-----BEGIN PUBLIC KEY-----
+MIICIjANBgkqhkiG9w0BAQEFAAOCAg8AMIICCgKCAgEAokvo/r9tVgcfZ5DysOSC
+Frm602qYV0MaAiNnX9O8KxMbiyRKWeL9JpCpVpt4XHIcBOK4u3cLSqJGOLaPuXw6
+dO0t6Q/ZVdAV5Phz+ZtzPL16iCGeK9po6D6JHBpbi989mmzMryUnQJezlYJ3DVfB
+csedpinheNnyYeFXolrJvcsjDtfAeRx5ByHQmTnSdFUzuAnC9/GepgLT9SM4nCpv
+uxmZMxrJt5Rw+VUaQ9B8JSvbMPpez4peKaJPZHBbU3OdeCVx5klVXXZQGNHOs8gF
+3kvoV5rTnXV0IknLBXlcKKAQLZcY/Q9rG6Ifi9c+5vqlvHPCUJFT5XUGG5RKgOKU
+J062fRtN+rLYZUV+BjafxQauvC8wSWeYja63VSUruvmNj8xkx2zE/Juc+yjLjTXp
+IocmaiFeAO6fUtNjDeFVkhf5LNb59vECyrHD2SQIrhgXpO4Q3dVNA5rw576PwTzN
+h/AMfHKIjE4xQA1SZuYJmNnmVZLIZBlQAF9Ntd03rfadZ+yDiOXCCs9FkHibELhC
+HULgCsnuDJHcrGNd5/Ddm5hxGQ0ASitgHeMZ0kcIOwKDOzOU53lDza6/Y09T7sYJ
+PQe7z0cvj7aE4B+Ax1ZoZGPzpJlZtGXCsu9aTEGEnKzmsFqwcSsnw3JB31IGKAyk
+T1hhTiaCeIY/OwwwNUY2yvcCAwEAAQ==
+-----END PUBLIC KEY-----`;
+
+/**
+ * Returns the raw request body exactly as GHL sent it.
+ * Lambda Function URLs may base64-encode the body, which must be undone before verifying.
+ * @param {object} event - The Lambda Function URL event.
+ * @returns {string | null} The raw body string, or null if there is none.
+ */
+export function getRawBody(event) {
+  if (!event.body) {
+    return null;
+  }
+  return event.isBase64Encoded
+    ? Buffer.from(event.body, 'base64').toString('utf8')
+    : event.body;
+}
+
+/**
+ * Looks up the signature header regardless of casing.
+ * @param {object} headers - The event headers.
+ * @returns {string | null} The signature, or null if absent.
+ */
+export function getSignatureHeader(headers = {}) {
+  const match = Object.keys(headers).find(
+    (name) => name.toLowerCase() === GHL_WEBHOOK_SIGNATURE_HEADER
+  );
+  return match ? headers[match] : null;
+}
+
+/**
+ * Verifies a raw webhook body against the GHL signature.
+ * @param {string} rawBody - The exact request body.
+ * @param {string | null} signature - The base64 value of the x-wh-signature header.
+ * @returns {{valid: boolean, reason: string | null}} Verification outcome and rejection reason.
+ */
+export function verifyGHLWebhookSignature(rawBody, signature) {
+  if (!signature) {
+    return { valid: false, reason: 'missing_signature' };
+  }
+
+  try {
+    const verifier = createVerify('sha256');
+    verifier.update(rawBody, 'utf8');
+    verifier.end();
+    const valid = verifier.verify(GHL_WEBHOOK_PUBLIC_KEY, signature.trim(), 'base64');
+    return { valid, reason: valid ? null : 'invalid_signature' };
+  } catch (error) {
+    console.error('Webhook signature verification error:', error);
+    return { valid: false, reason: 'verification_error' };
+  }
+}
+
+/**
+ * Records a rejected webhook attempt in Supabase. Never throws.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - The Supabase client instance.
+ * @param {object} details - Rejection details.
+ * @param {string} details.reason - Why the webhook was rejected.
+ * @param {string | null} details.rawBody - The raw request body.
+ * @param {object} event - The Lambda Function URL event.
+ */
+export async function recordRejectedWebhook(supabase, { reason, rawBody }, event) {
+  try {
+    let payload = null;
+    try {
+      payload = rawBody ? JSON.parse(rawBody) : null;
+    } catch (e) {
+      payload = null;
+    }
+
+    const { error } = await supabase
+      .from('webhook_rejections')
+      .insert({
+        source: 'Data-Extractor-Webhook',
+        reason,
+        location_id: payload?.locationId || null,
+        event_type: payload?.type || payload?.event || null,
+        signature_present: !!getSignatureHeader(event.headers),
+        remote_ip: event.requestContext?.http?.sourceIp || null,
+        user_agent: event.requestContext?.http?.userAgent || null,
+        raw_body: rawBody ? rawBody.substring(0, 10000) : null
+      });
+
+    if (error) {
+      console.error('Failed to record rejected webhook:', error);
+    }
+  } catch (error) {
+    console.error('Error recording rejected webhook:', error);
+  }
+}
@@ -0,0 +1,114 @@
+// Stand-in for the OpenAI chat completions API, so evaluation runs work offline in CI.
+// Point openai-extraction at it with OPENAI_BASE_URL=http://<host>:<port>/v1.
+//
+// Usage: node scripts/openai-stub-server.mjs --dataset <dataset.json> [--port 8787]
+//
+// Each request is matched to the dataset case whose transcript messages all appear in it.
+// The answer is the case's stub_response if it has one; otherwise its expected_values, each
+// wrapped as {value, confidence: 1, message_id: null, quote: null}, with every other field of
+// the request's schema null. Requests that match no case get all nulls.
+
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+    }
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+if (!args.dataset) {
+  console.error('Usage: node scripts/openai-stub-server.mjs --dataset <dataset.json> [--port 8787]');
+  process.exit(1);
+}
+
+const dataset = JSON.parse(readFileSync(args.dataset, 'utf8'));
+const port = parseInt(args.port || process.env.PORT || '8787', 10);
+let completions = 0;
+
+function findCase(messages) {
+  const contents = messages.map((message) => String(message.content || ''));
+  return (dataset.cases || []).find((evaluationCase) => (evaluationCase.transcript || []).length > 0 &&
+    evaluationCase.transcript.every((message) => contents.some((content) => content.includes(String(message.content).trim()))));
+}
+
+function buildAnswer(body) {
+  const evaluationCase = findCase(body.messages || []);
+  if (evaluationCase?.stub_response) {
+    return { caseName: evaluationCase.name, answer: evaluationCase.stub_response };
+  }
+
+  const expected = evaluationCase?.expected_values || {};
+  const properties = body.response_format?.json_schema?.schema?.properties || {};
+  // Like a model under a strict schema, answer exactly the schema's keys when there is one
+  const keys = Object.keys(properties).length > 0 ? Object.keys(properties) : Object.keys(expected);
+  const answer = {};
+
+  for (const key of keys) {
+    if (key === 'escalation') {
+      answer[key] = { triggered: false, trigger_name: null, reason: null };
+    } else {
+      answer[key] = { value: expected[key] ?? null, confidence: 1, message_id: null, quote: null };
+    }
+  }
+
+  return { caseName: evaluationCase?.name || null, answer };
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+const server = createServer((req, res) => {
+  if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+    sendJson(res, 404, { error: { message: `No stub for ${req.method} ${req.url}`, type: 'invalid_request_error' } });
+    return;
+  }
+
+  let raw = '';
+  req.on('data', (chunk) => { raw += chunk; });
+  req.on('end', () => {
+    let body;
+    try {
+      body = JSON.parse(raw);
+    } catch (error) {
+      sendJson(res, 400, { error: { message: 'Request body is not JSON', type: 'invalid_request_error' } });
+      return;
+    }
+
+    const { caseName, answer } = buildAnswer(body);
+    const content = JSON.stringify(answer);
+    const promptTokens = Math.ceil(raw.length / 4);
+    const completionTokens = Math.ceil(content.length / 4);
+    completions += 1;
+
+    console.log(`Completion ${completions}: ${caseName ? `case "${caseName}"` : 'no matching case'}`);
+
+    sendJson(res, 200, {
+      id: `chatcmpl-stub-${completions}`,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: body.model || 'stub',
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content },
+        finish_reason: 'stop'
+      }],
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+      }
+    });
+  });
+});
+
+server.listen(port, () => {
+  console.log(`OpenAI stub listening on http://localhost:${port}/v1 with ${(dataset.cases || []).length} case(s) from ${args.dataset}`);
+});
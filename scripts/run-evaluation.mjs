@@ -0,0 +1,224 @@
+// Runs an evaluation dataset through a location's current prompt and model via the
+// run-evaluation edge function, prints per-field precision, recall and exact match, and
+// compares the run with a baseline. Meant for CI as well as for trying a prompt change.
+//
+// Usage:
+//   node scripts/run-evaluation.mjs --location <location_id>
+//     (--dataset-id <uuid> | --dataset <dataset.json>)
+//     [--label <text>] [--baseline <run uuid> | --baseline-file <report.json>]
+//     [--output <report.json>] [--fail-on-regression] [--min-exact-match <0-1>]
+//     [--timeout-minutes 30]
+//
+// Needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY. --dataset loads a dataset file into the
+// location (replacing the cases of a same-named dataset) before running it. With a local
+// Supabase stack and OPENAI_BASE_URL pointing at scripts/openai-stub-server.mjs, nothing
+// leaves the machine. --output writes a report that a later run can use as --baseline-file.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { createClient } from '@supabase/supabase-js';
+import { compareRuns } from '../supabase/functions/_shared/evaluation-metrics.mjs';
+
+const POLL_INTERVAL_MS = 3000;
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+    }
+  }
+  return args;
+}
+
+function formatMetric(value) {
+  return value === null || value === undefined ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`;
+}
+
+function formatDelta(value) {
+  if (value === null || value === undefined) return '';
+  const points = value * 100;
+  return points === 0 ? '' : ` (${points > 0 ? '+' : ''}${points.toFixed(1)})`;
+}
+
+async function loadDatasetFile(supabase, locationId, path) {
+  const file = JSON.parse(readFileSync(path, 'utf8'));
+  if (!file.name || !Array.isArray(file.cases)) {
+    throw new Error(`${path} needs a name and a cases array`);
+  }
+
+  const { data: existing, error: findError } = await supabase
+    .from('evaluation_datasets')
+    .select('id')
+    .eq('location_id', locationId)
+    .eq('name', file.name)
+    .maybeSingle();
+
+  if (findError) throw new Error(`Failed to look up dataset: ${findError.message}`);
+
+  let datasetId = existing?.id;
+  if (datasetId) {
+    const { error } = await supabase.from('evaluation_cases').delete().eq('dataset_id', datasetId);
+    if (error) throw new Error(`Failed to replace cases: ${error.message}`);
+  } else {
+    const { data, error } = await supabase
+      .from('evaluation_datasets')
+      .insert({ location_id: locationId, name: file.name, description: file.description || null })
+      .select('id')
+      .single();
+    if (error) throw new Error(`Failed to create dataset: ${error.message}`);
+    datasetId = data.id;
+  }
+
+  const { error: casesError } = await supabase
+    .from('evaluation_cases')
+    .insert(file.cases.map((evaluationCase, index) => ({
+      dataset_id: datasetId,
+      name: evaluationCase.name || `Case ${index + 1}`,
+      transcript: evaluationCase.transcript,
+      expected_values: evaluationCase.expected_values || {},
+      sort_order: index
+    })));
+
+  if (casesError) throw new Error(`Failed to insert cases: ${casesError.message}`);
+
+  console.log(`Loaded ${file.cases.length} case(s) into dataset "${file.name}" (${datasetId})`);
+  return datasetId;
+}
+
+async function waitForRun(supabase, runId, timeoutMinutes) {
+  const deadline = Date.now() + timeoutMinutes * 60 * 1000;
+
+  while (Date.now() < deadline) {
+    const { data: run, error } = await supabase
+      .from('evaluation_runs')
+      .select('*')
+      .eq('id', runId)
+      .single();
+
+    if (error) throw new Error(`Failed to fetch run: ${error.message}`);
+    if (run.status !== 'running') return run;
+
+    process.stdout.write(`\r${run.cursor}/${run.case_ids.length} case(s) run`);
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+
+  throw new Error(`Run ${runId} did not finish within ${timeoutMinutes} minute(s)`);
+}
+
+function printReport(run, comparison) {
+  const fields = run.metrics.fields;
+  const changes = comparison?.fields || {};
+
+  console.log('\n');
+  console.log(`Run ${run.id}${run.label ? ` "${run.label}"` : ''} · model ${run.model || 'unknown'} · prompt ${run.prompt_hash ? run.prompt_hash.slice(0, 12) : 'unknown'}`);
+  console.log('');
+  console.log(`${'Field'.padEnd(36)} Precision        Recall           Exact match`);
+
+  for (const key of Object.keys(fields).sort()) {
+    const metrics = fields[key];
+    const delta = changes[key] || {};
+    console.log([
+      key.padEnd(36),
+      `${formatMetric(metrics.precision)}${formatDelta(delta.precision?.delta)}`.padEnd(16),
+      `${formatMetric(metrics.recall)}${formatDelta(delta.recall?.delta)}`.padEnd(16),
+      `${formatMetric(metrics.exact_match)}${formatDelta(delta.exact_match?.delta)}`
+    ].join(' '));
+  }
+
+  const overall = run.metrics.overall;
+  console.log('');
+  console.log(`Overall: precision ${formatMetric(overall.precision)}, recall ${formatMetric(overall.recall)}, ` +
+    `exact match ${formatMetric(overall.exact_match)}; ${overall.exact_cases}/${overall.cases} case(s) fully correct` +
+    (overall.errors ? `, ${overall.errors} case(s) failed to extract` : ''));
+
+  if (comparison) {
+    console.log('');
+    console.log(`Against baseline: ${comparison.regressions.length} regression(s), ${comparison.fixes.length} fix(es)`);
+    for (const change of comparison.regressions) {
+      console.log(`  - ${change.case_name} · ${change.field}: expected ${JSON.stringify(change.expected)}, ` +
+        `was ${JSON.stringify(change.baseline_value)}, now ${JSON.stringify(change.candidate_value)}`);
+    }
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!supabaseUrl || !serviceKey || !args.location || !(args['dataset-id'] || args.dataset)) {
+    console.error('Usage: SUPABASE_URL=... SUPABASE_SERVICE_ROLE_KEY=... node scripts/run-evaluation.mjs ' +
+      '--location <location_id> (--dataset-id <uuid> | --dataset <dataset.json>) [--label <text>] ' +
+      '[--baseline <run uuid> | --baseline-file <report.json>] [--output <report.json>] ' +
+      '[--fail-on-regression] [--min-exact-match <0-1>] [--timeout-minutes 30]');
+    process.exit(2);
+  }
+
+  const supabase = createClient(supabaseUrl, serviceKey);
+  const datasetId = args['dataset-id'] || await loadDatasetFile(supabase, args.location, args.dataset);
+
+  const response = await fetch(`${supabaseUrl}/functions/v1/run-evaluation`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${serviceKey}`
+    },
+    body: JSON.stringify({
+      action: 'start',
+      location_id: args.location,
+      dataset_id: datasetId,
+      label: typeof args.label === 'string' ? args.label : null
+    })
+  });
+
+  const started = await response.json();
+  if (!response.ok) {
+    throw new Error(started.error || `run-evaluation returned ${response.status}`);
+  }
+
+  const run = await waitForRun(supabase, started.run.id, parseFloat(args['timeout-minutes'] || '30'));
+  if (run.status === 'failed') {
+    throw new Error(`Run ${run.id} failed: ${run.error_message}`);
+  }
+
+  let baseline = null;
+  if (typeof args['baseline-file'] === 'string') {
+    baseline = JSON.parse(readFileSync(args['baseline-file'], 'utf8'));
+  } else if (typeof args.baseline === 'string') {
+    const { data, error } = await supabase.from('evaluation_runs').select('*').eq('id', args.baseline).single();
+    if (error) throw new Error(`Failed to fetch baseline run: ${error.message}`);
+    baseline = data;
+  }
+
+  const comparison = baseline ? compareRuns(baseline, run) : null;
+  printReport(run, comparison);
+
+  if (typeof args.output === 'string') {
+    writeFileSync(args.output, JSON.stringify({
+      id: run.id,
+      label: run.label,
+      model: run.model,
+      prompt_hash: run.prompt_hash,
+      completed_at: run.completed_at,
+      metrics: run.metrics,
+      results: run.results
+    }, null, 2));
+    console.log(`\nReport written to ${args.output}`);
+  }
+
+  const minExactMatch = args['min-exact-match'] === undefined ? null : parseFloat(args['min-exact-match']);
+  if (minExactMatch !== null && (run.metrics.overall.exact_match ?? 0) < minExactMatch) {
+    console.error(`\nExact match ${run.metrics.overall.exact_match} is below the required ${minExactMatch}`);
+    process.exit(1);
+  }
+
+  if (args['fail-on-regression'] && comparison?.regressions.length > 0) {
+    console.error(`\n${comparison.regressions.length} regression(s) against the baseline`);
+    process.exit(1);
+  }
+}
+
+main().catch((error) => {
+  console.error(`\nEvaluation failed: ${error.message}`);
+  process.exit(1);
+});
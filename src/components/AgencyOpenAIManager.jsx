@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react'
 import { AgencyOpenAIService } from '../services/AgencyOpenAIService'
+import FallbackChainEditor from './FallbackChainEditor'
 
 // Available OpenAI models
 const OPENAI_MODELS = [
@@ -15,6 +16,36 @@ const OPENAI_MODELS = [
   { id: 'o1', name: 'o1 - Previous full o-series reasoning model' }
 ]
 
+const ANTHROPIC_MODELS = [
+  { id: 'claude-sonnet-4-20250514', name: 'Claude Sonnet 4 - Balanced intelligence and speed' },
+  { id: 'claude-opus-4-20250514', name: 'Claude Opus 4 - Most capable Claude model' },
+  { id: 'claude-3-7-sonnet-20250219', name: 'Claude 3.7 Sonnet' },
+  { id: 'claude-3-5-haiku-20241022', name: 'Claude 3.5 Haiku - Fastest, most affordable' }
+]
+
+// Backends an agency key can point at; see supabase/functions/_shared/llm-providers.mjs.
+// The mock provider answers without calling a model and is only offered in development.
+const LLM_PROVIDERS = [
+  { id: 'openai', name: 'OpenAI', models: OPENAI_MODELS },
+  { id: 'azure_openai', name: 'Azure OpenAI', models: OPENAI_MODELS },
+  { id: 'openai_compatible', name: 'OpenAI-compatible (vLLM, Ollama, ...)', models: null },
+  { id: 'anthropic', name: 'Anthropic', models: ANTHROPIC_MODELS },
+  { id: 'mock', name: 'Mock (development only)', models: null }
+].filter(provider => provider.id !== 'mock' || import.meta.env.DEV)
+
+const providerName = (providerType) =>
+  ({ openai: 'OpenAI', azure_openai: 'Azure OpenAI', openai_compatible: 'OpenAI-compatible', anthropic: 'Anthropic', mock: 'Mock' })[providerType || 'openai'] || providerType
+
+const providerRequiresKey = (providerType) => !['openai_compatible', 'mock'].includes(providerType)
+
+// Whether the form has every setting the provider needs (mirrors the database check)
+const hasProviderSettings = (formData) => {
+  if (!formData.openai_model) return false
+  if (['azure_openai', 'openai_compatible'].includes(formData.provider_type) && !formData.base_url) return false
+  if (formData.provider_type === 'azure_openai' && !formData.deployment_name) return false
+  return true
+}
+
 function AgencyOpenAIManager({ user, authService }) {
   const [keys, setKeys] = useState([])
   const [permissions, setPermissions] = useState(null)
@@ -148,16 +179,14 @@ function AgencyOpenAIManager({ user, authService }) {
   const handleUpdateKey = async (keyData) => {
     try {
       setSaving(true)
-      console.log('Updating OpenAI key:', { id: editingKey.id, model: keyData.openai_model })
-      const result = await openaiService.updateOpenAIKey(editingKey.id, user.companyId, {
-        openai_model: keyData.openai_model
-      })
+      console.log('Updating OpenAI key:', { id: editingKey.id, provider: keyData.provider_type, model: keyData.openai_model })
+      const result = await openaiService.updateOpenAIKey(editingKey.id, user.companyId, keyData)
       
       if (result.success) {
         console.log('Successfully updated OpenAI key')
         // Update the key in the local state
         setKeys(prev => prev.map(k => 
-          k.id === editingKey.id ? { ...k, openai_model: keyData.openai_model } : k
+          k.id === editingKey.id ? { ...k, ...result.data } : k
         ))
         setShowEditForm(false)
         setEditingKey(null)
@@ -398,15 +427,38 @@ function OpenAIKeysList({ keys, onDelete, onEdit }) {
                 <span className={`field-badge ${key.is_active ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}`}>
                   {key.is_active ? 'Active' : 'Inactive'}
                 </span>
+                <span className="field-badge bg-purple-100 text-purple-800">
+                  {providerName(key.provider_type)}
+                </span>
                 <span className="field-badge bg-blue-100 text-blue-800">
                   {key.openai_model || 'gpt-4o-mini'}
                 </span>
               </div>
               
               <div className="text-sm text-gray-600 space-y-1">
+                {key.key_hint && (
+                  <p><span className="font-medium">Key:</span> <span className="font-mono">{key.key_hint}</span></p>
+                )}
+                {key.base_url && (
+                  <p><span className="font-medium">Endpoint:</span> {key.base_url}</p>
+                )}
+                {key.deployment_name && (
+                  <p><span className="font-medium">Deployment:</span> {key.deployment_name}</p>
+                )}
+                {key.input_price_per_million != null && key.output_price_per_million != null && (
+                  <p>
+                    <span className="font-medium">Pricing:</span> ${key.input_price_per_million} input / ${key.output_price_per_million} output per million tokens
+                  </p>
+                )}
                 {key.openai_org_id && (
                   <p><span className="font-medium">Organization ID:</span> {key.openai_org_id}</p>
                 )}
+                {key.fallback_chain?.length > 0 && (
+                  <p>
+                    <span className="font-medium">Fallback:</span>{' '}
+                    {key.fallback_chain.map(step => `${step.source === 'agency' ? 'agency key' : 'platform key'} ${step.model || '(default model)'}`).join(' → ')}
+                  </p>
+                )}
                 {key.usage_limit_monthly && (
                   <p>
                     <span className="font-medium">Monthly Limit:</span> ${key.usage_limit_monthly}
@@ -425,7 +477,7 @@ function OpenAIKeysList({ keys, onDelete, onEdit }) {
               <button
                 onClick={() => onEdit(key)}
                 className="text-blue-600 hover:text-blue-700 p-2 rounded-md hover:bg-blue-50"
-                title="Edit API key model"
+                title="Edit provider settings"
               >
                 <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
@@ -521,17 +573,191 @@ function UsageStatistics({ usage }) {
   )
 }
 
+function ProviderSettingsFields({ formData, setFormData, saving }) {
+  const provider = LLM_PROVIDERS.find(p => p.id === formData.provider_type) || LLM_PROVIDERS[0]
+
+  const handleProviderChange = (providerType) => {
+    const models = LLM_PROVIDERS.find(p => p.id === providerType)?.models
+    setFormData(prev => ({
+      ...prev,
+      provider_type: providerType,
+      // Keep the model when it is valid for the new provider
+      openai_model: models
+        ? (models.some(model => model.id === prev.openai_model) ? prev.openai_model : models[0].id)
+        : (providerType === 'mock' ? 'mock' : '')
+    }))
+  }
+
+  return (
+    <>
+      <div>
+        <label className="form-label">Provider</label>
+        <select
+          value={formData.provider_type}
+          onChange={(e) => handleProviderChange(e.target.value)}
+          className="form-select"
+          disabled={saving}
+        >
+          {LLM_PROVIDERS.map(p => (
+            <option key={p.id} value={p.id}>{p.name}</option>
+          ))}
+        </select>
+        <p className="text-xs text-gray-500 mt-1">
+          Use Azure OpenAI to keep data in your own Azure region, or an OpenAI-compatible endpoint for a self-hosted model.
+        </p>
+      </div>
+
+      {['openai', 'azure_openai', 'openai_compatible', 'anthropic'].includes(formData.provider_type) && (
+        <div>
+          <label className="form-label">
+            {formData.provider_type === 'azure_openai' ? 'Azure Resource Endpoint *' : formData.provider_type === 'openai_compatible' ? 'Base URL *' : 'Base URL (Optional)'}
+          </label>
+          <input
+            type="url"
+            value={formData.base_url}
+            onChange={(e) => setFormData(prev => ({ ...prev, base_url: e.target.value }))}
+            className="form-input"
+            placeholder={{
+              openai: 'https://api.openai.com/v1',
+              azure_openai: 'https://my-resource.openai.azure.com',
+              openai_compatible: 'http://my-server:8000/v1',
+              anthropic: 'https://api.anthropic.com'
+            }[formData.provider_type]}
+            required={['azure_openai', 'openai_compatible'].includes(formData.provider_type)}
+            disabled={saving}
+          />
+          {['openai', 'anthropic'].includes(formData.provider_type) && (
+            <p className="text-xs text-gray-500 mt-1">
+              Leave empty unless you route requests through a proxy.
+            </p>
+          )}
+        </div>
+      )}
+
+      {formData.provider_type === 'azure_openai' && (
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="form-label">Deployment Name *</label>
+            <input
+              type="text"
+              value={formData.deployment_name}
+              onChange={(e) => setFormData(prev => ({ ...prev, deployment_name: e.target.value }))}
+              className="form-input"
+              placeholder="e.g., extraction-gpt-4o-mini"
+              required
+              disabled={saving}
+            />
+          </div>
+          <div>
+            <label className="form-label">API Version (Optional)</label>
+            <input
+              type="text"
+              value={formData.api_version}
+              onChange={(e) => setFormData(prev => ({ ...prev, api_version: e.target.value }))}
+              className="form-input"
+              placeholder="2024-10-21"
+              disabled={saving}
+            />
+          </div>
+        </div>
+      )}
+
+      <div>
+        <label className="form-label">Model</label>
+        {provider.models ? (
+          <select
+            value={formData.openai_model}
+            onChange={(e) => setFormData(prev => ({ ...prev, openai_model: e.target.value }))}
+            className="form-select"
+            disabled={saving}
+          >
+            {provider.models.map(model => (
+              <option key={model.id} value={model.id}>
+                {model.name}
+              </option>
+            ))}
+          </select>
+        ) : (
+          <input
+            type="text"
+            value={formData.openai_model}
+            onChange={(e) => setFormData(prev => ({ ...prev, openai_model: e.target.value }))}
+            className="form-input"
+            placeholder="e.g., llama-3.1-70b-instruct"
+            required
+            disabled={saving}
+          />
+        )}
+        <p className="text-xs text-gray-500 mt-1">
+          {formData.provider_type === 'azure_openai'
+            ? 'The model your deployment serves. It is used for pricing; requests go to the deployment.'
+            : 'The model to use with this API key.'}
+        </p>
+      </div>
+
+      {formData.provider_type !== 'mock' && (
+        <div>
+          <label className="form-label">Pricing per Million Tokens (Optional)</label>
+          <div className="grid grid-cols-2 gap-4">
+            <input
+              type="number"
+              step="0.001"
+              min="0"
+              value={formData.input_price_per_million}
+              onChange={(e) => setFormData(prev => ({ ...prev, input_price_per_million: e.target.value }))}
+              className="form-input"
+              placeholder="Input, e.g. 0.15"
+              disabled={saving}
+            />
+            <input
+              type="number"
+              step="0.001"
+              min="0"
+              value={formData.output_price_per_million}
+              onChange={(e) => setFormData(prev => ({ ...prev, output_price_per_million: e.target.value }))}
+              className="form-input"
+              placeholder="Output, e.g. 0.60"
+              disabled={saving}
+            />
+          </div>
+          <p className="text-xs text-gray-500 mt-1">
+            Set both to track costs at your own rates, e.g. for a self-hosted model. Otherwise the published price of the model is used.
+          </p>
+        </div>
+      )}
+    </>
+  )
+}
+
+// Form state for the provider settings of a key record
+const providerFormData = (keyData = {}) => ({
+  provider_type: keyData.provider_type || 'openai',
+  openai_model: keyData.openai_model || 'gpt-4o-mini',
+  base_url: keyData.base_url || '',
+  deployment_name: keyData.deployment_name || '',
+  api_version: keyData.api_version || '',
+  input_price_per_million: keyData.input_price_per_million ?? '',
+  output_price_per_million: keyData.output_price_per_million ?? ''
+})
+
 function EditOpenAIKeyForm({ keyData, onSubmit, onCancel, saving = false }) {
   const [formData, setFormData] = useState({
-    openai_model: keyData.openai_model || 'gpt-4o-mini'
+    ...providerFormData(keyData),
+    api_key: '',
+    fallback_chain: keyData.fallback_chain || []
   })
 
   const handleSubmit = async (e) => {
     e.preventDefault()
     
     try {
+      // A blank API key keeps the stored one, and an empty chain means no fallback
+      const { api_key, fallback_chain, ...settings } = formData
+      const chain = fallback_chain.map(step => ({ source: step.source, model: step.model?.trim() || null }))
       await onSubmit({
-        openai_model: formData.openai_model
+        ...settings,
+        ...(api_key ? { api_key } : {}),
+        fallback_chain: chain.length > 0 ? chain : null
       })
     } catch (error) {
       console.error('Error submitting form:', error)
@@ -542,31 +768,45 @@ function EditOpenAIKeyForm({ keyData, onSubmit, onCancel, saving = false }) {
     <div className="modal-backdrop">
       <div className="modal-content max-w-2xl">
         <div className="modal-header">
-          <h3 className="text-lg font-medium text-gray-900">Edit OpenAI Model</h3>
+          <h3 className="text-lg font-medium text-gray-900">Edit Provider Settings</h3>
           <p className="text-sm text-gray-600 mt-1">
-            Change the OpenAI model used for "{keyData.key_name}"
+            Change the provider and model used for "{keyData.key_name}"
           </p>
         </div>
 
         <div className="modal-body">
           <form onSubmit={handleSubmit} className="space-y-4">
+            <ProviderSettingsFields formData={formData} setFormData={setFormData} saving={saving} />
+
+            {formData.provider_type !== 'mock' && (
+              <div>
+                <label className="form-label">New API Key (Optional)</label>
+                <input
+                  type="password"
+                  value={formData.api_key}
+                  onChange={(e) => setFormData(prev => ({ ...prev, api_key: e.target.value }))}
+                  className="form-input"
+                  placeholder="Leave empty to keep the current key"
+                  disabled={saving}
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Enter a new key when switching to a provider that needs a different one.
+                </p>
+              </div>
+            )}
+
             <div>
-              <label className="form-label">OpenAI Model</label>
-              <select
-                value={formData.openai_model}
-                onChange={(e) => setFormData(prev => ({ ...prev, openai_model: e.target.value }))}
-                className="form-select"
-                disabled={saving}
-              >
-                {OPENAI_MODELS.map(model => (
-                  <option key={model.id} value={model.id}>
-                    {model.name}
-                  </option>
-                ))}
-              </select>
-              <p className="text-xs text-gray-500 mt-1">
-                Select the OpenAI model to use with this API key.
+              <label className="form-label">Fallback Chain</label>
+              <p className="text-xs text-gray-500 mb-2">
+                Models tried in order when a call is rate limited or fails with a server error. Calls on the agency's key are billed
+                to you by your provider; calls on the platform key are charged as platform usage. A location can set its own chain
+                in its Data Extraction tab.
               </p>
+              <FallbackChainEditor
+                chain={formData.fallback_chain}
+                onChange={(fallback_chain) => setFormData(prev => ({ ...prev, fallback_chain }))}
+                disabled={saving}
+              />
             </div>
           </form>
         </div>
@@ -583,7 +823,7 @@ function EditOpenAIKeyForm({ keyData, onSubmit, onCancel, saving = false }) {
           <button
             type="submit"
             onClick={handleSubmit}
-            disabled={saving}
+            disabled={saving || !hasProviderSettings(formData)}
             className="btn-primary"
           >
             {saving ? (
@@ -592,7 +832,7 @@ function EditOpenAIKeyForm({ keyData, onSubmit, onCancel, saving = false }) {
                 Updating...
               </div>
             ) : (
-              'Update Model'
+              'Update Settings'
             )}
           </button>
         </div>
@@ -607,7 +847,7 @@ function AddOpenAIKeyForm({ onSubmit, onCancel, saving = false }) {
     api_key: '',
     org_id: '',
     usage_limit: '',
-    openai_model: 'gpt-4o-mini'
+    ...providerFormData()
   })
 
   const handleSubmit = async (e) => {
@@ -617,9 +857,15 @@ function AddOpenAIKeyForm({ onSubmit, onCancel, saving = false }) {
       await onSubmit({
         key_name: formData.key_name,
         api_key: formData.api_key,
-        org_id: formData.org_id || null,
+        org_id: formData.provider_type === 'openai' ? formData.org_id || null : null,
         usage_limit: formData.usage_limit ? parseFloat(formData.usage_limit) : null,
-        openai_model: formData.openai_model
+        openai_model: formData.openai_model,
+        provider_type: formData.provider_type,
+        base_url: formData.base_url,
+        deployment_name: formData.deployment_name,
+        api_version: formData.api_version,
+        input_price_per_million: formData.input_price_per_million,
+        output_price_per_million: formData.output_price_per_million
       })
     } catch (error) {
       console.error('Error submitting form:', error)
@@ -630,7 +876,7 @@ function AddOpenAIKeyForm({ onSubmit, onCancel, saving = false }) {
     <div className="modal-backdrop">
       <div className="modal-content max-w-2xl">
         <div className="modal-header">
-          <h3 className="text-lg font-medium text-gray-900">Add OpenAI API Key</h3>
+          <h3 className="text-lg font-medium text-gray-900">Add LLM API Key</h3>
         </div>
 
         <div className="modal-body">
@@ -648,39 +894,44 @@ function AddOpenAIKeyForm({ onSubmit, onCancel, saving = false }) {
               />
             </div>
 
-            <div>
-              <label className="form-label">OpenAI API Key *</label>
-              <input
-                type="password"
-                value={formData.api_key}
-                onChange={(e) => setFormData(prev => ({ ...prev, api_key: e.target.value }))}
-                className="form-input"
-                placeholder="sk-..."
-                required
-                disabled={saving}
-              />
-              <p className="text-xs text-gray-500 mt-1">
-                Your API key will be encrypted and stored securely.
-              </p>
-              <p className="text-xs text-gray-500 mt-1">
-                Example: sk-1234...
-              </p>
-            </div>
+            <ProviderSettingsFields formData={formData} setFormData={setFormData} saving={saving} />
+
+            {formData.provider_type !== 'mock' && (
+              <div>
+                <label className="form-label">
+                  API Key {providerRequiresKey(formData.provider_type) ? '*' : '(Optional)'}
+                </label>
+                <input
+                  type="password"
+                  value={formData.api_key}
+                  onChange={(e) => setFormData(prev => ({ ...prev, api_key: e.target.value }))}
+                  className="form-input"
+                  placeholder={formData.provider_type === 'anthropic' ? 'sk-ant-...' : formData.provider_type === 'openai' ? 'sk-...' : ''}
+                  required={providerRequiresKey(formData.provider_type)}
+                  disabled={saving}
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Your API key is encrypted on the server. After saving, only its first and last characters are shown.
+                </p>
+              </div>
+            )}
 
-            <div>
-              <label className="form-label">Organization ID (Optional)</label>
-              <input
-                type="text"
-                value={formData.org_id}
-                onChange={(e) => setFormData(prev => ({ ...prev, org_id: e.target.value }))}
-                className="form-input"
-                placeholder="org-..."
-                disabled={saving}
-              />
-              <p className="text-xs text-gray-500 mt-1">
-                Optional: Only needed if you're using an organization-specific API key.
-              </p>
-            </div>
+            {formData.provider_type === 'openai' && (
+              <div>
+                <label className="form-label">Organization ID (Optional)</label>
+                <input
+                  type="text"
+                  value={formData.org_id}
+                  onChange={(e) => setFormData(prev => ({ ...prev, org_id: e.target.value }))}
+                  className="form-input"
+                  placeholder="org-..."
+                  disabled={saving}
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Optional: Only needed if you're using an organization-specific API key.
+                </p>
+              </div>
+            )}
 
             <div>
               <label className="form-label">Monthly Usage Limit (Optional)</label>
@@ -698,24 +949,6 @@ function AddOpenAIKeyForm({ onSubmit, onCancel, saving = false }) {
               </p>
             </div>
 
-            <div>
-              <label className="form-label">OpenAI Model</label>
-              <select
-                value={formData.openai_model}
-                onChange={(e) => setFormData(prev => ({ ...prev, openai_model: e.target.value }))}
-                className="form-select"
-                disabled={saving}
-              >
-                {OPENAI_MODELS.map(model => (
-                  <option key={model.id} value={model.id}>
-                    {model.name}
-                  </option>
-                ))}
-              </select>
-              <p className="text-xs text-gray-500 mt-1">
-                Select the OpenAI model to use with this API key.
-              </p>
-            </div>
           </form>
         </div>
 
@@ -731,7 +964,7 @@ function AddOpenAIKeyForm({ onSubmit, onCancel, saving = false }) {
           <button
             type="submit"
             onClick={handleSubmit}
-            disabled={saving || !formData.key_name || !formData.api_key}
+            disabled={saving || !formData.key_name || (providerRequiresKey(formData.provider_type) && !formData.api_key) || !hasProviderSettings(formData)}
             className="btn-primary"
           >
             {saving ? (
@@ -88,32 +88,27 @@ function ConfigurationDebugger({ user, authService, onConfigurationFound }) {
   const createTestConfiguration = async () => {
     setLoading(true)
     try {
-      const configData = {
-        user_id: user.userId,
-        ghl_account_id: user.locationId,
-        client_id: 'test-client-id',
-        client_secret: 'test-client-secret',
-        access_token: 'test-access-token-' + Date.now(),
-        refresh_token: 'test-refresh-token-' + Date.now(),
-        token_expires_at: new Date(Date.now() + (365 * 24 * 60 * 60 * 1000)).toISOString(),
-        business_name: 'Test Configuration',
-        business_description: 'Test configuration created by debugger',
-        is_active: true,
-        created_by: user.userId
+      // The browser cannot write tokens, so the test configuration and its placeholder
+      // tokens are created by the database
+      const supabase = authService?.getSupabaseClient() || (await import('../services/supabase')).supabase
+      const { data: configId, error: createError } = await supabase
+        .rpc('create_test_configuration', {
+          p_user_id: user.userId,
+          p_location_id: user.locationId,
+          p_business_name: 'Test Configuration'
+        })
+
+      if (createError) {
+        throw new Error(createError.message)
       }
 
-      const result = await DatabaseService.createConfiguration(configData, authService)
-      
-      if (result.success) {
-        console.log('✅ Test configuration created:', result.data.id)
-        if (onConfigurationFound) {
-          onConfigurationFound(result.data)
-        }
-        // Re-run diagnostics to show the new config
-        await runDiagnostics()
-      } else {
-        throw new Error(result.error)
+      console.log('✅ Test configuration created:', configId)
+      const result = await DatabaseService.findConfigurationByLocation(user.locationId, authService)
+      if (result.found && onConfigurationFound) {
+        onConfigurationFound(result.data)
       }
+      // Re-run diagnostics to show the new config
+      await runDiagnostics()
     } catch (error) {
       console.error('Error creating test configuration:', error)
       setError(error.message)
@@ -11,6 +11,10 @@ import AgencyLicensedLocationsManager from './AgencyLicensedLocationsManager'
 import InstallationGuide from './InstallationGuide'
 import Navigation from './Navigation'
 import LogViewer from './LogViewer'
+import ReviewInbox from './ReviewInbox'
+import NotificationRulesManager from './NotificationRulesManager'
+import PromptPlayground from './PromptPlayground'
+import EvaluationManager from './EvaluationManager'
 
 function DataExtractorApp({ user, authService }) {
   return (
@@ -53,7 +57,7 @@ function DataExtractorAppContent({ user, authService }) {
     
     if (user.tokenValidation) {
       return !user.tokenValidation.isValid && 
-             ['missing_access_token', 'missing_refresh_token'].includes(user.tokenValidation.status)
+             ['missing_access_token', 'missing_refresh_token', 'needs_reauth'].includes(user.tokenValidation.status)
     }
     
     return user.tokenStatus === 'missing'
@@ -145,13 +149,49 @@ function DataExtractorAppContent({ user, authService }) {
               <StandardFieldsExtractionModule user={user} authService={authService} />
             )
           } />
+          <Route path="/notifications" element={
+            needsOAuthInstallation() ? (
+              <div className="text-center py-8">
+                <p className="text-gray-600">Please complete the OAuth installation first.</p>
+              </div>
+            ) : (
+              <NotificationRulesManager user={user} authService={authService} />
+            )
+          } />
+          <Route path="/playground" element={
+            needsOAuthInstallation() ? (
+              <div className="text-center py-8">
+                <p className="text-gray-600">Please complete the OAuth installation first.</p>
+              </div>
+            ) : (
+              <PromptPlayground user={user} authService={authService} />
+            )
+          } />
+          <Route path="/evaluations" element={
+            needsOAuthInstallation() ? (
+              <div className="text-center py-8">
+                <p className="text-gray-600">Please complete the OAuth installation first.</p>
+              </div>
+            ) : (
+              <EvaluationManager user={user} authService={authService} />
+            )
+          } />
           <Route path="/logs" element={
             needsOAuthInstallation() ? (
               <div className="text-center py-8">
                 <p className="text-gray-600">Please complete the OAuth installation first.</p>
               </div>
             ) : (
-              <LogViewer user={user} />
+              <LogViewer user={user} authService={authService} />
+            )
+          } />
+          <Route path="/reviews" element={
+            needsOAuthInstallation() ? (
+              <div className="text-center py-8">
+                <p className="text-gray-600">Please complete the OAuth installation first.</p>
+              </div>
+            ) : (
+              <ReviewInbox user={user} authService={authService} />
             )
           } />
           <Route path="/branding" element={
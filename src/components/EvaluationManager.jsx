@@ -0,0 +1,819 @@
+import React, { useState, useEffect, useRef } from 'react'
+import ConfigurationManager from './data-extraction/ConfigurationManager'
+import { parseTranscript, formatTranscript } from '../utils/transcriptUtils'
+
+const RUN_POLL_INTERVAL_MS = 3000
+
+const RUN_STATUS_STYLES = {
+  running: 'bg-blue-100 text-blue-800',
+  completed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+}
+
+const OUTCOME_LABELS = {
+  fp: 'extracted, none expected',
+  fn: 'missed',
+  mismatch: 'wrong value'
+}
+
+const emptyCase = { name: '', transcript: '', expected: {} }
+
+const formatMetric = (value) => value === null || value === undefined ? '—' : `${(value * 100).toFixed(1)}%`
+
+const formatDelta = (value) => {
+  if (value === null || value === undefined || value === 0) return null
+  const points = (value * 100).toFixed(1)
+  return <span className={value > 0 ? 'text-green-700' : 'text-red-700'}> ({value > 0 ? '+' : ''}{points})</span>
+}
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—'
+  if (Array.isArray(value)) return value.join(', ')
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+function EvaluationManager({ user, authService }) {
+  const [config, setConfig] = useState(null)
+  const [fields, setFields] = useState([])
+  const [datasets, setDatasets] = useState([])
+  const [selectedDatasetId, setSelectedDatasetId] = useState('')
+  const [cases, setCases] = useState([])
+  const [runs, setRuns] = useState([])
+  const [selectedRunId, setSelectedRunId] = useState(null)
+  const [newDataset, setNewDataset] = useState({ name: '', description: '', scope: 'location' })
+  const [editingCase, setEditingCase] = useState(null)
+  const [runLabel, setRunLabel] = useState('')
+  const [baselineRunId, setBaselineRunId] = useState('')
+  const [candidateRunId, setCandidateRunId] = useState('')
+  const [comparison, setComparison] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+  const fileInputRef = useRef(null)
+
+  const isAgency = user?.type === 'agency'
+  const agencyId = config?.agency_ghl_id || user?.companyId || null
+
+  useEffect(() => {
+    loadData()
+  }, [user?.locationId])
+
+  useEffect(() => {
+    if (selectedDatasetId) {
+      loadDataset(selectedDatasetId)
+    } else {
+      setCases([])
+      setRuns([])
+    }
+    setSelectedRunId(null)
+    setComparison(null)
+  }, [selectedDatasetId])
+
+  // Poll while a run is in progress
+  useEffect(() => {
+    if (!runs.some(run => run.status === 'running')) return
+
+    const timer = setInterval(() => loadRuns(selectedDatasetId), RUN_POLL_INTERVAL_MS)
+    return () => clearInterval(timer)
+  }, [runs, selectedDatasetId])
+
+  const getSupabase = async () => {
+    return authService?.getSupabaseClient() || (await import('../services/supabase')).supabase
+  }
+
+  // Sent through the authenticated client: the function checks the caller's JWT has access to the location
+  const callEvaluation = async (body) => {
+    const supabase = await getSupabase()
+    const { data, error } = await supabase.functions.invoke('run-evaluation', {
+      body: { location_id: user.locationId, ...body }
+    })
+
+    if (error) {
+      const details = await error.context?.json?.().catch(() => null)
+      throw new Error(details?.error || `run-evaluation returned ${error.context?.status}`)
+    }
+    return data
+  }
+
+  const loadData = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+
+      if (!user?.userId || !user?.locationId) {
+        throw new Error('User information is incomplete. Please reload the page or reconnect your account.')
+      }
+
+      const configManager = new ConfigurationManager(authService)
+      const configResult = await configManager.findConfiguration(user.userId, user.locationId)
+
+      if (!configResult.found) {
+        setConfig(null)
+        return
+      }
+
+      setConfig(configResult.data)
+
+      const supabase = await getSupabase()
+      const { data: fieldsData, error: fieldsError } = await supabase
+        .from('data_extraction_fields')
+        .select('id, field_name, field_type, target_ghl_key')
+        .eq('config_id', configResult.data.id)
+        .order('sort_order', { ascending: true })
+
+      if (fieldsError) throw fieldsError
+      setFields(fieldsData || [])
+
+      await loadDatasets(configResult.data)
+    } catch (error) {
+      console.error('Error loading evaluations:', error)
+      setError(`Failed to load evaluations: ${error.message}`)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const loadDatasets = async (configData = config) => {
+    const supabase = await getSupabase()
+    const datasetAgencyId = configData?.agency_ghl_id || user?.companyId
+
+    let query = supabase
+      .from('evaluation_datasets')
+      .select('*')
+      .order('created_at', { ascending: true })
+
+    query = datasetAgencyId
+      ? query.or(`location_id.eq.${user.locationId},agency_ghl_id.eq.${datasetAgencyId}`)
+      : query.eq('location_id', user.locationId)
+
+    const { data, error } = await query
+    if (error) throw error
+
+    setDatasets(data || [])
+    if (!selectedDatasetId && data?.length > 0) {
+      setSelectedDatasetId(data[0].id)
+    }
+  }
+
+  const loadDataset = async (datasetId) => {
+    try {
+      const supabase = await getSupabase()
+      const { data, error } = await supabase
+        .from('evaluation_cases')
+        .select('*')
+        .eq('dataset_id', datasetId)
+        .order('sort_order', { ascending: true })
+        .order('created_at', { ascending: true })
+
+      if (error) throw error
+      setCases(data || [])
+
+      await loadRuns(datasetId)
+    } catch (error) {
+      console.error('Error loading dataset:', error)
+      setError(`Failed to load dataset: ${error.message}`)
+    }
+  }
+
+  const loadRuns = async (datasetId) => {
+    if (!datasetId) return
+
+    try {
+      const supabase = await getSupabase()
+      const { data, error } = await supabase
+        .from('evaluation_runs')
+        .select('*')
+        .eq('dataset_id', datasetId)
+        .eq('location_id', user.locationId)
+        .order('created_at', { ascending: false })
+        .limit(20)
+
+      if (error) throw error
+      setRuns(data || [])
+    } catch (error) {
+      console.error('Error loading runs:', error)
+      setError(`Failed to load runs: ${error.message}`)
+    }
+  }
+
+  const handleCreateDataset = async () => {
+    if (!newDataset.name.trim()) {
+      setError('Give the dataset a name')
+      return
+    }
+
+    try {
+      setSaving(true)
+      setError(null)
+
+      const supabase = await getSupabase()
+      const { data, error } = await supabase
+        .from('evaluation_datasets')
+        .insert({
+          name: newDataset.name.trim(),
+          description: newDataset.description.trim() || null,
+          location_id: newDataset.scope === 'agency' ? null : user.locationId,
+          agency_ghl_id: newDataset.scope === 'agency' ? agencyId : null
+        })
+        .select()
+        .single()
+
+      if (error) throw error
+
+      console.log('✅ Evaluation dataset created:', data.name)
+      setNewDataset({ name: '', description: '', scope: 'location' })
+      setDatasets([...datasets, data])
+      setSelectedDatasetId(data.id)
+    } catch (error) {
+      console.error('Error creating dataset:', error)
+      setError(`Failed to create dataset: ${error.message}`)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDeleteDataset = async () => {
+    const dataset = datasets.find(d => d.id === selectedDatasetId)
+    if (!dataset || !window.confirm(`Delete the dataset "${dataset.name}" with its cases and runs?`)) {
+      return
+    }
+
+    try {
+      const supabase = await getSupabase()
+      const { error } = await supabase
+        .from('evaluation_datasets')
+        .delete()
+        .eq('id', dataset.id)
+
+      if (error) throw error
+
+      const remaining = datasets.filter(d => d.id !== dataset.id)
+      setDatasets(remaining)
+      setSelectedDatasetId(remaining[0]?.id || '')
+    } catch (error) {
+      console.error('Error deleting dataset:', error)
+      setError(`Failed to delete dataset: ${error.message}`)
+    }
+  }
+
+  const toExpectedInputs = (expectedValues) => Object.fromEntries(
+    Object.entries(expectedValues || {}).map(([key, value]) => [key, Array.isArray(value) ? value.join(', ') : String(value)])
+  )
+
+  const fromExpectedInputs = (inputs) => {
+    const expected = {}
+    Object.entries(inputs).forEach(([key, text]) => {
+      if (!text || !text.trim()) return
+      const field = fields.find(f => f.target_ghl_key === key)
+      expected[key] = field?.field_type === 'MULTIPLE_OPTIONS'
+        ? text.split(',').map(item => item.trim()).filter(Boolean)
+        : text.trim()
+    })
+    return expected
+  }
+
+  const handleSaveCase = async () => {
+    const transcript = parseTranscript(editingCase.transcript)
+    if (!editingCase.name.trim() || transcript.length === 0) {
+      setError('A case needs a name and at least one "Speaker: message" line')
+      return
+    }
+
+    try {
+      setSaving(true)
+      setError(null)
+
+      const supabase = await getSupabase()
+      const row = {
+        name: editingCase.name.trim(),
+        transcript,
+        expected_values: fromExpectedInputs(editingCase.expected)
+      }
+
+      const { error } = editingCase.id
+        ? await supabase.from('evaluation_cases').update(row).eq('id', editingCase.id)
+        : await supabase.from('evaluation_cases').insert({ ...row, dataset_id: selectedDatasetId, sort_order: cases.length })
+
+      if (error) throw error
+
+      console.log('✅ Evaluation case saved:', row.name)
+      setEditingCase(null)
+      await loadDataset(selectedDatasetId)
+    } catch (error) {
+      console.error('Error saving case:', error)
+      setError(`Failed to save case: ${error.message}`)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDeleteCase = async (evaluationCase) => {
+    if (!window.confirm(`Delete the case "${evaluationCase.name}"?`)) {
+      return
+    }
+
+    try {
+      const supabase = await getSupabase()
+      const { error } = await supabase
+        .from('evaluation_cases')
+        .delete()
+        .eq('id', evaluationCase.id)
+
+      if (error) throw error
+      setCases(cases.filter(c => c.id !== evaluationCase.id))
+    } catch (error) {
+      console.error('Error deleting case:', error)
+      setError(`Failed to delete case: ${error.message}`)
+    }
+  }
+
+  // Same file format as scripts/run-evaluation.mjs --dataset; cases are appended
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+
+    try {
+      setSaving(true)
+      setError(null)
+
+      const imported = JSON.parse(await file.text())
+      if (!Array.isArray(imported.cases) || imported.cases.length === 0) {
+        throw new Error('the file has no cases array')
+      }
+
+      const supabase = await getSupabase()
+      const { error } = await supabase
+        .from('evaluation_cases')
+        .insert(imported.cases.map((evaluationCase, index) => ({
+          dataset_id: selectedDatasetId,
+          name: evaluationCase.name || `Case ${cases.length + index + 1}`,
+          transcript: evaluationCase.transcript,
+          expected_values: evaluationCase.expected_values || {},
+          sort_order: cases.length + index
+        })))
+
+      if (error) throw error
+
+      console.log(`✅ Imported ${imported.cases.length} case(s)`)
+      await loadDataset(selectedDatasetId)
+    } catch (error) {
+      console.error('Error importing cases:', error)
+      setError(`Failed to import cases: ${error.message}`)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleRun = async () => {
+    try {
+      setSaving(true)
+      setError(null)
+
+      const data = await callEvaluation({
+        action: 'start',
+        dataset_id: selectedDatasetId,
+        label: runLabel.trim() || null
+      })
+
+      console.log('✅ Evaluation run started:', data.run.id)
+      setRunLabel('')
+      setRuns([data.run, ...runs])
+    } catch (error) {
+      console.error('Error starting run:', error)
+      setError(`Failed to start run: ${error.message}`)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleCompare = async () => {
+    try {
+      setError(null)
+      const data = await callEvaluation({
+        action: 'compare',
+        baseline_run_id: baselineRunId,
+        candidate_run_id: candidateRunId
+      })
+      setComparison(data)
+    } catch (error) {
+      console.error('Error comparing runs:', error)
+      setError(`Failed to compare runs: ${error.message}`)
+    }
+  }
+
+  const fieldName = (key) => fields.find(f => f.target_ghl_key === key)?.field_name || key
+  const runName = (run) => `${run.label || new Date(run.created_at).toLocaleString()}${run.model ? ` · ${run.model}` : ''}`
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        <span className="ml-3 text-gray-600">Loading evaluations...</span>
+      </div>
+    )
+  }
+
+  if (!config) {
+    return (
+      <div className="warning-card">
+        <h3 className="text-yellow-800 font-medium">❌ No Connection Found</h3>
+        <p className="text-yellow-600 text-sm mt-1">
+          {error || 'No connection found for this user and location combination.'}
+        </p>
+      </div>
+    )
+  }
+
+  const selectedDataset = datasets.find(d => d.id === selectedDatasetId)
+  const canEditDataset = selectedDataset && (selectedDataset.location_id === user.locationId || isAgency)
+  const completedRuns = runs.filter(run => run.status === 'completed')
+  const selectedRun = runs.find(run => run.id === selectedRunId)
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-medium text-gray-900">Evaluations</h3>
+          <p className="text-sm text-gray-600 mt-1">
+            Golden conversations with the values a correct extraction returns. Run them after changing a prompt, field description or model to see what got better or worse. Runs use the AI like a real extraction and count toward usage.
+          </p>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {error && (
+            <div className="error-card">
+              <p className="text-red-600 text-sm">{error}</p>
+            </div>
+          )}
+
+          <div className="flex flex-wrap items-end gap-4">
+            <div>
+              <label className="form-label">Dataset</label>
+              <select
+                value={selectedDatasetId}
+                onChange={(e) => setSelectedDatasetId(e.target.value)}
+                className="form-select"
+              >
+                {datasets.length === 0 && <option value="">No datasets yet</option>}
+                {datasets.map(dataset => (
+                  <option key={dataset.id} value={dataset.id}>
+                    {dataset.name}{dataset.agency_ghl_id ? ' (agency)' : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {canEditDataset && (
+              <button onClick={handleDeleteDataset} className="btn-danger text-sm">
+                Delete Dataset
+              </button>
+            )}
+          </div>
+
+          <div className="border-t border-gray-200 pt-4">
+            <h4 className="section-title">New Dataset</h4>
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+              <input
+                type="text"
+                value={newDataset.name}
+                onChange={(e) => setNewDataset({ ...newDataset, name: e.target.value })}
+                className="form-input"
+                placeholder="Name"
+              />
+              <input
+                type="text"
+                value={newDataset.description}
+                onChange={(e) => setNewDataset({ ...newDataset, description: e.target.value })}
+                className="form-input md:col-span-2"
+                placeholder="Description (optional)"
+              />
+              <div className="flex space-x-2">
+                {isAgency && agencyId && (
+                  <select
+                    value={newDataset.scope}
+                    onChange={(e) => setNewDataset({ ...newDataset, scope: e.target.value })}
+                    className="form-select"
+                  >
+                    <option value="location">This location</option>
+                    <option value="agency">All agency locations</option>
+                  </select>
+                )}
+                <button onClick={handleCreateDataset} disabled={saving} className="btn-primary">
+                  Create
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {selectedDataset && (
+        <div className="bg-white rounded-lg shadow">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+            <div>
+              <h3 className="text-lg font-medium text-gray-900">Cases ({cases.length})</h3>
+              {selectedDataset.description && <p className="text-sm text-gray-600 mt-1">{selectedDataset.description}</p>}
+            </div>
+            {canEditDataset && (
+              <div className="flex space-x-2">
+                <input ref={fileInputRef} type="file" accept="application/json" onChange={handleImport} className="hidden" />
+                <button onClick={() => fileInputRef.current?.click()} disabled={saving} className="btn-secondary text-sm">
+                  Import JSON
+                </button>
+                <button onClick={() => setEditingCase({ ...emptyCase })} className="btn-primary text-sm">
+                  Add Case
+                </button>
+              </div>
+            )}
+          </div>
+
+          <div className="p-6 space-y-4">
+            {editingCase && (
+              <div className="border border-gray-200 rounded-md p-4 space-y-3">
+                <div>
+                  <label className="form-label">Case Name</label>
+                  <input
+                    type="text"
+                    value={editingCase.name}
+                    onChange={(e) => setEditingCase({ ...editingCase, name: e.target.value })}
+                    className="form-input"
+                    placeholder="e.g. Budget given as a range"
+                  />
+                </div>
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                  <div>
+                    <label className="form-label">Conversation</label>
+                    <textarea
+                      value={editingCase.transcript}
+                      onChange={(e) => setEditingCase({ ...editingCase, transcript: e.target.value })}
+                      className="form-textarea font-mono text-xs"
+                      rows={12}
+                      placeholder={'Customer: ...\nAgent: ...'}
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                      One "Speaker: message" per line. Agent, Staff, Business and Me are read as your side.
+                    </p>
+                  </div>
+                  <div>
+                    <label className="form-label">Expected Values</label>
+                    <p className="text-xs text-gray-500 mb-2">Leave a field empty when nothing should be extracted for it.</p>
+                    <div className="space-y-2 max-h-80 overflow-y-auto pr-1">
+                      {fields.map(field => (
+                        <div key={field.id}>
+                          <span className="text-xs text-gray-600">{field.field_name}</span>
+                          <input
+                            type="text"
+                            value={editingCase.expected[field.target_ghl_key] || ''}
+                            onChange={(e) => setEditingCase({
+                              ...editingCase,
+                              expected: { ...editingCase.expected, [field.target_ghl_key]: e.target.value }
+                            })}
+                            className="form-input text-sm"
+                            placeholder={field.field_type === 'MULTIPLE_OPTIONS' ? 'Option A, Option B' : ''}
+                          />
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                </div>
+                <div className="flex space-x-2">
+                  <button onClick={handleSaveCase} disabled={saving} className="btn-primary text-sm">
+                    {saving ? 'Saving...' : 'Save Case'}
+                  </button>
+                  <button onClick={() => setEditingCase(null)} className="btn-secondary text-sm">
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {cases.length === 0 ? (
+              <p className="text-sm text-gray-500">No cases yet. Add one or import a dataset file.</p>
+            ) : (
+              <ul className="divide-y divide-gray-100">
+                {cases.map(evaluationCase => (
+                  <li key={evaluationCase.id} className="py-2 flex items-center justify-between">
+                    <div>
+                      <span className="text-sm font-medium text-gray-900">{evaluationCase.name}</span>
+                      <span className="ml-2 text-xs text-gray-500">
+                        {evaluationCase.transcript.length} message(s) · {Object.keys(evaluationCase.expected_values || {}).length} expected value(s)
+                      </span>
+                    </div>
+                    {canEditDataset && (
+                      <div className="flex space-x-2">
+                        <button
+                          onClick={() => setEditingCase({
+                            id: evaluationCase.id,
+                            name: evaluationCase.name,
+                            transcript: formatTranscript(evaluationCase.transcript),
+                            expected: toExpectedInputs(evaluationCase.expected_values)
+                          })}
+                          className="btn-secondary text-xs"
+                        >
+                          Edit
+                        </button>
+                        <button onClick={() => handleDeleteCase(evaluationCase)} className="btn-danger text-xs">
+                          Delete
+                        </button>
+                      </div>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+
+      {selectedDataset && (
+        <div className="bg-white rounded-lg shadow">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+            <h3 className="text-lg font-medium text-gray-900">Runs</h3>
+            <div className="flex space-x-2">
+              <input
+                type="text"
+                value={runLabel}
+                onChange={(e) => setRunLabel(e.target.value)}
+                className="form-input text-sm"
+                placeholder="Label (optional)"
+              />
+              <button onClick={handleRun} disabled={saving || cases.length === 0} className="btn-primary text-sm">
+                Run Evaluation
+              </button>
+            </div>
+          </div>
+
+          <div className="p-6 space-y-6">
+            {runs.length === 0 ? (
+              <p className="text-sm text-gray-500">No runs yet.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-gray-500 uppercase">
+                      <th className="py-2 pr-4">Run</th>
+                      <th className="py-2 pr-4">Status</th>
+                      <th className="py-2 pr-4">Precision</th>
+                      <th className="py-2 pr-4">Recall</th>
+                      <th className="py-2 pr-4">Exact Match</th>
+                      <th className="py-2 pr-4">Cases Correct</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {runs.map(run => (
+                      <tr
+                        key={run.id}
+                        onClick={() => setSelectedRunId(run.id === selectedRunId ? null : run.id)}
+                        className={`cursor-pointer ${run.id === selectedRunId ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+                      >
+                        <td className="py-2 pr-4 text-gray-900">{runName(run)}</td>
+                        <td className="py-2 pr-4">
+                          <span className={`field-badge ${RUN_STATUS_STYLES[run.status] || ''}`}>
+                            {run.status === 'running' ? `running ${run.cursor}/${run.case_ids.length}` : run.status}
+                          </span>
+                        </td>
+                        <td className="py-2 pr-4">{formatMetric(run.metrics?.overall?.precision)}</td>
+                        <td className="py-2 pr-4">{formatMetric(run.metrics?.overall?.recall)}</td>
+                        <td className="py-2 pr-4">{formatMetric(run.metrics?.overall?.exact_match)}</td>
+                        <td className="py-2 pr-4">
+                          {run.metrics ? `${run.metrics.overall.exact_cases}/${run.metrics.overall.cases}` : '—'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {selectedRun?.status === 'failed' && (
+              <div className="error-card">
+                <p className="text-red-600 text-sm">{selectedRun.error_message}</p>
+              </div>
+            )}
+
+            {selectedRun?.metrics && (
+              <div className="space-y-4">
+                <h4 className="section-title">{runName(selectedRun)}</h4>
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-gray-500 uppercase">
+                      <th className="py-1 pr-4">Field</th>
+                      <th className="py-1 pr-4">Precision</th>
+                      <th className="py-1 pr-4">Recall</th>
+                      <th className="py-1 pr-4">Exact Match</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {Object.entries(selectedRun.metrics.fields).map(([key, metrics]) => (
+                      <tr key={key}>
+                        <td className="py-1 pr-4 text-gray-900">{fieldName(key)}</td>
+                        <td className="py-1 pr-4">{formatMetric(metrics.precision)}</td>
+                        <td className="py-1 pr-4">{formatMetric(metrics.recall)}</td>
+                        <td className="py-1 pr-4">{formatMetric(metrics.exact_match)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                {selectedRun.results.filter(result => !result.exact_match).map(result => (
+                  <div key={result.case_id} className="border border-gray-200 rounded-md p-3">
+                    <p className="text-sm font-medium text-gray-900">{result.case_name || result.case_id}</p>
+                    {result.error && <p className="text-xs text-red-600 mt-1">{result.error}</p>}
+                    <ul className="text-xs text-gray-700 mt-1 space-y-1">
+                      {Object.entries(result.fields)
+                        .filter(([, score]) => OUTCOME_LABELS[score.outcome])
+                        .map(([key, score]) => (
+                          <li key={key}>
+                            <strong>{fieldName(key)}</strong> {OUTCOME_LABELS[score.outcome]}: expected {formatValue(score.expected)}, got {formatValue(score.extracted)}
+                          </li>
+                        ))}
+                    </ul>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {completedRuns.length >= 2 && (
+              <div className="border-t border-gray-200 pt-4 space-y-4">
+                <h4 className="section-title">Compare Runs</h4>
+                <div className="flex flex-wrap items-end gap-3">
+                  <div>
+                    <label className="form-label">Baseline</label>
+                    <select value={baselineRunId} onChange={(e) => setBaselineRunId(e.target.value)} className="form-select">
+                      <option value="">Select a run</option>
+                      {completedRuns.map(run => <option key={run.id} value={run.id}>{runName(run)}</option>)}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="form-label">Candidate</label>
+                    <select value={candidateRunId} onChange={(e) => setCandidateRunId(e.target.value)} className="form-select">
+                      <option value="">Select a run</option>
+                      {completedRuns.map(run => <option key={run.id} value={run.id}>{runName(run)}</option>)}
+                    </select>
+                  </div>
+                  <button
+                    onClick={handleCompare}
+                    disabled={!baselineRunId || !candidateRunId || baselineRunId === candidateRunId}
+                    className="btn-primary text-sm"
+                  >
+                    Compare
+                  </button>
+                </div>
+
+                {comparison && (
+                  <div className="space-y-3">
+                    {comparison.baseline.prompt_hash !== comparison.candidate.prompt_hash && (
+                      <p className="text-xs text-gray-600">The prompt changed between these runs.</p>
+                    )}
+                    <table className="min-w-full text-sm">
+                      <thead>
+                        <tr className="text-left text-xs text-gray-500 uppercase">
+                          <th className="py-1 pr-4">Field</th>
+                          <th className="py-1 pr-4">Precision</th>
+                          <th className="py-1 pr-4">Recall</th>
+                          <th className="py-1 pr-4">Exact Match</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-100">
+                        {[['Overall', comparison.comparison.overall], ...Object.entries(comparison.comparison.fields).map(([key, metrics]) => [fieldName(key), metrics])]
+                          .map(([name, metrics]) => (
+                            <tr key={name}>
+                              <td className="py-1 pr-4 text-gray-900">{name}</td>
+                              {['precision', 'recall', 'exact_match'].map(metric => (
+                                <td key={metric} className="py-1 pr-4">
+                                  {formatMetric(metrics[metric].candidate)}{formatDelta(metrics[metric].delta)}
+                                </td>
+                              ))}
+                            </tr>
+                          ))}
+                      </tbody>
+                    </table>
+
+                    <p className="text-sm text-gray-700">
+                      {comparison.comparison.regressions.length} regression(s), {comparison.comparison.fixes.length} fix(es)
+                    </p>
+                    <ul className="text-xs space-y-1">
+                      {comparison.comparison.regressions.map(change => (
+                        <li key={`r-${change.case_id}-${change.field}`} className="text-red-700">
+                          {change.case_name} · {fieldName(change.field)}: expected {formatValue(change.expected)}, was {formatValue(change.baseline_value)}, now {formatValue(change.candidate_value)}
+                        </li>
+                      ))}
+                      {comparison.comparison.fixes.map(change => (
+                        <li key={`f-${change.case_id}-${change.field}`} className="text-green-700">
+                          {change.case_name} · {fieldName(change.field)}: expected {formatValue(change.expected)}, was {formatValue(change.baseline_value)}, now {formatValue(change.candidate_value)}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default EvaluationManager
@@ -0,0 +1,94 @@
+import React from 'react'
+
+const SOURCE_OPTIONS = [
+  { value: 'agency', label: "Agency's key" },
+  { value: 'platform', label: 'Platform key' }
+]
+
+// Edits an ordered model fallback chain: [{ source: 'agency' | 'platform', model }].
+// Extraction tries each step in turn when the one before it is rate limited or fails with
+// a server error; see completeWithFallback in supabase/functions/_shared/llm-providers.mjs.
+function FallbackChainEditor({ chain, onChange, disabled = false, emptyMessage }) {
+  const updateStep = (index, changes) => {
+    onChange(chain.map((step, i) => (i === index ? { ...step, ...changes } : step)))
+  }
+
+  const moveStep = (index, offset) => {
+    const next = [...chain]
+    const [step] = next.splice(index, 1)
+    next.splice(index + offset, 0, step)
+    onChange(next)
+  }
+
+  return (
+    <div className="space-y-2">
+      {chain.length === 0 && (
+        <p className="text-sm text-gray-500">
+          {emptyMessage || "No fallback chain. Extractions use the agency's key if there is one, otherwise the platform key, with no fallback."}
+        </p>
+      )}
+
+      {chain.map((step, index) => (
+        <div key={index} className="flex items-center space-x-2">
+          <span className="text-sm text-gray-500 w-6">{index + 1}.</span>
+          <select
+            value={step.source}
+            onChange={(e) => updateStep(index, { source: e.target.value })}
+            className="form-select text-sm"
+            disabled={disabled}
+          >
+            {SOURCE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={step.model || ''}
+            onChange={(e) => updateStep(index, { model: e.target.value || null })}
+            className="form-input text-sm flex-1"
+            placeholder={step.source === 'agency' ? "Key's model" : 'gpt-4o-mini'}
+            disabled={disabled}
+          />
+          <button
+            type="button"
+            onClick={() => moveStep(index, -1)}
+            disabled={disabled || index === 0}
+            className="btn-secondary text-sm disabled:opacity-50"
+            title="Try earlier"
+          >
+            ↑
+          </button>
+          <button
+            type="button"
+            onClick={() => moveStep(index, 1)}
+            disabled={disabled || index === chain.length - 1}
+            className="btn-secondary text-sm disabled:opacity-50"
+            title="Try later"
+          >
+            ↓
+          </button>
+          <button
+            type="button"
+            onClick={() => onChange(chain.filter((_, i) => i !== index))}
+            disabled={disabled}
+            className="btn-danger text-sm"
+            title="Remove step"
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+
+      <button
+        type="button"
+        onClick={() => onChange([...chain, { source: chain.length === 0 ? 'agency' : 'platform', model: null }])}
+        disabled={disabled}
+        className="btn-secondary text-sm"
+      >
+        Add Step
+      </button>
+    </div>
+  )
+}
+
+export default FallbackChainEditor
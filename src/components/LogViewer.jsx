@@ -1,6 +1,41 @@
 import React, { useState, useEffect } from 'react'
 
-function LogViewer({ user }) {
+const EVIDENCE_OUTCOME_STYLES = {
+  written: 'bg-green-100 text-green-800',
+  review: 'bg-purple-100 text-purple-800',
+  skipped_low_confidence: 'bg-yellow-100 text-yellow-800',
+  skipped_by_policy: 'bg-gray-100 text-gray-800',
+  invalid: 'bg-red-100 text-red-800',
+  rejected: 'bg-red-100 text-red-800'
+}
+
+const RESULT_STATUS_STYLES = {
+  applied: 'bg-green-100 text-green-800',
+  no_changes: 'bg-gray-100 text-gray-800',
+  failed: 'bg-red-100 text-red-800',
+  rolled_back: 'bg-yellow-100 text-yellow-800',
+  partially_rolled_back: 'bg-yellow-100 text-yellow-800',
+  shadow: 'bg-purple-100 text-purple-800'
+}
+
+const FIELD_DECISION_STYLES = {
+  written: 'bg-green-100 text-green-800',
+  review: 'bg-purple-100 text-purple-800',
+  skipped_by_policy: 'bg-gray-100 text-gray-800',
+  skipped_empty: 'bg-gray-100 text-gray-800',
+  skipped_unconfigured: 'bg-gray-100 text-gray-800',
+  rejected: 'bg-red-100 text-red-800',
+  conflict: 'bg-yellow-100 text-yellow-800'
+}
+
+const formatFieldValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—'
+  if (Array.isArray(value)) return value.join(', ')
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+function LogViewer({ user, authService }) {
   const [contactId, setContactId] = useState('')
   const [conversationId, setConversationId] = useState('')
   const [logs, setLogs] = useState(null)
@@ -12,6 +47,9 @@ function LogViewer({ user }) {
   const [contactsError, setContactsError] = useState(null)
 
   const [fetchingRecent, setFetchingRecent] = useState(false)
+  const [rollingBack, setRollingBack] = useState(null)
+  const [rollbackConflicts, setRollbackConflicts] = useState({})
+  const [rollbackError, setRollbackError] = useState(null)
   
   const fetchRecentLogs = () => {
     setFetchingRecent(true)
@@ -161,6 +199,45 @@ function LogViewer({ user }) {
     }
   }
 
+  // Restores the values a run overwrote, for the whole run or a single field.
+  // Fields changed since the run are reported back as conflicts unless forced.
+  const rollbackResult = async (result, field = null, force = false) => {
+    const key = field ? field.id : result.id
+
+    try {
+      setRollingBack(key)
+      setRollbackError(null)
+
+      // The function checks the caller's JWT has access to the location
+      const supabase = authService?.getSupabaseClient() || (await import('../services/supabase')).supabase
+      const { data, error } = await supabase.functions.invoke('rollback-extraction', {
+        body: {
+          location_id: user.locationId,
+          result_id: result.id,
+          ...(field ? { field_id: field.id } : {}),
+          force,
+          rolled_back_by: user?.userId || null
+        }
+      })
+
+      if (error) {
+        const details = await error.context?.json?.().catch(() => null)
+        throw new Error(details?.error || 'Failed to roll back changes')
+      }
+
+      console.log('✅ Rollback finished:', data)
+      setRollbackConflicts(({ [key]: _removed, ...rest }) => (
+        data.conflict_fields?.length > 0 ? { ...rest, [key]: { result, field, conflicts: data.conflict_fields } } : rest
+      ))
+      fetchLogs(true)
+    } catch (error) {
+      console.error('Error rolling back extraction:', error)
+      setRollbackError(error.message)
+    } finally {
+      setRollingBack(null)
+    }
+  }
+
   const handleContactSelect = (contact) => {
     setContactId(contact.id)
     setConversationId('')
@@ -405,7 +482,8 @@ function LogViewer({ user }) {
                     </thead>
                     <tbody className="bg-white divide-y divide-gray-200">
                       {logs.usage_logs.map((log) => (
-                        <tr key={log.id} className="hover:bg-gray-50">
+                        <React.Fragment key={log.id}>
+                        <tr className="hover:bg-gray-50">
                           <td className="px-3 py-2 whitespace-nowrap text-xs text-gray-500">
                             {formatTimestamp(log.created_at)}
                           </td>
@@ -413,11 +491,33 @@ function LogViewer({ user }) {
                             <span className="field-badge bg-purple-100 text-purple-800">
                               {log.model}
                             </span>
+                            {log.llm_attempts?.length > 1 && (
+                              <div
+                                className="text-yellow-700 mt-1"
+                                title={log.llm_attempts.map(a => `${a.attempt}. ${a.source} ${a.provider_type}/${a.model}: ${a.outcome}${a.status ? ` (${a.status})` : ''}`).join('\n')}
+                              >
+                                {log.successful_attempt
+                                  ? `Attempt ${log.successful_attempt} of ${log.llm_attempts.length}, ${log.key_source} key`
+                                  : `${log.llm_attempts.length} attempts failed`}
+                              </div>
+                            )}
+                            {log.prompt_version && (
+                              <div className="text-gray-500 mt-1" title={`Prompt version first used ${formatTimestamp(log.prompt_version.created_at)}; compare versions under Prompt Versions in the Data Extraction tab`}>
+                                Prompt <code>{log.prompt_version.content_hash.slice(0, 12)}</code>
+                              </div>
+                            )}
                           </td>
                           <td className="px-3 py-2 whitespace-nowrap text-xs">
                             <div>Input: {log.input_tokens}</div>
                             <div>Output: {log.output_tokens}</div>
                             <div className="font-medium">Total: {log.total_tokens}</div>
+                            {log.history_truncation?.truncated && (
+                              <div className="text-yellow-700 mt-1">
+                                History: {log.history_truncation.verbatim_messages} kept
+                                {log.history_truncation.summarized_messages > 0 && `, ${log.history_truncation.summarized_messages} summarized`}
+                                {log.history_truncation.omitted_messages > 0 && `, ${log.history_truncation.omitted_messages} omitted`}
+                              </div>
+                            )}
                           </td>
                           {user?.type === 'agency' && (
                             <td className="px-3 py-2 whitespace-nowrap text-xs font-medium">
@@ -433,17 +533,174 @@ function LogViewer({ user }) {
                             {log.error_message && (
                               <div className="text-red-600 mt-1">{log.error_message}</div>
                             )}
+                            {log.validation_errors?.length > 0 && (
+                              <div className="text-yellow-700 mt-1" title={log.validation_errors.map(e => `${e.field}: ${e.error}`).join('\n')}>
+                                {log.validation_errors.length} field(s) failed validation
+                              </div>
+                            )}
                             {log.response_time_ms && (
                               <div className="text-gray-500 mt-1">{log.response_time_ms}ms</div>
                             )}
                           </td>
                         </tr>
+                        {log.field_evidence && Object.keys(log.field_evidence).length > 0 && (
+                          <tr>
+                            <td colSpan={user?.type === 'agency' ? 5 : 4} className="px-3 pb-3 text-xs">
+                              <div className="bg-gray-50 rounded p-2 space-y-1">
+                                {Object.entries(log.field_evidence).map(([fieldKey, evidence]) => (
+                                  <div key={fieldKey}>
+                                    <span className="font-medium text-gray-800">{fieldKey}</span>
+                                    {' = '}
+                                    <span className="text-gray-800">{JSON.stringify(evidence.value)}</span>
+                                    <span className={`ml-2 field-badge ${EVIDENCE_OUTCOME_STYLES[evidence.outcome] || 'bg-gray-100 text-gray-800'}`}>
+                                      {evidence.confidence === null || evidence.confidence === undefined
+                                        ? 'no confidence'
+                                        : `${Math.round(evidence.confidence * 100)}%`}
+                                      {evidence.outcome && ` · ${evidence.outcome.replace(/_/g, ' ')}`}
+                                    </span>
+                                    {evidence.reason && (
+                                      <div className="text-red-600 ml-4">{evidence.reason}</div>
+                                    )}
+                                    {evidence.quote && (
+                                      <div className="text-gray-600 italic ml-4" title={evidence.message_id ? `Message ${evidence.message_id}` : undefined}>
+                                        "{evidence.quote}"
+                                      </div>
+                                    )}
+                                  </div>
+                                ))}
+                              </div>
+                            </td>
+                          </tr>
+                        )}
+                        </React.Fragment>
                       ))}
                     </tbody>
                   </table>
                 </div>
               )}
             </div>
+            {/* Contact Changes Section */}
+            <div>
+              <h4 className="text-md font-medium text-gray-800 mb-2">
+                Contact Changes ({logs.extraction_results?.length || 0})
+              </h4>
+
+              {rollbackError && (
+                <div className="error-card mb-3">
+                  <p className="text-sm text-red-600">Rollback failed: {rollbackError}</p>
+                </div>
+              )}
+
+              {Object.entries(rollbackConflicts).map(([key, { result, field, conflicts }]) => (
+                <div key={key} className="warning-card mb-3 text-sm">
+                  <p className="text-yellow-800">
+                    {conflicts.length} field(s) changed since this run wrote them and were left alone:{' '}
+                    {conflicts.map(conflict => `${conflict.field} (now ${formatFieldValue(conflict.current_value)})`).join(', ')}
+                  </p>
+                  <div className="mt-2 space-x-2">
+                    <button
+                      onClick={() => rollbackResult(result, field, true)}
+                      disabled={rollingBack !== null}
+                      className="btn-danger text-xs"
+                    >
+                      Roll Back Anyway
+                    </button>
+                    <button
+                      onClick={() => setRollbackConflicts(({ [key]: _removed, ...rest }) => rest)}
+                      className="btn-secondary text-xs"
+                    >
+                      Keep Current Values
+                    </button>
+                  </div>
+                </div>
+              ))}
+
+              {!logs.extraction_results?.length ? (
+                <p className="text-gray-500 text-sm">No contact changes recorded</p>
+              ) : (
+                <div className="space-y-4">
+                  {logs.extraction_results.map((result) => {
+                    const canRollBack = ['applied', 'partially_rolled_back'].includes(result.status)
+
+                    return (
+                      <div key={result.id} className="border border-gray-200 rounded-md">
+                        <div className="flex items-center justify-between px-3 py-2 bg-gray-50 text-xs">
+                          <div className="space-x-2">
+                            <span className="text-gray-500">{formatTimestamp(result.created_at)}</span>
+                            <span className="field-badge bg-blue-100 text-blue-800">{result.source.replace(/_/g, ' ')}</span>
+                            <span className={`field-badge ${RESULT_STATUS_STYLES[result.status] || 'bg-gray-100 text-gray-800'}`}>
+                              {result.status.replace(/_/g, ' ')}
+                            </span>
+                            <span className="text-gray-500">Contact {result.contact_id}</span>
+                          </div>
+                          {canRollBack && (
+                            <button
+                              onClick={() => rollbackResult(result)}
+                              disabled={rollingBack !== null}
+                              className="btn-secondary text-xs"
+                            >
+                              {rollingBack === result.id ? 'Rolling Back...' : 'Undo Run'}
+                            </button>
+                          )}
+                        </div>
+                        {result.error_message && (
+                          <div className="px-3 py-1 text-xs text-red-600">{result.error_message}</div>
+                        )}
+                        <table className="min-w-full divide-y divide-gray-200">
+                          <thead>
+                            <tr>
+                              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Field</th>
+                              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Before</th>
+                              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">After</th>
+                              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Decision</th>
+                              <th className="px-3 py-2"></th>
+                            </tr>
+                          </thead>
+                          <tbody className="bg-white divide-y divide-gray-200">
+                            {(result.fields || []).map((field) => (
+                              <tr key={field.id} className="hover:bg-gray-50">
+                                <td className="px-3 py-2 text-xs font-medium text-gray-900">
+                                  {field.field_name || field.field_key}
+                                </td>
+                                <td className="px-3 py-2 text-xs text-gray-600">{formatFieldValue(field.previous_value)}</td>
+                                <td className="px-3 py-2 text-xs text-gray-900">
+                                  {formatFieldValue(field.new_value)}
+                                  {field.evidence?.quote && (
+                                    <div className="text-gray-500 italic" title={field.evidence.message_id ? `Message ${field.evidence.message_id}` : undefined}>
+                                      "{field.evidence.quote}"
+                                    </div>
+                                  )}
+                                </td>
+                                <td className="px-3 py-2 text-xs">
+                                  <span className={`field-badge ${FIELD_DECISION_STYLES[field.decision] || 'bg-gray-100 text-gray-800'}`}>
+                                    {field.decision.replace(/_/g, ' ')}
+                                  </span>
+                                  {field.reason && <div className="text-gray-500 mt-1">{field.reason}</div>}
+                                  {field.rolled_back_at && (
+                                    <div className="text-yellow-700 mt-1">Rolled back {formatTimestamp(field.rolled_back_at)}</div>
+                                  )}
+                                </td>
+                                <td className="px-3 py-2 text-xs text-right">
+                                  {canRollBack && field.decision === 'written' && !field.rolled_back_at && (
+                                    <button
+                                      onClick={() => rollbackResult(result, field)}
+                                      disabled={rollingBack !== null}
+                                      className="text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                                    >
+                                      {rollingBack === field.id ? 'Undoing...' : 'Undo'}
+                                    </button>
+                                  )}
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    )
+                  })}
+                </div>
+              )}
+            </div>
           </div>
         )}
       </div>
@@ -0,0 +1,541 @@
+import React, { useState, useEffect } from 'react'
+import ConfigurationManager from './data-extraction/ConfigurationManager'
+
+// Keep in sync with NOTIFICATION_OPERATORS / VALUELESS_OPERATORS in
+// supabase/functions/_shared/notification-rules.mjs
+const OPERATOR_OPTIONS = [
+  { value: 'is_set', label: 'is extracted' },
+  { value: 'equals', label: 'equals' },
+  { value: 'not_equals', label: 'does not equal' },
+  { value: 'contains', label: 'contains' },
+  { value: 'greater_than', label: 'is greater than' },
+  { value: 'less_than', label: 'is less than' }
+]
+const VALUELESS_OPERATORS = ['is_set']
+
+const CHANNEL_OPTIONS = [
+  { value: 'email', label: 'Email' },
+  { value: 'webhook', label: 'Webhook' },
+  { value: 'ghl_task', label: 'GHL Task' },
+  { value: 'ghl_note', label: 'GHL Note' }
+]
+
+const DELIVERY_STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  processing: 'bg-blue-100 text-blue-800',
+  delivered: 'bg-green-100 text-green-800',
+  dead: 'bg-red-100 text-red-800'
+}
+
+const EMPTY_CONDITION = { field: '', operator: 'is_set', value: '' }
+
+const EMPTY_RULE = {
+  trigger_name: '',
+  conditions: [{ ...EMPTY_CONDITION }],
+  condition_match: 'any',
+  channel: 'email',
+  channel_config: {},
+  is_active: true
+}
+
+// Signing secret shown once when a webhook rule is created
+const generateSecret = () => {
+  const bytes = new Uint8Array(24)
+  window.crypto.getRandomValues(bytes)
+  return Array.from(bytes).map(byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+function NotificationRulesManager({ user, authService }) {
+  const [config, setConfig] = useState(null)
+  const [fields, setFields] = useState([])
+  const [rules, setRules] = useState([])
+  const [deliveries, setDeliveries] = useState([])
+  const [editing, setEditing] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    loadData()
+  }, [user?.locationId])
+
+  const getSupabase = async () => {
+    return authService?.getSupabaseClient() || (await import('../services/supabase')).supabase
+  }
+
+  const loadData = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+
+      if (!user?.userId || !user?.locationId) {
+        throw new Error('User information is incomplete. Please reload the page or reconnect your account.')
+      }
+
+      const configManager = new ConfigurationManager(authService)
+      const result = await configManager.findConfiguration(user.userId, user.locationId)
+
+      if (!result.found) {
+        setConfig(null)
+        return
+      }
+
+      setConfig(result.data)
+
+      const supabase = await getSupabase()
+      const [fieldsResult, rulesResult, deliveriesResult] = await Promise.all([
+        supabase
+          .from('data_extraction_fields')
+          .select('id, field_name, target_ghl_key')
+          .eq('config_id', result.data.id)
+          .order('sort_order', { ascending: true }),
+        supabase
+          .from('notification_triggers')
+          .select('*')
+          .eq('config_id', result.data.id)
+          .order('trigger_name', { ascending: true }),
+        supabase
+          .from('notification_deliveries')
+          .select('id, trigger_name, channel, contact_id, status, attempts, max_attempts, last_error, delivered_at, created_at')
+          .eq('config_id', result.data.id)
+          .order('created_at', { ascending: false })
+          .limit(20)
+      ])
+
+      if (fieldsResult.error) throw fieldsResult.error
+      if (rulesResult.error) throw rulesResult.error
+      if (deliveriesResult.error) throw deliveriesResult.error
+
+      setFields((fieldsResult.data || []).filter(field => field.target_ghl_key))
+      setRules(rulesResult.data || [])
+      setDeliveries(deliveriesResult.data || [])
+    } catch (error) {
+      console.error('Error loading notification rules:', error)
+      setError(`Failed to load notification rules: ${error.message}`)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const validateRule = (rule) => {
+    if (!rule.trigger_name.trim()) return 'A notification rule needs a name'
+
+    const conditions = rule.conditions.filter(condition => condition.field)
+    if (conditions.length === 0) return 'Add at least one condition'
+    if (conditions.some(condition => !VALUELESS_OPERATORS.includes(condition.operator) && String(condition.value).trim() === '')) {
+      return 'Every condition except "is extracted" needs a value'
+    }
+
+    const channelConfig = rule.channel_config
+    if (rule.channel === 'email' && !channelConfig.to?.trim()) return 'Enter the email address to notify'
+    if (rule.channel === 'webhook' && !/^https:\/\//.test(channelConfig.url?.trim() || '')) return 'Enter an https:// webhook URL'
+
+    return null
+  }
+
+  const handleSave = async () => {
+    const validationError = validateRule(editing)
+    if (validationError) {
+      setError(validationError)
+      return
+    }
+
+    try {
+      setSaving(true)
+      setError(null)
+
+      const channelConfig = { ...editing.channel_config }
+      if (editing.channel === 'webhook' && !channelConfig.secret) {
+        channelConfig.secret = generateSecret()
+      }
+
+      const supabase = await getSupabase()
+      const values = {
+        trigger_name: editing.trigger_name.trim(),
+        conditions: editing.conditions
+          .filter(condition => condition.field)
+          .map(condition => ({
+            field: condition.field,
+            operator: condition.operator,
+            ...(VALUELESS_OPERATORS.includes(condition.operator) ? {} : { value: String(condition.value).trim() })
+          })),
+        condition_match: editing.condition_match,
+        channel: editing.channel,
+        channel_config: channelConfig,
+        is_active: editing.is_active
+      }
+
+      const { error } = editing.id
+        ? await supabase.from('notification_triggers').update(values).eq('id', editing.id)
+        : await supabase.from('notification_triggers').insert({ ...values, config_id: config.id })
+
+      if (error) throw error
+
+      console.log('✅ Notification rule saved:', values.trigger_name)
+      setEditing(null)
+      loadData()
+    } catch (error) {
+      console.error('Error saving notification rule:', error)
+      setError(`Failed to save notification rule: ${error.message}`)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete the notification rule "${rule.trigger_name}"?`)) return
+
+    try {
+      setError(null)
+      const supabase = await getSupabase()
+      const { error } = await supabase.from('notification_triggers').delete().eq('id', rule.id)
+      if (error) throw error
+
+      console.log('✅ Notification rule deleted:', rule.trigger_name)
+      loadData()
+    } catch (error) {
+      console.error('Error deleting notification rule:', error)
+      setError(`Failed to delete notification rule: ${error.message}`)
+    }
+  }
+
+  const startEditing = (rule) => {
+    setError(null)
+    setEditing(rule ? {
+      ...EMPTY_RULE,
+      ...rule,
+      trigger_name: rule.trigger_name || '',
+      conditions: rule.conditions?.length > 0
+        ? rule.conditions.map(condition => ({ ...EMPTY_CONDITION, ...condition, value: condition.value ?? '' }))
+        : [{ ...EMPTY_CONDITION }],
+      channel: rule.channel || 'email',
+      channel_config: rule.channel_config || {}
+    } : { ...EMPTY_RULE, conditions: [{ ...EMPTY_CONDITION }] })
+  }
+
+  const updateCondition = (index, changes) => {
+    setEditing({
+      ...editing,
+      conditions: editing.conditions.map((condition, i) => i === index ? { ...condition, ...changes } : condition)
+    })
+  }
+
+  const updateChannelConfig = (changes) => {
+    setEditing({ ...editing, channel_config: { ...editing.channel_config, ...changes } })
+  }
+
+  const fieldLabel = (key) => fields.find(field => field.target_ghl_key === key)?.field_name || key
+
+  const describeConditions = (rule) => {
+    const parts = (rule.conditions || []).map(condition => {
+      const operator = OPERATOR_OPTIONS.find(option => option.value === condition.operator)?.label || condition.operator
+      return VALUELESS_OPERATORS.includes(condition.operator)
+        ? `${fieldLabel(condition.field)} ${operator}`
+        : `${fieldLabel(condition.field)} ${operator} "${condition.value}"`
+    })
+    return parts.join(rule.condition_match === 'all' ? ' and ' : ' or ') || 'No conditions'
+  }
+
+  const describeChannel = (rule) => {
+    const channelConfig = rule.channel_config || {}
+    switch (rule.channel) {
+      case 'email': return `Email to ${channelConfig.to}`
+      case 'webhook': return `Webhook to ${channelConfig.url}`
+      case 'ghl_task': return channelConfig.assigned_to ? `GHL task for ${channelConfig.assigned_to}` : 'GHL task'
+      case 'ghl_note': return 'GHL note on the contact'
+      default: return 'No channel'
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        <span className="ml-3 text-gray-600">Loading notification rules...</span>
+      </div>
+    )
+  }
+
+  if (!config) {
+    return (
+      <div className="warning-card">
+        <h3 className="text-yellow-800 font-medium">❌ No Connection Found</h3>
+        <p className="text-yellow-600 text-sm mt-1">
+          {error || 'No connection found for this user and location combination.'}
+        </p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Notifications</h3>
+          <p className="text-sm text-gray-600 mt-1">
+            Get notified when an extraction writes values that match a rule, e.g. a budget above 10000 or urgency set to High
+          </p>
+        </div>
+        {!editing && (
+          <button onClick={() => startEditing(null)} className="btn-primary text-sm">
+            Add Rule
+          </button>
+        )}
+      </div>
+
+      <div className="p-6 space-y-6">
+        {error && (
+          <div className="error-card">
+            <p className="text-red-600 text-sm">{error}</p>
+          </div>
+        )}
+
+        {editing && (
+          <div className="border border-gray-200 rounded-md p-4 space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              <div>
+                <label className="form-label">Rule Name *</label>
+                <input
+                  type="text"
+                  value={editing.trigger_name}
+                  onChange={(e) => setEditing({ ...editing, trigger_name: e.target.value })}
+                  className="form-input"
+                  placeholder="e.g., High-budget lead"
+                />
+              </div>
+              <div>
+                <label className="form-label">Notify When</label>
+                <select
+                  value={editing.condition_match}
+                  onChange={(e) => setEditing({ ...editing, condition_match: e.target.value })}
+                  className="form-select"
+                >
+                  <option value="any">Any condition matches</option>
+                  <option value="all">All conditions match</option>
+                </select>
+              </div>
+            </div>
+
+            <div>
+              <label className="form-label">Conditions *</label>
+              {fields.length === 0 && (
+                <p className="text-sm text-gray-500">Add extraction fields first; conditions are checked against the values they write.</p>
+              )}
+              <div className="space-y-2">
+                {editing.conditions.map((condition, index) => (
+                  <div key={index} className="flex items-center space-x-2">
+                    <select
+                      value={condition.field}
+                      onChange={(e) => updateCondition(index, { field: e.target.value })}
+                      className="form-select"
+                    >
+                      <option value="">Select a field</option>
+                      {fields.map(field => (
+                        <option key={field.id} value={field.target_ghl_key}>{field.field_name}</option>
+                      ))}
+                    </select>
+                    <select
+                      value={condition.operator}
+                      onChange={(e) => updateCondition(index, { operator: e.target.value })}
+                      className="form-select"
+                    >
+                      {OPERATOR_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                    {!VALUELESS_OPERATORS.includes(condition.operator) && (
+                      <input
+                        type="text"
+                        value={condition.value}
+                        onChange={(e) => updateCondition(index, { value: e.target.value })}
+                        className="form-input"
+                        placeholder={['greater_than', 'less_than'].includes(condition.operator) ? 'e.g., 10000' : 'e.g., High'}
+                      />
+                    )}
+                    <button
+                      onClick={() => setEditing({ ...editing, conditions: editing.conditions.filter((_, i) => i !== index) })}
+                      disabled={editing.conditions.length === 1}
+                      className="btn-secondary text-xs"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <button
+                onClick={() => setEditing({ ...editing, conditions: [...editing.conditions, { ...EMPTY_CONDITION }] })}
+                className="btn-secondary text-xs mt-2"
+              >
+                Add Condition
+              </button>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+              <div>
+                <label className="form-label">Channel</label>
+                <select
+                  value={editing.channel}
+                  onChange={(e) => setEditing({ ...editing, channel: e.target.value, channel_config: {} })}
+                  className="form-select"
+                >
+                  {CHANNEL_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              {editing.channel === 'email' && (
+                <div className="md:col-span-2">
+                  <label className="form-label">Send To *</label>
+                  <input
+                    type="text"
+                    value={editing.channel_config.to || ''}
+                    onChange={(e) => updateChannelConfig({ to: e.target.value })}
+                    className="form-input"
+                    placeholder="sales@example.com, owner@example.com"
+                  />
+                </div>
+              )}
+
+              {editing.channel === 'webhook' && (
+                <div className="md:col-span-2">
+                  <label className="form-label">Webhook URL *</label>
+                  <input
+                    type="text"
+                    value={editing.channel_config.url || ''}
+                    onChange={(e) => updateChannelConfig({ url: e.target.value })}
+                    className="form-input"
+                    placeholder="https://example.com/hooks/leads"
+                  />
+                </div>
+              )}
+
+              {editing.channel === 'ghl_task' && (
+                <>
+                  <div>
+                    <label className="form-label">Assign Task To (GHL user ID)</label>
+                    <input
+                      type="text"
+                      value={editing.channel_config.assigned_to || ''}
+                      onChange={(e) => updateChannelConfig({ assigned_to: e.target.value })}
+                      className="form-input"
+                      placeholder="Unassigned"
+                    />
+                  </div>
+                  <div>
+                    <label className="form-label">Task Due In (hours)</label>
+                    <input
+                      type="number"
+                      min="1"
+                      value={editing.channel_config.due_hours || 24}
+                      onChange={(e) => updateChannelConfig({ due_hours: parseInt(e.target.value) || 24 })}
+                      className="form-input"
+                    />
+                  </div>
+                </>
+              )}
+            </div>
+
+            {editing.channel === 'webhook' && (
+              <div className="info-card">
+                <p className="text-sm text-blue-800">
+                  {editing.channel_config.secret
+                    ? <>Signing secret: <code className="break-all">{editing.channel_config.secret}</code></>
+                    : 'A signing secret is generated when the rule is saved.'}
+                </p>
+                <p className="text-xs text-blue-700 mt-1">
+                  Each request carries X-Webhook-Timestamp and X-Webhook-Signature: sha256= the HMAC-SHA256 of "timestamp.body" with this secret.
+                </p>
+              </div>
+            )}
+
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={editing.is_active}
+                onChange={(e) => setEditing({ ...editing, is_active: e.target.checked })}
+                className="form-checkbox"
+              />
+              <span>Active</span>
+            </label>
+
+            <div className="flex justify-end space-x-2">
+              <button onClick={() => setEditing(null)} disabled={saving} className="btn-secondary text-sm">
+                Cancel
+              </button>
+              <button onClick={handleSave} disabled={saving} className="btn-primary text-sm">
+                {saving ? 'Saving...' : editing.id ? 'Save Rule' : 'Add Rule'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {rules.length === 0 ? (
+          <p className="text-sm text-gray-500">No notification rules configured.</p>
+        ) : (
+          <div className="space-y-2">
+            {rules.map(rule => (
+              <div key={rule.id} className="flex items-start justify-between border border-gray-200 rounded-md p-3 text-sm">
+                <div>
+                  <div className="flex items-center space-x-2">
+                    <span className="font-medium text-gray-900">{rule.trigger_name || 'Untitled rule'}</span>
+                    {!rule.is_active && (
+                      <span className="field-badge bg-gray-100 text-gray-600">inactive</span>
+                    )}
+                  </div>
+                  <p className="text-gray-600">When {describeConditions(rule)}</p>
+                  <p className="text-xs text-gray-500 mt-1">{describeChannel(rule)}</p>
+                </div>
+                <div className="flex space-x-2 ml-4">
+                  <button onClick={() => startEditing(rule)} disabled={!!editing} className="btn-secondary text-xs">
+                    Edit
+                  </button>
+                  <button onClick={() => handleDelete(rule)} disabled={!!editing} className="btn-danger text-xs">
+                    Delete
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <h4 className="section-title mb-0">Recent Deliveries</h4>
+            <button onClick={loadData} className="btn-secondary text-xs">
+              Refresh
+            </button>
+          </div>
+          {deliveries.length === 0 ? (
+            <p className="text-sm text-gray-500">No notifications sent yet.</p>
+          ) : (
+            <div className="space-y-1">
+              {deliveries.map(delivery => (
+                <div key={delivery.id} className="text-xs text-gray-700">
+                  <span className="text-gray-500">{new Date(delivery.created_at).toLocaleString()}</span>
+                  {' · '}
+                  <span className="font-medium">{delivery.trigger_name}</span>
+                  {' · '}
+                  {CHANNEL_OPTIONS.find(option => option.value === delivery.channel)?.label || delivery.channel}
+                  {' · '}
+                  Contact {delivery.contact_id}
+                  <span className={`ml-2 field-badge ${DELIVERY_STATUS_STYLES[delivery.status]}`}>
+                    {delivery.status}
+                  </span>
+                  {delivery.status !== 'delivered' && delivery.attempts > 0 && (
+                    <span className="ml-2 text-gray-500">attempt {delivery.attempts}/{delivery.max_attempts}</span>
+                  )}
+                  {delivery.last_error && delivery.status !== 'delivered' && (
+                    <div className="text-red-600 ml-4">{delivery.last_error}</div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default NotificationRulesManager
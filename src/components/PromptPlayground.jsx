@@ -0,0 +1,445 @@
+import React, { useState, useEffect } from 'react'
+import ConfigurationManager from './data-extraction/ConfigurationManager'
+import { parseTranscript } from '../utils/transcriptUtils'
+
+const DECISION_STYLES = {
+  written: 'bg-green-100 text-green-800',
+  review: 'bg-purple-100 text-purple-800',
+  skipped_by_policy: 'bg-gray-100 text-gray-700',
+  rejected: 'bg-red-100 text-red-800',
+  skipped_empty: 'bg-gray-100 text-gray-500',
+  skipped_unconfigured: 'bg-yellow-100 text-yellow-800',
+  conflict: 'bg-orange-100 text-orange-800'
+}
+
+const SAMPLE_TRANSCRIPT = `Customer: Hi, I'm looking to get my kitchen remodeled
+Agent: Happy to help! What's your budget and timeline?
+Customer: Around $15,000 and we'd like it done before the holidays
+Customer: My email is jane@example.com`
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—'
+  if (Array.isArray(value)) return value.join(', ')
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+const formatJson = (text) => {
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2)
+  } catch (error) {
+    return text
+  }
+}
+
+function PromptPlayground({ user, authService }) {
+  const [config, setConfig] = useState(null)
+  const [fields, setFields] = useState([])
+  const [descriptions, setDescriptions] = useState({})
+  const [recentContacts, setRecentContacts] = useState([])
+  const [source, setSource] = useState('paste')
+  const [transcript, setTranscript] = useState(SAMPLE_TRANSCRIPT)
+  const [contactId, setContactId] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [running, setRunning] = useState(false)
+  const [savingFieldId, setSavingFieldId] = useState(null)
+  const [error, setError] = useState(null)
+  const [result, setResult] = useState(null)
+  const [showPrompt, setShowPrompt] = useState(false)
+
+  useEffect(() => {
+    loadData()
+  }, [user?.locationId])
+
+  const getSupabase = async () => {
+    return authService?.getSupabaseClient() || (await import('../services/supabase')).supabase
+  }
+
+  const callFunction = async (name, body) => {
+    const supabaseUrl = import.meta.env.VITE_SUPABASE_URL
+    const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY
+
+    const response = await fetch(`${supabaseUrl}/functions/v1/${name}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${supabaseAnonKey}`
+      },
+      body: JSON.stringify(body)
+    })
+
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.error || `${name} returned ${response.status}`)
+    }
+    return data
+  }
+
+  const loadData = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+
+      if (!user?.userId || !user?.locationId) {
+        throw new Error('User information is incomplete. Please reload the page or reconnect your account.')
+      }
+
+      const configManager = new ConfigurationManager(authService)
+      const configResult = await configManager.findConfiguration(user.userId, user.locationId)
+
+      if (!configResult.found) {
+        setConfig(null)
+        return
+      }
+
+      setConfig(configResult.data)
+
+      const supabase = await getSupabase()
+      const { data, error } = await supabase
+        .from('data_extraction_fields')
+        .select('id, field_name, description, field_type, target_ghl_key')
+        .eq('config_id', configResult.data.id)
+        .order('sort_order', { ascending: true })
+
+      if (error) throw error
+
+      setFields(data || [])
+      setDescriptions(Object.fromEntries((data || []).map(field => [field.id, field.description || ''])))
+
+      // Recent contacts are optional; the playground still works with a pasted transcript
+      try {
+        const contactsData = await callFunction('get-recent-contacts', { limit: 10, location_id: user.locationId })
+        setRecentContacts((contactsData.contacts || []).filter(contact => contact.conversation_id))
+      } catch (contactsError) {
+        console.warn('Could not load recent contacts:', contactsError.message)
+      }
+    } catch (error) {
+      console.error('Error loading playground:', error)
+      setError(`Failed to load playground: ${error.message}`)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const editedDescriptions = () => Object.fromEntries(
+    fields
+      .filter(field => descriptions[field.id] !== (field.description || ''))
+      .map(field => [field.id, descriptions[field.id]])
+  )
+
+  const handleRun = async () => {
+    const selectedContact = recentContacts.find(contact => contact.id === contactId)
+    const body = {
+      location_id: user.locationId,
+      dry_run: true,
+      field_descriptions: editedDescriptions()
+    }
+
+    if (source === 'paste') {
+      const messages = parseTranscript(transcript)
+      if (messages.length === 0) {
+        setError('Paste a conversation first, one "Speaker: message" per line')
+        return
+      }
+      body.transcript = messages
+      if (contactId) body.contact_id = contactId
+    } else {
+      if (!selectedContact) {
+        setError('Pick a recent conversation first')
+        return
+      }
+      body.conversation_id = selectedContact.conversation_id
+    }
+
+    try {
+      setRunning(true)
+      setError(null)
+      setResult(null)
+
+      const data = await callFunction('ai-extraction-payload', body)
+      console.log('✅ Dry run completed:', data.extraction_result?.usage)
+      setResult(data)
+    } catch (error) {
+      console.error('Dry run failed:', error)
+      setError(`Dry run failed: ${error.message}`)
+    } finally {
+      setRunning(false)
+    }
+  }
+
+  const handleSaveDescription = async (field) => {
+    try {
+      setSavingFieldId(field.id)
+      setError(null)
+
+      const supabase = await getSupabase()
+      const { error } = await supabase
+        .from('data_extraction_fields')
+        .update({
+          description: descriptions[field.id],
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', field.id)
+
+      if (error) throw error
+
+      console.log('✅ Field description saved:', field.field_name)
+      setFields(fields.map(f => f.id === field.id ? { ...f, description: descriptions[field.id] } : f))
+    } catch (error) {
+      console.error('Error saving field description:', error)
+      setError(`Failed to save description: ${error.message}`)
+    } finally {
+      setSavingFieldId(null)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        <span className="ml-3 text-gray-600">Loading playground...</span>
+      </div>
+    )
+  }
+
+  if (!config) {
+    return (
+      <div className="warning-card">
+        <h3 className="text-yellow-800 font-medium">❌ No Connection Found</h3>
+        <p className="text-yellow-600 text-sm mt-1">
+          {error || 'No connection found for this user and location combination.'}
+        </p>
+      </div>
+    )
+  }
+
+  const extraction = result?.extraction_result
+  const plan = extraction?.update_plan
+  const changes = (plan?.field_changes || []).filter(change => change.decision !== 'skipped_empty')
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-medium text-gray-900">Prompt Playground</h3>
+          <p className="text-sm text-gray-600 mt-1">
+            Try field descriptions against a conversation without touching the contact. Runs use the AI like a real extraction and count toward usage.
+          </p>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {error && (
+            <div className="error-card">
+              <p className="text-red-600 text-sm">{error}</p>
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div>
+              <div className="flex items-center space-x-4 mb-3">
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="radio"
+                    checked={source === 'paste'}
+                    onChange={() => setSource('paste')}
+                  />
+                  <span>Paste a conversation</span>
+                </label>
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="radio"
+                    checked={source === 'recent'}
+                    onChange={() => setSource('recent')}
+                    disabled={recentContacts.length === 0}
+                  />
+                  <span>Use a recent conversation</span>
+                </label>
+              </div>
+
+              {source === 'paste' && (
+                <>
+                  <label className="form-label">Conversation</label>
+                  <textarea
+                    value={transcript}
+                    onChange={(e) => setTranscript(e.target.value)}
+                    className="form-textarea font-mono text-xs"
+                    rows={12}
+                    placeholder={'Customer: ...\nAgent: ...'}
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    One "Speaker: message" per line. Agent, Staff, Business and Me are read as your side.
+                  </p>
+                </>
+              )}
+
+              <div className="mt-3">
+                <label className="form-label">
+                  {source === 'paste' ? 'Compare Against Contact' : 'Conversation'}
+                </label>
+                <select
+                  value={contactId}
+                  onChange={(e) => setContactId(e.target.value)}
+                  className="form-select"
+                >
+                  <option value="">{source === 'paste' ? 'None (empty contact)' : 'Select a contact'}</option>
+                  {recentContacts.map(contact => (
+                    <option key={contact.id} value={contact.id}>
+                      {contact.name || contact.id} · {new Date(contact.last_message).toLocaleDateString()}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <button onClick={handleRun} disabled={running} className="btn-primary mt-4">
+                {running ? 'Running...' : 'Run Dry Run'}
+              </button>
+            </div>
+
+            <div>
+              <label className="form-label">Field Descriptions</label>
+              {fields.length === 0 ? (
+                <p className="text-sm text-gray-500">No extraction fields configured yet.</p>
+              ) : (
+                <div className="space-y-3 max-h-[32rem] overflow-y-auto pr-1">
+                  {fields.map(field => {
+                    const edited = descriptions[field.id] !== (field.description || '')
+                    return (
+                      <div key={field.id}>
+                        <div className="flex items-center justify-between">
+                          <span className="text-sm font-medium text-gray-800">
+                            {field.field_name}
+                            <span className="ml-2 text-xs font-normal text-gray-500">{field.field_type}</span>
+                          </span>
+                          {edited && (
+                            <div className="flex space-x-2">
+                              <button
+                                onClick={() => setDescriptions({ ...descriptions, [field.id]: field.description || '' })}
+                                className="btn-secondary text-xs"
+                              >
+                                Reset
+                              </button>
+                              <button
+                                onClick={() => handleSaveDescription(field)}
+                                disabled={savingFieldId === field.id}
+                                className="btn-primary text-xs"
+                              >
+                                {savingFieldId === field.id ? 'Saving...' : 'Save'}
+                              </button>
+                            </div>
+                          )}
+                        </div>
+                        <textarea
+                          value={descriptions[field.id]}
+                          onChange={(e) => setDescriptions({ ...descriptions, [field.id]: e.target.value })}
+                          className={`form-textarea text-sm ${edited ? 'border-yellow-400' : ''}`}
+                          rows={2}
+                        />
+                      </div>
+                    )
+                  })}
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {extraction && (
+        <div className="bg-white rounded-lg shadow">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+            <div>
+              <h3 className="text-lg font-medium text-gray-900">Result</h3>
+              <p className="text-sm text-gray-600 mt-1">
+                {extraction.usage?.model} · {extraction.usage?.total_tokens} tokens · ${Number(extraction.usage?.cost_estimate || 0).toFixed(4)} · {extraction.usage?.response_time_ms} ms
+              </p>
+            </div>
+            <button onClick={() => setShowPrompt(!showPrompt)} className="btn-secondary text-sm">
+              {showPrompt ? 'Hide' : 'Show'} Prompt
+            </button>
+          </div>
+
+          <div className="p-6 space-y-6">
+            {extraction.error && (
+              <div className="warning-card">
+                <p className="text-yellow-800 text-sm">{extraction.error}</p>
+              </div>
+            )}
+
+            {extraction.escalation && (
+              <div className="warning-card">
+                <p className="text-yellow-800 text-sm">
+                  Stop trigger <strong>{extraction.escalation.trigger_name}</strong> would fire: {extraction.escalation.reason}
+                </p>
+              </div>
+            )}
+
+            {showPrompt && (
+              <pre className="bg-gray-50 border border-gray-200 rounded-md p-3 text-xs text-gray-800 whitespace-pre-wrap max-h-96 overflow-y-auto">
+                {(result.system_prompt || '').replace(/\\n/g, '\n')}
+              </pre>
+            )}
+
+            <div>
+              <h4 className="section-title">Before / After</h4>
+              {changes.length === 0 ? (
+                <p className="text-sm text-gray-500">
+                  {plan ? 'The extraction would not change the contact.' : 'Nothing was extracted, so no update was planned.'}
+                </p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs text-gray-500 uppercase">
+                        <th className="py-2 pr-4">Field</th>
+                        <th className="py-2 pr-4">Before</th>
+                        <th className="py-2 pr-4">After</th>
+                        <th className="py-2 pr-4">Outcome</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {changes.map(change => (
+                        <tr key={change.field_key}>
+                          <td className="py-2 pr-4 font-medium text-gray-900">{change.field_name || change.field_key}</td>
+                          <td className="py-2 pr-4 text-gray-500">{formatValue(change.previous_value)}</td>
+                          <td className={`py-2 pr-4 ${change.decision === 'written' ? 'text-green-700 font-medium' : 'text-gray-700'}`}>
+                            {formatValue(change.new_value)}
+                          </td>
+                          <td className="py-2 pr-4">
+                            <span className={`field-badge ${DECISION_STYLES[change.decision] || ''}`}>
+                              {change.decision.replace(/_/g, ' ')}
+                            </span>
+                            {change.reason && <div className="text-xs text-gray-500 mt-1">{change.reason}</div>}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+
+            {extraction.validation_errors?.length > 0 && (
+              <div>
+                <h4 className="section-title">Validation Errors</h4>
+                <ul className="text-sm text-red-700 list-disc ml-5">
+                  {extraction.validation_errors.map((validationError, index) => (
+                    <li key={index}>{validationError.field}: {validationError.error}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div>
+              <h4 className="section-title">Extracted JSON</h4>
+              <pre className="bg-gray-50 border border-gray-200 rounded-md p-3 text-xs text-gray-800 whitespace-pre-wrap max-h-96 overflow-y-auto">
+                {extraction.raw_output ? formatJson(extraction.raw_output) : JSON.stringify(extraction.extracted_data, null, 2)}
+              </pre>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PromptPlayground
@@ -0,0 +1,281 @@
+import React, { useState, useEffect } from 'react'
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  superseded: 'bg-gray-100 text-gray-600'
+}
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—'
+  if (Array.isArray(value)) return value.join(', ')
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+// Turns the edit box text back into the value type the field expects
+const parseEditedValue = (review, text) => {
+  const trimmed = text.trim()
+  switch (review.field_type) {
+    case 'MULTIPLE_OPTIONS':
+      return trimmed.split(',').map(item => item.trim()).filter(Boolean)
+    case 'NUMERICAL':
+      return trimmed === '' ? null : Number(trimmed)
+    default:
+      return trimmed
+  }
+}
+
+function ReviewInbox({ user, authService }) {
+  const [reviews, setReviews] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [showResolved, setShowResolved] = useState(false)
+  const [editing, setEditing] = useState({})
+  const [expanded, setExpanded] = useState({})
+  const [busyId, setBusyId] = useState(null)
+
+  const locationId = user?.locationId
+
+  useEffect(() => {
+    loadReviews()
+  }, [locationId, showResolved])
+
+  const loadReviews = async () => {
+    if (!locationId) {
+      setLoading(false)
+      return
+    }
+
+    try {
+      setLoading(true)
+      setError(null)
+
+      const supabase = authService?.getSupabaseClient() || (await import('../services/supabase')).supabase
+      let query = supabase
+        .from('pending_field_reviews')
+        .select('*')
+        .eq('location_id', locationId)
+        .order('created_at', { ascending: false })
+        .limit(100)
+
+      query = showResolved ? query.neq('status', 'pending') : query.eq('status', 'pending')
+
+      const { data, error } = await query
+      if (error) throw error
+      setReviews(data || [])
+    } catch (error) {
+      console.error('Error loading reviews:', error)
+      setError(`Failed to load reviews: ${error.message}`)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const resolveReview = async (review, action, editedValue) => {
+    try {
+      setBusyId(review.id)
+      setError(null)
+
+      // The function checks the caller's JWT has access to the location
+      const supabase = authService?.getSupabaseClient() || (await import('../services/supabase')).supabase
+      const { error } = await supabase.functions.invoke('review-field-changes', {
+        body: {
+          action,
+          location_id: locationId,
+          review_id: review.id,
+          reviewed_by: user?.userId || null,
+          ...(editedValue !== undefined ? { edited_value: editedValue } : {})
+        }
+      })
+
+      if (error) {
+        const details = await error.context?.json?.().catch(() => null)
+        throw new Error(details?.error || `Failed to ${action} change`)
+      }
+
+      console.log(`✅ Review ${action === 'approve' ? 'approved' : 'rejected'}:`, review.id)
+      setReviews(reviews.filter(r => r.id !== review.id))
+      setEditing(({ [review.id]: _removed, ...rest }) => rest)
+    } catch (error) {
+      console.error(`Error trying to ${action} review:`, error)
+      setError(`${review.field_name}: ${error.message}`)
+      loadReviews()
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleApprove = (review) => {
+    const text = editing[review.id]
+    resolveReview(review, 'approve', text === undefined ? undefined : parseEditedValue(review, text))
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Review Inbox</h3>
+          <p className="text-sm text-gray-600 mt-1">
+            Changes to fields set to "Ask before overwriting" and low-confidence values wait here until you approve, edit or reject them
+          </p>
+        </div>
+        <div className="flex items-center space-x-3">
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={showResolved}
+              onChange={(e) => setShowResolved(e.target.checked)}
+              className="form-checkbox"
+            />
+            <span>Show resolved</span>
+          </label>
+          <button onClick={loadReviews} disabled={loading} className="btn-secondary text-sm">
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      <div className="p-6">
+        {error && (
+          <div className="error-card mb-4">
+            <p className="text-red-600 text-sm">{error}</p>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="flex items-center py-4">
+            <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>
+            <span className="ml-2 text-sm text-gray-600">Loading reviews...</span>
+          </div>
+        ) : reviews.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-8">
+            {showResolved ? 'No resolved changes yet.' : 'Nothing waiting for review.'}
+          </p>
+        ) : (
+          <div className="space-y-4">
+            {reviews.map(review => {
+              const isEditing = editing[review.id] !== undefined
+              const isBusy = busyId === review.id
+
+              return (
+                <div key={review.id} className="border border-gray-200 rounded-md p-4 text-sm">
+                  <div className="flex items-center justify-between mb-3">
+                    <div className="flex items-center space-x-2">
+                      <span className="font-medium text-gray-900">{review.field_name}</span>
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[review.status]}`}>
+                        {review.status}
+                      </span>
+                      {review.review_reason === 'low_confidence' && (
+                        <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800">
+                          low confidence
+                        </span>
+                      )}
+                      {review.confidence !== null && review.confidence !== undefined && (
+                        <span className="text-xs text-gray-500">{Math.round(review.confidence * 100)}% confident</span>
+                      )}
+                    </div>
+                    <span className="text-xs text-gray-500">
+                      Contact {review.contact_id} · {new Date(review.created_at).toLocaleString()}
+                    </span>
+                  </div>
+
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-3">
+                    <div>
+                      <div className="text-xs text-gray-500 mb-1">Current value</div>
+                      <div className="bg-gray-50 rounded px-3 py-2 text-gray-800">{formatValue(review.current_value)}</div>
+                    </div>
+                    <div>
+                      <div className="text-xs text-gray-500 mb-1">
+                        {review.status === 'approved' ? 'Written value' : 'Proposed value'}
+                      </div>
+                      {isEditing ? (
+                        <input
+                          type={review.field_type === 'NUMERICAL' ? 'number' : 'text'}
+                          value={editing[review.id]}
+                          onChange={(e) => setEditing({ ...editing, [review.id]: e.target.value })}
+                          className="form-input"
+                        />
+                      ) : (
+                        <div className="bg-blue-50 rounded px-3 py-2 text-gray-800">
+                          {formatValue(review.status === 'approved' ? review.final_value : review.proposed_value)}
+                        </div>
+                      )}
+                      {isEditing && review.field_type === 'MULTIPLE_OPTIONS' && (
+                        <p className="text-xs text-gray-500 mt-1">Separate options with commas</p>
+                      )}
+                    </div>
+                  </div>
+
+                  {review.evidence?.quote && (
+                    <p className="text-xs text-gray-600 italic mb-3">
+                      Source: "{review.evidence.quote}"
+                    </p>
+                  )}
+
+                  {review.conversation_excerpt?.length > 0 && (
+                    <div className="mb-3">
+                      <button
+                        onClick={() => setExpanded({ ...expanded, [review.id]: !expanded[review.id] })}
+                        className="text-xs text-blue-600 hover:text-blue-800"
+                      >
+                        {expanded[review.id] ? 'Hide conversation' : `Show conversation (${review.conversation_excerpt.length} messages)`}
+                      </button>
+                      {expanded[review.id] && (
+                        <div className="mt-2 space-y-1 border-l-2 border-gray-200 pl-3">
+                          {review.conversation_excerpt.map((message, index) => (
+                            <div key={index} className="text-xs">
+                              <span className="font-medium text-gray-600">
+                                {message.direction === 'inbound' ? 'Contact' : 'Business'}:
+                              </span>{' '}
+                              <span className="text-gray-800">{message.body}</span>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  )}
+
+                  {review.last_error && review.status === 'pending' && (
+                    <p className="text-xs text-red-600 mb-3">Last attempt failed: {review.last_error}</p>
+                  )}
+
+                  {review.status === 'pending' && (
+                    <div className="flex justify-end space-x-2">
+                      {isEditing ? (
+                        <button
+                          onClick={() => setEditing(({ [review.id]: _removed, ...rest }) => rest)}
+                          disabled={isBusy}
+                          className="btn-secondary text-xs"
+                        >
+                          Cancel Edit
+                        </button>
+                      ) : (
+                        <button
+                          onClick={() => setEditing({ ...editing, [review.id]: formatValue(review.proposed_value).replace(/^—$/, '') })}
+                          disabled={isBusy}
+                          className="btn-secondary text-xs"
+                        >
+                          Edit
+                        </button>
+                      )}
+                      <button onClick={() => resolveReview(review, 'reject')} disabled={isBusy} className="btn-danger text-xs">
+                        Reject
+                      </button>
+                      <button onClick={() => handleApprove(review)} disabled={isBusy} className="btn-success text-xs">
+                        {isBusy ? 'Saving...' : isEditing ? 'Approve Edit' : 'Approve'}
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ReviewInbox
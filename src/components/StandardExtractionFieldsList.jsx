@@ -41,7 +41,8 @@ function StandardExtractionFieldsList({ extractionFields, onEdit, onDelete }) {
     const policies = {
       'always': { label: 'Always overwrite', icon: '✏️', color: 'bg-blue-100 text-blue-800' },
       'never': { label: 'Never overwrite', icon: '🔒', color: 'bg-gray-100 text-gray-800' },
-      'only_empty': { label: 'Only empty fields', icon: '📝', color: 'bg-yellow-100 text-yellow-800' }
+      'only_empty': { label: 'Only empty fields', icon: '📝', color: 'bg-yellow-100 text-yellow-800' },
+      'ask': { label: 'Ask before overwriting', icon: '🙋', color: 'bg-purple-100 text-purple-800' }
     }
     return policies[policy] || policies['always']
   }
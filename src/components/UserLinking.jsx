@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react'
+import { GHL_CONFIGURATION_COLUMNS } from '../services/supabase'
 
 function UserLinking({ user, authService, onLinkingComplete }) {
   const [loading, setLoading] = useState(false)
@@ -16,7 +17,7 @@ function UserLinking({ user, authService, onLinkingComplete }) {
       // Look for configurations that match this user's location but have no user_id
       const { data, error } = await supabase
         .from('ghl_configurations')
-        .select('*')
+        .select(GHL_CONFIGURATION_COLUMNS)
         .eq('ghl_account_id', user.locationId)
         .is('user_id', null)
 
@@ -0,0 +1,534 @@
+import React, { useState, useEffect } from 'react'
+
+const PROFILE_FIELDS = [
+  { key: 'business_name', label: 'Business Name', rows: 1, placeholder: 'e.g., Acme Auto Repair' },
+  { key: 'business_description', label: 'What the Business Does', rows: 2, placeholder: 'e.g., Family-owned auto repair shop in Austin, TX' },
+  { key: 'services_offered', label: 'Services Offered', rows: 2, placeholder: 'e.g., Oil changes, brake repair, diagnostics, tire sales' },
+  { key: 'target_audience', label: 'Customers', rows: 2, placeholder: 'e.g., Local car owners, small fleet operators' },
+  { key: 'business_context', label: 'Anything Else the AI Should Know', rows: 3, placeholder: 'e.g., Quotes are given in USD; "the shop" always means our Main St location' }
+]
+
+const EMPTY_PROFILE = Object.fromEntries(PROFILE_FIELDS.map(field => [field.key, '']))
+
+// Rule types read by generatePromptWithSeparatedFields in generate-extraction-prompt
+const RULE_TYPES = [
+  {
+    value: 'EMPLOYEE_NAMES',
+    label: 'Employee Names',
+    help: 'Staff who appear in conversations, so their names are not extracted as the customer\'s',
+    descriptionPlaceholder: 'e.g., Sarah is our service advisor',
+    valuePlaceholder: 'e.g., Sarah, Sarah M.'
+  },
+  {
+    value: 'BUSINESS_CONTEXT',
+    label: 'Business Context',
+    help: 'Facts about the business listed as additional context',
+    descriptionPlaceholder: 'e.g., We only service vehicles made after 2005',
+    valuePlaceholder: 'Optional detail'
+  },
+  {
+    value: 'PROMPT_RULES',
+    label: 'Extraction Instructions',
+    help: 'Instructions listed under Special Instructions in the prompt',
+    descriptionPlaceholder: 'e.g., Record budgets as a number without the currency symbol',
+    valuePlaceholder: 'Optional detail appended to the instruction'
+  }
+]
+
+const EMPTY_RULE = {
+  rule_name: '',
+  rule_description: '',
+  rule_value: '',
+  is_active: true
+}
+
+const PREVIEW_DELAY_MS = 800
+
+function BusinessProfileEditor({ config, authService }) {
+  const [profile, setProfile] = useState(EMPTY_PROFILE)
+  const [savedProfile, setSavedProfile] = useState(null)
+  const [rules, setRules] = useState([])
+  const [editing, setEditing] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+  const [showPreview, setShowPreview] = useState(false)
+  const [preview, setPreview] = useState(null)
+  const [previewLoading, setPreviewLoading] = useState(false)
+  const [previewError, setPreviewError] = useState(null)
+
+  useEffect(() => {
+    loadProfile()
+  }, [config?.id])
+
+  // Regenerate the preview shortly after the last edit, including unsaved profile changes
+  useEffect(() => {
+    if (!showPreview || loading) return
+
+    const timer = setTimeout(loadPreview, PREVIEW_DELAY_MS)
+    return () => clearTimeout(timer)
+  }, [showPreview, loading, profile, rules])
+
+  const getSupabase = async () => {
+    return authService?.getSupabaseClient() || (await import('../../services/supabase')).supabase
+  }
+
+  const loadProfile = async () => {
+    if (!config?.id) {
+      setLoading(false)
+      return
+    }
+
+    try {
+      setLoading(true)
+      setError(null)
+
+      const supabase = await getSupabase()
+      const [profileResult, rulesResult] = await Promise.all([
+        supabase
+          .from('ghl_configurations')
+          .select(PROFILE_FIELDS.map(field => field.key).join(', '))
+          .eq('id', config.id)
+          .single(),
+        supabase
+          .from('contextual_rules')
+          .select('*')
+          .eq('config_id', config.id)
+          .order('sort_order', { ascending: true })
+      ])
+
+      if (profileResult.error) throw profileResult.error
+      if (rulesResult.error) throw rulesResult.error
+
+      const loadedProfile = Object.fromEntries(PROFILE_FIELDS.map(field => [field.key, profileResult.data[field.key] || '']))
+      setProfile(loadedProfile)
+      setSavedProfile(loadedProfile)
+      setRules(rulesResult.data || [])
+    } catch (error) {
+      console.error('Error loading business profile:', error)
+      setError(`Failed to load business profile: ${error.message}`)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const loadPreview = async () => {
+    try {
+      setPreviewLoading(true)
+      setPreviewError(null)
+
+      const supabaseUrl = import.meta.env.VITE_SUPABASE_URL
+      const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY
+
+      const response = await fetch(`${supabaseUrl}/functions/v1/generate-extraction-prompt`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${supabaseAnonKey}`
+        },
+        body: JSON.stringify({
+          locationId: config.ghl_account_id,
+          preview: {
+            business_profile: profile,
+            contextual_rules: rules
+          }
+        })
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to generate prompt')
+      }
+
+      setPreview(data)
+    } catch (error) {
+      console.error('Error generating prompt preview:', error)
+      setPreviewError(error.message)
+    } finally {
+      setPreviewLoading(false)
+    }
+  }
+
+  const handleSaveProfile = async () => {
+    try {
+      setSaving(true)
+      setError(null)
+
+      const values = Object.fromEntries(PROFILE_FIELDS.map(field => [field.key, profile[field.key].trim() || null]))
+
+      const supabase = await getSupabase()
+      const { error } = await supabase
+        .from('ghl_configurations')
+        .update({
+          ...values,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', config.id)
+
+      if (error) throw error
+
+      console.log('✅ Business profile saved')
+      setSavedProfile(profile)
+    } catch (error) {
+      console.error('Error saving business profile:', error)
+      setError(`Failed to save business profile: ${error.message}`)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleSaveRule = async () => {
+    if (!editing.rule_description.trim()) {
+      setError('A rule needs a description')
+      return
+    }
+
+    try {
+      setSaving(true)
+      setError(null)
+
+      const supabase = await getSupabase()
+      const values = {
+        rule_name: editing.rule_name.trim() || editing.rule_description.trim().substring(0, 60),
+        rule_description: editing.rule_description.trim(),
+        rule_value: editing.rule_value.trim() || null,
+        is_active: editing.is_active
+      }
+
+      if (editing.id) {
+        const { error } = await supabase.from('contextual_rules').update(values).eq('id', editing.id)
+        if (error) throw error
+      } else {
+        const lastOrder = Math.max(0, ...rules.filter(rule => rule.rule_type === editing.rule_type).map(rule => rule.sort_order || 0))
+        const { error } = await supabase.from('contextual_rules').insert({
+          ...values,
+          rule_type: editing.rule_type,
+          sort_order: lastOrder + 1,
+          config_id: config.id
+        })
+        if (error) throw error
+      }
+
+      console.log('✅ Contextual rule saved:', values.rule_name)
+      setEditing(null)
+      loadProfile()
+    } catch (error) {
+      console.error('Error saving contextual rule:', error)
+      setError(`Failed to save rule: ${error.message}`)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleToggleRule = async (rule) => {
+    try {
+      setError(null)
+      const supabase = await getSupabase()
+      const { error } = await supabase
+        .from('contextual_rules')
+        .update({ is_active: !rule.is_active })
+        .eq('id', rule.id)
+
+      if (error) throw error
+      setRules(rules.map(r => r.id === rule.id ? { ...r, is_active: !rule.is_active } : r))
+    } catch (error) {
+      console.error('Error updating contextual rule:', error)
+      setError(`Failed to update rule: ${error.message}`)
+    }
+  }
+
+  const handleDeleteRule = async (rule) => {
+    if (!window.confirm(`Delete the rule "${rule.rule_name || rule.rule_description}"?`)) return
+
+    try {
+      setError(null)
+      const supabase = await getSupabase()
+      const { error } = await supabase.from('contextual_rules').delete().eq('id', rule.id)
+      if (error) throw error
+
+      console.log('✅ Contextual rule deleted:', rule.rule_name)
+      setRules(rules.filter(r => r.id !== rule.id))
+    } catch (error) {
+      console.error('Error deleting contextual rule:', error)
+      setError(`Failed to delete rule: ${error.message}`)
+    }
+  }
+
+  // Swaps a rule with its neighbour of the same type; positions are renumbered so ties from old rows sort out
+  const handleMoveRule = async (rule, direction) => {
+    const typeRules = rules.filter(r => r.rule_type === rule.rule_type)
+    const index = typeRules.findIndex(r => r.id === rule.id)
+    const target = index + direction
+    if (target < 0 || target >= typeRules.length) return
+
+    const reordered = [...typeRules]
+    reordered[index] = typeRules[target]
+    reordered[target] = rule
+    const renumbered = reordered.map((r, i) => ({ ...r, sort_order: i + 1 }))
+
+    try {
+      setError(null)
+      const supabase = await getSupabase()
+      const changed = renumbered.filter((r, i) => r.sort_order !== typeRules[i].sort_order || r.id !== typeRules[i].id)
+      const results = await Promise.all(changed.map(r =>
+        supabase.from('contextual_rules').update({ sort_order: r.sort_order }).eq('id', r.id)
+      ))
+
+      const failed = results.find(result => result.error)
+      if (failed) throw failed.error
+
+      setRules([...rules.filter(r => r.rule_type !== rule.rule_type), ...renumbered])
+    } catch (error) {
+      console.error('Error reordering contextual rules:', error)
+      setError(`Failed to reorder rules: ${error.message}`)
+      loadProfile()
+    }
+  }
+
+  const startEditing = (ruleType, rule) => {
+    setError(null)
+    setEditing(rule ? {
+      ...EMPTY_RULE,
+      ...rule,
+      rule_name: rule.rule_name || '',
+      rule_value: rule.rule_value || ''
+    } : { ...EMPTY_RULE, rule_type: ruleType })
+  }
+
+  const profileChanged = savedProfile !== null && PROFILE_FIELDS.some(field => profile[field.key] !== savedProfile[field.key])
+
+  const renderRuleForm = (ruleType) => (
+    <div className="border border-gray-200 rounded-md p-3 space-y-3 mb-2">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <div>
+          <label className="form-label">Name</label>
+          <input
+            type="text"
+            value={editing.rule_name}
+            onChange={(e) => setEditing({ ...editing, rule_name: e.target.value })}
+            className="form-input"
+            placeholder="Shown in this list only"
+          />
+        </div>
+        <div>
+          <label className="form-label">Value</label>
+          <input
+            type="text"
+            value={editing.rule_value}
+            onChange={(e) => setEditing({ ...editing, rule_value: e.target.value })}
+            className="form-input"
+            placeholder={ruleType.valuePlaceholder}
+          />
+        </div>
+      </div>
+      <div>
+        <label className="form-label">Description *</label>
+        <textarea
+          value={editing.rule_description}
+          onChange={(e) => setEditing({ ...editing, rule_description: e.target.value })}
+          className="form-textarea"
+          rows={2}
+          placeholder={ruleType.descriptionPlaceholder}
+        />
+      </div>
+      <div className="flex items-center justify-between">
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={editing.is_active}
+            onChange={(e) => setEditing({ ...editing, is_active: e.target.checked })}
+            className="form-checkbox"
+          />
+          <span>Active</span>
+        </label>
+        <div className="flex space-x-2">
+          <button onClick={() => setEditing(null)} disabled={saving} className="btn-secondary text-sm">
+            Cancel
+          </button>
+          <button onClick={handleSaveRule} disabled={saving} className="btn-primary text-sm">
+            {saving ? 'Saving...' : editing.id ? 'Save Rule' : 'Add Rule'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+
+  if (loading) {
+    return (
+      <div className="flex items-center py-2">
+        <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>
+        <span className="ml-2 text-sm text-gray-600">Loading business profile...</span>
+      </div>
+    )
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <h3 className="section-title mb-0">Business Profile & Rules</h3>
+          <p className="text-sm text-gray-600">
+            What the AI is told about the business before it reads a conversation.
+          </p>
+        </div>
+        <button onClick={() => setShowPreview(!showPreview)} className="btn-secondary text-sm">
+          {showPreview ? 'Hide' : 'Show'} Prompt Preview
+        </button>
+      </div>
+
+      {error && (
+        <div className="error-card mb-3">
+          <p className="text-red-600 text-sm">{error}</p>
+        </div>
+      )}
+
+      <div className="space-y-3">
+        {PROFILE_FIELDS.map(field => (
+          <div key={field.key}>
+            <label className="form-label">{field.label}</label>
+            {field.rows === 1 ? (
+              <input
+                type="text"
+                value={profile[field.key]}
+                onChange={(e) => setProfile({ ...profile, [field.key]: e.target.value })}
+                className="form-input"
+                placeholder={field.placeholder}
+              />
+            ) : (
+              <textarea
+                value={profile[field.key]}
+                onChange={(e) => setProfile({ ...profile, [field.key]: e.target.value })}
+                className="form-textarea"
+                rows={field.rows}
+                placeholder={field.placeholder}
+              />
+            )}
+          </div>
+        ))}
+        <div className="flex justify-end space-x-2">
+          {profileChanged && (
+            <button onClick={() => setProfile(savedProfile)} disabled={saving} className="btn-secondary text-sm">
+              Discard Changes
+            </button>
+          )}
+          <button
+            onClick={handleSaveProfile}
+            disabled={saving || !profileChanged}
+            className="btn-primary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {saving ? 'Saving...' : 'Save Profile'}
+          </button>
+        </div>
+      </div>
+
+      <div className="mt-4 space-y-4">
+        {RULE_TYPES.map(ruleType => {
+          const typeRules = rules.filter(rule => rule.rule_type === ruleType.value)
+
+          return (
+            <div key={ruleType.value}>
+              <div className="flex items-center justify-between mb-2">
+                <div>
+                  <h4 className="text-sm font-medium text-gray-800">{ruleType.label}</h4>
+                  <p className="text-xs text-gray-500">{ruleType.help}</p>
+                </div>
+                {!editing && (
+                  <button onClick={() => startEditing(ruleType.value, null)} className="btn-secondary text-xs">
+                    Add
+                  </button>
+                )}
+              </div>
+
+              {editing && editing.rule_type === ruleType.value && !editing.id && renderRuleForm(ruleType)}
+
+              {typeRules.length === 0 ? (
+                <p className="text-sm text-gray-500">None yet.</p>
+              ) : (
+                <div className="space-y-2">
+                  {typeRules.map((rule, index) => (
+                    editing?.id === rule.id ? (
+                      <div key={rule.id}>{renderRuleForm(ruleType)}</div>
+                    ) : (
+                      <div key={rule.id} className="flex items-start justify-between border border-gray-200 rounded-md p-3 text-sm">
+                        <div className={rule.is_active ? '' : 'opacity-60'}>
+                          <div className="flex items-center space-x-2">
+                            <span className="font-medium text-gray-900">{rule.rule_name || 'Untitled rule'}</span>
+                            {!rule.is_active && (
+                              <span className="field-badge bg-gray-100 text-gray-600">inactive</span>
+                            )}
+                          </div>
+                          <p className="text-gray-600">
+                            {rule.rule_description}
+                            {rule.rule_value && <span className="text-gray-500"> ({rule.rule_value})</span>}
+                          </p>
+                        </div>
+                        <div className="flex items-center space-x-2 ml-4">
+                          <button
+                            onClick={() => handleMoveRule(rule, -1)}
+                            disabled={!!editing || index === 0}
+                            className="btn-secondary text-xs"
+                            title="Move up"
+                          >
+                            ↑
+                          </button>
+                          <button
+                            onClick={() => handleMoveRule(rule, 1)}
+                            disabled={!!editing || index === typeRules.length - 1}
+                            className="btn-secondary text-xs"
+                            title="Move down"
+                          >
+                            ↓
+                          </button>
+                          <button onClick={() => handleToggleRule(rule)} disabled={!!editing} className="btn-secondary text-xs">
+                            {rule.is_active ? 'Deactivate' : 'Activate'}
+                          </button>
+                          <button onClick={() => startEditing(ruleType.value, rule)} disabled={!!editing} className="btn-secondary text-xs">
+                            Edit
+                          </button>
+                          <button onClick={() => handleDeleteRule(rule)} disabled={!!editing} className="btn-danger text-xs">
+                            Delete
+                          </button>
+                        </div>
+                      </div>
+                    )
+                  ))}
+                </div>
+              )}
+            </div>
+          )
+        })}
+      </div>
+
+      {showPreview && (
+        <div className="mt-4">
+          <div className="flex items-center justify-between mb-2">
+            <h4 className="text-sm font-medium text-gray-800">
+              Prompt Preview
+              {profileChanged && <span className="ml-2 text-xs font-normal text-yellow-700">includes unsaved profile changes</span>}
+            </h4>
+            {previewLoading && <span className="text-xs text-gray-500">Updating...</span>}
+          </div>
+          {previewError ? (
+            <div className="error-card">
+              <p className="text-red-600 text-sm">Failed to generate preview: {previewError}</p>
+            </div>
+          ) : preview ? (
+            <>
+              {/* The generator writes line breaks as literal \n sequences; show them as lines */}
+              <pre className="bg-gray-50 border border-gray-200 rounded-md p-3 text-xs text-gray-800 whitespace-pre-wrap max-h-96 overflow-y-auto">
+                {preview.prompt.replace(/\\n/g, '\n')}
+              </pre>
+              <p className="text-xs text-gray-500 mt-1">
+                {preview.metadata?.promptLength} characters · {preview.metadata?.extractionFieldsCount} fields · {preview.metadata?.contextualRulesCount} active rules
+              </p>
+            </>
+          ) : (
+            <p className="text-sm text-gray-500">Generating preview...</p>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default BusinessProfileEditor
@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from 'react'
+
+// Keep in sync with EXTRACTION_CHANNELS / DEFAULT_CHANNEL_POLICY in
+// supabase/functions/_shared/ghl-webhook-normalizer.mjs
+const CHANNEL_OPTIONS = [
+  { value: 'SMS', label: 'SMS', icon: '💬' },
+  { value: 'WhatsApp', label: 'WhatsApp', icon: '🟢' },
+  { value: 'Live_Chat', label: 'Web Chat', icon: '🌐' },
+  { value: 'FB', label: 'Facebook Messenger', icon: '📘' },
+  { value: 'IG', label: 'Instagram', icon: '📸' },
+  { value: 'GMB', label: 'Google Business', icon: '📍' },
+  { value: 'Custom', label: 'Custom Provider', icon: '🔌' },
+  { value: 'Email', label: 'Email', icon: '✉️' },
+  { value: 'Call', label: 'Calls', icon: '📞' },
+  { value: 'Voicemail', label: 'Voicemail', icon: '📼' }
+]
+
+const DEFAULT_CHANNELS = ['SMS', 'WhatsApp', 'IG', 'FB', 'Custom', 'Live_Chat', 'Email', 'Call', 'Voicemail']
+
+function ChannelPolicySettings({ config, authService }) {
+  const [channels, setChannels] = useState(DEFAULT_CHANNELS)
+  const [extractOnOutbound, setExtractOnOutbound] = useState(false)
+  const [savedPolicy, setSavedPolicy] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+  const [saved, setSaved] = useState(false)
+
+  useEffect(() => {
+    loadPolicy()
+  }, [config?.id])
+
+  const getSupabase = async () => {
+    return authService?.getSupabaseClient() || (await import('../../services/supabase')).supabase
+  }
+
+  const loadPolicy = async () => {
+    if (!config?.id) {
+      setLoading(false)
+      return
+    }
+
+    try {
+      setLoading(true)
+      setError(null)
+
+      const supabase = await getSupabase()
+      const { data, error } = await supabase
+        .from('ghl_configurations')
+        .select('extraction_channels, extract_on_outbound')
+        .eq('id', config.id)
+        .single()
+
+      if (error) throw error
+
+      const policy = {
+        channels: data.extraction_channels || DEFAULT_CHANNELS,
+        extractOnOutbound: !!data.extract_on_outbound
+      }
+      setChannels(policy.channels)
+      setExtractOnOutbound(policy.extractOnOutbound)
+      setSavedPolicy(policy)
+    } catch (error) {
+      console.error('Error loading channel policy:', error)
+      setError(`Failed to load channel settings: ${error.message}`)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const toggleChannel = (value) => {
+    setSaved(false)
+    setChannels(current =>
+      current.includes(value)
+        ? current.filter(channel => channel !== value)
+        : [...current, value]
+    )
+  }
+
+  const hasChanges = savedPolicy && (
+    savedPolicy.extractOnOutbound !== extractOnOutbound ||
+    savedPolicy.channels.length !== channels.length ||
+    savedPolicy.channels.some(channel => !channels.includes(channel))
+  )
+
+  const handleSave = async () => {
+    try {
+      setSaving(true)
+      setError(null)
+
+      const supabase = await getSupabase()
+      const { error } = await supabase
+        .from('ghl_configurations')
+        .update({
+          extraction_channels: channels,
+          extract_on_outbound: extractOnOutbound,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', config.id)
+
+      if (error) throw error
+
+      console.log('✅ Channel policy saved:', { channels, extractOnOutbound })
+      setSavedPolicy({ channels, extractOnOutbound })
+      setSaved(true)
+    } catch (error) {
+      console.error('Error saving channel policy:', error)
+      setError(`Failed to save channel settings: ${error.message}`)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center py-4">
+        <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>
+        <span className="ml-2 text-sm text-gray-600">Loading channel settings...</span>
+      </div>
+    )
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <h3 className="section-title mb-0">Channels</h3>
+          <p className="text-sm text-gray-600">
+            Choose which conversation channels trigger AI extraction for this location.
+          </p>
+        </div>
+        <button
+          onClick={handleSave}
+          disabled={saving || !hasChanges}
+          className="btn-primary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {saving ? 'Saving...' : 'Save Channels'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="error-card mb-3">
+          <p className="text-red-600 text-sm">{error}</p>
+        </div>
+      )}
+
+      {saved && !hasChanges && (
+        <div className="success-card mb-3">
+          <p className="text-green-700 text-sm">Channel settings saved. New messages will follow them.</p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+        {CHANNEL_OPTIONS.map(option => (
+          <label
+            key={option.value}
+            className={`flex items-center space-x-2 border rounded-md px-3 py-2 cursor-pointer text-sm ${
+              channels.includes(option.value)
+                ? 'border-blue-500 bg-blue-50 text-blue-900'
+                : 'border-gray-200 text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            <input
+              type="checkbox"
+              checked={channels.includes(option.value)}
+              onChange={() => toggleChannel(option.value)}
+              className="rounded border-gray-300 text-blue-600"
+            />
+            <span>{option.icon} {option.label}</span>
+          </label>
+        ))}
+      </div>
+
+      <label className="flex items-center space-x-2 mt-3 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={extractOnOutbound}
+          onChange={(e) => {
+            setSaved(false)
+            setExtractOnOutbound(e.target.checked)
+          }}
+          className="rounded border-gray-300 text-blue-600"
+        />
+        <span>Also run extraction when your team sends a message (outbound)</span>
+      </label>
+
+      {channels.length === 0 && (
+        <div className="warning-card mt-3">
+          <p className="text-yellow-800 text-sm">
+            No channels selected. Extraction will not run for this location until at least one channel is enabled.
+          </p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ChannelPolicySettings
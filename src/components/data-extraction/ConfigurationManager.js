@@ -29,7 +29,7 @@ export default class ConfigurationManager {
         console.log('Configuration found:', {
           id: result.data.id,
           strategy: result.strategy,
-          hasTokens: !!(result.data.access_token && result.data.refresh_token)
+          hasTokens: !!(result.data.has_access_token && result.data.has_refresh_token)
         })
 
         // Cache the result
@@ -52,8 +52,10 @@ export default class ConfigurationManager {
     }
   }
 
+  // The tokens themselves are not readable from the browser, only has_access_token,
+  // has_refresh_token and token_is_placeholder, and needs_reauth once GHL has rejected them
   validateTokenStatus(config) {
-    if (!config.access_token) {
+    if (!config.has_access_token) {
       return {
         isValid: false,
         status: 'missing_access_token',
@@ -62,9 +64,7 @@ export default class ConfigurationManager {
       }
     }
     
-    if (config.access_token.startsWith('temp-') || 
-        config.access_token.startsWith('dev-') || 
-        config.access_token.startsWith('test-')) {
+    if (config.token_is_placeholder) {
       return {
         isValid: false,
         status: 'temporary_token',
@@ -73,7 +73,7 @@ export default class ConfigurationManager {
       }
     }
     
-    if (!config.refresh_token) {
+    if (!config.has_refresh_token) {
       return {
         isValid: false,
         status: 'missing_refresh_token',
@@ -81,6 +81,15 @@ export default class ConfigurationManager {
         severity: 'error'
       }
     }
+
+    if (config.needs_reauth) {
+      return {
+        isValid: false,
+        status: 'needs_reauth',
+        message: 'GoHighLevel rejected the saved connection. Please reconnect your account.',
+        severity: 'error'
+      }
+    }
     
     if (config.token_expires_at) {
       const expiryDate = new Date(config.token_expires_at)
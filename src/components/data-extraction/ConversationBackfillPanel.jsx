@@ -0,0 +1,290 @@
+import React, { useState, useEffect } from 'react'
+
+const POLL_INTERVAL_MS = 5000
+
+const STATUS_STYLES = {
+  pending: 'bg-gray-100 text-gray-800',
+  running: 'bg-blue-100 text-blue-800',
+  paused: 'bg-yellow-100 text-yellow-800',
+  completed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-600'
+}
+
+const toDateInput = (date) => date.toISOString().slice(0, 10)
+
+function ConversationBackfillPanel({ config, user, authService }) {
+  const [backfill, setBackfill] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState(null)
+  const [showForm, setShowForm] = useState(false)
+  const [form, setForm] = useState(() => {
+    const end = new Date()
+    const start = new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000)
+    return {
+      startDate: toDateInput(start),
+      endDate: toDateInput(end),
+      queueExtraction: false,
+      spendCap: ''
+    }
+  })
+
+  const locationId = config?.ghl_account_id
+  const isActive = backfill && ['pending', 'running'].includes(backfill.status)
+
+  useEffect(() => {
+    loadLatestBackfill()
+  }, [locationId])
+
+  // Poll while a run is in progress
+  useEffect(() => {
+    if (!isActive) return
+    const timer = setInterval(loadLatestBackfill, POLL_INTERVAL_MS)
+    return () => clearInterval(timer)
+  }, [isActive, locationId])
+
+  const loadLatestBackfill = async () => {
+    if (!locationId) {
+      setLoading(false)
+      return
+    }
+
+    try {
+      const supabase = authService?.getSupabaseClient() || (await import('../../services/supabase')).supabase
+      const { data, error } = await supabase
+        .from('conversation_backfills')
+        .select('*')
+        .eq('location_id', locationId)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle()
+
+      if (error) throw error
+      setBackfill(data)
+    } catch (error) {
+      console.error('Error loading backfill status:', error)
+      setError(`Failed to load backfill status: ${error.message}`)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Sent through the authenticated client: the function checks the caller's JWT has access to the location
+  const callBackfillFunction = async (body) => {
+    const supabase = authService?.getSupabaseClient() || (await import('../../services/supabase')).supabase
+
+    const { data, error } = await supabase.functions.invoke('backfill-conversations', {
+      body: { location_id: locationId, ...body }
+    })
+
+    if (error) {
+      const details = await error.context?.json?.().catch(() => null)
+      throw new Error(details?.error || 'Backfill request failed')
+    }
+    return data
+  }
+
+  const handleStart = async (e) => {
+    e.preventDefault()
+
+    try {
+      setSubmitting(true)
+      setError(null)
+
+      const data = await callBackfillFunction({
+        action: 'start',
+        start_date: new Date(`${form.startDate}T00:00:00`).toISOString(),
+        end_date: new Date(`${form.endDate}T23:59:59`).toISOString(),
+        queue_extraction: form.queueExtraction,
+        spend_cap_usd: form.queueExtraction && form.spendCap !== '' ? Number(form.spendCap) : null,
+        requested_by: user?.userId || null
+      })
+
+      console.log('✅ Backfill started:', data.backfill?.id)
+      setBackfill(data.backfill)
+      setShowForm(false)
+    } catch (error) {
+      console.error('Error starting backfill:', error)
+      setError(error.message)
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const handleControl = async (action) => {
+    try {
+      setSubmitting(true)
+      setError(null)
+
+      const data = await callBackfillFunction({ action, backfill_id: backfill.id })
+      setBackfill(data.backfill)
+    } catch (error) {
+      console.error(`Error trying to ${action} backfill:`, error)
+      setError(error.message)
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center py-4">
+        <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>
+        <span className="ml-2 text-sm text-gray-600">Loading backfill status...</span>
+      </div>
+    )
+  }
+
+  // A running backfill whose lease lapsed has lost its worker and can be resumed
+  const stalled = backfill?.status === 'running' && backfill.locked_until &&
+    new Date(backfill.locked_until).getTime() < Date.now()
+  const canResume = backfill && (['paused', 'failed'].includes(backfill.status) || stalled)
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <h3 className="section-title mb-0">Import Past Conversations</h3>
+          <p className="text-sm text-gray-600">
+            Pull existing GoHighLevel conversations into the extractor so older leads get enriched too.
+          </p>
+        </div>
+        {!isActive && !showForm && (
+          <button onClick={() => setShowForm(true)} className="btn-secondary text-sm">
+            New Backfill
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="error-card mb-3">
+          <p className="text-red-600 text-sm">{error}</p>
+        </div>
+      )}
+
+      {showForm && (
+        <form onSubmit={handleStart} className="border border-gray-200 rounded-md p-4 mb-3 space-y-3">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <div>
+              <label className="form-label">From</label>
+              <input
+                type="date"
+                value={form.startDate}
+                max={form.endDate}
+                onChange={(e) => setForm({ ...form, startDate: e.target.value })}
+                className="form-input"
+                required
+              />
+            </div>
+            <div>
+              <label className="form-label">To</label>
+              <input
+                type="date"
+                value={form.endDate}
+                min={form.startDate}
+                onChange={(e) => setForm({ ...form, endDate: e.target.value })}
+                className="form-input"
+                required
+              />
+            </div>
+          </div>
+
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.queueExtraction}
+              onChange={(e) => setForm({ ...form, queueExtraction: e.target.checked })}
+              className="form-checkbox"
+            />
+            <span>Run AI extraction on imported conversations</span>
+          </label>
+
+          {form.queueExtraction && (
+            <div>
+              <label className="form-label">Spend cap (USD, optional)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={form.spendCap}
+                onChange={(e) => setForm({ ...form, spendCap: e.target.value })}
+                placeholder="No cap"
+                className="form-input md:w-48"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Conversations past the cap are still imported but not extracted. Spend is estimated from this location's recent extractions.
+              </p>
+            </div>
+          )}
+
+          <div className="flex justify-end space-x-2">
+            <button type="button" onClick={() => setShowForm(false)} className="btn-secondary text-sm">
+              Cancel
+            </button>
+            <button type="submit" disabled={submitting} className="btn-primary text-sm disabled:opacity-50">
+              {submitting ? 'Starting...' : 'Start Backfill'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {backfill && (
+        <div className="border border-gray-200 rounded-md p-4 text-sm">
+          <div className="flex items-center justify-between mb-2">
+            <div className="flex items-center space-x-2">
+              <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[backfill.status]}`}>
+                {stalled ? 'stalled' : backfill.status}
+              </span>
+              <span className="text-gray-600">
+                {new Date(backfill.start_date).toLocaleDateString()} – {new Date(backfill.end_date).toLocaleDateString()}
+              </span>
+            </div>
+            <div className="flex space-x-2">
+              {isActive && !stalled && (
+                <button onClick={() => handleControl('pause')} disabled={submitting} className="btn-secondary text-xs">
+                  Pause
+                </button>
+              )}
+              {canResume && (
+                <button onClick={() => handleControl('resume')} disabled={submitting} className="btn-primary text-xs">
+                  Resume
+                </button>
+              )}
+              {(isActive || canResume) && (
+                <button onClick={() => handleControl('cancel')} disabled={submitting} className="btn-danger text-xs">
+                  Cancel
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-gray-700">
+            <div><span className="font-medium">{backfill.conversations_scanned}</span> conversations</div>
+            <div><span className="font-medium">{backfill.messages_inserted}</span> messages imported</div>
+            <div><span className="font-medium">{backfill.messages_skipped}</span> already stored</div>
+            {backfill.queue_extraction && (
+              <div>
+                <span className="font-medium">{backfill.extractions_queued}</span> extractions queued
+                {backfill.extractions_skipped > 0 && ` (${backfill.extractions_skipped} over cap)`}
+              </div>
+            )}
+          </div>
+
+          {backfill.queue_extraction && (
+            <p className="text-xs text-gray-500 mt-2">
+              Estimated spend ${Number(backfill.estimated_spend_usd).toFixed(2)}
+              {backfill.spend_cap_usd !== null && ` of $${Number(backfill.spend_cap_usd).toFixed(2)} cap`}
+            </p>
+          )}
+
+          {backfill.last_error && (
+            <p className="text-xs text-red-600 mt-2">Last error: {backfill.last_error}</p>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ConversationBackfillPanel
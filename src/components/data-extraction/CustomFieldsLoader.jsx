@@ -6,18 +6,18 @@ export default class CustomFieldsLoader {
   async loadFields(config) {
     try {
       // Validate access token
-      if (!config.access_token) {
+      if (!config.has_access_token) {
         console.error('No access token available')
         throw new Error('No access token available. Please reconnect your account.')
       }
 
-      if (this.isTemporaryToken(config.access_token)) {
+      if (config.token_is_placeholder) {
         console.error('Temporary token detected. Please reconnect your account.')
         throw new Error('Temporary token detected. Please reconnect your account.')
       }
 
       try {
-        const ghlService = new (await import('../../services/GHLApiService')).GHLApiService(config.access_token)
+        const ghlService = new (await import('../../services/GHLApiService')).GHLApiService(config.id, this.authService)
         const fields = await ghlService.getCustomFields(config.ghl_account_id)
         
         // Update stored field data for existing extraction fields
@@ -156,12 +156,4 @@ export default class CustomFieldsLoader {
       console.error('Error updating stored field data:', error)
     }
   }
-
-  isTemporaryToken(token) {
-    if (!token) return true
-    return token.startsWith('temp-') || 
-           token.startsWith('dev-') || 
-           token.startsWith('test-') ||
-           token === 'invalid-token'
-  }
 }
\ No newline at end of file
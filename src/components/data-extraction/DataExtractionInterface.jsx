@@ -5,6 +5,14 @@ import ExtractionFieldsList from './ExtractionFieldsList'
 import CreateCustomFieldForm from './CreateCustomFieldForm'
 import CustomFieldEditForm from './CustomFieldEditForm'
 import CustomFieldsLoader from './CustomFieldsLoader.jsx'
+import ShadowModeSettings from './ShadowModeSettings'
+import ChannelPolicySettings from './ChannelPolicySettings'
+import DefaultCountrySetting from './DefaultCountrySetting'
+import ModelFallbackSettings from './ModelFallbackSettings'
+import BusinessProfileEditor from './BusinessProfileEditor'
+import StopTriggersManager from './StopTriggersManager'
+import ConversationBackfillPanel from './ConversationBackfillPanel'
+import PromptVersionHistory from './PromptVersionHistory'
 import { GHLApiService } from '../../services/GHLApiService'
 import { FieldRecreationService } from './FieldRecreationService'
 import { isStandardField } from '../../utils/standardContactFields'
@@ -24,6 +32,8 @@ function DataExtractionInterface({ config, user, authService }) {
   const [refreshing, setRefreshing] = useState(false)
   const [creating, setCreating] = useState(false)
   const [updating, setUpdating] = useState(false)
+  // Bumped after a prompt version restore so the profile and trigger editors reload
+  const [restoreCount, setRestoreCount] = useState(0)
 
   useEffect(() => {
     loadData()
@@ -55,7 +65,7 @@ function DataExtractionInterface({ config, user, authService }) {
   }
 
   const loadCustomFields = async () => {
-    if (!config || !config.access_token) {
+    if (!config || !config.has_access_token) {
       console.error('No valid configuration or access token available')
       setError('No valid configuration or access token available. Please reconnect your account.')
       setCustomFields([])
@@ -120,7 +130,7 @@ function DataExtractionInterface({ config, user, authService }) {
       setUpdating(true)
       setError(null) 
       
-      if (!config || !config.access_token) {
+      if (!config || !config.has_access_token) {
         throw new Error('No valid connection available. Please reconnect your account.')
       }
 
@@ -128,7 +138,7 @@ function DataExtractionInterface({ config, user, authService }) {
       console.log('Field ID:', editingCustomField.id)
       console.log('Update data:', updateData)
 
-      const ghlService = new GHLApiService(config.access_token)
+      const ghlService = new GHLApiService(config.id, authService)
       const updatedField = await ghlService.updateCustomField(
         config.ghl_account_id, 
         editingCustomField.id, 
@@ -158,7 +168,7 @@ function DataExtractionInterface({ config, user, authService }) {
       setUpdating(true)
       setError(null) 
       
-      if (!config || !config.access_token) {
+      if (!config || !config.has_access_token) {
         throw new Error('No valid connection available. Please reconnect your account.')
       }
 
@@ -166,7 +176,7 @@ function DataExtractionInterface({ config, user, authService }) {
       console.log('Field ID:', fieldId)
 
       // Step 1: Delete the field from GoHighLevel
-      const ghlService = new GHLApiService(config.access_token)
+      const ghlService = new GHLApiService(config.id, authService)
       await ghlService.deleteCustomField(config.ghl_account_id, fieldId)
       
       console.log('✅ Field deleted successfully from GHL')
@@ -244,14 +254,14 @@ function DataExtractionInterface({ config, user, authService }) {
       setCreating(true)
       setError(null) 
       
-      if (!config || !config.access_token) {
+      if (!config || !config.has_access_token) {
         throw new Error('No valid connection available. Please reconnect your account.')
       }
 
       console.log('=== CREATING NEW CUSTOM FIELD ===')
       console.log('Field data:', fieldData)
 
-      const ghlService = new GHLApiService(config.access_token)
+      const ghlService = new GHLApiService(config.id, authService)
       const createdField = await ghlService.createCustomField(config.ghl_account_id, fieldData)
       
       console.log('✅ Field created successfully in GHL:', createdField)
@@ -317,7 +327,7 @@ function DataExtractionInterface({ config, user, authService }) {
       setRecreating(true)
       setError(null) 
       
-      if (!config || !config.access_token) {
+      if (!config || !config.has_access_token) {
         throw new Error('No valid connection available. Please reconnect your account.')
       }
 
@@ -328,7 +338,7 @@ function DataExtractionInterface({ config, user, authService }) {
         throw new Error('No original field data available for recreation. This field cannot be recreated.')
       }
 
-      const ghlService = new GHLApiService(config.access_token)
+      const ghlService = new GHLApiService(config.id, authService)
       const recreationService = new FieldRecreationService(ghlService)
 
       recreationService.debugFieldMetadata(extractionField.original_ghl_field_data)
@@ -420,7 +430,7 @@ function DataExtractionInterface({ config, user, authService }) {
         console.log('Updating GHL field with options:', ghlOptions)
         
         // Update the custom field in GHL
-        const ghlService = new GHLApiService(config.access_token)
+        const ghlService = new GHLApiService(config.id, authService)
         await ghlService.updateCustomField(config.ghl_account_id, fieldId, {
           name: selectedCustomField?.name || editingField?.field_name,
           picklistOptions: ghlOptions,
@@ -620,6 +630,53 @@ function DataExtractionInterface({ config, user, authService }) {
         </div>
       )}
 
+      {/* Extraction Mode */}
+      <div className="px-6 pt-6 pb-4 border-b border-gray-200">
+        <ShadowModeSettings config={config} authService={authService} />
+      </div>
+
+      {/* Channel Policy */}
+      <div className="px-6 pt-6 pb-4 border-b border-gray-200">
+        <ChannelPolicySettings config={config} authService={authService} />
+      </div>
+
+      {/* Value Normalization */}
+      <div className="px-6 pt-6 pb-4 border-b border-gray-200">
+        <DefaultCountrySetting config={config} authService={authService} />
+      </div>
+
+      {/* Model Fallback */}
+      <div className="px-6 pt-6 pb-4 border-b border-gray-200">
+        <ModelFallbackSettings config={config} authService={authService} />
+      </div>
+
+      {/* Business Profile & Rules */}
+      <div className="px-6 pt-6 pb-4 border-b border-gray-200">
+        <BusinessProfileEditor key={restoreCount} config={config} authService={authService} />
+      </div>
+
+      {/* Stop Triggers */}
+      <div className="px-6 pt-6 pb-4 border-b border-gray-200">
+        <StopTriggersManager key={restoreCount} config={config} authService={authService} />
+      </div>
+
+      {/* Prompt Versions */}
+      <div className="px-6 pt-6 pb-4 border-b border-gray-200">
+        <PromptVersionHistory
+          config={config}
+          authService={authService}
+          onRestored={() => {
+            setRestoreCount(count => count + 1)
+            loadData()
+          }}
+        />
+      </div>
+
+      {/* Historical Backfill */}
+      <div className="px-6 pt-6 pb-4 border-b border-gray-200">
+        <ConversationBackfillPanel config={config} user={user} authService={authService} />
+      </div>
+
       <div className="p-6">
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
           {/* Available Custom Fields */}
@@ -0,0 +1,124 @@
+import React, { useState, useEffect } from 'react'
+
+// Keep in sync with COUNTRY_CALLING_CODES in supabase/functions/_shared/value-normalizer.mjs
+const COUNTRY_OPTIONS = [
+  { value: 'US', label: 'United States (+1)' },
+  { value: 'CA', label: 'Canada (+1)' },
+  { value: 'GB', label: 'United Kingdom (+44)' },
+  { value: 'IE', label: 'Ireland (+353)' },
+  { value: 'AU', label: 'Australia (+61)' },
+  { value: 'NZ', label: 'New Zealand (+64)' },
+  { value: 'ZA', label: 'South Africa (+27)' },
+  { value: 'IN', label: 'India (+91)' },
+  { value: 'PH', label: 'Philippines (+63)' },
+  { value: 'SG', label: 'Singapore (+65)' },
+  { value: 'AE', label: 'United Arab Emirates (+971)' },
+  { value: 'DE', label: 'Germany (+49)' },
+  { value: 'FR', label: 'France (+33)' },
+  { value: 'ES', label: 'Spain (+34)' },
+  { value: 'IT', label: 'Italy (+39)' },
+  { value: 'NL', label: 'Netherlands (+31)' },
+  { value: 'MX', label: 'Mexico (+52)' },
+  { value: 'BR', label: 'Brazil (+55)' }
+]
+
+function DefaultCountrySetting({ config, authService }) {
+  const [country, setCountry] = useState('US')
+  const [savedCountry, setSavedCountry] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    loadCountry()
+  }, [config?.id])
+
+  const getSupabase = async () => {
+    return authService?.getSupabaseClient() || (await import('../../services/supabase')).supabase
+  }
+
+  const loadCountry = async () => {
+    if (!config?.id) return
+
+    try {
+      const supabase = await getSupabase()
+      const { data, error } = await supabase
+        .from('ghl_configurations')
+        .select('default_country')
+        .eq('id', config.id)
+        .single()
+
+      if (error) throw error
+      setCountry(data.default_country || 'US')
+      setSavedCountry(data.default_country || 'US')
+    } catch (error) {
+      console.error('Error loading default country:', error)
+      setError(`Failed to load default country: ${error.message}`)
+    }
+  }
+
+  const handleSave = async () => {
+    try {
+      setSaving(true)
+      setError(null)
+
+      const supabase = await getSupabase()
+      const { error } = await supabase
+        .from('ghl_configurations')
+        .update({
+          default_country: country,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', config.id)
+
+      if (error) throw error
+
+      console.log('✅ Default country saved:', country)
+      setSavedCountry(country)
+    } catch (error) {
+      console.error('Error saving default country:', error)
+      setError(`Failed to save default country: ${error.message}`)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <h3 className="section-title mb-0">Default Country</h3>
+          <p className="text-sm text-gray-600">
+            Phone numbers without a country code get this country's code, and dates like 03/04 are read in its order.
+          </p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <select
+            value={country}
+            onChange={(e) => setCountry(e.target.value)}
+            className="form-select text-sm"
+            disabled={savedCountry === null}
+          >
+            {COUNTRY_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={handleSave}
+            disabled={saving || savedCountry === null || country === savedCountry}
+            className="btn-primary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="error-card">
+          <p className="text-red-600 text-sm">{error}</p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default DefaultCountrySetting
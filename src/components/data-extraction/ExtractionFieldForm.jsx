@@ -13,12 +13,14 @@ function ExtractionFieldForm({ customField, editingField, onSubmit, onCancel })
     is_required: false,
     sort_order: 0,
     overwrite_policy: 'always', // Default to always overwrite
+    min_confidence: null, // No confidence threshold
+    low_confidence_action: 'skip',
     original_ghl_field_data: {}
   })
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
 
-  // Simplified overwrite policy options (removed 'ask')
+  // Overwrite policy options ('ask' queues changes in the review inbox)
   const overwritePolicyOptions = [
     {
       value: 'always',
@@ -37,6 +39,12 @@ function ExtractionFieldForm({ customField, editingField, onSubmit, onCancel })
       label: 'Never overwrite',
       description: 'Skip this field if it has any data',
       icon: '🔒'
+    },
+    {
+      value: 'ask',
+      label: 'Ask before overwriting',
+      description: 'Fill empty fields, send changes to existing data to the review inbox',
+      icon: '🙋'
     }
   ]
 
@@ -54,6 +62,8 @@ function ExtractionFieldForm({ customField, editingField, onSubmit, onCancel })
         is_required: editingField.is_required,
         sort_order: editingField.sort_order,
         overwrite_policy: editingField.overwrite_policy || 'always', // Default to always
+        min_confidence: editingField.min_confidence ?? null,
+        low_confidence_action: editingField.low_confidence_action || 'skip',
         original_ghl_field_data: editingField.original_ghl_field_data || {}
       })
     } else if (customField) {
@@ -71,6 +81,8 @@ function ExtractionFieldForm({ customField, editingField, onSubmit, onCancel })
           is_required: false,
           sort_order: 0,
           overwrite_policy: 'always', // Default for new fields
+          min_confidence: null,
+          low_confidence_action: 'skip',
           original_ghl_field_data: customField
         })
       } else {
@@ -108,6 +120,8 @@ function ExtractionFieldForm({ customField, editingField, onSubmit, onCancel })
           is_required: false,
           sort_order: 0,
           overwrite_policy: 'always', // Default for new fields
+          min_confidence: null,
+          low_confidence_action: 'skip',
           original_ghl_field_data: customField
         })
       }
@@ -329,7 +343,7 @@ function ExtractionFieldForm({ customField, editingField, onSubmit, onCancel })
                 </p>
               </div>
               
-              <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
                 {overwritePolicyOptions.map((option) => (
                   <label
                     key={option.value}
@@ -360,6 +374,41 @@ function ExtractionFieldForm({ customField, editingField, onSubmit, onCancel })
               </div>
             </div>
 
+            <div>
+              <label className="form-label">
+                Minimum Confidence
+              </label>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <div>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    step="5"
+                    value={formData.min_confidence === null || formData.min_confidence === undefined ? '' : Math.round(formData.min_confidence * 100)}
+                    onChange={(e) => handleChange('min_confidence', e.target.value === '' ? null : Math.min(100, Math.max(0, Number(e.target.value))) / 100)}
+                    className="form-input"
+                    placeholder="No minimum"
+                    disabled={loading}
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Percent. The AI rates how sure it is of each value; leave empty to accept any value.
+                  </p>
+                </div>
+                <div>
+                  <select
+                    value={formData.low_confidence_action}
+                    onChange={(e) => handleChange('low_confidence_action', e.target.value)}
+                    className="form-select"
+                    disabled={loading || formData.min_confidence === null || formData.min_confidence === undefined}
+                  >
+                    <option value="skip">Skip values below the minimum</option>
+                    <option value="review">Send values below the minimum to the review inbox</option>
+                  </select>
+                </div>
+              </div>
+            </div>
+
             {needsPicklistOptions && (
               <div>
                 <label className="form-label">
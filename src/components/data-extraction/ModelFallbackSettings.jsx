@@ -0,0 +1,106 @@
+import React, { useState, useEffect } from 'react'
+import FallbackChainEditor from '../FallbackChainEditor'
+
+// Trims empty models and compares chains for the unsaved-changes check
+const normalizeChain = (chain) => (chain || []).map(step => ({ source: step.source, model: step.model?.trim() || null }))
+
+function ModelFallbackSettings({ config, authService }) {
+  const [chain, setChain] = useState([])
+  const [savedChain, setSavedChain] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    loadChain()
+  }, [config?.id])
+
+  const getSupabase = async () => {
+    return authService?.getSupabaseClient() || (await import('../../services/supabase')).supabase
+  }
+
+  const loadChain = async () => {
+    if (!config?.id) return
+
+    try {
+      const supabase = await getSupabase()
+      const { data, error } = await supabase
+        .from('ghl_configurations')
+        .select('llm_fallback_chain')
+        .eq('id', config.id)
+        .single()
+
+      if (error) throw error
+      setChain(normalizeChain(data.llm_fallback_chain))
+      setSavedChain(normalizeChain(data.llm_fallback_chain))
+    } catch (error) {
+      console.error('Error loading fallback chain:', error)
+      setError(`Failed to load fallback chain: ${error.message}`)
+    }
+  }
+
+  const handleSave = async () => {
+    try {
+      setSaving(true)
+      setError(null)
+
+      const normalized = normalizeChain(chain)
+      const supabase = await getSupabase()
+      const { error } = await supabase
+        .from('ghl_configurations')
+        .update({
+          // An empty chain defers to the agency's chain
+          llm_fallback_chain: normalized.length > 0 ? normalized : null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', config.id)
+
+      if (error) throw error
+
+      console.log('✅ Fallback chain saved:', normalized)
+      setChain(normalized)
+      setSavedChain(normalized)
+    } catch (error) {
+      console.error('Error saving fallback chain:', error)
+      setError(`Failed to save fallback chain: ${error.message}`)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const unchanged = JSON.stringify(normalizeChain(chain)) === JSON.stringify(savedChain)
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <h3 className="section-title mb-0">Model Fallback</h3>
+          <p className="text-sm text-gray-600">
+            Models to try in order when one is rate limited or unavailable. Leave empty to use the agency's chain.
+          </p>
+        </div>
+        <button
+          onClick={handleSave}
+          disabled={saving || savedChain === null || unchanged}
+          className="btn-primary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+
+      <FallbackChainEditor
+        chain={chain}
+        onChange={setChain}
+        disabled={saving || savedChain === null}
+        emptyMessage="No location chain. Extractions follow the agency's fallback chain."
+      />
+
+      {error && (
+        <div className="error-card mt-3">
+          <p className="text-red-600 text-sm">{error}</p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ModelFallbackSettings
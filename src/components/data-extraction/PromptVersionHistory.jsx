@@ -0,0 +1,336 @@
+import React, { useState, useEffect } from 'react'
+
+const VERSION_LIMIT = 50
+
+// Sections of prompt_versions.configuration, as written by snapshot_prompt_configuration
+const CONFIG_SECTIONS = [
+  { key: 'fields', label: 'Extraction Fields', name: row => row.field_name },
+  { key: 'contextual_rules', label: 'Contextual Rules', name: row => row.rule_name || row.rule_description },
+  { key: 'stop_triggers', label: 'Stop Triggers', name: row => row.trigger_name }
+]
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—'
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+// The generator writes literal "\n" sequences, so split on those as well as real newlines
+const promptLines = (prompt) => (prompt || '').split(/\\n|\n/)
+
+// Line diff via longest common subsequence; prompts are a few hundred lines at most
+const diffLines = (before, after) => {
+  const a = promptLines(before)
+  const b = promptLines(after)
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0))
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+    }
+  }
+
+  const lines = []
+  let i = 0
+  let j = 0
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] })
+      i++
+      j++
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      lines.push({ type: 'removed', text: a[i] })
+      i++
+    } else {
+      lines.push({ type: 'added', text: b[j] })
+      j++
+    }
+  }
+  return lines
+}
+
+const changedKeys = (before, after) => {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})])
+  return [...keys].filter(key => JSON.stringify(before?.[key] ?? null) !== JSON.stringify(after?.[key] ?? null))
+}
+
+const diffConfiguration = (before, after) => {
+  const profile = changedKeys(before.business_profile, after.business_profile).map(key => ({
+    key,
+    before: before.business_profile?.[key],
+    after: after.business_profile?.[key]
+  }))
+
+  const sections = CONFIG_SECTIONS.map(section => {
+    const beforeRows = new Map((before[section.key] || []).map(row => [row.id, row]))
+    const afterRows = new Map((after[section.key] || []).map(row => [row.id, row]))
+
+    return {
+      ...section,
+      added: [...afterRows.values()].filter(row => !beforeRows.has(row.id)),
+      removed: [...beforeRows.values()].filter(row => !afterRows.has(row.id)),
+      changed: [...afterRows.values()]
+        .filter(row => beforeRows.has(row.id))
+        .map(row => ({ row, keys: changedKeys(beforeRows.get(row.id), row), before: beforeRows.get(row.id) }))
+        .filter(change => change.keys.length > 0)
+    }
+  })
+
+  return { profile, sections }
+}
+
+function PromptVersionHistory({ config, authService, onRestored }) {
+  const [versions, setVersions] = useState([])
+  const [currentConfiguration, setCurrentConfiguration] = useState(null)
+  const [baseId, setBaseId] = useState(null)
+  const [compareId, setCompareId] = useState(null)
+  const [showPromptDiff, setShowPromptDiff] = useState(false)
+  const [loading, setLoading] = useState(true)
+  const [restoring, setRestoring] = useState(null)
+  const [error, setError] = useState(null)
+  const [notice, setNotice] = useState(null)
+
+  useEffect(() => {
+    loadVersions()
+  }, [config?.id])
+
+  const getSupabase = async () => {
+    return authService?.getSupabaseClient() || (await import('../../services/supabase')).supabase
+  }
+
+  const loadVersions = async () => {
+    if (!config?.id) {
+      setLoading(false)
+      return
+    }
+
+    try {
+      setLoading(true)
+      setError(null)
+
+      const supabase = await getSupabase()
+      const [versionsResult, snapshotResult] = await Promise.all([
+        supabase
+          .from('prompt_versions')
+          .select('*')
+          .eq('config_id', config.id)
+          .order('created_at', { ascending: false })
+          .limit(VERSION_LIMIT),
+        supabase.rpc('snapshot_prompt_configuration', { p_config_id: config.id })
+      ])
+
+      if (versionsResult.error) throw versionsResult.error
+      if (snapshotResult.error) throw snapshotResult.error
+
+      const loaded = versionsResult.data || []
+      setVersions(loaded)
+      setCurrentConfiguration(snapshotResult.data)
+
+      // Default to comparing the two most recent versions
+      if (loaded.length >= 2) {
+        setBaseId(loaded[1].id)
+        setCompareId(loaded[0].id)
+      }
+    } catch (error) {
+      console.error('Error loading prompt versions:', error)
+      setError(`Failed to load prompt versions: ${error.message}`)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleRestore = async (version) => {
+    const confirmed = window.confirm(
+      `Restore the configuration from ${new Date(version.created_at).toLocaleString()}?\n\n` +
+      'The business profile, extraction fields, contextual rules and stop triggers will be put back as they were. ' +
+      'Anything added since will be deleted, including pending reviews for deleted fields.'
+    )
+    if (!confirmed) return
+
+    try {
+      setRestoring(version.id)
+      setError(null)
+      setNotice(null)
+
+      // The function checks the caller's JWT has access to the location
+      const supabase = await getSupabase()
+      const { data, error } = await supabase.functions.invoke('restore-prompt-version', {
+        body: {
+          location_id: config.ghl_account_id,
+          version_id: version.id
+        }
+      })
+
+      if (error) {
+        const details = await error.context?.json?.().catch(() => null)
+        throw new Error(details?.error || `restore-prompt-version returned ${error.context?.status}`)
+      }
+
+      console.log('✅ Prompt version restored:', data)
+      setNotice(data.prompt_matches
+        ? 'Configuration restored. New extractions use this version again.'
+        : 'Configuration restored, but it now generates a different prompt than it did then (the prompt template has changed since), so it was recorded as a new version.')
+
+      await loadVersions()
+      onRestored?.()
+    } catch (error) {
+      console.error('Error restoring prompt version:', error)
+      setError(`Failed to restore version: ${error.message}`)
+    } finally {
+      setRestoring(null)
+    }
+  }
+
+  const currentJson = currentConfiguration ? JSON.stringify(currentConfiguration) : null
+  const isCurrent = (version) => currentJson !== null && JSON.stringify(version.configuration) === currentJson
+
+  const base = versions.find(version => version.id === baseId)
+  const compare = versions.find(version => version.id === compareId)
+  const configDiff = base && compare && base.id !== compare.id ? diffConfiguration(base.configuration, compare.configuration) : null
+  const promptDiff = configDiff && showPromptDiff ? diffLines(base.prompt, compare.prompt) : null
+
+  return (
+    <div>
+      <h3 className="section-title">Prompt Versions</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Every distinct prompt used for an extraction is kept with the fields, rules and stop triggers that produced it. Each AI usage log records the version it ran with. Pick two versions to compare them, or restore an older configuration.
+      </p>
+
+      {error && (
+        <div className="error-card mb-4">
+          <p className="text-red-600 text-sm">{error}</p>
+        </div>
+      )}
+
+      {notice && (
+        <div className="info-card mb-4">
+          <p className="text-blue-800 text-sm">{notice}</p>
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading versions...</p>
+      ) : versions.length === 0 ? (
+        <p className="text-sm text-gray-500">No versions yet. One is recorded the first time an extraction runs.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 uppercase">
+                <th className="py-2 pr-2">From</th>
+                <th className="py-2 pr-4">To</th>
+                <th className="py-2 pr-4">First Used</th>
+                <th className="py-2 pr-4">Version</th>
+                <th className="py-2 pr-4">Contents</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {versions.map(version => (
+                <tr key={version.id}>
+                  <td className="py-2 pr-2">
+                    <input type="radio" name="base-version" checked={baseId === version.id} onChange={() => setBaseId(version.id)} />
+                  </td>
+                  <td className="py-2 pr-4">
+                    <input type="radio" name="compare-version" checked={compareId === version.id} onChange={() => setCompareId(version.id)} />
+                  </td>
+                  <td className="py-2 pr-4 text-gray-900 whitespace-nowrap">{new Date(version.created_at).toLocaleString()}</td>
+                  <td className="py-2 pr-4 whitespace-nowrap">
+                    <code className="text-xs">{version.content_hash.slice(0, 12)}</code>
+                    {isCurrent(version) && (
+                      <span className="ml-2 field-badge bg-green-100 text-green-800">current</span>
+                    )}
+                  </td>
+                  <td className="py-2 pr-4 text-xs text-gray-600">
+                    {CONFIG_SECTIONS.map(section => `${(version.configuration[section.key] || []).length} ${section.label.toLowerCase()}`).join(', ')}
+                  </td>
+                  <td className="py-2 text-right">
+                    {!isCurrent(version) && (
+                      <button
+                        onClick={() => handleRestore(version)}
+                        disabled={restoring !== null}
+                        className="btn-secondary text-xs"
+                      >
+                        {restoring === version.id ? 'Restoring...' : 'Restore'}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {configDiff && (
+        <div className="mt-4 border border-gray-200 rounded-md p-4 space-y-3 text-sm">
+          <h4 className="font-medium text-gray-900">
+            Changes from {new Date(base.created_at).toLocaleString()} to {new Date(compare.created_at).toLocaleString()}
+          </h4>
+
+          {configDiff.profile.length === 0 && configDiff.sections.every(s => s.added.length + s.removed.length + s.changed.length === 0) && (
+            <p className="text-gray-500">The configuration is the same; only the generated prompt differs.</p>
+          )}
+
+          {configDiff.profile.length > 0 && (
+            <div>
+              <p className="font-medium text-gray-800">Business Profile</p>
+              <ul className="text-xs space-y-1 mt-1">
+                {configDiff.profile.map(change => (
+                  <li key={change.key}>
+                    <strong>{change.key}</strong>: <span className="text-red-700">{formatValue(change.before)}</span> → <span className="text-green-700">{formatValue(change.after)}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {configDiff.sections.filter(s => s.added.length + s.removed.length + s.changed.length > 0).map(section => (
+            <div key={section.key}>
+              <p className="font-medium text-gray-800">{section.label}</p>
+              <ul className="text-xs space-y-1 mt-1">
+                {section.added.map(row => (
+                  <li key={`a-${row.id}`} className="text-green-700">+ {section.name(row)}</li>
+                ))}
+                {section.removed.map(row => (
+                  <li key={`r-${row.id}`} className="text-red-700">− {section.name(row)}</li>
+                ))}
+                {section.changed.map(change => (
+                  <li key={`c-${change.row.id}`}>
+                    ~ {section.name(change.row)}
+                    <ul className="ml-4">
+                      {change.keys.map(key => (
+                        <li key={key}>
+                          {key}: <span className="text-red-700">{formatValue(change.before[key])}</span> → <span className="text-green-700">{formatValue(change.row[key])}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+
+          <button onClick={() => setShowPromptDiff(!showPromptDiff)} className="btn-secondary text-xs">
+            {showPromptDiff ? 'Hide Prompt Diff' : 'Show Prompt Diff'}
+          </button>
+
+          {promptDiff && (
+            <pre className="bg-gray-50 rounded p-3 text-xs overflow-x-auto max-h-96 whitespace-pre-wrap">
+              {promptDiff.map((line, index) => (
+                <div
+                  key={index}
+                  className={line.type === 'added' ? 'bg-green-100 text-green-800' : line.type === 'removed' ? 'bg-red-100 text-red-800' : 'text-gray-600'}
+                >
+                  {line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : '  '}{line.text}
+                </div>
+              ))}
+            </pre>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PromptVersionHistory
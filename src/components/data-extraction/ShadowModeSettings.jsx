@@ -0,0 +1,231 @@
+import React, { useState, useEffect } from 'react'
+
+function ShadowModeSettings({ config, authService }) {
+  const [mode, setMode] = useState(null)
+  const [shadowStartedAt, setShadowStartedAt] = useState(null)
+  const [report, setReport] = useState([])
+  const [runCounts, setRunCounts] = useState({ runs: 0, contacts: 0 })
+  const [loadingReport, setLoadingReport] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    loadMode()
+  }, [config?.id])
+
+  const getSupabase = async () => {
+    return authService?.getSupabaseClient() || (await import('../../services/supabase')).supabase
+  }
+
+  const loadMode = async () => {
+    if (!config?.id) return
+
+    try {
+      const supabase = await getSupabase()
+      const { data, error } = await supabase
+        .from('ghl_configurations')
+        .select('extraction_mode, shadow_started_at')
+        .eq('id', config.id)
+        .single()
+
+      if (error) throw error
+      setMode(data.extraction_mode || 'live')
+      setShadowStartedAt(data.shadow_started_at)
+
+      if (data.extraction_mode === 'shadow') {
+        await loadReport(data.shadow_started_at)
+      }
+    } catch (error) {
+      console.error('Error loading extraction mode:', error)
+      setError(`Failed to load extraction mode: ${error.message}`)
+    }
+  }
+
+  const loadReport = async (since) => {
+    try {
+      setLoadingReport(true)
+      const supabase = await getSupabase()
+
+      const { data, error } = await supabase.rpc('get_shadow_report', {
+        p_location_id: config.ghl_account_id,
+        p_since: since
+      })
+
+      if (error) throw error
+      setReport(data || [])
+
+      let runsQuery = supabase
+        .from('extraction_results')
+        .select('contact_id')
+        .eq('location_id', config.ghl_account_id)
+        .eq('status', 'shadow')
+        .limit(5000)
+
+      if (since) {
+        runsQuery = runsQuery.gte('created_at', since)
+      }
+
+      const { data: runs, error: runsError } = await runsQuery
+      if (runsError) throw runsError
+
+      setRunCounts({
+        runs: runs.length,
+        contacts: new Set(runs.map(run => run.contact_id)).size
+      })
+    } catch (error) {
+      console.error('Error loading shadow report:', error)
+      setError(`Failed to load shadow report: ${error.message}`)
+    } finally {
+      setLoadingReport(false)
+    }
+  }
+
+  const saveMode = async (nextMode) => {
+    try {
+      setSaving(true)
+      setError(null)
+
+      const startedAt = nextMode === 'shadow' ? new Date().toISOString() : shadowStartedAt
+      const supabase = await getSupabase()
+      const { error } = await supabase
+        .from('ghl_configurations')
+        .update({
+          extraction_mode: nextMode,
+          shadow_started_at: startedAt,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', config.id)
+
+      if (error) throw error
+
+      console.log('✅ Extraction mode saved:', nextMode)
+      setMode(nextMode)
+      setShadowStartedAt(startedAt)
+
+      if (nextMode === 'shadow') {
+        setReport([])
+        setRunCounts({ runs: 0, contacts: 0 })
+      }
+    } catch (error) {
+      console.error('Error saving extraction mode:', error)
+      setError(`Failed to save extraction mode: ${error.message}`)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleStartShadow = () => {
+    if (!window.confirm('Switch this location to shadow mode? Extractions will keep running, but nothing will be written to GoHighLevel until you promote it to live.')) {
+      return
+    }
+    saveMode('shadow')
+  }
+
+  const handlePromote = () => {
+    if (!window.confirm('Promote this location to live? From now on extracted values will be written to GoHighLevel contacts.')) {
+      return
+    }
+    saveMode('live')
+  }
+
+  const totals = report.reduce((sum, row) => ({
+    would_fill: sum.would_fill + Number(row.would_fill),
+    would_overwrite: sum.would_overwrite + Number(row.would_overwrite),
+    would_review: sum.would_review + Number(row.would_review),
+    rejected: sum.rejected + Number(row.rejected)
+  }), { would_fill: 0, would_overwrite: 0, would_review: 0, rejected: 0 })
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <h3 className="section-title mb-0">
+            Extraction Mode
+            <span className={`ml-2 field-badge ${mode === 'shadow' ? 'bg-purple-100 text-purple-800' : 'bg-green-100 text-green-800'}`}>
+              {mode === 'shadow' ? 'Shadow' : 'Live'}
+            </span>
+          </h3>
+          <p className="text-sm text-gray-600">
+            {mode === 'shadow'
+              ? `Extractions run and are recorded, but nothing is written to GoHighLevel${shadowStartedAt ? ` (since ${new Date(shadowStartedAt).toLocaleString()})` : ''}.`
+              : 'Extracted values are written to GoHighLevel contacts. Use shadow mode to watch what the extractor would do first.'}
+          </p>
+        </div>
+        {mode === 'shadow' ? (
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={() => loadReport(shadowStartedAt)}
+              disabled={loadingReport}
+              className="btn-secondary text-sm"
+            >
+              {loadingReport ? 'Loading...' : 'Refresh'}
+            </button>
+            <button
+              onClick={handlePromote}
+              disabled={saving}
+              className="btn-primary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {saving ? 'Saving...' : 'Promote to Live'}
+            </button>
+          </div>
+        ) : (
+          <button
+            onClick={handleStartShadow}
+            disabled={saving || mode === null}
+            className="btn-secondary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {saving ? 'Saving...' : 'Start Shadow Mode'}
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="error-card">
+          <p className="text-red-600 text-sm">{error}</p>
+        </div>
+      )}
+
+      {mode === 'shadow' && (
+        <div className="info-card">
+          <p className="text-sm text-blue-800">
+            {runCounts.runs} run(s) across {runCounts.contacts} contact(s) would have filled <strong>{totals.would_fill}</strong> empty
+            field(s) and overwritten <strong>{totals.would_overwrite}</strong> existing value(s).
+            {totals.would_review > 0 && ` ${totals.would_review} value(s) would have gone to review.`}
+            {totals.rejected > 0 && ` ${totals.rejected} value(s) would have been rejected.`}
+          </p>
+
+          {report.length > 0 && (
+            <table className="min-w-full text-sm mt-3">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 uppercase">
+                  <th className="py-1 pr-4">Field</th>
+                  <th className="py-1 pr-4">Would Fill</th>
+                  <th className="py-1 pr-4">Would Overwrite</th>
+                  <th className="py-1 pr-4">Review</th>
+                  <th className="py-1 pr-4">Rejected</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-blue-100">
+                {report.map(row => (
+                  <tr key={row.field_key}>
+                    <td className="py-1 pr-4 text-gray-900">{row.field_name || row.field_key}</td>
+                    <td className="py-1 pr-4">{row.would_fill}</td>
+                    <td className="py-1 pr-4">{row.would_overwrite}</td>
+                    <td className="py-1 pr-4">{row.would_review}</td>
+                    <td className="py-1 pr-4">{row.rejected}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <p className="text-xs text-gray-600 mt-2">
+            Each run is listed under Contact Changes in the Logs tab.
+          </p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ShadowModeSettings
@@ -0,0 +1,350 @@
+import React, { useState, useEffect } from 'react'
+
+const EMPTY_TRIGGER = {
+  trigger_name: '',
+  scenario_description: '',
+  escalation_message: '',
+  is_active: true,
+  escalation_tag: '',
+  create_task: false,
+  task_assigned_to: '',
+  task_due_hours: 24,
+  post_note: true
+}
+
+const ESCALATION_STATUS_STYLES = {
+  in_progress: 'bg-blue-100 text-blue-800',
+  completed: 'bg-green-100 text-green-800',
+  partial: 'bg-yellow-100 text-yellow-800',
+  failed: 'bg-red-100 text-red-800'
+}
+
+function StopTriggersManager({ config, authService }) {
+  const [triggers, setTriggers] = useState([])
+  const [escalations, setEscalations] = useState([])
+  const [editing, setEditing] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    loadTriggers()
+  }, [config?.id])
+
+  const getSupabase = async () => {
+    return authService?.getSupabaseClient() || (await import('../../services/supabase')).supabase
+  }
+
+  const loadTriggers = async () => {
+    if (!config?.id) {
+      setLoading(false)
+      return
+    }
+
+    try {
+      setLoading(true)
+      setError(null)
+
+      const supabase = await getSupabase()
+      const [triggersResult, escalationsResult] = await Promise.all([
+        supabase
+          .from('stop_triggers')
+          .select('*')
+          .eq('config_id', config.id)
+          .order('trigger_name', { ascending: true }),
+        supabase
+          .from('conversation_escalations')
+          .select('id, trigger_name, reason, contact_id, conversation_id, actions, status, created_at')
+          .eq('config_id', config.id)
+          .order('created_at', { ascending: false })
+          .limit(10)
+      ])
+
+      if (triggersResult.error) throw triggersResult.error
+      if (escalationsResult.error) throw escalationsResult.error
+
+      setTriggers(triggersResult.data || [])
+      setEscalations(escalationsResult.data || [])
+    } catch (error) {
+      console.error('Error loading stop triggers:', error)
+      setError(`Failed to load stop triggers: ${error.message}`)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleSave = async () => {
+    if (!editing.trigger_name.trim() || !editing.scenario_description.trim()) {
+      setError('A stop trigger needs a name and a scenario description')
+      return
+    }
+
+    try {
+      setSaving(true)
+      setError(null)
+
+      const supabase = await getSupabase()
+      const values = {
+        trigger_name: editing.trigger_name.trim(),
+        scenario_description: editing.scenario_description.trim(),
+        escalation_message: editing.escalation_message.trim() || null,
+        is_active: editing.is_active,
+        escalation_tag: editing.escalation_tag.trim() || null,
+        create_task: editing.create_task,
+        task_assigned_to: editing.task_assigned_to.trim() || null,
+        task_due_hours: parseInt(editing.task_due_hours) || 24,
+        post_note: editing.post_note
+      }
+
+      const { error } = editing.id
+        ? await supabase.from('stop_triggers').update(values).eq('id', editing.id)
+        : await supabase.from('stop_triggers').insert({ ...values, config_id: config.id })
+
+      if (error) throw error
+
+      console.log('✅ Stop trigger saved:', values.trigger_name)
+      setEditing(null)
+      loadTriggers()
+    } catch (error) {
+      console.error('Error saving stop trigger:', error)
+      setError(`Failed to save stop trigger: ${error.message}`)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async (trigger) => {
+    if (!window.confirm(`Delete the stop trigger "${trigger.trigger_name}"?`)) return
+
+    try {
+      setError(null)
+      const supabase = await getSupabase()
+      const { error } = await supabase.from('stop_triggers').delete().eq('id', trigger.id)
+      if (error) throw error
+
+      console.log('✅ Stop trigger deleted:', trigger.trigger_name)
+      loadTriggers()
+    } catch (error) {
+      console.error('Error deleting stop trigger:', error)
+      setError(`Failed to delete stop trigger: ${error.message}`)
+    }
+  }
+
+  const startEditing = (trigger) => {
+    setError(null)
+    setEditing(trigger ? {
+      ...EMPTY_TRIGGER,
+      ...trigger,
+      escalation_message: trigger.escalation_message || '',
+      escalation_tag: trigger.escalation_tag || '',
+      task_assigned_to: trigger.task_assigned_to || ''
+    } : { ...EMPTY_TRIGGER })
+  }
+
+  const describeActions = (trigger) => {
+    const actions = []
+    if (trigger.escalation_tag) actions.push(`tag "${trigger.escalation_tag}"`)
+    if (trigger.create_task) actions.push(trigger.task_assigned_to ? `task for ${trigger.task_assigned_to}` : 'task')
+    if (trigger.post_note && trigger.escalation_message) actions.push('note')
+    return actions.length > 0 ? actions.join(', ') : 'log only'
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <h3 className="section-title mb-0">Stop Triggers</h3>
+          <p className="text-sm text-gray-600">
+            Scenarios that hand a conversation to a person. When the AI spots one, the contact is tagged, a task is created and a note is posted as configured.
+          </p>
+        </div>
+        {!editing && (
+          <button onClick={() => startEditing(null)} disabled={loading} className="btn-primary text-sm">
+            Add Trigger
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="error-card mb-3">
+          <p className="text-red-600 text-sm">{error}</p>
+        </div>
+      )}
+
+      {editing && (
+        <div className="border border-gray-200 rounded-md p-4 mb-4 space-y-3">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <div>
+              <label className="form-label">Trigger Name *</label>
+              <input
+                type="text"
+                value={editing.trigger_name}
+                onChange={(e) => setEditing({ ...editing, trigger_name: e.target.value })}
+                className="form-input"
+                placeholder="e.g., Refund request"
+              />
+            </div>
+            <div>
+              <label className="form-label">Tag to Add</label>
+              <input
+                type="text"
+                value={editing.escalation_tag}
+                onChange={(e) => setEditing({ ...editing, escalation_tag: e.target.value })}
+                className="form-input"
+                placeholder="e.g., needs-human"
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="form-label">Scenario *</label>
+            <textarea
+              value={editing.scenario_description}
+              onChange={(e) => setEditing({ ...editing, scenario_description: e.target.value })}
+              className="form-textarea"
+              rows={2}
+              placeholder="e.g., The customer asks for a refund or threatens to cancel"
+            />
+          </div>
+
+          <div>
+            <label className="form-label">Escalation Message</label>
+            <textarea
+              value={editing.escalation_message}
+              onChange={(e) => setEditing({ ...editing, escalation_message: e.target.value })}
+              className="form-textarea"
+              rows={2}
+              placeholder="Posted as a note on the contact and added to the task"
+            />
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3 items-end">
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={editing.create_task}
+                onChange={(e) => setEditing({ ...editing, create_task: e.target.checked })}
+                className="form-checkbox"
+              />
+              <span>Create a task</span>
+            </label>
+            <div>
+              <label className="form-label">Assign Task To (GHL user ID)</label>
+              <input
+                type="text"
+                value={editing.task_assigned_to}
+                onChange={(e) => setEditing({ ...editing, task_assigned_to: e.target.value })}
+                className="form-input"
+                disabled={!editing.create_task}
+                placeholder="Unassigned"
+              />
+            </div>
+            <div>
+              <label className="form-label">Task Due In (hours)</label>
+              <input
+                type="number"
+                min="1"
+                value={editing.task_due_hours}
+                onChange={(e) => setEditing({ ...editing, task_due_hours: e.target.value })}
+                className="form-input"
+                disabled={!editing.create_task}
+              />
+            </div>
+          </div>
+
+          <div className="flex items-center space-x-6">
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={editing.post_note}
+                onChange={(e) => setEditing({ ...editing, post_note: e.target.checked })}
+                className="form-checkbox"
+              />
+              <span>Post the escalation message as a note</span>
+            </label>
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={editing.is_active}
+                onChange={(e) => setEditing({ ...editing, is_active: e.target.checked })}
+                className="form-checkbox"
+              />
+              <span>Active</span>
+            </label>
+          </div>
+
+          <div className="flex justify-end space-x-2">
+            <button onClick={() => setEditing(null)} disabled={saving} className="btn-secondary text-sm">
+              Cancel
+            </button>
+            <button onClick={handleSave} disabled={saving} className="btn-primary text-sm">
+              {saving ? 'Saving...' : editing.id ? 'Save Trigger' : 'Add Trigger'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex items-center py-2">
+          <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>
+          <span className="ml-2 text-sm text-gray-600">Loading stop triggers...</span>
+        </div>
+      ) : triggers.length === 0 ? (
+        <p className="text-sm text-gray-500">No stop triggers configured.</p>
+      ) : (
+        <div className="space-y-2">
+          {triggers.map(trigger => (
+            <div key={trigger.id} className="flex items-start justify-between border border-gray-200 rounded-md p-3 text-sm">
+              <div>
+                <div className="flex items-center space-x-2">
+                  <span className="font-medium text-gray-900">{trigger.trigger_name}</span>
+                  {!trigger.is_active && (
+                    <span className="field-badge bg-gray-100 text-gray-600">inactive</span>
+                  )}
+                </div>
+                <p className="text-gray-600">{trigger.scenario_description}</p>
+                <p className="text-xs text-gray-500 mt-1">Actions: {describeActions(trigger)}</p>
+              </div>
+              <div className="flex space-x-2 ml-4">
+                <button onClick={() => startEditing(trigger)} disabled={!!editing} className="btn-secondary text-xs">
+                  Edit
+                </button>
+                <button onClick={() => handleDelete(trigger)} disabled={!!editing} className="btn-danger text-xs">
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {escalations.length > 0 && (
+        <div className="mt-4">
+          <h4 className="text-sm font-medium text-gray-800 mb-2">Recent Escalations</h4>
+          <div className="space-y-1">
+            {escalations.map(escalation => (
+              <div key={escalation.id} className="text-xs text-gray-700">
+                <span className="text-gray-500">{new Date(escalation.created_at).toLocaleString()}</span>
+                {' · '}
+                <span className="font-medium">{escalation.trigger_name}</span>
+                {' · '}
+                Contact {escalation.contact_id}
+                <span className={`ml-2 field-badge ${ESCALATION_STATUS_STYLES[escalation.status]}`}>
+                  {escalation.status.replace(/_/g, ' ')}
+                </span>
+                {escalation.reason && <div className="text-gray-600 italic ml-4">{escalation.reason}</div>}
+                {Object.entries(escalation.actions || {})
+                  .filter(([, action]) => action?.status === 'failed')
+                  .map(([name, action]) => (
+                    <div key={name} className="text-red-600 ml-4">{name} failed: {action.error}</div>
+                  ))}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default StopTriggersManager
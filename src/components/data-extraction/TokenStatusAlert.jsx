@@ -35,6 +35,28 @@ function TokenStatusAlert({ config }) {
     )
   }
 
+  // GHL rejected the refresh token; nothing will refresh it until the app is reinstalled
+  if (tokenStatus.status === 'needs_reauth') {
+    return (
+      <div className="error-card mb-6">
+        <h3 className="text-red-800 font-medium">⚠️ Reconnect Required</h3>
+        <p className="text-red-600 text-sm mt-1">GoHighLevel no longer accepts this app's saved connection, so data extraction and contact updates are paused. Please reconnect your account to resume.</p>
+        {config.reauth_reason && (
+          <p className="text-red-500 text-xs mt-1">{config.reauth_reason}</p>
+        )}
+
+        <div className="mt-3">
+          <button
+            onClick={openOAuthInstall}
+            className="btn-danger"
+          >
+            Reconnect Account
+          </button>
+        </div>
+      </div>
+    )
+  }
+
   // For temporary tokens, show OAuth installation option
   if (tokenStatus.status === 'temporary_token') {
     return (
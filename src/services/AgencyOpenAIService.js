@@ -1,3 +1,10 @@
+// Key record columns shown in the agency settings. The encrypted key cannot be read from the
+// browser at all; key_hint identifies it instead.
+const KEY_COLUMNS = 'id, key_name, key_hint, openai_org_id, usage_limit_monthly, current_usage_monthly, is_active, created_at, openai_model, provider_type, base_url, deployment_name, api_version, input_price_per_million, output_price_per_million, fallback_chain'
+
+// Settings that depend on the provider type; see supabase/functions/_shared/llm-providers.mjs
+const PROVIDER_FIELDS = ['provider_type', 'base_url', 'deployment_name', 'api_version', 'input_price_per_million', 'output_price_per_million']
+
 export class AgencyOpenAIService {
   constructor(authService = null) {
     this.authService = authService
@@ -67,7 +74,7 @@ export class AgencyOpenAIService {
 
       const { data, error } = await supabase
         .from('agency_openai_keys')
-        .select('id, key_name, openai_org_id, usage_limit_monthly, current_usage_monthly, is_active, created_at, openai_model')
+        .select(KEY_COLUMNS)
         .eq('agency_ghl_id', agencyId)
         .order('created_at', { ascending: false })
 
@@ -101,38 +108,20 @@ export class AgencyOpenAIService {
         }
       }
 
-      const supabase = await this.getSupabaseClient()
-      
-      if (!supabase) {
-        console.error('Supabase client not available')
-        throw new Error('Database connection not available')
-      }
-
-      // Encrypt the API key before storing (in production, use proper encryption)
-      const encryptedKey = await this.encryptApiKey(keyData.api_key)
-
       console.log('Adding OpenAI key for agency:', agencyId)
-      
-      const { data, error } = await supabase
-        .from('agency_openai_keys')
-        .insert({
-          agency_ghl_id: agencyId,
-          encrypted_openai_api_key: encryptedKey,
+
+      // The key is encrypted server-side. OpenAI-compatible servers and the mock provider may run without one.
+      const data = await this.saveKey(agencyId, {
+        api_key: keyData.api_key || null,
+        settings: {
           key_name: keyData.key_name || 'Default Key',
           openai_org_id: keyData.org_id || null,
           openai_model: keyData.openai_model || 'gpt-4o-mini',
-          openai_model: keyData.openai_model || 'gpt-4o-mini',
           usage_limit_monthly: keyData.usage_limit || null,
           is_active: true,
-          openai_model: keyData.openai_model || 'gpt-4o-mini'
-        })
-        .select('id, key_name, openai_org_id, usage_limit_monthly, is_active, created_at, openai_model')
-        .single()
-
-      if (error) {
-        console.error('Database error adding OpenAI key:', error)
-        throw new Error(`Failed to add OpenAI key: ${error.message}`)
-      }
+          ...this.providerSettings(keyData)
+        }
+      })
 
       return { success: true, data }
     } catch (error) {
@@ -144,35 +133,14 @@ export class AgencyOpenAIService {
   // Update OpenAI key
   async updateOpenAIKey(keyId, agencyId, updates) {
     try {
-      const supabase = await this.getSupabaseClient()
-      
-      if (!supabase) {
-        console.error('Supabase client not available')
-        throw new Error('Database connection not available')
-      }
+      const { api_key: apiKey, ...settings } = updates
 
-      const updateData = { ...updates }
-      
-      // If updating the API key, encrypt it
-      if (updates.api_key) {
-        updateData.encrypted_openai_api_key = await this.encryptApiKey(updates.api_key)
-        delete updateData.api_key
+      if (PROVIDER_FIELDS.some((field) => field in updates)) {
+        Object.assign(settings, this.providerSettings(updates))
       }
 
-      const { data, error } = await supabase
-        .from('agency_openai_keys')
-        .update({
-          ...updateData,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', keyId)
-        .eq('agency_ghl_id', agencyId)
-        .select('id, key_name, openai_org_id, usage_limit_monthly, is_active, created_at, openai_model')
-        .single()
-
-      if (error) {
-        throw new Error(`Failed to update OpenAI key: ${error.message}`)
-      }
+      // A missing API key keeps the stored one
+      const data = await this.saveKey(agencyId, { key_id: keyId, api_key: apiKey || null, settings })
 
       return { success: true, data }
     } catch (error) {
@@ -294,34 +262,46 @@ export class AgencyOpenAIService {
   }
 
 
-  // Simple encryption for API keys (in production, use proper encryption service)
-  async encryptApiKey(apiKey) {
-    // This is a placeholder - in production, use proper encryption
-    if (typeof btoa === 'function') {
-      return btoa(apiKey);
-    } else {
-      // Use TextEncoder for environments without btoa
-      const encoder = new TextEncoder();
-      const data = encoder.encode(apiKey);
-      return Array.from(data)
-        .map(byte => String.fromCharCode(byte))
-        .join('');
+  // Provider columns for a key record. Settings the provider type does not use are
+  // cleared so a key switched from Azure to OpenAI does not keep a stale deployment.
+  providerSettings(keyData) {
+    const providerType = keyData.provider_type || 'openai'
+    const usesBaseUrl = providerType !== 'mock'
+    const price = (value) => (value === '' || value === null || value === undefined ? null : Number(value))
+
+    return {
+      provider_type: providerType,
+      base_url: usesBaseUrl ? (keyData.base_url || '').trim().replace(/\/+$/, '') || null : null,
+      deployment_name: providerType === 'azure_openai' ? keyData.deployment_name || null : null,
+      api_version: providerType === 'azure_openai' ? keyData.api_version || null : null,
+      input_price_per_million: price(keyData.input_price_per_million),
+      output_price_per_million: price(keyData.output_price_per_million)
     }
   }
 
-  // Simple decryption for API keys (in production, use proper decryption service)
-  async decryptApiKey(encryptedKey) {
-    // This is a placeholder - in production, use proper decryption
-    if (typeof atob === 'function') {
-      return atob(encryptedKey);
-    } else {
-      // Use TextDecoder for environments without atob
-      const charCodes = encryptedKey.split('').map(c => c.charCodeAt(0));
-      const decoder = new TextDecoder();
-      return decoder.decode(new Uint8Array(charCodes));
+  // Creates or updates a key record through the save-agency-llm-key edge function, which
+  // encrypts the API key. The function checks the caller against the JWT the client sends.
+  async saveKey(agencyId, { key_id = null, api_key = null, settings }) {
+    const supabase = await this.getSupabaseClient()
+
+    if (!supabase) {
+      console.error('Supabase client not available')
+      throw new Error('Database connection not available')
     }
+
+    const { data, error } = await supabase.functions.invoke('save-agency-llm-key', {
+      body: { agency_ghl_id: agencyId, key_id, api_key, settings }
+    })
+
+    if (error) {
+      // Errors from the function carry its JSON body in the response
+      const details = await error.context?.json?.().catch(() => null)
+      throw new Error(`Failed to save OpenAI key: ${details?.error || error.message}`)
+    }
+
+    return data.data
   }
-  
+
   // Helper method to get Supabase client
   async getSupabaseClient() {
     try {
@@ -1,4 +1,4 @@
-import { supabase } from './supabase'
+import { supabase, GHL_CONFIGURATION_COLUMNS } from './supabase'
 
 export class ConfigurationService {
   constructor() {
@@ -42,7 +42,7 @@ export class ConfigurationService {
           id: config.id,
           userId: config.user_id,
           locationId: config.ghl_account_id,
-          hasTokens: !!(config.access_token && config.refresh_token)
+          hasTokens: !!(config.has_access_token && config.has_refresh_token)
         })
 
         // Cache the result
@@ -72,7 +72,7 @@ export class ConfigurationService {
       console.log('Strategy 1: Exact match lookup')
       let { data, error } = await supabase
         .from('ghl_configurations')
-        .select('*')
+        .select(GHL_CONFIGURATION_COLUMNS)
         .eq('user_id', userId)
         .eq('ghl_account_id', locationId)
         .eq('is_active', true)
@@ -89,7 +89,7 @@ export class ConfigurationService {
       console.log('Strategy 2: Location-only lookup')
       const { data: locationData, error: locationError } = await supabase
         .from('ghl_configurations')
-        .select('*')
+        .select(GHL_CONFIGURATION_COLUMNS)
         .eq('ghl_account_id', locationId)
         .eq('is_active', true)
         .order('updated_at', { ascending: false })
@@ -117,7 +117,7 @@ export class ConfigurationService {
       console.log('Strategy 3: User-only lookup')
       const { data: userData, error: userError } = await supabase
         .from('ghl_configurations')
-        .select('*')
+        .select(GHL_CONFIGURATION_COLUMNS)
         .eq('user_id', userId)
         .eq('is_active', true)
         .order('updated_at', { ascending: false })
@@ -152,7 +152,7 @@ export class ConfigurationService {
           updated_at: new Date().toISOString()
         })
         .eq('id', configId)
-        .select()
+        .select(GHL_CONFIGURATION_COLUMNS)
         .single()
 
       if (error) {
@@ -171,7 +171,7 @@ export class ConfigurationService {
 
   // Validate token status
   validateTokenStatus(config) {
-    if (!config.access_token) {
+    if (!config.has_access_token) {
       return {
         isValid: false,
         status: 'missing_access_token',
@@ -180,7 +180,7 @@ export class ConfigurationService {
       }
     }
     
-    if (!config.refresh_token) {
+    if (!config.has_refresh_token) {
       return {
         isValid: false,
         status: 'missing_refresh_token', 
@@ -188,6 +188,15 @@ export class ConfigurationService {
         severity: 'error'
       }
     }
+
+    if (config.needs_reauth) {
+      return {
+        isValid: false,
+        status: 'needs_reauth',
+        message: 'Connection was rejected by GoHighLevel',
+        severity: 'error'
+      }
+    }
     
     if (config.token_expires_at) {
       const expiryDate = new Date(config.token_expires_at)
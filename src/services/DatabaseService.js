@@ -1,3 +1,5 @@
+import { GHL_CONFIGURATION_COLUMNS } from './supabase'
+
 export class DatabaseService {
   // Check if a configuration exists for the given user and location
   static async checkConfigurationExists(userId, locationId, authService = null) {
@@ -21,7 +23,7 @@ export class DatabaseService {
 
       const { data, error } = await supabase
         .from('ghl_configurations')
-        .select('id, user_id, ghl_account_id, business_name, access_token, refresh_token')
+        .select(GHL_CONFIGURATION_COLUMNS)
         .eq('user_id', userId)
         .eq('ghl_account_id', locationId)
         .eq('is_active', true)
@@ -108,7 +110,7 @@ export class DatabaseService {
       const { data, error } = await supabase
         .from('ghl_configurations')
         .insert(configData)
-        .select()
+        .select(GHL_CONFIGURATION_COLUMNS)
         .single()
 
       if (error) {
@@ -151,7 +153,7 @@ export class DatabaseService {
           updated_at: new Date().toISOString()
         })
         .eq('id', configId)
-        .select()
+        .select(GHL_CONFIGURATION_COLUMNS)
         .single()
 
       if (error) {
@@ -195,7 +197,7 @@ export class DatabaseService {
 
       const { data, error } = await supabase
         .from('ghl_configurations')
-        .select('*')
+        .select(GHL_CONFIGURATION_COLUMNS)
         .eq('ghl_account_id', locationId)
         .eq('is_active', true)
         .order('updated_at', { ascending: false })
@@ -236,7 +238,7 @@ export class DatabaseService {
 
       const { data, error } = await supabase
         .from('ghl_configurations')
-        .select('*')
+        .select(GHL_CONFIGURATION_COLUMNS)
         .eq('user_id', userId)
         .eq('is_active', true)
         .order('updated_at', { ascending: false })
@@ -1,59 +1,50 @@
+// Calls the GHL API through the ghl-api-proxy edge function, which holds the configuration's
+// access token; the browser cannot read the token itself.
 export class GHLApiService {
-  constructor(accessToken) {
-    this.accessToken = accessToken
-    this.baseUrl = 'https://services.leadconnectorhq.com'
-    this.version = '2021-07-28'
+  constructor(configId, authService = null) {
+    this.configId = configId
+    this.authService = authService
   }
 
   async makeRequest(endpoint, options = {}) {
-    const url = `${this.baseUrl}${endpoint}`
-    
-    if (!this.accessToken) {
-      throw new Error('Authentication error: No access token provided. Please reconnect your account.')
-    }
-    
-    const headers = {
-      'Authorization': `Bearer ${this.accessToken}`,
-      'Version': this.version,
-      'Accept': 'application/json',
-      'Content-Type': 'application/json',
-      ...options.headers
-    }
-
-    const config = {
-      method: options.method || 'GET',
-      headers,
-      ...options
+    if (!this.configId) {
+      throw new Error('Authentication error: No configuration provided. Please reconnect your account.')
     }
 
-    if (config.body && typeof config.body === 'object') {
-      config.body = JSON.stringify(config.body)
-    }
+    const supabase = this.authService?.getSupabaseClient() || (await import('./supabase')).supabase
 
-    const response = await fetch(url, config)
+    const { data, error } = await supabase.functions.invoke('ghl-api-proxy', {
+      body: {
+        config_id: this.configId,
+        path: endpoint,
+        method: options.method || 'GET',
+        body: options.body
+      }
+    })
 
-    if (!response.ok) {
+    if (error) {
+      const status = error.context?.status
       let errorText = ''
       try {
-        errorText = await response.text()
+        errorText = await error.context.text()
       } catch (e) {
-        errorText = `Status code: ${response.status}`
+        errorText = `Status code: ${status}`
       }
       
       // For 401 errors, provide a more helpful message
-      if (response.status === 401) {
+      if (status === 401) {
         throw new Error(`Authentication failed: Your access token is invalid or has expired. Please reconnect your account to refresh your authentication.`)
       } else {
-        throw new Error(`API Error: ${response.status} - ${errorText}`)
+        throw new Error(`API Error: ${status} - ${errorText}`)
       }
     }
 
-    try {
-      return await response.json()
-    } catch (e) {
-      console.error('Error parsing API response:', e)
+    if (!data || typeof data !== 'object') {
+      console.error('Error parsing API response:', data)
       throw new Error('Invalid response from GoHighLevel API. Please try again later.')
     }
+
+    return data
   }
 
   async getCustomFields(locationId, model = 'contact') {
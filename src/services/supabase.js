@@ -21,6 +21,21 @@ export function createAuthenticatedClient(jwtToken) {
   })
 }
 
+// ghl_configurations columns the browser can read. The GHL OAuth tokens and client secret are
+// not readable from the browser; has_access_token, has_refresh_token, token_is_placeholder and
+// needs_reauth report the tokens' state instead.
+export const GHL_CONFIGURATION_COLUMNS = [
+  'id', 'user_id', 'ghl_account_id', 'client_id', 'token_expires_at',
+  'has_access_token', 'has_refresh_token', 'token_is_placeholder', 'needs_reauth', 'reauth_reason',
+  'business_name', 'business_address', 'business_phone', 'business_email', 'business_website',
+  'business_description', 'target_audience', 'services_offered', 'business_context',
+  'agency_ghl_id', 'agency_brand_name', 'agency_logo_url', 'white_label_settings',
+  'ghl_company_id', 'ghl_user_type', 'timezone', 'default_country',
+  'extraction_channels', 'extract_on_outbound', 'extraction_quiet_window_seconds', 'extraction_max_wait_seconds',
+  'extraction_mode', 'shadow_started_at', 'llm_fallback_chain',
+  'installed_at', 'uninstalled_at', 'is_active', 'created_at', 'updated_at', 'created_by'
+].join(', ')
+
 // Helper function to get current user's GHL configurations
 export async function getUserGHLConfigurations(userId, authService = null) {
   try {
@@ -28,7 +43,7 @@ export async function getUserGHLConfigurations(userId, authService = null) {
     
     const { data, error } = await client
       .from('ghl_configurations')
-      .select('*')
+      .select(GHL_CONFIGURATION_COLUMNS)
       .eq('user_id', userId)
       .eq('is_active', true)
 
@@ -62,7 +77,7 @@ export async function getGHLConfigurationByLocation(locationId, authService = nu
     
     const { data, error } = await client
       .from('ghl_configurations')
-      .select('*')
+      .select(GHL_CONFIGURATION_COLUMNS)
       .eq('ghl_account_id', locationId)
       .eq('is_active', true)
       .single()
@@ -0,0 +1,33 @@
+// Conversion between pasted "Speaker: message" transcripts and the
+// [{role, content}] messages ai-extraction-payload accepts as a transcript
+
+// Speakers read as the business side; anyone else is the customer
+export const BUSINESS_SPEAKERS = ['agent', 'assistant', 'business', 'staff', 'rep', 'support', 'bot', 'me', 'us']
+
+// "Speaker: text" lines start a message; other lines continue the previous one
+export const parseTranscript = (text) => {
+  const messages = []
+
+  text.split('\n').forEach(line => {
+    const match = line.match(/^\s*([A-Za-z][\w .'-]{0,30}):\s*(.*)$/)
+    if (match) {
+      const speaker = match[1].trim().toLowerCase()
+      messages.push({
+        role: BUSINESS_SPEAKERS.includes(speaker) ? 'assistant' : 'user',
+        content: match[2]
+      })
+    } else if (line.trim()) {
+      if (messages.length === 0) {
+        messages.push({ role: 'user', content: line.trim() })
+      } else {
+        messages[messages.length - 1].content += `\n${line.trim()}`
+      }
+    }
+  })
+
+  return messages.filter(message => message.content.trim())
+}
+
+export const formatTranscript = (messages) => (messages || [])
+  .map(message => `${message.role === 'assistant' ? 'Agent' : 'Customer'}: ${message.content}`)
+  .join('\n')
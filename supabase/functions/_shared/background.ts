@@ -0,0 +1,32 @@
+// Fire-and-forget calls to other edge functions, for nudging workers and continuing
+// long runs in a fresh invocation. Nothing is awaited: callers must cope with the
+// request being lost, normally because a scheduled run picks the work up anyway.
+
+// Provided by the Supabase edge runtime; absent when running under plain Deno
+declare const EdgeRuntime: { waitUntil(promise: Promise<unknown>): void } | undefined
+
+// Keeps the edge runtime alive until the promise settles, after the response has gone
+export function waitUntil(promise: Promise<unknown>) {
+  if (typeof EdgeRuntime !== 'undefined') {
+    EdgeRuntime.waitUntil(promise)
+  }
+}
+
+// POSTs body to another edge function with the service role key, without waiting for it
+export function invokeInBackground(functionName: string, body: any) {
+  const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+  const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+
+  const request = fetch(`${supabaseUrl}/functions/v1/${functionName}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${supabaseServiceKey}`
+    },
+    body: JSON.stringify(body)
+  })
+    .then(response => response.body?.cancel())
+    .catch(error => console.warn(`Failed to invoke ${functionName}:`, error))
+
+  waitUntil(request)
+}
@@ -0,0 +1,33 @@
+import { createClient } from 'npm:@supabase/supabase-js@2'
+
+// Who may call an edge function that acts on a location with the service role.
+// Other edge functions, the Lambdas and cron send the service role key as their bearer;
+// the browser sends the GHL user's Supabase JWT, which is checked with the same
+// user_has_location_access() the row level security policies use.
+
+export function isServiceRoleRequest(req: Request) {
+  const token = (req.headers.get('Authorization') || '').replace(/^Bearer\s+/i, '')
+  return token !== '' && token === Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')
+}
+
+export async function callerHasLocationAccess(req: Request, locationId: string) {
+  if (isServiceRoleRequest(req)) {
+    return true
+  }
+
+  if (!locationId) {
+    return false
+  }
+
+  const callerClient = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_ANON_KEY')!, {
+    global: { headers: { Authorization: req.headers.get('Authorization') || '' } }
+  })
+  const { data: hasAccess, error } = await callerClient.rpc('user_has_location_access', { location_id: locationId })
+
+  if (error) {
+    console.warn('Location access check failed:', error.message)
+    return false
+  }
+
+  return hasAccess === true
+}
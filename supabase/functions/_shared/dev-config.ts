@@ -50,7 +50,8 @@ export function validateRealAccountTokens(config: any): { isValid: boolean; mess
     }
   }
 
-  if (!config.access_token || config.access_token.startsWith('dev-')) {
+  // Tokens are encrypted, so placeholders are recognised by the derived token_is_placeholder flag
+  if (!config.has_access_token || config.token_is_placeholder) {
     return {
       isValid: false,
       message: 'Missing real access token. Please reinstall the app to get proper GHL tokens.',
@@ -58,7 +59,7 @@ export function validateRealAccountTokens(config: any): { isValid: boolean; mess
     }
   }
 
-  if (!config.refresh_token || config.refresh_token.startsWith('dev-')) {
+  if (!config.has_refresh_token || config.token_is_placeholder) {
     return {
       isValid: false,
       message: 'Missing real refresh token. Please reinstall the app to get proper GHL tokens.',
@@ -102,8 +103,7 @@ export function shouldCreateDevConfig(existingConfig: any): boolean {
 
   // If config exists but has dev tokens, we should NOT overwrite it
   // Instead, we should prompt user to reinstall via OAuth
-  if (existingConfig.access_token?.startsWith('dev-') || 
-      existingConfig.refresh_token?.startsWith('dev-')) {
+  if (existingConfig.token_is_placeholder) {
     return false
   }
 
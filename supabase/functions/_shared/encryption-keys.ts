@@ -0,0 +1,22 @@
+// Master keys for secret-encryption.mjs, read from the edge function environment:
+//   ENCRYPTION_MASTER_KEYS   - comma-separated <id>:<base64 32-byte key> entries
+//   ENCRYPTION_MASTER_KEY_ID - id new secrets are encrypted with (default: the first entry)
+// To rotate, add a new entry, point ENCRYPTION_MASTER_KEY_ID at it, run
+// rotate-encryption-keys, and drop the old entry once it reports nothing left to re-wrap.
+
+import { loadKeyring } from "./secret-encryption.mjs"
+
+let keyringPromise: Promise<any> | null = null
+
+export function getKeyring(): Promise<any> {
+  if (!keyringPromise) {
+    keyringPromise = loadKeyring(Deno.env.get('ENCRYPTION_MASTER_KEYS'), Deno.env.get('ENCRYPTION_MASTER_KEY_ID'))
+  }
+  return keyringPromise
+}
+
+// The keyring when ENCRYPTION_MASTER_KEYS is set, otherwise null. decryptSecret refuses
+// secrets stored before encryption once there is a keyring.
+export function getConfiguredKeyring(): Promise<any> {
+  return Deno.env.get('ENCRYPTION_MASTER_KEYS') ? getKeyring() : Promise.resolve(null)
+}
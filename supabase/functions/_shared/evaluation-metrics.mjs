@@ -0,0 +1,231 @@
+// Scoring of evaluation runs: extracted values against the expected values of golden
+// conversations, used by run-evaluation (Deno) and scripts/run-evaluation.mjs (Node).
+//
+// Like value-normalizer.mjs this file must stay runtime-neutral: plain ESM, no imports,
+// no Deno or Node APIs. Callers pass a normalize function so both sides of a comparison
+// are normalized the way update-ghl-contact would write them.
+//
+// Every case is scored on every field, keyed by target_ghl_key. Per field and case:
+//   tp       - the expected value was extracted
+//   tn       - nothing was expected and nothing was extracted
+//   fp       - a value was extracted where none was expected
+//   fn       - an expected value was not extracted
+//   mismatch - a different value was extracted; counts as both a false positive and a false negative
+// precision = tp / (tp + fp + mismatch), recall = tp / (tp + fn + mismatch),
+// exact match = (tp + tn) / cases.
+
+/** Outcomes that count as a correct answer for the field. */
+export const CORRECT_OUTCOMES = ['tp', 'tn'];
+
+/**
+ * @typedef {Object} FieldScore
+ * @property {any} expected - Expected value after normalization, or null.
+ * @property {any} extracted - Extracted value after normalization, or null.
+ * @property {'tp'|'tn'|'fp'|'fn'|'mismatch'} outcome
+ */
+
+/**
+ * @typedef {Object} CaseResult
+ * @property {string} case_id
+ * @property {string} case_name
+ * @property {Object<string, FieldScore>} fields - Scores keyed by target_ghl_key.
+ * @property {boolean} exact_match - Whether every field is correct.
+ * @property {string|null} error - Why the case could not be extracted.
+ */
+
+/**
+ * @typedef {Object} FieldMetrics
+ * @property {number} tp
+ * @property {number} tn
+ * @property {number} fp
+ * @property {number} fn
+ * @property {number} mismatch
+ * @property {number|null} precision - null when nothing was extracted.
+ * @property {number|null} recall - null when nothing was expected.
+ * @property {number|null} exact_match
+ */
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+// Text compares case-insensitively, arrays as sets, numbers by value
+function canonical(value) {
+  if (Array.isArray(value)) {
+    return JSON.stringify(value.map((item) => canonical(item)).sort());
+  }
+  if (typeof value === 'number') {
+    return String(value);
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function ratio(numerator, denominator) {
+  return denominator === 0 ? null : numerator / denominator;
+}
+
+function roundMetric(value) {
+  return value === null ? null : Math.round(value * 10000) / 10000;
+}
+
+function prepare(field, value, normalize) {
+  if (isEmpty(value)) {
+    return null;
+  }
+  if (!normalize) {
+    return value;
+  }
+
+  // A value the normalizer rejects is still an answer; compare it as given
+  const result = normalize(field, value);
+  return result && result.ok ? result.value : value;
+}
+
+/**
+ * Scores one case.
+ * @param {Array<{target_ghl_key: string}>} fields - Fields to score; any expected or extracted key
+ *   without a field is scored as well, with no normalization.
+ * @param {Object<string, any>} expectedValues - Expected values keyed by target_ghl_key.
+ * @param {Object<string, any>} extractedValues - Extracted values keyed by target_ghl_key.
+ * @param {(field: Object, value: any) => {ok: boolean, value?: any}} [normalize] - normalizeFieldValue bound to the location's country.
+ * @returns {{fields: Object<string, FieldScore>, exact_match: boolean}}
+ */
+export function scoreCase(fields, expectedValues, extractedValues, normalize) {
+  const fieldsByKey = new Map(fields.map((field) => [field.target_ghl_key, field]));
+  const keys = new Set([
+    ...fieldsByKey.keys(),
+    ...Object.keys(expectedValues || {}),
+    ...Object.keys(extractedValues || {}).filter((key) => !isEmpty(extractedValues[key]))
+  ]);
+
+  const scores = {};
+  for (const key of keys) {
+    const field = fieldsByKey.get(key);
+    const expected = prepare(field, expectedValues?.[key], field ? normalize : null);
+    const extracted = prepare(field, extractedValues?.[key], field ? normalize : null);
+
+    let outcome;
+    if (expected === null) {
+      outcome = extracted === null ? 'tn' : 'fp';
+    } else if (extracted === null) {
+      outcome = 'fn';
+    } else {
+      outcome = canonical(expected) === canonical(extracted) ? 'tp' : 'mismatch';
+    }
+
+    scores[key] = { expected, extracted, outcome };
+  }
+
+  return {
+    fields: scores,
+    exact_match: Object.values(scores).every((score) => CORRECT_OUTCOMES.includes(score.outcome))
+  };
+}
+
+/**
+ * Aggregates case results into per-field and overall metrics.
+ * Overall precision and recall are micro-averaged over every field of every case.
+ * @param {CaseResult[]} caseResults
+ * @returns {{fields: Object<string, FieldMetrics>, overall: FieldMetrics & {cases: number, exact_cases: number, case_exact_match: number|null, errors: number}}}
+ */
+export function summarizeRun(caseResults) {
+  const emptyCounts = () => ({ tp: 0, tn: 0, fp: 0, fn: 0, mismatch: 0 });
+  const fields = {};
+  const totals = emptyCounts();
+
+  for (const caseResult of caseResults) {
+    for (const [key, score] of Object.entries(caseResult.fields || {})) {
+      const counts = fields[key] || (fields[key] = emptyCounts());
+      counts[score.outcome] += 1;
+      totals[score.outcome] += 1;
+    }
+  }
+
+  const withRates = (counts) => ({
+    ...counts,
+    precision: roundMetric(ratio(counts.tp, counts.tp + counts.fp + counts.mismatch)),
+    recall: roundMetric(ratio(counts.tp, counts.tp + counts.fn + counts.mismatch)),
+    exact_match: roundMetric(ratio(counts.tp + counts.tn, counts.tp + counts.tn + counts.fp + counts.fn + counts.mismatch))
+  });
+
+  const exactCases = caseResults.filter((caseResult) => caseResult.exact_match).length;
+
+  return {
+    fields: Object.fromEntries(Object.entries(fields).map(([key, counts]) => [key, withRates(counts)])),
+    overall: {
+      ...withRates(totals),
+      cases: caseResults.length,
+      exact_cases: exactCases,
+      case_exact_match: roundMetric(ratio(exactCases, caseResults.length)),
+      errors: caseResults.filter((caseResult) => caseResult.error).length
+    }
+  };
+}
+
+function delta(candidate, baseline) {
+  return candidate === null || candidate === undefined || baseline === null || baseline === undefined
+    ? null
+    : roundMetric(candidate - baseline);
+}
+
+/**
+ * Compares a candidate run with a baseline run over the same dataset.
+ * A regression is a field of a case that was correct in the baseline and is not in the
+ * candidate; a fix is the reverse. Cases only in one run are ignored.
+ * @param {{metrics: Object, results: CaseResult[]}} baseline
+ * @param {{metrics: Object, results: CaseResult[]}} candidate
+ * @returns {{overall: Object, fields: Object<string, Object>, regressions: Object[], fixes: Object[]}}
+ */
+export function compareRuns(baseline, candidate) {
+  const metricKeys = ['precision', 'recall', 'exact_match'];
+  const baselineFields = baseline.metrics?.fields || {};
+  const candidateFields = candidate.metrics?.fields || {};
+
+  const fields = {};
+  for (const key of new Set([...Object.keys(baselineFields), ...Object.keys(candidateFields)])) {
+    fields[key] = Object.fromEntries(metricKeys.map((metric) => [metric, {
+      baseline: baselineFields[key]?.[metric] ?? null,
+      candidate: candidateFields[key]?.[metric] ?? null,
+      delta: delta(candidateFields[key]?.[metric], baselineFields[key]?.[metric])
+    }]));
+  }
+
+  const overall = Object.fromEntries([...metricKeys, 'case_exact_match'].map((metric) => [metric, {
+    baseline: baseline.metrics?.overall?.[metric] ?? null,
+    candidate: candidate.metrics?.overall?.[metric] ?? null,
+    delta: delta(candidate.metrics?.overall?.[metric], baseline.metrics?.overall?.[metric])
+  }]));
+
+  const baselineCases = new Map((baseline.results || []).map((caseResult) => [caseResult.case_id, caseResult]));
+  const regressions = [];
+  const fixes = [];
+
+  for (const candidateCase of candidate.results || []) {
+    const baselineCase = baselineCases.get(candidateCase.case_id);
+    if (!baselineCase) continue;
+
+    for (const [key, score] of Object.entries(candidateCase.fields || {})) {
+      const before = baselineCase.fields?.[key];
+      if (!before) continue;
+
+      const wasCorrect = CORRECT_OUTCOMES.includes(before.outcome);
+      const isCorrect = CORRECT_OUTCOMES.includes(score.outcome);
+      if (wasCorrect === isCorrect) continue;
+
+      const change = {
+        case_id: candidateCase.case_id,
+        case_name: candidateCase.case_name,
+        field: key,
+        expected: score.expected,
+        baseline_value: before.extracted,
+        candidate_value: score.extracted
+      };
+      (wasCorrect ? regressions : fixes).push(change);
+    }
+  }
+
+  return { overall, fields, regressions, fixes };
+}
@@ -0,0 +1,124 @@
+// Checks how evaluation cases are scored, aggregated into precision and recall, and compared
+// between runs. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { compareRuns, scoreCase, summarizeRun } from './evaluation-metrics.mjs';
+import { normalizeFieldValue } from './value-normalizer.mjs';
+
+const fields = [
+  { target_ghl_key: 'contact.email', field_type: 'EMAIL' },
+  { target_ghl_key: 'contact.phone', field_type: 'PHONE' },
+  { target_ghl_key: 'cf_budget', field_type: 'NUMERICAL' },
+  { target_ghl_key: 'cf_services', field_type: 'MULTIPLE_OPTIONS', picklist_options: ['Roofing', 'Gutters', 'Siding'] }
+];
+
+const normalize = (field, value) => normalizeFieldValue(field, value, { country: 'US' });
+
+function outcomes(scored) {
+  return Object.fromEntries(Object.entries(scored.fields).map(([key, score]) => [key, score.outcome]));
+}
+
+function caseResult(caseId, scored) {
+  return { case_id: caseId, case_name: `Case ${caseId}`, error: null, ...scored };
+}
+
+test('values are compared after normalization', () => {
+  const scored = scoreCase(
+    fields,
+    { 'contact.email': 'jo@example.com', 'contact.phone': '+15550101234', cf_budget: 12500, cf_services: ['Roofing', 'Gutters'] },
+    { 'contact.email': '<Jo@EXAMPLE.com>.', 'contact.phone': '(555) 010-1234', cf_budget: '$12,500', cf_services: ['gutters', 'roofing'] },
+    normalize
+  );
+
+  assert.deepEqual(outcomes(scored), { 'contact.email': 'tp', 'contact.phone': 'tp', cf_budget: 'tp', cf_services: 'tp' });
+  assert.equal(scored.fields['contact.phone'].extracted, '+15550101234');
+  assert.equal(scored.exact_match, true);
+});
+
+test('empty expected and extracted values score as negatives and misses', () => {
+  const scored = scoreCase(
+    fields,
+    { 'contact.email': '', 'contact.phone': '+15550101234', cf_budget: null },
+    { 'contact.email': 'jo@example.com', 'contact.phone': '', cf_services: [] },
+    normalize
+  );
+
+  assert.deepEqual(outcomes(scored), { 'contact.email': 'fp', 'contact.phone': 'fn', cf_budget: 'tn', cf_services: 'tn' });
+  assert.equal(scored.fields['contact.email'].expected, null);
+  assert.equal(scored.exact_match, false);
+});
+
+test('a different value is a mismatch and a key with no field is scored as given', () => {
+  const scored = scoreCase(
+    fields,
+    { 'contact.email': 'jo@example.com', cf_unknown: 'Blue' },
+    { 'contact.email': 'joe@example.com', cf_unknown: ' blue ', cf_extra: 'surprise' },
+    normalize
+  );
+
+  assert.equal(scored.fields['contact.email'].outcome, 'mismatch');
+  assert.equal(scored.fields.cf_unknown.outcome, 'tp', 'text compares ignoring case and spacing');
+  assert.equal(scored.fields.cf_extra.outcome, 'fp');
+});
+
+test('summarizeRun computes per-field and overall precision and recall', () => {
+  const results = [
+    caseResult('1', { fields: { email: { outcome: 'tp' }, phone: { outcome: 'tp' } }, exact_match: true }),
+    caseResult('2', { fields: { email: { outcome: 'fp' }, phone: { outcome: 'fn' } }, exact_match: false }),
+    caseResult('3', { fields: { email: { outcome: 'mismatch' }, phone: { outcome: 'tn' } }, exact_match: false }),
+    { ...caseResult('4', { fields: {}, exact_match: false }), error: 'LLM call failed' }
+  ];
+
+  const { fields: perField, overall } = summarizeRun(results);
+
+  assert.deepEqual(perField.email, { tp: 1, tn: 0, fp: 1, fn: 0, mismatch: 1, precision: 0.3333, recall: 0.5, exact_match: 0.3333 });
+  assert.deepEqual(perField.phone, { tp: 1, tn: 1, fp: 0, fn: 1, mismatch: 0, precision: 1, recall: 0.5, exact_match: 0.6667 });
+  assert.equal(overall.precision, 0.5);
+  assert.equal(overall.recall, 0.5);
+  assert.equal(overall.cases, 4);
+  assert.equal(overall.exact_cases, 1);
+  assert.equal(overall.case_exact_match, 0.25);
+  assert.equal(overall.errors, 1);
+});
+
+test('precision and recall are null when nothing was extracted or expected', () => {
+  const { fields: perField, overall } = summarizeRun([
+    caseResult('1', { fields: { email: { outcome: 'tn' } }, exact_match: true }),
+    caseResult('2', { fields: { email: { outcome: 'fn' } }, exact_match: false })
+  ]);
+
+  assert.equal(perField.email.precision, null);
+  assert.equal(perField.email.recall, 0);
+  assert.equal(summarizeRun([]).overall.case_exact_match, null);
+  assert.equal(overall.exact_match, 0.5);
+});
+
+test('compareRuns reports metric deltas, regressions and fixes', () => {
+  const baselineResults = [
+    caseResult('1', { fields: { email: { expected: 'a@x.com', extracted: 'a@x.com', outcome: 'tp' }, phone: { expected: null, extracted: null, outcome: 'tn' } }, exact_match: true }),
+    caseResult('2', { fields: { email: { expected: 'b@x.com', extracted: null, outcome: 'fn' } }, exact_match: false }),
+    caseResult('only-baseline', { fields: { email: { expected: 'c@x.com', extracted: 'c@x.com', outcome: 'tp' } }, exact_match: true })
+  ];
+  const candidateResults = [
+    caseResult('1', { fields: { email: { expected: 'a@x.com', extracted: 'z@x.com', outcome: 'mismatch' }, phone: { expected: null, extracted: null, outcome: 'tn' } }, exact_match: false }),
+    caseResult('2', { fields: { email: { expected: 'b@x.com', extracted: 'b@x.com', outcome: 'tp' } }, exact_match: true }),
+    caseResult('only-candidate', { fields: { email: { expected: 'd@x.com', extracted: null, outcome: 'fn' } }, exact_match: false })
+  ];
+  const baseline = { metrics: summarizeRun(baselineResults), results: baselineResults };
+  const candidate = { metrics: summarizeRun(candidateResults), results: candidateResults };
+
+  const comparison = compareRuns(baseline, candidate);
+
+  assert.deepEqual(comparison.regressions, [
+    { case_id: '1', case_name: 'Case 1', field: 'email', expected: 'a@x.com', baseline_value: 'a@x.com', candidate_value: 'z@x.com' }
+  ]);
+  assert.deepEqual(comparison.fixes, [
+    { case_id: '2', case_name: 'Case 2', field: 'email', expected: 'b@x.com', baseline_value: null, candidate_value: 'b@x.com' }
+  ]);
+  assert.deepEqual(comparison.fields.email.precision, { baseline: 1, candidate: 0.5, delta: -0.5 });
+  assert.deepEqual(comparison.fields.email.recall, { baseline: 0.6667, candidate: 0.3333, delta: -0.3334 });
+  assert.deepEqual(comparison.fields.phone.precision, { baseline: null, candidate: null, delta: null });
+  assert.deepEqual(comparison.overall.case_exact_match, { baseline: 0.6667, candidate: 0.3333, delta: -0.3334 });
+});
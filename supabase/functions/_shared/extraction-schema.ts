@@ -0,0 +1,289 @@
+// JSON Schema for extraction responses, generated from a location's data_extraction_fields.
+// openai-extraction sends it as a strict structured-output schema and validates the
+// response against the same field definitions before anything is written to the contact.
+//
+// Every field comes back as an evidence object rather than a bare value:
+//   { "value": ..., "confidence": 0.9, "message_id": "abc", "quote": "my name is Jo" }
+//
+// When the location has active stop triggers the response also carries
+//   "escalation": { "triggered": true, "trigger_name": "Refund request", "reason": "..." }
+
+// A field as passed in the extraction payload (see ai-extraction-payload fieldsToExtract)
+export interface ExtractionField {
+  name: string
+  ghl_key: string
+  instructions?: string | null
+  type: string
+  required?: boolean
+  options?: any[]
+  // Values below this confidence are not written directly (null disables the check)
+  min_confidence?: number | null
+  low_confidence_action?: 'skip' | 'review'
+}
+
+// An active stop trigger as passed in the extraction payload
+export interface StopTrigger {
+  id: string
+  name: string
+  description: string
+}
+
+export interface Escalation {
+  trigger: StopTrigger
+  reason: string | null
+}
+
+// Response key for the escalation object; field keys are GHL ids or contact.* keys
+export const ESCALATION_KEY = 'escalation'
+
+export interface FieldValidationError {
+  field: string
+  value: unknown
+  error: string
+}
+
+export interface FieldEvidence {
+  value: unknown
+  confidence: number | null
+  message_id: string | null
+  quote: string | null
+  // What happened to the value: written, review, skipped_low_confidence, skipped_by_policy,
+  // rejected (failed normalization in update-ghl-contact) or invalid
+  outcome?: string
+  // Why update-ghl-contact rejected the value
+  reason?: string
+}
+
+// picklist_options are stored as plain strings or as { value, label, description } objects
+export function optionValues(options: any[] | null | undefined): string[] {
+  return (options || [])
+    .map(opt => (opt && typeof opt === 'object') ? (opt.value || opt.label || opt.key) : opt)
+    .filter(value => value !== null && value !== undefined && value !== '')
+    .map(value => String(value))
+}
+
+function fieldDescription(field: ExtractionField) {
+  return field.instructions ? `${field.name}: ${field.instructions}` : field.name
+}
+
+// Strict mode requires every property to be listed as required, so a field the
+// conversation does not mention is expressed as null rather than left out.
+// GHL's RADIO, CHECKBOX and MONETORY (sic) types take the same values as SINGLE_OPTIONS,
+// MULTIPLE_OPTIONS and NUMERICAL; see GHL_FIELD_TYPE_MAPPING in src/utils/customFieldUtils.js
+function propertySchema(field: ExtractionField) {
+  const description = fieldDescription(field)
+  const options = optionValues(field.options)
+
+  switch (field.type) {
+    case 'NUMERICAL':
+    case 'MONETORY':
+      return { type: ['number', 'null'], description }
+    case 'DATE':
+      return { type: ['string', 'null'], format: 'date', description: `${description} (YYYY-MM-DD)` }
+    case 'EMAIL':
+      return { type: ['string', 'null'], format: 'email', description }
+    case 'SINGLE_OPTIONS':
+    case 'RADIO':
+      return options.length > 0
+        ? { type: ['string', 'null'], enum: [...options, null], description }
+        : { type: ['string', 'null'], description }
+    case 'MULTIPLE_OPTIONS':
+    case 'CHECKBOX':
+      return {
+        type: ['array', 'null'],
+        items: options.length > 0 ? { type: 'string', enum: options } : { type: 'string' },
+        description
+      }
+    default:
+      // TEXT, PHONE and anything GHL adds later
+      return { type: ['string', 'null'], description }
+  }
+}
+
+function evidenceSchema(field: ExtractionField) {
+  return {
+    type: 'object',
+    properties: {
+      value: propertySchema(field),
+      confidence: { type: 'number', description: 'How sure you are that this value belongs to this contact, from 0 to 1' },
+      message_id: { type: ['string', 'null'], description: 'message_id of the message the value was taken from' },
+      quote: { type: ['string', 'null'], description: 'Exact words from that message supporting the value' }
+    },
+    required: ['value', 'confidence', 'message_id', 'quote'],
+    additionalProperties: false
+  }
+}
+
+function escalationSchema(stopTriggers: StopTrigger[]) {
+  return {
+    type: 'object',
+    properties: {
+      triggered: { type: 'boolean', description: 'Whether any stop trigger scenario applies to the conversation' },
+      trigger_name: {
+        type: ['string', 'null'],
+        enum: [...new Set(stopTriggers.map(trigger => trigger.name)), null],
+        description: 'Name of the stop trigger that applies, or null'
+      },
+      reason: { type: ['string', 'null'], description: 'Short explanation of why the trigger applies, or null' }
+    },
+    required: ['triggered', 'trigger_name', 'reason'],
+    additionalProperties: false
+  }
+}
+
+// Builds the response_format.json_schema for a chat completion
+export function buildExtractionSchema(fields: ExtractionField[], stopTriggers: StopTrigger[] = []) {
+  const properties: Record<string, any> = {}
+  for (const field of fields) {
+    properties[field.ghl_key] = evidenceSchema(field)
+  }
+
+  if (stopTriggers.length > 0) {
+    properties[ESCALATION_KEY] = escalationSchema(stopTriggers)
+  }
+
+  return {
+    name: 'contact_extraction',
+    strict: true,
+    schema: {
+      type: 'object',
+      properties,
+      required: Object.keys(properties),
+      additionalProperties: false
+    }
+  }
+}
+
+// Removes the escalation object from a parsed response, leaving only field values for
+// validateExtraction. The escalation counts only if it names one of the given triggers.
+export function extractEscalation(data: Record<string, unknown>, stopTriggers: StopTrigger[] = []) {
+  if (!data || typeof data !== 'object' || Array.isArray(data) || !(ESCALATION_KEY in data)) {
+    return { data, escalation: null }
+  }
+
+  const { [ESCALATION_KEY]: raw, ...fieldData } = data
+  const envelope = (raw && typeof raw === 'object' ? raw : {}) as Record<string, unknown>
+  const trigger = envelope.triggered === true
+    ? stopTriggers.find(candidate => candidate.name === envelope.trigger_name)
+    : undefined
+
+  const escalation: Escalation | null = trigger
+    ? { trigger, reason: typeof envelope.reason === 'string' && envelope.reason ? envelope.reason : null }
+    : null
+
+  return { data: fieldData, escalation }
+}
+
+// Shape checks only. Formats (dates, emails, phones) and exact picklist options are
+// enforced by _shared/value-normalizer.mjs in update-ghl-contact, which can also repair
+// near misses such as "03/04/2025" or "residential" instead of rejecting them here.
+function validateValue(field: ExtractionField, value: unknown): string | null {
+  switch (field.type) {
+    case 'NUMERICAL':
+    case 'MONETORY':
+      return (typeof value === 'number' && Number.isFinite(value)) || typeof value === 'string' ? null : 'expected a number'
+    case 'MULTIPLE_OPTIONS':
+    case 'CHECKBOX':
+      return Array.isArray(value) && value.every(item => typeof item === 'string') ? null : 'expected an array of strings'
+    default:
+      return typeof value === 'string' ? null : 'expected a string'
+  }
+}
+
+// Splits an evidence object into its parts. Models on the json_object fallback may
+// still answer with bare values; those are kept with no confidence or source.
+function unwrapEvidence(raw: unknown): FieldEvidence {
+  if (raw && typeof raw === 'object' && !Array.isArray(raw) && 'value' in raw) {
+    const envelope = raw as Record<string, unknown>
+    const confidence = typeof envelope.confidence === 'number' && Number.isFinite(envelope.confidence)
+      ? Math.min(1, Math.max(0, envelope.confidence))
+      : null
+
+    return {
+      value: envelope.value,
+      confidence,
+      message_id: typeof envelope.message_id === 'string' && envelope.message_id ? envelope.message_id : null,
+      quote: typeof envelope.quote === 'string' && envelope.quote ? envelope.quote : null
+    }
+  }
+
+  return { value: raw, confidence: null, message_id: null, quote: null }
+}
+
+// Checks a parsed model response against the fields. Returns only the fields that
+// passed, with nulls and empty values dropped, plus an error per rejected field.
+// `evidence` holds the confidence and source of every non-empty value, valid or not.
+export function validateExtraction(data: Record<string, unknown>, fields: ExtractionField[]) {
+  const fieldsByKey = new Map(fields.map(field => [field.ghl_key, field]))
+  const validData: Record<string, unknown> = {}
+  const errors: FieldValidationError[] = []
+  const evidence: Record<string, FieldEvidence> = {}
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { validData, errors: [{ field: '(response)', value: data, error: 'expected a JSON object' }], evidence }
+  }
+
+  for (const [key, raw] of Object.entries(data)) {
+    const field = fieldsByKey.get(key)
+    const fieldEvidence = unwrapEvidence(raw)
+    const value = fieldEvidence.value
+
+    if (!field) {
+      errors.push({ field: key, value, error: 'not a configured extraction field' })
+      continue
+    }
+
+    if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+      continue
+    }
+
+    evidence[key] = fieldEvidence
+
+    const error = validateValue(field, value)
+    if (error) {
+      errors.push({ field: key, value, error })
+      fieldEvidence.outcome = 'invalid'
+      continue
+    }
+
+    validData[key] = value
+  }
+
+  return { validData, errors, evidence }
+}
+
+// Applies each field's min_confidence to validated data. Values without a reported
+// confidence count as below any threshold. Returns the values to write directly and
+// the keys whose low-confidence values should be queued for review instead.
+export function applyConfidenceThresholds(
+  validData: Record<string, unknown>,
+  evidence: Record<string, FieldEvidence>,
+  fields: ExtractionField[]
+) {
+  const fieldsByKey = new Map(fields.map(field => [field.ghl_key, field]))
+  const writeData: Record<string, unknown> = {}
+  const reviewKeys: string[] = []
+  const skippedKeys: string[] = []
+
+  for (const [key, value] of Object.entries(validData)) {
+    const field = fieldsByKey.get(key)
+    const minConfidence = field?.min_confidence ?? null
+    const confidence = evidence[key]?.confidence ?? null
+
+    if (minConfidence === null || (confidence !== null && confidence >= minConfidence)) {
+      writeData[key] = value
+      continue
+    }
+
+    if (field?.low_confidence_action === 'review') {
+      writeData[key] = value
+      reviewKeys.push(key)
+      if (evidence[key]) evidence[key].outcome = 'review'
+    } else {
+      skippedKeys.push(key)
+      if (evidence[key]) evidence[key].outcome = 'skipped_low_confidence'
+    }
+  }
+
+  return { writeData, reviewKeys, skippedKeys }
+}
@@ -0,0 +1,185 @@
+// In-memory stand-in for the parts of a Supabase client the shared modules use, for the
+// node:test suites next to them. Tables are arrays of plain rows; every insert, update,
+// upsert and delete is also recorded in `writes` so tests can assert what was written.
+
+/**
+ * @param {Object} [options]
+ * @param {Object<string, object[]>} [options.tables] - Initial rows by table name.
+ * @param {Object<string, (args: object) => any>} [options.rpcs] - RPC handlers; the return value becomes `data`.
+ * @param {Object<string, {message: string}>} [options.failures] - Errors to return, keyed `table:operation`.
+ */
+export function createFakeSupabase({ tables = {}, rpcs = {}, failures = {} } = {}) {
+  const db = Object.fromEntries(Object.entries(tables).map(([name, rows]) => [name, rows.map((row) => ({ ...row }))]));
+  const writes = [];
+  const rpcCalls = [];
+
+  return {
+    db,
+    writes,
+    rpcCalls,
+    from(table) {
+      db[table] = db[table] || [];
+      return new Query(db, table, writes, failures);
+    },
+    async rpc(name, args) {
+      rpcCalls.push({ name, args });
+      if (!rpcs[name]) {
+        return { data: null, error: { message: `Unknown function ${name}` } };
+      }
+      return { data: await rpcs[name](args), error: null };
+    }
+  };
+}
+
+class Query {
+  constructor(db, table, writes, failures) {
+    this.db = db;
+    this.table = table;
+    this.writes = writes;
+    this.failures = failures;
+    this.operation = 'select';
+    this.values = null;
+    this.filters = [];
+    this.returning = false;
+    this.cardinality = null;
+    this.limitCount = null;
+  }
+
+  select() {
+    if (this.operation === 'select') {
+      return this;
+    }
+    this.returning = true;
+    return this;
+  }
+
+  insert(values) {
+    return this.mutate('insert', values);
+  }
+
+  upsert(values) {
+    return this.mutate('upsert', values);
+  }
+
+  update(values) {
+    return this.mutate('update', values);
+  }
+
+  delete() {
+    return this.mutate('delete', null);
+  }
+
+  mutate(operation, values) {
+    this.operation = operation;
+    this.values = values;
+    return this;
+  }
+
+  eq(column, value) {
+    return this.filter(column, 'eq', (row) => row[column] === value, value);
+  }
+
+  neq(column, value) {
+    return this.filter(column, 'neq', (row) => row[column] !== value, value);
+  }
+
+  in(column, values) {
+    return this.filter(column, 'in', (row) => values.includes(row[column]), values);
+  }
+
+  is(column, value) {
+    return this.filter(column, 'is', (row) => (row[column] ?? null) === value, value);
+  }
+
+  filter(column, operator, test, value) {
+    this.filters.push({ column, operator, value, test });
+    return this;
+  }
+
+  order() {
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  single() {
+    this.cardinality = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.cardinality = 'maybeSingle';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+  }
+
+  execute() {
+    const failure = this.failures[`${this.table}:${this.operation}`];
+    if (failure) {
+      return { data: null, error: failure };
+    }
+
+    const rows = this.db[this.table];
+    const matches = (row) => this.filters.every((filter) => filter.test(row));
+    let data;
+
+    switch (this.operation) {
+      case 'select':
+        data = rows.filter(matches).map((row) => ({ ...row }));
+        break;
+      case 'insert':
+      case 'upsert': {
+        const inserted = (Array.isArray(this.values) ? this.values : [this.values])
+          .map((row) => ({ id: row.id ?? `${this.table}-${rows.length + 1}`, ...row }));
+        rows.push(...inserted);
+        this.record({ values: this.values });
+        data = inserted.map((row) => ({ ...row }));
+        break;
+      }
+      case 'update': {
+        const updated = rows.filter(matches);
+        updated.forEach((row) => Object.assign(row, this.values));
+        this.record({ values: this.values });
+        data = updated.map((row) => ({ ...row }));
+        break;
+      }
+      case 'delete': {
+        const kept = rows.filter((row) => !matches(row));
+        data = rows.filter(matches);
+        this.db[this.table] = kept;
+        this.record({});
+        break;
+      }
+    }
+
+    if (this.limitCount !== null) {
+      data = data.slice(0, this.limitCount);
+    }
+    if (this.operation !== 'select' && !this.returning) {
+      data = null;
+    }
+
+    if (this.cardinality && data) {
+      if (data.length > 1 || (this.cardinality === 'single' && data.length === 0)) {
+        return { data: null, error: { message: `Expected one ${this.table} row, found ${data.length}` } };
+      }
+      data = data[0] ?? null;
+    }
+    return { data, error: null };
+  }
+
+  record(entry) {
+    this.writes.push({
+      table: this.table,
+      operation: this.operation,
+      filters: Object.fromEntries(this.filters.map(({ column, value }) => [column, value])),
+      ...entry
+    });
+  }
+}
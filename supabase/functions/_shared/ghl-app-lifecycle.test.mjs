@@ -0,0 +1,168 @@
+// Applies the lifecycle webhook fixtures to an in-memory Supabase and checks what
+// handleLifecycleEvent writes. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { handleLifecycleEvent } from './ghl-app-lifecycle.mjs';
+import { createFakeSupabase } from './fixtures/fake-supabase.mjs';
+
+const LOCATION_ID = 've9EPM428h8vShlRW1KT';
+const COMPANY_ID = '4beIyWyWrcoPRD7PEN5G';
+
+function fixtureEvent(name) {
+  const fixture = JSON.parse(readFileSync(new URL(`./fixtures/ghl-webhooks/${name}.json`, import.meta.url), 'utf8'));
+  return fixture.expected.event;
+}
+
+function installedConfig(overrides) {
+  return {
+    id: `config-${overrides.ghl_account_id}`,
+    ghl_company_id: COMPANY_ID,
+    agency_ghl_id: COMPANY_ID,
+    ghl_user_type: 'Location',
+    business_name: 'Acme Remodeling',
+    timezone: 'America/Chicago',
+    is_active: true,
+    access_token: 'enc:v1:k1:access',
+    refresh_token: 'enc:v1:k1:refresh',
+    token_expires_at: '2025-08-04T10:00:00.000Z',
+    installed_at: '2025-07-01T00:00:00.000Z',
+    uninstalled_at: null,
+    ...overrides
+  };
+}
+
+function quietly(t) {
+  t.mock.method(console, 'log', () => {});
+}
+
+test('a location uninstall clears its tokens, frees its seat and audits without tokens', async (t) => {
+  quietly(t);
+  const supabase = createFakeSupabase({
+    tables: {
+      ghl_configurations: [installedConfig({ ghl_account_id: LOCATION_ID }), installedConfig({ ghl_account_id: 'otherLocation' })],
+      agency_licensed_locations: [
+        { location_ghl_id: LOCATION_ID, is_active: true },
+        { location_ghl_id: 'otherLocation', is_active: true }
+      ]
+    }
+  });
+
+  const result = await handleLifecycleEvent(supabase, fixtureEvent('lifecycle-uninstall-location'));
+
+  assert.deepEqual(result, { action: 'uninstall', deactivated: [LOCATION_ID] });
+
+  const [config, untouched] = supabase.db.ghl_configurations;
+  assert.equal(config.is_active, false);
+  assert.equal(config.access_token, null);
+  assert.equal(config.refresh_token, null);
+  assert.equal(config.token_expires_at, null);
+  assert.ok(config.uninstalled_at);
+  assert.equal(untouched.is_active, true);
+  assert.equal(untouched.access_token, 'enc:v1:k1:access');
+
+  assert.deepEqual(supabase.db.agency_licensed_locations.map((seat) => seat.is_active), [false, true]);
+
+  const [audit] = supabase.db.audit_log;
+  assert.equal(audit.action, 'UNINSTALL');
+  assert.equal(audit.record_id, config.id);
+  assert.equal(audit.old_values.is_active, true);
+  assert.equal(audit.new_values.is_active, false);
+  const audited = JSON.stringify(supabase.db.audit_log);
+  assert.ok(!audited.includes('access') && !audited.includes('refresh'), 'audit entries never hold tokens');
+});
+
+test('an agency uninstall covers the agency configuration and every location under it', async (t) => {
+  quietly(t);
+  const supabase = createFakeSupabase({
+    tables: {
+      ghl_configurations: [
+        installedConfig({ ghl_account_id: COMPANY_ID, ghl_user_type: 'Company' }),
+        installedConfig({ ghl_account_id: LOCATION_ID }),
+        installedConfig({ ghl_account_id: 'otherAgencyLocation', ghl_company_id: 'otherAgency', agency_ghl_id: 'otherAgency' })
+      ],
+      agency_licensed_locations: []
+    }
+  });
+
+  const result = await handleLifecycleEvent(supabase, fixtureEvent('lifecycle-uninstall-company'));
+
+  assert.deepEqual(result.deactivated.sort(), [COMPANY_ID, LOCATION_ID].sort());
+  assert.deepEqual(supabase.db.ghl_configurations.map((config) => config.is_active), [false, false, true]);
+  assert.equal(supabase.db.audit_log.length, 2);
+});
+
+test('an agency uninstall passes the company id as a value, never as filter syntax', async (t) => {
+  quietly(t);
+  const supabase = createFakeSupabase({
+    tables: { ghl_configurations: [installedConfig({ ghl_account_id: LOCATION_ID })] }
+  });
+  const event = { ...fixtureEvent('lifecycle-uninstall-company'), company_id: `${COMPANY_ID},ghl_account_id.neq.x` };
+
+  const result = await handleLifecycleEvent(supabase, event);
+
+  assert.deepEqual(result.deactivated, []);
+  assert.equal(supabase.db.ghl_configurations[0].is_active, true);
+});
+
+test('a reinstall clears uninstalled_at on the existing configuration', async (t) => {
+  quietly(t);
+  const supabase = createFakeSupabase({
+    tables: {
+      ghl_configurations: [installedConfig({
+        ghl_account_id: LOCATION_ID,
+        is_active: false,
+        access_token: null,
+        refresh_token: null,
+        uninstalled_at: '2025-08-01T00:00:00.000Z'
+      })]
+    }
+  });
+
+  const result = await handleLifecycleEvent(supabase, fixtureEvent('lifecycle-install-location'));
+
+  assert.deepEqual(result, { action: 'install', ghl_account_id: LOCATION_ID, provisioned: false });
+  const [config] = supabase.db.ghl_configurations;
+  assert.equal(config.uninstalled_at, null);
+  assert.equal(config.is_active, false, 'stays inactive until the OAuth exchange stores tokens');
+  assert.equal(supabase.db.audit_log[0].action, 'INSTALL');
+  assert.equal(supabase.db.audit_log[0].old_values.uninstalled_at, '2025-08-01T00:00:00.000Z');
+});
+
+test('a first install provisions an inactive configuration', async (t) => {
+  quietly(t);
+  const supabase = createFakeSupabase({ tables: { ghl_configurations: [] } });
+
+  const result = await handleLifecycleEvent(supabase, fixtureEvent('lifecycle-install-location'), { clientId: 'client-1' });
+
+  assert.equal(result.provisioned, true);
+  const [config] = supabase.db.ghl_configurations;
+  assert.equal(config.ghl_account_id, LOCATION_ID);
+  assert.equal(config.client_id, 'client-1');
+  assert.equal(config.is_active, false);
+});
+
+test('LocationUpdate syncs a changed name and writes nothing when nothing changed', async (t) => {
+  quietly(t);
+  const event = fixtureEvent('lifecycle-location-update');
+  const supabase = createFakeSupabase({
+    tables: {
+      ghl_configurations: [installedConfig({ ghl_account_id: LOCATION_ID, business_name: event.name, timezone: event.timezone })]
+    }
+  });
+
+  assert.deepEqual(await handleLifecycleEvent(supabase, event), { action: 'location_update', ghl_account_id: LOCATION_ID, updated: false });
+  assert.deepEqual(supabase.writes, []);
+
+  const renamed = { ...event, name: 'Acme Remodeling - Round Rock' };
+  assert.equal((await handleLifecycleEvent(supabase, renamed)).updated, true);
+  assert.equal(supabase.db.ghl_configurations[0].business_name, 'Acme Remodeling - Round Rock');
+  assert.deepEqual(supabase.db.audit_log.map((entry) => entry.action), ['LOCATION_UPDATE']);
+});
+
+test('the Data-Extractor-Webhook Lambda copy is identical', () => {
+  const lambdaCopy = new URL('../../../aws_lambda_functions/Data-Extractor-Webhook/ghlAppLifecycle.mjs', import.meta.url);
+  assert.equal(readFileSync(lambdaCopy, 'utf8'), readFileSync(new URL('./ghl-app-lifecycle.mjs', import.meta.url), 'utf8'));
+});
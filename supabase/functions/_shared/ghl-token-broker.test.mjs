@@ -0,0 +1,181 @@
+// Runs the token broker against an in-memory Supabase and a stubbed GHL /oauth/token.
+// Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { ensureFreshGhlTokens, GhlTokenError } from './ghl-token-broker.mjs';
+import { decryptGhlTokens, encryptGhlTokens, isEncryptedSecret, loadKeyring } from './secret-encryption.mjs';
+import { createFakeSupabase } from './fixtures/fake-supabase.mjs';
+
+const CONFIG_ID = 'config-1';
+const keyring = await loadKeyring(`k1:${Buffer.alloc(32, 7).toString('base64')}`);
+
+const options = {
+  clientId: 'client-id',
+  clientSecret: 'client-secret',
+  apiDomain: 'https://ghl.test',
+  readTokens: (row) => decryptGhlTokens(row, keyring),
+  tokenColumns: (configId, tokens) => encryptGhlTokens(tokens, keyring, configId)
+};
+
+function inMinutes(minutes) {
+  return new Date(Date.now() + minutes * 60 * 1000).toISOString();
+}
+
+// A configuration whose access token expires in `expiresInMinutes`, stored encrypted
+async function storedConfig(expiresInMinutes, overrides = {}) {
+  return {
+    id: CONFIG_ID,
+    ghl_account_id: 'location-1',
+    ...(await encryptGhlTokens({ access_token: 'old-access', refresh_token: 'old-refresh' }, keyring, CONFIG_ID)),
+    token_expires_at: inMinutes(expiresInMinutes),
+    needs_reauth: false,
+    ...overrides
+  };
+}
+
+// The claim RPC hands out one lease per configuration, like claim_ghl_token_refresh
+function brokerSupabase(config, { onClaim } = {}) {
+  const supabase = createFakeSupabase({
+    tables: { ghl_configurations: [config], ghl_token_refresh_locks: [], audit_log: [] },
+    rpcs: {
+      claim_ghl_token_refresh: ({ p_config_id }) => {
+        if (onClaim) {
+          return onClaim(supabase);
+        }
+        if (supabase.db.ghl_token_refresh_locks.some((lock) => lock.config_id === p_config_id)) {
+          return null;
+        }
+        supabase.db.ghl_token_refresh_locks.push({ config_id: p_config_id, lock_id: 'lock-1' });
+        return 'lock-1';
+      }
+    }
+  });
+  return supabase;
+}
+
+function stubTokenEndpoint(t, status, body, headers = {}) {
+  return t.mock.method(globalThis, 'fetch', async () => new Response(JSON.stringify(body), { status, headers }));
+}
+
+function quietly(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+}
+
+test('a token that is not due is handed back without claiming or refreshing', async (t) => {
+  const fetchStub = stubTokenEndpoint(t, 500, {});
+  const supabase = brokerSupabase(await storedConfig(120));
+
+  const tokens = await ensureFreshGhlTokens(supabase, { id: CONFIG_ID, access_token: 'old-access', token_expires_at: inMinutes(120) }, options);
+
+  assert.deepEqual({ access_token: tokens.access_token, refreshed: tokens.refreshed }, { access_token: 'old-access', refreshed: false });
+  assert.deepEqual(supabase.rpcCalls, []);
+  assert.equal(fetchStub.mock.callCount(), 0);
+});
+
+test('a due token is refreshed once and stored encrypted', async (t) => {
+  quietly(t);
+  const fetchStub = stubTokenEndpoint(t, 200, { access_token: 'new-access', refresh_token: 'new-refresh', expires_in: 86399 });
+  const supabase = brokerSupabase(await storedConfig(5));
+
+  const tokens = await ensureFreshGhlTokens(supabase, { id: CONFIG_ID }, options);
+
+  assert.equal(tokens.access_token, 'new-access');
+  assert.equal(tokens.refreshed, true);
+
+  const [url, init] = fetchStub.mock.calls[0].arguments;
+  assert.equal(url, 'https://ghl.test/oauth/token');
+  assert.deepEqual(Object.fromEntries(new URLSearchParams(init.body)), {
+    client_id: 'client-id',
+    client_secret: 'client-secret',
+    grant_type: 'refresh_token',
+    refresh_token: 'old-refresh'
+  });
+
+  const [row] = supabase.db.ghl_configurations;
+  assert.ok(isEncryptedSecret(row.access_token) && isEncryptedSecret(row.refresh_token), 'tokens are never stored in the clear');
+  const decrypted = await decryptGhlTokens(row, keyring);
+  assert.equal(decrypted.access_token, 'new-access');
+  assert.equal(decrypted.refresh_token, 'new-refresh');
+  assert.equal(row.token_expires_at, tokens.token_expires_at);
+  assert.equal(row.needs_reauth, false);
+  assert.deepEqual(supabase.db.ghl_token_refresh_locks, [], 'the lease is released');
+});
+
+test('while another refresh holds the lease, the broker waits and uses the token it stored', async (t) => {
+  quietly(t);
+  const fetchStub = stubTokenEndpoint(t, 500, {});
+  const supabase = brokerSupabase(await storedConfig(5), {
+    // The other holder finishes while this caller waits
+    onClaim: async (fake) => {
+      Object.assign(fake.db.ghl_configurations[0], {
+        ...(await encryptGhlTokens({ access_token: 'their-access', refresh_token: 'their-refresh' }, keyring, CONFIG_ID)),
+        token_expires_at: inMinutes(24 * 60)
+      });
+      return null;
+    }
+  });
+
+  const tokens = await ensureFreshGhlTokens(supabase, { id: CONFIG_ID }, options);
+
+  assert.equal(tokens.access_token, 'their-access');
+  assert.equal(tokens.refreshed, false);
+  assert.equal(fetchStub.mock.callCount(), 0, 'never refreshes a token someone else is refreshing');
+  assert.equal(supabase.rpcCalls.length, 1);
+});
+
+for (const status of [400, 401]) {
+  test(`a ${status} from GHL marks the configuration needs_reauth and audits it`, async (t) => {
+    quietly(t);
+    stubTokenEndpoint(t, status, { error: 'invalid_grant' });
+    const supabase = brokerSupabase(await storedConfig(5));
+
+    await assert.rejects(ensureFreshGhlTokens(supabase, { id: CONFIG_ID }, options), (error) => {
+      assert.ok(error instanceof GhlTokenError);
+      assert.equal(error.status, 401);
+      assert.equal(error.code, 'needs_reauth');
+      return true;
+    });
+
+    const [row] = supabase.db.ghl_configurations;
+    assert.equal(row.needs_reauth, true);
+    assert.match(row.reauth_reason, new RegExp(`${status} - .*invalid_grant`));
+    const [audit] = supabase.db.audit_log;
+    assert.equal(audit.action, 'NEEDS_REAUTH');
+    assert.equal(audit.record_id, CONFIG_ID);
+    assert.ok(!JSON.stringify(audit).includes('old-refresh'), 'audit entries never hold tokens');
+    assert.deepEqual(supabase.db.ghl_token_refresh_locks, []);
+
+    // Nothing tries that configuration again
+    const fetchStub = stubTokenEndpoint(t, 200, {});
+    await assert.rejects(ensureFreshGhlTokens(supabase, { id: CONFIG_ID }, options), { code: 'needs_reauth' });
+    assert.equal(fetchStub.mock.callCount(), 0);
+  });
+}
+
+test('a server error leaves the configuration untouched for a later retry', async (t) => {
+  quietly(t);
+  stubTokenEndpoint(t, 503, { error: 'unavailable' }, { 'retry-after': '60' });
+  const config = await storedConfig(5);
+  const supabase = brokerSupabase(config);
+
+  await assert.rejects(ensureFreshGhlTokens(supabase, { id: CONFIG_ID }, options), (error) => {
+    assert.equal(error.status, 503);
+    assert.equal(error.code, 'refresh_failed');
+    assert.equal(error.retryAfter, '60');
+    return true;
+  });
+
+  assert.deepEqual(supabase.db.ghl_configurations, [config]);
+  assert.deepEqual(supabase.writes.filter((write) => write.table !== 'ghl_token_refresh_locks'), []);
+  assert.deepEqual(supabase.db.audit_log, []);
+  assert.deepEqual(supabase.db.ghl_token_refresh_locks, []);
+});
+
+test('the Data-Extractor-Openai-Extraction Lambda copy is identical', () => {
+  const lambdaCopy = new URL('../../../aws_lambda_functions/Data-Extractor-Openai-Extraction/ghlTokenBroker.mjs', import.meta.url);
+  assert.equal(readFileSync(lambdaCopy, 'utf8'), readFileSync(new URL('./ghl-token-broker.mjs', import.meta.url), 'utf8'));
+});
@@ -0,0 +1,51 @@
+// The one place edge functions decrypt, encrypt and refresh GHL OAuth tokens. Select the token
+// columns with the service role as before, pass the row through readGhlTokens before using
+// them, and spread ghlTokenColumns into any insert or update that stores new ones. Get a
+// token to call GHL with from getGhlAccessToken, which refreshes it through the token broker
+// (ghl-token-broker.mjs) when it is due; never refresh tokens directly. The browser cannot
+// read the token columns and sees has_access_token, has_refresh_token and
+// token_is_placeholder instead.
+
+import { decryptGhlTokens, encryptGhlTokens, hasEncryptedGhlTokens } from "./secret-encryption.mjs"
+import { ensureFreshGhlTokens, GhlTokenError } from "./ghl-token-broker.mjs"
+import { getKeyring } from "./encryption-keys.ts"
+
+export { GhlTokenError }
+
+// Returns a copy of a ghl_configurations row (which must include id) with its tokens decrypted
+export async function readGhlTokens(config: any) {
+  if (!config) return config
+  return decryptGhlTokens(config, hasEncryptedGhlTokens(config) ? await getKeyring() : null)
+}
+
+// Columns that store the given tokens on a ghl_configurations row; null clears a token
+export async function ghlTokenColumns(configId: string, tokens: { access_token?: string | null, refresh_token?: string | null }) {
+  const keyring = Object.values(tokens).some(Boolean) ? await getKeyring() : null
+  return encryptGhlTokens(tokens, keyring, configId)
+}
+
+// A valid access token for a configuration (a row read through readGhlTokens), refreshed
+// first if it expires within refreshWithinSeconds (default an hour). Pass rejectedToken
+// after GHL answers 401 to force a refresh. Throws GhlTokenError when no token can be had.
+export async function getGhlAccessToken(
+  supabase: any,
+  config: any,
+  request: { refreshWithinSeconds?: number, rejectedToken?: string } = {}
+): Promise<string> {
+  return (await refreshGhlTokens(supabase, config, request)).access_token
+}
+
+// Like getGhlAccessToken, also returning the new expiry and GHL's refresh response
+export function refreshGhlTokens(
+  supabase: any,
+  config: any,
+  request: { refreshWithinSeconds?: number, rejectedToken?: string } = {}
+) {
+  return ensureFreshGhlTokens(supabase, config, {
+    clientId: Deno.env.get('GHL_MARKETPLACE_CLIENT_ID'),
+    clientSecret: Deno.env.get('GHL_MARKETPLACE_CLIENT_SECRET'),
+    apiDomain: Deno.env.get('GHL_API_DOMAIN') || 'https://services.leadconnectorhq.com',
+    readTokens: readGhlTokens,
+    tokenColumns: ghlTokenColumns
+  }, request)
+}
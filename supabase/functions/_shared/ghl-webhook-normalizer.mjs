@@ -0,0 +1,464 @@
+// GoHighLevel conversation webhook normalizer, shared by ghl-webhook-handler (Deno)
+// and the Data-Extractor-Webhook Lambda (Node).
+//
+// This file must stay runtime-neutral: plain ESM, no imports, no Deno or Node APIs.
+// The Lambda copy at aws_lambda_functions/Data-Extractor-Webhook/ghlWebhookNormalizer.mjs
+// is a verbatim copy of this file; edit here and copy it over.
+//
+// GHL sends conversation webhooks in two shapes:
+//   - flat:   { type: 'InboundMessage' | 'OutboundMessage' | 'Call' | 'Email', locationId, conversationId, messageType, ... }
+//   - nested: { event: 'conversation.message.created', locationId, message: {...}, conversation: {...}, contact: {...} }
+// Both are normalized into a single internal event (NORMALIZED_EVENT_SCHEMA_VERSION).
+// App lifecycle webhooks (INSTALL, UNINSTALL, LocationUpdate) normalize to a lifecycle event.
+// Payloads that match neither shape are quarantined rather than dropped.
+//
+// supabase/functions/_shared/fixtures/ghl-webhooks holds a sample of each GHL variant
+// with the expected normalizeGHLWebhook() result, checked by ghl-webhook-normalizer.test.mjs
+// (`npm test`). Add one when GHL ships a new shape.
+
+/** Bump when the shape of the normalized event changes. */
+export const NORMALIZED_EVENT_SCHEMA_VERSION = 1;
+
+/** Flat-format webhook types that carry a conversation message. */
+const FLAT_MESSAGE_TYPES = ['InboundMessage', 'OutboundMessage', 'Call', 'Email'];
+
+/** Nested-format events that carry a conversation message. */
+const NESTED_MESSAGE_EVENTS = ['conversation.message.created'];
+
+/** Marketplace app lifecycle webhook types, mapped to the normalized lifecycle action. */
+const LIFECYCLE_EVENT_TYPES = {
+  INSTALL: 'install',
+  UNINSTALL: 'uninstall',
+  LocationUpdate: 'location_update',
+};
+
+/**
+ * Conversation events we recognise but do not store. These are acknowledged
+ * and ignored instead of quarantined.
+ */
+const IGNORED_EVENT_TYPES = [
+  'ConversationUnreadUpdate',
+  'ConversationProviderOutboundMessage',
+  'ProviderOutboundMessage',
+  'LCEmailStats',
+  'conversation.unread.updated',
+];
+
+/**
+ * GHL is inconsistent about channel names across webhook versions
+ * ('SMS' vs 'TYPE_SMS', 'CALL' vs 'Call', 'Live Chat' vs 'TYPE_LIVE_CHAT').
+ * Everything is mapped to the names used by ghl_conversations.message_type.
+ */
+const CHANNEL_ALIASES = {
+  SMS: 'SMS',
+  TYPE_SMS: 'SMS',
+  CUSTOM_SMS: 'Custom',
+  TYPE_CUSTOM_SMS: 'Custom',
+  CUSTOM: 'Custom',
+  TYPE_CUSTOM_PROVIDER_SMS: 'Custom',
+  CALL: 'Call',
+  TYPE_CALL: 'Call',
+  VOICEMAIL: 'Voicemail',
+  TYPE_VOICEMAIL: 'Voicemail',
+  EMAIL: 'Email',
+  TYPE_EMAIL: 'Email',
+  CUSTOM_EMAIL: 'Email',
+  TYPE_CUSTOM_EMAIL: 'Email',
+  WHATSAPP: 'WhatsApp',
+  TYPE_WHATSAPP: 'WhatsApp',
+  FB: 'FB',
+  FACEBOOK: 'FB',
+  TYPE_FACEBOOK: 'FB',
+  IG: 'IG',
+  INSTAGRAM: 'IG',
+  TYPE_INSTAGRAM: 'IG',
+  GMB: 'GMB',
+  TYPE_GMB: 'GMB',
+  LIVE_CHAT: 'Live_Chat',
+  TYPE_LIVE_CHAT: 'Live_Chat',
+  WEBCHAT: 'Live_Chat',
+  TYPE_WEBCHAT: 'Live_Chat',
+  REVIEW: 'Review',
+  TYPE_REVIEW: 'Review',
+  ACTIVITY: 'Activity',
+  TYPE_ACTIVITY: 'Activity',
+};
+
+/**
+ * Maps a GHL channel name to its canonical form.
+ * @param {string | null | undefined} value - messageType / message.type as sent by GHL.
+ * @returns {string | null} The canonical channel, the original value if unrecognised, or null.
+ */
+export function normalizeChannel(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const key = String(value).trim().toUpperCase().replace(/[\s-]+/g, '_');
+  return CHANNEL_ALIASES[key] || String(value);
+}
+
+/**
+ * Maps a GHL direction to 'inbound' / 'outbound'.
+ * @param {string | null | undefined} value - The direction sent by GHL.
+ * @returns {'inbound' | 'outbound' | null}
+ */
+function normalizeDirection(value) {
+  const direction = typeof value === 'string' ? value.toLowerCase() : null;
+  return direction === 'inbound' || direction === 'outbound' ? direction : null;
+}
+
+/**
+ * Converts a GHL timestamp (ISO string or epoch ms) to an ISO string.
+ * @param {string | number | null | undefined} value
+ * @returns {string | null}
+ */
+function normalizeDate(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Wraps a single address or address list as an array, as stored in the jsonb email columns.
+ * @param {string | string[] | null | undefined} value
+ * @returns {string[] | null}
+ */
+function toAddressList(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Creates an empty normalized event.
+ * @param {'flat' | 'nested'} sourceFormat - Which GHL payload shape it came from.
+ * @param {string} ghlEventType - The GHL type/event name.
+ * @returns {object} The normalized event skeleton.
+ */
+function createEvent(sourceFormat, ghlEventType) {
+  return {
+    schema_version: NORMALIZED_EVENT_SCHEMA_VERSION,
+    source_format: sourceFormat,
+    ghl_event_type: ghlEventType,
+    location_id: null,
+    conversation_id: null,
+    contact_id: null,
+    message_id: null,
+    channel: null,
+    direction: null,
+    body: null,
+    attachments: [],
+    status: null,
+    date_added: null,
+    user_id: null,
+    conversation_provider_id: null,
+    call: null,
+    email: null,
+  };
+}
+
+/**
+ * Normalizes the flat webhook format (type: InboundMessage | OutboundMessage | Call | Email).
+ * @param {object} payload - The parsed webhook payload.
+ * @returns {object} The normalized event.
+ */
+function normalizeFlatPayload(payload) {
+  const type = payload.type;
+  const event = createEvent('flat', type);
+
+  event.location_id = payload.locationId || null;
+  event.conversation_id = payload.conversationId || null;
+  event.contact_id = payload.contactId || null;
+  event.message_id = payload.messageId || null;
+  event.direction = normalizeDirection(payload.direction)
+    || (type === 'InboundMessage' ? 'inbound' : type === 'OutboundMessage' ? 'outbound' : null);
+  event.body = payload.body || null;
+  event.attachments = Array.isArray(payload.attachments) ? payload.attachments : [];
+  event.status = payload.status || null;
+  event.date_added = normalizeDate(payload.dateAdded);
+  event.user_id = payload.userId || null;
+  event.conversation_provider_id = payload.conversationProviderId || null;
+
+  const defaultChannel = type === 'Call' ? 'Call' : type === 'Email' ? 'Email' : null;
+  event.channel = normalizeChannel(payload.messageType) || defaultChannel;
+
+  if (event.channel === 'Call' || event.channel === 'Voicemail') {
+    event.call = {
+      duration: payload.callDuration ?? payload.meta?.call?.duration ?? null,
+      status: payload.callStatus || payload.meta?.call?.status || null,
+      recording_url: payload.recordingUrl || null,
+    };
+    if (event.call.recording_url && event.attachments.length === 0) {
+      event.attachments = [{ type: 'audio', url: event.call.recording_url }];
+    }
+  }
+
+  if (event.channel === 'Email') {
+    event.email = {
+      message_id: payload.emailMessageId || null,
+      thread_id: payload.emailThreadId || payload.threadId || null,
+      from: payload.emailFrom || payload.from || null,
+      to: toAddressList(payload.emailTo || payload.to),
+      cc: toAddressList(payload.emailCc || payload.cc),
+      bcc: toAddressList(payload.emailBcc || payload.bcc),
+      subject: payload.emailSubject || payload.subject || null,
+    };
+  }
+
+  return event;
+}
+
+/**
+ * Normalizes the nested webhook format (event: conversation.message.created).
+ * @param {object} payload - The parsed webhook payload.
+ * @returns {object} The normalized event.
+ */
+function normalizeNestedPayload(payload) {
+  const message = payload.message || {};
+  const conversation = payload.conversation || {};
+  const contact = payload.contact || {};
+  const event = createEvent('nested', payload.event);
+
+  event.location_id = payload.locationId || conversation.locationId || message.locationId || null;
+  event.conversation_id = conversation.id || message.conversationId || null;
+  event.contact_id = contact.id || conversation.contactId || message.contactId || null;
+  event.message_id = message.id || null;
+  event.channel = normalizeChannel(message.type || message.messageType);
+  event.direction = normalizeDirection(message.direction);
+  event.body = message.body || null;
+  event.attachments = Array.isArray(message.attachments) ? message.attachments : [];
+  event.status = message.status || null;
+  event.date_added = normalizeDate(message.dateAdded || message.createdAt);
+  event.user_id = message.userId || null;
+  event.conversation_provider_id = message.conversationProviderId || conversation.providerId || null;
+
+  if (event.channel === 'Call' || event.channel === 'Voicemail') {
+    event.call = {
+      duration: message.duration ?? null,
+      status: message.callStatus || message.status || null,
+      recording_url: message.recordingUrl || null,
+    };
+  }
+
+  if (event.channel === 'Email') {
+    event.email = {
+      message_id: message.emailMessageId || null,
+      thread_id: message.emailThreadId || message.threadId || null,
+      from: message.from || null,
+      to: toAddressList(message.to),
+      cc: toAddressList(message.cc),
+      bcc: toAddressList(message.bcc),
+      subject: message.subject || null,
+    };
+  }
+
+  return event;
+}
+
+/**
+ * Normalizes an app lifecycle webhook (INSTALL, UNINSTALL, LocationUpdate).
+ * LocationUpdate identifies the location by `id`; install events by `locationId`,
+ * or only `companyId` when the app was installed or removed at agency level.
+ * @param {object} payload - The parsed webhook payload.
+ * @returns {object} The normalized lifecycle event.
+ */
+function normalizeLifecyclePayload(payload) {
+  const action = LIFECYCLE_EVENT_TYPES[payload.type];
+
+  return {
+    schema_version: NORMALIZED_EVENT_SCHEMA_VERSION,
+    ghl_event_type: payload.type,
+    action,
+    location_id: (action === 'location_update' ? payload.id : payload.locationId) || null,
+    company_id: payload.companyId || null,
+    user_id: payload.userId || null,
+    app_id: payload.appId || null,
+    install_type: payload.installType || (payload.locationId ? 'Location' : payload.companyId ? 'Company' : null),
+    company_name: payload.companyName || null,
+    name: payload.name || null,
+    timezone: payload.timezone || null,
+    occurred_at: normalizeDate(payload.timestamp) || null,
+  };
+}
+
+/**
+ * Normalizes any GHL conversation or app lifecycle webhook payload.
+ *
+ * Result kinds:
+ *   - { kind: 'message', event }      a conversation message to store
+ *   - { kind: 'lifecycle', event }    an app install, uninstall or location update
+ *   - { kind: 'ignored', eventType }  a known event we intentionally do not store
+ *   - { kind: 'quarantine', reason, eventType }  an unknown or incomplete payload
+ *
+ * @param {object} payload - The parsed webhook payload.
+ * @returns {{kind: 'message' | 'lifecycle', event: object} | {kind: 'ignored', eventType: string} | {kind: 'quarantine', reason: string, eventType: string | null, missingFields?: string[]}}
+ */
+export function normalizeGHLWebhook(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { kind: 'quarantine', reason: 'not_an_object', eventType: null };
+  }
+
+  const eventType = payload.type || payload.event || null;
+
+  if (IGNORED_EVENT_TYPES.includes(eventType)) {
+    return { kind: 'ignored', eventType };
+  }
+
+  if (Object.hasOwn(LIFECYCLE_EVENT_TYPES, payload.type)) {
+    const event = normalizeLifecyclePayload(payload);
+    const required = event.action === 'location_update' ? ['location_id'] : ['company_id'];
+    const missingFields = required.filter((field) => !event[field]);
+
+    if (missingFields.length > 0) {
+      return { kind: 'quarantine', reason: 'missing_required_fields', eventType, missingFields };
+    }
+    return { kind: 'lifecycle', event };
+  }
+
+  let event;
+  if (FLAT_MESSAGE_TYPES.includes(payload.type)) {
+    event = normalizeFlatPayload(payload);
+  } else if (NESTED_MESSAGE_EVENTS.includes(payload.event)) {
+    event = normalizeNestedPayload(payload);
+  } else {
+    return { kind: 'quarantine', reason: 'unknown_event_type', eventType };
+  }
+
+  const missingFields = ['location_id', 'conversation_id', 'channel', 'direction']
+    .filter((field) => !event[field]);
+
+  if (missingFields.length > 0) {
+    return { kind: 'quarantine', reason: 'missing_required_fields', eventType, missingFields };
+  }
+
+  return { kind: 'message', event };
+}
+
+/**
+ * Maps a normalized event to a ghl_conversations row.
+ * @param {object} event - A normalized event from normalizeGHLWebhook.
+ * @param {object} rawPayload - The original webhook payload, stored for auditing.
+ * @returns {object} An object formatted for insertion into the ghl_conversations table.
+ */
+export function toConversationRecord(event, rawPayload) {
+  return {
+    location_id: event.location_id,
+    conversation_id: event.conversation_id,
+    contact_id: event.contact_id,
+    message_id: event.message_id,
+    message_type: event.channel,
+    direction: event.direction,
+    body: event.body,
+    attachments: event.attachments,
+    status: event.status,
+    // GHL occasionally omits dateAdded; the column is required
+    date_added: event.date_added || new Date().toISOString(),
+    webhook_received_at: new Date().toISOString(),
+    raw_webhook_data: rawPayload,
+    processed: false,
+    processing_error: null,
+    call_duration: event.call?.duration ?? null,
+    call_status: event.call?.status || null,
+    email_message_id: event.email?.message_id || null,
+    email_thread_id: event.email?.thread_id || null,
+    email_from: event.email?.from || null,
+    email_to: event.email?.to || null,
+    email_cc: event.email?.cc || null,
+    email_bcc: event.email?.bcc || null,
+    email_subject: event.email?.subject || null,
+    user_id: event.user_id,
+    conversation_provider_id: event.conversation_provider_id,
+  };
+}
+
+/** Channels a location can choose to extract from, in ghl_conversations.message_type form. */
+export const EXTRACTION_CHANNELS = ['SMS', 'WhatsApp', 'IG', 'FB', 'GMB', 'Live_Chat', 'Custom', 'Email', 'Call', 'Voicemail'];
+
+/**
+ * Policy used when a location has no configuration row. Mirrors the column
+ * defaults on ghl_configurations.extraction_channels / extract_on_outbound.
+ */
+export const DEFAULT_CHANNEL_POLICY = {
+  channels: ['SMS', 'WhatsApp', 'IG', 'FB', 'Custom', 'Live_Chat', 'Email', 'Call', 'Voicemail'],
+  extractOnOutbound: false,
+};
+
+/**
+ * Loads a location's extraction channel policy. Falls back to the default policy
+ * if the location has no active configuration or the lookup fails.
+ * @param {object} supabase - A Supabase client with the service role.
+ * @param {string} locationId - The GHL location id.
+ * @returns {Promise<{channels: string[], extractOnOutbound: boolean}>}
+ */
+export async function loadChannelPolicy(supabase, locationId) {
+  try {
+    const { data, error } = await supabase
+      .from('ghl_configurations')
+      .select('extraction_channels, extract_on_outbound')
+      .eq('ghl_account_id', locationId)
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Failed to load channel policy, using default:', error);
+      return DEFAULT_CHANNEL_POLICY;
+    }
+    if (!data) {
+      return DEFAULT_CHANNEL_POLICY;
+    }
+
+    return {
+      channels: data.extraction_channels || DEFAULT_CHANNEL_POLICY.channels,
+      extractOnOutbound: !!data.extract_on_outbound,
+    };
+  } catch (error) {
+    console.error('Error loading channel policy, using default:', error);
+    return DEFAULT_CHANNEL_POLICY;
+  }
+}
+
+/**
+ * Decides whether a normalized message event should trigger extraction.
+ * @param {object} event - A message event from normalizeGHLWebhook.
+ * @param {{channels: string[], extractOnOutbound: boolean}} policy - The location's channel policy.
+ * @returns {boolean}
+ */
+export function shouldTriggerExtraction(event, policy) {
+  if (event.direction === 'outbound' && !policy.extractOnOutbound) {
+    return false;
+  }
+  return policy.channels.includes(event.channel);
+}
+
+/**
+ * Stores a payload the normalizer could not handle in webhook_quarantine. Never throws.
+ * @param {object} supabase - A Supabase client with the service role.
+ * @param {object} details - Quarantine details.
+ * @param {string} details.source - Which handler received it.
+ * @param {{reason: string, eventType: string | null, missingFields?: string[]}} details.result - The normalizer result.
+ * @param {object} details.payload - The parsed webhook payload.
+ */
+export async function quarantineWebhook(supabase, { source, result, payload }) {
+  try {
+    const { error } = await supabase
+      .from('webhook_quarantine')
+      .insert({
+        source,
+        reason: result.reason,
+        event_type: result.eventType,
+        missing_fields: result.missingFields || null,
+        location_id: payload?.locationId || null,
+        schema_version: NORMALIZED_EVENT_SCHEMA_VERSION,
+        raw_payload: payload,
+      });
+
+    if (error) {
+      console.error('Failed to quarantine webhook:', error);
+    }
+  } catch (error) {
+    console.error('Error quarantining webhook:', error);
+  }
+}
@@ -0,0 +1,91 @@
+// Runs every sample in fixtures/ghl-webhooks through normalizeGHLWebhook and checks the
+// result against the fixture's `expected`. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+import {
+  NORMALIZED_EVENT_SCHEMA_VERSION,
+  normalizeGHLWebhook,
+  quarantineWebhook
+} from './ghl-webhook-normalizer.mjs';
+
+const fixturesDir = fileURLToPath(new URL('./fixtures/ghl-webhooks/', import.meta.url));
+const fixtures = readdirSync(fixturesDir)
+  .filter((file) => file.endsWith('.json'))
+  .sort()
+  .map((file) => ({ file, ...JSON.parse(readFileSync(fixturesDir + file, 'utf8')) }));
+
+for (const fixture of fixtures) {
+  test(`${fixture.file}: ${fixture.description}`, () => {
+    assert.deepEqual(normalizeGHLWebhook(fixture.payload), fixture.expected);
+  });
+}
+
+test('fixtures cover every result kind and both message shapes', () => {
+  const kinds = new Set(fixtures.map((fixture) => fixture.expected.kind));
+  assert.deepEqual([...kinds].sort(), ['ignored', 'lifecycle', 'message', 'quarantine']);
+
+  const formats = new Set(fixtures.map((fixture) => fixture.expected.event?.source_format).filter(Boolean));
+  assert.deepEqual([...formats].sort(), ['flat', 'nested']);
+});
+
+test('payloads that are not objects are quarantined', () => {
+  for (const payload of [null, 'InboundMessage', 42, []]) {
+    assert.deepEqual(normalizeGHLWebhook(payload), { kind: 'quarantine', reason: 'not_an_object', eventType: null });
+  }
+});
+
+test('lifecycle events without their required id are quarantined', () => {
+  assert.deepEqual(normalizeGHLWebhook({ type: 'UNINSTALL', locationId: 've9EPM428h8vShlRW1KT' }), {
+    kind: 'quarantine',
+    reason: 'missing_required_fields',
+    eventType: 'UNINSTALL',
+    missingFields: ['company_id']
+  });
+});
+
+test('quarantineWebhook stores the normalizer result with the raw payload', async () => {
+  const fixture = fixtures.find((candidate) => candidate.file === 'quarantine-missing-conversation.json');
+  const inserts = [];
+  const supabase = {
+    from(table) {
+      return { insert: async (row) => { inserts.push({ table, row }); return { error: null }; } };
+    }
+  };
+
+  await quarantineWebhook(supabase, {
+    source: 'ghl-webhook-handler',
+    result: normalizeGHLWebhook(fixture.payload),
+    payload: fixture.payload
+  });
+
+  assert.deepEqual(inserts, [{
+    table: 'webhook_quarantine',
+    row: {
+      source: 'ghl-webhook-handler',
+      reason: 'missing_required_fields',
+      event_type: 'InboundMessage',
+      missing_fields: ['conversation_id'],
+      location_id: 've9EPM428h8vShlRW1KT',
+      schema_version: NORMALIZED_EVENT_SCHEMA_VERSION,
+      raw_payload: fixture.payload
+    }
+  }]);
+});
+
+test('quarantineWebhook never throws when the insert fails', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const supabase = { from() { throw new Error('connection refused'); } };
+  const payload = { type: 'ContactTagUpdate' };
+
+  await quarantineWebhook(supabase, { source: 'test', result: normalizeGHLWebhook(payload), payload });
+  assert.equal(console.error.mock.callCount(), 1);
+});
+
+test('the Data-Extractor-Webhook Lambda copy is identical', () => {
+  const lambdaCopy = new URL('../../../aws_lambda_functions/Data-Extractor-Webhook/ghlWebhookNormalizer.mjs', import.meta.url);
+  assert.equal(readFileSync(lambdaCopy, 'utf8'), readFileSync(new URL('./ghl-webhook-normalizer.mjs', import.meta.url), 'utf8'));
+});
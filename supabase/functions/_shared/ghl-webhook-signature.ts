@@ -0,0 +1,125 @@
+// GoHighLevel webhook signature verification for Deno/Edge Functions
+// GHL signs every webhook body with its private key (RSA-SHA256) and sends the
+// base64 signature in the `x-wh-signature` header.
+
+export const GHL_WEBHOOK_SIGNATURE_HEADER = 'x-wh-signature'
+
+// Published GHL webhook public key. Can be overridden with GHL_WEBHOOK_PUBLIC_KEY
+// if GHL rotates it before this file is updated.
+export const GHL_WEBHOOK_PUBLIC_KEY = `-----BEGIN PUBLIC KEY-----
+MIICIjANBgkqhkiG9w0BAQEFAAOCAg8AMIICCgKCAgEAokvo/r9tVgcfZ5DysOSC
+Frm602qYV0MaAiNnX9O8KxMbiyRKWeL9JpCpVpt4XHIcBOK4u3cLSqJGOLaPuXw6
+dO0t6Q/ZVdAV5Phz+ZtzPL16iCGeK9po6D6JHBpbi989mmzMryUnQJezlYJ3DVfB
+csedpinheNnyYeFXolrJvcsjDtfAeRx5ByHQmTnSdFUzuAnC9/GepgLT9SM4nCpv
+uxmZMxrJt5Rw+VUaQ9B8JSvbMPpez4peKaJPZHBbU3OdeCVx5klVXXZQGNHOs8gF
+3kvoV5rTnXV0IknLBXlcKKAQLZcY/Q9rG6Ifi9c+5vqlvHPCUJFT5XUGG5RKgOKU
+J062fRtN+rLYZUV+BjafxQauvC8wSWeYja63VSUruvmNj8xkx2zE/Juc+yjLjTXp
+IocmaiFeAO6fUtNjDeFVkhf5LNb59vECyrHD2SQIrhgXpO4Q3dVNA5rw576PwTzN
+h/AMfHKIjE4xQA1SZuYJmNnmVZLIZBlQAF9Ntd03rfadZ+yDiOXCCs9FkHibELhC
+HULgCsnuDJHcrGNd5/Ddm5hxGQ0ASitgHeMZ0kcIOwKDOzOU53lDza6/Y09T7sYJ
+PQe7z0cvj7aE4B+Ax1ZoZGPzpJlZtGXCsu9aTEGEnKzmsFqwcSsnw3JB31IGKAyk
+T1hhTiaCeIY/OwwwNUY2yvcCAwEAAQ==
+-----END PUBLIC KEY-----`
+
+export interface SignatureVerificationResult {
+  valid: boolean
+  reason: string | null
+}
+
+let cachedKey: CryptoKey | null = null
+
+function pemToDer(pem: string): Uint8Array {
+  const base64 = pem
+    .replace(/-----BEGIN PUBLIC KEY-----/, '')
+    .replace(/-----END PUBLIC KEY-----/, '')
+    .replace(/\s+/g, '')
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0))
+}
+
+async function getPublicKey(): Promise<CryptoKey> {
+  if (cachedKey) {
+    return cachedKey
+  }
+
+  const pem = Deno.env.get('GHL_WEBHOOK_PUBLIC_KEY') || GHL_WEBHOOK_PUBLIC_KEY
+  cachedKey = await crypto.subtle.importKey(
+    'spki',
+    pemToDer(pem),
+    { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    false,
+    ['verify']
+  )
+  return cachedKey
+}
+
+// Verify the raw request body against the x-wh-signature header.
+// The body must be the exact bytes GHL sent, so read it with req.text() before parsing.
+export async function verifyGHLWebhookSignature(
+  rawBody: string,
+  signature: string | null
+): Promise<SignatureVerificationResult> {
+  if (!signature) {
+    return { valid: false, reason: 'missing_signature' }
+  }
+
+  let signatureBytes: Uint8Array
+  try {
+    signatureBytes = Uint8Array.from(atob(signature.trim()), c => c.charCodeAt(0))
+  } catch (_error) {
+    return { valid: false, reason: 'malformed_signature' }
+  }
+
+  try {
+    const key = await getPublicKey()
+    const valid = await crypto.subtle.verify(
+      'RSASSA-PKCS1-v1_5',
+      key,
+      signatureBytes,
+      new TextEncoder().encode(rawBody)
+    )
+    return { valid, reason: valid ? null : 'invalid_signature' }
+  } catch (error) {
+    console.error('Webhook signature verification error:', error)
+    return { valid: false, reason: 'verification_error' }
+  }
+}
+
+// Record a rejected webhook so abuse of the public function URL is visible.
+// Never throws: a logging failure must not turn a 401 into a 500.
+export async function recordRejectedWebhook(
+  supabase: any,
+  details: {
+    source: string
+    reason: string
+    rawBody: string
+    headers: Headers
+  }
+) {
+  try {
+    let payload: any = null
+    try {
+      payload = JSON.parse(details.rawBody)
+    } catch (_error) {
+      payload = null
+    }
+
+    const { error } = await supabase
+      .from('webhook_rejections')
+      .insert({
+        source: details.source,
+        reason: details.reason,
+        location_id: payload?.locationId || null,
+        event_type: payload?.type || payload?.event || null,
+        signature_present: !!details.headers.get(GHL_WEBHOOK_SIGNATURE_HEADER),
+        remote_ip: details.headers.get('x-forwarded-for') || null,
+        user_agent: details.headers.get('user-agent') || null,
+        raw_body: details.rawBody.substring(0, 10000)
+      })
+
+    if (error) {
+      console.error('Failed to record rejected webhook:', error)
+    }
+  } catch (error) {
+    console.error('Error recording rejected webhook:', error)
+  }
+}
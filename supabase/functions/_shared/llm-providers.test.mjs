@@ -0,0 +1,425 @@
+// Checks what each provider adapter sends and how it maps the answer back, how
+// completeWithFallback moves down a fallback chain and how buildFallbackChain resolves one.
+// Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { buildFallbackChain, completeWithFallback, createLLMProvider, selectFallbackChain } from './llm-providers.mjs';
+
+const request = { system: 'Extract fields', messages: [{ role: 'user', content: 'Hi' }] };
+
+const answer = { model: 'gpt-4o-mini', choices: [{ message: { content: '{}' } }] };
+
+function fakeFetch(status, body, headers = {}) {
+  return async () => new Response(JSON.stringify(body), { status, headers });
+}
+
+// Answers each call with the next of `replies`; a reply that is an Error is thrown like a failed connection
+function sequenceFetch(replies) {
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    calls.push({ url, init });
+    const reply = replies[Math.min(calls.length - 1, replies.length - 1)];
+    if (reply instanceof Error) {
+      throw reply;
+    }
+    return new Response(JSON.stringify(reply.body), { status: reply.status, headers: reply.headers || {} });
+  };
+  fetchImpl.calls = calls;
+  return fetchImpl;
+}
+
+const jsonSchema = {
+  name: 'extracted_data',
+  strict: true,
+  schema: { type: 'object', properties: { email: { type: 'object' }, escalation: { type: 'object' } } }
+};
+
+function sentBody(call) {
+  return JSON.parse(call.init.body);
+}
+
+function openaiEntry(source, fetchImpl, model = 'gpt-4o') {
+  return { source, settings: { provider_type: 'openai', api_key: `${source}-key`, model, fetch: fetchImpl } };
+}
+
+function recordSleeps() {
+  const waits = [];
+  return { waits, sleep: async (ms) => { waits.push(ms); } };
+}
+
+function summarize(attempts) {
+  return attempts.map(({ attempt, chain_index, source, outcome, status }) => ({ attempt, chain_index, source, outcome, status }));
+}
+
+test('openai posts to the chat completions endpoint with the schema and maps usage', async () => {
+  const fetchImpl = sequenceFetch([{
+    status: 200,
+    body: { model: 'gpt-4o-2024-08-06', choices: [{ message: { content: '{"email":null}' } }], usage: { prompt_tokens: 120, completion_tokens: 30, total_tokens: 150 } }
+  }]);
+  const provider = createLLMProvider({ api_key: 'sk-test', model: 'gpt-4o', organization: 'org-1', fetch: fetchImpl });
+
+  const completion = await provider.complete({ ...request, jsonSchema });
+
+  const [call] = fetchImpl.calls;
+  assert.equal(call.url, 'https://api.openai.com/v1/chat/completions');
+  assert.equal(call.init.headers.Authorization, 'Bearer sk-test');
+  assert.equal(call.init.headers['OpenAI-Organization'], 'org-1');
+  const body = sentBody(call);
+  assert.equal(body.model, 'gpt-4o');
+  assert.deepEqual(body.messages, [{ role: 'system', content: 'Extract fields' }, { role: 'user', content: 'Hi' }]);
+  assert.deepEqual(body.response_format, { type: 'json_schema', json_schema: jsonSchema });
+  assert.deepEqual(completion, {
+    content: '{"email":null}',
+    refusal: null,
+    model: 'gpt-4o-2024-08-06',
+    usage: { input_tokens: 120, output_tokens: 30, total_tokens: 150 }
+  });
+});
+
+test('a server that rejects json_schema is asked again for json_object', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const fetchImpl = sequenceFetch([
+    { status: 400, body: { error: { message: "Invalid parameter: 'response_format' of type 'json_schema' is not supported" } } },
+    { status: 200, body: answer }
+  ]);
+  const provider = createLLMProvider({ api_key: 'sk-test', model: 'gpt-3.5-turbo', fetch: fetchImpl });
+
+  const completion = await provider.complete({ ...request, jsonSchema });
+
+  assert.deepEqual(fetchImpl.calls.map((call) => sentBody(call).response_format.type), ['json_schema', 'json_object']);
+  assert.equal(completion.content, '{}');
+});
+
+test('azure_openai posts to the deployment with the api-version and no model', async () => {
+  const fetchImpl = sequenceFetch([{ status: 200, body: answer }]);
+  const settings = {
+    provider_type: 'azure_openai',
+    api_key: 'azure-key',
+    model: 'gpt-4o',
+    base_url: 'https://acme.openai.azure.com/',
+    deployment_name: 'extract prod',
+    fetch: fetchImpl
+  };
+
+  await createLLMProvider(settings).complete(request);
+  await createLLMProvider({ ...settings, api_version: '2025-01-01-preview' }).complete(request);
+
+  const [defaultVersion, pinnedVersion] = fetchImpl.calls;
+  assert.equal(defaultVersion.url, 'https://acme.openai.azure.com/openai/deployments/extract%20prod/chat/completions?api-version=2024-10-21');
+  assert.equal(pinnedVersion.url, 'https://acme.openai.azure.com/openai/deployments/extract%20prod/chat/completions?api-version=2025-01-01-preview');
+  assert.equal(defaultVersion.init.headers['api-key'], 'azure-key');
+  assert.equal(defaultVersion.init.headers.Authorization, undefined);
+  assert.equal('model' in sentBody(defaultVersion), false, 'Azure routes by deployment');
+});
+
+test('openai_compatible posts to base_url and sends a key only when there is one', async () => {
+  const fetchImpl = sequenceFetch([{ status: 200, body: { choices: [{ message: { content: '{}' } }] } }]);
+
+  const keyless = createLLMProvider({ provider_type: 'openai_compatible', model: 'llama3', base_url: 'http://localhost:11434/v1/', fetch: fetchImpl });
+  const completion = await keyless.complete(request);
+  await createLLMProvider({ provider_type: 'openai_compatible', model: 'llama3', base_url: 'https://vllm.internal/v1', api_key: 'vllm-key', fetch: fetchImpl }).complete(request);
+
+  const [local, hosted] = fetchImpl.calls;
+  assert.equal(local.url, 'http://localhost:11434/v1/chat/completions');
+  assert.equal(local.init.headers.Authorization, undefined);
+  assert.equal(sentBody(local).model, 'llama3');
+  assert.equal(hosted.url, 'https://vllm.internal/v1/chat/completions');
+  assert.equal(hosted.init.headers.Authorization, 'Bearer vllm-key');
+  assert.equal(completion.model, 'llama3', 'falls back to the requested model when the server does not report one');
+  assert.deepEqual(completion.usage, { input_tokens: 0, output_tokens: 0, total_tokens: 0 });
+});
+
+test('anthropic forces the schema tool and maps the tool input back to the completion', async () => {
+  const fetchImpl = sequenceFetch([{
+    status: 200,
+    body: {
+      model: 'claude-sonnet-4-20250514',
+      stop_reason: 'tool_use',
+      content: [{ type: 'tool_use', name: 'extracted_data', input: { email: { value: 'jo@example.com', confidence: 0.9 } } }],
+      usage: { input_tokens: 200, output_tokens: 40 }
+    }
+  }]);
+  const provider = createLLMProvider({ provider_type: 'anthropic', api_key: 'sk-ant', model: 'claude-sonnet-4', fetch: fetchImpl });
+
+  const completion = await provider.complete({
+    system: 'Extract fields',
+    messages: [
+      { role: 'assistant', content: 'Hello, how can we help?' },
+      { role: 'user', content: 'Hi' },
+      { role: 'user', content: 'My email is jo@example.com' }
+    ],
+    jsonSchema
+  });
+
+  const [call] = fetchImpl.calls;
+  assert.equal(call.url, 'https://api.anthropic.com/v1/messages');
+  assert.equal(call.init.headers['x-api-key'], 'sk-ant');
+  assert.equal(call.init.headers['anthropic-version'], '2023-06-01');
+  const body = sentBody(call);
+  assert.equal(body.system, 'Extract fields');
+  assert.deepEqual(body.tools, [{ name: 'extracted_data', description: 'Record the data extracted from the conversation.', input_schema: jsonSchema.schema }]);
+  assert.deepEqual(body.tool_choice, { type: 'tool', name: 'extracted_data' });
+  assert.deepEqual(body.messages, [
+    { role: 'user', content: '(Conversation starts.)' },
+    { role: 'assistant', content: 'Hello, how can we help?' },
+    { role: 'user', content: 'Hi\n\nMy email is jo@example.com\n\nRecord the extracted data with the extracted_data tool.' }
+  ]);
+
+  assert.deepEqual(completion, {
+    content: JSON.stringify({ email: { value: 'jo@example.com', confidence: 0.9 } }),
+    refusal: null,
+    model: 'claude-sonnet-4-20250514',
+    usage: { input_tokens: 200, output_tokens: 40, total_tokens: 240 }
+  });
+});
+
+test('anthropic reports a refusal and surfaces HTTP errors with their Retry-After', async () => {
+  const refused = createLLMProvider({
+    provider_type: 'anthropic',
+    api_key: 'sk-ant',
+    model: 'claude-sonnet-4',
+    fetch: fakeFetch(200, { stop_reason: 'refusal', content: [{ type: 'text', text: 'I cannot help with that.' }] })
+  });
+  const completion = await refused.complete(request);
+  assert.equal(completion.refusal, 'I cannot help with that.');
+
+  const overloaded = createLLMProvider({
+    provider_type: 'anthropic',
+    api_key: 'sk-ant',
+    model: 'claude-sonnet-4',
+    fetch: fakeFetch(529, { error: { type: 'overloaded_error', message: 'Overloaded' } }, { 'retry-after': '5' })
+  });
+  await assert.rejects(overloaded.complete(request), (error) => {
+    assert.equal(error.name, 'LLMProviderError');
+    assert.equal(error.status, 529);
+    assert.equal(error.provider, 'anthropic');
+    assert.deepEqual(error.headers, { 'retry-after': '5' });
+    assert.match(error.message, /Overloaded/);
+    return true;
+  });
+});
+
+test('mock answers every schema field empty without a network call', async () => {
+  const provider = createLLMProvider({
+    provider_type: 'mock',
+    fetch: () => assert.fail('the mock provider never fetches')
+  });
+
+  const completion = await provider.complete({ ...request, jsonSchema });
+
+  assert.deepEqual(JSON.parse(completion.content), {
+    email: { value: null, confidence: 0, message_id: null, quote: null },
+    escalation: { triggered: false, trigger_name: null, reason: null }
+  });
+  assert.equal(completion.model, 'mock');
+  assert.equal(completion.usage.total_tokens, completion.usage.input_tokens + completion.usage.output_tokens);
+
+  const canned = createLLMProvider({ provider_type: 'mock', mock_response: '{"email":{"value":"jo@example.com"}}' });
+  assert.equal((await canned.complete(request)).content, '{"email":{"value":"jo@example.com"}}');
+});
+
+test('unknown provider types and missing keys are refused up front', () => {
+  assert.throws(() => createLLMProvider({ provider_type: 'cohere', model: 'command' }), /Unknown LLM provider type: cohere/);
+  assert.throws(() => createLLMProvider({ provider_type: 'openai', model: 'gpt-4o' }), /No API key configured for the openai provider/);
+  assert.throws(() => createLLMProvider({ provider_type: 'openai_compatible', model: 'llama3' }), /needs a base URL/);
+});
+
+test('an entry whose provider cannot be created is recorded and skipped', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const chain = [
+    { source: 'agency', settings: { provider_type: 'azure_openai', api_key: 'key', model: 'gpt-4o' } },
+    {
+      source: 'platform',
+      settings: {
+        provider_type: 'openai',
+        api_key: 'key',
+        model: 'gpt-4o-mini',
+        fetch: fakeFetch(200, { model: 'gpt-4o-mini', choices: [{ message: { content: '{}' } }] })
+      }
+    }
+  ];
+
+  const { completion, chainIndex, attempts } = await completeWithFallback(chain, request);
+
+  assert.equal(chainIndex, 1);
+  assert.equal(completion.content, '{}');
+  assert.deepEqual(attempts.map(({ chain_index, source, provider_type, outcome }) => ({ chain_index, source, provider_type, outcome })), [
+    { chain_index: 0, source: 'agency', provider_type: 'azure_openai', outcome: 'failed' },
+    { chain_index: 1, source: 'platform', provider_type: 'openai', outcome: 'succeeded' }
+  ]);
+  assert.match(attempts[0].error, /deployment name/);
+});
+
+test('when no entry can be created, rejects with every attempt attached', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const chain = [{ source: 'agency', settings: { provider_type: 'openai_compatible', model: 'llama3' } }];
+
+  await assert.rejects(completeWithFallback(chain, request), (error) => {
+    assert.equal(error.attempts.length, 1);
+    assert.equal(error.attempts[0].model, 'llama3');
+    return true;
+  });
+});
+
+test('a non-retryable error ends the chain', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const chain = ['agency', 'platform'].map((source) => ({
+    source,
+    settings: { provider_type: 'openai', api_key: 'key', model: 'gpt-4o', fetch: fakeFetch(400, { error: { message: 'bad request' } }) }
+  }));
+
+  await assert.rejects(completeWithFallback(chain, request), (error) => {
+    assert.equal(error.status, 400);
+    assert.equal(error.attempts.length, 1);
+    return true;
+  });
+});
+
+test('a rate limit, server error or failed connection moves on to the next entry', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  for (const failure of [
+    { status: 429, body: { error: { message: 'rate limited' } } },
+    { status: 503, body: { error: { message: 'overloaded' } } },
+    new TypeError('fetch failed')
+  ]) {
+    const { sleep } = recordSleeps();
+    const chain = [openaiEntry('agency', sequenceFetch([failure])), openaiEntry('platform', fakeFetch(200, answer), 'gpt-4o-mini')];
+
+    const { entry, chainIndex, attempts } = await completeWithFallback(chain, request, { maxRetries: 0, sleep });
+
+    assert.equal(chainIndex, 1);
+    assert.equal(entry.source, 'platform');
+    assert.deepEqual(summarize(attempts), [
+      { attempt: 1, chain_index: 0, source: 'agency', outcome: 'failed', status: failure.status ?? null },
+      { attempt: 2, chain_index: 1, source: 'platform', outcome: 'succeeded', status: null }
+    ]);
+  }
+});
+
+test('each entry is retried up to maxRetries times before the next one', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const { waits, sleep } = recordSleeps();
+  const agencyFetch = sequenceFetch([{ status: 500, body: { error: { message: 'boom' } } }]);
+  const chain = [openaiEntry('agency', agencyFetch), openaiEntry('platform', fakeFetch(200, answer), 'gpt-4o-mini')];
+
+  const { attempts } = await completeWithFallback(chain, request, { maxRetries: 2, maxWaitSeconds: 10, sleep });
+
+  assert.equal(agencyFetch.calls.length, 3);
+  assert.deepEqual(waits, [1000, 2000], 'exponential backoff without a Retry-After');
+  assert.deepEqual(attempts.map((a) => `${a.source}:${a.outcome}`), ['agency:failed', 'agency:failed', 'agency:failed', 'platform:succeeded']);
+});
+
+test('a retried entry that recovers answers without reaching the next entry', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const { sleep } = recordSleeps();
+  const platformFetch = sequenceFetch([answer]);
+  const chain = [
+    openaiEntry('agency', sequenceFetch([{ status: 429, body: {}, headers: { 'retry-after': '2' } }, { status: 200, body: answer }])),
+    openaiEntry('platform', platformFetch)
+  ];
+
+  const { entry, attempts } = await completeWithFallback(chain, request, { maxRetries: 1, sleep });
+
+  assert.equal(entry.source, 'agency');
+  assert.equal(platformFetch.calls.length, 0);
+  // openai-extraction logs successful_attempt as attempts.length and key_source as entry.source
+  assert.equal(attempts.length, 2);
+  assert.equal(attempts[0].retry_after_seconds, 2);
+  assert.equal(attempts[1].outcome, 'succeeded');
+});
+
+test('Retry-After is honored only up to maxWaitSeconds', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const rateLimited = (retryAfter) => ({ status: 429, body: { error: { message: 'slow down' } }, headers: { 'retry-after': retryAfter } });
+
+  const short = recordSleeps();
+  const shortFetch = sequenceFetch([rateLimited('3'), { status: 200, body: answer }]);
+  await completeWithFallback([openaiEntry('agency', shortFetch)], request, { maxRetries: 1, maxWaitSeconds: 5, sleep: short.sleep });
+  assert.deepEqual(short.waits, [3000]);
+  assert.equal(shortFetch.calls.length, 2);
+
+  const long = recordSleeps();
+  const longFetch = sequenceFetch([rateLimited('60')]);
+  const platformFetch = sequenceFetch([{ status: 200, body: answer }]);
+  const { entry } = await completeWithFallback(
+    [openaiEntry('agency', longFetch), openaiEntry('platform', platformFetch)],
+    request,
+    { maxRetries: 1, maxWaitSeconds: 5, sleep: long.sleep }
+  );
+  assert.deepEqual(long.waits, [], 'a longer wait moves on instead of sleeping');
+  assert.equal(longFetch.calls.length, 1);
+  assert.equal(entry.source, 'platform');
+});
+
+test('when every entry fails, rejects with the last error and every attempt', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const { sleep } = recordSleeps();
+  const chain = [
+    openaiEntry('agency', fakeFetch(503, { error: { message: 'down' } })),
+    openaiEntry('platform', fakeFetch(429, { error: { message: 'busy' } }, { 'retry-after': '30' }))
+  ];
+
+  await assert.rejects(completeWithFallback(chain, request, { maxRetries: 0, sleep }), (error) => {
+    assert.equal(error.status, 429);
+    assert.equal(error.headers['retry-after'], '30', 'left for the job worker');
+    assert.deepEqual(error.attempts.map((a) => a.status), [503, 429]);
+    return true;
+  });
+});
+
+test('buildFallbackChain resolves agency and platform steps', () => {
+  const agency = { provider_type: 'anthropic', api_key: 'agency-key', model: 'claude-sonnet-4' };
+  const platform = { provider_type: 'openai', api_key: 'platform-key', model: null };
+
+  const chain = buildFallbackChain(
+    [{ source: 'agency' }, { source: 'agency', model: 'claude-haiku' }, { source: 'platform' }, { source: 'someone-else' }],
+    agency,
+    platform
+  );
+
+  assert.deepEqual(chain.map(({ source, settings }) => [source, settings.provider_type, settings.api_key, settings.model]), [
+    ['agency', 'anthropic', 'agency-key', 'claude-sonnet-4'],
+    ['agency', 'anthropic', 'agency-key', 'claude-haiku'],
+    ['platform', 'openai', 'platform-key', 'gpt-4o-mini']
+  ]);
+});
+
+test('buildFallbackChain drops agency steps when the agency has no key', () => {
+  const platform = { provider_type: 'openai', api_key: 'platform-key', model: 'gpt-4o' };
+
+  const chain = buildFallbackChain([{ source: 'agency' }, { source: 'platform', model: 'gpt-4o-mini' }], null, platform);
+
+  assert.deepEqual(chain.map(({ source, settings }) => [source, settings.model]), [['platform', 'gpt-4o-mini']]);
+});
+
+test('a location chain overrides the agency chain', () => {
+  const agencyChain = [{ source: 'agency' }, { source: 'platform' }];
+  const locationChain = [{ source: 'platform', model: 'gpt-4o' }];
+  const agency = { provider_type: 'openai', api_key: 'agency-key', model: 'gpt-4.1' };
+  const platform = { provider_type: 'openai', api_key: 'platform-key', model: 'gpt-4o-mini' };
+
+  const chain = buildFallbackChain(selectFallbackChain(locationChain, agencyChain), agency, platform);
+
+  assert.deepEqual(chain.map(({ source, settings }) => [source, settings.model]), [['platform', 'gpt-4o']]);
+  assert.equal(selectFallbackChain([], agencyChain), agencyChain, 'an empty location chain uses the agency chain');
+  assert.equal(selectFallbackChain(null, agencyChain), agencyChain);
+});
+
+test('without a chain, buildFallbackChain uses the single agency or platform key', () => {
+  const agency = { provider_type: 'openai', api_key: 'agency-key', model: 'gpt-4.1' };
+  const platform = { provider_type: 'openai', api_key: 'platform-key' };
+
+  assert.deepEqual(buildFallbackChain(null, agency, platform), [{ source: 'agency', settings: agency }]);
+  assert.deepEqual(buildFallbackChain([], null, platform), [
+    { source: 'platform', settings: { ...platform, model: 'gpt-4o-mini' } }
+  ]);
+  assert.deepEqual(buildFallbackChain([{ source: 'agency' }], null, platform).map((entry) => entry.source), ['platform']);
+});
+
+test('the Data-Extractor-Openai-Extraction Lambda copy is identical', () => {
+  const lambdaCopy = new URL('../../../aws_lambda_functions/Data-Extractor-Openai-Extraction/llmProviders.mjs', import.meta.url);
+  assert.equal(readFileSync(lambdaCopy, 'utf8'), readFileSync(new URL('./llm-providers.mjs', import.meta.url), 'utf8'));
+});
@@ -0,0 +1,169 @@
+// Evaluation of notification_triggers rules against the values written to a GHL contact,
+// shared by update-ghl-contact (Deno) and the Data-Extractor-Contact-Updater Lambda (Node).
+//
+// Like value-normalizer.mjs this file must stay runtime-neutral: plain ESM, no imports,
+// no Deno or Node APIs. The Lambda copy at
+// aws_lambda_functions/Data-Extractor-Contact-Updater/notificationRules.mjs is a verbatim
+// copy of this file; edit here and copy it over.
+//
+// A rule holds a list of conditions, each {field, operator, value}, where field is the
+// target_ghl_key of an extraction field. condition_match 'any' fires the rule when one
+// condition holds, 'all' when every condition holds. Only values written by the current
+// update count, so a rule fires when the extraction changes something it watches.
+
+/** Operators a condition can use, with the label shown in the UI. */
+export const NOTIFICATION_OPERATORS = {
+  is_set: 'is extracted',
+  equals: 'equals',
+  not_equals: 'does not equal',
+  contains: 'contains',
+  greater_than: 'is greater than',
+  less_than: 'is less than',
+};
+
+/** Operators that compare against no value. */
+export const VALUELESS_OPERATORS = ['is_set'];
+
+/** Channels a rule can notify through. */
+export const NOTIFICATION_CHANNELS = ['email', 'webhook', 'ghl_task', 'ghl_note'];
+
+/**
+ * @typedef {Object} NotificationCondition
+ * @property {string} field - target_ghl_key of the extraction field.
+ * @property {string} operator - Key of NOTIFICATION_OPERATORS.
+ * @property {string|number} [value] - Value to compare against.
+ */
+
+/**
+ * @typedef {Object} RuleMatch
+ * @property {boolean} matched - Whether the rule fires.
+ * @property {NotificationCondition[]} matchedConditions - The conditions that held.
+ */
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return NaN;
+
+  // Tolerate currency symbols and thousands separators: "$12,500" -> 12500
+  const cleaned = value.replace(/[^0-9.\-]/g, '');
+  return cleaned === '' ? NaN : Number(cleaned);
+}
+
+function sameText(a, b) {
+  return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+/**
+ * Checks one condition against the written values.
+ * Text comparisons ignore case; a multi-option value equals a value when one of its options does.
+ * @param {NotificationCondition} condition
+ * @param {Object<string, any>} values - Written values keyed by target_ghl_key.
+ * @returns {boolean}
+ */
+export function evaluateCondition(condition, values) {
+  if (!condition || !condition.field || !(condition.field in values)) {
+    return false;
+  }
+
+  const actual = values[condition.field];
+  if (isEmpty(actual)) {
+    return false;
+  }
+
+  const items = Array.isArray(actual) ? actual : [actual];
+  const expected = condition.value;
+
+  switch (condition.operator) {
+    case 'is_set':
+      return true;
+    case 'equals':
+      return items.some(item => sameText(item, expected));
+    case 'not_equals':
+      return !items.some(item => sameText(item, expected));
+    case 'contains':
+      return items.some(item => String(item).toLowerCase().includes(String(expected).trim().toLowerCase()));
+    case 'greater_than':
+    case 'less_than': {
+      const actualNumber = toNumber(actual);
+      const expectedNumber = toNumber(expected);
+      if (Number.isNaN(actualNumber) || Number.isNaN(expectedNumber)) {
+        return false;
+      }
+      return condition.operator === 'greater_than' ? actualNumber > expectedNumber : actualNumber < expectedNumber;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Decides whether a notification_triggers rule fires for the written values.
+ * @param {{conditions?: NotificationCondition[], condition_match?: string}} trigger
+ * @param {Object<string, any>} values - Written values keyed by target_ghl_key.
+ * @returns {RuleMatch}
+ */
+export function matchNotificationTrigger(trigger, values) {
+  const conditions = Array.isArray(trigger.conditions) ? trigger.conditions : [];
+  if (conditions.length === 0) {
+    return { matched: false, matchedConditions: [] };
+  }
+
+  const matchedConditions = conditions.filter(condition => evaluateCondition(condition, values));
+  const matched = trigger.condition_match === 'all'
+    ? matchedConditions.length === conditions.length
+    : matchedConditions.length > 0;
+
+  return { matched, matchedConditions: matched ? matchedConditions : [] };
+}
+
+/**
+ * Builds the notification_deliveries rows for every active rule the written values fire.
+ * @param {Object[]} triggers - notification_triggers rows of the configuration.
+ * @param {Array<{fieldKey: string, field: Object|null, previousValue: any, newValue: any, decision: string}>} fieldChanges - Field changes of the update; only 'written' ones count.
+ * @param {{locationId: string, configId: string, contactId: string, conversationId?: string, extractionResultId?: string}} context
+ * @returns {Object[]} Rows ready to insert into notification_deliveries.
+ */
+export function buildNotificationDeliveries(triggers, fieldChanges, context) {
+  const written = fieldChanges.filter(change => change.decision === 'written' && change.field?.target_ghl_key);
+  if (written.length === 0) {
+    return [];
+  }
+
+  const values = Object.fromEntries(written.map(change => [change.field.target_ghl_key, change.newValue]));
+  const fields = written.map(change => ({
+    key: change.field.target_ghl_key,
+    name: change.field.field_name || change.fieldKey,
+    value: change.newValue,
+    previous_value: change.previousValue ?? null,
+  }));
+
+  return triggers
+    .filter(trigger => trigger.is_active !== false && NOTIFICATION_CHANNELS.includes(trigger.channel))
+    .map(trigger => ({ trigger, match: matchNotificationTrigger(trigger, values) }))
+    .filter(({ match }) => match.matched)
+    .map(({ trigger, match }) => ({
+      location_id: context.locationId,
+      config_id: context.configId,
+      notification_trigger_id: trigger.id,
+      trigger_name: trigger.trigger_name || 'Notification',
+      channel: trigger.channel,
+      channel_config: trigger.channel_config || {},
+      contact_id: context.contactId,
+      conversation_id: context.conversationId || null,
+      extraction_result_id: context.extractionResultId || null,
+      payload: {
+        event: 'contact.fields_extracted',
+        trigger_name: trigger.trigger_name || 'Notification',
+        location_id: context.locationId,
+        contact_id: context.contactId,
+        conversation_id: context.conversationId || null,
+        matched_conditions: match.matchedConditions,
+        fields,
+        occurred_at: new Date().toISOString(),
+      },
+    }));
+}
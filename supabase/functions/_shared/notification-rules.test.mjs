@@ -0,0 +1,134 @@
+// Checks which notification rules fire for the values an update writes, and the delivery
+// rows they queue. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { buildNotificationDeliveries, evaluateCondition, matchNotificationTrigger } from './notification-rules.mjs';
+
+const budgetField = { target_ghl_key: 'cf_budget', field_name: 'Budget' };
+const urgencyField = { target_ghl_key: 'cf_urgency', field_name: 'Urgency' };
+
+const context = {
+  locationId: 'location-1',
+  configId: 'config-1',
+  contactId: 'contact-1',
+  conversationId: 'conversation-1',
+  extractionResultId: 'result-1'
+};
+
+function rule(overrides) {
+  return {
+    id: 'trigger-1',
+    trigger_name: 'Hot lead',
+    channel: 'email',
+    channel_config: { to: 'sales@example.com' },
+    is_active: true,
+    condition_match: 'any',
+    conditions: [{ field: 'cf_budget', operator: 'greater_than', value: 10000 }],
+    ...overrides
+  };
+}
+
+function written(field, newValue, previousValue = null) {
+  return { fieldKey: field.target_ghl_key, field, previousValue, newValue, decision: 'written' };
+}
+
+test('greater_than and less_than read currency amounts', () => {
+  const values = { cf_budget: '$12,500' };
+
+  assert.equal(evaluateCondition({ field: 'cf_budget', operator: 'greater_than', value: 10000 }, values), true);
+  assert.equal(evaluateCondition({ field: 'cf_budget', operator: 'greater_than', value: '$15,000' }, values), false);
+  assert.equal(evaluateCondition({ field: 'cf_budget', operator: 'less_than', value: '15000' }, values), true);
+  assert.equal(evaluateCondition({ field: 'cf_budget', operator: 'greater_than', value: 10000 }, { cf_budget: 'a lot' }), false);
+});
+
+test('text comparisons ignore case and surrounding spaces', () => {
+  const values = { cf_urgency: 'high ', cf_services: ['Roof Repair', 'Gutters'] };
+
+  assert.equal(evaluateCondition({ field: 'cf_urgency', operator: 'equals', value: 'High' }, values), true);
+  assert.equal(evaluateCondition({ field: 'cf_urgency', operator: 'not_equals', value: 'HIGH' }, values), false);
+  assert.equal(evaluateCondition({ field: 'cf_services', operator: 'equals', value: 'gutters' }, values), true, 'one option of a multi-option value');
+  assert.equal(evaluateCondition({ field: 'cf_services', operator: 'contains', value: 'ROOF' }, values), true);
+});
+
+test('a condition on a field that was not written or is empty never holds', () => {
+  assert.equal(evaluateCondition({ field: 'cf_budget', operator: 'is_set' }, {}), false);
+  assert.equal(evaluateCondition({ field: 'cf_budget', operator: 'is_set' }, { cf_budget: '' }), false);
+  assert.equal(evaluateCondition({ field: 'cf_budget', operator: 'not_equals', value: 'x' }, { cf_budget: [] }), false);
+  assert.equal(evaluateCondition({ field: 'cf_budget', operator: 'is_set' }, { cf_budget: 0 }), true);
+  assert.equal(evaluateCondition({ field: 'cf_budget', operator: 'matches', value: 'x' }, { cf_budget: 'x' }), false, 'unknown operator');
+});
+
+test("'all' needs every condition and 'any' needs one", () => {
+  const conditions = [
+    { field: 'cf_budget', operator: 'greater_than', value: 10000 },
+    { field: 'cf_urgency', operator: 'equals', value: 'High' }
+  ];
+  const values = { cf_budget: '$12,500', cf_urgency: 'Low' };
+
+  assert.deepEqual(matchNotificationTrigger({ condition_match: 'all', conditions }, values), { matched: false, matchedConditions: [] });
+  assert.deepEqual(matchNotificationTrigger({ condition_match: 'any', conditions }, values), { matched: true, matchedConditions: [conditions[0]] });
+  assert.equal(matchNotificationTrigger({ condition_match: 'all', conditions }, { ...values, cf_urgency: 'high' }).matched, true);
+  assert.equal(matchNotificationTrigger({ condition_match: 'any', conditions: [] }, values).matched, false, 'a rule without conditions never fires');
+});
+
+test('only written changes count towards a rule', () => {
+  const triggers = [rule({ conditions: [{ field: 'cf_urgency', operator: 'is_set' }] })];
+  const notWritten = ['review', 'skipped_by_policy', 'rejected', 'conflict'].map((decision) => ({
+    ...written(urgencyField, 'High'),
+    decision
+  }));
+
+  assert.deepEqual(buildNotificationDeliveries(triggers, notWritten, context), []);
+  assert.equal(buildNotificationDeliveries(triggers, [...notWritten, written(urgencyField, 'High')], context).length, 1);
+});
+
+test('inactive rules and rules with an unknown channel are skipped', () => {
+  const triggers = [
+    rule({ id: 'inactive', is_active: false }),
+    rule({ id: 'sms', channel: 'sms' }),
+    rule({ id: 'webhook', channel: 'webhook', channel_config: { url: 'https://example.com/hook' } })
+  ];
+
+  const deliveries = buildNotificationDeliveries(triggers, [written(budgetField, '$12,500')], context);
+
+  assert.deepEqual(deliveries.map((delivery) => delivery.notification_trigger_id), ['webhook']);
+});
+
+test('a delivery carries the rule, the context and every written field', () => {
+  const triggers = [rule({
+    condition_match: 'all',
+    conditions: [
+      { field: 'cf_budget', operator: 'greater_than', value: 10000 },
+      { field: 'cf_urgency', operator: 'equals', value: 'High' }
+    ]
+  })];
+
+  const [delivery] = buildNotificationDeliveries(triggers, [
+    written(budgetField, '$12,500', '$8,000'),
+    written(urgencyField, 'high')
+  ], context);
+
+  assert.equal(delivery.location_id, 'location-1');
+  assert.equal(delivery.config_id, 'config-1');
+  assert.equal(delivery.notification_trigger_id, 'trigger-1');
+  assert.equal(delivery.channel, 'email');
+  assert.deepEqual(delivery.channel_config, { to: 'sales@example.com' });
+  assert.equal(delivery.contact_id, 'contact-1');
+  assert.equal(delivery.conversation_id, 'conversation-1');
+  assert.equal(delivery.extraction_result_id, 'result-1');
+  assert.equal(delivery.payload.event, 'contact.fields_extracted');
+  assert.equal(delivery.payload.matched_conditions.length, 2);
+  assert.deepEqual(delivery.payload.fields, [
+    { key: 'cf_budget', name: 'Budget', value: '$12,500', previous_value: '$8,000' },
+    { key: 'cf_urgency', name: 'Urgency', value: 'high', previous_value: null }
+  ]);
+  assert.ok(!Number.isNaN(Date.parse(delivery.payload.occurred_at)));
+});
+
+test('the Data-Extractor-Contact-Updater Lambda copy is identical', () => {
+  const lambdaCopy = new URL('../../../aws_lambda_functions/Data-Extractor-Contact-Updater/notificationRules.mjs', import.meta.url);
+  assert.equal(readFileSync(lambdaCopy, 'utf8'), readFileSync(new URL('./notification-rules.mjs', import.meta.url), 'utf8'));
+});
@@ -0,0 +1,68 @@
+// Retry classification and backoff shared by the extraction pipeline.
+// Functions in the chain pass the downstream HTTP status back up so the
+// process-extraction-jobs worker can decide whether a failed job is worth retrying.
+
+const BASE_DELAY_SECONDS = parseInt(Deno.env.get('EXTRACTION_RETRY_BASE_SECONDS') || '30', 10)
+const MAX_DELAY_SECONDS = parseInt(Deno.env.get('EXTRACTION_RETRY_MAX_SECONDS') || '3600', 10)
+
+// An error carrying the HTTP status (and Retry-After hint) of the call that failed
+export class UpstreamError extends Error {
+  status: number
+  retryAfter: string | null
+
+  constructor(message: string, status: number, retryAfter: string | null = null) {
+    super(message)
+    this.name = 'UpstreamError'
+    this.status = status
+    this.retryAfter = retryAfter
+  }
+}
+
+// Timeouts, rate limits and server errors are transient; other 4xx responses
+// (bad input, missing configuration, revoked auth) will fail the same way next time.
+export function isRetryableStatus(status: number | null | undefined): boolean {
+  if (!status) {
+    // No status means the request never completed (network error, crash)
+    return true
+  }
+  return status === 408 || status === 429 || status >= 500
+}
+
+// Build an UpstreamError from a non-ok fetch response
+export async function upstreamErrorFromResponse(label: string, response: Response): Promise<UpstreamError> {
+  const errorText = await response.text()
+  return new UpstreamError(
+    `${label}: ${response.status} - ${errorText}`,
+    response.status,
+    response.headers.get('retry-after')
+  )
+}
+
+// Parse a Retry-After header (delta-seconds or HTTP date) into seconds
+export function parseRetryAfter(retryAfter: string | null | undefined): number | null {
+  if (!retryAfter) {
+    return null
+  }
+
+  const seconds = Number(retryAfter)
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, Math.ceil(seconds))
+  }
+
+  const date = Date.parse(retryAfter)
+  if (!Number.isNaN(date)) {
+    return Math.max(0, Math.ceil((date - Date.now()) / 1000))
+  }
+
+  return null
+}
+
+// Exponential backoff with jitter, capped at MAX_DELAY_SECONDS.
+// A Retry-After from the upstream wins when it asks for a longer wait.
+export function computeBackoffSeconds(attempt: number, retryAfter?: string | null): number {
+  const exponential = Math.min(MAX_DELAY_SECONDS, BASE_DELAY_SECONDS * Math.pow(2, Math.max(0, attempt - 1)))
+  const jittered = Math.ceil(exponential / 2 + Math.random() * exponential / 2)
+  const requested = parseRetryAfter(retryAfter)
+
+  return requested !== null ? Math.max(jittered, Math.min(requested, MAX_DELAY_SECONDS)) : jittered
+}
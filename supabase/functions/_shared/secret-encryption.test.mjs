@@ -0,0 +1,126 @@
+// Checks envelope encryption round-trips, binds values to where they are stored, survives
+// master key rotation and refuses legacy values once master keys are configured. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import {
+  decodeLegacySecret,
+  decryptGhlTokens,
+  decryptSecret,
+  encryptGhlTokens,
+  encryptSecret,
+  isEncryptedSecret,
+  isPlaceholderToken,
+  loadKeyring,
+  masterKeyIdOf,
+  rewrapSecret,
+  secretContext
+} from './secret-encryption.mjs';
+
+const OLD_KEY = `k1:${Buffer.alloc(32, 1).toString('base64')}`;
+const NEW_KEY = `k2:${Buffer.alloc(32, 2).toString('base64')}`;
+
+const API_KEY = 'sk-live-abcdefghijklmnop1234';
+const keyContext = secretContext('agency_openai_keys', 'key-1');
+
+test('a secret round-trips and never appears in the stored value', async () => {
+  const keyring = await loadKeyring(OLD_KEY);
+
+  const stored = await encryptSecret(API_KEY, keyring, keyContext);
+
+  assert.ok(isEncryptedSecret(stored));
+  assert.equal(masterKeyIdOf(stored), 'k1');
+  assert.ok(!stored.includes(API_KEY));
+  assert.notEqual(await encryptSecret(API_KEY, keyring, keyContext), stored, 'each encryption uses a fresh data key and IV');
+  assert.equal(await decryptSecret(stored, keyring, keyContext), API_KEY);
+});
+
+test('a value copied to another row or column does not decrypt', async () => {
+  const keyring = await loadKeyring(OLD_KEY);
+  const stored = await encryptSecret(API_KEY, keyring, keyContext);
+
+  await assert.rejects(decryptSecret(stored, keyring, secretContext('agency_openai_keys', 'key-2')), /Failed to decrypt secret/);
+
+  const tokens = await encryptGhlTokens({ access_token: 'access-1', refresh_token: 'refresh-1' }, keyring, 'config-1');
+  const swapped = { id: 'config-1', access_token: tokens.refresh_token, refresh_token: tokens.access_token };
+  await assert.rejects(decryptGhlTokens(swapped, keyring), /Failed to decrypt secret/);
+  await assert.rejects(decryptGhlTokens({ ...tokens, id: 'config-2' }, keyring), /Failed to decrypt secret/);
+  assert.deepEqual(
+    await decryptGhlTokens({ ...tokens, id: 'config-1' }, keyring),
+    { ...tokens, id: 'config-1', access_token: 'access-1', refresh_token: 'refresh-1' }
+  );
+});
+
+test('a tampered value does not decrypt', async () => {
+  const keyring = await loadKeyring(OLD_KEY);
+  const stored = await encryptSecret(API_KEY, keyring, keyContext);
+  const parts = stored.split(':');
+  const ciphertext = Buffer.from(parts[4], 'base64');
+  ciphertext[ciphertext.length - 1] ^= 1;
+  parts[4] = ciphertext.toString('base64');
+
+  await assert.rejects(decryptSecret(parts.join(':'), keyring, keyContext), /Failed to decrypt secret/);
+});
+
+test('rewrapSecret moves a value to the new master key so the old one can be retired', async () => {
+  const stored = await encryptSecret(API_KEY, await loadKeyring(OLD_KEY), keyContext);
+
+  // Rotation: the new key goes first, the old one stays until every row is re-wrapped
+  const rotating = await loadKeyring(`${NEW_KEY},${OLD_KEY}`);
+  assert.equal(rotating.currentId, 'k2');
+  assert.equal(await decryptSecret(stored, rotating, keyContext), API_KEY, 'old values still read mid-rotation');
+
+  const rewrapped = await rewrapSecret(stored, rotating);
+  assert.equal(masterKeyIdOf(rewrapped), 'k2');
+  assert.equal(rewrapped.split(':').at(-1), stored.split(':').at(-1), 'the ciphertext is unchanged');
+
+  const rotated = await loadKeyring(NEW_KEY);
+  assert.equal(await decryptSecret(rewrapped, rotated, keyContext), API_KEY);
+  await assert.rejects(decryptSecret(stored, rotated, keyContext), /master key "k1" is not configured/);
+});
+
+test('ENCRYPTION_MASTER_KEY_ID picks the current key and must be in the list', async () => {
+  assert.equal((await loadKeyring(`${OLD_KEY},${NEW_KEY}`, 'k2')).currentId, 'k2');
+  await assert.rejects(loadKeyring(OLD_KEY, 'k9'), /"k9" is not in ENCRYPTION_MASTER_KEYS/);
+  await assert.rejects(loadKeyring('k1:c2hvcnQ='), /base64 of 32 bytes/);
+  await assert.rejects(loadKeyring(''), /No encryption master keys configured/);
+});
+
+test('legacy base64 values are read only while no master keys are configured', async (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const legacy = Buffer.from(API_KEY).toString('base64');
+
+  assert.equal(await decryptSecret(legacy, null, keyContext), API_KEY);
+  assert.equal(warn.mock.callCount(), 1, 'every legacy read is logged');
+  assert.equal(decodeLegacySecret('not base64!'), 'not base64!');
+
+  await assert.rejects(decryptSecret(legacy, await loadKeyring(OLD_KEY), keyContext), /run rotate-encryption-keys/);
+});
+
+test('plain-text GHL tokens saved before encryption pass through unchanged', async () => {
+  const config = { id: 'config-1', access_token: 'plain-access', refresh_token: null };
+
+  assert.deepEqual(await decryptGhlTokens(config, null), config);
+});
+
+test('isPlaceholderToken spots development tokens only', async () => {
+  for (const token of ['dev-token', 'test-123', 'temp-abc']) {
+    assert.equal(isPlaceholderToken(token), true, token);
+  }
+  for (const token of ['eyJhbGciOi.dev-token', 'developer', null, undefined]) {
+    assert.equal(isPlaceholderToken(token), false, String(token));
+  }
+
+  const keyring = await loadKeyring(OLD_KEY);
+  assert.equal((await encryptGhlTokens({ access_token: 'dev-token' }, keyring, 'config-1')).token_is_placeholder, true);
+  assert.equal((await encryptGhlTokens({ access_token: 'eyJ.real' }, keyring, 'config-1')).token_is_placeholder, false);
+});
+
+for (const lambda of ['Data-Extractor-Contact-Updater', 'Data-Extractor-Openai-Extraction']) {
+  test(`the ${lambda} Lambda copy is identical`, () => {
+    const lambdaCopy = new URL(`../../../aws_lambda_functions/${lambda}/secretEncryption.mjs`, import.meta.url);
+    assert.equal(readFileSync(lambdaCopy, 'utf8'), readFileSync(new URL('./secret-encryption.mjs', import.meta.url), 'utf8'));
+  });
+}
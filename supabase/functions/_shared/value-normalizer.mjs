@@ -0,0 +1,353 @@
+// Type-aware normalization of extracted values before they are written to a GHL contact,
+// shared by update-ghl-contact (Deno) and the Data-Extractor-Contact-Updater Lambda (Node).
+//
+// Like ghl-webhook-normalizer.mjs this file must stay runtime-neutral: plain ESM, no
+// imports, no Deno or Node APIs. The Lambda copy at
+// aws_lambda_functions/Data-Extractor-Contact-Updater/valueNormalizer.mjs is a verbatim
+// copy of this file; edit here and copy it over.
+//
+// normalizeFieldValue() keys on data_extraction_fields.field_type:
+//   PHONE            -> E.164, using the location's default_country for national numbers
+//   DATE             -> YYYY-MM-DD, reading numeric dates in the default_country's order
+//   EMAIL            -> trimmed, punctuation stripped, domain lowercased
+//   NUMERICAL        -> number (also MONETORY)
+//   SINGLE_OPTIONS   -> the exact picklist option, matched case- and typo-tolerantly (also RADIO)
+//   MULTIPLE_OPTIONS -> array of exact picklist options (also CHECKBOX)
+//   TEXT and others  -> trimmed string
+// A value that cannot be normalized is rejected with a reason instead of being written.
+
+/** Country used for national phone numbers and numeric dates when the location has none configured. */
+export const DEFAULT_COUNTRY = 'US';
+
+/** Calling codes for the countries a location can pick as its default. */
+export const COUNTRY_CALLING_CODES = {
+  US: '1',
+  CA: '1',
+  GB: '44',
+  IE: '353',
+  AU: '61',
+  NZ: '64',
+  ZA: '27',
+  IN: '91',
+  PH: '63',
+  SG: '65',
+  AE: '971',
+  DE: '49',
+  FR: '33',
+  ES: '34',
+  IT: '39',
+  NL: '31',
+  MX: '52',
+  BR: '55',
+};
+
+/** Countries whose numeric dates read month first (03/04/2025 is March 4th). */
+const MONTH_FIRST_COUNTRIES = ['US', 'CA', 'PH'];
+
+/** Minimum similarity (0-1) for a fuzzy picklist match. */
+const OPTION_MATCH_THRESHOLD = 0.8;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const EMAIL_PATTERN = /^[^\s@<>()[\]\\,;:"]+@[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/;
+
+/**
+ * @typedef {Object} NormalizeResult
+ * @property {boolean} ok - Whether the value can be written.
+ * @property {any} [value] - The normalized value, when ok.
+ * @property {string} [reason] - Why the value was rejected, when not ok.
+ */
+
+const accept = (value) => ({ ok: true, value });
+const reject = (reason) => ({ ok: false, reason });
+
+/**
+ * Converts a phone number in free text to E.164.
+ * @param {any} value - The extracted value, e.g. "call me at (555) 010-1234".
+ * @param {string} [defaultCountry] - ISO 3166 alpha-2 country for numbers without a country code.
+ * @returns {NormalizeResult}
+ */
+export function normalizePhone(value, defaultCountry = DEFAULT_COUNTRY) {
+  const text = String(value);
+  const match = text.match(/(\+|00)?\d[\d\s().\-/]*\d/);
+  if (!match) {
+    return reject('no phone number found');
+  }
+
+  const international = Boolean(match[1]);
+  let digits = match[0].replace(/\D/g, '');
+  if (match[1] === '00') {
+    digits = digits.slice(2);
+  }
+
+  if (international) {
+    return digits.length >= 8 && digits.length <= 15
+      ? accept(`+${digits}`)
+      : reject(`international number must have 8-15 digits, got ${digits.length}`);
+  }
+
+  const country = String(defaultCountry || DEFAULT_COUNTRY).toUpperCase();
+  const callingCode = COUNTRY_CALLING_CODES[country];
+  if (!callingCode) {
+    return reject(`no calling code known for default country ${country}`);
+  }
+
+  // North American numbering: ten digits, optionally with the leading 1
+  if (callingCode === '1') {
+    if (digits.length === 11 && digits.startsWith('1')) {
+      digits = digits.slice(1);
+    }
+    return digits.length === 10
+      ? accept(`+1${digits}`)
+      : reject(`${country} numbers need 10 digits, got ${digits.length}`);
+  }
+
+  // Elsewhere national numbers carry a trunk prefix 0 that E.164 drops
+  digits = digits.replace(/^0+/, '');
+  const total = callingCode.length + digits.length;
+  return digits.length >= 6 && total <= 15
+    ? accept(`+${callingCode}${digits}`)
+    : reject(`not a valid ${country} number (${digits.length} national digits)`);
+}
+
+function isoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+function expandYear(year) {
+  const value = parseInt(year, 10);
+  if (year.length === 4) {
+    return value;
+  }
+  // Two-digit years: up to 30 years ahead of now is this century, otherwise the last one
+  const century = Math.floor(new Date().getUTCFullYear() / 100) * 100;
+  return century + value > new Date().getUTCFullYear() + 30 ? century - 100 + value : century + value;
+}
+
+function monthFromName(name) {
+  const index = MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Converts a date to YYYY-MM-DD.
+ * @param {any} value - ISO dates and datetimes, numeric dates (01/02/2025) or "March 5, 2025".
+ * @param {string} [country] - Location country; decides whether 01/02 is January 2nd or February 1st.
+ * @returns {NormalizeResult}
+ */
+export function normalizeDate(value, country = DEFAULT_COUNTRY) {
+  const text = String(value).trim().replace(/(\d)(st|nd|rd|th)\b/gi, '$1');
+  let result = null;
+  let match;
+
+  if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s].*)?$/))) {
+    result = isoDate(parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10));
+  } else if ((match = text.match(/^(\d{4})[/.](\d{1,2})[/.](\d{1,2})$/))) {
+    result = isoDate(parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10));
+  } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/))) {
+    const monthFirst = MONTH_FIRST_COUNTRIES.includes(String(country || '').toUpperCase());
+    const first = parseInt(match[1], 10);
+    const second = parseInt(match[2], 10);
+    const [month, day] = monthFirst ? [first, second] : [second, first];
+    result = isoDate(expandYear(match[3]), month, day);
+  } else if ((match = text.match(/^([a-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})$/i))) {
+    const month = monthFromName(match[1]);
+    result = month ? isoDate(parseInt(match[3], 10), month, parseInt(match[2], 10)) : null;
+  } else if ((match = text.match(/^(\d{1,2})\s+([a-z]+)\.?,?\s+(\d{4})$/i))) {
+    const month = monthFromName(match[2]);
+    result = month ? isoDate(parseInt(match[3], 10), month, parseInt(match[1], 10)) : null;
+  }
+
+  return result ? accept(result) : reject(`not a recognizable date: ${JSON.stringify(text)}`);
+}
+
+/**
+ * Cleans up an email address and checks its syntax.
+ * @param {any} value - e.g. "<Jo@Example.COM>." or "mailto:jo@example.com".
+ * @returns {NormalizeResult}
+ */
+export function normalizeEmail(value) {
+  const cleaned = String(value)
+    .trim()
+    .replace(/^mailto:/i, '')
+    .replace(/^[<("'[\s]+|[>)"'\].,;:!?\s]+$/g, '');
+
+  const at = cleaned.lastIndexOf('@');
+  if (at <= 0) {
+    return reject('not an email address');
+  }
+
+  const email = `${cleaned.slice(0, at)}@${cleaned.slice(at + 1).toLowerCase()}`;
+  if (!EMAIL_PATTERN.test(email) || email.includes('..')) {
+    return reject(`invalid email syntax: ${JSON.stringify(cleaned)}`);
+  }
+  return accept(email);
+}
+
+// Optional sign, then an optional currency symbol
+const NUMBER_PREFIX = /^([-+]?)\s*[$€£¥₹]?\s*/;
+// Plain digits with an optional decimal point: 1200, 1200.5, .5
+const PLAIN_NUMBER = /^(\d+(\.\d*)?|\.\d+)$/;
+// Thousands grouped by commas or spaces, used consistently, with an optional decimal point: 1,200.50
+const GROUPED_NUMBER = /^\d{1,3}([, ])\d{3}(\1\d{3})*(\.\d+)?$/;
+
+/**
+ * Parses a number, tolerating a leading currency symbol and thousands separators.
+ * Anything ambiguous is rejected rather than guessed at: "1.200,50" and "1,5" could be
+ * European decimals, and "about 5" or "5 or 6" are not numbers at all.
+ * @param {any} value - e.g. 1200, "$1,200.50" or "  42 ".
+ * @returns {NormalizeResult}
+ */
+export function normalizeNumber(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? accept(value) : reject('not a finite number');
+  }
+
+  const text = String(value).trim();
+  const [prefix, sign] = text.match(NUMBER_PREFIX);
+  const digits = text.slice(prefix.length);
+  if (PLAIN_NUMBER.test(digits)) {
+    return accept(Number(sign + digits));
+  }
+  if (GROUPED_NUMBER.test(digits)) {
+    return accept(Number(sign + digits.replace(/[, ]/g, '')));
+  }
+  return reject(`not a number: ${JSON.stringify(text)}`);
+}
+
+/**
+ * Picklist options are stored as plain strings or as { value, label, description } objects.
+ * @param {any[] | null | undefined} options
+ * @returns {string[]}
+ */
+export function optionValues(options) {
+  return (options || [])
+    .map((option) => (option && typeof option === 'object') ? (option.value || option.label || option.key) : option)
+    .filter((value) => value !== null && value !== undefined && value !== '')
+    .map((value) => String(value));
+}
+
+function simplify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function similarity(a, b) {
+  if (a === b) {
+    return 1;
+  }
+  const longest = Math.max(a.length, b.length);
+  if (longest === 0) {
+    return 1;
+  }
+
+  // Levenshtein distance over a single row
+  const row = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = a[i - 1] === b[j - 1] ? previous : Math.min(previous, row[j - 1], row[j]) + 1;
+      previous = current;
+    }
+  }
+  return 1 - row[b.length] / longest;
+}
+
+/**
+ * Finds the picklist option an extracted value refers to: exact, then ignoring case and
+ * punctuation, then the single closest option above OPTION_MATCH_THRESHOLD.
+ * @param {any} value - The extracted option.
+ * @param {string[]} options - Exact option values.
+ * @returns {NormalizeResult}
+ */
+export function matchOption(value, options) {
+  const text = String(value).trim();
+  if (options.includes(text)) {
+    return accept(text);
+  }
+
+  const simple = simplify(text);
+  const loose = options.filter((option) => simplify(option) === simple);
+  if (loose.length === 1) {
+    return accept(loose[0]);
+  }
+
+  const scored = options
+    .map((option) => ({ option, score: similarity(simple, simplify(option)) }))
+    .sort((a, b) => b.score - a.score);
+  const [best, runnerUp] = scored;
+  if (best && best.score >= OPTION_MATCH_THRESHOLD && (!runnerUp || runnerUp.score < best.score)) {
+    return accept(best.option);
+  }
+
+  return reject(`${JSON.stringify(text)} does not match any option (${options.join(', ')})`);
+}
+
+/**
+ * Normalizes an extracted value for a field before it is written to GHL.
+ * @param {{field_type?: string, picklist_options?: any[]}} field - A data_extraction_fields row.
+ * @param {any} value - The extracted value.
+ * @param {{country?: string}} [options] - country: the location's default_country (ISO 3166 alpha-2).
+ * @returns {NormalizeResult}
+ */
+export function normalizeFieldValue(field, value, options = {}) {
+  const country = options.country || DEFAULT_COUNTRY;
+
+  if (value === null || value === undefined || (typeof value === 'string' && value.trim() === '')) {
+    return reject('empty value');
+  }
+
+  switch (field?.field_type) {
+    case 'PHONE':
+      return normalizePhone(value, country);
+    case 'DATE':
+      return normalizeDate(value, country);
+    case 'EMAIL':
+      return normalizeEmail(value);
+    case 'NUMERICAL':
+    case 'MONETORY':
+      return normalizeNumber(value);
+    case 'SINGLE_OPTIONS':
+    case 'RADIO': {
+      const choices = optionValues(field.picklist_options);
+      const single = Array.isArray(value) ? value[0] : value;
+      return choices.length > 0 ? matchOption(single, choices) : accept(String(single).trim());
+    }
+    case 'MULTIPLE_OPTIONS':
+    case 'CHECKBOX': {
+      const choices = optionValues(field.picklist_options);
+      const items = (Array.isArray(value) ? value : String(value).split(','))
+        .map((item) => String(item).trim())
+        .filter(Boolean);
+      if (items.length === 0) {
+        return reject('empty value');
+      }
+      if (choices.length === 0) {
+        return accept(items);
+      }
+
+      const matched = [];
+      for (const item of items) {
+        const result = matchOption(item, choices);
+        if (!result.ok) {
+          return result;
+        }
+        if (!matched.includes(result.value)) {
+          matched.push(result.value);
+        }
+      }
+      return accept(matched);
+    }
+    default:
+      // TEXT and standard fields such as tags, which may legitimately be arrays
+      if (Array.isArray(value)) {
+        return accept(value.map((item) => String(item).trim()).filter(Boolean));
+      }
+      return typeof value === 'object' ? reject('expected text') : accept(String(value).trim());
+  }
+}
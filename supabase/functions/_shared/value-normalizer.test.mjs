@@ -0,0 +1,125 @@
+// Checks the value normalizer accepts what it can read unambiguously and rejects the rest.
+// Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { matchOption, normalizeDate, normalizeEmail, normalizeFieldValue, normalizeNumber, normalizePhone } from './value-normalizer.mjs';
+
+test('normalizePhone converts national and international numbers to E.164', () => {
+  const cases = [
+    ['call me at (555) 010-1234', 'US', '+15550101234'],
+    ['1-555-010-1234', 'CA', '+15550101234'],
+    ['07700 900123', 'GB', '+447700900123'],
+    ['0412 345 678', 'AU', '+61412345678'],
+    ['+44 7700 900123', 'US', '+447700900123'],
+    ['0044 7700 900123', 'US', '+447700900123']
+  ];
+  for (const [input, country, expected] of cases) {
+    assert.deepEqual(normalizePhone(input, country), { ok: true, value: expected }, `${input} (${country})`);
+  }
+});
+
+test('normalizePhone rejects what it cannot read as a number', () => {
+  const cases = [
+    ['no number here', 'US'],
+    ['555-0101', 'US'],
+    ['+1 234', 'US'],
+    ['12345', 'GB'],
+    ['0612345678', 'XX']
+  ];
+  for (const [input, country] of cases) {
+    assert.equal(normalizePhone(input, country).ok, false, `${input} (${country})`);
+  }
+});
+
+test("normalizeDate reads numeric dates in the location country's order", () => {
+  assert.deepEqual(normalizeDate('03/04/2025', 'US'), { ok: true, value: '2025-03-04' });
+  assert.deepEqual(normalizeDate('03/04/2025', 'GB'), { ok: true, value: '2025-04-03' });
+  assert.deepEqual(normalizeDate('03.04.2025', 'DE'), { ok: true, value: '2025-04-03' });
+  assert.deepEqual(normalizeDate('25/12/2025', 'AU'), { ok: true, value: '2025-12-25' });
+  assert.deepEqual(normalizeDate('2025-03-04T15:00:00Z', 'GB'), { ok: true, value: '2025-03-04' }, 'ISO dates ignore the country');
+  assert.deepEqual(normalizeDate('March 5th, 2025'), { ok: true, value: '2025-03-05' });
+  assert.deepEqual(normalizeDate('5 Mar 2025', 'GB'), { ok: true, value: '2025-03-05' });
+});
+
+test('normalizeDate rejects impossible and unrecognizable dates', () => {
+  for (const [input, country] of [['25/12/2025', 'US'], ['2025-02-30', 'US'], ['31/04/2025', 'GB'], ['next Tuesday', 'US'], ['Smarch 5, 2025', 'US']]) {
+    assert.equal(normalizeDate(input, country).ok, false, `${input} (${country})`);
+  }
+});
+
+test('normalizeEmail strips wrappers and trailing punctuation and lowercases the domain', () => {
+  const cases = [
+    ['Jo@Example.COM.', 'Jo@example.com'],
+    ['<jo@example.com>,', 'jo@example.com'],
+    ['mailto:jo@example.co.uk', 'jo@example.co.uk'],
+    ['  "jo.smith+quotes@example.com"!  ', 'jo.smith+quotes@example.com']
+  ];
+  for (const [input, expected] of cases) {
+    assert.deepEqual(normalizeEmail(input), { ok: true, value: expected }, input);
+  }
+});
+
+test('normalizeEmail rejects invalid addresses', () => {
+  for (const input of ['jo at example dot com', '@example.com', 'jo@example', 'jo@@example.com', 'jo..smith@example.com', 'jo smith@example.com']) {
+    assert.equal(normalizeEmail(input).ok, false, input);
+  }
+});
+
+test('matchOption matches case and punctuation, then close misspellings', () => {
+  const options = ['Single Family Home', 'Condo', 'Townhouse'];
+
+  assert.deepEqual(matchOption('Condo', options), { ok: true, value: 'Condo' });
+  assert.deepEqual(matchOption('single-family home', options), { ok: true, value: 'Single Family Home' });
+  assert.deepEqual(matchOption('Town house', options), { ok: true, value: 'Townhouse' });
+  assert.deepEqual(matchOption('Townhose', options), { ok: true, value: 'Townhouse' });
+});
+
+test('matchOption rejects values that match no option or two equally', () => {
+  assert.equal(matchOption('Apartment', ['Single Family Home', 'Condo', 'Townhouse']).ok, false);
+  assert.equal(matchOption('Plan', ['Plan A', 'Plan B']).ok, false, 'equally close to two options');
+  assert.equal(normalizeFieldValue({ field_type: 'SINGLE_OPTIONS', picklist_options: [{ value: 'Yes' }, { value: 'No' }] }, 'Maybe').ok, false);
+});
+
+test('normalizeNumber reads plain numbers, currency and thousands separators', () => {
+  const cases = [
+    [1200, 1200],
+    ['  42 ', 42],
+    ['$1,200.50', 1200.5],
+    ['-$5', -5],
+    ['€ 3', 3],
+    ['1 200', 1200],
+    ['.5', 0.5]
+  ];
+  for (const [input, expected] of cases) {
+    assert.deepEqual(normalizeNumber(input), { ok: true, value: expected }, JSON.stringify(input));
+  }
+});
+
+test('normalizeNumber rejects ambiguous separators and surrounding words', () => {
+  for (const input of ['1.200,50', '1,5', '1,2345', '1,200 300', 'about 5', '5 or 6', 'USD 5', Infinity]) {
+    assert.equal(normalizeNumber(input).ok, false, JSON.stringify(input));
+  }
+});
+
+test('GHL RADIO, CHECKBOX and MONETORY fields normalize like their base types', () => {
+  const picklist = ['Residential', 'Commercial'];
+
+  assert.deepEqual(
+    normalizeFieldValue({ field_type: 'RADIO', picklist_options: picklist }, 'residential'),
+    { ok: true, value: 'Residential' }
+  );
+  assert.deepEqual(
+    normalizeFieldValue({ field_type: 'CHECKBOX', picklist_options: picklist }, 'commercial, Residential'),
+    { ok: true, value: ['Commercial', 'Residential'] }
+  );
+  assert.deepEqual(normalizeFieldValue({ field_type: 'MONETORY' }, '$2,500'), { ok: true, value: 2500 });
+  assert.equal(normalizeFieldValue({ field_type: 'MONETORY' }, 'about 2500').ok, false);
+});
+
+test('the Data-Extractor-Contact-Updater Lambda copy is identical', () => {
+  const lambdaCopy = new URL('../../../aws_lambda_functions/Data-Extractor-Contact-Updater/valueNormalizer.mjs', import.meta.url);
+  assert.equal(readFileSync(lambdaCopy, 'utf8'), readFileSync(new URL('./value-normalizer.mjs', import.meta.url), 'utf8'));
+});
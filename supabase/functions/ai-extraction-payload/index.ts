@@ -1,4 +1,5 @@
 import { createClient } from 'npm:@supabase/supabase-js@2'
+import { isRetryableStatus, upstreamErrorFromResponse } from "../_shared/retry.ts"
 
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
@@ -31,12 +32,16 @@ Deno.serve(async (req: Request) => {
     console.log('=== AI EXTRACTION PAYLOAD REQUEST ===')
     
     const requestBody = await req.json()
-    const conversationId = requestBody.conversation_id
+    // The prompt playground sends a pasted transcript instead of a stored conversation;
+    // transcripts are always dry runs
+    const transcript = Array.isArray(requestBody.transcript) ? requestBody.transcript : null
+    const dryRun = requestBody.dry_run === true || transcript !== null
+    const conversationId = transcript ? `playground-${crypto.randomUUID()}` : requestBody.conversation_id
     
-    if (!conversationId) {
+    if (!conversationId || (transcript && !requestBody.location_id)) {
       return new Response(
         JSON.stringify({ 
-          error: "conversation_id is required",
+          error: "conversation_id is required (or location_id and transcript for a dry run)",
           example: { conversation_id: "abc123" }
         }),
         {
@@ -58,27 +63,34 @@ Deno.serve(async (req: Request) => {
 
     // Step 1: Get conversation history
     console.log('Step 1: Fetching conversation history...')
-    const conversationResponse = await fetch(`${supabaseUrl}/functions/v1/get-conversation-history`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${supabaseServiceKey}`
-      },
-      body: JSON.stringify({ conversation_id: conversationId })
-    })
+    const conversationData = transcript
+      ? buildTranscriptConversation(transcript, requestBody.location_id, requestBody.contact_id)
+      : await getConversationHistory(supabaseUrl, supabaseServiceKey, conversationId)
 
-    if (!conversationResponse.ok) {
-      const errorText = await conversationResponse.text()
-      throw new Error(`Failed to fetch conversation history: ${conversationResponse.status} - ${errorText}`)
+    // A dry run names the location it runs for; do not let it read another location's conversation
+    if (requestBody.location_id && conversationData.location_id !== requestBody.location_id) {
+      return new Response(
+        JSON.stringify({ error: "Conversation does not belong to this location" }),
+        {
+          status: 403,
+          headers: {
+            "Content-Type": "application/json",
+            ...corsHeaders,
+          },
+        }
+      )
     }
 
-    const conversationData = await conversationResponse.json()
     console.log('Conversation data retrieved:', {
       messages: conversationData.messages.length,
       location_id: conversationData.location_id,
       contact_id: conversationData.contact_id
     })
 
+    if (conversationData.truncation?.truncated) {
+      console.log('Conversation history was truncated to fit the token budget:', conversationData.truncation)
+    }
+
     if (!conversationData.location_id) {
       throw new Error('No location ID found in conversation data')
     }
@@ -108,11 +120,24 @@ Deno.serve(async (req: Request) => {
     const extractionFields = await getExtractionFields(supabase, ghlConfig.id)
     console.log(`Found ${extractionFields.length} extraction fields`)
 
+    // Field descriptions edited in the playground replace the stored ones for this run only
+    const fieldDescriptions = dryRun && requestBody.field_descriptions ? requestBody.field_descriptions : null
+    if (fieldDescriptions) {
+      extractionFields.forEach((field: any) => {
+        if (typeof fieldDescriptions[field.id] === 'string') {
+          field.description = fieldDescriptions[field.id]
+        }
+      })
+    }
+
     // Step 4: Get contextual rules and business context
     console.log('Step 4: Fetching contextual rules...')
     const contextualRules = await getContextualRules(supabase, ghlConfig.id)
     console.log(`Found ${contextualRules.length} contextual rules`)
 
+    const stopTriggers = await getStopTriggers(supabase, ghlConfig.id)
+    console.log(`Found ${stopTriggers.length} active stop triggers`)
+
     // Step 5: Generate extraction prompt
     console.log('Step 5: Generating extraction prompt...')
     const promptResponse = await fetch(`${supabaseUrl}/functions/v1/generate-extraction-prompt`, {
@@ -121,12 +146,14 @@ Deno.serve(async (req: Request) => {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${supabaseServiceKey}`
       },
-      body: JSON.stringify({ locationId: conversationData.location_id })
+      body: JSON.stringify({
+        locationId: conversationData.location_id,
+        ...(fieldDescriptions ? { preview: { field_descriptions: fieldDescriptions } } : {})
+      })
     })
 
     if (!promptResponse.ok) {
-      const errorText = await promptResponse.text()
-      throw new Error(`Failed to generate extraction prompt: ${promptResponse.status} - ${errorText}`)
+      throw await upstreamErrorFromResponse('Failed to generate extraction prompt', promptResponse)
     }
 
     const promptData = await promptResponse.json()
@@ -142,7 +169,9 @@ Deno.serve(async (req: Request) => {
       instructions: field.description,
       type: field.field_type,
       required: field.is_required || false,
-      options: field.picklist_options || []
+      options: field.picklist_options || [],
+      min_confidence: field.min_confidence ?? null,
+      low_confidence_action: field.low_confidence_action || 'skip'
     }))
 
     // Build business context
@@ -161,16 +190,28 @@ Deno.serve(async (req: Request) => {
       contact_id: conversationData.contact_id,
       business_context: businessContext,
       fields_to_extract: fieldsToExtract,
+      // Scenarios the model reports in the response's escalation object
+      stop_triggers: stopTriggers.map(trigger => ({
+        id: trigger.id,
+        name: trigger.trigger_name,
+        description: trigger.scenario_description
+      })),
       conversation_history: conversationData.messages,
+      history_truncation: conversationData.truncation || null,
       system_prompt: promptData.prompt,
+      prompt_version_id: promptData.promptVersionId || null,
       instructions: "Extract all relevant information from the conversation",
+      dry_run: dryRun,
+      // openai-extraction builds the strict JSON schema from fields_to_extract
       response_format: {
-        type: "json_object",
+        type: "json_schema",
         rules: [
           "Use exact field keys as specified",
-          "Only include fields with extractable values",
+          "Return each field as {value, confidence, message_id, quote}",
+          "Use a null value for fields with no extractable value",
           "Format dates as YYYY-MM-DD",
-          "Return valid JSON only"
+          "Return an array for multiple-choice fields",
+          "Report a matching stop trigger in the escalation object"
         ]
       }
     }
@@ -181,7 +222,8 @@ Deno.serve(async (req: Request) => {
       location_id: extractionPayload.location_id,
       contact_id: extractionPayload.contact_id || 'Not available',
       fields_count: extractionPayload.fields_to_extract.length,
-      messages_count: extractionPayload.conversation_history.length
+      messages_count: extractionPayload.conversation_history.length,
+      dry_run: dryRun
     })
 
     // Step 7: Call OpenAI extraction function
@@ -197,8 +239,7 @@ Deno.serve(async (req: Request) => {
     })
 
     if (!extractionResponse.ok) {
-      const errorText = await extractionResponse.text()
-      throw new Error(`OpenAI extraction failed: ${extractionResponse.status} - ${errorText}`)
+      throw await upstreamErrorFromResponse('OpenAI extraction failed', extractionResponse)
     }
 
     const extractionResult = await extractionResponse.json()
@@ -212,6 +253,11 @@ Deno.serve(async (req: Request) => {
         location_id: conversationData.location_id,
         contact_id: conversationData.contact_id,
         extraction_result: extractionResult,
+        ...(dryRun ? {
+          dry_run: true,
+          system_prompt: promptData.prompt,
+          conversation_history: conversationData.messages
+        } : {}),
         timestamp: new Date().toISOString()
       }),
       {
@@ -228,16 +274,22 @@ Deno.serve(async (req: Request) => {
     console.error("Error message:", error.message)
     console.error("Stack trace:", error.stack)
     
+    // Pass the downstream status through so the job worker can tell
+    // transient failures (429/5xx) from permanent ones
+    const status = error.status || 500
+    
     return new Response(
       JSON.stringify({ 
         error: `Failed to build extraction payload: ${error.message}`,
         details: error.toString(),
+        retryable: isRetryableStatus(status),
         timestamp: new Date().toISOString()
       }),
       {
-        status: 500,
+        status,
         headers: {
           "Content-Type": "application/json",
+          ...(error.retryAfter ? { "Retry-After": error.retryAfter } : {}),
           ...corsHeaders,
         },
       }
@@ -247,12 +299,53 @@ Deno.serve(async (req: Request) => {
 
 // Helper Functions
 
+async function getConversationHistory(supabaseUrl: string, supabaseServiceKey: string, conversationId: string) {
+  const conversationResponse = await fetch(`${supabaseUrl}/functions/v1/get-conversation-history`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${supabaseServiceKey}`
+    },
+    body: JSON.stringify({ conversation_id: conversationId })
+  })
+
+  if (!conversationResponse.ok) {
+    throw await upstreamErrorFromResponse('Failed to fetch conversation history', conversationResponse)
+  }
+
+  return await conversationResponse.json()
+}
+
+// Shapes a pasted transcript like get-conversation-history's response.
+// Each message is {role: 'user' | 'assistant', content}.
+function buildTranscriptConversation(transcript: any[], locationId: string, contactId?: string) {
+  const messages = transcript
+    .filter(message => message && typeof message.content === 'string' && message.content.trim())
+    .map((message, index) => ({
+      role: message.role === 'assistant' ? 'assistant' : 'user',
+      content: message.content.trim(),
+      message_id: `pasted-${index + 1}`
+    }))
+
+  if (messages.length === 0) {
+    throw new Error('The transcript has no messages')
+  }
+
+  return {
+    messages,
+    location_id: locationId,
+    contact_id: contactId || null,
+    truncation: null
+  }
+}
+
 async function getContextualRules(supabase: any, configId: string) {
   const { data, error } = await supabase
     .from('contextual_rules')
     .select('rule_name, rule_description, rule_type, rule_value, is_active')
     .eq('config_id', configId)
     .eq('is_active', true)
+    .order('sort_order', { ascending: true })
 
   if (error) {
     throw new Error(`Failed to fetch contextual rules: ${error.message}`)
@@ -261,14 +354,25 @@ async function getContextualRules(supabase: any, configId: string) {
   return data || []
 }
 
+async function getStopTriggers(supabase: any, configId: string) {
+  const { data, error } = await supabase
+    .from('stop_triggers')
+    .select('id, trigger_name, scenario_description')
+    .eq('config_id', configId)
+    .eq('is_active', true)
+
+  if (error) {
+    throw new Error(`Failed to fetch stop triggers: ${error.message}`)
+  }
+
+  return data || []
+}
+
 async function getGHLConfiguration(supabase: any, locationId: string) {
   const { data, error } = await supabase
     .from('ghl_configurations')
     .select(`
       id,
-      access_token,
-      refresh_token,
-      token_expires_at,
       ghl_account_id,
       business_name,
       business_description,
@@ -301,6 +405,8 @@ async function getExtractionFields(supabase: any, configId: string) {
       is_required,
       sort_order,
       overwrite_policy,
+      min_confidence,
+      low_confidence_action,
       original_ghl_field_data
     `)
     .eq('config_id', configId)
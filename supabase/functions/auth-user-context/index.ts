@@ -365,8 +365,8 @@ async function validateConfiguration(supabase: any, userContext: any) {
         id: existingConfig.id,
         userId: existingConfig.user_id,
         businessName: existingConfig.business_name,
-        hasAccessToken: !!existingConfig.access_token,
-        hasRefreshToken: !!existingConfig.refresh_token,
+        hasAccessToken: existingConfig.has_access_token,
+        hasRefreshToken: existingConfig.has_refresh_token,
         tokenExpiry: existingConfig.token_expires_at
       })
       
@@ -434,8 +434,9 @@ async function validateConfiguration(supabase: any, userContext: any) {
   }
 }
 
+// Works from the derived token fields; the tokens themselves are encrypted
 function validateTokenStatus(config: any) {
-  if (!config.access_token) {
+  if (!config.has_access_token) {
     return {
       isValid: false,
       status: 'missing_access_token',
@@ -444,7 +445,7 @@ function validateTokenStatus(config: any) {
     }
   }
   
-  if (!config.refresh_token) {
+  if (!config.has_refresh_token) {
     return {
       isValid: false,
       status: 'missing_refresh_token',
@@ -452,6 +453,15 @@ function validateTokenStatus(config: any) {
       severity: 'error'
     }
   }
+
+  if (config.needs_reauth) {
+    return {
+      isValid: false,
+      status: 'needs_reauth',
+      message: 'GoHighLevel rejected the refresh token. Please reinstall the app.',
+      severity: 'error'
+    }
+  }
   
   if (config.token_expires_at) {
     const expiryDate = new Date(config.token_expires_at)
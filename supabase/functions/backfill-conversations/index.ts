@@ -0,0 +1,663 @@
+import { createClient } from 'npm:@supabase/supabase-js@2'
+import { invokeInBackground } from "../_shared/background.ts"
+import {
+  loadChannelPolicy,
+  normalizeGHLWebhook,
+  shouldTriggerExtraction,
+  toConversationRecord
+} from "../_shared/ghl-webhook-normalizer.mjs"
+import { UpstreamError, parseRetryAfter, upstreamErrorFromResponse } from "../_shared/retry.ts"
+import { getGhlAccessToken, GhlTokenError, readGhlTokens } from "../_shared/ghl-tokens.ts"
+import { callerHasLocationAccess, isServiceRoleRequest } from "../_shared/caller-auth.ts"
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+}
+
+const GHL_API_VERSION = '2021-04-15'
+const CONVERSATION_PAGE_SIZE = 50
+const MESSAGE_PAGE_SIZE = 100
+const MAX_RATE_LIMIT_RETRIES = 3
+const LEASE_SECONDS = 300
+const TIME_BUDGET_MS = parseInt(Deno.env.get('BACKFILL_TIME_BUDGET_SECONDS') || '100', 10) * 1000
+const DEFAULT_EXTRACTION_COST_USD = parseFloat(Deno.env.get('BACKFILL_DEFAULT_EXTRACTION_COST_USD') || '0.01')
+
+// Imports historical GHL conversations for a location into ghl_conversations.
+//
+// Actions (POST body.action):
+//   start  - create a backfill run for location_id between start_date and end_date
+//   run    - advance a run (backfill_id) or any stalled running run; used internally
+//   pause / resume / cancel - control an existing run
+//
+// A run processes conversations until TIME_BUDGET_MS is spent, saves its cursor and
+// invokes itself again, so large locations span many invocations. Message inserts are
+// idempotent on message_id, so a conversation interrupted mid-way is simply re-read.
+//
+// run is only accepted with the service role key (self-invocations and cron); the other
+// actions also accept a GHL user's JWT with access to location_id.
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") {
+    return new Response(null, {
+      status: 200,
+      headers: corsHeaders,
+    })
+  }
+
+  if (req.method !== "POST") {
+    return jsonResponse({ error: "Method not allowed. Use POST." }, 405)
+  }
+
+  try {
+    console.log('=== BACKFILL CONVERSATIONS ===')
+
+    let requestBody: any = {}
+    try {
+      requestBody = await req.json()
+    } catch (_error) {
+      // Cron invocations may send an empty body
+    }
+    const action = requestBody.action || 'run'
+
+    const authorized = action === 'run'
+      ? isServiceRoleRequest(req)
+      : await callerHasLocationAccess(req, requestBody.location_id)
+
+    if (!authorized) {
+      return jsonResponse({ error: "Not authorized to manage backfills for this location" }, 403)
+    }
+
+    // Initialize Supabase client
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+    const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+    const supabase = createClient(supabaseUrl, supabaseServiceKey)
+
+    switch (action) {
+      case 'start':
+        return await startBackfill(supabase, requestBody)
+      case 'run':
+        return await runBackfill(supabase, requestBody.backfill_id || null)
+      case 'pause':
+      case 'resume':
+      case 'cancel':
+        return await controlBackfill(supabase, action, requestBody)
+      default:
+        return jsonResponse({ error: `Unknown action: ${action}` }, 400)
+    }
+  } catch (error) {
+    console.error("=== BACKFILL CONVERSATIONS ERROR ===")
+    console.error("Error message:", error.message)
+    console.error("Stack trace:", error.stack)
+
+    return jsonResponse({
+      error: `Backfill failed: ${error.message}`,
+      details: error.toString(),
+      timestamp: new Date().toISOString()
+    }, 500)
+  }
+})
+
+function jsonResponse(body: any, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      "Content-Type": "application/json",
+      ...corsHeaders,
+    },
+  })
+}
+
+async function startBackfill(supabase: any, requestBody: any) {
+  const locationId = requestBody.location_id
+  const startDate = new Date(requestBody.start_date)
+  const endDate = requestBody.end_date ? new Date(requestBody.end_date) : new Date()
+
+  if (!locationId || Number.isNaN(startDate.getTime()) || Number.isNaN(endDate.getTime())) {
+    return jsonResponse({
+      error: "location_id and a valid start_date are required",
+      example: { action: 'start', location_id: 'abc123', start_date: '2025-01-01', end_date: '2025-06-30' }
+    }, 400)
+  }
+
+  if (endDate <= startDate) {
+    return jsonResponse({ error: "end_date must be after start_date" }, 400)
+  }
+
+  const spendCap = requestBody.spend_cap_usd === undefined || requestBody.spend_cap_usd === null || requestBody.spend_cap_usd === ''
+    ? null
+    : Number(requestBody.spend_cap_usd)
+
+  if (spendCap !== null && (Number.isNaN(spendCap) || spendCap < 0)) {
+    return jsonResponse({ error: "spend_cap_usd must be a non-negative number" }, 400)
+  }
+
+  console.log('Step 1: Fetching GHL configuration...')
+  const ghlConfig = await getGHLConfiguration(supabase, locationId)
+
+  if (!ghlConfig) {
+    return jsonResponse({
+      error: "No active GHL configuration found for this location",
+      locationId
+    }, 404)
+  }
+
+  const queueExtraction = !!requestBody.queue_extraction
+  const costPerExtraction = queueExtraction ? await estimateExtractionCost(supabase, locationId) : 0
+
+  console.log('Step 2: Creating backfill run...', {
+    locationId,
+    startDate: startDate.toISOString(),
+    endDate: endDate.toISOString(),
+    queueExtraction,
+    spendCap,
+    costPerExtraction
+  })
+
+  const { data: backfill, error } = await supabase
+    .from('conversation_backfills')
+    .insert({
+      location_id: locationId,
+      config_id: ghlConfig.id,
+      start_date: startDate.toISOString(),
+      end_date: endDate.toISOString(),
+      queue_extraction: queueExtraction,
+      spend_cap_usd: spendCap,
+      estimated_cost_per_extraction: costPerExtraction,
+      requested_by: requestBody.requested_by || null
+    })
+    .select()
+    .single()
+
+  if (error) {
+    if (error.code === '23505') {
+      return jsonResponse({ error: "A backfill is already running for this location" }, 409)
+    }
+    throw new Error(`Failed to create backfill: ${error.message}`)
+  }
+
+  console.log('✅ Backfill created:', backfill.id)
+  kickBackfill(backfill.id)
+
+  return jsonResponse({ success: true, backfill }, 202)
+}
+
+async function controlBackfill(supabase: any, action: string, requestBody: any) {
+  if (!requestBody.backfill_id || !requestBody.location_id) {
+    return jsonResponse({ error: "backfill_id and location_id are required" }, 400)
+  }
+
+  const { data: backfill, error: fetchError } = await supabase
+    .from('conversation_backfills')
+    .select('*')
+    .eq('id', requestBody.backfill_id)
+    .eq('location_id', requestBody.location_id)
+    .maybeSingle()
+
+  if (fetchError) {
+    throw new Error(`Failed to fetch backfill: ${fetchError.message}`)
+  }
+
+  if (!backfill) {
+    return jsonResponse({ error: "Backfill not found for this location" }, 404)
+  }
+
+  const stalled = backfill.status === 'running' &&
+    (!backfill.locked_until || new Date(backfill.locked_until).getTime() < Date.now())
+
+  const transitions: Record<string, { from: string[], to: string }> = {
+    pause: { from: ['pending', 'running'], to: 'paused' },
+    resume: { from: stalled ? ['paused', 'failed', 'running'] : ['paused', 'failed'], to: 'pending' },
+    cancel: { from: ['pending', 'running', 'paused', 'failed'], to: 'cancelled' },
+  }
+  const transition = transitions[action]
+
+  if (!transition.from.includes(backfill.status)) {
+    return jsonResponse({ error: `Cannot ${action} a ${backfill.status} backfill` }, 409)
+  }
+
+  // The invocation processing a running backfill notices the change at its next checkpoint
+  const { data: updated, error: updateError } = await supabase
+    .from('conversation_backfills')
+    .update({
+      status: transition.to,
+      locked_by: null,
+      locked_until: null,
+      last_error: action === 'resume' ? null : backfill.last_error,
+      completed_at: action === 'cancel' ? new Date().toISOString() : null
+    })
+    .eq('id', backfill.id)
+    .eq('status', backfill.status)
+    .select()
+    .maybeSingle()
+
+  if (updateError) {
+    if (updateError.code === '23505') {
+      return jsonResponse({ error: "Another backfill is already running for this location" }, 409)
+    }
+    throw new Error(`Failed to ${action} backfill: ${updateError.message}`)
+  }
+
+  if (!updated) {
+    return jsonResponse({ error: "Backfill changed while updating, please retry" }, 409)
+  }
+
+  console.log(`✅ Backfill ${backfill.id} ${backfill.status} -> ${updated.status}`)
+  if (action === 'resume') {
+    kickBackfill(backfill.id)
+  }
+
+  return jsonResponse({ success: true, backfill: updated })
+}
+
+async function runBackfill(supabase: any, backfillId: string | null) {
+  const workerId = crypto.randomUUID()
+
+  console.log(`Step 1: Claiming backfill ${backfillId || '(any stalled)'} as worker ${workerId}...`)
+  const { data: claimed, error: claimError } = await supabase.rpc('claim_conversation_backfill', {
+    p_backfill_id: backfillId,
+    p_worker_id: workerId,
+    p_lease_seconds: LEASE_SECONDS
+  })
+
+  if (claimError) {
+    throw new Error(`Failed to claim backfill: ${claimError.message}`)
+  }
+
+  const backfill = claimed?.[0]
+  if (!backfill) {
+    console.log('No backfill to run')
+    return jsonResponse({ success: true, claimed: false })
+  }
+
+  const run = new BackfillRun(supabase, backfill, workerId)
+
+  try {
+    const outcome = await run.process()
+    console.log(`✅ Backfill ${backfill.id} invocation finished: ${outcome}`)
+
+    if (outcome === 'continue') {
+      kickBackfill(backfill.id)
+    }
+    if (run.extractionsQueuedThisRun > 0) {
+      kickJobWorker()
+    }
+
+    return jsonResponse({ success: true, claimed: true, backfill_id: backfill.id, outcome, progress: run.progress() })
+  } catch (error) {
+    console.error(`Backfill ${backfill.id} failed:`, error)
+
+    // Keep the cursor so a resume picks up from the last completed conversation
+    await run.release('failed', error.message)
+
+    return jsonResponse({
+      error: `Backfill failed: ${error.message}`,
+      backfill_id: backfill.id,
+      progress: run.progress(),
+      timestamp: new Date().toISOString()
+    }, error instanceof UpstreamError ? error.status : 500)
+  }
+}
+
+// One invocation's worth of work on a claimed backfill
+class BackfillRun {
+  supabase: any
+  backfill: any
+  workerId: string
+  cursor: { start_after: number | null, offset: number }
+  counters: Record<string, number>
+  extractionsQueuedThisRun = 0
+  accessToken: string | null = null
+  policy: any = null
+  deadline = Date.now() + TIME_BUDGET_MS
+
+  constructor(supabase: any, backfill: any, workerId: string) {
+    this.supabase = supabase
+    this.backfill = backfill
+    this.workerId = workerId
+    this.cursor = {
+      start_after: backfill.cursor?.start_after ?? null,
+      offset: backfill.cursor?.offset ?? 0
+    }
+    this.counters = {
+      conversations_scanned: backfill.conversations_scanned,
+      messages_inserted: backfill.messages_inserted,
+      messages_skipped: backfill.messages_skipped,
+      extractions_queued: backfill.extractions_queued,
+      extractions_skipped: backfill.extractions_skipped,
+      estimated_spend_usd: Number(backfill.estimated_spend_usd)
+    }
+  }
+
+  progress() {
+    return { ...this.counters, cursor: this.cursor }
+  }
+
+  // Returns 'completed', 'continue' (time budget spent) or 'stopped' (paused or cancelled)
+  async process(): Promise<string> {
+    const ghlConfig = await getGHLConfiguration(this.supabase, this.backfill.location_id)
+    if (!ghlConfig) {
+      throw new Error('No active GHL configuration found for this location')
+    }
+    this.accessToken = await ensureAccessToken(this.supabase, ghlConfig)
+    this.policy = await loadChannelPolicy(this.supabase, this.backfill.location_id)
+
+    const startMs = new Date(this.backfill.start_date).getTime()
+
+    while (true) {
+      console.log(`Fetching conversations after ${this.cursor.start_after ?? 'start'} (offset ${this.cursor.offset})`)
+      const conversations = await this.searchConversations(this.cursor.start_after)
+
+      for (let i = this.cursor.offset; i < conversations.length; i++) {
+        if (Date.now() >= this.deadline) {
+          return await this.checkpoint('continue')
+        }
+
+        const conversation = conversations[i]
+
+        // Sorted newest activity first: once a conversation's last message predates
+        // the range, so does every conversation after it
+        if (conversation.lastMessageDate && conversation.lastMessageDate < startMs) {
+          return await this.finish()
+        }
+
+        await this.importConversation(conversation)
+        this.counters.conversations_scanned++
+        this.cursor = { start_after: this.cursor.start_after, offset: i + 1 }
+
+        if (!(await this.saveProgress())) {
+          return 'stopped'
+        }
+      }
+
+      if (conversations.length < CONVERSATION_PAGE_SIZE) {
+        return await this.finish()
+      }
+
+      const last = conversations[conversations.length - 1]
+      this.cursor = { start_after: last.sort?.[0] ?? last.lastMessageDate, offset: 0 }
+    }
+  }
+
+  async searchConversations(startAfter: number | null) {
+    const params = new URLSearchParams({
+      locationId: this.backfill.location_id,
+      limit: String(CONVERSATION_PAGE_SIZE),
+      sort: 'desc',
+      sortBy: 'last_message_date'
+    })
+    if (startAfter !== null) {
+      params.set('startAfterDate', String(startAfter))
+    }
+
+    const data = await this.ghlGet(`/conversations/search?${params}`)
+    return data.conversations || []
+  }
+
+  // Pages a conversation's messages newest first, keeping those inside the date range
+  async importConversation(conversation: any) {
+    const startMs = new Date(this.backfill.start_date).getTime()
+    const endMs = new Date(this.backfill.end_date).getTime()
+    let lastMessageId: string | null = null
+    let shouldExtract = false
+
+    while (true) {
+      const params = new URLSearchParams({ limit: String(MESSAGE_PAGE_SIZE) })
+      if (lastMessageId) {
+        params.set('lastMessageId', lastMessageId)
+      }
+
+      const data = await this.ghlGet(`/conversations/${conversation.id}/messages?${params}`)
+      const page = data.messages || {}
+      const messages = page.messages || []
+
+      const events = []
+      const records = []
+      let reachedStart = false
+
+      for (const message of messages) {
+        const addedMs = new Date(message.dateAdded).getTime()
+        if (addedMs < startMs) {
+          reachedStart = true
+          continue
+        }
+        if (addedMs > endMs || !message.id) {
+          continue
+        }
+
+        const payload = toBackfillPayload(message, conversation, this.backfill)
+        const result = normalizeGHLWebhook(payload)
+        if (result.kind !== 'message') {
+          continue
+        }
+
+        events.push(result.event)
+        records.push(toConversationRecord(result.event, payload))
+      }
+
+      if (records.length > 0) {
+        // Messages already stored (by the webhook or an earlier run) are left untouched
+        const { data: inserted, error } = await this.supabase
+          .from('ghl_conversations')
+          .upsert(records, { onConflict: 'message_id', ignoreDuplicates: true })
+          .select('message_id')
+
+        if (error) {
+          throw new Error(`Failed to insert messages for conversation ${conversation.id}: ${error.message}`)
+        }
+
+        const insertedIds = new Set((inserted || []).map((row: any) => row.message_id))
+        this.counters.messages_inserted += insertedIds.size
+        this.counters.messages_skipped += records.length - insertedIds.size
+
+        shouldExtract = shouldExtract || events.some((event: any) =>
+          insertedIds.has(event.message_id) && shouldTriggerExtraction(event, this.policy)
+        )
+      }
+
+      if (reachedStart || !page.nextPage || !page.lastMessageId) {
+        break
+      }
+      lastMessageId = page.lastMessageId
+    }
+
+    if (this.backfill.queue_extraction && shouldExtract) {
+      await this.queueExtraction(conversation)
+    }
+  }
+
+  async queueExtraction(conversation: any) {
+    const cost = Number(this.backfill.estimated_cost_per_extraction)
+    const cap = this.backfill.spend_cap_usd === null ? null : Number(this.backfill.spend_cap_usd)
+
+    if (cap !== null && this.counters.estimated_spend_usd + cost > cap) {
+      this.counters.extractions_skipped++
+      return
+    }
+
+    // Due immediately: backfilled conversations are not waiting on further messages
+    const { error } = await this.supabase.rpc('enqueue_extraction_job', {
+      p_location_id: this.backfill.location_id,
+      p_conversation_id: conversation.id,
+      p_contact_id: conversation.contactId || null,
+      p_run_after: new Date().toISOString()
+    })
+
+    if (error) {
+      throw new Error(`Failed to enqueue extraction for ${conversation.id}: ${error.message}`)
+    }
+
+    this.counters.extractions_queued++
+    this.extractionsQueuedThisRun++
+    this.counters.estimated_spend_usd += cost
+  }
+
+  // GET against the GHL API, waiting out short rate limits
+  async ghlGet(endpoint: string, attempt = 1): Promise<any> {
+    const apiDomain = Deno.env.get('GHL_API_DOMAIN') || 'https://services.leadconnectorhq.com'
+    const response = await fetch(`${apiDomain}${endpoint}`, {
+      headers: {
+        'Authorization': `Bearer ${this.accessToken}`,
+        'Version': GHL_API_VERSION,
+        'Accept': 'application/json'
+      }
+    })
+
+    if (response.status === 429 && attempt <= MAX_RATE_LIMIT_RETRIES) {
+      const waitSeconds = Math.min(parseRetryAfter(response.headers.get('retry-after')) ?? 2 * attempt, 10)
+      console.warn(`GHL rate limit hit, waiting ${waitSeconds}s (attempt ${attempt})`)
+      await response.body?.cancel()
+      await new Promise(resolve => setTimeout(resolve, waitSeconds * 1000))
+      return this.ghlGet(endpoint, attempt + 1)
+    }
+
+    if (!response.ok) {
+      throw await upstreamErrorFromResponse(`GHL request ${endpoint.split('?')[0]} failed`, response)
+    }
+
+    return response.json()
+  }
+
+  // Persists counters and cursor. Returns false if the run was paused or cancelled meanwhile.
+  async saveProgress(): Promise<boolean> {
+    const { data, error } = await this.supabase
+      .from('conversation_backfills')
+      .update({
+        ...this.counters,
+        cursor: this.cursor,
+        locked_until: new Date(Date.now() + LEASE_SECONDS * 1000).toISOString()
+      })
+      .eq('id', this.backfill.id)
+      .eq('status', 'running')
+      .eq('locked_by', this.workerId)
+      .select('id')
+
+    if (error) {
+      throw new Error(`Failed to save backfill progress: ${error.message}`)
+    }
+
+    if (!data || data.length === 0) {
+      console.log(`Backfill ${this.backfill.id} was paused or cancelled, stopping`)
+      return false
+    }
+    return true
+  }
+
+  async checkpoint(outcome: string) {
+    // Leave it running with the lease released so the next invocation can claim it
+    await this.release('running', null)
+    return outcome
+  }
+
+  async finish() {
+    await this.release('completed', null)
+    return 'completed'
+  }
+
+  async release(status: string, lastError: string | null) {
+    const { error } = await this.supabase
+      .from('conversation_backfills')
+      .update({
+        ...this.counters,
+        status,
+        cursor: this.cursor,
+        last_error: lastError,
+        locked_by: null,
+        locked_until: null,
+        completed_at: status === 'completed' ? new Date().toISOString() : null
+      })
+      .eq('id', this.backfill.id)
+      .eq('locked_by', this.workerId)
+
+    if (error) {
+      console.error(`Failed to update backfill ${this.backfill.id} to ${status}:`, error)
+    }
+  }
+}
+
+// Shapes a message from the GHL conversations API like a nested
+// conversation.message.created webhook so the shared normalizer can map it
+function toBackfillPayload(message: any, conversation: any, backfill: any) {
+  return {
+    event: 'conversation.message.created',
+    locationId: backfill.location_id,
+    backfillId: backfill.id,
+    conversation: {
+      id: conversation.id,
+      contactId: conversation.contactId,
+      locationId: backfill.location_id
+    },
+    message: {
+      ...message,
+      // The API's numeric `type` is not a channel; messageType is (TYPE_SMS, TYPE_CALL, ...)
+      type: message.messageType,
+      duration: message.meta?.call?.duration ?? null,
+      callStatus: message.meta?.call?.status || null
+    }
+  }
+}
+
+// Average cost of this location's recent successful extractions, used against the spend cap
+async function estimateExtractionCost(supabase: any, locationId: string) {
+  const { data, error } = await supabase
+    .from('ai_usage_logs')
+    .select('cost_estimate')
+    .eq('location_id', locationId)
+    .eq('success', true)
+    .order('created_at', { ascending: false })
+    .limit(50)
+
+  if (error || !data || data.length === 0) {
+    if (error) {
+      console.warn('Failed to load usage for cost estimate, using default:', error)
+    }
+    return DEFAULT_EXTRACTION_COST_USD
+  }
+
+  const total = data.reduce((sum: number, row: any) => sum + Number(row.cost_estimate || 0), 0)
+  return Math.max(total / data.length, 0)
+}
+
+async function getGHLConfiguration(supabase: any, locationId: string) {
+  const { data, error } = await supabase
+    .from('ghl_configurations')
+    .select(`
+      id,
+      access_token,
+      refresh_token,
+      token_expires_at,
+      ghl_account_id
+    `)
+    .eq('ghl_account_id', locationId)
+    .eq('is_active', true)
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Failed to fetch configuration: ${error.message}`)
+  }
+
+  return readGhlTokens(data)
+}
+
+// Returns a usable access token from the token broker, refreshing it if it expires within
+// the hour. Broker failures become UpstreamErrors so the run records a status.
+async function ensureAccessToken(supabase: any, config: any) {
+  try {
+    return await getGhlAccessToken(supabase, config)
+  } catch (error) {
+    if (!(error instanceof GhlTokenError)) throw error
+    throw new UpstreamError(`Token refresh failed: ${error.message}`, error.status || 503, error.retryAfter)
+  }
+}
+
+// Invoke this function again to carry on with the run in a fresh invocation.
+// Not awaited: if it is lost, the run is left running with an expired lease and
+// the next scheduled `run` (or a resume from the UI) picks it up.
+function kickBackfill(backfillId: string) {
+  invokeInBackground('backfill-conversations', { action: 'run', backfill_id: backfillId })
+}
+
+// Nudge the extraction worker so queued backfill jobs start now
+function kickJobWorker() {
+  invokeInBackground('process-extraction-jobs', {})
+}
@@ -1,4 +1,5 @@
 import { createClient } from 'npm:@supabase/supabase-js@2'
+import { GhlTokenError, readGhlTokens, refreshGhlTokens } from "../_shared/ghl-tokens.ts"
 
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
@@ -81,12 +82,13 @@ Deno.serve(async (req: Request) => {
 
     // Step 1: Get configuration from database
     console.log('Step 1: Fetching configuration from database...')
-    const { data: config, error: configError } = await supabase
+    const { data: configRow, error: configError } = await supabase
       .from('ghl_configurations')
       .select('*')
       .eq('ghl_account_id', locationId)
       .eq('is_active', true)
       .single()
+    const config = await readGhlTokens(configRow)
 
     if (configError || !config) {
       console.error('Configuration not found:', configError)
@@ -205,6 +207,8 @@ function validateTokenFormat(config: any) {
     access_token_length: config.access_token?.length || 0,
     refresh_token_length: config.refresh_token?.length || 0,
     is_dev_token: false,
+    needs_reauth: !!config.needs_reauth,
+    reauth_reason: config.reauth_reason || null,
     token_prefix: '',
     issues: [] as string[]
   }
@@ -230,6 +234,10 @@ function validateTokenFormat(config: any) {
     validation.issues.push('Missing refresh token')
   }
 
+  if (config.needs_reauth) {
+    validation.issues.push('GHL rejected the refresh token; the configuration is marked as needing reconnection')
+  }
+
   return validation
 }
 
@@ -307,82 +315,25 @@ function checkTokenExpiry(config: any) {
   return check
 }
 
+// Refreshes through the token broker, so a refresh running elsewhere is waited for rather than raced
 async function attemptTokenRefresh(config: any, supabase: any) {
   try {
-    const clientId = Deno.env.get('GHL_MARKETPLACE_CLIENT_ID')
-    const clientSecret = Deno.env.get('GHL_MARKETPLACE_CLIENT_SECRET')
-    const apiDomain = Deno.env.get('GHL_API_DOMAIN') || 'https://services.leadconnectorhq.com'
-
-    if (!clientId || !clientSecret) {
-      return {
-        success: false,
-        error: 'Missing GHL client credentials in environment variables'
-      }
-    }
-
-    const params = new URLSearchParams({
-      client_id: clientId,
-      client_secret: clientSecret,
-      grant_type: 'refresh_token',
-      refresh_token: config.refresh_token
-    })
-
-    console.log(`Attempting token refresh with ${apiDomain}/oauth/token`)
-
-    const response = await fetch(`${apiDomain}/oauth/token`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Accept': 'application/json'
-      },
-      body: params.toString()
-    })
-
-    const responseText = await response.text()
-    console.log(`Token refresh response: ${response.status} - ${responseText.substring(0, 200)}`)
+    const tokens = await refreshGhlTokens(supabase, config, { refreshWithinSeconds: 24 * 60 * 60 })
 
-    if (response.ok) {
-      const tokenData = JSON.parse(responseText)
-      
-      // Update the database with new tokens
-      const expiresAt = new Date(Date.now() + (tokenData.expires_in * 1000)).toISOString()
-      
-      const { error: updateError } = await supabase
-        .from('ghl_configurations')
-        .update({
-          access_token: tokenData.access_token,
-          refresh_token: tokenData.refresh_token,
-          token_expires_at: expiresAt,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', config.id)
-
-      if (updateError) {
-        return {
-          success: false,
-          error: `Failed to update database: ${updateError.message}`,
-          new_tokens_received: true
-        }
-      }
-
-      return {
-        success: true,
-        new_access_token_prefix: tokenData.access_token.substring(0, 10) + '...',
-        expires_in_seconds: tokenData.expires_in,
-        updated_database: true
-      }
-    } else {
-      return {
-        success: false,
-        error: `HTTP ${response.status}: ${responseText}`,
-        http_status: response.status
-      }
+    return {
+      success: true,
+      refreshed_here: tokens.refreshed,
+      new_access_token_prefix: tokens.access_token.substring(0, 10) + '...',
+      expires_in_seconds: tokens.tokenData?.expires_in ?? null,
+      token_expires_at: tokens.token_expires_at,
+      updated_database: tokens.refreshed
     }
   } catch (error) {
     console.error('Token refresh error:', error)
     return {
       success: false,
-      error: error.message
+      error: error.message,
+      ...(error instanceof GhlTokenError ? { http_status: error.status, code: error.code } : {})
     }
   }
 }
@@ -420,5 +371,9 @@ function generateRecommendations(tokenValidation: any, apiValidation: any, expir
     recommendations.push('⚠️ WARNING: No refresh token found. Cannot auto-refresh when expired.')
   }
 
+  if (tokenValidation.needs_reauth || refreshResult?.code === 'needs_reauth') {
+    recommendations.push('❌ CRITICAL: Refresh token was rejected by GHL. Reinstall the app via OAuth to reconnect.')
+  }
+
   return recommendations
 }
\ No newline at end of file
@@ -0,0 +1,267 @@
+import { createClient } from 'npm:@supabase/supabase-js@2'
+import { getGhlAccessToken, GhlTokenError, readGhlTokens } from "../_shared/ghl-tokens.ts"
+import { isServiceRoleRequest } from "../_shared/caller-auth.ts"
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+}
+
+// Carries out the actions of a stop trigger the model reported for a conversation.
+//
+// POST body:
+//   location_id, contact_id, conversation_id - required
+//   stop_trigger_id                          - stop_triggers row that fired
+//   reason                                   - the model's explanation
+//   usage_log_id                             - optional ai_usage_logs row
+//
+// Depending on the trigger it tags the contact, creates a GHL task and posts
+// escalation_message as a contact note. Each run is logged in conversation_escalations;
+// a conversation is escalated once per trigger, however many extractions follow.
+//
+// Only openai-extraction calls this, so it requires the service role key.
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") {
+    return new Response(null, {
+      status: 200,
+      headers: corsHeaders,
+    })
+  }
+
+  if (req.method !== "POST") {
+    return jsonResponse({ error: "Method not allowed. Use POST." }, 405)
+  }
+
+  if (!isServiceRoleRequest(req)) {
+    return jsonResponse({ error: "Only the extraction pipeline can escalate conversations" }, 403)
+  }
+
+  try {
+    console.log('=== ESCALATE CONVERSATION ===')
+
+    const requestBody = await req.json()
+    const {
+      location_id: locationId,
+      contact_id: contactId,
+      conversation_id: conversationId,
+      stop_trigger_id: stopTriggerId
+    } = requestBody
+
+    if (!locationId || !contactId || !conversationId || !stopTriggerId) {
+      return jsonResponse({
+        error: "location_id, contact_id, conversation_id and stop_trigger_id are required",
+        example: { location_id: 'abc123', contact_id: 'def456', conversation_id: 'ghi789', stop_trigger_id: 'uuid', reason: 'optional' }
+      }, 400)
+    }
+
+    // Initialize Supabase client
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+    const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+    const supabase = createClient(supabaseUrl, supabaseServiceKey)
+
+    console.log('Step 1: Fetching GHL configuration and stop trigger...')
+    const ghlConfig = await getGHLConfiguration(supabase, locationId)
+
+    if (!ghlConfig) {
+      return jsonResponse({ error: "No GHL configuration found for this location", locationId }, 404)
+    }
+
+    const { data: trigger, error: triggerError } = await supabase
+      .from('stop_triggers')
+      .select('*')
+      .eq('id', stopTriggerId)
+      .eq('config_id', ghlConfig.id)
+      .maybeSingle()
+
+    if (triggerError) {
+      throw new Error(`Failed to fetch stop trigger: ${triggerError.message}`)
+    }
+
+    if (!trigger) {
+      return jsonResponse({ error: "Stop trigger not found for this location" }, 404)
+    }
+
+    // Shadow mode writes nothing to GHL. The escalation is not recorded either,
+    // so the conversation can still escalate once the location goes live.
+    if (ghlConfig.extraction_mode === 'shadow') {
+      console.log(`Shadow mode: stop trigger ${trigger.trigger_name} would escalate ${conversationId}`)
+      return jsonResponse({ success: true, skipped: true, shadow: true, message: "Location is in shadow mode; no escalation actions were run" })
+    }
+
+    // Step 2: Claim the escalation; the unique index turns a repeat into a no-op
+    console.log('Step 2: Recording escalation...', { trigger: trigger.trigger_name, conversationId })
+    const { data: escalation, error: claimError } = await supabase
+      .from('conversation_escalations')
+      .insert({
+        location_id: locationId,
+        config_id: ghlConfig.id,
+        stop_trigger_id: trigger.id,
+        trigger_name: trigger.trigger_name,
+        reason: requestBody.reason || null,
+        contact_id: contactId,
+        conversation_id: conversationId,
+        usage_log_id: requestBody.usage_log_id || null
+      })
+      .select()
+      .single()
+
+    if (claimError) {
+      if (claimError.code === '23505') {
+        console.log('Conversation already escalated for this trigger, skipping')
+        return jsonResponse({ success: true, skipped: true, message: "Conversation already escalated for this trigger" })
+      }
+      throw new Error(`Failed to record escalation: ${claimError.message}`)
+    }
+
+    // Step 3: Validate and refresh token if needed
+    console.log('Step 3: Validating access token...')
+    try {
+      ghlConfig.access_token = await getGhlAccessToken(supabase, ghlConfig)
+    } catch (error) {
+      if (!(error instanceof GhlTokenError)) throw error
+      await finishEscalation(supabase, escalation.id, { error: `Failed to refresh access token: ${error.message}` }, 'failed')
+      return jsonResponse({ error: "Failed to refresh access token", details: error.message, code: error.code }, error.status || 503)
+    }
+
+    // Step 4: Run the configured actions; one failing does not stop the others
+    console.log('Step 4: Running escalation actions...')
+    const actions: Record<string, any> = {}
+
+    if (trigger.escalation_tag) {
+      actions.tag = await runAction(() => addContactTag(ghlConfig.access_token, contactId, trigger.escalation_tag))
+    }
+
+    if (trigger.create_task) {
+      actions.task = await runAction(() => createContactTask(ghlConfig.access_token, contactId, {
+        title: `Escalation: ${trigger.trigger_name}`,
+        body: [requestBody.reason, trigger.escalation_message].filter(Boolean).join('\n\n'),
+        dueDate: new Date(Date.now() + trigger.task_due_hours * 60 * 60 * 1000).toISOString(),
+        completed: false,
+        ...(trigger.task_assigned_to ? { assignedTo: trigger.task_assigned_to } : {})
+      }))
+    }
+
+    if (trigger.post_note && trigger.escalation_message) {
+      actions.note = await runAction(() => createContactNote(
+        ghlConfig.access_token,
+        contactId,
+        requestBody.reason ? `${trigger.escalation_message}\n\nReason: ${requestBody.reason}` : trigger.escalation_message
+      ))
+    }
+
+    const results = Object.values(actions)
+    const failed = results.filter(action => action.status === 'failed').length
+    const status = failed === 0 ? 'completed' : failed === results.length ? 'failed' : 'partial'
+
+    await finishEscalation(supabase, escalation.id, actions, status)
+    console.log(`✅ Escalation ${status}:`, actions)
+
+    return jsonResponse({
+      success: status !== 'failed',
+      escalation_id: escalation.id,
+      trigger_name: trigger.trigger_name,
+      status,
+      actions
+    })
+  } catch (error) {
+    console.error("=== ESCALATE CONVERSATION ERROR ===")
+    console.error("Error message:", error.message)
+    console.error("Stack trace:", error.stack)
+
+    return jsonResponse({
+      error: `Escalation failed: ${error.message}`,
+      details: error.toString(),
+      timestamp: new Date().toISOString()
+    }, 500)
+  }
+})
+
+function jsonResponse(body: any, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      "Content-Type": "application/json",
+      ...corsHeaders,
+    },
+  })
+}
+
+async function runAction(action: () => Promise<any>) {
+  try {
+    return { status: 'done', ...(await action()) }
+  } catch (error) {
+    console.error('Escalation action failed:', error.message)
+    return { status: 'failed', error: error.message }
+  }
+}
+
+async function finishEscalation(supabase: any, escalationId: string, actions: Record<string, any>, status: string) {
+  const { error } = await supabase
+    .from('conversation_escalations')
+    .update({ actions, status })
+    .eq('id', escalationId)
+
+  if (error) {
+    console.error('Failed to update escalation log:', error)
+  }
+}
+
+async function ghlRequest(accessToken: string, path: string, body: any) {
+  const apiDomain = Deno.env.get('GHL_API_DOMAIN') || 'https://services.leadconnectorhq.com'
+
+  const response = await fetch(`${apiDomain}${path}`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Version': '2021-07-28',
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    },
+    body: JSON.stringify(body)
+  })
+
+  if (!response.ok) {
+    const errorText = await response.text()
+    throw new Error(`GHL API error: ${response.status} - ${errorText}`)
+  }
+
+  return await response.json().catch(() => ({}))
+}
+
+async function addContactTag(accessToken: string, contactId: string, tag: string) {
+  await ghlRequest(accessToken, `/contacts/${contactId}/tags`, { tags: [tag] })
+  return { tag }
+}
+
+async function createContactTask(accessToken: string, contactId: string, task: any) {
+  const data = await ghlRequest(accessToken, `/contacts/${contactId}/tasks`, task)
+  return { task_id: data.task?.id || data.id || null, assigned_to: task.assignedTo || null }
+}
+
+async function createContactNote(accessToken: string, contactId: string, body: string) {
+  const data = await ghlRequest(accessToken, `/contacts/${contactId}/notes`, { body })
+  return { note_id: data.note?.id || data.id || null }
+}
+
+async function getGHLConfiguration(supabase: any, locationId: string) {
+  const { data, error } = await supabase
+    .from('ghl_configurations')
+    .select(`
+      id,
+      access_token,
+      refresh_token,
+      token_expires_at,
+      ghl_account_id,
+      extraction_mode
+    `)
+    .eq('ghl_account_id', locationId)
+    .eq('is_active', true)
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Failed to fetch configuration: ${error.message}`)
+  }
+
+  return readGhlTokens(data)
+}
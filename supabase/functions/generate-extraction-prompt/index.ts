@@ -63,8 +63,24 @@ Deno.serve(async (req)=>{
     const extractionFields = await getExtractionFields(supabase, ghlConfig.id);
     console.log(`Found ${extractionFields.length} extraction fields`);
     console.log('Step 3: Fetching contextual rules...');
-    const contextualRules = await getContextualRules(supabase, ghlConfig.id);
+    let contextualRules = await getContextualRules(supabase, ghlConfig.id);
     console.log(`Found ${contextualRules.length} contextual rules`);
+    // The Business Profile editor and the prompt playground preview unsaved drafts; they replace the stored values for this call only
+    const preview = requestBody.preview;
+    if (preview) {
+      console.log('Applying preview drafts:', Object.keys(preview));
+      applyPreview(ghlConfig, preview.business_profile);
+      if (preview.field_descriptions) {
+        extractionFields.forEach((field)=>{
+          if (typeof preview.field_descriptions[field.id] === 'string') {
+            field.description = preview.field_descriptions[field.id];
+          }
+        });
+      }
+      if (Array.isArray(preview.contextual_rules)) {
+        contextualRules = preview.contextual_rules.filter((rule)=>rule.is_active !== false && rule.rule_description);
+      }
+    }
     console.log('Step 4: Fetching stop triggers...');
     const stopTriggers = await getStopTriggers(supabase, ghlConfig.id);
     console.log(`Found ${stopTriggers.length} stop triggers`);
@@ -78,6 +94,12 @@ Deno.serve(async (req)=>{
     });
     console.log('✅ AI prompt generated successfully');
     console.log('Prompt length:', prompt.length, 'characters');
+    // Previews contain unsaved drafts, so only prompts built from the stored configuration are versioned
+    let promptVersionId = null;
+    if (!preview) {
+      console.log('Step 6: Recording prompt version...');
+      promptVersionId = await recordPromptVersion(supabase, ghlConfig.id, prompt);
+    }
     console.log('Summary:');
     console.log('- Business:', ghlConfig.business_name);
     console.log('- Extraction fields:', extractionFields.length);
@@ -99,6 +121,7 @@ Deno.serve(async (req)=>{
       success: true,
       locationId,
       prompt, // The full generated prompt string
+      promptVersionId,
       metadata: {
         businessName: ghlConfig.business_name,
         // --- ADDED THIS ---
@@ -113,6 +136,7 @@ Deno.serve(async (req)=>{
         contextualRulesCount: contextualRules.length,
         stopTriggersCount: stopTriggers.length,
         promptLength: prompt.length,
+        isPreview: !!preview,
         generatedAt: new Date().toISOString(),
         fields: extractionFields.map((f)=>({
             id: f.id,
@@ -151,6 +175,22 @@ Deno.serve(async (req)=>{
     });
   }
 });
+// Profile columns the Business Profile editor can preview
+const PREVIEW_PROFILE_FIELDS = [
+  'business_name',
+  'business_description',
+  'services_offered',
+  'target_audience',
+  'business_context'
+];
+function applyPreview(ghlConfig, businessProfile) {
+  if (!businessProfile) return;
+  PREVIEW_PROFILE_FIELDS.forEach((key)=>{
+    if (key in businessProfile) {
+      ghlConfig[key] = businessProfile[key] || null;
+    }
+  });
+}
 // Function to determine if a field is a standard field
 function isStandardField(field) {
   // Standard fields have field keys that contain dots (e.g., "contact.first_name")
@@ -227,6 +267,20 @@ async function getGHLConfiguration(supabase, locationId) {
   });
   return data;
 }
+// Returns the prompt_versions id for this prompt and the configuration it was built from.
+// A failure is logged rather than thrown; the extraction runs without a version.
+async function recordPromptVersion(supabase, configId, prompt) {
+  const { data, error } = await supabase.rpc('record_prompt_version', {
+    p_config_id: configId,
+    p_prompt: prompt
+  });
+  if (error) {
+    console.error('Error recording prompt version:', error);
+    return null;
+  }
+  console.log('✅ Prompt version:', data);
+  return data;
+}
 async function getExtractionFields(supabase, configId) {
   console.log('Fetching extraction fields for config:', configId);
   const { data, error } = await supabase.from('data_extraction_fields').select(`
@@ -274,7 +328,9 @@ async function getExtractionFields(supabase, configId) {
 }
 async function getContextualRules(supabase, configId) {
   console.log('Fetching contextual rules for config:', configId);
-  const { data, error } = await supabase.from('contextual_rules').select('rule_name, rule_description, rule_type, rule_value, is_active').eq('config_id', configId).eq('is_active', true);
+  const { data, error } = await supabase.from('contextual_rules').select('rule_name, rule_description, rule_type, rule_value, is_active').eq('config_id', configId).eq('is_active', true).order('sort_order', {
+    ascending: true
+  });
   if (error) {
     console.error('Error fetching contextual rules:', error);
     throw new Error(`Failed to fetch contextual rules: ${error.message}`);
@@ -305,7 +361,7 @@ function generatePromptWithSeparatedFields({ ghlConfig, extractionFields, contex
   prompt += `Infer missing details based on context. If a customer provides information across multiple messages, combine them correctly. `;
   prompt += `Ensure extracted data is accurate and complete.\\n\\n`;
   // Add business context if available
-  if (ghlConfig.business_description || ghlConfig.business_context || ghlConfig.services_offered) {
+  if (ghlConfig.business_description || ghlConfig.business_context || ghlConfig.services_offered || ghlConfig.target_audience) {
     prompt += `Business Context:\\n`;
     if (ghlConfig.business_description) {
       prompt += `- Business: ${ghlConfig.business_description}\\n`;
@@ -313,6 +369,9 @@ function generatePromptWithSeparatedFields({ ghlConfig, extractionFields, contex
     if (ghlConfig.services_offered) {
       prompt += `- Services: ${ghlConfig.services_offered}\\n`;
     }
+    if (ghlConfig.target_audience) {
+      prompt += `- Customers: ${ghlConfig.target_audience}\\n`;
+    }
     if (ghlConfig.business_context) {
       prompt += `- Context: ${ghlConfig.business_context}\\n`;
     }
@@ -416,7 +475,7 @@ function generatePromptWithSeparatedFields({ ghlConfig, extractionFields, contex
         if (field.field_type === 'SINGLE_OPTIONS') {
           prompt += ` Choose from: ${options}.`;
         } else {
-          prompt += ` Select one or more from: ${options}. Use comma separation for multiple selections.`;
+          prompt += ` Select one or more from: ${options}. Return the selections as an array.`;
         }
       }
       // Add field-specific formatting instructions for custom fields
@@ -449,9 +508,10 @@ function generatePromptWithSeparatedFields({ ghlConfig, extractionFields, contex
   if (stopTriggers.length > 0) {
     prompt += `**STOP TRIGGERS** - Escalate to human if:\\n`;
     stopTriggers.forEach((trigger)=>{
-      prompt += `- ${trigger.scenario_description}\\n`;
+      prompt += `- "${trigger.trigger_name}": ${trigger.scenario_description}\\n`;
     });
-    prompt += `\\n`;
+    prompt += `If one of these scenarios applies, set "escalation" to {"triggered": true, "trigger_name": <the quoted name>, "reason": <one sentence on why>}. `;
+    prompt += `Otherwise set it to {"triggered": false, "trigger_name": null, "reason": null}.\\n\\n`;
   }
   // Add final instructions
   prompt += `**IMPORTANT INSTRUCTIONS:**\\n`;
@@ -460,6 +520,10 @@ function generatePromptWithSeparatedFields({ ghlConfig, extractionFields, contex
   prompt += `- Use context to determine if names mentioned are actually the customer's name vs. referrals or business owners.\\n`;
   prompt += `- Only extract information that is clearly stated or strongly implied.\\n`;
   prompt += `- For each field, use the exact field key shown above in your JSON response.\\n`;
+  prompt += `- Return every field as an object with "value", "confidence", "message_id" and "quote".\\n`;
+  prompt += `- "confidence" is how sure you are, from 0 to 1, that the value belongs to this contact: 1 when they state it about themselves, lower when it is implied or could refer to someone else.\\n`;
+  prompt += `- "message_id" is the [message_id: ...] tag of the message the value came from and "quote" is the exact words from that message; use null for both when it came from the conversation summary.\\n`;
+  prompt += `- Use a null value and confidence 0 for any field the conversation does not provide.\\n`;
   prompt += `- Standard fields update built-in contact properties, custom fields update business-specific data.\\n`;
   prompt += `- Ensure the response is VALID JSON ONLY, with no explanations or markdown.`;
   return prompt;
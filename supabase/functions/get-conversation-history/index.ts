@@ -1,4 +1,5 @@
 import { createClient } from 'npm:@supabase/supabase-js@2'
+import OpenAI from 'npm:openai'
 
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
@@ -6,6 +7,16 @@ const corsHeaders = {
   "Access-Control-Allow-Headers": "Content-Type, Authorization",
 }
 
+const DEFAULT_MODEL = 'gpt-4o-mini'
+const DEFAULT_TOKEN_BUDGET = parseInt(Deno.env.get('CONVERSATION_HISTORY_TOKEN_BUDGET') || '8000', 10)
+const SUMMARY_MODEL = Deno.env.get('CONVERSATION_SUMMARY_MODEL') || 'gpt-4o-mini'
+// Most messages considered per request; anything older is only covered by the cached summary
+const HISTORY_FETCH_LIMIT = 500
+// Cap on the older messages sent to the summarizer in one call
+const SUMMARY_INPUT_TOKEN_LIMIT = 12000
+// Per-message overhead of the chat format (role, separators)
+const MESSAGE_OVERHEAD_TOKENS = 4
+
 interface ConversationMessage {
   id: string
   message_id: string | null
@@ -15,22 +26,38 @@ interface ConversationMessage {
   date_added: string
   contact_id: string | null
   user_id: string | null
+  location_id: string
 }
 
 interface FormattedMessage {
-  role: 'user' | 'assistant'
+  role: 'user' | 'assistant' | 'system'
   content: string
   timestamp: string
   message_type?: string
   message_id?: string
 }
 
+interface HistoryTruncation {
+  truncated: boolean
+  model: string
+  token_budget: number
+  estimated_tokens: number
+  conversation_message_count: number
+  verbatim_messages: number
+  summarized_messages: number
+  omitted_messages: number
+  summary_source: 'none' | 'cache' | 'updated' | 'created'
+  summary_error: string | null
+  oldest_verbatim_at: string | null
+}
+
 interface ConversationHistoryResponse {
   conversation_id: string
   messages: FormattedMessage[]
   total_messages: number
   location_id: string
   contact_id?: string // Added contact_id to response
+  truncation: HistoryTruncation
 }
 
 Deno.serve(async (req: Request) => {
@@ -56,14 +83,14 @@ Deno.serve(async (req: Request) => {
 
   try {
     console.log('=== CONVERSATION HISTORY REQUEST ===')
-    
+
     const requestBody = await req.json()
     const conversationId = requestBody.conversation_id || requestBody.conversationId
-    
+
     if (!conversationId) {
       console.error('No conversation_id provided in request')
       return new Response(
-        JSON.stringify({ 
+        JSON.stringify({
           error: "conversation_id is required",
           example: { conversation_id: "abc123" }
         }),
@@ -84,9 +111,9 @@ Deno.serve(async (req: Request) => {
     const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
     const supabase = createClient(supabaseUrl, supabaseServiceKey)
 
-    // Fetch conversation messages
+    // Fetch the most recent messages; newest first so a long thread keeps its latest turns
     console.log('Fetching messages from database...')
-    const { data: messages, error } = await supabase
+    const { data: recentFirst, error, count } = await supabase
       .from('ghl_conversations')
       .select(`
         id,
@@ -98,18 +125,18 @@ Deno.serve(async (req: Request) => {
         contact_id,
         user_id,
         location_id
-      `)
+      `, { count: 'exact' })
       .eq('conversation_id', conversationId)
       .not('body', 'is', null) // Only get messages with actual content
-      .order('date_added', { ascending: true }) // Oldest first for chronological order
-      .limit(20) // Get last 20 messages
+      .order('date_added', { ascending: false })
+      .limit(HISTORY_FETCH_LIMIT)
 
     if (error) {
       console.error('Database error:', error)
       throw new Error(`Failed to fetch conversation messages: ${error.message}`)
     }
 
-    if (!messages || messages.length === 0) {
+    if (!recentFirst || recentFirst.length === 0) {
       console.log('No messages found for conversation:', conversationId)
       return new Response(
         JSON.stringify({
@@ -130,18 +157,43 @@ Deno.serve(async (req: Request) => {
       )
     }
 
-    console.log(`Found ${messages.length} messages for conversation`)
+    // Chronological order from here on
+    const messages: ConversationMessage[] = [...recentFirst].reverse()
+    const conversationMessageCount = count ?? messages.length
+    console.log(`Found ${conversationMessageCount} messages for conversation, considering the latest ${messages.length}`)
+
+    const locationId = messages[messages.length - 1].location_id
+    const contactId = messages.find(msg => msg.contact_id)?.contact_id || null
+
+    // Work out the token budget for the model that will read this history
+    const model = requestBody.model || await resolveExtractionModel(supabase, locationId)
+    const tokenBudget = requestBody.token_budget || await getHistoryTokenBudget(supabase, model)
+    console.log(`Token budget for ${model}: ${tokenBudget}`)
+
+    // Keep the newest messages verbatim; fold the rest into the rolling summary
+    const { verbatim, older } = splitByBudget(messages, tokenBudget)
+    console.log(`Keeping ${verbatim.length} messages verbatim, ${older.length} older messages to summarize`)
+
+    let summary: { text: string, messageCount: number, source: HistoryTruncation['summary_source'] } | null = null
+    let summaryError: string | null = null
+
+    if (older.length > 0) {
+      try {
+        summary = await getRollingSummary(supabase, conversationId, locationId, older, summaryTokenReserve(tokenBudget))
+      } catch (summaryFailure) {
+        // History without the older turns is still usable; the truncation report says what was lost
+        console.error('Failed to summarize older messages:', summaryFailure)
+        summaryError = summaryFailure.message
+      }
+    }
 
-    // Get the last 20 messages (if there are more than 20, take the most recent ones)
-    const recentMessages = messages.slice(-20)
-    
     // Format messages for conversation history
-    const formattedMessages: FormattedMessage[] = recentMessages.map((msg: ConversationMessage) => {
+    const formattedMessages: FormattedMessage[] = verbatim.map((msg: ConversationMessage) => {
       // Determine role based on direction
       // 'inbound' = message TO the business (from customer) = 'user'
       // 'outbound' = message FROM the business (to customer) = 'assistant'
       const role: 'user' | 'assistant' = msg.direction === 'inbound' ? 'user' : 'assistant'
-      
+
       return {
         role,
         content: msg.body || '',
@@ -151,16 +203,37 @@ Deno.serve(async (req: Request) => {
       }
     })
 
-    // Get location_id and contact_id from the first message
-    const locationId = messages[0]?.location_id || null
-    const contactId = messages[0]?.contact_id || null
+    if (summary) {
+      formattedMessages.unshift({
+        role: 'system',
+        content: `Summary of the earlier part of this conversation (${summary.messageCount} messages):\n${summary.text}`,
+        timestamp: older[older.length - 1].date_added,
+        message_type: 'summary'
+      })
+    }
+
+    const summarizedMessages = summary?.messageCount || 0
+    const truncation: HistoryTruncation = {
+      truncated: verbatim.length < conversationMessageCount,
+      model,
+      token_budget: tokenBudget,
+      estimated_tokens: formattedMessages.reduce((total, msg) => total + estimateTokens(msg.content), 0),
+      conversation_message_count: conversationMessageCount,
+      verbatim_messages: verbatim.length,
+      summarized_messages: summarizedMessages,
+      omitted_messages: Math.max(0, conversationMessageCount - verbatim.length - summarizedMessages),
+      summary_source: summary?.source || 'none',
+      summary_error: summaryError,
+      oldest_verbatim_at: verbatim[0]?.date_added || null
+    }
 
     const response: ConversationHistoryResponse = {
       conversation_id: conversationId,
       messages: formattedMessages,
       total_messages: formattedMessages.length,
       location_id: locationId,
-      contact_id: contactId // Include contact_id in response
+      contact_id: contactId, // Include contact_id in response
+      truncation
     }
 
     console.log('✅ Conversation history built successfully')
@@ -169,6 +242,9 @@ Deno.serve(async (req: Request) => {
     console.log(`- Location ID: ${locationId}`)
     console.log(`- Contact ID: ${contactId || 'Not available'}`)
     console.log(`- Message types: ${[...new Set(formattedMessages.map(m => m.message_type))].join(', ')}`)
+    if (truncation.truncated) {
+      console.log('- Truncation:', truncation)
+    }
 
     // Log a sample of the conversation for debugging
     if (formattedMessages.length > 0) {
@@ -193,9 +269,9 @@ Deno.serve(async (req: Request) => {
     console.error("=== CONVERSATION HISTORY ERROR ===")
     console.error("Error message:", error.message)
     console.error("Stack trace:", error.stack)
-    
+
     return new Response(
-      JSON.stringify({ 
+      JSON.stringify({
         error: `Failed to build conversation history: ${error.message}`,
         details: error.toString()
       }),
@@ -208,4 +284,194 @@ Deno.serve(async (req: Request) => {
       }
     )
   }
-})
\ No newline at end of file
+})
+
+// Rough token count (about 4 characters per token for English chat text). Deliberately
+// conservative; no tokenizer is bundled with the edge runtime.
+function estimateTokens(text: string | null) {
+  return Math.ceil((text?.length || 0) / 4) + MESSAGE_OVERHEAD_TOKENS
+}
+
+// Part of the budget held back for the summary when older turns have to be condensed
+function summaryTokenReserve(tokenBudget: number) {
+  return Math.min(1000, Math.floor(tokenBudget / 4))
+}
+
+// Splits chronological messages into the newest ones that fit the budget verbatim and
+// the older remainder. The latest message is always kept, even if it alone is over budget.
+function splitByBudget(messages: ConversationMessage[], tokenBudget: number) {
+  const totalTokens = messages.reduce((total, msg) => total + estimateTokens(msg.body), 0)
+  if (totalTokens <= tokenBudget) {
+    return { verbatim: messages, older: [] as ConversationMessage[] }
+  }
+
+  const verbatimBudget = tokenBudget - summaryTokenReserve(tokenBudget)
+  let used = 0
+  let firstVerbatim = messages.length
+
+  while (firstVerbatim > 0) {
+    const tokens = estimateTokens(messages[firstVerbatim - 1].body)
+    if (used + tokens > verbatimBudget && firstVerbatim < messages.length) {
+      break
+    }
+    used += tokens
+    firstVerbatim--
+  }
+
+  return {
+    verbatim: messages.slice(firstVerbatim),
+    older: messages.slice(0, firstVerbatim)
+  }
+}
+
+// The model the location's extractions run on: the agency's chosen model, if it has its own key
+async function resolveExtractionModel(supabase: any, locationId: string) {
+  const { data: config } = await supabase
+    .from('ghl_configurations')
+    .select('agency_ghl_id')
+    .eq('ghl_account_id', locationId)
+    .eq('is_active', true)
+    .maybeSingle()
+
+  if (!config?.agency_ghl_id) {
+    return DEFAULT_MODEL
+  }
+
+  const { data: agencyKey } = await supabase
+    .from('agency_openai_keys')
+    .select('openai_model')
+    .eq('agency_ghl_id', config.agency_ghl_id)
+    .eq('is_active', true)
+    .maybeSingle()
+
+  return agencyKey?.openai_model || DEFAULT_MODEL
+}
+
+async function getHistoryTokenBudget(supabase: any, model: string) {
+  const { data, error } = await supabase
+    .from('openai_model_pricing')
+    .select('history_token_budget')
+    .eq('model_id', model)
+    .maybeSingle()
+
+  if (error) {
+    console.warn('Error fetching history token budget, using default:', error.message)
+  }
+
+  return data?.history_token_budget || DEFAULT_TOKEN_BUDGET
+}
+
+// Returns a summary covering `older` (chronological), reusing the cached one when it is
+// current and extending it with only the new messages when it is behind
+async function getRollingSummary(
+  supabase: any,
+  conversationId: string,
+  locationId: string,
+  older: ConversationMessage[],
+  maxSummaryTokens: number
+) {
+  const boundary = new Date(older[older.length - 1].date_added).getTime()
+
+  const { data: cached, error: cacheError } = await supabase
+    .from('conversation_summaries')
+    .select('*')
+    .eq('conversation_id', conversationId)
+    .maybeSingle()
+
+  if (cacheError) {
+    console.warn('Error loading cached summary:', cacheError.message)
+  }
+
+  const cachedThrough = cached ? new Date(cached.summarized_through).getTime() : null
+
+  if (cached && cachedThrough === boundary) {
+    console.log('Using cached conversation summary')
+    return { text: cached.summary, messageCount: cached.summarized_message_count, source: 'cache' as const }
+  }
+
+  // A summary that runs past the boundary (the budget grew) would repeat verbatim turns; rebuild it
+  const extending = cached && cachedThrough! < boundary
+  const toSummarize = extending
+    ? older.filter(msg => new Date(msg.date_added).getTime() > cachedThrough!)
+    : older
+
+  // Keep the summarizer's input bounded; the oldest turns beyond it are dropped
+  let inputTokens = 0
+  let firstIncluded = toSummarize.length
+  while (firstIncluded > 0 && inputTokens + estimateTokens(toSummarize[firstIncluded - 1].body) <= SUMMARY_INPUT_TOKEN_LIMIT) {
+    inputTokens += estimateTokens(toSummarize[firstIncluded - 1].body)
+    firstIncluded--
+  }
+  const included = toSummarize.slice(firstIncluded)
+
+  console.log(`${extending ? 'Extending' : 'Creating'} conversation summary with ${included.length} messages`)
+  const { text, tokensUsed } = await summarizeMessages(
+    extending ? cached.summary : null,
+    included,
+    maxSummaryTokens
+  )
+
+  const messageCount = (extending ? cached.summarized_message_count : 0) + included.length
+
+  const { error: saveError } = await supabase
+    .from('conversation_summaries')
+    .upsert({
+      conversation_id: conversationId,
+      location_id: locationId,
+      summary: text,
+      summarized_through: older[older.length - 1].date_added,
+      summarized_message_count: messageCount,
+      model: SUMMARY_MODEL,
+      tokens_used: (cached?.tokens_used || 0) + tokensUsed
+    }, { onConflict: 'conversation_id' })
+
+  if (saveError) {
+    // Still usable for this request; it is rebuilt next time
+    console.error('Failed to cache conversation summary:', saveError)
+  }
+
+  return { text, messageCount, source: extending ? 'updated' as const : 'created' as const }
+}
+
+async function summarizeMessages(previousSummary: string | null, messages: ConversationMessage[], maxTokens: number) {
+  const openaiApiKey = Deno.env.get('OPENAI_API_KEY')
+  if (!openaiApiKey) {
+    throw new Error('OPENAI_API_KEY is not configured, cannot summarize older messages')
+  }
+
+  const openai = new OpenAI({
+    apiKey: openaiApiKey,
+    organization: Deno.env.get('OPENAI_ORG_ID') || undefined
+  })
+
+  const transcript = messages
+    .map(msg => `[${msg.date_added}] ${msg.direction === 'inbound' ? 'Customer' : 'Business'}: ${msg.body}`)
+    .join('\n')
+
+  const completion = await openai.chat.completions.create({
+    model: SUMMARY_MODEL,
+    max_tokens: maxTokens,
+    temperature: 0,
+    messages: [
+      {
+        role: 'system',
+        content: 'You condense customer conversations for a data extraction system. Keep every concrete fact the customer ' +
+          'stated about themselves (names, contact details, dates, budgets, addresses, preferences, requests) and any ' +
+          'later corrections to them. Drop greetings and small talk. Write terse notes, not prose.'
+      },
+      {
+        role: 'user',
+        content: previousSummary
+          ? `Existing summary:\n${previousSummary}\n\nUpdate it with these later messages:\n${transcript}`
+          : `Summarize these messages:\n${transcript}`
+      }
+    ]
+  })
+
+  const text = completion.choices[0]?.message?.content?.trim()
+  if (!text) {
+    throw new Error('Summarizer returned an empty summary')
+  }
+
+  return { text, tokensUsed: completion.usage?.total_tokens || 0 }
+}
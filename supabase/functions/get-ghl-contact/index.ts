@@ -1,4 +1,5 @@
 import { createClient } from 'npm:@supabase/supabase-js@2'
+import { getGhlAccessToken, GhlTokenError, readGhlTokens } from "../_shared/ghl-tokens.ts"
 
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
@@ -136,29 +137,25 @@ Deno.serve(async (req: Request) => {
 
     // Step 2: Validate and refresh token if needed
     console.log('Step 2: Validating access token...')
-    const tokenValidation = validateTokenExpiry(ghlConfig)
-    
-    if (tokenValidation.needsRefresh) {
-      console.log('Token needs refresh, attempting to refresh...')
-      const refreshResult = await refreshAccessToken(supabase, ghlConfig)
-      
-      if (!refreshResult.success) {
-        return new Response(
-          JSON.stringify({
-            error: "Failed to refresh access token",
-            details: refreshResult.error
-          }),
-          {
-            status: 401,
-            headers: {
-              "Content-Type": "application/json",
-              ...corsHeaders,
-            },
-          }
-        )
-      }
-      
-      ghlConfig.access_token = refreshResult.accessToken
+    try {
+      ghlConfig.access_token = await getGhlAccessToken(supabase, ghlConfig)
+    } catch (error) {
+      if (!(error instanceof GhlTokenError)) throw error
+      return new Response(
+        JSON.stringify({
+          error: "Failed to refresh access token",
+          details: error.message,
+          code: error.code
+        }),
+        {
+          status: error.status || 503,
+          headers: {
+            "Content-Type": "application/json",
+            ...(error.retryAfter ? { "Retry-After": error.retryAfter } : {}),
+            ...corsHeaders,
+          },
+        }
+      )
     }
 
     // Step 3: Get extraction fields configuration for this location
@@ -271,94 +268,7 @@ async function getGHLConfiguration(supabase: any, locationId: string) {
     hasAccessToken: !!data.access_token
   })
 
-  return data
-}
-
-function validateTokenExpiry(config: any) {
-  if (!config.token_expires_at) {
-    console.warn('No token_expires_at found. Skipping expiry check.')
-    return { needsRefresh: false }
-  }
-
-  const expiryDate = new Date(config.token_expires_at)
-  const now = new Date()
-  const hoursUntilExpiry = (expiryDate.getTime() - now.getTime()) / (1000 * 60 * 60)
-
-  console.log(`Token expires in ${Math.round(hoursUntilExpiry)} hours`)
-
-  return {
-    needsRefresh: hoursUntilExpiry <= 1,
-    hoursUntilExpiry: Math.round(hoursUntilExpiry)
-  }
-}
-
-async function refreshAccessToken(supabase: any, config: any) {
-  try {
-    const clientId = Deno.env.get('GHL_MARKETPLACE_CLIENT_ID')
-    const clientSecret = Deno.env.get('GHL_MARKETPLACE_CLIENT_SECRET')
-    const apiDomain = Deno.env.get('GHL_API_DOMAIN') || 'https://services.leadconnectorhq.com'
-
-    if (!clientId || !clientSecret) {
-      throw new Error('GHL client credentials not configured')
-    }
-
-    if (!config.refresh_token) {
-      throw new Error('Refresh token is missing from GHL configuration')
-    }
-
-    const params = new URLSearchParams({
-      client_id: clientId,
-      client_secret: clientSecret,
-      grant_type: 'refresh_token',
-      refresh_token: config.refresh_token
-    })
-
-    const response = await fetch(`${apiDomain}/oauth/token`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Accept': 'application/json'
-      },
-      body: params.toString()
-    })
-
-    if (!response.ok) {
-      const errorText = await response.text()
-      throw new Error(`Token refresh failed: ${response.status} - ${errorText}`)
-    }
-
-    const tokenData = await response.json()
-
-    // Update the database with new tokens
-    const expiresAt = new Date(Date.now() + (tokenData.expires_in * 1000)).toISOString()
-    
-    const { error: updateError } = await supabase
-      .from('ghl_configurations')
-      .update({
-        access_token: tokenData.access_token,
-        refresh_token: tokenData.refresh_token,
-        token_expires_at: expiresAt,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', config.id)
-
-    if (updateError) {
-      console.error('Failed to update tokens in database:', updateError)
-    }
-
-    console.log('✅ Access token refreshed successfully')
-    
-    return {
-      success: true,
-      accessToken: tokenData.access_token
-    }
-  } catch (error) {
-    console.error('Token refresh error:', error)
-    return {
-      success: false,
-      error: error.message
-    }
-  }
+  return readGhlTokens(data)
 }
 
 async function getExtractionFields(supabase: any, configId: string) {
@@ -1,4 +1,5 @@
 import { createClient } from 'npm:@supabase/supabase-js@2'
+import { readGhlTokens } from "../_shared/ghl-tokens.ts"
 
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
@@ -65,7 +66,7 @@ Deno.serve(async (req: Request) => {
     // SECURITY: Always filter by location_id to prevent cross-agency access
     const query = supabase
       .from('ghl_conversations')
-      .select('contact_id, location_id, date_added')
+      .select('contact_id, conversation_id, location_id, date_added')
       .not('contact_id', 'is', null)
       .eq('location_id', locationId)
       .order('date_added', { ascending: false })
@@ -106,6 +107,7 @@ Deno.serve(async (req: Request) => {
           new Date(conv.date_added) > new Date(contactMap.get(conv.contact_id).last_message)) {
         contactMap.set(conv.contact_id, {
           id: conv.contact_id,
+          conversation_id: conv.conversation_id,
           location_id: conv.location_id,
           last_message: conv.date_added
         })
@@ -140,18 +142,20 @@ Deno.serve(async (req: Request) => {
     for (const contact of uniqueContacts) {
       try {
         // Get GHL configuration for this location
-        const { data: config } = await supabase
+        const { data: configRow } = await supabase
           .from('ghl_configurations')
-          .select('access_token')
+          .select('id, access_token')
           .eq('ghl_account_id', contact.location_id)
           .eq('is_active', true)
           .maybeSingle()
+        const config = await readGhlTokens(configRow)
         
         if (!config || !config.access_token) {
           console.log(`No active configuration found for location ${contact.location_id}`)
           contactDetails.push({
             id: contact.id,
             name: `Unknown (${contact.id.substring(0, 8)}...)`,
+            conversation_id: contact.conversation_id,
             location_id: contact.location_id,
             last_message: contact.last_message
           })
@@ -167,6 +171,7 @@ Deno.serve(async (req: Request) => {
             name: contactInfo.name || `${contactInfo.firstName || ''} ${contactInfo.lastName || ''}`.trim(),
             email: contactInfo.email,
             phone: contactInfo.phone,
+            conversation_id: contact.conversation_id,
             location_id: contact.location_id,
             last_message: contact.last_message
           })
@@ -174,6 +179,7 @@ Deno.serve(async (req: Request) => {
           contactDetails.push({
             id: contact.id,
             name: `Contact ${contact.id.substring(0, 8)}...`,
+            conversation_id: contact.conversation_id,
             location_id: contact.location_id,
             last_message: contact.last_message
           })
@@ -183,6 +189,7 @@ Deno.serve(async (req: Request) => {
         contactDetails.push({
           id: contact.id,
           name: `Error: ${contact.id.substring(0, 8)}...`,
+          conversation_id: contact.conversation_id,
           location_id: contact.location_id,
           last_message: contact.last_message,
           error: error.message
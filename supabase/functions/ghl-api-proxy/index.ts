@@ -0,0 +1,167 @@
+import { createClient } from 'npm:@supabase/supabase-js@2'
+import { getGhlAccessToken, GhlTokenError, readGhlTokens } from "../_shared/ghl-tokens.ts"
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization, apikey, x-client-info",
+}
+
+const GHL_API_BASE = 'https://services.leadconnectorhq.com'
+const GHL_API_VERSION = '2021-07-28'
+
+const METHODS = ['GET', 'POST', 'PUT', 'DELETE']
+
+// GHL endpoints the browser may call, given the configuration's location id. Everything
+// else is refused, so the proxy cannot be used to reach the rest of the location's data.
+const ALLOWED_PATHS = [
+  (locationId: string) => new RegExp(`^/locations/${locationId}/customFields(/[\\w-]+)?(\\?.*)?$`),
+  () => /^\/contacts\/[\w-]+$/,
+  (locationId: string) => new RegExp(`^/conversations/search\\?(.*&)?locationId=${locationId}(&.*)?$`)
+]
+
+// Calls the GHL API for the browser with a configuration's access token, which the browser
+// can no longer read. GHL's status and JSON body are passed back as they are. The token
+// comes from the token broker; if GHL answers 401 it is refreshed and the call made once more.
+//
+// POST body:
+//   config_id - required; the ghl_configurations row whose token to use
+//   path      - required; the GHL endpoint, e.g. /locations/<location id>/customFields?model=contact
+//   method    - GET (default), POST, PUT or DELETE
+//   body      - JSON body to send on
+//
+// The caller must be able to read the configuration row under its row level security
+// policies, using the Supabase JWT in the Authorization header.
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") {
+    return new Response(null, {
+      status: 200,
+      headers: corsHeaders,
+    })
+  }
+
+  if (req.method !== "POST") {
+    return jsonResponse({ error: "Method not allowed. Use POST." }, 405)
+  }
+
+  try {
+    const requestBody = await req.json()
+    const { config_id: configId, path, body } = requestBody
+    const method = (requestBody.method || 'GET').toUpperCase()
+
+    if (!configId || typeof path !== 'string') {
+      return jsonResponse({
+        error: "config_id and path are required",
+        example: { config_id: 'uuid', path: '/locations/abc123/customFields?model=contact' }
+      }, 400)
+    }
+
+    if (!METHODS.includes(method)) {
+      return jsonResponse({ error: `Unsupported method: ${method}` }, 400)
+    }
+
+    console.log('=== GHL API PROXY ===', { configId, method, path })
+
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+    const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+    const supabaseAnonKey = Deno.env.get('SUPABASE_ANON_KEY')!
+
+    console.log('Step 1: Checking the caller can access this configuration...')
+    const callerClient = createClient(supabaseUrl, supabaseAnonKey, {
+      global: { headers: { Authorization: req.headers.get('Authorization') || '' } }
+    })
+    const { data: visible } = await callerClient
+      .from('ghl_configurations')
+      .select('id')
+      .eq('id', configId)
+      .maybeSingle()
+
+    if (!visible) {
+      return jsonResponse({ error: "Configuration not found or not accessible" }, 403)
+    }
+
+    const supabase = createClient(supabaseUrl, supabaseServiceKey)
+    const { data: configRow, error: configError } = await supabase
+      .from('ghl_configurations')
+      .select('id, ghl_account_id, access_token, token_expires_at')
+      .eq('id', configId)
+      .single()
+
+    if (configError) {
+      throw new Error(`Failed to fetch configuration: ${configError.message}`)
+    }
+
+    if (!ALLOWED_PATHS.some((pattern) => pattern(configRow.ghl_account_id).test(path))) {
+      return jsonResponse({ error: `This endpoint is not available through the proxy: ${path}` }, 403)
+    }
+
+    const config = await readGhlTokens(configRow)
+    if (!config.access_token) {
+      return jsonResponse({ error: "Configuration has no access token. Please reconnect your account." }, 401)
+    }
+
+    console.log('Step 2: Calling GHL API...')
+    let response: Response
+    try {
+      const accessToken = await getGhlAccessToken(supabase, config)
+      response = await callGhl(accessToken, method, path, body)
+
+      if (response.status === 401) {
+        console.log('GHL rejected the access token, refreshing and retrying once...')
+        response = await callGhl(await getGhlAccessToken(supabase, config, { rejectedToken: accessToken }), method, path, body)
+      }
+    } catch (error) {
+      if (!(error instanceof GhlTokenError)) throw error
+      return jsonResponse({
+        error: error.code === 'needs_reauth'
+          ? "GHL rejected this configuration's refresh token. Please reconnect your account."
+          : `Failed to refresh access token: ${error.message}`,
+        code: error.code
+      }, error.status || 503)
+    }
+
+    const responseText = await response.text()
+    console.log(response.ok ? '✅ GHL API responded:' : 'GHL API error:', response.status)
+
+    return new Response(responseText || '{}', {
+      status: response.status,
+      headers: {
+        "Content-Type": response.headers.get('Content-Type') || "application/json",
+        ...corsHeaders,
+      },
+    })
+  } catch (error) {
+    console.error("=== GHL API PROXY ERROR ===")
+    console.error("Error message:", error.message)
+    console.error("Stack trace:", error.stack)
+
+    return jsonResponse({
+      error: `GHL API proxy failed: ${error.message}`,
+      details: error.toString(),
+      timestamp: new Date().toISOString()
+    }, 500)
+  }
+})
+
+function callGhl(accessToken: string, method: string, path: string, body: any) {
+  return fetch(`${GHL_API_BASE}${path}`, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Version': GHL_API_VERSION,
+      'Accept': 'application/json',
+      'Content-Type': 'application/json'
+    },
+    body: body !== undefined && method !== 'GET' ? JSON.stringify(body) : undefined
+  })
+}
+
+function jsonResponse(body: any, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      "Content-Type": "application/json",
+      ...corsHeaders,
+    },
+  })
+}
@@ -1,4 +1,18 @@
 import { createClient } from 'npm:@supabase/supabase-js@2'
+import { invokeInBackground } from "../_shared/background.ts"
+import {
+  GHL_WEBHOOK_SIGNATURE_HEADER,
+  recordRejectedWebhook,
+  verifyGHLWebhookSignature
+} from "../_shared/ghl-webhook-signature.ts"
+import {
+  loadChannelPolicy,
+  normalizeGHLWebhook,
+  quarantineWebhook,
+  shouldTriggerExtraction,
+  toConversationRecord
+} from "../_shared/ghl-webhook-normalizer.mjs"
+import { handleLifecycleEvent } from "../_shared/ghl-app-lifecycle.mjs"
 
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
@@ -17,26 +31,68 @@ Deno.serve(async (req: Request) => {
   try {
     console.log('=== GHL WEBHOOK HANDLER ===')
     
-    // Parse the webhook payload
-    const payload = await req.json()
-    console.log('Received webhook payload:', JSON.stringify(payload, null, 2))
-    
     // Initialize Supabase client
     const supabaseUrl = Deno.env.get('SUPABASE_URL')!
     const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
     const supabase = createClient(supabaseUrl, supabaseServiceKey)
     
-    // Extract relevant data from the webhook
-    const eventType = payload.event || 'unknown'
-    const locationId = payload.locationId || payload.companyId || null
+    // Verify the signature against the raw body before trusting anything in it
+    const rawBody = await req.text()
+    const verification = await verifyGHLWebhookSignature(
+      rawBody,
+      req.headers.get(GHL_WEBHOOK_SIGNATURE_HEADER)
+    )
     
-    console.log(`Processing ${eventType} event for location ${locationId}`)
+    if (!verification.valid) {
+      console.warn(`Rejecting webhook: ${verification.reason}`)
+      await recordRejectedWebhook(supabase, {
+        source: 'ghl-webhook-handler',
+        reason: verification.reason!,
+        rawBody,
+        headers: req.headers
+      })
+      
+      return new Response(
+        JSON.stringify({ 
+          error: "Invalid webhook signature",
+          timestamp: new Date().toISOString()
+        }),
+        {
+          status: 401,
+          headers: {
+            "Content-Type": "application/json",
+            ...corsHeaders,
+          },
+        }
+      )
+    }
     
-    // Process based on event type
-    if (eventType === 'conversation.message.created') {
-      await processConversationMessage(supabase, payload)
-    } else {
+    // Parse the webhook payload
+    const payload = JSON.parse(rawBody)
+    console.log('Received webhook payload:', JSON.stringify(payload, null, 2))
+    
+    // Normalize either GHL payload shape into one event
+    const result = normalizeGHLWebhook(payload)
+    const eventType = payload.type || payload.event || 'unknown'
+    
+    if (result.kind === 'message') {
+      console.log(`Processing ${eventType} event for location ${result.event.location_id}`)
+      await processConversationMessage(supabase, result.event, payload)
+    } else if (result.kind === 'lifecycle') {
+      console.log(`Processing ${eventType} lifecycle event`)
+      await handleLifecycleEvent(supabase, result.event, {
+        clientId: Deno.env.get('GHL_MARKETPLACE_CLIENT_ID')
+      })
+    } else if (result.kind === 'ignored') {
       console.log(`Ignoring unsupported event type: ${eventType}`)
+    } else {
+      // Unknown or incomplete shape: keep it for inspection instead of dropping it
+      console.warn(`Quarantining ${eventType} webhook: ${result.reason}`, result.missingFields || '')
+      await quarantineWebhook(supabase, {
+        source: 'ghl-webhook-handler',
+        result,
+        payload
+      })
     }
     
     return new Response(
@@ -44,6 +100,7 @@ Deno.serve(async (req: Request) => {
         success: true, 
         message: "Webhook received and processed",
         event: eventType,
+        outcome: result.kind,
         timestamp: new Date().toISOString()
       }),
       {
@@ -76,70 +133,23 @@ Deno.serve(async (req: Request) => {
   }
 })
 
-async function processConversationMessage(supabase: any, payload: any) {
+async function processConversationMessage(supabase: any, event: any, payload: any) {
   try {
     console.log('Processing conversation message')
     
-    // Extract message data
-    const message = payload.message || {}
-    const conversation = payload.conversation || {}
-    const contact = payload.contact || {}
-    
-    // Extract required fields
-    const locationId = payload.locationId || conversation.locationId || null
-    const conversationId = conversation.id || message.conversationId || null
-    const contactId = contact.id || conversation.contactId || null
-    const messageId = message.id || null
-    const messageType = message.type || 'unknown'
-    const direction = message.direction || 'unknown'
-    const body = message.body || null
-    const dateAdded = message.dateAdded || message.createdAt || new Date().toISOString()
-    
-    // Validate required fields
-    if (!locationId || !conversationId) {
-      throw new Error('Missing required fields: locationId and conversationId')
-    }
-    
-    console.log('Extracted message data:', {
-      locationId,
-      conversationId,
-      contactId,
-      messageId,
-      messageType,
-      direction,
-      body: body ? body.substring(0, 50) + '...' : null,
-      dateAdded
+    const record = toConversationRecord(event, payload)
+    
+    console.log('Normalized message data:', {
+      locationId: record.location_id,
+      conversationId: record.conversation_id,
+      contactId: record.contact_id,
+      messageId: record.message_id,
+      messageType: record.message_type,
+      direction: record.direction,
+      body: record.body ? record.body.substring(0, 50) + '...' : null,
+      dateAdded: record.date_added
     })
     
-    // Prepare record for insertion
-    const record = {
-      location_id: locationId,
-      conversation_id: conversationId,
-      contact_id: contactId,
-      message_id: messageId,
-      message_type: messageType,
-      direction,
-      body,
-      date_added: dateAdded,
-      webhook_received_at: new Date().toISOString(),
-      raw_webhook_data: payload,
-      processed: false
-    }
-    
-    // Add message-type specific fields
-    if (messageType === 'EMAIL') {
-      record.email_message_id = message.emailMessageId || null
-      record.email_thread_id = message.emailThreadId || null
-      record.email_from = message.from || null
-      record.email_to = message.to || null
-      record.email_cc = message.cc || null
-      record.email_bcc = message.bcc || null
-      record.email_subject = message.subject || null
-    } else if (messageType === 'CALL') {
-      record.call_duration = message.duration || null
-      record.call_status = message.status || null
-    }
-    
     // Insert into database
     console.log('Inserting message into database')
     const { data, error } = await supabase
@@ -154,12 +164,13 @@ async function processConversationMessage(supabase: any, payload: any) {
     
     console.log('✅ Message inserted successfully:', data?.[0]?.id || 'unknown ID')
     
-    // If this is an inbound message, trigger extraction
-    if (direction === 'inbound') {
-      console.log('Inbound message detected, triggering extraction')
-      await triggerExtraction(supabase, conversationId, locationId, contactId)
+    // Queue extraction if the location's channel policy covers this message
+    const policy = await loadChannelPolicy(supabase, event.location_id)
+    if (shouldTriggerExtraction(event, policy)) {
+      console.log(`${event.direction} ${event.channel} message matches channel policy, queueing extraction`)
+      await enqueueExtraction(supabase, event.conversation_id, event.location_id, event.contact_id)
     } else {
-      console.log('Outbound message, skipping extraction')
+      console.log(`${event.direction} ${event.channel} message not covered by channel policy, skipping extraction`)
     }
     
     return true
@@ -169,67 +180,36 @@ async function processConversationMessage(supabase: any, payload: any) {
   }
 }
 
-async function triggerExtraction(supabase: any, conversationId: string, locationId: string, contactId: string | null) {
-  try {
-    console.log('Triggering extraction for conversation:', conversationId)
-    
-    // Get the Supabase URL
-    const supabaseUrl = Deno.env.get('SUPABASE_URL')!
-    const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
-    
-    // Call the AI extraction payload function
-    const extractionResponse = await fetch(`${supabaseUrl}/functions/v1/ai-extraction-payload`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${supabaseServiceKey}`
-      },
-      body: JSON.stringify({
-        conversation_id: conversationId,
-        location_id: locationId,
-        contact_id: contactId
-      })
-    })
-    
-    if (!extractionResponse.ok) {
-      const errorText = await extractionResponse.text()
-      console.error('Extraction failed:', errorText)
-      
-      // Update the conversation record to mark as processed with error
-      await supabase
-        .from('ghl_conversations')
-        .update({
-          processed: true,
-          processing_error: `Extraction failed: ${extractionResponse.status} - ${errorText.substring(0, 200)}`,
-          updated_at: new Date().toISOString()
-        })
-        .eq('conversation_id', conversationId)
-        .eq('message_id', messageId)
-      
-      return false
-    }
-    
-    console.log('✅ Extraction triggered successfully')
-    return true
-  } catch (error) {
-    console.error('Error triggering extraction:', error)
-    
-    // Try to update the conversation record with the error
-    try {
-      await supabase
-        .from('ghl_conversations')
-        .update({
-          processed: true,
-          processing_error: `Error triggering extraction: ${error.message}`,
-          updated_at: new Date().toISOString()
-        })
-        .eq('conversation_id', conversationId)
-      
-      console.log('Updated conversation record with error')
-    } catch (updateError) {
-      console.error('Failed to update conversation record with error:', updateError)
-    }
-    
-    return false
+// Queue the conversation for extraction. The process-extraction-jobs worker
+// runs the pipeline with retries, so the webhook can return without waiting on it.
+// Messages in a burst fold into one pending job whose start slides with the
+// location's quiet window, so five quick SMS cost one extraction, not five.
+async function enqueueExtraction(supabase: any, conversationId: string, locationId: string, contactId: string | null) {
+  console.log('Enqueuing extraction for conversation:', conversationId)
+  
+  const { data, error } = await supabase.rpc('enqueue_extraction_job', {
+    p_location_id: locationId,
+    p_conversation_id: conversationId,
+    p_contact_id: contactId
+  })
+  
+  if (error) {
+    console.error('Error enqueuing extraction job:', error)
+    throw new Error(`Failed to enqueue extraction: ${error.message}`)
+  }
+  
+  const job = data?.[0]
+  console.log('✅ Extraction job queued:', job?.job_id, 'due at', job?.run_after)
+  
+  // With a quiet window the job is not due yet; the scheduled worker run picks it up
+  if (job && new Date(job.run_after).getTime() <= Date.now()) {
+    kickJobWorker()
   }
-}
\ No newline at end of file
+  return job?.job_id
+}
+
+// Nudge the worker so the job runs now rather than on the next cron tick.
+// Not awaited: if this fails the scheduled run still picks the job up.
+function kickJobWorker() {
+  invokeInBackground('process-extraction-jobs', {})
+}
@@ -122,7 +122,8 @@ async function handleGetLicensedLocations(supabase: any, req: Request) {
       success: true,
       agency_permissions: agencyPerms,
       licensed_locations: licensedLocations || [],
-      current_count: licensedLocations?.length || 0,
+      // Seats freed by deactivation or uninstall do not count against the limit
+      current_count: licensedLocations?.filter(location => location.is_active).length || 0,
       max_locations: agencyPerms?.max_locations || 0,
       agency_tier: agencyPerms?.agency_tier || 'Tier 1'
     }),
@@ -1,4 +1,5 @@
 import { createClient } from 'npm:@supabase/supabase-js@2'
+import { ghlTokenColumns } from "../_shared/ghl-tokens.ts"
 
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
@@ -196,8 +197,6 @@ async function saveGHLConfiguration(supabase: any, tokenData: TokenResponse, sta
     ghl_user_type: tokenData.userType,
     agency_ghl_id: tokenData.companyId,
     client_id: Deno.env.get('GHL_MARKETPLACE_CLIENT_ID'),
-    access_token: tokenData.access_token,
-    refresh_token: tokenData.refresh_token,
     token_expires_at: expiresAt,
     business_name: `GHL ${tokenData.userType} - ${resourceId}`,
     business_description: 'OAuth installation with real GHL access tokens',
@@ -205,12 +204,15 @@ async function saveGHLConfiguration(supabase: any, tokenData: TokenResponse, sta
     created_by: userId
   }
 
+  // Stored encrypted; see _shared/ghl-tokens.ts
+  const tokens = { access_token: tokenData.access_token, refresh_token: tokenData.refresh_token }
+
   console.log('Configuration data prepared:', {
     user_id: configData.user_id,
     ghl_account_id: configData.ghl_account_id,
     business_name: configData.business_name,
-    hasAccessToken: !!configData.access_token,
-    hasRefreshToken: !!configData.refresh_token
+    hasAccessToken: !!tokens.access_token,
+    hasRefreshToken: !!tokens.refresh_token
   })
 
   // Check if configuration already exists
@@ -235,14 +237,20 @@ async function saveGHLConfiguration(supabase: any, tokenData: TokenResponse, sta
       .from('ghl_configurations')
       .update({
         user_id: userId, // Always update with the userId from token
-        access_token: tokenData.access_token,
+        ...(await ghlTokenColumns(existingConfig.id, tokens)),
         ghl_company_id: tokenData.companyId,
         ghl_user_type: tokenData.userType,
         agency_ghl_id: tokenData.companyId,
-        refresh_token: tokenData.refresh_token,
         token_expires_at: expiresAt,
         client_id: Deno.env.get('GHL_MARKETPLACE_CLIENT_ID'),
         business_description: 'OAuth installation with real GHL access tokens - updated',
+        // Reactivates rows provisioned by the INSTALL webhook or deactivated by UNINSTALL
+        is_active: true,
+        uninstalled_at: null,
+        // The new refresh token replaces one the token broker may have found rejected
+        needs_reauth: false,
+        reauth_reason: null,
+        needs_reauth_at: null,
         updated_at: new Date().toISOString(),
         created_by: userId
       })
@@ -265,10 +273,12 @@ async function saveGHLConfiguration(supabase: any, tokenData: TokenResponse, sta
   } else {
     // Insert new configuration
     console.log('Creating new configuration')
-    
+
+    // The id is chosen here because the encrypted tokens are bound to it
+    const configId = crypto.randomUUID()
     const { data: newConfig, error: insertError } = await supabase
       .from('ghl_configurations')
-      .insert(configData)
+      .insert({ ...configData, id: configId, ...(await ghlTokenColumns(configId, tokens)) })
       .select()
       .single()
 
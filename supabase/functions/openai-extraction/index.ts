@@ -1,5 +1,9 @@
 import { createClient } from 'npm:@supabase/supabase-js@2';
-import OpenAI from 'npm:openai';
+import { isRetryableStatus } from "../_shared/retry.ts";
+import { buildFallbackChain, completeWithFallback, selectFallbackChain } from "../_shared/llm-providers.mjs";
+import { decryptSecret, secretContext } from "../_shared/secret-encryption.mjs";
+import { getConfiguredKeyring } from "../_shared/encryption-keys.ts";
+import { applyConfidenceThresholds, buildExtractionSchema, extractEscalation, validateExtraction } from "../_shared/extraction-schema.ts";
 
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
@@ -28,10 +32,14 @@ Deno.serve(async (req) => {
   }
 
   let supabaseClient;
-  let openai;
+  let providerType = null;
+  let openaiModel = null; // Model requested from the provider
+  let keySource = null; // Whose key the call used: 'agency' or 'platform'
+  let llmAttempts = []; // Every call made down the fallback chain
   let usageLogId = null;
   let extractionSuccess = false;
   let errorMessage = null;
+  let failureStatus = 400; // Status returned when extraction fails without throwing
   let responseTimeMs = null;
   let modelUsed = null;
   let inputTokens = 0;
@@ -46,7 +54,7 @@ Deno.serve(async (req) => {
   try {
     console.log('=== OPENAI EXTRACTION REQUEST ===');
     const requestBody = await req.json();
-    const { conversation_id, location_id, agency_ghl_id, contact_id, business_context, fields_to_extract, conversation_history, system_prompt, instructions, response_format } = requestBody;
+    const { conversation_id, location_id, agency_ghl_id, contact_id, business_context, fields_to_extract, stop_triggers = [], conversation_history, history_truncation, system_prompt, prompt_version_id = null, instructions, response_format, dry_run = false } = requestBody;
 
     if (!conversation_id || !location_id || !fields_to_extract || !conversation_history || !system_prompt) {
       throw new Error("Missing required fields in request body.");
@@ -58,62 +66,96 @@ Deno.serve(async (req) => {
     console.log('Agency GHL ID:', agency_ghl_id);
     console.log('Fields to extract count:', fields_to_extract.length);
     console.log('Conversation history messages count:', conversation_history.length);
+    if (dry_run) {
+      console.log('Dry run: the contact will not be updated and no stop trigger will escalate');
+    }
 
     // Initialize Supabase client
     const supabaseUrl = Deno.env.get('SUPABASE_URL');
     const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY');
     supabaseClient = createClient(supabaseUrl, supabaseServiceKey);
 
-    // Determine OpenAI API key to use
-    let openaiApiKey = Deno.env.get('OPENAI_API_KEY');
-    let openaiOrgId = Deno.env.get('OPENAI_ORG_ID');
-    let openaiModel = 'gpt-4o-mini'; // Default model
+    // The platform default provider: LLM_PROVIDER (openai unless set) with the platform
+    // credentials. OPENAI_BASE_URL sends platform calls to another OpenAI-compatible
+    // endpoint, such as scripts/openai-stub-server.mjs for offline evaluation runs.
+    const platformSettings = {
+      provider_type: Deno.env.get('LLM_PROVIDER') || 'openai',
+      api_key: Deno.env.get('OPENAI_API_KEY'),
+      organization: Deno.env.get('OPENAI_ORG_ID'),
+      base_url: Deno.env.get('OPENAI_BASE_URL') || null,
+      model: 'gpt-4o-mini', // Default model
+      mock_response: Deno.env.get('LLM_MOCK_RESPONSE') || null
+    };
+    let agencySettings = null;
+    let agencyChain = null;
+    let agencyKeySnippet = null;
+    let agencyPriceOverride = null;
+    let priceOverride = null;
     let useAgencyKey = false;
 
     if (agency_ghl_id) {
-      console.log('Checking for agency-specific OpenAI key...');
+      console.log('Checking for agency-specific LLM key...');
       const { data: agencyKeyData, error: agencyKeyError } = await supabaseClient
         .from('agency_openai_keys')
-        .select('encrypted_openai_api_key, openai_org_id, openai_model')
+        .select('id, encrypted_openai_api_key, key_hint, openai_org_id, openai_model, provider_type, base_url, deployment_name, api_version, input_price_per_million, output_price_per_million, fallback_chain')
         .eq('agency_ghl_id', agency_ghl_id)
         .eq('is_active', true)
         .maybeSingle();
 
       if (agencyKeyError) {
-        console.warn('Error fetching agency OpenAI key:', agencyKeyError.message);
-      } else if (agencyKeyData && agencyKeyData.encrypted_openai_api_key) {
-        console.log('Using agency-specific OpenAI key.');
-        openaiApiKey = await decryptApiKey(agencyKeyData.encrypted_openai_api_key);
-        openaiOrgId = agencyKeyData.openai_org_id;
-        openaiModel = agencyKeyData.openai_model || openaiModel;
-        console.log(`Using agency-selected model: ${openaiModel}`);
-        useAgencyKey = true;
-        openaiKeyUsed = agencyKeyData.encrypted_openai_api_key.substring(0, 10) + '...'; // Log a snippet
+        console.warn('Error fetching agency LLM key:', agencyKeyError.message);
+      } else if (agencyKeyData) {
+        console.log(`Found agency-specific ${agencyKeyData.provider_type} key.`);
+        agencySettings = {
+          provider_type: agencyKeyData.provider_type,
+          api_key: agencyKeyData.encrypted_openai_api_key ? await decryptAgencyKey(agencyKeyData) : null,
+          organization: agencyKeyData.openai_org_id,
+          base_url: agencyKeyData.base_url,
+          deployment_name: agencyKeyData.deployment_name,
+          api_version: agencyKeyData.api_version,
+          model: agencyKeyData.openai_model || platformSettings.model,
+          mock_response: platformSettings.mock_response
+        };
+        agencyChain = agencyKeyData.fallback_chain;
+        agencyPriceOverride = agencyKeyData.input_price_per_million != null && agencyKeyData.output_price_per_million != null
+          ? { input_price_per_million: agencyKeyData.input_price_per_million, output_price_per_million: agencyKeyData.output_price_per_million }
+          : null;
+        agencyKeySnippet = agencyKeyData.encrypted_openai_api_key
+          ? agencyKeyData.key_hint || '****'
+          : `${agencyKeyData.provider_type} (no key)`;
       } else {
-        console.log('No active agency-specific OpenAI key found, falling back to default.');
+        console.log('No active agency-specific LLM key found, falling back to default.');
       }
     }
 
-    if (!openaiApiKey) {
-      throw new Error("OpenAI API key is not configured.");
+    // A location's fallback chain overrides its agency's
+    const { data: locationConfig, error: locationConfigError } = await supabaseClient
+      .from('ghl_configurations')
+      .select('llm_fallback_chain')
+      .eq('ghl_account_id', location_id)
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (locationConfigError) {
+      console.warn('Error fetching location fallback chain:', locationConfigError.message);
     }
 
-    openai = new OpenAI({
-      apiKey: openaiApiKey,
-      organization: openaiOrgId || undefined
-    });
+    const locationChain = locationConfig?.llm_fallback_chain;
+    const chain = buildFallbackChain(selectFallbackChain(locationChain, agencyChain), agencySettings, platformSettings);
+    console.log('Fallback chain:', chain.map((entry) => `${entry.source}:${entry.settings.provider_type || 'openai'}/${entry.settings.model}`));
 
-    // Construct messages for OpenAI API
-    const messages = [
-      {
-        role: "system",
-        content: system_prompt
-      },
-      ...conversation_history.map((msg) => ({
-        role: msg.role,
-        content: msg.content
-      }))
-    ];
+    // Log the first entry until a call succeeds
+    openaiModel = chain[0].settings.model;
+    providerType = chain[0].settings.provider_type || 'openai';
+    keySource = chain[0].source;
+    openaiKeyUsed = keySource === 'agency' ? agencyKeySnippet : null;
+
+    // Construct the conversation for the model. Message IDs are inlined so the model can
+    // cite the message each value came from.
+    const messages = conversation_history.map((msg) => ({
+      role: msg.role,
+      content: msg.message_id ? `[message_id: ${msg.message_id}] ${msg.content}` : msg.content
+    }));
 
     // Log initial usage record
     const { data: logData, error: logError } = await supabaseClient
@@ -131,8 +173,12 @@ Deno.serve(async (req) => {
         customer_cost_estimate: 0,
         success: false,
         openai_key_used: openaiKeyUsed,
-        extraction_type: 'data_extraction',
-        model_used: openaiModel // Store the model we're actually using
+        extraction_type: dry_run ? 'dry_run' : 'data_extraction',
+        model_used: openaiModel, // Store the model we're actually using
+        provider_type: providerType,
+        key_source: keySource,
+        history_truncation: history_truncation || null, // What the history left out, to explain missed fields
+        prompt_version_id: prompt_version_id // Prompt and configuration this extraction ran with
       })
       .select('id')
       .single();
@@ -145,24 +191,46 @@ Deno.serve(async (req) => {
     usageLogId = logData.id;
     console.log('Usage log created with ID:', usageLogId);
 
-    // Call OpenAI API
-    console.log(`Calling OpenAI Chat Completions API with model: ${openaiModel}...`);
-    const chatCompletion = await openai.chat.completions.create({
-      model: openaiModel,
-      messages: messages,
-      response_format: {
-        type: "json_object"
-      },
-      temperature: 0.1
-    });
+    // Ask for a strict schema built from the configured fields, so the model can only
+    // answer with keys and value types update-ghl-contact can map
+    const extractionSchema = buildExtractionSchema(fields_to_extract, stop_triggers);
+    console.log(`Calling ${providerType} with model: ${openaiModel} (${chain.length} chain entries)...`);
+    let completion;
+    try {
+      const result = await completeWithFallback(chain, {
+        system: system_prompt,
+        messages,
+        jsonSchema: extractionSchema,
+        temperature: 0.1
+      }, {
+        maxRetries: parseInt(Deno.env.get('LLM_RETRIES_PER_MODEL') || '1', 10),
+        maxWaitSeconds: parseInt(Deno.env.get('LLM_RETRY_MAX_WAIT_SECONDS') || '10', 10)
+      });
+      completion = result.completion;
+      llmAttempts = result.attempts;
+
+      // Cost is attributed to whoever's key answered
+      keySource = result.entry.source;
+      useAgencyKey = keySource === 'agency';
+      openaiModel = result.entry.settings.model;
+      providerType = result.entry.settings.provider_type || 'openai';
+      openaiKeyUsed = useAgencyKey ? agencyKeySnippet : null;
+      priceOverride = useAgencyKey ? agencyPriceOverride : null;
+      if (llmAttempts.length > 1) {
+        console.log(`Succeeded on attempt ${llmAttempts.length} with ${keySource} ${providerType}/${openaiModel}`);
+      }
+    } catch (llmError) {
+      llmAttempts = llmError.attempts || llmAttempts;
+      throw llmError;
+    }
 
     responseTimeMs = Date.now() - startTime;
-    modelUsed = chatCompletion.model;
-    inputTokens = chatCompletion.usage?.prompt_tokens || 0;
-    outputTokens = chatCompletion.usage?.completion_tokens || 0;
-    totalTokens = chatCompletion.usage?.total_tokens || 0;
+    modelUsed = completion.model;
+    inputTokens = completion.usage.input_tokens;
+    outputTokens = completion.usage.output_tokens;
+    totalTokens = completion.usage.total_tokens;
 
-    console.log('OpenAI API call successful.');
+    console.log('LLM call successful.');
     console.log('Model:', modelUsed);
     console.log('Tokens:', {
       input: inputTokens,
@@ -173,45 +241,14 @@ Deno.serve(async (req) => {
 
     // Calculate cost estimate based on model and token usage
     try {
-      const { data: pricingData, error: pricingError } = await supabaseClient
-        .from('openai_model_pricing')
-        .select('input_price_per_million, output_price_per_million')
-        .eq('model_id', modelUsed)
-        .maybeSingle();
-
-      if (pricingError) {
-        console.warn('Error fetching model pricing:', pricingError.message);
-        // Use default pricing if we can't get specific pricing
-        costEstimate = (inputTokens / 1000000 * 0.5) + (outputTokens / 1000000 * 1.5);
-      } else if (pricingData) {
-        // Calculate cost using the pricing data
-        const inputCost = (inputTokens / 1000000) * pricingData.input_price_per_million;
-        const outputCost = (outputTokens / 1000000) * pricingData.output_price_per_million;
-        costEstimate = inputCost + outputCost;
-        console.log('Cost calculation:', {
-          model: modelUsed,
-          inputPrice: pricingData.input_price_per_million,
-          outputPrice: pricingData.output_price_per_million,
-          inputCost,
-          outputCost,
-          totalCost: costEstimate
-        });
-      } else {
-        console.warn('No pricing data found for model:', modelUsed);
-        // Use fallback pricing based on model family
-        if (modelUsed.includes('gpt-4o-mini')) {
-          costEstimate = (inputTokens / 1000000 * 0.15) + (outputTokens / 1000000 * 0.60);
-        } else if (modelUsed.includes('gpt-4o')) {
-          costEstimate = (inputTokens / 1000000 * 2.50) + (outputTokens / 1000000 * 10.00);
-        } else if (modelUsed.includes('gpt-4.1-mini')) {
-          costEstimate = (inputTokens / 1000000 * 0.40) + (outputTokens / 1000000 * 1.60);
-        } else if (modelUsed.includes('gpt-4.1')) {
-          costEstimate = (inputTokens / 1000000 * 2.00) + (outputTokens / 1000000 * 8.00);
-        } else {
-          // Default fallback pricing
-          costEstimate = (inputTokens / 1000000 * 1.00) + (outputTokens / 1000000 * 3.00);
-        }
-      }
+      costEstimate = await estimateCost(supabaseClient, {
+        providerType,
+        modelUsed,
+        requestedModel: openaiModel,
+        priceOverride,
+        inputTokens,
+        outputTokens
+      });
     } catch (costError) {
       console.error('Error calculating cost:', costError);
       // Simple fallback calculation
@@ -229,13 +266,47 @@ Deno.serve(async (req) => {
       useAgencyKey
     });
 
-    const extractedDataString = chatCompletion.choices[0].message.content;
+    const extractedDataString = completion.content;
     let extractedData = {};
-
-    if (extractedDataString) {
+    let validationErrors = [];
+    let fieldEvidence = {};
+    let reviewKeys = [];
+    let escalation = null;
+    let updatePlan = null;
+
+    if (completion.refusal) {
+      errorMessage = `AI refused the extraction: ${completion.refusal}`;
+      extractionSuccess = false;
+    } else if (extractedDataString) {
       try {
-        extractedData = JSON.parse(extractedDataString);
+        // The escalation object is not a contact field; take it out before validation
+        const parsed = extractEscalation(JSON.parse(extractedDataString), stop_triggers);
+        escalation = parsed.escalation;
+
+        // Validate against the same field definitions before any contact write
+        const validation = validateExtraction(parsed.data, fields_to_extract);
+        validationErrors = validation.errors;
+        fieldEvidence = validation.evidence;
         extractionSuccess = true;
+
+        if (validationErrors.length > 0) {
+          console.warn(`${validationErrors.length} extracted field(s) failed validation and will not be written:`);
+          validationErrors.forEach((validationError) => {
+            console.warn(`  - ${validationError.field}: ${validationError.error} (got ${JSON.stringify(validationError.value)})`);
+          });
+        }
+
+        // Fields with a minimum confidence drop or queue for review anything below it
+        const thresholds = applyConfidenceThresholds(validation.validData, fieldEvidence, fields_to_extract);
+        extractedData = thresholds.writeData;
+        reviewKeys = thresholds.reviewKeys;
+
+        if (thresholds.skippedKeys.length > 0 || reviewKeys.length > 0) {
+          console.log('Low-confidence values:', {
+            skipped: thresholds.skippedKeys,
+            sent_to_review: reviewKeys
+          });
+        }
       } catch (parseError) {
         console.error('Error parsing extracted data JSON:', parseError);
         errorMessage = `Failed to parse AI response: ${parseError.message}`;
@@ -246,9 +317,9 @@ Deno.serve(async (req) => {
       extractionSuccess = false;
     }
 
-    // Update GHL contact with extracted data
+    // Update GHL contact with extracted data (a dry run only asks for the update plan)
     if (extractionSuccess && Object.keys(extractedData).length > 0) {
-      console.log('Updating GHL contact with extracted data...');
+      console.log(dry_run ? 'Computing update plan for extracted data...' : 'Updating GHL contact with extracted data...');
       const updateContactResponse = await fetch(`${supabaseUrl}/functions/v1/update-ghl-contact`, {
         method: 'POST',
         headers: {
@@ -259,7 +330,11 @@ Deno.serve(async (req) => {
           ghl_contact_id: contact_id,
           location_id: location_id,
           conversation_id: conversation_id,
-          extracted_data: extractedData
+          extracted_data: extractedData,
+          force_review: reviewKeys,
+          field_evidence: fieldEvidence,
+          usage_log_id: usageLogId,
+          dry_run
         })
       });
 
@@ -268,18 +343,61 @@ Deno.serve(async (req) => {
         console.error('Error updating GHL contact:', errorText);
         errorMessage = `Failed to update GHL contact: ${updateContactResponse.status} - ${errorText}`;
         extractionSuccess = false;
+        failureStatus = isRetryableStatus(updateContactResponse.status) ? 502 : 400;
       } else {
-        console.log('GHL contact updated successfully.');
+        const updateResult = await updateContactResponse.json();
+        console.log(dry_run ? 'Update plan computed.' : 'GHL contact updated successfully.');
+        recordUpdateOutcomes(fieldEvidence, updateResult);
+        if (dry_run) {
+          updatePlan = updateResult;
+        }
       }
-    } else if (extractionSuccess && Object.keys(extractedData).length === 0) {
+    } else if (extractionSuccess && Object.keys(fieldEvidence).length > 0) {
+      console.log('All extracted values were invalid or below their confidence thresholds.');
+    } else if (extractionSuccess) {
       console.log('No data extracted by AI.');
       errorMessage = "AI extracted no data.";
     }
 
+    // Hand a fired stop trigger to escalate-conversation. Escalation is best effort:
+    // the extraction itself succeeded, so a failure here is only logged.
+    if (escalation && dry_run) {
+      console.log(`Dry run: stop trigger ${escalation.trigger.name} would fire`, escalation.reason);
+    } else if (escalation) {
+      console.log(`Stop trigger fired: ${escalation.trigger.name}`, escalation.reason);
+      try {
+        const escalateResponse = await fetch(`${supabaseUrl}/functions/v1/escalate-conversation`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${supabaseServiceKey}`
+          },
+          body: JSON.stringify({
+            location_id: location_id,
+            contact_id: contact_id,
+            conversation_id: conversation_id,
+            stop_trigger_id: escalation.trigger.id,
+            reason: escalation.reason,
+            usage_log_id: usageLogId
+          })
+        });
+
+        if (!escalateResponse.ok) {
+          console.error('Error escalating conversation:', await escalateResponse.text());
+        }
+      } catch (escalateError) {
+        console.error('Error escalating conversation:', escalateError);
+      }
+    }
+
     // Final update to usage log
     await updateUsageLog(supabaseClient, usageLogId, {
       model: modelUsed,
-      model_used: openaiModel, // Store the model we requested (may differ from what OpenAI returned)
+      model_used: openaiModel, // Store the model we requested (may differ from what the provider returned)
+      provider_type: providerType,
+      key_source: keySource,
+      llm_attempts: llmAttempts,
+      successful_attempt: llmAttempts.length,
       input_tokens: inputTokens,
       output_tokens: outputTokens,
       total_tokens: totalTokens,
@@ -289,15 +407,24 @@ Deno.serve(async (req) => {
       success: extractionSuccess,
       error_message: errorMessage,
       response_time_ms: responseTimeMs,
-      openai_key_used: openaiKeyUsed
+      openai_key_used: openaiKeyUsed,
+      validation_errors: validationErrors.length > 0 ? validationErrors : null,
+      field_evidence: Object.keys(fieldEvidence).length > 0 ? fieldEvidence : null
     });
 
     return new Response(JSON.stringify({
       success: extractionSuccess,
       extracted_data: extractedData,
+      validation_errors: validationErrors,
+      field_evidence: fieldEvidence,
+      escalation: escalation ? { trigger_name: escalation.trigger.name, reason: escalation.reason } : null,
+      ...(dry_run ? { dry_run: true, raw_output: extractedDataString || null, update_plan: updatePlan } : {}),
       usage: {
         model: modelUsed,
         requested_model: openaiModel,
+        provider_type: providerType,
+        key_source: keySource,
+        attempts: llmAttempts.length,
         input_tokens: inputTokens,
         output_tokens: outputTokens,
         total_tokens: totalTokens,
@@ -307,7 +434,7 @@ Deno.serve(async (req) => {
       usage_log_id: usageLogId,
       error: errorMessage
     }), {
-      status: extractionSuccess ? 200 : 400,
+      status: extractionSuccess ? 200 : failureStatus,
       headers: {
         "Content-Type": "application/json",
         ...corsHeaders
@@ -325,6 +452,7 @@ Deno.serve(async (req) => {
       await updateUsageLog(supabaseClient, usageLogId, {
         model: modelUsed || 'unknown',
         model_used: openaiModel || 'unknown', // Store the model we attempted to use
+        llm_attempts: llmAttempts.length > 0 ? llmAttempts : null,
         input_tokens: inputTokens,
         output_tokens: outputTokens,
         total_tokens: totalTokens,
@@ -338,31 +466,123 @@ Deno.serve(async (req) => {
       });
     }
 
+    // Provider errors carry the API status (e.g. 429 rate limit) and Retry-After header;
+    // pass them through so the job worker can back off instead of giving up
+    const status = error.status || 500;
+    const retryAfter = (typeof error.headers?.get === 'function'
+      ? error.headers.get('retry-after')
+      : error.headers?.['retry-after']) || null;
+
     return new Response(JSON.stringify({
       success: false,
       error: `OpenAI extraction failed: ${error.message}`,
       details: error.toString(),
+      retryable: isRetryableStatus(status),
       stack: error.stack
     }), {
-      status: 500,
+      status,
       headers: {
         "Content-Type": "application/json",
+        ...(retryAfter ? { "Retry-After": retryAfter } : {}),
         ...corsHeaders
       }
     });
   }
 });
 
-// Helper function to decrypt API key (placeholder for actual decryption logic)
-async function decryptApiKey(encryptedKey) {
-  // This is a placeholder. In a real application, you would use a secure key management system.
-  // For now, assuming it's base64 encoded for simplicity.
-  try {
-    return atob(encryptedKey);
-  } catch (e) {
-    console.error('Failed to base64 decode API key:', e);
-    return encryptedKey; // Return as is if not base64
+// Prices a completion per million tokens. In order: the agency's own prices for its key
+// (self-hosted and Azure deployments are billed however the agency's contract says),
+// openai_model_pricing for the model that answered, then for the model requested (Azure
+// reports the base model, compatible servers often report a local name), then family
+// fallbacks. The mock provider is free.
+async function estimateCost(supabaseClient, { providerType, modelUsed, requestedModel, priceOverride, inputTokens, outputTokens }) {
+  if (providerType === 'mock') {
+    return 0;
+  }
+
+  const costFor = (pricing) =>
+    (inputTokens / 1000000) * pricing.input_price_per_million + (outputTokens / 1000000) * pricing.output_price_per_million;
+
+  if (priceOverride) {
+    console.log('Cost calculation with agency prices:', priceOverride);
+    return costFor(priceOverride);
+  }
+
+  const candidates = [...new Set([modelUsed, requestedModel].filter(Boolean))];
+  const { data: pricingRows, error: pricingError } = await supabaseClient
+    .from('openai_model_pricing')
+    .select('model_id, input_price_per_million, output_price_per_million')
+    .in('model_id', candidates);
+
+  if (pricingError) {
+    console.warn('Error fetching model pricing:', pricingError.message);
+    // Use default pricing if we can't get specific pricing
+    return (inputTokens / 1000000 * 0.5) + (outputTokens / 1000000 * 1.5);
+  }
+
+  for (const candidate of candidates) {
+    const pricingData = (pricingRows || []).find((row) => row.model_id === candidate);
+    if (pricingData) {
+      const cost = costFor(pricingData);
+      console.log('Cost calculation:', {
+        model: candidate,
+        inputPrice: pricingData.input_price_per_million,
+        outputPrice: pricingData.output_price_per_million,
+        totalCost: cost
+      });
+      return cost;
+    }
+  }
+
+  console.warn('No pricing data found for model:', candidates.join(', '));
+  // Use fallback pricing based on model family
+  const family = candidates.join(' ');
+  if (family.includes('gpt-4o-mini')) {
+    return (inputTokens / 1000000 * 0.15) + (outputTokens / 1000000 * 0.60);
+  } else if (family.includes('gpt-4o')) {
+    return (inputTokens / 1000000 * 2.50) + (outputTokens / 1000000 * 10.00);
+  } else if (family.includes('gpt-4.1-mini')) {
+    return (inputTokens / 1000000 * 0.40) + (outputTokens / 1000000 * 1.60);
+  } else if (family.includes('gpt-4.1')) {
+    return (inputTokens / 1000000 * 2.00) + (outputTokens / 1000000 * 8.00);
+  } else if (family.includes('haiku')) {
+    return (inputTokens / 1000000 * 0.80) + (outputTokens / 1000000 * 4.00);
+  } else if (family.includes('claude')) {
+    return (inputTokens / 1000000 * 3.00) + (outputTokens / 1000000 * 15.00);
+  }
+  // Default fallback pricing
+  return (inputTokens / 1000000 * 1.00) + (outputTokens / 1000000 * 3.00);
+}
+
+// Decrypts an agency key record's API key. Rows saved before encryption are plain base64
+// and are refused once ENCRYPTION_MASTER_KEYS is set, until rotate-encryption-keys encrypts them.
+async function decryptAgencyKey(keyData) {
+  return decryptSecret(keyData.encrypted_openai_api_key, await getConfiguredKeyring(), secretContext('agency_openai_keys', keyData.id));
+}
+
+// Marks each value with what update-ghl-contact did with it
+function recordUpdateOutcomes(fieldEvidence, updateResult) {
+  const outcomes = [
+    ['written', updateResult.updated_fields],
+    ['review', updateResult.review_fields],
+    ['skipped_by_policy', updateResult.skipped_fields],
+    ['rejected', (updateResult.rejected_fields || []).map((rejected) => rejected.field)]
+  ];
+
+  for (const [outcome, keys] of outcomes) {
+    (keys || []).forEach((key) => {
+      if (fieldEvidence[key] && !fieldEvidence[key].outcome) {
+        fieldEvidence[key].outcome = outcome;
+      }
+    });
   }
+
+  // Keep the normalizer's reason so the log explains why a value never reached the contact
+  (updateResult.rejected_fields || []).forEach((rejected) => {
+    if (fieldEvidence[rejected.field]) {
+      fieldEvidence[rejected.field].reason = rejected.reason;
+    }
+  });
 }
 
 async function updateUsageLog(supabase, logId, updates) {
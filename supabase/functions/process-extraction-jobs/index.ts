@@ -0,0 +1,227 @@
+import { createClient } from 'npm:@supabase/supabase-js@2'
+import { computeBackoffSeconds, isRetryableStatus } from "../_shared/retry.ts"
+import { isServiceRoleRequest } from "../_shared/caller-auth.ts"
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+}
+
+const DEFAULT_BATCH_SIZE = parseInt(Deno.env.get('EXTRACTION_JOB_BATCH_SIZE') || '5', 10)
+
+// Drains the extraction_jobs queue. Invoked by the webhook handler after it
+// enqueues a job, and on a schedule (Supabase cron) to pick up retries. Both send the
+// service role key, which is required.
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") {
+    return new Response(null, {
+      status: 200,
+      headers: corsHeaders,
+    })
+  }
+
+  if (req.method !== "POST") {
+    return new Response(
+      JSON.stringify({ error: "Method not allowed. Use POST." }),
+      {
+        status: 405,
+        headers: {
+          "Content-Type": "application/json",
+          ...corsHeaders,
+        },
+      }
+    )
+  }
+
+  if (!isServiceRoleRequest(req)) {
+    return new Response(
+      JSON.stringify({ error: "This function requires the service role key" }),
+      {
+        status: 403,
+        headers: {
+          "Content-Type": "application/json",
+          ...corsHeaders,
+        },
+      }
+    )
+  }
+
+  try {
+    console.log('=== PROCESS EXTRACTION JOBS ===')
+
+    let requestBody: any = {}
+    try {
+      requestBody = await req.json()
+    } catch (_error) {
+      // Cron invocations may send an empty body
+    }
+    const batchSize = requestBody.batch_size || DEFAULT_BATCH_SIZE
+
+    // Initialize Supabase client
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+    const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+    const supabase = createClient(supabaseUrl, supabaseServiceKey)
+
+    const workerId = crypto.randomUUID()
+
+    // Step 1: Claim due jobs
+    console.log(`Step 1: Claiming up to ${batchSize} jobs as worker ${workerId}...`)
+    const { data: jobs, error: claimError } = await supabase.rpc('claim_extraction_jobs', {
+      p_worker_id: workerId,
+      p_batch_size: batchSize
+    })
+
+    if (claimError) {
+      throw new Error(`Failed to claim jobs: ${claimError.message}`)
+    }
+
+    console.log(`Claimed ${jobs?.length || 0} jobs`)
+
+    // Step 2: Run each job through the extraction pipeline
+    const results = []
+    for (const job of jobs || []) {
+      results.push(await processJob(supabase, supabaseUrl, supabaseServiceKey, workerId, job))
+    }
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        worker_id: workerId,
+        claimed: results.length,
+        completed: results.filter(r => r.status === 'completed').length,
+        retrying: results.filter(r => r.status === 'pending').length,
+        dead: results.filter(r => r.status === 'dead').length,
+        results,
+        timestamp: new Date().toISOString()
+      }),
+      {
+        status: 200,
+        headers: {
+          "Content-Type": "application/json",
+          ...corsHeaders,
+        },
+      }
+    )
+  } catch (error) {
+    console.error("=== PROCESS EXTRACTION JOBS ERROR ===")
+    console.error("Error message:", error.message)
+    console.error("Stack trace:", error.stack)
+
+    return new Response(
+      JSON.stringify({
+        error: `Failed to process extraction jobs: ${error.message}`,
+        details: error.toString(),
+        timestamp: new Date().toISOString()
+      }),
+      {
+        status: 500,
+        headers: {
+          "Content-Type": "application/json",
+          ...corsHeaders,
+        },
+      }
+    )
+  }
+})
+
+async function processJob(supabase: any, supabaseUrl: string, supabaseServiceKey: string, workerId: string, job: any) {
+  console.log(`Processing job ${job.id} (attempt ${job.attempts}/${job.max_attempts}) for conversation ${job.conversation_id}`)
+
+  let statusCode: number | null = null
+  let retryAfter: string | null = null
+  let errorText: string
+
+  try {
+    const response = await fetch(`${supabaseUrl}/functions/v1/ai-extraction-payload`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${supabaseServiceKey}`
+      },
+      body: JSON.stringify({
+        conversation_id: job.conversation_id,
+        location_id: job.location_id,
+        contact_id: job.contact_id
+      })
+    })
+
+    if (response.ok) {
+      const result = await response.json()
+
+      const { data: stillHeld, error: completeError } = await supabase.rpc('complete_extraction_job', {
+        p_job_id: job.id,
+        p_worker_id: workerId,
+        p_result: {
+          extracted_fields: Object.keys(result.extraction_result?.extracted_data || {}),
+          usage_log_id: result.extraction_result?.usage_log_id || null
+        }
+      })
+
+      if (completeError) {
+        console.error(`Failed to mark job ${job.id} completed:`, completeError)
+      } else if (!stillHeld) {
+        // The lock timed out mid-run; the worker that reclaimed the job records its outcome
+        console.warn(`Job ${job.id} finished after its lock was reclaimed; leaving it to the new worker`)
+        return { job_id: job.id, status: 'lock_lost' }
+      }
+
+      console.log(`✅ Job ${job.id} completed`)
+      return { job_id: job.id, status: 'completed' }
+    }
+
+    statusCode = response.status
+    retryAfter = response.headers.get('retry-after')
+    errorText = `${response.status} - ${(await response.text()).substring(0, 1000)}`
+  } catch (error) {
+    // Network failure or timeout reaching the pipeline; always worth retrying
+    errorText = `Error calling extraction pipeline: ${error.message}`
+  }
+
+  const retryInSeconds = isRetryableStatus(statusCode)
+    ? computeBackoffSeconds(job.attempts, retryAfter)
+    : null
+
+  const { data: newStatus, error: failError } = await supabase.rpc('fail_extraction_job', {
+    p_job_id: job.id,
+    p_worker_id: workerId,
+    p_error: errorText,
+    p_status_code: statusCode,
+    p_retry_in_seconds: retryInSeconds
+  })
+
+  if (failError) {
+    // The job stays in processing and is reclaimed once its lock times out
+    console.error(`Failed to record failure for job ${job.id}:`, failError)
+    return { job_id: job.id, status: 'processing', error: errorText }
+  }
+
+  if (newStatus === null) {
+    console.warn(`Job ${job.id} failed after its lock was reclaimed; leaving it to the new worker`)
+    return { job_id: job.id, status: 'lock_lost', error: errorText }
+  }
+
+  if (newStatus === 'dead') {
+    console.error(`Job ${job.id} moved to dead-letter after ${job.attempts} attempts: ${errorText}`)
+
+    // Surface the final failure on the conversation, as the direct trigger used to
+    const { error: updateError } = await supabase
+      .from('ghl_conversations')
+      .update({
+        processed: true,
+        processing_error: `Extraction failed after ${job.attempts} attempts: ${errorText.substring(0, 200)}`,
+        updated_at: new Date().toISOString()
+      })
+      .eq('conversation_id', job.conversation_id)
+
+    if (updateError) {
+      console.error('Failed to update conversation record with error:', updateError)
+    }
+  } else if (newStatus === 'pending') {
+    console.warn(`Job ${job.id} failed (${errorText.substring(0, 200)}), retrying in ${retryInSeconds}s`)
+  } else {
+    console.log(`Job ${job.id} failed and was superseded by a newer job for the same conversation`)
+  }
+
+  return { job_id: job.id, status: newStatus, error: errorText, retry_in_seconds: retryInSeconds }
+}
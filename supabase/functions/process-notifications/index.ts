@@ -0,0 +1,402 @@
+import { createClient } from 'npm:@supabase/supabase-js@2'
+import nodemailer from 'npm:nodemailer@6'
+import { computeBackoffSeconds, isRetryableStatus } from "../_shared/retry.ts"
+import { GhlTokenError, readGhlTokens, refreshGhlTokens } from "../_shared/ghl-tokens.ts"
+import { isServiceRoleRequest } from "../_shared/caller-auth.ts"
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+}
+
+const DEFAULT_BATCH_SIZE = parseInt(Deno.env.get('NOTIFICATION_BATCH_SIZE') || '10', 10)
+const WEBHOOK_TIMEOUT_MS = 10000
+
+// A failed delivery attempt, with the HTTP status when the channel returned one
+class DeliveryError extends Error {
+  status: number | null
+  retryAfter: string | null
+
+  constructor(message: string, status: number | null = null, retryAfter: string | null = null) {
+    super(message)
+    this.name = 'DeliveryError'
+    this.status = status
+    this.retryAfter = retryAfter
+  }
+}
+
+// Sends the notifications queued in notification_deliveries. Invoked by update-ghl-contact
+// after it queues one, and on a schedule (Supabase cron) to pick up retries and
+// deliveries queued by the Lambda updater. Both send the service role key, which is required.
+//
+// Channels:
+//   email    - SMTP (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_FROM) to channel_config.to
+//   webhook  - JSON POST to channel_config.url, signed with HMAC-SHA256 of channel_config.secret
+//   ghl_task - GHL task on the contact, optionally assigned to channel_config.assigned_to
+//   ghl_note - GHL note on the contact
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") {
+    return new Response(null, {
+      status: 200,
+      headers: corsHeaders,
+    })
+  }
+
+  if (req.method !== "POST") {
+    return jsonResponse({ error: "Method not allowed. Use POST." }, 405)
+  }
+
+  if (!isServiceRoleRequest(req)) {
+    return jsonResponse({ error: "This function requires the service role key" }, 403)
+  }
+
+  try {
+    console.log('=== PROCESS NOTIFICATIONS ===')
+
+    let requestBody: any = {}
+    try {
+      requestBody = await req.json()
+    } catch (_error) {
+      // Cron invocations may send an empty body
+    }
+    const batchSize = requestBody.batch_size || DEFAULT_BATCH_SIZE
+
+    // Initialize Supabase client
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+    const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+    const supabase = createClient(supabaseUrl, supabaseServiceKey)
+
+    const workerId = crypto.randomUUID()
+
+    // Step 1: Claim due deliveries
+    console.log(`Step 1: Claiming up to ${batchSize} deliveries as worker ${workerId}...`)
+    const { data: deliveries, error: claimError } = await supabase.rpc('claim_notification_deliveries', {
+      p_worker_id: workerId,
+      p_batch_size: batchSize
+    })
+
+    if (claimError) {
+      throw new Error(`Failed to claim deliveries: ${claimError.message}`)
+    }
+
+    console.log(`Claimed ${deliveries?.length || 0} deliveries`)
+
+    // Step 2: Send each one; GHL configurations are shared across a batch
+    const configs = new Map<string, any>()
+    const results = []
+    for (const delivery of deliveries || []) {
+      results.push(await processDelivery(supabase, configs, delivery))
+    }
+
+    return jsonResponse({
+      success: true,
+      worker_id: workerId,
+      claimed: results.length,
+      delivered: results.filter(r => r.status === 'delivered').length,
+      retrying: results.filter(r => r.status === 'pending').length,
+      dead: results.filter(r => r.status === 'dead').length,
+      results,
+      timestamp: new Date().toISOString()
+    })
+  } catch (error) {
+    console.error("=== PROCESS NOTIFICATIONS ERROR ===")
+    console.error("Error message:", error.message)
+    console.error("Stack trace:", error.stack)
+
+    return jsonResponse({
+      error: `Failed to process notifications: ${error.message}`,
+      details: error.toString(),
+      timestamp: new Date().toISOString()
+    }, 500)
+  }
+})
+
+function jsonResponse(body: any, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      "Content-Type": "application/json",
+      ...corsHeaders,
+    },
+  })
+}
+
+async function processDelivery(supabase: any, configs: Map<string, any>, delivery: any) {
+  console.log(`Sending ${delivery.channel} notification ${delivery.id} (attempt ${delivery.attempts}/${delivery.max_attempts}): ${delivery.trigger_name}`)
+
+  try {
+    switch (delivery.channel) {
+      case 'email':
+        await sendEmail(delivery)
+        break
+      case 'webhook':
+        await sendWebhook(delivery)
+        break
+      case 'ghl_task':
+      case 'ghl_note':
+        await sendGHLNotification(supabase, configs, delivery)
+        break
+      default:
+        throw new DeliveryError(`Unknown channel: ${delivery.channel}`, 400)
+    }
+  } catch (error) {
+    return await failDelivery(supabase, delivery, error)
+  }
+
+  const { error: updateError } = await supabase
+    .from('notification_deliveries')
+    .update({
+      status: 'delivered',
+      delivered_at: new Date().toISOString(),
+      locked_at: null,
+      locked_by: null,
+      last_error: null
+    })
+    .eq('id', delivery.id)
+
+  if (updateError) {
+    console.error(`Failed to mark delivery ${delivery.id} delivered:`, updateError)
+  }
+
+  console.log(`✅ Delivery ${delivery.id} sent`)
+  return { delivery_id: delivery.id, status: 'delivered' }
+}
+
+// Schedules a retry with backoff, or dead-letters the delivery when the failure
+// will not go away (4xx, missing settings) or it has used up its attempts
+async function failDelivery(supabase: any, delivery: any, error: any) {
+  const statusCode = error instanceof DeliveryError ? error.status : null
+  const retryAfter = error instanceof DeliveryError ? error.retryAfter : null
+  const errorText = String(error.message).substring(0, 1000)
+
+  const retryable = isRetryableStatus(statusCode) && delivery.attempts < delivery.max_attempts
+  const retryInSeconds = retryable ? computeBackoffSeconds(delivery.attempts, retryAfter) : null
+  const status = retryable ? 'pending' : 'dead'
+
+  const { error: updateError } = await supabase
+    .from('notification_deliveries')
+    .update({
+      status,
+      run_after: retryable ? new Date(Date.now() + retryInSeconds! * 1000).toISOString() : delivery.run_after,
+      locked_at: null,
+      locked_by: null,
+      last_error: errorText,
+      last_status_code: statusCode
+    })
+    .eq('id', delivery.id)
+
+  if (updateError) {
+    // The delivery stays in processing and is reclaimed once its lock times out
+    console.error(`Failed to record failure for delivery ${delivery.id}:`, updateError)
+    return { delivery_id: delivery.id, status: 'processing', error: errorText }
+  }
+
+  if (status === 'dead') {
+    console.error(`Delivery ${delivery.id} gave up after ${delivery.attempts} attempts: ${errorText}`)
+  } else {
+    console.warn(`Delivery ${delivery.id} failed (${errorText.substring(0, 200)}), retrying in ${retryInSeconds}s`)
+  }
+
+  return { delivery_id: delivery.id, status, error: errorText, retry_in_seconds: retryInSeconds }
+}
+
+// Plain-text summary shared by the email, task and note channels
+function formatNotificationText(delivery: any) {
+  const payload = delivery.payload || {}
+  const lines = (payload.fields || []).map((field: any) => {
+    const value = Array.isArray(field.value) ? field.value.join(', ') : field.value
+    return `${field.name}: ${value}`
+  })
+
+  return [
+    `Notification rule "${delivery.trigger_name}" matched contact ${delivery.contact_id}.`,
+    '',
+    'Extracted values:',
+    ...lines
+  ].join('\n')
+}
+
+async function sendEmail(delivery: any) {
+  const host = Deno.env.get('SMTP_HOST')
+  const from = Deno.env.get('SMTP_FROM')
+  const to = delivery.channel_config?.to
+
+  if (!host || !from) {
+    throw new DeliveryError('SMTP is not configured (SMTP_HOST and SMTP_FROM are required)', 400)
+  }
+
+  if (!to) {
+    throw new DeliveryError('The notification rule has no email recipient', 400)
+  }
+
+  const port = parseInt(Deno.env.get('SMTP_PORT') || '587', 10)
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure: port === 465,
+    auth: Deno.env.get('SMTP_USER')
+      ? { user: Deno.env.get('SMTP_USER'), pass: Deno.env.get('SMTP_PASS') }
+      : undefined
+  })
+
+  try {
+    await transporter.sendMail({
+      from,
+      to,
+      subject: `Notification: ${delivery.trigger_name}`,
+      text: formatNotificationText(delivery)
+    })
+  } catch (error) {
+    // 5xx SMTP replies are permanent rejections (bad recipient, relay denied); the rest is transient
+    const smtpCode = error.responseCode
+    throw new DeliveryError(`SMTP error: ${error.message}`, smtpCode && smtpCode >= 500 ? 400 : null)
+  }
+}
+
+// Receivers verify the X-Webhook-Signature header by computing
+// HMAC-SHA256(secret, `${X-Webhook-Timestamp}.${body}`) and comparing hex digests
+async function sendWebhook(delivery: any) {
+  const { url, secret } = delivery.channel_config || {}
+
+  if (!url) {
+    throw new DeliveryError('The notification rule has no webhook URL', 400)
+  }
+
+  const body = JSON.stringify({ ...delivery.payload, delivery_id: delivery.id })
+  const timestamp = Math.floor(Date.now() / 1000).toString()
+  const headers: Record<string, string> = {
+    'Content-Type': 'application/json',
+    'X-Webhook-Id': delivery.id,
+    'X-Webhook-Timestamp': timestamp
+  }
+
+  if (secret) {
+    headers['X-Webhook-Signature'] = `sha256=${await hmacSha256Hex(secret, `${timestamp}.${body}`)}`
+  }
+
+  let response: Response
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    })
+  } catch (error) {
+    throw new DeliveryError(`Webhook request failed: ${error.message}`)
+  }
+
+  if (!response.ok) {
+    const errorText = await response.text()
+    throw new DeliveryError(
+      `Webhook returned ${response.status} - ${errorText.substring(0, 500)}`,
+      response.status,
+      response.headers.get('retry-after')
+    )
+  }
+
+  await response.body?.cancel()
+}
+
+async function hmacSha256Hex(secret: string, message: string) {
+  const encoder = new TextEncoder()
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  )
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message))
+
+  return Array.from(new Uint8Array(signature))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('')
+}
+
+async function sendGHLNotification(supabase: any, configs: Map<string, any>, delivery: any) {
+  const ghlConfig = await getGHLConfiguration(supabase, configs, delivery.config_id)
+
+  if (!ghlConfig) {
+    throw new DeliveryError('No active GHL configuration for this notification', 404)
+  }
+
+  try {
+    const tokens = await refreshGhlTokens(supabase, ghlConfig)
+    ghlConfig.access_token = tokens.access_token
+    ghlConfig.token_expires_at = tokens.token_expires_at
+  } catch (error) {
+    if (!(error instanceof GhlTokenError)) throw error
+    throw new DeliveryError(`Failed to refresh access token: ${error.message}`, error.status, error.retryAfter)
+  }
+
+  const text = formatNotificationText(delivery)
+
+  if (delivery.channel === 'ghl_task') {
+    const { assigned_to: assignedTo, due_hours: dueHours } = delivery.channel_config || {}
+
+    await ghlRequest(ghlConfig.access_token, `/contacts/${delivery.contact_id}/tasks`, {
+      title: `Notification: ${delivery.trigger_name}`,
+      body: text,
+      dueDate: new Date(Date.now() + (parseInt(dueHours) || 24) * 60 * 60 * 1000).toISOString(),
+      completed: false,
+      ...(assignedTo ? { assignedTo } : {})
+    })
+  } else {
+    await ghlRequest(ghlConfig.access_token, `/contacts/${delivery.contact_id}/notes`, { body: text })
+  }
+}
+
+async function ghlRequest(accessToken: string, path: string, body: any) {
+  const apiDomain = Deno.env.get('GHL_API_DOMAIN') || 'https://services.leadconnectorhq.com'
+
+  const response = await fetch(`${apiDomain}${path}`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Version': '2021-07-28',
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    },
+    body: JSON.stringify(body)
+  })
+
+  if (!response.ok) {
+    const errorText = await response.text()
+    throw new DeliveryError(
+      `GHL API error: ${response.status} - ${errorText}`,
+      response.status,
+      response.headers.get('retry-after')
+    )
+  }
+
+  await response.body?.cancel()
+}
+
+async function getGHLConfiguration(supabase: any, configs: Map<string, any>, configId: string) {
+  if (configs.has(configId)) {
+    return configs.get(configId)
+  }
+
+  const { data, error } = await supabase
+    .from('ghl_configurations')
+    .select(`
+      id,
+      access_token,
+      refresh_token,
+      token_expires_at,
+      ghl_account_id
+    `)
+    .eq('id', configId)
+    .eq('is_active', true)
+    .maybeSingle()
+
+  if (error) {
+    throw new DeliveryError(`Failed to fetch configuration: ${error.message}`)
+  }
+
+  const config = await readGhlTokens(data)
+  configs.set(configId, config)
+  return config
+}
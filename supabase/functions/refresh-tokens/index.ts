@@ -1,4 +1,5 @@
 import { createClient } from 'npm:@supabase/supabase-js@2'
+import { readGhlTokens, refreshGhlTokens } from "../_shared/ghl-tokens.ts"
 
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
@@ -28,7 +29,7 @@ interface RefreshTokenResponse {
 interface ConfigurationToRefresh {
   id: string
   ghl_account_id: string
-  refresh_token: string
+  access_token: string
   token_expires_at: string
   business_name: string
 }
@@ -107,11 +108,13 @@ Deno.serve(async (req: Request) => {
       try {
         console.log(`Processing token refresh for config ${config.id} (${config.business_name})`)
         
-        const refreshResult = await refreshTokenForConfiguration(config)
+        const refreshResult = await refreshTokenForConfiguration(supabase, config)
         
         if (refreshResult.success) {
-          // Update the database with new tokens
-          await updateConfigurationTokens(supabase, config.id, refreshResult.tokenData!)
+          // The broker has stored the new tokens; keep the account details GHL sent with them
+          if (refreshResult.tokenData) {
+            await updateConfigurationAccount(supabase, config.id, refreshResult.tokenData)
+          }
           successCount++
           
           results.push({
@@ -193,11 +196,13 @@ Deno.serve(async (req: Request) => {
 async function getConfigurationsNeedingRefresh(supabase: any): Promise<ConfigurationToRefresh[]> {
   console.log('=== FINDING CONFIGURATIONS NEEDING REFRESH ===')
   
-  // Get all active configurations with real tokens (not dev/test tokens)
+  // Get all active configurations with real tokens (not dev/test tokens). Those marked
+  // needs_reauth were rejected by GHL and wait for a reinstall.
   const { data: configs, error } = await supabase
     .from('ghl_configurations')
     .select('id, ghl_account_id, refresh_token, token_expires_at, business_name, access_token')
     .eq('is_active', true)
+    .eq('needs_reauth', false)
     .not('refresh_token', 'is', null)
     .not('access_token', 'is', null)
 
@@ -217,7 +222,16 @@ async function getConfigurationsNeedingRefresh(supabase: any): Promise<Configura
   const needsRefresh: ConfigurationToRefresh[] = []
   const now = new Date()
 
-  for (const config of configs) {
+  for (const row of configs) {
+    // One row that cannot be decrypted (say, wrapped with a retired master key) must not stop the others
+    let config
+    try {
+      config = await readGhlTokens(row)
+    } catch (error) {
+      console.error(`Skipping ${row.business_name} (${row.id}) - could not read its tokens:`, error.message)
+      continue
+    }
+
     // Skip configurations with dev/test tokens
     if (config.access_token?.startsWith('dev-') || 
         config.access_token?.startsWith('test-') ||
@@ -241,7 +255,7 @@ async function getConfigurationsNeedingRefresh(supabase: any): Promise<Configura
       needsRefresh.push({
         id: config.id,
         ghl_account_id: config.ghl_account_id,
-        refresh_token: config.refresh_token,
+        access_token: config.access_token,
         token_expires_at: config.token_expires_at,
         business_name: config.business_name
       })
@@ -254,71 +268,24 @@ async function getConfigurationsNeedingRefresh(supabase: any): Promise<Configura
   return needsRefresh
 }
 
-async function refreshTokenForConfiguration(config: ConfigurationToRefresh): Promise<{
+// Refreshes through the token broker, which holds the configuration's refresh lease and
+// stores the new tokens. tokenData is absent when another caller refreshed it first.
+async function refreshTokenForConfiguration(supabase: any, config: ConfigurationToRefresh): Promise<{
   success: boolean
   error?: string
   tokenData?: RefreshTokenResponse
 }> {
   try {
     console.log(`Refreshing token for ${config.business_name}...`)
-    
-    const clientId = Deno.env.get('GHL_MARKETPLACE_CLIENT_ID')
-    const clientSecret = Deno.env.get('GHL_MARKETPLACE_CLIENT_SECRET')
-    const apiDomain = Deno.env.get('GHL_API_DOMAIN') || 'https://services.leadconnectorhq.com'
-
-    if (!clientId || !clientSecret) {
-      throw new Error('GHL_MARKETPLACE_CLIENT_ID and GHL_MARKETPLACE_CLIENT_SECRET must be set')
-    }
-
-    const tokenUrl = `${apiDomain}/oauth/token`
-    
-    // Prepare refresh token request
-    const params = new URLSearchParams({
-      client_id: clientId,
-      client_secret: clientSecret,
-      grant_type: 'refresh_token',
-      refresh_token: config.refresh_token
-    })
 
-    console.log(`Making refresh token request to: ${tokenUrl}`)
+    const tokens = await refreshGhlTokens(supabase, config, { refreshWithinSeconds: 24 * 60 * 60 })
 
-    const response = await fetch(tokenUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Accept': 'application/json'
-      },
-      body: params.toString()
-    })
-
-    if (!response.ok) {
-      const errorText = await response.text()
-      console.error(`Token refresh failed for ${config.business_name}:`, {
-        status: response.status,
-        statusText: response.statusText,
-        body: errorText
-      })
-      
-      // Handle specific error cases
-      if (response.status === 400) {
-        return {
-          success: false,
-          error: `Invalid refresh token - may need to reinstall app`
-        }
-      } else if (response.status === 401) {
-        return {
-          success: false,
-          error: `Unauthorized - refresh token may be expired`
-        }
-      } else {
-        return {
-          success: false,
-          error: `HTTP ${response.status}: ${errorText}`
-        }
-      }
+    if (!tokens.refreshed) {
+      console.log(`Token for ${config.business_name} was already refreshed, expires ${tokens.token_expires_at}`)
+      return { success: true }
     }
 
-    const tokenData: RefreshTokenResponse = await response.json()
+    const tokenData: RefreshTokenResponse = tokens.tokenData
     
     console.log(`Token refresh successful for ${config.business_name}`)
     console.log(`New token expires in ${tokenData.expires_in} seconds`)
@@ -343,28 +310,20 @@ async function refreshTokenForConfiguration(config: ConfigurationToRefresh): Pro
     console.error(`Token refresh error for ${config.business_name}:`, error)
     return {
       success: false,
-      error: error.message
+      error: error.code === 'needs_reauth'
+        ? 'Invalid refresh token - configuration marked as needing reinstall'
+        : error.message
     }
   }
 }
 
-async function updateConfigurationTokens(
+async function updateConfigurationAccount(
   supabase: any, 
   configId: string, 
   tokenData: RefreshTokenResponse
 ): Promise<void> {
-  console.log(`Updating database with new tokens for config ${configId}`)
-  
-  // Calculate new expiry time
-  const expiresAt = new Date(Date.now() + (tokenData.expires_in * 1000)).toISOString()
-  
   // Prepare update data
-  const updateData: any = {
-    access_token: tokenData.access_token,
-    refresh_token: tokenData.refresh_token,
-    token_expires_at: expiresAt,
-    updated_at: new Date().toISOString()
-  }
+  const updateData: any = {}
   
   // Add company and user data if available
   if (tokenData.companyId) {
@@ -382,6 +341,12 @@ async function updateConfigurationTokens(
     updateData.user_id = tokenData.userId
     console.log(`Adding user ID to update: ${tokenData.userId}`)
   }
+
+  if (Object.keys(updateData).length === 0) {
+    return
+  }
+
+  console.log(`Updating account details for config ${configId}`)
   
   const { error } = await supabase
     .from('ghl_configurations')
@@ -389,11 +354,11 @@ async function updateConfigurationTokens(
     .eq('id', configId)
 
   if (error) {
-    console.error(`Failed to update tokens in database for config ${configId}:`, error)
+    console.error(`Failed to update account details for config ${configId}:`, error)
     throw new Error(`Database update failed: ${error.message}`)
   }
 
-  console.log(`Successfully updated tokens in database for config ${configId}`)
+  console.log(`Successfully updated account details for config ${configId}`)
 }
 
 function calculateHoursUntilExpiry(tokenExpiresAt: string): number {
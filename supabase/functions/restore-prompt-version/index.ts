@@ -0,0 +1,203 @@
+import { createClient } from 'npm:@supabase/supabase-js@2'
+import { callerHasLocationAccess } from "../_shared/caller-auth.ts"
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+}
+
+// Configuration tables captured by snapshot_prompt_configuration, keyed as in the snapshot
+const SNAPSHOT_TABLES = [
+  { key: 'fields', table: 'data_extraction_fields' },
+  { key: 'contextual_rules', table: 'contextual_rules' },
+  { key: 'stop_triggers', table: 'stop_triggers' }
+]
+
+// Puts a location's configuration back to what it was when a prompt version was recorded.
+//
+// POST body:
+//   location_id - required
+//   version_id  - prompt_versions row to restore
+//
+// The business profile is overwritten, and fields, contextual rules and stop triggers are
+// made to match the snapshot: rows that still exist are updated in place (so reviews and
+// history keep pointing at them), deleted rows come back with their old ids, and rows
+// added since are deleted. The prompt is then regenerated, which records the restored
+// configuration as the current version. The caller's JWT must have access to location_id.
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") {
+    return new Response(null, {
+      status: 200,
+      headers: corsHeaders,
+    })
+  }
+
+  if (req.method !== "POST") {
+    return jsonResponse({ error: "Method not allowed. Use POST." }, 405)
+  }
+
+  try {
+    console.log('=== RESTORE PROMPT VERSION ===')
+
+    const requestBody = await req.json()
+    const { location_id: locationId, version_id: versionId } = requestBody
+
+    if (!locationId || !versionId) {
+      return jsonResponse({
+        error: "location_id and version_id are required",
+        example: { location_id: 'abc123', version_id: 'uuid' }
+      }, 400)
+    }
+
+    if (!(await callerHasLocationAccess(req, locationId))) {
+      return jsonResponse({ error: "Not authorized to restore prompt versions for this location" }, 403)
+    }
+
+    // Initialize Supabase client
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+    const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+    const supabase = createClient(supabaseUrl, supabaseServiceKey)
+
+    console.log('Step 1: Loading prompt version...', { versionId, locationId })
+    const { data: ghlConfig, error: configError } = await supabase
+      .from('ghl_configurations')
+      .select('id')
+      .eq('ghl_account_id', locationId)
+      .eq('is_active', true)
+      .maybeSingle()
+
+    if (configError) {
+      throw new Error(`Failed to fetch configuration: ${configError.message}`)
+    }
+
+    if (!ghlConfig) {
+      return jsonResponse({ error: "No active GHL configuration found for this location", locationId }, 404)
+    }
+
+    const { data: version, error: versionError } = await supabase
+      .from('prompt_versions')
+      .select('id, config_id, content_hash, configuration')
+      .eq('id', versionId)
+      .eq('config_id', ghlConfig.id)
+      .maybeSingle()
+
+    if (versionError) {
+      throw new Error(`Failed to load prompt version: ${versionError.message}`)
+    }
+
+    if (!version) {
+      return jsonResponse({ error: "Prompt version not found for this location" }, 404)
+    }
+
+    console.log('Step 2: Restoring business profile...')
+    const { error: profileError } = await supabase
+      .from('ghl_configurations')
+      .update(version.configuration.business_profile || {})
+      .eq('id', ghlConfig.id)
+
+    if (profileError) {
+      throw new Error(`Failed to restore business profile: ${profileError.message}`)
+    }
+
+    console.log('Step 3: Restoring fields, contextual rules and stop triggers...')
+    const counts: Record<string, any> = {}
+    for (const { key, table } of SNAPSHOT_TABLES) {
+      counts[key] = await restoreRows(supabase, table, ghlConfig.id, version.configuration[key] || [])
+      console.log(`✅ ${table}:`, counts[key])
+    }
+
+    console.log('Step 4: Regenerating prompt...')
+    const promptResponse = await fetch(`${supabaseUrl}/functions/v1/generate-extraction-prompt`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${supabaseServiceKey}`
+      },
+      body: JSON.stringify({ locationId })
+    })
+
+    const promptData = await promptResponse.json().catch(() => ({}))
+    if (!promptResponse.ok) {
+      console.error('Failed to regenerate prompt after restore:', promptData.error || promptResponse.status)
+    }
+
+    const currentVersionId = promptData.promptVersionId || null
+    console.log('✅ Prompt version restored', { versionId, currentVersionId })
+
+    return jsonResponse({
+      success: true,
+      restored_version_id: version.id,
+      current_version_id: currentVersionId,
+      // A different id means the same configuration now generates a different prompt,
+      // e.g. because the prompt template changed since the version was recorded
+      prompt_matches: currentVersionId === version.id,
+      counts,
+      timestamp: new Date().toISOString()
+    })
+  } catch (error) {
+    console.error("=== RESTORE PROMPT VERSION ERROR ===")
+    console.error("Error message:", error.message)
+    console.error("Stack trace:", error.stack)
+
+    return jsonResponse({
+      error: `Failed to restore prompt version: ${error.message}`,
+      details: error.toString(),
+      timestamp: new Date().toISOString()
+    }, 500)
+  }
+})
+
+function jsonResponse(body: any, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      "Content-Type": "application/json",
+      ...corsHeaders,
+    },
+  })
+}
+
+// Makes the config's rows in table match the snapshot rows. Deletes come first so a
+// restored row cannot collide with a newer row that replaced it.
+async function restoreRows(supabase: any, table: string, configId: string, rows: any[]) {
+  const { data: existing, error: existingError } = await supabase
+    .from(table)
+    .select('id')
+    .eq('config_id', configId)
+
+  if (existingError) {
+    throw new Error(`Failed to load ${table}: ${existingError.message}`)
+  }
+
+  const snapshotIds = new Set(rows.map((row: any) => row.id))
+  const existingIds = new Set((existing || []).map((row: any) => row.id))
+  const removedIds = [...existingIds].filter((id) => !snapshotIds.has(id))
+
+  if (removedIds.length > 0) {
+    const { error } = await supabase
+      .from(table)
+      .delete()
+      .in('id', removedIds)
+
+    if (error) {
+      throw new Error(`Failed to delete from ${table}: ${error.message}`)
+    }
+  }
+
+  if (rows.length > 0) {
+    const { error } = await supabase
+      .from(table)
+      .upsert(rows.map((row: any) => ({ ...row, config_id: configId })), { onConflict: 'id' })
+
+    if (error) {
+      throw new Error(`Failed to restore ${table}: ${error.message}`)
+    }
+  }
+
+  return {
+    updated: rows.filter((row: any) => existingIds.has(row.id)).length,
+    recreated: rows.filter((row: any) => !existingIds.has(row.id)).length,
+    deleted: removedIds.length
+  }
+}
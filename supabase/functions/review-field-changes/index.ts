@@ -0,0 +1,232 @@
+import { createClient } from 'npm:@supabase/supabase-js@2'
+import { validateExtraction } from "../_shared/extraction-schema.ts"
+import { callerHasLocationAccess } from "../_shared/caller-auth.ts"
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+}
+
+// Resolves changes queued by update-ghl-contact for fields with the 'ask' overwrite policy.
+//
+// Actions (POST body.action), each taking location_id and review_id:
+//   approve - write the proposed value, or edited_value when given, to GHL
+//   reject  - discard the proposed value
+//
+// Approvals go through update-ghl-contact with force_overwrite so the value reaches
+// the contact the same way an extraction would. A failed write leaves the review pending.
+// The caller's JWT must have access to location_id.
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") {
+    return new Response(null, {
+      status: 200,
+      headers: corsHeaders,
+    })
+  }
+
+  if (req.method !== "POST") {
+    return jsonResponse({ error: "Method not allowed. Use POST." }, 405)
+  }
+
+  try {
+    console.log('=== REVIEW FIELD CHANGES ===')
+
+    const requestBody = await req.json()
+    const { action, location_id: locationId, review_id: reviewId } = requestBody
+
+    if (!locationId || !reviewId) {
+      return jsonResponse({
+        error: "location_id and review_id are required",
+        example: { action: 'approve', location_id: 'abc123', review_id: 'uuid', edited_value: 'optional' }
+      }, 400)
+    }
+
+    if (!(await callerHasLocationAccess(req, locationId))) {
+      return jsonResponse({ error: "Not authorized to review changes for this location" }, 403)
+    }
+
+    // Initialize Supabase client
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+    const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+    const supabase = createClient(supabaseUrl, supabaseServiceKey)
+
+    console.log('Step 1: Loading review...', { reviewId, locationId, action })
+    const { data: review, error: reviewError } = await supabase
+      .from('pending_field_reviews')
+      .select('*')
+      .eq('id', reviewId)
+      .eq('location_id', locationId)
+      .maybeSingle()
+
+    if (reviewError) {
+      throw new Error(`Failed to load review: ${reviewError.message}`)
+    }
+
+    if (!review) {
+      return jsonResponse({ error: "Review not found for this location" }, 404)
+    }
+
+    if (review.status !== 'pending') {
+      return jsonResponse({ error: `Review is already ${review.status}`, review }, 409)
+    }
+
+    switch (action) {
+      case 'approve':
+        return await approveReview(supabase, supabaseUrl, supabaseServiceKey, review, requestBody)
+      case 'reject':
+        return await rejectReview(supabase, review, requestBody)
+      default:
+        return jsonResponse({ error: `Unknown action: ${action}` }, 400)
+    }
+  } catch (error) {
+    console.error("=== REVIEW FIELD CHANGES ERROR ===")
+    console.error("Error message:", error.message)
+    console.error("Stack trace:", error.stack)
+
+    return jsonResponse({
+      error: `Review failed: ${error.message}`,
+      details: error.toString(),
+      timestamp: new Date().toISOString()
+    }, 500)
+  }
+})
+
+function jsonResponse(body: any, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      "Content-Type": "application/json",
+      ...corsHeaders,
+    },
+  })
+}
+
+async function approveReview(supabase: any, supabaseUrl: string, supabaseServiceKey: string, review: any, requestBody: any) {
+  const edited = requestBody.edited_value !== undefined
+  const value = edited ? requestBody.edited_value : review.proposed_value
+
+  // Hold a reviewer's edit to the same rules as a model response
+  if (edited) {
+    const field = await getExtractionField(supabase, review.extraction_field_id)
+    const { validData, errors } = validateExtraction({ [review.target_ghl_key]: value }, [{
+      name: review.field_name,
+      ghl_key: review.target_ghl_key,
+      type: field?.field_type || review.field_type || 'TEXT',
+      options: field?.picklist_options || []
+    }])
+
+    if (errors.length > 0) {
+      return jsonResponse({ error: `Invalid value for ${review.field_name}: ${errors[0].error}` }, 400)
+    }
+
+    if (!(review.target_ghl_key in validData)) {
+      return jsonResponse({ error: `A value is required to approve ${review.field_name}. Reject the change instead.` }, 400)
+    }
+  }
+
+  console.log('Step 2: Writing approved value to GHL...', {
+    contactId: review.contact_id,
+    field: review.target_ghl_key,
+    edited
+  })
+  const updateResponse = await fetch(`${supabaseUrl}/functions/v1/update-ghl-contact`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${supabaseServiceKey}`
+    },
+    body: JSON.stringify({
+      ghl_contact_id: review.contact_id,
+      location_id: review.location_id,
+      conversation_id: review.conversation_id || undefined,
+      extracted_data: { [review.target_ghl_key]: value },
+      force_overwrite: [review.target_ghl_key],
+      field_evidence: review.evidence ? { [review.target_ghl_key]: review.evidence } : undefined,
+      source: 'review_approval'
+    })
+  })
+
+  const updateResult = await updateResponse.json().catch(() => ({}))
+
+  // The value failed normalization for its field type; nothing was written
+  const rejected = (updateResult.rejected_fields || []).find((field: any) => field.field === review.target_ghl_key)
+  if (rejected) {
+    return jsonResponse({ error: `Invalid value for ${review.field_name}: ${rejected.reason}` }, 400)
+  }
+
+  if (!updateResponse.ok || !updateResult.updated_fields?.includes(review.target_ghl_key)) {
+    const message = updateResult.error
+      ? `${updateResult.error}${updateResult.details ? `: ${updateResult.details}` : ''}`
+      : updateResult.message || `update-ghl-contact returned ${updateResponse.status}`
+
+    console.error('Failed to apply approved value:', message)
+    await supabase
+      .from('pending_field_reviews')
+      .update({ last_error: message })
+      .eq('id', review.id)
+
+    return jsonResponse({ error: `Failed to update contact in GHL: ${message}` }, 502)
+  }
+
+  const { data: approved, error: approveError } = await supabase
+    .from('pending_field_reviews')
+    .update({
+      status: 'approved',
+      final_value: value,
+      reviewed_by: requestBody.reviewed_by || null,
+      reviewed_at: new Date().toISOString(),
+      last_error: null
+    })
+    .eq('id', review.id)
+    .select()
+    .single()
+
+  if (approveError) {
+    throw new Error(`Contact updated but failed to mark review approved: ${approveError.message}`)
+  }
+
+  console.log('✅ Review approved and contact updated')
+  return jsonResponse({ success: true, review: approved })
+}
+
+async function rejectReview(supabase: any, review: any, requestBody: any) {
+  const { data: rejected, error } = await supabase
+    .from('pending_field_reviews')
+    .update({
+      status: 'rejected',
+      reviewed_by: requestBody.reviewed_by || null,
+      reviewed_at: new Date().toISOString()
+    })
+    .eq('id', review.id)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Failed to reject review: ${error.message}`)
+  }
+
+  if (!rejected) {
+    return jsonResponse({ error: "Review was resolved by someone else" }, 409)
+  }
+
+  console.log('✅ Review rejected')
+  return jsonResponse({ success: true, review: rejected })
+}
+
+async function getExtractionField(supabase: any, fieldId: string | null) {
+  if (!fieldId) return null
+
+  const { data, error } = await supabase
+    .from('data_extraction_fields')
+    .select('field_type, picklist_options')
+    .eq('id', fieldId)
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Failed to fetch extraction field: ${error.message}`)
+  }
+
+  return data
+}
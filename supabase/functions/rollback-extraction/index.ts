@@ -0,0 +1,208 @@
+import { createClient } from 'npm:@supabase/supabase-js@2'
+import { callerHasLocationAccess } from "../_shared/caller-auth.ts"
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+}
+
+// Restores the values a contact had before an extraction run wrote to it.
+//
+// POST body:
+//   location_id    - required
+//   result_id      - extraction_results row to roll back
+//   field_id       - optional extraction_result_fields row; rolls back that field only
+//   force          - restore even if the field changed since the run wrote it
+//   rolled_back_by - GHL user id, stored with each restored field
+//
+// Values go back through update-ghl-contact in restore mode, which records the rollback
+// as its own extraction result. Unless forced, a field is only restored while it still
+// holds the value the run wrote; anything else comes back in conflict_fields.
+// The caller's JWT must have access to location_id.
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") {
+    return new Response(null, {
+      status: 200,
+      headers: corsHeaders,
+    })
+  }
+
+  if (req.method !== "POST") {
+    return jsonResponse({ error: "Method not allowed. Use POST." }, 405)
+  }
+
+  try {
+    console.log('=== ROLLBACK EXTRACTION ===')
+
+    const requestBody = await req.json()
+    const { location_id: locationId, result_id: resultId, field_id: fieldId, force = false } = requestBody
+
+    if (!locationId || !resultId) {
+      return jsonResponse({
+        error: "location_id and result_id are required",
+        example: { location_id: 'abc123', result_id: 'uuid', field_id: 'optional uuid', force: false }
+      }, 400)
+    }
+
+    if (!(await callerHasLocationAccess(req, locationId))) {
+      return jsonResponse({ error: "Not authorized to roll back extractions for this location" }, 403)
+    }
+
+    // Initialize Supabase client
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+    const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+    const supabase = createClient(supabaseUrl, supabaseServiceKey)
+
+    console.log('Step 1: Loading extraction result...', { resultId, fieldId, locationId })
+    const { data: result, error: resultError } = await supabase
+      .from('extraction_results')
+      .select('*')
+      .eq('id', resultId)
+      .eq('location_id', locationId)
+      .maybeSingle()
+
+    if (resultError) {
+      throw new Error(`Failed to load extraction result: ${resultError.message}`)
+    }
+
+    if (!result) {
+      return jsonResponse({ error: "Extraction result not found for this location" }, 404)
+    }
+
+    if (!['applied', 'partially_rolled_back'].includes(result.status)) {
+      return jsonResponse({ error: `Nothing to roll back: this run is ${result.status}` }, 409)
+    }
+
+    let fieldsQuery = supabase
+      .from('extraction_result_fields')
+      .select('*')
+      .eq('result_id', result.id)
+      .eq('decision', 'written')
+      .is('rolled_back_at', null)
+
+    if (fieldId) {
+      fieldsQuery = fieldsQuery.eq('id', fieldId)
+    }
+
+    const { data: fields, error: fieldsError } = await fieldsQuery
+
+    if (fieldsError) {
+      throw new Error(`Failed to load extraction result fields: ${fieldsError.message}`)
+    }
+
+    if (!fields || fields.length === 0) {
+      return jsonResponse({
+        error: fieldId ? "That field was not written by this run or is already rolled back" : "All fields of this run are already rolled back"
+      }, 409)
+    }
+
+    const restorable = fields.filter((field: any) => field.target_ghl_key)
+    const previousValues = Object.fromEntries(restorable.map((field: any) => [field.target_ghl_key, field.previous_value]))
+    const expectedValues = Object.fromEntries(restorable.map((field: any) => [field.target_ghl_key, field.new_value]))
+
+    console.log('Step 2: Restoring previous values in GHL...', {
+      contactId: result.contact_id,
+      fields: Object.keys(previousValues),
+      force
+    })
+    const updateResponse = await fetch(`${supabaseUrl}/functions/v1/update-ghl-contact`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${supabaseServiceKey}`
+      },
+      body: JSON.stringify({
+        ghl_contact_id: result.contact_id,
+        location_id: result.location_id,
+        conversation_id: result.conversation_id || undefined,
+        extracted_data: previousValues,
+        restore_values: true,
+        expected_values: force ? {} : expectedValues,
+        source: 'rollback',
+        rollback_of: result.id
+      })
+    })
+
+    const updateResult = await updateResponse.json().catch(() => ({}))
+
+    if (!updateResponse.ok) {
+      const message = updateResult.error
+        ? `${updateResult.error}${updateResult.details ? `: ${updateResult.details}` : ''}`
+        : `update-ghl-contact returned ${updateResponse.status}`
+
+      console.error('Failed to restore previous values:', message)
+      return jsonResponse({ error: `Failed to update contact in GHL: ${message}` }, 502)
+    }
+
+    // Step 3: Mark what was restored and settle the run's status
+    const restoredKeys: string[] = updateResult.updated_fields || []
+    const restoredFields = restorable.filter((field: any) => restoredKeys.includes(field.target_ghl_key))
+
+    if (restoredFields.length > 0) {
+      const { error: markError } = await supabase
+        .from('extraction_result_fields')
+        .update({
+          rolled_back_at: new Date().toISOString(),
+          rolled_back_by: requestBody.rolled_back_by || null
+        })
+        .in('id', restoredFields.map((field: any) => field.id))
+
+      if (markError) {
+        throw new Error(`Contact restored but failed to mark fields rolled back: ${markError.message}`)
+      }
+
+      const { count: remaining, error: countError } = await supabase
+        .from('extraction_result_fields')
+        .select('id', { count: 'exact', head: true })
+        .eq('result_id', result.id)
+        .eq('decision', 'written')
+        .is('rolled_back_at', null)
+
+      if (countError) {
+        throw new Error(`Failed to count remaining fields: ${countError.message}`)
+      }
+
+      const { error: statusError } = await supabase
+        .from('extraction_results')
+        .update({ status: remaining === 0 ? 'rolled_back' : 'partially_rolled_back' })
+        .eq('id', result.id)
+
+      if (statusError) {
+        throw new Error(`Contact restored but failed to update run status: ${statusError.message}`)
+      }
+    }
+
+    const conflictFields = updateResult.conflict_fields || []
+    console.log(`✅ Restored ${restoredFields.length} field(s), ${conflictFields.length} conflict(s)`)
+
+    return jsonResponse({
+      success: restoredFields.length > 0,
+      result_id: result.id,
+      rollback_result_id: updateResult.extraction_result_id || null,
+      restored_fields: restoredFields.map((field: any) => field.id),
+      conflict_fields: conflictFields,
+      skipped_fields: fields.filter((field: any) => !restoredFields.includes(field)).map((field: any) => field.id)
+    })
+  } catch (error) {
+    console.error("=== ROLLBACK EXTRACTION ERROR ===")
+    console.error("Error message:", error.message)
+    console.error("Stack trace:", error.stack)
+
+    return jsonResponse({
+      error: `Rollback failed: ${error.message}`,
+      details: error.toString(),
+      timestamp: new Date().toISOString()
+    }, 500)
+  }
+})
+
+function jsonResponse(body: any, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      "Content-Type": "application/json",
+      ...corsHeaders,
+    },
+  })
+}
@@ -0,0 +1,173 @@
+import { createClient } from 'npm:@supabase/supabase-js@2'
+import {
+  decodeLegacySecret,
+  encryptSecret,
+  isEncryptedSecret,
+  isPlaceholderToken,
+  masterKeyIdOf,
+  rewrapSecret,
+  secretContext,
+  secretHint
+} from "../_shared/secret-encryption.mjs"
+import { getKeyring } from "../_shared/encryption-keys.ts"
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+}
+
+// Encrypted columns: the context each value is bound to, how values saved before encryption
+// were stored (base64 or plain text), and any columns derived from the plaintext
+const SECRET_COLUMNS = [
+  {
+    table: 'agency_openai_keys',
+    column: 'encrypted_openai_api_key',
+    context: (row: any) => secretContext('agency_openai_keys', row.id),
+    legacy: 'base64',
+    derived: (plaintext: string) => ({ key_hint: secretHint(plaintext) })
+  },
+  {
+    table: 'ghl_configurations',
+    column: 'access_token',
+    context: (row: any) => secretContext('ghl_configurations', row.id, 'access_token'),
+    legacy: 'plain',
+    derived: (plaintext: string) => ({ token_is_placeholder: isPlaceholderToken(plaintext) })
+  },
+  {
+    table: 'ghl_configurations',
+    column: 'refresh_token',
+    context: (row: any) => secretContext('ghl_configurations', row.id, 'refresh_token'),
+    legacy: 'plain'
+  }
+]
+
+// Brings every stored secret under the current master key (ENCRYPTION_MASTER_KEY_ID):
+// values saved before encryption are encrypted, and values wrapped with an older master
+// key are re-wrapped. Run it once after deploying encryption and again after each key
+// rotation; an old master key can be removed once a run reports nothing left on it.
+//
+// Service role only: the Authorization header must carry the service role key.
+//
+// POST body (optional):
+//   dry_run - count what would change without writing
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") {
+    return new Response(null, {
+      status: 200,
+      headers: corsHeaders,
+    })
+  }
+
+  if (req.method !== "POST") {
+    return jsonResponse({ error: "Method not allowed. Use POST." }, 405)
+  }
+
+  const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+  const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+
+  if (req.headers.get('Authorization') !== `Bearer ${supabaseServiceKey}`) {
+    return jsonResponse({ error: "This function requires the service role key" }, 401)
+  }
+
+  try {
+    console.log('=== ROTATE ENCRYPTION KEYS ===')
+
+    const requestBody = await req.json().catch(() => ({}))
+    const dryRun = requestBody.dry_run === true
+
+    const supabase = createClient(supabaseUrl, supabaseServiceKey)
+    const keyring = await getKeyring()
+    console.log('Current master key:', keyring.currentId, dryRun ? '(dry run)' : '')
+
+    const results = []
+    for (const target of SECRET_COLUMNS) {
+      results.push(await rotateColumn(supabase, keyring, target, dryRun))
+    }
+
+    console.log('✅ Rotation complete:', results)
+    return jsonResponse({
+      success: results.every((result) => result.failed === 0),
+      current_key_id: keyring.currentId,
+      dry_run: dryRun,
+      results
+    })
+  } catch (error) {
+    console.error("=== ROTATE ENCRYPTION KEYS ERROR ===")
+    console.error("Error message:", error.message)
+    console.error("Stack trace:", error.stack)
+
+    return jsonResponse({
+      error: `Failed to rotate encryption keys: ${error.message}`,
+      details: error.toString(),
+      timestamp: new Date().toISOString()
+    }, 500)
+  }
+})
+
+function jsonResponse(body: any, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      "Content-Type": "application/json",
+      ...corsHeaders,
+    },
+  })
+}
+
+// Encrypts or re-wraps one column's values row by row, so a failure leaves the other rows done
+async function rotateColumn(supabase: any, keyring: any, target: any, dryRun: boolean) {
+  const { table, column, context, legacy, derived } = target
+  const { data: rows, error } = await supabase
+    .from(table)
+    .select(`id, ${column}`)
+    .not(column, 'is', null)
+
+  if (error) {
+    throw new Error(`Failed to load ${table}: ${error.message}`)
+  }
+
+  const result = { table, column, encrypted: 0, rewrapped: 0, current: 0, failed: 0, errors: [] as any[] }
+
+  for (const row of rows || []) {
+    const stored = row[column]
+    try {
+      let updates: Record<string, any>
+      let outcome: 'encrypted' | 'rewrapped'
+      if (!isEncryptedSecret(stored)) {
+        const plaintext = legacy === 'base64' ? decodeLegacySecret(stored) : stored
+        updates = {
+          [column]: await encryptSecret(plaintext, keyring, context(row)),
+          ...(derived ? derived(plaintext) : {})
+        }
+        outcome = 'encrypted'
+      } else if (masterKeyIdOf(stored) !== keyring.currentId) {
+        updates = { [column]: await rewrapSecret(stored, keyring) }
+        outcome = 'rewrapped'
+      } else {
+        result.current++
+        continue
+      }
+
+      if (!dryRun) {
+        // Matching on the old value skips rows saved again since they were read
+        const { error: updateError } = await supabase
+          .from(table)
+          .update(updates)
+          .eq('id', row.id)
+          .eq(column, stored)
+
+        if (updateError) {
+          throw new Error(updateError.message)
+        }
+      }
+      result[outcome]++
+    } catch (rowError) {
+      console.error(`Failed to rotate ${table}.${column} for ${row.id}:`, rowError.message)
+      result.failed++
+      result.errors.push({ id: row.id, error: rowError.message })
+    }
+  }
+
+  return result
+}
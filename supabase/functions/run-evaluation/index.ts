@@ -0,0 +1,422 @@
+import { createClient } from 'npm:@supabase/supabase-js@2'
+import { invokeInBackground } from "../_shared/background.ts"
+import { callerHasLocationAccess, isServiceRoleRequest } from "../_shared/caller-auth.ts"
+import { normalizeFieldValue } from "../_shared/value-normalizer.mjs"
+import { compareRuns, scoreCase, summarizeRun } from "../_shared/evaluation-metrics.mjs"
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+}
+
+const LEASE_SECONDS = 300
+const TIME_BUDGET_MS = parseInt(Deno.env.get('EVALUATION_TIME_BUDGET_SECONDS') || '100', 10) * 1000
+
+// Runs a location's current prompt and model over an evaluation dataset and scores the
+// extracted values against each case's expected values.
+//
+// Actions (POST body.action):
+//   start   - run dataset_id for location_id; returns the new run at once
+//   run     - advance a run (run_id); used internally
+//   compare - compare candidate_run_id against baseline_run_id, both runs of location_id
+//
+// Each case goes through ai-extraction-payload as a dry-run transcript, so it gets the same
+// prompt, model, schema and validation as a live extraction and never touches a contact.
+// A run works through its cases until TIME_BUDGET_MS is spent, saves its cursor and
+// invokes itself again, so large datasets span many invocations.
+//
+// run is only accepted with the service role key; start and compare also accept a GHL
+// user's JWT with access to location_id.
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") {
+    return new Response(null, {
+      status: 200,
+      headers: corsHeaders,
+    })
+  }
+
+  if (req.method !== "POST") {
+    return jsonResponse({ error: "Method not allowed. Use POST." }, 405)
+  }
+
+  try {
+    console.log('=== RUN EVALUATION ===')
+
+    const requestBody = await req.json()
+    const action = requestBody.action || 'start'
+
+    const authorized = action === 'run'
+      ? isServiceRoleRequest(req)
+      : await callerHasLocationAccess(req, requestBody.location_id)
+
+    if (!authorized) {
+      return jsonResponse({ error: "Not authorized to run evaluations for this location" }, 403)
+    }
+
+    // Initialize Supabase client
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+    const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+    const supabase = createClient(supabaseUrl, supabaseServiceKey)
+
+    switch (action) {
+      case 'start':
+        return await startRun(supabase, requestBody)
+      case 'run':
+        return await advanceRun(supabase, requestBody.run_id)
+      case 'compare':
+        return await compare(supabase, requestBody)
+      default:
+        return jsonResponse({ error: `Unknown action: ${action}` }, 400)
+    }
+  } catch (error) {
+    console.error("=== RUN EVALUATION ERROR ===")
+    console.error("Error message:", error.message)
+    console.error("Stack trace:", error.stack)
+
+    return jsonResponse({
+      error: `Evaluation failed: ${error.message}`,
+      details: error.toString(),
+      timestamp: new Date().toISOString()
+    }, 500)
+  }
+})
+
+function jsonResponse(body: any, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      "Content-Type": "application/json",
+      ...corsHeaders,
+    },
+  })
+}
+
+async function startRun(supabase: any, requestBody: any) {
+  const { location_id: locationId, dataset_id: datasetId } = requestBody
+
+  if (!locationId || !datasetId) {
+    return jsonResponse({
+      error: "location_id and dataset_id are required",
+      example: { action: 'start', location_id: 'abc123', dataset_id: 'uuid', label: 'optional' }
+    }, 400)
+  }
+
+  console.log('Step 1: Fetching GHL configuration and dataset...')
+  const ghlConfig = await getGHLConfiguration(supabase, locationId)
+
+  if (!ghlConfig) {
+    return jsonResponse({ error: "No active GHL configuration found for this location", locationId }, 404)
+  }
+
+  const { data: dataset, error: datasetError } = await supabase
+    .from('evaluation_datasets')
+    .select('*')
+    .eq('id', datasetId)
+    .maybeSingle()
+
+  if (datasetError) {
+    throw new Error(`Failed to fetch dataset: ${datasetError.message}`)
+  }
+
+  // A location may run its own datasets and its agency's
+  const agencyId = ghlConfig.agency_ghl_id || ghlConfig.ghl_company_id
+  const canUse = dataset && (
+    dataset.location_id === locationId ||
+    (dataset.agency_ghl_id && dataset.agency_ghl_id === agencyId)
+  )
+
+  if (!canUse) {
+    return jsonResponse({ error: "Dataset not found for this location" }, 404)
+  }
+
+  const { data: cases, error: casesError } = await supabase
+    .from('evaluation_cases')
+    .select('id')
+    .eq('dataset_id', datasetId)
+    .order('sort_order', { ascending: true })
+    .order('created_at', { ascending: true })
+
+  if (casesError) {
+    throw new Error(`Failed to fetch cases: ${casesError.message}`)
+  }
+
+  if (!cases || cases.length === 0) {
+    return jsonResponse({ error: "The dataset has no cases" }, 400)
+  }
+
+  console.log('Step 2: Creating evaluation run...', { datasetId, locationId, cases: cases.length })
+  const { data: run, error: runError } = await supabase
+    .from('evaluation_runs')
+    .insert({
+      dataset_id: datasetId,
+      location_id: locationId,
+      config_id: ghlConfig.id,
+      label: requestBody.label || null,
+      case_ids: cases.map((c: any) => c.id)
+    })
+    .select()
+    .single()
+
+  if (runError) {
+    throw new Error(`Failed to create run: ${runError.message}`)
+  }
+
+  console.log('✅ Evaluation run created:', run.id)
+  invokeInBackground('run-evaluation', { action: 'run', run_id: run.id })
+
+  return jsonResponse({ success: true, run }, 202)
+}
+
+async function advanceRun(supabase: any, runId: string) {
+  if (!runId) {
+    return jsonResponse({ error: "run_id is required" }, 400)
+  }
+
+  // Lease the run so a duplicate invocation cannot run the same cases
+  const now = new Date()
+  const { data: claimed, error: claimError } = await supabase
+    .from('evaluation_runs')
+    .update({ locked_until: new Date(now.getTime() + LEASE_SECONDS * 1000).toISOString() })
+    .eq('id', runId)
+    .eq('status', 'running')
+    .or(`locked_until.is.null,locked_until.lt.${now.toISOString()}`)
+    .select()
+
+  if (claimError) {
+    throw new Error(`Failed to claim run: ${claimError.message}`)
+  }
+
+  const run = claimed?.[0]
+  if (!run) {
+    console.log('Run is finished or held by another invocation:', runId)
+    return jsonResponse({ success: true, claimed: false })
+  }
+
+  try {
+    const startTime = Date.now()
+    const { data: config, error: configError } = await supabase
+      .from('ghl_configurations')
+      .select('id, default_country')
+      .eq('id', run.config_id)
+      .single()
+
+    if (configError) {
+      throw new Error(`Failed to fetch configuration: ${configError.message}`)
+    }
+
+    const fields = await getExtractionFields(supabase, run.config_id)
+    const normalize = (field: any, value: any) => normalizeFieldValue(field, value, { country: config.default_country })
+
+    const results = [...run.results]
+    let cursor = run.cursor
+    let model = run.model
+    let promptHash = run.prompt_hash
+
+    while (cursor < run.case_ids.length && Date.now() - startTime < TIME_BUDGET_MS) {
+      const caseId = run.case_ids[cursor]
+      const evaluationCase = await getCase(supabase, caseId)
+      console.log(`Case ${cursor + 1}/${run.case_ids.length}:`, evaluationCase?.name || caseId)
+
+      const outcome = evaluationCase
+        ? await extractCase(run.location_id, evaluationCase)
+        : { extracted: {}, error: 'Case was deleted after the run started' }
+
+      model = model || outcome.model || null
+      promptHash = promptHash || (outcome.systemPrompt ? await sha256(outcome.systemPrompt) : null)
+
+      results.push({
+        case_id: caseId,
+        case_name: evaluationCase?.name || null,
+        ...scoreCase(fields, evaluationCase?.expected_values || {}, outcome.extracted, normalize),
+        error: outcome.error || null,
+        usage: outcome.usage || null
+      })
+      cursor += 1
+
+      // Saved after every case so the UI can show progress
+      const { error: progressError } = await supabase
+        .from('evaluation_runs')
+        .update({ results, cursor, model, prompt_hash: promptHash })
+        .eq('id', run.id)
+
+      if (progressError) {
+        throw new Error(`Failed to save progress: ${progressError.message}`)
+      }
+    }
+
+    if (cursor < run.case_ids.length) {
+      console.log(`Time budget spent after ${cursor}/${run.case_ids.length} cases, continuing in a new invocation`)
+      await supabase.from('evaluation_runs').update({ locked_until: null }).eq('id', run.id)
+      invokeInBackground('run-evaluation', { action: 'run', run_id: run.id })
+      return jsonResponse({ success: true, claimed: true, run_id: run.id, cursor })
+    }
+
+    const metrics = summarizeRun(results)
+    const { error: completeError } = await supabase
+      .from('evaluation_runs')
+      .update({
+        status: 'completed',
+        metrics,
+        locked_until: null,
+        completed_at: new Date().toISOString()
+      })
+      .eq('id', run.id)
+
+    if (completeError) {
+      throw new Error(`Failed to complete run: ${completeError.message}`)
+    }
+
+    console.log('✅ Evaluation run completed:', { runId: run.id, overall: metrics.overall })
+    return jsonResponse({ success: true, claimed: true, run_id: run.id, metrics })
+  } catch (error) {
+    await supabase
+      .from('evaluation_runs')
+      .update({ status: 'failed', error_message: error.message, locked_until: null })
+      .eq('id', run.id)
+    throw error
+  }
+}
+
+async function compare(supabase: any, requestBody: any) {
+  const { location_id: locationId, baseline_run_id: baselineRunId, candidate_run_id: candidateRunId } = requestBody
+
+  if (!locationId || !baselineRunId || !candidateRunId) {
+    return jsonResponse({
+      error: "location_id, baseline_run_id and candidate_run_id are required",
+      example: { action: 'compare', location_id: 'abc123', baseline_run_id: 'uuid', candidate_run_id: 'uuid' }
+    }, 400)
+  }
+
+  const { data: runs, error } = await supabase
+    .from('evaluation_runs')
+    .select('*')
+    .eq('location_id', locationId)
+    .in('id', [baselineRunId, candidateRunId])
+
+  if (error) {
+    throw new Error(`Failed to fetch runs: ${error.message}`)
+  }
+
+  const baseline = runs?.find((run: any) => run.id === baselineRunId)
+  const candidate = runs?.find((run: any) => run.id === candidateRunId)
+
+  if (!baseline || !candidate) {
+    return jsonResponse({ error: "Both runs must belong to this location" }, 404)
+  }
+
+  if (baseline.status !== 'completed' || candidate.status !== 'completed') {
+    return jsonResponse({ error: "Both runs must be completed" }, 409)
+  }
+
+  return jsonResponse({
+    success: true,
+    baseline: summarizeRunRow(baseline),
+    candidate: summarizeRunRow(candidate),
+    same_dataset: baseline.dataset_id === candidate.dataset_id,
+    comparison: compareRuns(baseline, candidate)
+  })
+}
+
+function summarizeRunRow(run: any) {
+  return {
+    id: run.id,
+    label: run.label,
+    model: run.model,
+    prompt_hash: run.prompt_hash,
+    completed_at: run.completed_at
+  }
+}
+
+// Sends one case through the live extraction pipeline as a dry run. Failures are
+// returned rather than thrown, so the case scores as nothing extracted.
+async function extractCase(locationId: string, evaluationCase: any) {
+  const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+  const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+
+  try {
+    const response = await fetch(`${supabaseUrl}/functions/v1/ai-extraction-payload`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${supabaseServiceKey}`
+      },
+      body: JSON.stringify({
+        location_id: locationId,
+        transcript: evaluationCase.transcript,
+        dry_run: true
+      })
+    })
+
+    const data = await response.json()
+    if (!response.ok) {
+      return { extracted: {}, error: data.error || `ai-extraction-payload returned ${response.status}` }
+    }
+
+    const extraction = data.extraction_result || {}
+    // Evidence holds every non-empty value the model returned, before confidence
+    // thresholds and validation, which is what the prompt and model are judged on
+    const extracted = Object.fromEntries(
+      Object.entries(extraction.field_evidence || {}).map(([key, evidence]: [string, any]) => [key, evidence?.value ?? null])
+    )
+
+    return {
+      extracted,
+      error: extraction.error || null,
+      model: extraction.usage?.model || null,
+      systemPrompt: data.system_prompt || null,
+      usage: extraction.usage
+        ? { total_tokens: extraction.usage.total_tokens, cost_estimate: extraction.usage.cost_estimate }
+        : null
+    }
+  } catch (error) {
+    return { extracted: {}, error: error.message }
+  }
+}
+
+async function sha256(text: string) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text))
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('')
+}
+
+async function getCase(supabase: any, caseId: string) {
+  const { data, error } = await supabase
+    .from('evaluation_cases')
+    .select('id, name, transcript, expected_values')
+    .eq('id', caseId)
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Failed to fetch case: ${error.message}`)
+  }
+
+  return data
+}
+
+async function getGHLConfiguration(supabase: any, locationId: string) {
+  const { data, error } = await supabase
+    .from('ghl_configurations')
+    .select('id, ghl_account_id, agency_ghl_id, ghl_company_id')
+    .eq('ghl_account_id', locationId)
+    .eq('is_active', true)
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Failed to fetch configuration: ${error.message}`)
+  }
+
+  return data
+}
+
+async function getExtractionFields(supabase: any, configId: string) {
+  const { data, error } = await supabase
+    .from('data_extraction_fields')
+    .select('id, field_name, target_ghl_key, field_type, picklist_options')
+    .eq('config_id', configId)
+
+  if (error) {
+    throw new Error(`Failed to fetch extraction fields: ${error.message}`)
+  }
+
+  return data || []
+}
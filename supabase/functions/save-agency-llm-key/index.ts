@@ -0,0 +1,158 @@
+import { createClient } from 'npm:@supabase/supabase-js@2'
+import { encryptSecret, secretContext, secretHint } from "../_shared/secret-encryption.mjs"
+import { getKeyring } from "../_shared/encryption-keys.ts"
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization, apikey, x-client-info",
+}
+
+// Columns returned to the browser; the encrypted key is never sent back
+const KEY_COLUMNS = 'id, key_name, key_hint, openai_org_id, usage_limit_monthly, current_usage_monthly, is_active, created_at, openai_model, provider_type, base_url, deployment_name, api_version, input_price_per_million, output_price_per_million, fallback_chain'
+
+// Settings the caller may set on a key record
+const SETTINGS_COLUMNS = [
+  'key_name',
+  'openai_org_id',
+  'openai_model',
+  'usage_limit_monthly',
+  'is_active',
+  'provider_type',
+  'base_url',
+  'deployment_name',
+  'api_version',
+  'input_price_per_million',
+  'output_price_per_million',
+  'fallback_chain'
+]
+
+// Creates or updates an agency LLM key record, encrypting the API key on the way in.
+// The browser can no longer write agency_openai_keys directly, and only ever reads the
+// key back as key_hint.
+//
+// POST body:
+//   agency_ghl_id - required; must be the caller's agency
+//   key_id        - key record to update; omitted to create one
+//   api_key       - the API key; optional on update, where omitting it keeps the stored key
+//   settings      - any of SETTINGS_COLUMNS
+//
+// The caller is identified by the Supabase JWT in the Authorization header, the same token
+// the agency_openai_keys row level security policies check.
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") {
+    return new Response(null, {
+      status: 200,
+      headers: corsHeaders,
+    })
+  }
+
+  if (req.method !== "POST") {
+    return jsonResponse({ error: "Method not allowed. Use POST." }, 405)
+  }
+
+  try {
+    console.log('=== SAVE AGENCY LLM KEY ===')
+
+    const requestBody = await req.json()
+    const { agency_ghl_id: agencyId, key_id: keyId, api_key: apiKey, settings = {} } = requestBody
+
+    if (!agencyId) {
+      return jsonResponse({
+        error: "agency_ghl_id is required",
+        example: { agency_ghl_id: 'abc123', api_key: 'sk-...', settings: { key_name: 'Default Key' } }
+      }, 400)
+    }
+
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+    const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+    const supabaseAnonKey = Deno.env.get('SUPABASE_ANON_KEY')!
+    const supabase = createClient(supabaseUrl, supabaseServiceKey)
+
+    console.log('Step 1: Checking the caller manages this agency...', { agencyId, keyId })
+    const callerClient = createClient(supabaseUrl, supabaseAnonKey, {
+      global: { headers: { Authorization: req.headers.get('Authorization') || '' } }
+    })
+    const [{ data: userType }, { data: companyId }] = await Promise.all([
+      callerClient.rpc('get_ghl_user_type'),
+      callerClient.rpc('get_ghl_company_id')
+    ])
+
+    if (userType !== 'agency' || companyId !== agencyId) {
+      return jsonResponse({ error: "Only the agency's own users can manage its LLM keys" }, 403)
+    }
+
+    const record: Record<string, any> = {}
+    for (const column of SETTINGS_COLUMNS) {
+      if (column in settings) {
+        record[column] = settings[column]
+      }
+    }
+
+    if (keyId) {
+      const { data: existing, error: existingError } = await supabase
+        .from('agency_openai_keys')
+        .select('id')
+        .eq('id', keyId)
+        .eq('agency_ghl_id', agencyId)
+        .maybeSingle()
+
+      if (existingError) {
+        throw new Error(`Failed to fetch key record: ${existingError.message}`)
+      }
+
+      if (!existing) {
+        return jsonResponse({ error: "Key record not found for this agency", keyId }, 404)
+      }
+    }
+
+    const recordId = keyId || crypto.randomUUID()
+    if (apiKey) {
+      console.log('Step 2: Encrypting API key...')
+      const keyring = await getKeyring()
+      record.encrypted_openai_api_key = await encryptSecret(apiKey, keyring, secretContext('agency_openai_keys', recordId))
+      record.key_hint = secretHint(apiKey)
+    }
+
+    console.log(`Step 3: ${keyId ? 'Updating' : 'Creating'} key record...`)
+    const query = keyId
+      ? supabase
+        .from('agency_openai_keys')
+        .update({ ...record, updated_at: new Date().toISOString() })
+        .eq('id', keyId)
+        .eq('agency_ghl_id', agencyId)
+      : supabase
+        .from('agency_openai_keys')
+        .insert({ ...record, id: recordId, agency_ghl_id: agencyId })
+
+    const { data, error } = await query.select(KEY_COLUMNS).single()
+
+    if (error) {
+      // Constraint violations (e.g. a missing key for a provider that needs one) are the caller's to fix
+      return jsonResponse({ error: `Failed to save key: ${error.message}` }, 400)
+    }
+
+    console.log('✅ Key record saved:', { id: data.id, provider: data.provider_type, keyHint: data.key_hint })
+    return jsonResponse({ success: true, data })
+  } catch (error) {
+    console.error("=== SAVE AGENCY LLM KEY ERROR ===")
+    console.error("Error message:", error.message)
+    console.error("Stack trace:", error.stack)
+
+    return jsonResponse({
+      error: `Failed to save LLM key: ${error.message}`,
+      details: error.toString(),
+      timestamp: new Date().toISOString()
+    }, 500)
+  }
+})
+
+function jsonResponse(body: any, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      "Content-Type": "application/json",
+      ...corsHeaders,
+    },
+  })
+}
@@ -1,4 +1,9 @@
 import { createClient } from 'npm:@supabase/supabase-js@2'
+import { invokeInBackground } from "../_shared/background.ts"
+import { isRetryableStatus } from "../_shared/retry.ts"
+import { normalizeFieldValue } from "../_shared/value-normalizer.mjs"
+import { buildNotificationDeliveries } from "../_shared/notification-rules.mjs"
+import { getGhlAccessToken, GhlTokenError, readGhlTokens } from "../_shared/ghl-tokens.ts"
 
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
@@ -9,10 +14,33 @@ const corsHeaders = {
 interface UpdateRequest {
   ghl_contact_id: string
   location_id: string
+  conversation_id?: string
   extracted_data: Record<string, any>
+  // Keys written regardless of overwrite policy (used when a reviewer approves an 'ask' change)
   force_overwrite?: string[]
+  // Keys queued for review regardless of overwrite policy (low-confidence values)
+  force_review?: string[]
+  // Confidence and source quote per key, stored with any review it creates
+  field_evidence?: Record<string, any>
+  // ai_usage_logs row of the extraction, linked from the extraction history
+  usage_log_id?: string
+  // What started the write, recorded in extraction_results
+  source?: 'extraction' | 'review_approval' | 'rollback'
+  // Write values exactly as given (used by rollback-extraction): no normalization,
+  // overwrite policies or tag merging, and empty values clear the field
+  restore_values?: boolean
+  // With restore_values, keys whose current value must still match or the field is left alone
+  expected_values?: Record<string, any>
+  // extraction_results row a rollback restores
+  rollback_of?: string
+  // Work out the update plan and return it without writing to GHL or recording anything.
+  // ghl_contact_id is optional here; without it the plan is made against an empty contact.
+  dry_run?: boolean
 }
 
+// Messages stored with a review so the reviewer can see where the value came from
+const REVIEW_EXCERPT_MESSAGES = 10
+
 Deno.serve(async (req: Request) => {
   if (req.method === "OPTIONS") {
     return new Response(null, {
@@ -40,7 +68,7 @@ Deno.serve(async (req: Request) => {
     const requestBody: UpdateRequest = await req.json()
     
     // Validate required fields
-    if (!requestBody.ghl_contact_id || !requestBody.location_id || !requestBody.extracted_data) {
+    if ((!requestBody.ghl_contact_id && !requestBody.dry_run) || !requestBody.location_id || !requestBody.extracted_data) {
       return new Response(
         JSON.stringify({
           error: "ghl_contact_id, location_id, and extracted_data are required.",
@@ -99,29 +127,25 @@ Deno.serve(async (req: Request) => {
 
     // Step 2: Validate and refresh token if needed
     console.log('Step 2: Validating access token...')
-    const tokenValidation = validateTokenExpiry(ghlConfig)
-    
-    if (tokenValidation.needsRefresh) {
-      console.log('Token needs refresh, attempting to refresh...')
-      const refreshResult = await refreshAccessToken(supabase, ghlConfig)
-      
-      if (!refreshResult.success) {
-        return new Response(
-          JSON.stringify({
-            error: "Failed to refresh access token",
-            details: refreshResult.error
-          }),
-          {
-            status: 401,
-            headers: {
-              "Content-Type": "application/json",
-              ...corsHeaders,
-            },
-          }
-        )
-      }
-      
-      ghlConfig.access_token = refreshResult.accessToken
+    try {
+      ghlConfig.access_token = await getGhlAccessToken(supabase, ghlConfig)
+    } catch (error) {
+      if (!(error instanceof GhlTokenError)) throw error
+      return new Response(
+        JSON.stringify({
+          error: "Failed to refresh access token",
+          details: error.message,
+          code: error.code
+        }),
+        {
+          status: error.status || 503,
+          headers: {
+            "Content-Type": "application/json",
+            ...(error.retryAfter ? { "Retry-After": error.retryAfter } : {}),
+            ...corsHeaders,
+          },
+        }
+      )
     }
 
     // Step 3: Get extraction fields configuration for this location
@@ -130,7 +154,9 @@ Deno.serve(async (req: Request) => {
 
     // Step 4: Get existing contact from GoHighLevel
     console.log('Step 4: Fetching existing contact from GHL...')
-    const existingContact = await getGHLContact(ghlConfig.access_token, requestBody.ghl_contact_id)
+    const existingContact = requestBody.ghl_contact_id
+      ? await getGHLContact(ghlConfig.access_token, requestBody.ghl_contact_id)
+      : { customFields: [] }
     
     if (!existingContact) {
       return new Response(
@@ -152,10 +178,78 @@ Deno.serve(async (req: Request) => {
     const updateResult = prepareUpdatePayload(
       existingContact,
       requestBody.extracted_data,
-      extractionFields
+      extractionFields,
+      requestBody.force_overwrite || [],
+      requestBody.force_review || [],
+      ghlConfig.default_country,
+      requestBody.restore_values === true,
+      requestBody.expected_values || {}
     )
 
+    if (updateResult.rejectedFields.length > 0) {
+      console.warn(`${updateResult.rejectedFields.length} value(s) rejected by normalization:`, updateResult.rejectedFields)
+    }
+
+    if (requestBody.dry_run) {
+      console.log('✅ Dry run: returning the update plan without writing to GHL')
+      return new Response(
+        JSON.stringify(buildDryRunPlan(requestBody, updateResult)),
+        {
+          status: 200,
+          headers: {
+            "Content-Type": "application/json",
+            ...corsHeaders,
+          },
+        }
+      )
+    }
+
+    // A location in shadow mode records what extraction would write and stops there:
+    // no GHL update, no review items and no notifications. Reviews and rollbacks are
+    // explicit user actions and still go through.
+    if (ghlConfig.extraction_mode === 'shadow' && (requestBody.source || 'extraction') === 'extraction') {
+      console.log('Shadow mode: recording the planned update without writing to GHL')
+      const extractionResultId = await recordExtractionResult(supabase, ghlConfig, requestBody, updateResult.fieldChanges, 'shadow')
+
+      return new Response(
+        JSON.stringify({
+          success: true,
+          shadow: true,
+          message: "Location is in shadow mode; the update was recorded but not sent to GHL",
+          contact_id: requestBody.ghl_contact_id,
+          location_id: requestBody.location_id,
+          updated_fields: [],
+          planned_fields: updateResult.updatedFields,
+          skipped_fields: updateResult.skippedFields,
+          rejected_fields: updateResult.rejectedFields,
+          review_fields: updateResult.reviewFields.map(r => r.fieldKey),
+          extraction_result_id: extractionResultId,
+          timestamp: new Date().toISOString()
+        }),
+        {
+          status: 200,
+          headers: {
+            "Content-Type": "application/json",
+            ...corsHeaders,
+          },
+        }
+      )
+    }
+
+    // Fields with the 'ask' policy wait in the review inbox instead of overwriting the contact
+    if (updateResult.reviewFields.length > 0) {
+      console.log('Queueing fields for review:', updateResult.reviewFields.map(r => r.fieldKey))
+      await queueFieldReviews(supabase, ghlConfig, requestBody, updateResult.reviewFields)
+    }
+
+    const reviewFieldKeys = updateResult.reviewFields.map(r => r.fieldKey)
+    const conflictFields = updateResult.fieldChanges
+      .filter(change => change.decision === 'conflict')
+      .map(change => ({ field: change.fieldKey, current_value: change.previousValue, expected_value: requestBody.expected_values?.[change.fieldKey] ?? null }))
+
     if (Object.keys(updateResult.updatePayload).length === 0) {
+      const extractionResultId = await recordExtractionResult(supabase, ghlConfig, requestBody, updateResult.fieldChanges, 'no_changes')
+
       return new Response(
         JSON.stringify({
           success: true,
@@ -163,6 +257,10 @@ Deno.serve(async (req: Request) => {
           contact_id: requestBody.ghl_contact_id,
           location_id: requestBody.location_id,
           skipped_fields: updateResult.skippedFields,
+          rejected_fields: updateResult.rejectedFields,
+          review_fields: reviewFieldKeys,
+          conflict_fields: conflictFields,
+          extraction_result_id: extractionResultId,
           updated_fields: []
         }),
         {
@@ -211,16 +309,25 @@ Deno.serve(async (req: Request) => {
     )
 
     if (!ghlUpdateResult.success) {
+      await recordExtractionResult(supabase, ghlConfig, requestBody, updateResult.fieldChanges, 'failed', ghlUpdateResult.error)
+
+      // 502 tells the job worker GHL had a transient problem worth retrying;
+      // 422 means GHL rejected the update itself and a retry would fail the same way
+      const retryable = isRetryableStatus(ghlUpdateResult.status)
+      
       return new Response(
         JSON.stringify({
           error: "Failed to update contact in GHL",
           details: ghlUpdateResult.error,
+          ghlStatus: ghlUpdateResult.status || null,
+          retryable,
           ghlResponse: ghlUpdateResult.ghlResponse
         }),
         {
-          status: 500,
+          status: retryable ? 502 : 422,
           headers: {
             "Content-Type": "application/json",
+            ...(ghlUpdateResult.retryAfter ? { "Retry-After": ghlUpdateResult.retryAfter } : {}),
             ...corsHeaders,
           },
         }
@@ -229,6 +336,13 @@ Deno.serve(async (req: Request) => {
 
     console.log('✅ Contact updated successfully')
 
+    const extractionResultId = await recordExtractionResult(supabase, ghlConfig, requestBody, updateResult.fieldChanges, 'applied')
+
+    // Restoring old values is not news, so rollbacks do not notify
+    if (requestBody.source !== 'rollback') {
+      await queueNotifications(supabase, ghlConfig, requestBody, updateResult.fieldChanges, extractionResultId)
+    }
+
     return new Response(
       JSON.stringify({
         success: true,
@@ -236,6 +350,10 @@ Deno.serve(async (req: Request) => {
         location_id: requestBody.location_id,
         updated_fields: updateResult.updatedFields,
         skipped_fields: updateResult.skippedFields,
+        rejected_fields: updateResult.rejectedFields,
+        review_fields: reviewFieldKeys,
+        conflict_fields: conflictFields,
+        extraction_result_id: extractionResultId,
         ghl_response: ghlUpdateResult.ghlResponse,
         timestamp: new Date().toISOString()
       }),
@@ -281,7 +399,9 @@ async function getGHLConfiguration(supabase: any, locationId: string) {
       refresh_token,
       token_expires_at,
       ghl_account_id,
-      business_name
+      business_name,
+      default_country,
+      extraction_mode
     `)
     .eq('ghl_account_id', locationId)
     .eq('is_active', true)
@@ -291,74 +411,7 @@ async function getGHLConfiguration(supabase: any, locationId: string) {
     throw new Error(`Failed to fetch configuration: ${error.message}`)
   }
 
-  return data
-}
-
-function validateTokenExpiry(config: any) {
-  if (!config.token_expires_at) {
-    return { needsRefresh: false }
-  }
-
-  const expiryDate = new Date(config.token_expires_at)
-  const now = new Date()
-  const hoursUntilExpiry = (expiryDate.getTime() - now.getTime()) / (1000 * 60 * 60)
-
-  return {
-    needsRefresh: hoursUntilExpiry <= 1,
-    hoursUntilExpiry: Math.round(hoursUntilExpiry)
-  }
-}
-
-async function refreshAccessToken(supabase: any, config: any) {
-  try {
-    const clientId = Deno.env.get('GHL_MARKETPLACE_CLIENT_ID')
-    const clientSecret = Deno.env.get('GHL_MARKETPLACE_CLIENT_SECRET')
-    const apiDomain = Deno.env.get('GHL_API_DOMAIN') || 'https://services.leadconnectorhq.com'
-
-    const params = new URLSearchParams({
-      client_id: clientId!,
-      client_secret: clientSecret!,
-      grant_type: 'refresh_token',
-      refresh_token: config.refresh_token
-    })
-
-    const response = await fetch(`${apiDomain}/oauth/token`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Accept': 'application/json'
-      },
-      body: params.toString()
-    })
-
-    if (!response.ok) {
-      const errorText = await response.text()
-      throw new Error(`Token refresh failed: ${response.status} - ${errorText}`)
-    }
-
-    const tokenData = await response.json()
-    const expiresAt = new Date(Date.now() + (tokenData.expires_in * 1000)).toISOString()
-    
-    await supabase
-      .from('ghl_configurations')
-      .update({
-        access_token: tokenData.access_token,
-        refresh_token: tokenData.refresh_token,
-        token_expires_at: expiresAt,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', config.id)
-
-    return {
-      success: true,
-      accessToken: tokenData.access_token
-    }
-  } catch (error) {
-    return {
-      success: false,
-      error: error.message
-    }
-  }
+  return readGhlTokens(data)
 }
 
 async function getExtractionFields(supabase: any, configId: string) {
@@ -370,6 +423,7 @@ async function getExtractionFields(supabase: any, configId: string) {
       target_ghl_key,
       field_key,
       field_type,
+      picklist_options,
       overwrite_policy,
       original_ghl_field_data
     `)
@@ -415,14 +469,27 @@ function isStandardField(field: any): boolean {
   return field && field.target_ghl_key && field.target_ghl_key.includes('.')
 }
 
+function isEmptyValue(value: any): boolean {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)
+}
+
 function prepareUpdatePayload(
   existingContact: any, 
   extractedData: Record<string, any>,
-  extractionFields: any[]
+  extractionFields: any[],
+  forceOverwrite: string[] = [],
+  forceReview: string[] = [],
+  country: string | null = null,
+  restoreValues = false,
+  expectedValues: Record<string, any> = {}
 ) {
   const updatePayload: any = {}
   const updatedFields: string[] = []
   const skippedFields: string[] = []
+  const rejectedFields: { field: string, value: any, reason: string }[] = []
+  const reviewFields: any[] = []
+  // Every key's previous value, new value and decision, for the extraction history
+  const fieldChanges: any[] = []
 
   // Initialize customFields array if needed
   if (!updatePayload.customFields) {
@@ -508,15 +575,16 @@ function prepareUpdatePayload(
   }
 
   // Process each extracted field
-  for (const [fieldKey, newValue] of Object.entries(extractedData)) {
-    // Skip empty values
-    if (newValue === null || newValue === undefined || newValue === '') {
+  for (const [fieldKey, extractedValue] of Object.entries(extractedData)) {
+    // Skip empty values (a restore may clear a field that was empty before)
+    if (!restoreValues && (extractedValue === null || extractedValue === undefined || extractedValue === '')) {
       console.log(`Skipping empty value for field ${fieldKey}`)
       skippedFields.push(fieldKey)
+      fieldChanges.push({ fieldKey, field: null, previousValue: null, newValue: null, decision: 'skipped_empty' })
       continue
     }
 
-    console.log(`Processing field: ${fieldKey} with value: ${newValue}`)
+    console.log(`Processing field: ${fieldKey} with value: ${extractedValue}`)
 
     // Get field configuration if available
     const field = fieldsMap.get(fieldKey)
@@ -524,8 +592,22 @@ function prepareUpdatePayload(
     if (!field) {
       console.log(`No field configuration found for ${fieldKey}, skipping`)
       skippedFields.push(fieldKey)
+      fieldChanges.push({ fieldKey, field: null, previousValue: null, newValue: extractedValue, decision: 'skipped_unconfigured' })
       continue
     }
+
+    // Coerce the value to what GHL expects for the field type, or reject it.
+    // Restored values were normalized when first written.
+    const normalized = restoreValues
+      ? { ok: true, value: extractedValue ?? null }
+      : normalizeFieldValue(field, extractedValue, { country: country || undefined })
+    if (!normalized.ok) {
+      console.log(`❌ Rejected ${fieldKey}: ${normalized.reason} (got ${JSON.stringify(extractedValue)})`)
+      rejectedFields.push({ field: fieldKey, value: extractedValue, reason: normalized.reason })
+      fieldChanges.push({ fieldKey, field, previousValue: null, newValue: extractedValue, decision: 'rejected', reason: normalized.reason })
+      continue
+    }
+    const newValue = normalized.value
     
     // Use the database information to determine if this is a standard field
     const isStandard = isStandardField(field)
@@ -533,7 +615,7 @@ function prepareUpdatePayload(
     console.log(`Field ${fieldKey} is ${isStandard ? 'standard' : 'custom'} field`)
     
     const fieldName = field?.field_name || fieldKey
-    const policy = field?.overwrite_policy || 'always'
+    const policy = restoreValues || forceOverwrite.includes(fieldKey) ? 'always' : (field?.overwrite_policy || 'always')
     
     // Get current value based on field type
     let currentValue: any = null
@@ -561,6 +643,29 @@ function prepareUpdatePayload(
       })
     }
 
+    const previousValue = currentValue ?? null
+
+    // A restore only replaces what it expects to find; anything else was changed since
+    if (restoreValues && fieldKey in expectedValues && JSON.stringify(previousValue) !== JSON.stringify(expectedValues[fieldKey] ?? null)) {
+      console.log(`⚠️ Not restoring ${fieldName}: value changed since it was written (${JSON.stringify(previousValue)})`)
+      skippedFields.push(fieldKey)
+      fieldChanges.push({ fieldKey, field, previousValue, newValue, decision: 'conflict', reason: 'Value changed since it was written' })
+      continue
+    }
+
+    // Low-confidence values go to review even when the field is empty
+    if (!restoreValues && forceReview.includes(fieldKey) && !forceOverwrite.includes(fieldKey)) {
+      if (JSON.stringify(currentValue) === JSON.stringify(newValue)) {
+        skippedFields.push(fieldKey)
+        fieldChanges.push({ fieldKey, field, previousValue, newValue, decision: 'skipped_by_policy', reason: 'Value unchanged' })
+      } else {
+        console.log(`📝 Queueing low-confidence ${fieldName} for review: ${JSON.stringify(currentValue)} → ${JSON.stringify(newValue)}`)
+        reviewFields.push({ fieldKey, field, currentValue, proposedValue: newValue, reason: 'low_confidence' })
+        fieldChanges.push({ fieldKey, field, previousValue, newValue, decision: 'review', reason: 'Below minimum confidence' })
+      }
+      continue
+    }
+
     // Apply overwrite policy
     let shouldUpdate = false
     
@@ -568,12 +673,24 @@ function prepareUpdatePayload(
       case 'always':
         shouldUpdate = true
         break
+      case 'only_empty':
       case 'if_empty':
-        shouldUpdate = !currentValue || currentValue === '' || currentValue === null
+        shouldUpdate = isEmptyValue(currentValue)
         break
       case 'never':
         shouldUpdate = false
         break
+      case 'ask':
+        // Filling an empty field needs no review; replacing existing data does
+        if (isEmptyValue(currentValue)) {
+          shouldUpdate = true
+        } else if (JSON.stringify(currentValue) !== JSON.stringify(newValue)) {
+          console.log(`📝 Queueing ${fieldName} for review: ${JSON.stringify(currentValue)} → ${JSON.stringify(newValue)}`)
+          reviewFields.push({ fieldKey, field, currentValue, proposedValue: newValue, reason: 'overwrite_policy' })
+          fieldChanges.push({ fieldKey, field, previousValue, newValue, decision: 'review', reason: 'Overwrite policy: ask' })
+          continue
+        }
+        break
       default:
         shouldUpdate = true
     }
@@ -581,6 +698,7 @@ function prepareUpdatePayload(
     if (!shouldUpdate) {
       console.log(`⏭️ Skipping ${fieldName} due to overwrite policy: ${policy}`)
       skippedFields.push(fieldKey)
+      fieldChanges.push({ fieldKey, field, previousValue, newValue, decision: 'skipped_by_policy', reason: `Overwrite policy: ${policy}` })
       continue
     }
 
@@ -593,6 +711,11 @@ function prepareUpdatePayload(
         // Special handling for specific field types
         switch (ghlStandardKey) {
           case 'tags':
+            if (restoreValues) {
+              // Put back the exact tag list the contact had
+              updatePayload.tags = Array.isArray(newValue) ? newValue : []
+              break
+            }
             // Merge tags to avoid duplicates
             const existingTags = existingContact.tags || []
             const newTags = Array.isArray(newValue) ? newValue : [newValue]
@@ -607,15 +730,23 @@ function prepareUpdatePayload(
         
         console.log(`✅ Will update standard field ${ghlStandardKey}: ${JSON.stringify(currentValue)} → ${JSON.stringify(newValue)}`)
         updatedFields.push(fieldKey)
+        fieldChanges.push({
+          fieldKey,
+          field,
+          previousValue,
+          newValue: ghlStandardKey === 'tags' ? updatePayload.tags : newValue,
+          decision: 'written'
+        })
       } else {
-        // Custom field
+        // Custom field (GHL clears a custom field given an empty string)
         updatePayload.customFields.push({
           id: targetFieldId,
-          value: newValue
+          value: newValue ?? ''
         })
         
         console.log(`✅ Will update custom field ${targetFieldId} (${fieldName}): ${JSON.stringify(currentValue)} → ${JSON.stringify(newValue)}`)
         updatedFields.push(fieldKey)
+        fieldChanges.push({ fieldKey, field, previousValue, newValue, decision: 'written' })
       }
     }
   }
@@ -639,10 +770,211 @@ function prepareUpdatePayload(
   return {
     updatePayload,
     updatedFields,
-    skippedFields
+    skippedFields,
+    rejectedFields,
+    reviewFields,
+    fieldChanges
+  }
+}
+
+// The update a real run would make, with every key's before and after value and decision
+function buildDryRunPlan(requestBody: UpdateRequest, updateResult: any) {
+  return {
+    success: true,
+    dry_run: true,
+    contact_id: requestBody.ghl_contact_id || null,
+    location_id: requestBody.location_id,
+    update_payload: updateResult.updatePayload,
+    updated_fields: updateResult.updatedFields,
+    skipped_fields: updateResult.skippedFields,
+    rejected_fields: updateResult.rejectedFields,
+    review_fields: updateResult.reviewFields.map((r: any) => r.fieldKey),
+    field_changes: updateResult.fieldChanges.map((change: any) => ({
+      field_key: change.fieldKey,
+      field_name: change.field?.field_name || null,
+      target_ghl_key: change.field?.target_ghl_key || null,
+      previous_value: change.previousValue ?? null,
+      new_value: change.newValue ?? null,
+      decision: change.decision,
+      reason: change.reason || null
+    })),
+    timestamp: new Date().toISOString()
+  }
+}
+
+// Stores the run in extraction_results with one extraction_result_fields row per key,
+// so a write can be traced to its conversation and rolled back. History is best effort:
+// the contact is already updated, so a failure here is logged rather than returned.
+async function recordExtractionResult(
+  supabase: any,
+  ghlConfig: any,
+  requestBody: UpdateRequest,
+  fieldChanges: any[],
+  status: 'applied' | 'no_changes' | 'failed' | 'shadow',
+  errorMessage: string | null = null
+): Promise<string | null> {
+  try {
+    const { data: result, error: resultError } = await supabase
+      .from('extraction_results')
+      .insert({
+        location_id: requestBody.location_id,
+        config_id: ghlConfig.id,
+        contact_id: requestBody.ghl_contact_id,
+        conversation_id: requestBody.conversation_id || null,
+        usage_log_id: requestBody.usage_log_id || null,
+        source: requestBody.source || 'extraction',
+        status,
+        error_message: errorMessage,
+        rollback_of: requestBody.rollback_of || null
+      })
+      .select('id')
+      .single()
+
+    if (resultError) {
+      throw new Error(resultError.message)
+    }
+
+    if (fieldChanges.length > 0) {
+      const { error: fieldsError } = await supabase
+        .from('extraction_result_fields')
+        .insert(fieldChanges.map(change => ({
+          result_id: result.id,
+          location_id: requestBody.location_id,
+          extraction_field_id: change.field?.id || null,
+          field_key: change.fieldKey,
+          target_ghl_key: change.field?.target_ghl_key || null,
+          field_name: change.field?.field_name || null,
+          previous_value: change.previousValue ?? null,
+          new_value: change.newValue ?? null,
+          decision: change.decision,
+          reason: change.reason || null,
+          evidence: requestBody.field_evidence?.[change.fieldKey] || null
+        })))
+
+      if (fieldsError) {
+        throw new Error(fieldsError.message)
+      }
+    }
+
+    console.log(`✅ Recorded extraction result ${result.id} (${status})`)
+    return result.id
+  } catch (error) {
+    console.warn('Failed to record extraction history:', error.message)
+    return null
   }
 }
 
+// Queues a notification_deliveries row for every notification rule the written values fire,
+// then kicks process-notifications to send them. Like the history this is best effort.
+async function queueNotifications(
+  supabase: any,
+  ghlConfig: any,
+  requestBody: UpdateRequest,
+  fieldChanges: any[],
+  extractionResultId: string | null
+) {
+  try {
+    const { data: triggers, error: triggersError } = await supabase
+      .from('notification_triggers')
+      .select('*')
+      .eq('config_id', ghlConfig.id)
+      .eq('is_active', true)
+
+    if (triggersError) {
+      throw new Error(triggersError.message)
+    }
+
+    const deliveries = buildNotificationDeliveries(triggers || [], fieldChanges, {
+      locationId: requestBody.location_id,
+      configId: ghlConfig.id,
+      contactId: requestBody.ghl_contact_id,
+      conversationId: requestBody.conversation_id,
+      extractionResultId
+    })
+
+    if (deliveries.length === 0) {
+      return
+    }
+
+    const { error: insertError } = await supabase
+      .from('notification_deliveries')
+      .insert(deliveries)
+
+    if (insertError) {
+      throw new Error(insertError.message)
+    }
+
+    console.log(`✅ Queued ${deliveries.length} notification(s):`, deliveries.map(d => d.trigger_name))
+
+    // Send them now rather than on the next scheduled run
+    invokeInBackground('process-notifications', {})
+  } catch (error) {
+    console.warn('Failed to queue notifications:', error.message)
+  }
+}
+
+// Stores 'ask' policy changes in pending_field_reviews with the latest conversation messages.
+// A newer proposal for the same contact field supersedes the one still waiting.
+async function queueFieldReviews(supabase: any, ghlConfig: any, requestBody: UpdateRequest, reviewFields: any[]) {
+  let conversationExcerpt: any[] = []
+
+  if (requestBody.conversation_id) {
+    const { data: messages, error: messagesError } = await supabase
+      .from('ghl_conversations')
+      .select('direction, body, message_type, date_added')
+      .eq('conversation_id', requestBody.conversation_id)
+      .not('body', 'is', null)
+      .order('date_added', { ascending: false })
+      .limit(REVIEW_EXCERPT_MESSAGES)
+
+    if (messagesError) {
+      console.warn('Failed to load conversation excerpt for review:', messagesError)
+    } else {
+      conversationExcerpt = (messages || []).reverse()
+    }
+  }
+
+  for (const review of reviewFields) {
+    const evidence = requestBody.field_evidence?.[review.fieldKey] || null
+
+    const { error: supersedeError } = await supabase
+      .from('pending_field_reviews')
+      .update({ status: 'superseded' })
+      .eq('contact_id', requestBody.ghl_contact_id)
+      .eq('target_ghl_key', review.field.target_ghl_key)
+      .eq('status', 'pending')
+
+    if (supersedeError) {
+      throw new Error(`Failed to supersede pending review for ${review.fieldKey}: ${supersedeError.message}`)
+    }
+
+    const { error: insertError } = await supabase
+      .from('pending_field_reviews')
+      .insert({
+        location_id: requestBody.location_id,
+        config_id: ghlConfig.id,
+        extraction_field_id: review.field.id,
+        contact_id: requestBody.ghl_contact_id,
+        conversation_id: requestBody.conversation_id || null,
+        field_name: review.field.field_name,
+        target_ghl_key: review.field.target_ghl_key,
+        field_type: review.field.field_type,
+        current_value: review.currentValue ?? null,
+        proposed_value: review.proposedValue,
+        conversation_excerpt: conversationExcerpt,
+        review_reason: review.reason,
+        confidence: evidence?.confidence ?? null,
+        evidence
+      })
+
+    if (insertError) {
+      throw new Error(`Failed to queue review for ${review.fieldKey}: ${insertError.message}`)
+    }
+  }
+
+  console.log(`✅ Queued ${reviewFields.length} field(s) for review`)
+}
+
 // Function to update a contact in GHL
 async function updateGHLContact(accessToken: string, contactId: string, payload: any) {
   try {
@@ -737,6 +1069,8 @@ async function updateGHLContact(accessToken: string, contactId: string, payload:
           status: response.status,
           response: responseData
         })}`,
+        status: response.status,
+        retryAfter: response.headers.get('retry-after'),
         ghlResponse: responseData
       }
     }
@@ -122,7 +122,8 @@ Deno.serve(async (req: Request) => {
           success: true,
           message: "No conversation records found",
           conversations: [],
-          usage_logs: []
+          usage_logs: [],
+          extraction_results: []
         }),
         {
           status: 200,
@@ -141,8 +142,9 @@ Deno.serve(async (req: Request) => {
     console.log('Step 2: Fetching AI usage logs...')
     const { data: usageLogs, error: usageError } = await supabase
       .from('ai_usage_logs')
-      .select('*')
+      .select('*, prompt_version:prompt_versions(content_hash, created_at)')
       .in('conversation_id', conversationIds)
+      .or('extraction_type.is.null,extraction_type.neq.dry_run') // Playground runs never touched the contact
       .order('created_at', { ascending: false })
     
     if (usageError) {
@@ -152,7 +154,23 @@ Deno.serve(async (req: Request) => {
     
     console.log(`Found ${usageLogs?.length || 0} AI usage logs`)
     
-    // Step 3: Combine the data
+    // Step 3: Get what each run wrote to the contact, for review and rollback
+    console.log('Step 3: Fetching extraction results...')
+    const { data: extractionResults, error: resultsError } = await supabase
+      .from('extraction_results')
+      .select('*, fields:extraction_result_fields(*)')
+      .eq('location_id', locationId)
+      .in('conversation_id', conversationIds)
+      .order('created_at', { ascending: false })
+    
+    if (resultsError) {
+      console.error('Error fetching extraction results:', resultsError)
+      throw new Error(`Failed to fetch extraction results: ${resultsError.message}`)
+    }
+    
+    console.log(`Found ${extractionResults?.length || 0} extraction results`)
+    
+    // Step 4: Combine the data
     const result = {
       success: true,
       contact_id: contactId,
@@ -181,8 +199,12 @@ Deno.serve(async (req: Request) => {
         success: log.success,
         error_message: log.error_message,
         response_time_ms: log.response_time_ms,
+        history_truncation: log.history_truncation,
+        validation_errors: log.validation_errors,
+        field_evidence: log.field_evidence,
         created_at: log.created_at
       })) || [],
+      extraction_results: extractionResults || [],
       timestamp: new Date().toISOString()
     }
     
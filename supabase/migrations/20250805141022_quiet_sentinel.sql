@@ -0,0 +1,53 @@
+/*
+  # Create Webhook Rejections Table
+
+  1. New Tables
+    - `webhook_rejections`
+      - `id` (uuid, primary key)
+      - `source` (text) - which handler rejected it (ghl-webhook-handler, Data-Extractor-Webhook)
+      - `reason` (text) - missing_signature, malformed_signature, invalid_signature, verification_error
+      - `location_id` (text) - locationId claimed by the payload, if any (unverified)
+      - `event_type` (text) - type/event claimed by the payload, if any (unverified)
+      - `signature_present` (boolean) - whether an x-wh-signature header was sent
+      - `remote_ip` (text)
+      - `user_agent` (text)
+      - `raw_body` (text) - first 10,000 characters of the rejected body
+      - `received_at` (timestamptz)
+
+  2. Indexes
+    - Received at for recent-activity queries
+    - Reason for spotting probing vs. misconfiguration
+
+  3. Security
+    - Enable RLS on `webhook_rejections` table
+    - Service role only; rejected payloads are untrusted and never shown to app users
+*/
+
+CREATE TABLE IF NOT EXISTS webhook_rejections (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  source text NOT NULL,
+  reason text NOT NULL,
+  location_id text,
+  event_type text,
+  signature_present boolean DEFAULT false NOT NULL,
+  remote_ip text,
+  user_agent text,
+  raw_body text,
+  received_at timestamptz DEFAULT now() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_rejections_received_at ON webhook_rejections (received_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_rejections_reason ON webhook_rejections (reason, received_at DESC);
+
+-- Enable Row Level Security
+ALTER TABLE webhook_rejections ENABLE ROW LEVEL SECURITY;
+
+-- Policy for service role (webhook handlers write rejections)
+CREATE POLICY "service_role_all_webhook_rejections"
+  ON webhook_rejections
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+COMMENT ON TABLE webhook_rejections IS 'Webhook requests rejected for a missing or invalid GHL x-wh-signature';
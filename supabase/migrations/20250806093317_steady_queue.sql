@@ -0,0 +1,265 @@
+/*
+  # Create Extraction Jobs Queue
+
+  1. New Tables
+    - `extraction_jobs`
+      - `id` (uuid, primary key)
+      - `location_id` (text)
+      - `conversation_id` (text)
+      - `contact_id` (text)
+      - `status` (text) - pending, processing, completed, dead, superseded
+      - `attempts` (integer) - number of times the job has been claimed
+      - `max_attempts` (integer) - attempts allowed before dead-lettering
+      - `run_after` (timestamptz) - earliest time the job may be claimed (backoff)
+      - `locked_at` (timestamptz) - when the current worker claimed it
+      - `locked_by` (text) - worker identifier
+      - `last_error` (text)
+      - `last_status_code` (integer) - HTTP status of the last failed attempt
+      - `result` (jsonb) - summary of the successful run
+      - `completed_at` (timestamptz)
+      - `created_at` (timestamptz)
+      - `updated_at` (timestamptz)
+
+  2. Functions
+    - `enqueue_extraction_job()` - Adds a pending job, coalescing with an existing pending job for the same conversation
+    - `claim_extraction_jobs()` - Claims due jobs with FOR UPDATE SKIP LOCKED; reclaims jobs whose worker died,
+      or dead-letters them once they have used all their attempts
+    - `complete_extraction_job()` - Marks a job completed
+    - `fail_extraction_job()` - Schedules a retry, or moves the job to the dead-letter state
+      (a retry is dropped as superseded when a newer pending job already covers the conversation)
+    - complete and fail only act for the worker holding the job's lock, so a worker whose lock
+      timed out cannot overwrite the outcome of the worker that reclaimed the job
+
+  3. Security
+    - Enable RLS on `extraction_jobs` table
+    - Service role can manage all jobs
+    - Authenticated users can read jobs for their locations
+    - The queue functions are service role only
+*/
+
+CREATE TABLE IF NOT EXISTS extraction_jobs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  location_id text NOT NULL,
+  conversation_id text NOT NULL,
+  contact_id text,
+  status text DEFAULT 'pending' NOT NULL CHECK (status IN ('pending', 'processing', 'completed', 'dead', 'superseded')),
+  attempts integer DEFAULT 0 NOT NULL,
+  max_attempts integer DEFAULT 5 NOT NULL,
+  run_after timestamptz DEFAULT now() NOT NULL,
+  locked_at timestamptz,
+  locked_by text,
+  last_error text,
+  last_status_code integer,
+  result jsonb,
+  completed_at timestamptz,
+  created_at timestamptz DEFAULT now() NOT NULL,
+  updated_at timestamptz DEFAULT now() NOT NULL
+);
+
+-- Only one pending job per conversation; new messages fold into it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_extraction_jobs_pending_conversation
+  ON extraction_jobs (conversation_id) WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_extraction_jobs_due ON extraction_jobs (run_after ASC) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_extraction_jobs_processing ON extraction_jobs (locked_at) WHERE status = 'processing';
+CREATE INDEX IF NOT EXISTS idx_extraction_jobs_location_status ON extraction_jobs (location_id, status, created_at DESC);
+
+-- Enable Row Level Security
+ALTER TABLE extraction_jobs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "service_role_all_extraction_jobs"
+  ON extraction_jobs
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "extraction_jobs_jwt_select"
+  ON extraction_jobs
+  FOR SELECT
+  TO authenticated
+  USING (
+    is_ghl_user_authenticated() AND
+    user_has_location_access(location_id)
+  );
+
+-- Create updated_at trigger
+CREATE OR REPLACE FUNCTION update_extraction_jobs_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = now();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_extraction_jobs_updated_at ON extraction_jobs;
+CREATE TRIGGER update_extraction_jobs_updated_at
+  BEFORE UPDATE ON extraction_jobs
+  FOR EACH ROW
+  EXECUTE FUNCTION update_extraction_jobs_updated_at();
+
+-- Enqueue a job, or fold into the conversation's existing pending job
+CREATE OR REPLACE FUNCTION enqueue_extraction_job(
+  p_location_id text,
+  p_conversation_id text,
+  p_contact_id text DEFAULT NULL,
+  p_run_after timestamptz DEFAULT now()
+)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  job_id uuid;
+BEGIN
+  INSERT INTO extraction_jobs (location_id, conversation_id, contact_id, run_after)
+  VALUES (p_location_id, p_conversation_id, p_contact_id, p_run_after)
+  ON CONFLICT (conversation_id) WHERE status = 'pending'
+  DO UPDATE SET
+    contact_id = COALESCE(EXCLUDED.contact_id, extraction_jobs.contact_id)
+  RETURNING id INTO job_id;
+
+  RETURN job_id;
+END;
+$$;
+
+-- Claim up to p_batch_size due jobs. Jobs stuck in processing longer than
+-- p_lock_timeout_seconds are assumed orphaned by a crashed worker and reclaimed,
+-- unless they have used all their attempts: a job that kills or times out its
+-- worker every time is dead-lettered here, as fail_extraction_job would have.
+CREATE OR REPLACE FUNCTION claim_extraction_jobs(
+  p_worker_id text,
+  p_batch_size integer DEFAULT 5,
+  p_lock_timeout_seconds integer DEFAULT 600
+)
+RETURNS SETOF extraction_jobs
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  RETURN QUERY
+  WITH claimed AS (
+    UPDATE extraction_jobs
+    SET
+      status = CASE WHEN due.dead THEN 'dead' ELSE 'processing' END,
+      attempts = CASE WHEN due.dead THEN extraction_jobs.attempts ELSE extraction_jobs.attempts + 1 END,
+      last_error = CASE
+        WHEN due.dead THEN 'Worker lock timed out on the last attempt'
+        ELSE extraction_jobs.last_error
+      END,
+      locked_at = CASE WHEN due.dead THEN NULL ELSE now() END,
+      locked_by = CASE WHEN due.dead THEN NULL ELSE p_worker_id END
+    FROM (
+      SELECT j.id, (j.status = 'processing' AND j.attempts >= j.max_attempts) AS dead
+      FROM extraction_jobs j
+      WHERE (j.status = 'pending' AND j.run_after <= now())
+         OR (j.status = 'processing' AND j.locked_at < now() - make_interval(secs => p_lock_timeout_seconds))
+      ORDER BY j.run_after ASC
+      LIMIT p_batch_size
+      FOR UPDATE SKIP LOCKED
+    ) due
+    WHERE extraction_jobs.id = due.id
+    RETURNING extraction_jobs.*
+  )
+  SELECT * FROM claimed WHERE claimed.status = 'processing';
+END;
+$$;
+
+-- Returns false when p_worker_id no longer holds the job (its lock timed out and
+-- another worker reclaimed it), in which case nothing is written.
+CREATE OR REPLACE FUNCTION complete_extraction_job(
+  p_job_id uuid,
+  p_worker_id text,
+  p_result jsonb DEFAULT NULL
+)
+RETURNS boolean
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  UPDATE extraction_jobs
+  SET
+    status = 'completed',
+    result = p_result,
+    completed_at = now(),
+    locked_at = NULL,
+    locked_by = NULL
+  WHERE id = p_job_id
+  AND status = 'processing'
+  AND locked_by = p_worker_id;
+
+  RETURN FOUND;
+END;
+$$;
+
+-- Record a failed attempt. A NULL p_retry_in_seconds means the error is not
+-- worth retrying. Jobs that cannot be retried or have used all attempts are dead-lettered.
+-- Returns NULL when p_worker_id no longer holds the job, in which case nothing is written.
+CREATE OR REPLACE FUNCTION fail_extraction_job(
+  p_job_id uuid,
+  p_worker_id text,
+  p_error text,
+  p_status_code integer DEFAULT NULL,
+  p_retry_in_seconds integer DEFAULT NULL
+)
+RETURNS text
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  job extraction_jobs;
+  new_status text;
+BEGIN
+  SELECT * INTO job
+  FROM extraction_jobs
+  WHERE id = p_job_id
+  AND status = 'processing'
+  AND locked_by = p_worker_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  IF p_retry_in_seconds IS NULL OR job.attempts >= job.max_attempts THEN
+    new_status := 'dead';
+  ELSIF EXISTS (
+    SELECT 1 FROM extraction_jobs
+    WHERE conversation_id = job.conversation_id
+    AND status = 'pending'
+    AND id <> job.id
+  ) THEN
+    -- A newer message already queued a run over the same conversation
+    new_status := 'superseded';
+  ELSE
+    new_status := 'pending';
+  END IF;
+
+  UPDATE extraction_jobs
+  SET
+    status = new_status,
+    run_after = CASE
+      WHEN new_status = 'pending' THEN now() + make_interval(secs => p_retry_in_seconds)
+      ELSE run_after
+    END,
+    last_error = left(p_error, 2000),
+    last_status_code = p_status_code,
+    locked_at = NULL,
+    locked_by = NULL
+  WHERE id = p_job_id;
+
+  RETURN new_status;
+END;
+$$;
+
+-- SECURITY DEFINER bypasses RLS, so only the service role may call these
+REVOKE EXECUTE ON FUNCTION enqueue_extraction_job(text, text, text, timestamptz) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION claim_extraction_jobs(text, integer, integer) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION complete_extraction_job(uuid, text, jsonb) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION fail_extraction_job(uuid, text, text, integer, integer) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION enqueue_extraction_job(text, text, text, timestamptz) TO service_role;
+GRANT EXECUTE ON FUNCTION claim_extraction_jobs(text, integer, integer) TO service_role;
+GRANT EXECUTE ON FUNCTION complete_extraction_job(uuid, text, jsonb) TO service_role;
+GRANT EXECUTE ON FUNCTION fail_extraction_job(uuid, text, text, integer, integer) TO service_role;
+
+COMMENT ON TABLE extraction_jobs IS 'Durable queue for AI extraction runs, processed by the process-extraction-jobs function';
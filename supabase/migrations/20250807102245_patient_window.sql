@@ -0,0 +1,82 @@
+/*
+  # Debounce Extraction Per Conversation
+
+  1. Changes
+    - Add `extraction_quiet_window_seconds` to `ghl_configurations` (default 90)
+      - Extraction waits until the conversation has been quiet this long
+    - Add `extraction_max_wait_seconds` to `ghl_configurations` (default 600)
+      - Upper bound on the wait, measured from the first message of a burst,
+        so a long back-and-forth is still extracted while it is going on
+
+  2. Functions
+    - Replace `enqueue_extraction_job()`
+      - Each inbound message pushes the conversation's pending job out by the quiet window,
+        capped at the job's creation time plus the max wait
+      - A pending retry keeps its backoff; new messages never pull it earlier
+      - Returns the job id and when it is due, so callers know whether to kick the worker
+      - Service role only
+*/
+
+ALTER TABLE ghl_configurations
+ADD COLUMN IF NOT EXISTS extraction_quiet_window_seconds integer DEFAULT 90 NOT NULL
+  CHECK (extraction_quiet_window_seconds >= 0),
+ADD COLUMN IF NOT EXISTS extraction_max_wait_seconds integer DEFAULT 600 NOT NULL
+  CHECK (extraction_max_wait_seconds >= 0);
+
+DROP FUNCTION IF EXISTS enqueue_extraction_job(text, text, text, timestamptz);
+
+-- Enqueue a job, or fold into the conversation's existing pending job.
+-- p_run_after overrides the debounce window when given.
+CREATE OR REPLACE FUNCTION enqueue_extraction_job(
+  p_location_id text,
+  p_conversation_id text,
+  p_contact_id text DEFAULT NULL,
+  p_run_after timestamptz DEFAULT NULL
+)
+RETURNS TABLE (job_id uuid, run_after timestamptz)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+#variable_conflict use_column
+DECLARE
+  quiet_window integer := 90;
+  max_wait integer := 600;
+BEGIN
+  SELECT c.extraction_quiet_window_seconds, c.extraction_max_wait_seconds
+  INTO quiet_window, max_wait
+  FROM ghl_configurations c
+  WHERE c.ghl_account_id = p_location_id
+  AND c.is_active = true
+  LIMIT 1;
+
+  quiet_window := COALESCE(quiet_window, 90);
+  max_wait := COALESCE(max_wait, 600);
+
+  RETURN QUERY
+  INSERT INTO extraction_jobs AS j (location_id, conversation_id, contact_id, run_after)
+  VALUES (
+    p_location_id,
+    p_conversation_id,
+    p_contact_id,
+    COALESCE(p_run_after, now() + make_interval(secs => LEAST(quiet_window, max_wait)))
+  )
+  ON CONFLICT (conversation_id) WHERE status = 'pending'
+  DO UPDATE SET
+    contact_id = COALESCE(EXCLUDED.contact_id, j.contact_id),
+    run_after = CASE
+      -- Waiting out a retry backoff: never pull it earlier
+      WHEN j.attempts > 0 THEN GREATEST(j.run_after, EXCLUDED.run_after)
+      WHEN p_run_after IS NOT NULL THEN EXCLUDED.run_after
+      -- Slide the quiet window, but never past the burst's max wait
+      ELSE LEAST(
+        now() + make_interval(secs => quiet_window),
+        j.created_at + make_interval(secs => max_wait)
+      )
+    END
+  RETURNING j.id, j.run_after;
+END;
+$$;
+
+-- Recreated after the DROP, so PUBLIC has execute again; service role only, as before
+REVOKE EXECUTE ON FUNCTION enqueue_extraction_job(text, text, text, timestamptz) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION enqueue_extraction_job(text, text, text, timestamptz) TO service_role;
@@ -0,0 +1,52 @@
+/*
+  # Create Webhook Quarantine Table
+
+  1. New Tables
+    - `webhook_quarantine`
+      - `id` (uuid, primary key)
+      - `source` (text) - which handler received it (ghl-webhook-handler, Data-Extractor-Webhook)
+      - `reason` (text) - not_an_object, unknown_event_type, missing_required_fields
+      - `event_type` (text) - type/event claimed by the payload, if any
+      - `missing_fields` (text[]) - normalized fields that were absent, for missing_required_fields
+      - `location_id` (text)
+      - `schema_version` (integer) - normalized event schema version of the normalizer that rejected it
+      - `raw_payload` (jsonb) - the full signed payload
+      - `reviewed_at` (timestamptz) - set once someone has looked at it
+      - `received_at` (timestamptz)
+
+  2. Indexes
+    - Unreviewed entries by reason, for spotting new GHL payload shapes
+
+  3. Security
+    - Enable RLS on `webhook_quarantine` table
+    - Service role only
+*/
+
+CREATE TABLE IF NOT EXISTS webhook_quarantine (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  source text NOT NULL,
+  reason text NOT NULL,
+  event_type text,
+  missing_fields text[],
+  location_id text,
+  schema_version integer NOT NULL,
+  raw_payload jsonb,
+  reviewed_at timestamptz,
+  received_at timestamptz DEFAULT now() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_quarantine_received_at ON webhook_quarantine (received_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_quarantine_unreviewed ON webhook_quarantine (reason, event_type) WHERE reviewed_at IS NULL;
+
+-- Enable Row Level Security
+ALTER TABLE webhook_quarantine ENABLE ROW LEVEL SECURITY;
+
+-- Policy for service role (webhook handlers write quarantined payloads)
+CREATE POLICY "service_role_all_webhook_quarantine"
+  ON webhook_quarantine
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+COMMENT ON TABLE webhook_quarantine IS 'Signed GHL webhooks the normalizer could not map to a conversation event';
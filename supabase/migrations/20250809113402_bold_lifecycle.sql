@@ -0,0 +1,13 @@
+/*
+  # App Lifecycle Columns
+
+  1. Changes
+    - Add `timezone` to `ghl_configurations` - synced from GHL LocationUpdate webhooks
+    - Add `installed_at` to `ghl_configurations` - last INSTALL webhook for the location
+    - Add `uninstalled_at` to `ghl_configurations` - set by UNINSTALL, cleared on reinstall
+*/
+
+ALTER TABLE ghl_configurations
+ADD COLUMN IF NOT EXISTS timezone text,
+ADD COLUMN IF NOT EXISTS installed_at timestamptz,
+ADD COLUMN IF NOT EXISTS uninstalled_at timestamptz;
@@ -0,0 +1,20 @@
+/*
+  # Per-Location Extraction Channel Policy
+
+  1. Changes
+    - Add `extraction_channels` to `ghl_configurations`
+      - Message channels (ghl_conversations.message_type values) that trigger extraction
+      - Defaults to the list previously hard-coded in the webhook Lambda, plus Email, Call and Voicemail
+    - Add `extract_on_outbound` to `ghl_configurations` (default false)
+      - Whether messages sent by the business also trigger extraction
+
+  2. Notes
+    - Both webhook runtimes (ghl-webhook-handler and Data-Extractor-Webhook) enforce the policy
+    - Editable from the Data Extraction Configuration screen; the existing
+      ghl_configurations_jwt_update policy already covers these columns
+*/
+
+ALTER TABLE ghl_configurations
+ADD COLUMN IF NOT EXISTS extraction_channels text[]
+  DEFAULT ARRAY['SMS', 'WhatsApp', 'IG', 'FB', 'Custom', 'Live_Chat', 'Email', 'Call', 'Voicemail'] NOT NULL,
+ADD COLUMN IF NOT EXISTS extract_on_outbound boolean DEFAULT false NOT NULL;
@@ -0,0 +1,145 @@
+/*
+  # Create Conversation Backfill Runs
+
+  1. New Tables
+    - `conversation_backfills`
+      - `id` (uuid, primary key)
+      - `location_id` (text) - GHL location being backfilled
+      - `config_id` (uuid) - ghl_configurations row for the location
+      - `start_date` / `end_date` (timestamptz) - only messages added in this range are imported
+      - `queue_extraction` (boolean) - queue an extraction job per imported conversation
+      - `spend_cap_usd` (numeric) - stop queuing once estimated spend would pass this; null = no cap
+      - `estimated_cost_per_extraction` (numeric) - per-job estimate used against the cap
+      - `status` (text) - pending, running, paused, completed, failed, cancelled
+      - `cursor` (jsonb) - resume point in the GHL conversation search
+      - `conversations_scanned`, `messages_inserted`, `messages_skipped` (integer) - import progress
+      - `extractions_queued`, `extractions_skipped` (integer) - queued vs held back by the spend cap
+      - `estimated_spend_usd` (numeric) - estimated cost of the extractions queued so far
+      - `last_error` (text)
+      - `locked_by` / `locked_until` - lease held by the edge function invocation processing the run
+      - `requested_by` (text) - GHL user who started it
+      - `started_at`, `completed_at`, `created_at`, `updated_at` (timestamptz)
+
+  2. Indexes
+    - At most one pending or running backfill per location
+    - Runs by location, newest first, for the UI
+
+  3. Functions
+    - `claim_conversation_backfill()` - takes the processing lease on a run (or the oldest
+      running run whose lease expired), so only one invocation advances it at a time
+
+  4. Security
+    - Enable RLS on `conversation_backfills` table
+    - Service role manages runs; authenticated users can read their location's runs
+    - `claim_conversation_backfill()` is service role only
+*/
+
+CREATE TABLE IF NOT EXISTS conversation_backfills (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  location_id text NOT NULL,
+  config_id uuid REFERENCES ghl_configurations(id) ON DELETE CASCADE,
+  start_date timestamptz NOT NULL,
+  end_date timestamptz NOT NULL,
+  queue_extraction boolean DEFAULT false NOT NULL,
+  spend_cap_usd numeric(10,4) CHECK (spend_cap_usd IS NULL OR spend_cap_usd >= 0),
+  estimated_cost_per_extraction numeric(10,6) DEFAULT 0 NOT NULL,
+  status text DEFAULT 'pending' NOT NULL
+    CHECK (status IN ('pending', 'running', 'paused', 'completed', 'failed', 'cancelled')),
+  cursor jsonb DEFAULT '{}'::jsonb NOT NULL,
+  conversations_scanned integer DEFAULT 0 NOT NULL,
+  messages_inserted integer DEFAULT 0 NOT NULL,
+  messages_skipped integer DEFAULT 0 NOT NULL,
+  extractions_queued integer DEFAULT 0 NOT NULL,
+  extractions_skipped integer DEFAULT 0 NOT NULL,
+  estimated_spend_usd numeric(10,6) DEFAULT 0 NOT NULL,
+  last_error text,
+  locked_by text,
+  locked_until timestamptz,
+  requested_by text,
+  started_at timestamptz,
+  completed_at timestamptz,
+  created_at timestamptz DEFAULT now() NOT NULL,
+  updated_at timestamptz DEFAULT now() NOT NULL,
+  CHECK (end_date > start_date)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_conversation_backfills_active_location
+  ON conversation_backfills (location_id)
+  WHERE status IN ('pending', 'running');
+CREATE INDEX IF NOT EXISTS idx_conversation_backfills_location_created
+  ON conversation_backfills (location_id, created_at DESC);
+
+-- Enable Row Level Security
+ALTER TABLE conversation_backfills ENABLE ROW LEVEL SECURITY;
+
+-- Policy for service role (backfill-conversations manages runs)
+CREATE POLICY "service_role_all_conversation_backfills"
+  ON conversation_backfills
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+-- Policy for authenticated users (can read their location's runs)
+CREATE POLICY "conversation_backfills_jwt_select"
+  ON conversation_backfills
+  FOR SELECT
+  TO authenticated
+  USING (
+    is_ghl_user_authenticated() AND
+    user_has_location_access(location_id)
+  );
+
+-- Create updated_at trigger
+CREATE OR REPLACE FUNCTION update_conversation_backfills_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = now();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_conversation_backfills_updated_at ON conversation_backfills;
+CREATE TRIGGER update_conversation_backfills_updated_at
+  BEFORE UPDATE ON conversation_backfills
+  FOR EACH ROW
+  EXECUTE FUNCTION update_conversation_backfills_updated_at();
+
+-- Take the processing lease on a pending/running backfill. With no id, picks the
+-- oldest running backfill whose lease has expired (an invocation that died mid-run).
+CREATE OR REPLACE FUNCTION claim_conversation_backfill(
+  p_backfill_id uuid,
+  p_worker_id text,
+  p_lease_seconds integer DEFAULT 300
+)
+RETURNS SETOF conversation_backfills
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE conversation_backfills b
+  SET status = 'running',
+      started_at = COALESCE(b.started_at, now()),
+      locked_by = p_worker_id,
+      locked_until = now() + make_interval(secs => p_lease_seconds)
+  WHERE b.id = (
+    SELECT c.id
+    FROM conversation_backfills c
+    WHERE (p_backfill_id IS NULL OR c.id = p_backfill_id)
+    AND c.status IN ('pending', 'running')
+    AND (c.locked_until IS NULL OR c.locked_until < now())
+    AND (p_backfill_id IS NOT NULL OR c.status = 'running')
+    ORDER BY c.created_at
+    LIMIT 1
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING b.*;
+END;
+$$;
+
+-- SECURITY DEFINER bypasses RLS, so only the service role may call it
+REVOKE EXECUTE ON FUNCTION claim_conversation_backfill(uuid, text, integer) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_conversation_backfill(uuid, text, integer) TO service_role;
+
+COMMENT ON TABLE conversation_backfills IS 'Imports of historical GHL conversations into ghl_conversations, resumable via cursor';
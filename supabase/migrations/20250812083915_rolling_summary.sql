@@ -0,0 +1,104 @@
+/*
+  # Token-Budgeted Conversation History
+
+  1. New Tables
+    - `conversation_summaries`
+      - `conversation_id` (text, primary key)
+      - `location_id` (text)
+      - `summary` (text) - rolling summary of the messages too old to fit the history budget
+      - `summarized_through` (timestamptz) - date_added of the newest message folded into the summary
+      - `summarized_message_count` (integer) - how many messages the summary covers
+      - `model` (text) - model that wrote the summary
+      - `tokens_used` (integer) - total tokens spent writing and updating the summary
+      - `created_at`, `updated_at` (timestamptz)
+
+  2. Changes
+    - Add `history_token_budget` to `openai_model_pricing`
+      - Tokens of conversation history sent to this model; null uses CONVERSATION_HISTORY_TOKEN_BUDGET
+    - Add `history_truncation` to `ai_usage_logs`
+      - What get-conversation-history left out or summarized for this extraction
+
+  3. Security
+    - Enable RLS on `conversation_summaries` table
+    - Service role manages summaries; authenticated users can read their location's summaries
+*/
+
+CREATE TABLE IF NOT EXISTS conversation_summaries (
+  conversation_id text PRIMARY KEY,
+  location_id text NOT NULL,
+  summary text NOT NULL,
+  summarized_through timestamptz NOT NULL,
+  summarized_message_count integer DEFAULT 0 NOT NULL,
+  model text,
+  tokens_used integer DEFAULT 0 NOT NULL,
+  created_at timestamptz DEFAULT now() NOT NULL,
+  updated_at timestamptz DEFAULT now() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_summaries_location_id ON conversation_summaries (location_id);
+
+-- Enable Row Level Security
+ALTER TABLE conversation_summaries ENABLE ROW LEVEL SECURITY;
+
+-- Policy for service role (get-conversation-history writes summaries)
+CREATE POLICY "service_role_all_conversation_summaries"
+  ON conversation_summaries
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+-- Policy for authenticated users (can read their location's summaries)
+CREATE POLICY "conversation_summaries_jwt_select"
+  ON conversation_summaries
+  FOR SELECT
+  TO authenticated
+  USING (
+    is_ghl_user_authenticated() AND
+    user_has_location_access(location_id)
+  );
+
+-- Create updated_at trigger
+CREATE OR REPLACE FUNCTION update_conversation_summaries_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = now();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_conversation_summaries_updated_at ON conversation_summaries;
+CREATE TRIGGER update_conversation_summaries_updated_at
+  BEFORE UPDATE ON conversation_summaries
+  FOR EACH ROW
+  EXECUTE FUNCTION update_conversation_summaries_updated_at();
+
+-- Per-model history budget. Kept well below each context window: the system prompt,
+-- field definitions and response also need room, and history is the main cost driver.
+ALTER TABLE public.openai_model_pricing
+ADD COLUMN IF NOT EXISTS history_token_budget integer CHECK (history_token_budget IS NULL OR history_token_budget > 0);
+
+UPDATE public.openai_model_pricing
+SET history_token_budget = budgets.history_token_budget
+FROM (VALUES
+  ('gpt-4.1', 16000),
+  ('gpt-4.1-mini', 16000),
+  ('gpt-4.1-nano', 8000),
+  ('gpt-4.5-preview', 4000),
+  ('gpt-4o', 8000),
+  ('gpt-4o-mini', 12000),
+  ('o1', 8000),
+  ('o1-mini', 8000),
+  ('o1-pro', 4000),
+  ('o3', 8000),
+  ('o3-mini', 8000),
+  ('o3-pro', 4000),
+  ('o4-mini', 8000)
+) AS budgets (model_id, history_token_budget)
+WHERE openai_model_pricing.model_id = budgets.model_id;
+
+ALTER TABLE ai_usage_logs
+ADD COLUMN IF NOT EXISTS history_truncation jsonb;
+
+COMMENT ON TABLE conversation_summaries IS 'Rolling summaries of conversation turns older than the history token budget';
+COMMENT ON COLUMN ai_usage_logs.history_truncation IS 'Messages summarized or omitted from the conversation history sent to the model';
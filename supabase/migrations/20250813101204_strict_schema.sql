@@ -0,0 +1,13 @@
+/*
+  # Record Extraction Validation Errors
+
+  1. Changes
+    - Add `validation_errors` to `ai_usage_logs`
+      - Fields from the model response that failed validation against the extraction
+        field schema and were not written to the contact: [{ field, value, error }]
+*/
+
+ALTER TABLE ai_usage_logs
+ADD COLUMN IF NOT EXISTS validation_errors jsonb;
+
+COMMENT ON COLUMN ai_usage_logs.validation_errors IS 'Extracted fields rejected by schema validation before the contact update';
@@ -0,0 +1,110 @@
+/*
+  # Review Queue for the 'ask' Overwrite Policy
+
+  1. Schema Changes
+    - Re-allow 'ask' in `data_extraction_fields.overwrite_policy`
+      - 'ask': queue the extracted value for a person to approve, edit or reject
+
+  2. New Tables
+    - `pending_field_reviews`
+      - `id` (uuid, primary key)
+      - `location_id` (text) - GHL location the contact belongs to
+      - `config_id` (uuid) - ghl_configurations row
+      - `extraction_field_id` (uuid) - data_extraction_fields row the value was extracted for
+      - `contact_id` (text) - GHL contact id
+      - `conversation_id` (text, nullable) - conversation the value was extracted from
+      - `field_name` (text) - field name at the time of extraction
+      - `target_ghl_key` (text) - key update-ghl-contact writes to
+      - `field_type` (text)
+      - `current_value` (jsonb) - value on the contact when the change was proposed
+      - `proposed_value` (jsonb) - value the model extracted
+      - `final_value` (jsonb) - value written to GHL on approval (the proposed value or a reviewer's edit)
+      - `conversation_excerpt` (jsonb) - latest messages of the conversation, oldest first
+      - `status` (text) - pending, approved, rejected or superseded
+      - `reviewed_by` (text) - GHL user id of the reviewer
+      - `reviewed_at` (timestamptz)
+      - `last_error` (text) - why the most recent approval failed to reach GHL
+      - `created_at`, `updated_at` (timestamptz)
+
+  3. Security
+    - Enable RLS on `pending_field_reviews` table
+    - Service role manages reviews (the review-field-changes function writes approvals to GHL)
+    - Authenticated users can read their location's reviews
+*/
+
+ALTER TABLE data_extraction_fields
+DROP CONSTRAINT IF EXISTS data_extraction_fields_overwrite_policy_check;
+
+ALTER TABLE data_extraction_fields
+ADD CONSTRAINT data_extraction_fields_overwrite_policy_check
+CHECK (overwrite_policy IN ('always', 'never', 'only_empty', 'ask'));
+
+COMMENT ON COLUMN data_extraction_fields.overwrite_policy IS 'Policy for handling existing data: always, never, only_empty, ask (queue for review)';
+
+CREATE TABLE IF NOT EXISTS pending_field_reviews (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  location_id text NOT NULL,
+  config_id uuid REFERENCES ghl_configurations(id) ON DELETE CASCADE,
+  extraction_field_id uuid REFERENCES data_extraction_fields(id) ON DELETE CASCADE,
+  contact_id text NOT NULL,
+  conversation_id text,
+  field_name text NOT NULL,
+  target_ghl_key text NOT NULL,
+  field_type text,
+  current_value jsonb,
+  proposed_value jsonb NOT NULL,
+  final_value jsonb,
+  conversation_excerpt jsonb DEFAULT '[]'::jsonb NOT NULL,
+  status text DEFAULT 'pending' NOT NULL CHECK (status IN ('pending', 'approved', 'rejected', 'superseded')),
+  reviewed_by text,
+  reviewed_at timestamptz,
+  last_error text,
+  created_at timestamptz DEFAULT now() NOT NULL,
+  updated_at timestamptz DEFAULT now() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_pending_field_reviews_location_status
+  ON pending_field_reviews (location_id, status, created_at DESC);
+
+-- Only the latest proposal per contact field waits for review; older ones are superseded
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pending_field_reviews_one_pending
+  ON pending_field_reviews (contact_id, target_ghl_key)
+  WHERE status = 'pending';
+
+-- Enable Row Level Security
+ALTER TABLE pending_field_reviews ENABLE ROW LEVEL SECURITY;
+
+-- Policy for service role (update-ghl-contact queues, review-field-changes resolves)
+CREATE POLICY "service_role_all_pending_field_reviews"
+  ON pending_field_reviews
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+-- Policy for authenticated users (can read their location's reviews)
+CREATE POLICY "pending_field_reviews_jwt_select"
+  ON pending_field_reviews
+  FOR SELECT
+  TO authenticated
+  USING (
+    is_ghl_user_authenticated() AND
+    user_has_location_access(location_id)
+  );
+
+-- Create updated_at trigger
+CREATE OR REPLACE FUNCTION update_pending_field_reviews_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = now();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_pending_field_reviews_updated_at ON pending_field_reviews;
+CREATE TRIGGER update_pending_field_reviews_updated_at
+  BEFORE UPDATE ON pending_field_reviews
+  FOR EACH ROW
+  EXECUTE FUNCTION update_pending_field_reviews_updated_at();
+
+COMMENT ON TABLE pending_field_reviews IS 'Extracted values for ask-policy fields waiting for a person to approve, edit or reject';
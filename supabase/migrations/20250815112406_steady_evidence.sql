@@ -0,0 +1,33 @@
+/*
+  # Extraction Confidence and Evidence
+
+  1. Changes
+    - Add to `data_extraction_fields`
+      - `min_confidence` (numeric, nullable) - values the model is less sure of are not written directly; null disables the check
+      - `low_confidence_action` (text) - 'skip' drops low-confidence values, 'review' queues them in the review inbox
+    - Add `field_evidence` to `ai_usage_logs`
+      - Per field: value, confidence, message_id and quote it was drawn from, and what happened to it
+    - Add to `pending_field_reviews`
+      - `review_reason` (text) - 'overwrite_policy' ('ask' policy) or 'low_confidence'
+      - `confidence` (numeric) - model confidence for the proposed value
+      - `evidence` (jsonb) - message_id and quote the proposed value was drawn from
+
+  2. Security
+    - No policy changes; the new columns follow the existing table policies
+*/
+
+ALTER TABLE data_extraction_fields
+ADD COLUMN IF NOT EXISTS min_confidence numeric(3,2) CHECK (min_confidence IS NULL OR (min_confidence >= 0 AND min_confidence <= 1)),
+ADD COLUMN IF NOT EXISTS low_confidence_action text DEFAULT 'skip' NOT NULL CHECK (low_confidence_action IN ('skip', 'review'));
+
+ALTER TABLE ai_usage_logs
+ADD COLUMN IF NOT EXISTS field_evidence jsonb;
+
+ALTER TABLE pending_field_reviews
+ADD COLUMN IF NOT EXISTS review_reason text DEFAULT 'overwrite_policy' NOT NULL CHECK (review_reason IN ('overwrite_policy', 'low_confidence')),
+ADD COLUMN IF NOT EXISTS confidence numeric(3,2),
+ADD COLUMN IF NOT EXISTS evidence jsonb;
+
+COMMENT ON COLUMN data_extraction_fields.min_confidence IS 'Minimum model confidence (0-1) to write a value directly; null disables the check';
+COMMENT ON COLUMN data_extraction_fields.low_confidence_action IS 'What happens to values below min_confidence: skip or review';
+COMMENT ON COLUMN ai_usage_logs.field_evidence IS 'Per-field value, confidence, source message_id and quote, and outcome of the extraction';
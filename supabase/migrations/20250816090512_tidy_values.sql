@@ -0,0 +1,17 @@
+/*
+  # Default Country for Value Normalization
+
+  1. Changes
+    - Add `default_country` to `ghl_configurations`
+      - ISO 3166 alpha-2 code; national phone numbers are converted to E.164 with its
+        calling code, and numeric dates are read in its day/month order
+      - Defaults to 'US'
+
+  2. Security
+    - No policy changes; follows the existing ghl_configurations policies
+*/
+
+ALTER TABLE ghl_configurations
+ADD COLUMN IF NOT EXISTS default_country text DEFAULT 'US' NOT NULL CHECK (default_country ~ '^[A-Z]{2}$');
+
+COMMENT ON COLUMN ghl_configurations.default_country IS 'Country for national phone numbers and numeric dates in extracted values (ISO 3166 alpha-2)';
@@ -0,0 +1,134 @@
+/*
+  # Extraction History and Rollback
+
+  1. New Tables
+    - `extraction_results` - one row per update-ghl-contact run
+      - `id` (uuid, primary key)
+      - `location_id` (text) - GHL location the contact belongs to
+      - `config_id` (uuid) - ghl_configurations row
+      - `contact_id` (text) - GHL contact id
+      - `conversation_id` (text, nullable) - conversation the values were extracted from
+      - `usage_log_id` (uuid, nullable) - ai_usage_logs row of the extraction
+      - `source` (text) - 'extraction', 'review_approval' or 'rollback'
+      - `status` (text) - 'applied', 'no_changes', 'failed', 'rolled_back' or 'partially_rolled_back'
+      - `error_message` (text) - why the GHL update failed
+      - `rollback_of` (uuid, nullable) - result a rollback run restored values for
+      - `created_at`, `updated_at` (timestamptz)
+    - `extraction_result_fields` - one row per field the run considered
+      - `id` (uuid, primary key)
+      - `result_id` (uuid) - extraction_results row
+      - `location_id` (text)
+      - `extraction_field_id` (uuid, nullable) - data_extraction_fields row
+      - `field_key` (text) - key the value was sent under
+      - `target_ghl_key` (text, nullable) - key written to GHL
+      - `field_name` (text, nullable) - field name at the time of the run
+      - `previous_value` (jsonb) - value on the contact before the run
+      - `new_value` (jsonb) - value written, proposed for review, or rejected
+      - `decision` (text) - 'written', 'skipped_by_policy', 'review', 'rejected', 'skipped_empty', 'skipped_unconfigured' or 'conflict'
+      - `reason` (text) - normalizer or rollback explanation
+      - `evidence` (jsonb) - confidence, message_id and quote the value was drawn from
+      - `rolled_back_at` (timestamptz), `rolled_back_by` (text) - set once the previous value is restored
+
+  2. Security
+    - Enable RLS on both tables
+    - Service role writes history (update-ghl-contact) and marks rollbacks (rollback-extraction)
+    - Authenticated users can read their location's history
+*/
+
+CREATE TABLE IF NOT EXISTS extraction_results (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  location_id text NOT NULL,
+  config_id uuid REFERENCES ghl_configurations(id) ON DELETE CASCADE,
+  contact_id text NOT NULL,
+  conversation_id text,
+  usage_log_id uuid REFERENCES ai_usage_logs(id) ON DELETE SET NULL,
+  source text DEFAULT 'extraction' NOT NULL CHECK (source IN ('extraction', 'review_approval', 'rollback')),
+  status text NOT NULL CHECK (status IN ('applied', 'no_changes', 'failed', 'rolled_back', 'partially_rolled_back')),
+  error_message text,
+  rollback_of uuid REFERENCES extraction_results(id) ON DELETE SET NULL,
+  created_at timestamptz DEFAULT now() NOT NULL,
+  updated_at timestamptz DEFAULT now() NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS extraction_result_fields (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  result_id uuid NOT NULL REFERENCES extraction_results(id) ON DELETE CASCADE,
+  location_id text NOT NULL,
+  extraction_field_id uuid REFERENCES data_extraction_fields(id) ON DELETE SET NULL,
+  field_key text NOT NULL,
+  target_ghl_key text,
+  field_name text,
+  previous_value jsonb,
+  new_value jsonb,
+  decision text NOT NULL CHECK (decision IN ('written', 'skipped_by_policy', 'review', 'rejected', 'skipped_empty', 'skipped_unconfigured', 'conflict')),
+  reason text,
+  evidence jsonb,
+  rolled_back_at timestamptz,
+  rolled_back_by text,
+  created_at timestamptz DEFAULT now() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_extraction_results_conversation
+  ON extraction_results (conversation_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_extraction_results_location_contact
+  ON extraction_results (location_id, contact_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_extraction_result_fields_result
+  ON extraction_result_fields (result_id);
+
+-- Enable Row Level Security
+ALTER TABLE extraction_results ENABLE ROW LEVEL SECURITY;
+ALTER TABLE extraction_result_fields ENABLE ROW LEVEL SECURITY;
+
+-- Policies for service role (update-ghl-contact records, rollback-extraction restores)
+CREATE POLICY "service_role_all_extraction_results"
+  ON extraction_results
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "service_role_all_extraction_result_fields"
+  ON extraction_result_fields
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+-- Policies for authenticated users (can read their location's history)
+CREATE POLICY "extraction_results_jwt_select"
+  ON extraction_results
+  FOR SELECT
+  TO authenticated
+  USING (
+    is_ghl_user_authenticated() AND
+    user_has_location_access(location_id)
+  );
+
+CREATE POLICY "extraction_result_fields_jwt_select"
+  ON extraction_result_fields
+  FOR SELECT
+  TO authenticated
+  USING (
+    is_ghl_user_authenticated() AND
+    user_has_location_access(location_id)
+  );
+
+-- Create updated_at trigger
+CREATE OR REPLACE FUNCTION update_extraction_results_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = now();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_extraction_results_updated_at ON extraction_results;
+CREATE TRIGGER update_extraction_results_updated_at
+  BEFORE UPDATE ON extraction_results
+  FOR EACH ROW
+  EXECUTE FUNCTION update_extraction_results_updated_at();
+
+COMMENT ON TABLE extraction_results IS 'One row per update-ghl-contact run: what was written to which contact and from where';
+COMMENT ON TABLE extraction_result_fields IS 'Per-field previous value, new value and policy decision of an extraction run';
@@ -0,0 +1,104 @@
+/*
+  # Stop Trigger Escalation Actions
+
+  1. Changes
+    - Add escalation actions to `stop_triggers`
+      - `escalation_tag` (text, nullable) - tag added to the contact
+      - `create_task` (boolean) - create a GHL task on the contact
+      - `task_assigned_to` (text, nullable) - GHL user id the task is assigned to
+      - `task_due_hours` (integer) - hours from escalation until the task is due
+      - `post_note` (boolean) - post `escalation_message` as a note on the contact
+
+  2. New Tables
+    - `conversation_escalations` - one row per stop trigger that fired on a conversation
+      - `id` (uuid, primary key)
+      - `location_id` (text) - GHL location the contact belongs to
+      - `config_id` (uuid) - ghl_configurations row
+      - `stop_trigger_id` (uuid, nullable) - stop_triggers row
+      - `trigger_name` (text) - trigger name at the time it fired
+      - `reason` (text) - why the model says the trigger applies
+      - `contact_id` (text) - GHL contact id
+      - `conversation_id` (text) - GHL conversation id
+      - `usage_log_id` (uuid, nullable) - ai_usage_logs row of the extraction
+      - `actions` (jsonb) - result of each action: tag, task and note
+      - `status` (text) - 'in_progress', 'completed', 'partial' or 'failed'
+      - `created_at`, `updated_at` (timestamptz)
+
+  3. Security
+    - Enable RLS on `conversation_escalations`
+    - Service role records escalations (escalate-conversation)
+    - Authenticated users can read their location's escalations
+*/
+
+ALTER TABLE stop_triggers
+ADD COLUMN IF NOT EXISTS escalation_tag text,
+ADD COLUMN IF NOT EXISTS create_task boolean DEFAULT false NOT NULL,
+ADD COLUMN IF NOT EXISTS task_assigned_to text,
+ADD COLUMN IF NOT EXISTS task_due_hours integer DEFAULT 24 NOT NULL CHECK (task_due_hours > 0),
+ADD COLUMN IF NOT EXISTS post_note boolean DEFAULT true NOT NULL;
+
+COMMENT ON COLUMN stop_triggers.escalation_tag IS 'Tag added to the contact when the trigger fires';
+COMMENT ON COLUMN stop_triggers.create_task IS 'Create a GHL task on the contact when the trigger fires';
+COMMENT ON COLUMN stop_triggers.task_assigned_to IS 'GHL user id the escalation task is assigned to';
+COMMENT ON COLUMN stop_triggers.post_note IS 'Post escalation_message as a note on the contact when the trigger fires';
+
+CREATE TABLE IF NOT EXISTS conversation_escalations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  location_id text NOT NULL,
+  config_id uuid REFERENCES ghl_configurations(id) ON DELETE CASCADE,
+  stop_trigger_id uuid REFERENCES stop_triggers(id) ON DELETE SET NULL,
+  trigger_name text NOT NULL,
+  reason text,
+  contact_id text NOT NULL,
+  conversation_id text NOT NULL,
+  usage_log_id uuid REFERENCES ai_usage_logs(id) ON DELETE SET NULL,
+  actions jsonb DEFAULT '{}'::jsonb NOT NULL,
+  status text DEFAULT 'in_progress' NOT NULL CHECK (status IN ('in_progress', 'completed', 'partial', 'failed')),
+  created_at timestamptz DEFAULT now() NOT NULL,
+  updated_at timestamptz DEFAULT now() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_escalations_location
+  ON conversation_escalations (location_id, created_at DESC);
+
+-- Every extraction re-reads the whole conversation, so a trigger escalates a conversation once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_conversation_escalations_once
+  ON conversation_escalations (conversation_id, stop_trigger_id);
+
+-- Enable Row Level Security
+ALTER TABLE conversation_escalations ENABLE ROW LEVEL SECURITY;
+
+-- Policy for service role (escalate-conversation records escalations)
+CREATE POLICY "service_role_all_conversation_escalations"
+  ON conversation_escalations
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+-- Policy for authenticated users (can read their location's escalations)
+CREATE POLICY "conversation_escalations_jwt_select"
+  ON conversation_escalations
+  FOR SELECT
+  TO authenticated
+  USING (
+    is_ghl_user_authenticated() AND
+    user_has_location_access(location_id)
+  );
+
+-- Create updated_at trigger
+CREATE OR REPLACE FUNCTION update_conversation_escalations_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = now();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_conversation_escalations_updated_at ON conversation_escalations;
+CREATE TRIGGER update_conversation_escalations_updated_at
+  BEFORE UPDATE ON conversation_escalations
+  FOR EACH ROW
+  EXECUTE FUNCTION update_conversation_escalations_updated_at();
+
+COMMENT ON TABLE conversation_escalations IS 'Stop triggers that fired on a conversation and the actions taken';
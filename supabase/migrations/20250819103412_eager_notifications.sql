@@ -0,0 +1,152 @@
+/*
+  # Notification Rules and Delivery Queue
+
+  1. Changes
+    - Add the columns the notification engine reads to `notification_triggers`
+      - `trigger_name` (text) - shown in the UI and in every notification
+      - `conditions` (jsonb) - list of {field, operator, value}; field is a target_ghl_key
+      - `condition_match` (text) - 'any' or 'all' conditions must hold
+      - `channel` (text) - 'email', 'webhook', 'ghl_task' or 'ghl_note'
+      - `channel_config` (jsonb) - email: {to}; webhook: {url, secret}; ghl_task: {assigned_to, due_hours}
+      - `is_active` (boolean)
+
+  2. New Tables
+    - `notification_deliveries` - one row per notification to send, retried with backoff
+      - `id` (uuid, primary key)
+      - `location_id` (text)
+      - `config_id` (uuid) - ghl_configurations row
+      - `notification_trigger_id` (uuid, nullable) - notification_triggers row that matched
+      - `trigger_name` (text) - rule name at the time it matched
+      - `channel` (text) - channel copied from the rule
+      - `channel_config` (jsonb) - channel settings copied from the rule
+      - `contact_id` (text), `conversation_id` (text, nullable)
+      - `extraction_result_id` (uuid, nullable) - extraction_results row of the contact update
+      - `payload` (jsonb) - what is sent: rule, contact and the written values
+      - `status` (text) - pending, processing, delivered or dead
+      - `attempts`, `max_attempts` (integer)
+      - `run_after` (timestamptz) - earliest time the delivery may be attempted (backoff)
+      - `locked_at` (timestamptz), `locked_by` (text) - worker holding the delivery
+      - `last_error` (text), `last_status_code` (integer) - most recent failed attempt
+      - `delivered_at`, `created_at`, `updated_at` (timestamptz)
+
+  3. Functions
+    - `claim_notification_deliveries()` - Claims due deliveries with FOR UPDATE SKIP LOCKED; reclaims deliveries whose worker died
+
+  4. Security
+    - Enable RLS on `notification_deliveries` table
+    - Service role manages deliveries (update-ghl-contact queues, process-notifications sends)
+    - Authenticated users can read their location's deliveries
+    - `claim_notification_deliveries()` is service role only
+*/
+
+ALTER TABLE notification_triggers
+ADD COLUMN IF NOT EXISTS trigger_name text,
+ADD COLUMN IF NOT EXISTS conditions jsonb DEFAULT '[]'::jsonb NOT NULL,
+ADD COLUMN IF NOT EXISTS condition_match text DEFAULT 'any' NOT NULL CHECK (condition_match IN ('any', 'all')),
+ADD COLUMN IF NOT EXISTS channel text CHECK (channel IN ('email', 'webhook', 'ghl_task', 'ghl_note')),
+ADD COLUMN IF NOT EXISTS channel_config jsonb DEFAULT '{}'::jsonb NOT NULL,
+ADD COLUMN IF NOT EXISTS is_active boolean DEFAULT true NOT NULL;
+
+COMMENT ON COLUMN notification_triggers.conditions IS 'List of {field, operator, value} checked against the values written to a contact';
+COMMENT ON COLUMN notification_triggers.channel IS 'How the notification is sent: email, webhook, ghl_task or ghl_note';
+
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  location_id text NOT NULL,
+  config_id uuid REFERENCES ghl_configurations(id) ON DELETE CASCADE,
+  notification_trigger_id uuid REFERENCES notification_triggers(id) ON DELETE SET NULL,
+  trigger_name text NOT NULL,
+  channel text NOT NULL CHECK (channel IN ('email', 'webhook', 'ghl_task', 'ghl_note')),
+  channel_config jsonb DEFAULT '{}'::jsonb NOT NULL,
+  contact_id text NOT NULL,
+  conversation_id text,
+  extraction_result_id uuid REFERENCES extraction_results(id) ON DELETE SET NULL,
+  payload jsonb NOT NULL,
+  status text DEFAULT 'pending' NOT NULL CHECK (status IN ('pending', 'processing', 'delivered', 'dead')),
+  attempts integer DEFAULT 0 NOT NULL,
+  max_attempts integer DEFAULT 5 NOT NULL,
+  run_after timestamptz DEFAULT now() NOT NULL,
+  locked_at timestamptz,
+  locked_by text,
+  last_error text,
+  last_status_code integer,
+  delivered_at timestamptz,
+  created_at timestamptz DEFAULT now() NOT NULL,
+  updated_at timestamptz DEFAULT now() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_due ON notification_deliveries (run_after ASC) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_processing ON notification_deliveries (locked_at) WHERE status = 'processing';
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_location ON notification_deliveries (location_id, created_at DESC);
+
+-- Enable Row Level Security
+ALTER TABLE notification_deliveries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "service_role_all_notification_deliveries"
+  ON notification_deliveries
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "notification_deliveries_jwt_select"
+  ON notification_deliveries
+  FOR SELECT
+  TO authenticated
+  USING (
+    is_ghl_user_authenticated() AND
+    user_has_location_access(location_id)
+  );
+
+-- Create updated_at trigger
+CREATE OR REPLACE FUNCTION update_notification_deliveries_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = now();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_notification_deliveries_updated_at ON notification_deliveries;
+CREATE TRIGGER update_notification_deliveries_updated_at
+  BEFORE UPDATE ON notification_deliveries
+  FOR EACH ROW
+  EXECUTE FUNCTION update_notification_deliveries_updated_at();
+
+-- Claim up to p_batch_size due deliveries. Deliveries stuck in processing longer than
+-- p_lock_timeout_seconds are assumed orphaned by a crashed worker and reclaimed.
+CREATE OR REPLACE FUNCTION claim_notification_deliveries(
+  p_worker_id text,
+  p_batch_size integer DEFAULT 10,
+  p_lock_timeout_seconds integer DEFAULT 300
+)
+RETURNS SETOF notification_deliveries
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE notification_deliveries
+  SET
+    status = 'processing',
+    attempts = notification_deliveries.attempts + 1,
+    locked_at = now(),
+    locked_by = p_worker_id
+  WHERE notification_deliveries.id IN (
+    SELECT d.id
+    FROM notification_deliveries d
+    WHERE (d.status = 'pending' AND d.run_after <= now())
+       OR (d.status = 'processing' AND d.locked_at < now() - make_interval(secs => p_lock_timeout_seconds))
+    ORDER BY d.run_after ASC
+    LIMIT p_batch_size
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING notification_deliveries.*;
+END;
+$$;
+
+-- SECURITY DEFINER bypasses RLS, so only the service role may call it
+REVOKE EXECUTE ON FUNCTION claim_notification_deliveries(text, integer, integer) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_notification_deliveries(text, integer, integer) TO service_role;
+
+COMMENT ON TABLE notification_deliveries IS 'Notifications queued by notification_triggers rules, sent and retried by the process-notifications function';
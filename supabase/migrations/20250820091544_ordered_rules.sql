@@ -0,0 +1,28 @@
+/*
+  # Contextual Rule Ordering
+
+  1. Changes
+    - Add `sort_order` (integer) to `contextual_rules`
+      - Rules are listed in the extraction prompt in this order, within each rule type
+      - Existing rules are numbered per configuration by type and name
+
+  2. Security
+    - No changes; `contextual_rules_jwt_all` already lets users manage their location's rules
+*/
+
+ALTER TABLE contextual_rules
+ADD COLUMN IF NOT EXISTS sort_order integer DEFAULT 0 NOT NULL;
+
+UPDATE contextual_rules
+SET sort_order = numbered.position
+FROM (
+  SELECT id, row_number() OVER (PARTITION BY config_id ORDER BY rule_type, rule_name) AS position
+  FROM contextual_rules
+) AS numbered
+WHERE contextual_rules.id = numbered.id
+  AND contextual_rules.sort_order = 0;
+
+CREATE INDEX IF NOT EXISTS idx_contextual_rules_config_order
+  ON contextual_rules (config_id, sort_order);
+
+COMMENT ON COLUMN contextual_rules.sort_order IS 'Position of the rule in the extraction prompt, within its rule type';
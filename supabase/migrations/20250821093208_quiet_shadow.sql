@@ -0,0 +1,78 @@
+/*
+  # Shadow Mode
+
+  1. Changes
+    - Add `extraction_mode` (text) to `ghl_configurations`
+      - 'live' (default) writes extracted values to GHL
+      - 'shadow' runs the full pipeline and records the planned update, but writes nothing to GHL
+    - Add `shadow_started_at` (timestamptz) to `ghl_configurations` - when the location last entered shadow mode
+    - Allow status 'shadow' on `extraction_results` - a run that was planned but not written
+
+  2. Functions
+    - `get_shadow_report(p_location_id, p_since)` - Per field, how many shadow runs would have
+      filled an empty value, overwritten an existing one, asked for review or been rejected
+
+  3. Security
+    - `get_shadow_report` runs with the caller's rights, so the existing
+      `extraction_results_jwt_select` and `extraction_result_fields_jwt_select` policies apply
+*/
+
+ALTER TABLE ghl_configurations
+ADD COLUMN IF NOT EXISTS extraction_mode text DEFAULT 'live' NOT NULL CHECK (extraction_mode IN ('live', 'shadow'));
+
+ALTER TABLE ghl_configurations
+ADD COLUMN IF NOT EXISTS shadow_started_at timestamptz;
+
+ALTER TABLE extraction_results
+DROP CONSTRAINT IF EXISTS extraction_results_status_check;
+
+ALTER TABLE extraction_results
+ADD CONSTRAINT extraction_results_status_check
+  CHECK (status IN ('applied', 'no_changes', 'failed', 'rolled_back', 'partially_rolled_back', 'shadow'));
+
+CREATE INDEX IF NOT EXISTS idx_extraction_results_location_status
+  ON extraction_results (location_id, status, created_at DESC);
+
+CREATE OR REPLACE FUNCTION get_shadow_report(
+  p_location_id text,
+  p_since timestamptz DEFAULT NULL
+)
+RETURNS TABLE (
+  field_key text,
+  field_name text,
+  would_fill bigint,
+  would_overwrite bigint,
+  would_review bigint,
+  rejected bigint
+)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+AS $$
+  SELECT
+    f.field_key,
+    max(f.field_name) AS field_name,
+    count(*) FILTER (
+      WHERE f.decision = 'written'
+        AND (f.previous_value IS NULL OR f.previous_value IN ('null'::jsonb, '""'::jsonb, '[]'::jsonb))
+    ) AS would_fill,
+    count(*) FILTER (
+      WHERE f.decision = 'written'
+        AND f.previous_value IS NOT NULL
+        AND f.previous_value NOT IN ('null'::jsonb, '""'::jsonb, '[]'::jsonb)
+    ) AS would_overwrite,
+    count(*) FILTER (WHERE f.decision = 'review') AS would_review,
+    count(*) FILTER (WHERE f.decision = 'rejected') AS rejected
+  FROM extraction_result_fields f
+  JOIN extraction_results r ON r.id = f.result_id
+  WHERE r.location_id = p_location_id
+    AND r.status = 'shadow'
+    AND (p_since IS NULL OR r.created_at >= p_since)
+  GROUP BY f.field_key
+  ORDER BY max(f.field_name), f.field_key;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_shadow_report(text, timestamptz) TO authenticated, service_role;
+
+COMMENT ON COLUMN ghl_configurations.extraction_mode IS 'live writes extracted values to GHL; shadow only records the planned update';
+COMMENT ON COLUMN ghl_configurations.shadow_started_at IS 'When the location last entered shadow mode; the shadow report counts runs since then';
@@ -0,0 +1,247 @@
+/*
+  # Evaluation Datasets and Runs
+
+  1. New Tables
+    - `evaluation_datasets` - a named set of golden conversations, owned by a location or an agency
+      - `id` (uuid, primary key)
+      - `location_id` (text, nullable) - GHL location that owns the dataset
+      - `agency_ghl_id` (text, nullable) - agency that owns the dataset; usable by all its locations
+      - `name` (text), `description` (text)
+      - `created_at`, `updated_at` (timestamptz)
+    - `evaluation_cases` - one conversation with the values a correct extraction returns
+      - `id` (uuid, primary key)
+      - `dataset_id` (uuid) - evaluation_datasets row
+      - `name` (text)
+      - `transcript` (jsonb) - list of {role: 'user' | 'assistant', content}
+      - `expected_values` (jsonb) - expected value per target_ghl_key; keys left out are expected empty
+      - `sort_order` (integer)
+      - `created_at`, `updated_at` (timestamptz)
+    - `evaluation_runs` - one run of a location's current prompt and model over a dataset
+      - `id` (uuid, primary key)
+      - `dataset_id` (uuid) - evaluation_datasets row
+      - `location_id` (text), `config_id` (uuid) - location whose prompt and model were run
+      - `label` (text, nullable) - e.g. "new budget description"
+      - `status` (text) - 'running', 'completed' or 'failed'
+      - `case_ids` (jsonb) - cases in the dataset when the run started, in order
+      - `cursor` (integer) - how many of case_ids have been run
+      - `model` (text, nullable) - model that answered
+      - `prompt_hash` (text, nullable) - SHA-256 of the first case's system prompt, to tell prompt versions apart
+      - `results` (jsonb) - scored case results
+      - `metrics` (jsonb) - per-field and overall precision, recall and exact match
+      - `error_message` (text)
+      - `locked_until` (timestamptz) - lease of the invocation running the cases
+      - `started_at`, `completed_at`, `created_at`, `updated_at` (timestamptz)
+
+  2. Security
+    - Enable RLS on all three tables
+    - Service role manages everything (run-evaluation)
+    - Authenticated users manage their location's datasets and cases; agency users manage their agency's
+    - Locations can read their agency's datasets and cases
+    - Authenticated users can read their location's runs
+*/
+
+CREATE TABLE IF NOT EXISTS evaluation_datasets (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  location_id text,
+  agency_ghl_id text,
+  name text NOT NULL,
+  description text,
+  created_at timestamptz DEFAULT now() NOT NULL,
+  updated_at timestamptz DEFAULT now() NOT NULL,
+  CHECK (location_id IS NOT NULL OR agency_ghl_id IS NOT NULL)
+);
+
+CREATE TABLE IF NOT EXISTS evaluation_cases (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  dataset_id uuid NOT NULL REFERENCES evaluation_datasets(id) ON DELETE CASCADE,
+  name text NOT NULL,
+  transcript jsonb NOT NULL CHECK (jsonb_typeof(transcript) = 'array'),
+  expected_values jsonb DEFAULT '{}'::jsonb NOT NULL CHECK (jsonb_typeof(expected_values) = 'object'),
+  sort_order integer DEFAULT 0 NOT NULL,
+  created_at timestamptz DEFAULT now() NOT NULL,
+  updated_at timestamptz DEFAULT now() NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS evaluation_runs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  dataset_id uuid NOT NULL REFERENCES evaluation_datasets(id) ON DELETE CASCADE,
+  location_id text NOT NULL,
+  config_id uuid REFERENCES ghl_configurations(id) ON DELETE CASCADE,
+  label text,
+  status text DEFAULT 'running' NOT NULL CHECK (status IN ('running', 'completed', 'failed')),
+  case_ids jsonb DEFAULT '[]'::jsonb NOT NULL,
+  cursor integer DEFAULT 0 NOT NULL,
+  model text,
+  prompt_hash text,
+  results jsonb DEFAULT '[]'::jsonb NOT NULL,
+  metrics jsonb,
+  error_message text,
+  locked_until timestamptz,
+  started_at timestamptz DEFAULT now() NOT NULL,
+  completed_at timestamptz,
+  created_at timestamptz DEFAULT now() NOT NULL,
+  updated_at timestamptz DEFAULT now() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_evaluation_datasets_location
+  ON evaluation_datasets (location_id);
+
+CREATE INDEX IF NOT EXISTS idx_evaluation_datasets_agency
+  ON evaluation_datasets (agency_ghl_id);
+
+CREATE INDEX IF NOT EXISTS idx_evaluation_cases_dataset
+  ON evaluation_cases (dataset_id, sort_order);
+
+CREATE INDEX IF NOT EXISTS idx_evaluation_runs_dataset
+  ON evaluation_runs (dataset_id, location_id, created_at DESC);
+
+-- Enable Row Level Security
+ALTER TABLE evaluation_datasets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE evaluation_cases ENABLE ROW LEVEL SECURITY;
+ALTER TABLE evaluation_runs ENABLE ROW LEVEL SECURITY;
+
+-- Policies for service role (run-evaluation reads datasets and records runs)
+CREATE POLICY "service_role_all_evaluation_datasets"
+  ON evaluation_datasets
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "service_role_all_evaluation_cases"
+  ON evaluation_cases
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "service_role_all_evaluation_runs"
+  ON evaluation_runs
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+-- Policies for authenticated users (manage their location's or agency's datasets)
+CREATE POLICY "evaluation_datasets_jwt_all"
+  ON evaluation_datasets
+  FOR ALL
+  TO authenticated
+  USING (
+    is_ghl_user_authenticated() AND (
+      (location_id IS NOT NULL AND user_has_location_access(location_id)) OR
+      (agency_ghl_id IS NOT NULL AND get_ghl_user_type() = 'agency' AND agency_ghl_id = get_ghl_company_id())
+    )
+  )
+  WITH CHECK (
+    is_ghl_user_authenticated() AND (
+      (location_id IS NOT NULL AND user_has_location_access(location_id)) OR
+      (agency_ghl_id IS NOT NULL AND get_ghl_user_type() = 'agency' AND agency_ghl_id = get_ghl_company_id())
+    )
+  );
+
+CREATE POLICY "evaluation_datasets_agency_select"
+  ON evaluation_datasets
+  FOR SELECT
+  TO authenticated
+  USING (
+    is_ghl_user_authenticated() AND
+    agency_ghl_id IN (
+      SELECT agency_ghl_id
+      FROM ghl_configurations
+      WHERE ghl_account_id = get_ghl_location_id()
+    )
+  );
+
+CREATE POLICY "evaluation_cases_jwt_all"
+  ON evaluation_cases
+  FOR ALL
+  TO authenticated
+  USING (
+    is_ghl_user_authenticated() AND
+    dataset_id IN (
+      SELECT id FROM evaluation_datasets
+      WHERE (location_id IS NOT NULL AND user_has_location_access(location_id))
+         OR (agency_ghl_id IS NOT NULL AND get_ghl_user_type() = 'agency' AND agency_ghl_id = get_ghl_company_id())
+    )
+  )
+  WITH CHECK (
+    is_ghl_user_authenticated() AND
+    dataset_id IN (
+      SELECT id FROM evaluation_datasets
+      WHERE (location_id IS NOT NULL AND user_has_location_access(location_id))
+         OR (agency_ghl_id IS NOT NULL AND get_ghl_user_type() = 'agency' AND agency_ghl_id = get_ghl_company_id())
+    )
+  );
+
+CREATE POLICY "evaluation_cases_agency_select"
+  ON evaluation_cases
+  FOR SELECT
+  TO authenticated
+  USING (
+    is_ghl_user_authenticated() AND
+    dataset_id IN (
+      SELECT id FROM evaluation_datasets
+      WHERE agency_ghl_id IN (
+        SELECT agency_ghl_id
+        FROM ghl_configurations
+        WHERE ghl_account_id = get_ghl_location_id()
+      )
+    )
+  );
+
+CREATE POLICY "evaluation_runs_jwt_select"
+  ON evaluation_runs
+  FOR SELECT
+  TO authenticated
+  USING (
+    is_ghl_user_authenticated() AND
+    user_has_location_access(location_id)
+  );
+
+-- Create updated_at triggers
+CREATE OR REPLACE FUNCTION update_evaluation_datasets_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = now();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_evaluation_datasets_updated_at ON evaluation_datasets;
+CREATE TRIGGER update_evaluation_datasets_updated_at
+  BEFORE UPDATE ON evaluation_datasets
+  FOR EACH ROW
+  EXECUTE FUNCTION update_evaluation_datasets_updated_at();
+
+CREATE OR REPLACE FUNCTION update_evaluation_cases_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = now();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_evaluation_cases_updated_at ON evaluation_cases;
+CREATE TRIGGER update_evaluation_cases_updated_at
+  BEFORE UPDATE ON evaluation_cases
+  FOR EACH ROW
+  EXECUTE FUNCTION update_evaluation_cases_updated_at();
+
+CREATE OR REPLACE FUNCTION update_evaluation_runs_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = now();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_evaluation_runs_updated_at ON evaluation_runs;
+CREATE TRIGGER update_evaluation_runs_updated_at
+  BEFORE UPDATE ON evaluation_runs
+  FOR EACH ROW
+  EXECUTE FUNCTION update_evaluation_runs_updated_at();
+
+COMMENT ON TABLE evaluation_datasets IS 'Golden conversation sets for regression-testing prompts and models, per location or agency';
+COMMENT ON TABLE evaluation_cases IS 'A conversation transcript and the field values a correct extraction returns';
+COMMENT ON TABLE evaluation_runs IS 'A run of a location''s current prompt and model over a dataset, with scored results';
@@ -0,0 +1,166 @@
+/*
+  # Prompt Versions
+
+  1. New Tables
+    - `prompt_versions` - immutable snapshot of a generated extraction prompt and the configuration it was built from
+      - `id` (uuid, primary key)
+      - `config_id` (uuid) - ghl_configurations row
+      - `location_id` (text) - GHL location
+      - `content_hash` (text) - SHA-256 of the prompt and configuration; one version per distinct content
+      - `prompt` (text) - the generated system prompt
+      - `configuration` (jsonb) - business profile, extraction fields, contextual rules and stop triggers
+      - `created_at` (timestamptz) - when this content was first used
+
+  2. Changes
+    - Add `prompt_version_id` to `ai_usage_logs` - the prompt version the extraction ran with
+
+  3. Functions
+    - `snapshot_prompt_configuration(p_config_id)` - the prompt-relevant configuration of a location as jsonb
+    - `record_prompt_version(p_config_id, p_prompt)` - returns the version for this prompt and the current
+      configuration, creating it the first time the content is seen
+
+  4. Security
+    - Enable RLS on `prompt_versions`
+    - Service role can insert and read versions; nobody can update them
+    - Authenticated users can read their location's versions
+*/
+
+CREATE TABLE IF NOT EXISTS prompt_versions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  config_id uuid NOT NULL REFERENCES ghl_configurations(id) ON DELETE CASCADE,
+  location_id text NOT NULL,
+  content_hash text NOT NULL,
+  prompt text NOT NULL,
+  configuration jsonb NOT NULL,
+  created_at timestamptz DEFAULT now() NOT NULL,
+  UNIQUE (config_id, content_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_prompt_versions_location
+  ON prompt_versions (location_id, created_at DESC);
+
+ALTER TABLE ai_usage_logs
+ADD COLUMN IF NOT EXISTS prompt_version_id uuid REFERENCES prompt_versions(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_logs_prompt_version
+  ON ai_usage_logs (prompt_version_id);
+
+-- Enable Row Level Security
+ALTER TABLE prompt_versions ENABLE ROW LEVEL SECURITY;
+
+-- Policies for service role (generate-extraction-prompt records versions)
+CREATE POLICY "service_role_insert_prompt_versions"
+  ON prompt_versions
+  FOR INSERT
+  TO service_role
+  WITH CHECK (true);
+
+CREATE POLICY "service_role_select_prompt_versions"
+  ON prompt_versions
+  FOR SELECT
+  TO service_role
+  USING (true);
+
+-- Policies for authenticated users (read their location's history)
+CREATE POLICY "prompt_versions_jwt_select"
+  ON prompt_versions
+  FOR SELECT
+  TO authenticated
+  USING (
+    is_ghl_user_authenticated() AND
+    user_has_location_access(location_id)
+  );
+
+-- Versions are referenced from usage logs as evidence of what ran, so they never change
+CREATE OR REPLACE FUNCTION prevent_prompt_versions_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'prompt_versions rows are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER prevent_prompt_versions_update
+  BEFORE UPDATE ON prompt_versions
+  FOR EACH ROW
+  EXECUTE FUNCTION prevent_prompt_versions_update();
+
+-- Everything generate-extraction-prompt reads, inactive rules and triggers included so a
+-- restore brings them back too. Timestamps are left out and rows are in a fixed order,
+-- so an unchanged configuration always produces the same jsonb.
+CREATE OR REPLACE FUNCTION snapshot_prompt_configuration(p_config_id uuid)
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+AS $$
+  SELECT jsonb_build_object(
+    'business_profile', (
+      SELECT jsonb_build_object(
+        'business_name', c.business_name,
+        'business_description', c.business_description,
+        'services_offered', c.services_offered,
+        'target_audience', c.target_audience,
+        'business_context', c.business_context
+      )
+      FROM ghl_configurations c
+      WHERE c.id = p_config_id
+    ),
+    'fields', COALESCE((
+      SELECT jsonb_agg(to_jsonb(f) - 'created_at' - 'updated_at' ORDER BY f.sort_order, f.id)
+      FROM data_extraction_fields f
+      WHERE f.config_id = p_config_id
+    ), '[]'::jsonb),
+    'contextual_rules', COALESCE((
+      SELECT jsonb_agg(to_jsonb(r) - 'created_at' - 'updated_at' ORDER BY r.sort_order, r.id)
+      FROM contextual_rules r
+      WHERE r.config_id = p_config_id
+    ), '[]'::jsonb),
+    'stop_triggers', COALESCE((
+      SELECT jsonb_agg(to_jsonb(t) - 'created_at' - 'updated_at' ORDER BY t.id)
+      FROM stop_triggers t
+      WHERE t.config_id = p_config_id
+    ), '[]'::jsonb)
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION record_prompt_version(
+  p_config_id uuid,
+  p_prompt text
+)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  v_configuration jsonb;
+  v_hash text;
+  v_version_id uuid;
+BEGIN
+  v_configuration := snapshot_prompt_configuration(p_config_id);
+  v_hash := encode(sha256(convert_to(
+    jsonb_build_object('prompt', p_prompt, 'configuration', v_configuration)::text,
+    'UTF8'
+  )), 'hex');
+
+  INSERT INTO prompt_versions (config_id, location_id, content_hash, prompt, configuration)
+  SELECT c.id, c.ghl_account_id, v_hash, p_prompt, v_configuration
+  FROM ghl_configurations c
+  WHERE c.id = p_config_id
+  ON CONFLICT (config_id, content_hash) DO NOTHING
+  RETURNING id INTO v_version_id;
+
+  IF v_version_id IS NULL THEN
+    SELECT id INTO v_version_id
+    FROM prompt_versions
+    WHERE config_id = p_config_id AND content_hash = v_hash;
+  END IF;
+
+  RETURN v_version_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION snapshot_prompt_configuration(uuid) TO authenticated, service_role;
+GRANT EXECUTE ON FUNCTION record_prompt_version(uuid, text) TO service_role;
+
+COMMENT ON TABLE prompt_versions IS 'Immutable snapshots of generated extraction prompts and the configuration behind them, keyed by content hash';
+COMMENT ON COLUMN ai_usage_logs.prompt_version_id IS 'Prompt version the extraction ran with; null for previews with unsaved edits';
@@ -0,0 +1,64 @@
+/*
+  # Pluggable LLM Providers
+
+  1. Changes
+    - Add provider settings to `agency_openai_keys`
+      - `provider_type` (text) - openai, azure_openai, openai_compatible, anthropic or mock
+      - `base_url` (text) - API endpoint; the Azure resource endpoint, or the root of an OpenAI-compatible server
+      - `deployment_name` (text) - Azure OpenAI deployment that serves `openai_model`
+      - `api_version` (text) - Azure OpenAI API version; null uses the provider default
+      - `input_price_per_million`, `output_price_per_million` (numeric) - what the agency pays for this key,
+        used instead of `openai_model_pricing` when both are set
+    - `encrypted_openai_api_key` is optional for OpenAI-compatible servers and the mock provider
+    - Add `provider_type` to `ai_usage_logs` - the provider that ran the extraction
+    - Add Anthropic models to `openai_model_pricing`
+
+  2. Security
+    - No policy changes; the new columns follow the table's existing policies
+*/
+
+ALTER TABLE public.agency_openai_keys
+ADD COLUMN IF NOT EXISTS provider_type text NOT NULL DEFAULT 'openai'
+  CHECK (provider_type IN ('openai', 'azure_openai', 'openai_compatible', 'anthropic', 'mock')),
+ADD COLUMN IF NOT EXISTS base_url text,
+ADD COLUMN IF NOT EXISTS deployment_name text,
+ADD COLUMN IF NOT EXISTS api_version text,
+ADD COLUMN IF NOT EXISTS input_price_per_million numeric(10,3) CHECK (input_price_per_million IS NULL OR input_price_per_million >= 0),
+ADD COLUMN IF NOT EXISTS output_price_per_million numeric(10,3) CHECK (output_price_per_million IS NULL OR output_price_per_million >= 0);
+
+ALTER TABLE public.agency_openai_keys
+ALTER COLUMN encrypted_openai_api_key DROP NOT NULL;
+
+-- Each provider type needs the settings createLLMProvider checks for
+ALTER TABLE public.agency_openai_keys
+ADD CONSTRAINT agency_openai_keys_provider_settings CHECK (
+  (encrypted_openai_api_key IS NOT NULL OR provider_type IN ('openai_compatible', 'mock')) AND
+  (base_url IS NOT NULL OR provider_type NOT IN ('azure_openai', 'openai_compatible')) AND
+  (deployment_name IS NOT NULL OR provider_type <> 'azure_openai')
+);
+
+ALTER TABLE ai_usage_logs
+ADD COLUMN IF NOT EXISTS provider_type text;
+
+INSERT INTO public.openai_model_pricing (model_id, input_price_per_million, output_price_per_million)
+VALUES
+  -- Anthropic
+  ('claude-opus-4-20250514', 15.00, 75.00),
+  ('claude-sonnet-4-20250514', 3.00, 15.00),
+  ('claude-3-7-sonnet-20250219', 3.00, 15.00),
+  ('claude-3-5-sonnet-20241022', 3.00, 15.00),
+  ('claude-3-5-haiku-20241022', 0.80, 4.00),
+  ('claude-3-haiku-20240307', 0.25, 1.25)
+ON CONFLICT (model_id)
+DO UPDATE SET
+  input_price_per_million = EXCLUDED.input_price_per_million,
+  output_price_per_million = EXCLUDED.output_price_per_million,
+  updated_at = now();
+
+COMMENT ON COLUMN public.agency_openai_keys.provider_type IS 'LLM backend for this key: openai, azure_openai, openai_compatible, anthropic or mock';
+COMMENT ON COLUMN public.agency_openai_keys.base_url IS 'API endpoint; required for azure_openai and openai_compatible';
+COMMENT ON COLUMN public.agency_openai_keys.deployment_name IS 'Azure OpenAI deployment serving openai_model';
+COMMENT ON COLUMN public.agency_openai_keys.api_version IS 'Azure OpenAI API version; null uses the default';
+COMMENT ON COLUMN public.agency_openai_keys.input_price_per_million IS 'Agency price per million input tokens, overriding openai_model_pricing';
+COMMENT ON COLUMN public.agency_openai_keys.output_price_per_million IS 'Agency price per million output tokens, overriding openai_model_pricing';
+COMMENT ON COLUMN ai_usage_logs.provider_type IS 'LLM provider that ran the extraction';
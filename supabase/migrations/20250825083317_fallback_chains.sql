@@ -0,0 +1,52 @@
+/*
+  # LLM Fallback Chains
+
+  1. Changes
+    - Add `fallback_chain` to `agency_openai_keys` - ordered list of models an agency's extractions try
+    - Add `llm_fallback_chain` to `ghl_configurations` - a location's own chain, overriding its agency's
+      - Both are arrays of `{ "source": "agency" | "platform", "model": "<model id>" }`; `agency` uses the
+        agency's key record and `platform` the platform key, and a missing model means that key's default
+    - Add to `ai_usage_logs`:
+      - `key_source` (text) - whose key the logged call used, and so who pays for it: agency or platform
+      - `llm_attempts` (jsonb) - every call made down the chain, with its source, model, outcome and status
+      - `successful_attempt` (integer) - which of those calls produced the extraction
+
+  2. Functions
+    - `is_valid_fallback_chain(jsonb)` - checks the shape of a chain
+
+  3. Security
+    - No policy changes; the new columns follow the tables' existing policies
+*/
+
+CREATE OR REPLACE FUNCTION is_valid_fallback_chain(p_chain jsonb)
+RETURNS boolean AS $$
+  SELECT CASE
+    WHEN p_chain IS NULL THEN true
+    -- Checked first so jsonb_array_elements never sees a non-array
+    WHEN jsonb_typeof(p_chain) <> 'array' THEN false
+    ELSE NOT EXISTS (
+      SELECT 1
+      FROM jsonb_array_elements(p_chain) AS entry
+      WHERE jsonb_typeof(entry) <> 'object'
+         OR COALESCE(entry->>'source', '') NOT IN ('agency', 'platform')
+         OR (entry ? 'model' AND jsonb_typeof(entry->'model') NOT IN ('string', 'null'))
+    )
+  END;
+$$ LANGUAGE sql IMMUTABLE;
+
+ALTER TABLE public.agency_openai_keys
+ADD COLUMN IF NOT EXISTS fallback_chain jsonb CHECK (is_valid_fallback_chain(fallback_chain));
+
+ALTER TABLE ghl_configurations
+ADD COLUMN IF NOT EXISTS llm_fallback_chain jsonb CHECK (is_valid_fallback_chain(llm_fallback_chain));
+
+ALTER TABLE ai_usage_logs
+ADD COLUMN IF NOT EXISTS key_source text CHECK (key_source IS NULL OR key_source IN ('agency', 'platform')),
+ADD COLUMN IF NOT EXISTS llm_attempts jsonb,
+ADD COLUMN IF NOT EXISTS successful_attempt integer;
+
+COMMENT ON COLUMN public.agency_openai_keys.fallback_chain IS 'Ordered [{source, model}] tried on rate limits and server errors; null uses the agency key alone';
+COMMENT ON COLUMN ghl_configurations.llm_fallback_chain IS 'Location fallback chain, overriding the agency chain when not empty';
+COMMENT ON COLUMN ai_usage_logs.key_source IS 'Whose key made the logged call: agency or platform';
+COMMENT ON COLUMN ai_usage_logs.llm_attempts IS 'Every LLM call made for this extraction, in order';
+COMMENT ON COLUMN ai_usage_logs.successful_attempt IS '1-based index into llm_attempts of the call that succeeded';
@@ -0,0 +1,74 @@
+/*
+  # Encrypted Agency LLM Keys
+
+  1. Changes
+    - `encrypted_openai_api_key` now holds AES-256-GCM envelope encrypted values
+      (`enc:v1:<master key id>:...`, see supabase/functions/_shared/secret-encryption.mjs),
+      written only by the `save-agency-llm-key` edge function
+    - Add `key_hint` to `agency_openai_keys` - the first and last characters of the key, for display
+    - Backfill `key_hint` for keys saved before encryption, which were stored base64 encoded
+
+  2. REQUIRED AFTER DEPLOYING
+    - This migration does not encrypt existing keys: that needs the master keys, which only the
+      edge functions hold. Keys saved before this migration stay base64 in
+      `encrypted_openai_api_key` until it is done, and once `ENCRYPTION_MASTER_KEYS` is set
+      extraction refuses them, so those agencies' extractions fail until the keys are encrypted.
+    - Once `ENCRYPTION_MASTER_KEYS` is set and the edge functions are deployed, run:
+        curl -X POST "$SUPABASE_URL/functions/v1/rotate-encryption-keys" \
+          -H "Authorization: Bearer $SUPABASE_SERVICE_ROLE_KEY" -H "Content-Type: application/json" -d '{}'
+      and check the response has `"success": true`. A second call with `{"dry_run": true}` must
+      then report `encrypted: 0` for every column.
+
+  3. Security
+    - The browser can no longer read or write `encrypted_openai_api_key`:
+      - `anon` and `authenticated` lose INSERT and UPDATE on `agency_openai_keys`
+      - `authenticated` can SELECT every column except `encrypted_openai_api_key`
+      - DELETE and the row level security policies are unchanged
+    - `get_agency_openai_key` returned the stored key to any caller; it is now service role only
+*/
+
+ALTER TABLE public.agency_openai_keys
+ADD COLUMN IF NOT EXISTS key_hint text;
+
+DO $$
+DECLARE
+  key_row record;
+  plaintext text;
+BEGIN
+  FOR key_row IN
+    SELECT id, encrypted_openai_api_key
+    FROM public.agency_openai_keys
+    WHERE encrypted_openai_api_key IS NOT NULL
+      AND encrypted_openai_api_key NOT LIKE 'enc:v1:%'
+      AND key_hint IS NULL
+  LOOP
+    BEGIN
+      plaintext := convert_from(decode(key_row.encrypted_openai_api_key, 'base64'), 'UTF8');
+    EXCEPTION WHEN OTHERS THEN
+      -- Not base64: saved as the key itself
+      plaintext := key_row.encrypted_openai_api_key;
+    END;
+
+    UPDATE public.agency_openai_keys
+    SET key_hint = CASE
+      WHEN length(plaintext) < 12 THEN '****'
+      ELSE left(plaintext, 3) || '...' || right(plaintext, 4)
+    END
+    WHERE id = key_row.id;
+  END LOOP;
+END $$;
+
+REVOKE SELECT, INSERT, UPDATE ON public.agency_openai_keys FROM anon, authenticated;
+
+-- New columns need adding here to be readable from the browser
+GRANT SELECT (
+  id, agency_ghl_id, key_name, key_hint, openai_org_id, payment_plan, usage_limit_monthly,
+  current_usage_monthly, is_active, created_at, updated_at, openai_model, provider_type, base_url,
+  deployment_name, api_version, input_price_per_million, output_price_per_million, fallback_chain
+) ON public.agency_openai_keys TO authenticated;
+
+REVOKE EXECUTE ON FUNCTION get_agency_openai_key(text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_agency_openai_key(text) TO service_role;
+
+COMMENT ON COLUMN public.agency_openai_keys.encrypted_openai_api_key IS 'AES-256-GCM envelope encrypted API key (enc:v1:...), or base64 for keys not yet encrypted by rotate-encryption-keys';
+COMMENT ON COLUMN public.agency_openai_keys.key_hint IS 'First and last characters of the API key, shown in place of the key';
@@ -0,0 +1,232 @@
+/*
+  # Encrypted GHL OAuth Tokens
+
+  1. Changes
+    - `ghl_configurations.access_token` and `refresh_token` now hold AES-256-GCM envelope
+      encrypted values (`enc:v1:<master key id>:...`, see supabase/functions/_shared/secret-encryption.mjs),
+      written and read only by the edge functions (through `_shared/ghl-tokens.ts`) and the Lambdas
+    - Add the token status columns the browser reads instead of the tokens:
+      - `has_access_token` and `has_refresh_token`, generated from the token columns
+      - `token_is_placeholder`, set with the tokens for dev-, test- and temp- placeholders,
+        and backfilled here from the tokens stored before encryption
+    - `get_user_ghl_configuration` returns the status columns in place of the tokens
+    - `create_test_configuration` returns the new configuration's id rather than the row
+    - Existing tokens are encrypted by the `rotate-encryption-keys` edge function; call it once
+      after deploying. Until then the plain text tokens keep working.
+
+  2. Security
+    - The browser can no longer read or write the token columns or `client_secret`:
+      - `anon` loses all access to `ghl_configurations`; it has no policies on it anyway
+      - `authenticated` can SELECT, INSERT and UPDATE the other columns only. The grants are
+        made by `grant_ghl_configuration_column_privileges()`, which migrations adding columns
+        to `ghl_configurations` must call again
+      - DELETE and the row level security policies are unchanged
+    - `get_configuration_by_id` and `link_configuration_to_user` returned whole rows, tokens
+      included, to any authenticated caller and are unused; they are now service role only
+*/
+
+ALTER TABLE public.ghl_configurations
+ADD COLUMN IF NOT EXISTS has_access_token boolean GENERATED ALWAYS AS (access_token IS NOT NULL AND access_token <> '') STORED,
+ADD COLUMN IF NOT EXISTS has_refresh_token boolean GENERATED ALWAYS AS (refresh_token IS NOT NULL AND refresh_token <> '') STORED,
+ADD COLUMN IF NOT EXISTS token_is_placeholder boolean DEFAULT false NOT NULL;
+
+-- Backfill without the update triggers, which would bump updated_at and re-validate every row
+ALTER TABLE public.ghl_configurations DISABLE TRIGGER USER;
+
+UPDATE public.ghl_configurations
+SET token_is_placeholder = true
+WHERE access_token ~ '^(dev|test|temp)-';
+
+ALTER TABLE public.ghl_configurations ENABLE TRIGGER USER;
+
+-- Column privileges for the browser: every column except the secrets, and for writes also
+-- except the status columns, which only the token writers maintain
+CREATE OR REPLACE FUNCTION grant_ghl_configuration_column_privileges()
+RETURNS void
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  readable_columns text;
+  writable_columns text;
+BEGIN
+  SELECT string_agg(quote_ident(column_name), ', ' ORDER BY ordinal_position)
+  INTO readable_columns
+  FROM information_schema.columns
+  WHERE table_schema = 'public'
+    AND table_name = 'ghl_configurations'
+    AND column_name NOT IN ('access_token', 'refresh_token', 'client_secret');
+
+  SELECT string_agg(quote_ident(column_name), ', ' ORDER BY ordinal_position)
+  INTO writable_columns
+  FROM information_schema.columns
+  WHERE table_schema = 'public'
+    AND table_name = 'ghl_configurations'
+    AND column_name NOT IN (
+      'access_token', 'refresh_token', 'client_secret',
+      'has_access_token', 'has_refresh_token', 'token_is_placeholder'
+    );
+
+  REVOKE ALL ON public.ghl_configurations FROM anon;
+  REVOKE SELECT, INSERT, UPDATE ON public.ghl_configurations FROM authenticated;
+
+  EXECUTE format('GRANT SELECT (%s) ON public.ghl_configurations TO authenticated', readable_columns);
+  EXECUTE format('GRANT INSERT (%s), UPDATE (%s) ON public.ghl_configurations TO authenticated', writable_columns, writable_columns);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION grant_ghl_configuration_column_privileges() FROM PUBLIC, anon, authenticated;
+
+SELECT grant_ghl_configuration_column_privileges();
+
+-- Same lookup as before, with the token status in place of the tokens
+DROP FUNCTION IF EXISTS get_user_ghl_configuration(text, text);
+
+CREATE OR REPLACE FUNCTION get_user_ghl_configuration(p_user_id text, p_location_id text)
+RETURNS TABLE (
+  id uuid,
+  user_id text,
+  ghl_account_id text,
+  client_id text,
+  has_access_token boolean,
+  has_refresh_token boolean,
+  token_is_placeholder boolean,
+  token_expires_at timestamptz,
+  business_name text,
+  business_address text,
+  business_phone text,
+  business_email text,
+  business_website text,
+  business_description text,
+  target_audience text,
+  services_offered text,
+  business_context text,
+  agency_brand_name text,
+  agency_logo_url text,
+  ghl_company_id text,
+  ghl_user_type text,
+  is_active boolean,
+  created_at timestamptz,
+  updated_at timestamptz,
+  created_by text
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+  -- Single query with priority-based selection to avoid stack depth issues
+  SELECT
+    gc.id,
+    gc.user_id,
+    gc.ghl_account_id,
+    gc.client_id,
+    gc.has_access_token,
+    gc.has_refresh_token,
+    gc.token_is_placeholder,
+    gc.token_expires_at,
+    gc.business_name,
+    gc.business_address,
+    gc.business_phone,
+    gc.business_email,
+    gc.business_website,
+    gc.business_description,
+    gc.target_audience,
+    gc.services_offered,
+    gc.business_context,
+    gc.agency_brand_name,
+    gc.agency_logo_url,
+    gc.ghl_company_id,
+    gc.ghl_user_type,
+    gc.is_active,
+    gc.created_at,
+    gc.updated_at,
+    gc.created_by
+  FROM ghl_configurations gc
+  WHERE gc.is_active = true
+    AND (
+      -- Priority 1: Exact match (user_id AND location_id)
+      (gc.user_id = p_user_id AND gc.ghl_account_id = p_location_id)
+      OR
+      -- Priority 2: Location match only
+      (gc.ghl_account_id = p_location_id AND gc.user_id IS NOT NULL)
+      OR
+      -- Priority 3: User match only
+      (gc.user_id = p_user_id)
+    )
+  ORDER BY
+    -- Prioritize exact matches first
+    CASE
+      WHEN gc.user_id = p_user_id AND gc.ghl_account_id = p_location_id THEN 1
+      WHEN gc.ghl_account_id = p_location_id THEN 2
+      WHEN gc.user_id = p_user_id THEN 3
+      ELSE 4
+    END,
+    gc.updated_at DESC
+  LIMIT 1;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_user_ghl_configuration(text, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_user_ghl_configuration(text, text) TO service_role;
+GRANT EXECUTE ON FUNCTION get_user_ghl_configuration(text, text) TO anon;
+
+-- The configuration debugger creates its test configuration here, since the browser
+-- cannot write the placeholder tokens itself
+DROP FUNCTION IF EXISTS create_test_configuration(text, text, text);
+
+CREATE OR REPLACE FUNCTION create_test_configuration(
+  p_user_id text,
+  p_location_id text,
+  p_business_name text DEFAULT 'Test Configuration'
+)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  new_config_id uuid;
+BEGIN
+  INSERT INTO ghl_configurations (
+    user_id,
+    ghl_account_id,
+    client_id,
+    client_secret,
+    access_token,
+    refresh_token,
+    token_is_placeholder,
+    token_expires_at,
+    business_name,
+    business_description,
+    is_active,
+    created_by
+  ) VALUES (
+    p_user_id,
+    p_location_id,
+    'test-client-id',
+    'test-client-secret',
+    'test-access-token-' || extract(epoch from now()),
+    'test-refresh-token-' || extract(epoch from now()),
+    true,
+    now() + interval '1 year',
+    p_business_name,
+    'Test configuration created for diagnostics',
+    true,
+    p_user_id
+  )
+  RETURNING id INTO new_config_id;
+
+  RETURN new_config_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION create_test_configuration(text, text, text) TO authenticated;
+
+REVOKE EXECUTE ON FUNCTION get_configuration_by_id(uuid) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_configuration_by_id(uuid) TO service_role;
+REVOKE EXECUTE ON FUNCTION link_configuration_to_user(uuid, text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION link_configuration_to_user(uuid, text) TO service_role;
+
+COMMENT ON COLUMN public.ghl_configurations.access_token IS 'AES-256-GCM envelope encrypted GHL access token (enc:v1:...), or plain text for tokens not yet encrypted by rotate-encryption-keys. Not readable from the browser';
+COMMENT ON COLUMN public.ghl_configurations.refresh_token IS 'AES-256-GCM envelope encrypted GHL refresh token (enc:v1:...), or plain text for tokens not yet encrypted by rotate-encryption-keys. Not readable from the browser';
+COMMENT ON COLUMN public.ghl_configurations.has_access_token IS 'Whether an access token is stored; read by the browser in place of the token';
+COMMENT ON COLUMN public.ghl_configurations.has_refresh_token IS 'Whether a refresh token is stored; read by the browser in place of the token';
+COMMENT ON COLUMN public.ghl_configurations.token_is_placeholder IS 'Whether the access token is a dev-, test- or temp- placeholder rather than a real GHL token';
+COMMENT ON FUNCTION grant_ghl_configuration_column_privileges() IS 'Grants authenticated every ghl_configurations column except the OAuth tokens and client secret; call again after adding columns';
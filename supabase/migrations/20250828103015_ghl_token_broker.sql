@@ -0,0 +1,207 @@
+/*
+  # GHL Token Broker
+
+  1. New Tables
+    - `ghl_token_refresh_locks` - the refresh lease of a configuration, held by whoever is
+      refreshing its GHL tokens (supabase/functions/_shared/ghl-token-broker.mjs)
+      - `config_id` (uuid, primary key) - ghl_configurations row
+      - `lock_id` (uuid) - identifies the holder; the lease is released by deleting the row with it
+      - `locked_until` (timestamptz) - when the lease lapses if its holder never releases it
+      - `created_at` (timestamptz)
+
+  2. Changes
+    - Add to `ghl_configurations`:
+      - `needs_reauth` (boolean) - GHL rejected the refresh token; the app must be reinstalled
+      - `reauth_reason` (text) - why, as reported by the token broker
+      - `needs_reauth_at` (timestamptz) - when it was flagged
+      The token broker sets them and clears them when it stores new tokens, as does oauth-exchange
+    - `claim_ghl_token_refresh` claims a configuration's refresh lease, or returns NULL while
+      someone else holds it
+    - `get_user_ghl_configuration` also returns `needs_reauth` and `reauth_reason`
+
+  3. Security
+    - Enable RLS on `ghl_token_refresh_locks`; only the service role uses it
+    - `claim_ghl_token_refresh` is service role only
+    - The browser can read but not write the new `ghl_configurations` columns
+*/
+
+CREATE TABLE IF NOT EXISTS ghl_token_refresh_locks (
+  config_id uuid PRIMARY KEY REFERENCES ghl_configurations(id) ON DELETE CASCADE,
+  lock_id uuid NOT NULL,
+  locked_until timestamptz NOT NULL,
+  created_at timestamptz DEFAULT now() NOT NULL
+);
+
+ALTER TABLE ghl_token_refresh_locks ENABLE ROW LEVEL SECURITY;
+
+-- Policies for service role (the token broker claims and releases leases)
+CREATE POLICY "service_role_all_ghl_token_refresh_locks"
+  ON ghl_token_refresh_locks
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+-- Claims the refresh lease of a configuration for p_lease_seconds. Returns the new lock id,
+-- or NULL while an unexpired lease is held by someone else. A single statement, so two
+-- callers racing for a free or lapsed lease cannot both win it.
+CREATE OR REPLACE FUNCTION claim_ghl_token_refresh(p_config_id uuid, p_lease_seconds integer DEFAULT 30)
+RETURNS uuid
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  INSERT INTO ghl_token_refresh_locks (config_id, lock_id, locked_until)
+  VALUES (p_config_id, gen_random_uuid(), now() + make_interval(secs => p_lease_seconds))
+  ON CONFLICT (config_id) DO UPDATE
+    SET lock_id = EXCLUDED.lock_id,
+        locked_until = EXCLUDED.locked_until,
+        created_at = now()
+    WHERE ghl_token_refresh_locks.locked_until < now()
+  RETURNING lock_id;
+$$;
+
+REVOKE EXECUTE ON FUNCTION claim_ghl_token_refresh(uuid, integer) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_ghl_token_refresh(uuid, integer) TO service_role;
+
+ALTER TABLE public.ghl_configurations
+ADD COLUMN IF NOT EXISTS needs_reauth boolean DEFAULT false NOT NULL,
+ADD COLUMN IF NOT EXISTS reauth_reason text,
+ADD COLUMN IF NOT EXISTS needs_reauth_at timestamptz;
+
+-- As before, with the reconnection flag also kept out of the browser's writes
+CREATE OR REPLACE FUNCTION grant_ghl_configuration_column_privileges()
+RETURNS void
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  readable_columns text;
+  writable_columns text;
+BEGIN
+  SELECT string_agg(quote_ident(column_name), ', ' ORDER BY ordinal_position)
+  INTO readable_columns
+  FROM information_schema.columns
+  WHERE table_schema = 'public'
+    AND table_name = 'ghl_configurations'
+    AND column_name NOT IN ('access_token', 'refresh_token', 'client_secret');
+
+  SELECT string_agg(quote_ident(column_name), ', ' ORDER BY ordinal_position)
+  INTO writable_columns
+  FROM information_schema.columns
+  WHERE table_schema = 'public'
+    AND table_name = 'ghl_configurations'
+    AND column_name NOT IN (
+      'access_token', 'refresh_token', 'client_secret',
+      'has_access_token', 'has_refresh_token', 'token_is_placeholder',
+      'needs_reauth', 'reauth_reason', 'needs_reauth_at'
+    );
+
+  REVOKE ALL ON public.ghl_configurations FROM anon;
+  REVOKE SELECT, INSERT, UPDATE ON public.ghl_configurations FROM authenticated;
+
+  EXECUTE format('GRANT SELECT (%s) ON public.ghl_configurations TO authenticated', readable_columns);
+  EXECUTE format('GRANT INSERT (%s), UPDATE (%s) ON public.ghl_configurations TO authenticated', writable_columns, writable_columns);
+END;
+$$;
+
+SELECT grant_ghl_configuration_column_privileges();
+
+-- Same lookup as before, with the reconnection flag
+DROP FUNCTION IF EXISTS get_user_ghl_configuration(text, text);
+
+CREATE OR REPLACE FUNCTION get_user_ghl_configuration(p_user_id text, p_location_id text)
+RETURNS TABLE (
+  id uuid,
+  user_id text,
+  ghl_account_id text,
+  client_id text,
+  has_access_token boolean,
+  has_refresh_token boolean,
+  token_is_placeholder boolean,
+  needs_reauth boolean,
+  reauth_reason text,
+  token_expires_at timestamptz,
+  business_name text,
+  business_address text,
+  business_phone text,
+  business_email text,
+  business_website text,
+  business_description text,
+  target_audience text,
+  services_offered text,
+  business_context text,
+  agency_brand_name text,
+  agency_logo_url text,
+  ghl_company_id text,
+  ghl_user_type text,
+  is_active boolean,
+  created_at timestamptz,
+  updated_at timestamptz,
+  created_by text
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+  -- Single query with priority-based selection to avoid stack depth issues
+  SELECT
+    gc.id,
+    gc.user_id,
+    gc.ghl_account_id,
+    gc.client_id,
+    gc.has_access_token,
+    gc.has_refresh_token,
+    gc.token_is_placeholder,
+    gc.needs_reauth,
+    gc.reauth_reason,
+    gc.token_expires_at,
+    gc.business_name,
+    gc.business_address,
+    gc.business_phone,
+    gc.business_email,
+    gc.business_website,
+    gc.business_description,
+    gc.target_audience,
+    gc.services_offered,
+    gc.business_context,
+    gc.agency_brand_name,
+    gc.agency_logo_url,
+    gc.ghl_company_id,
+    gc.ghl_user_type,
+    gc.is_active,
+    gc.created_at,
+    gc.updated_at,
+    gc.created_by
+  FROM ghl_configurations gc
+  WHERE gc.is_active = true
+    AND (
+      -- Priority 1: Exact match (user_id AND location_id)
+      (gc.user_id = p_user_id AND gc.ghl_account_id = p_location_id)
+      OR
+      -- Priority 2: Location match only
+      (gc.ghl_account_id = p_location_id AND gc.user_id IS NOT NULL)
+      OR
+      -- Priority 3: User match only
+      (gc.user_id = p_user_id)
+    )
+  ORDER BY
+    -- Prioritize exact matches first
+    CASE
+      WHEN gc.user_id = p_user_id AND gc.ghl_account_id = p_location_id THEN 1
+      WHEN gc.ghl_account_id = p_location_id THEN 2
+      WHEN gc.user_id = p_user_id THEN 3
+      ELSE 4
+    END,
+    gc.updated_at DESC
+  LIMIT 1;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_user_ghl_configuration(text, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_user_ghl_configuration(text, text) TO service_role;
+GRANT EXECUTE ON FUNCTION get_user_ghl_configuration(text, text) TO anon;
+
+COMMENT ON TABLE ghl_token_refresh_locks IS 'Refresh lease per GHL configuration, so its rotating refresh token is only ever used by one refresh at a time';
+COMMENT ON FUNCTION claim_ghl_token_refresh(uuid, integer) IS 'Claims the token refresh lease of a configuration; returns the lock id, or NULL while another holder''s lease is unexpired';
+COMMENT ON COLUMN public.ghl_configurations.needs_reauth IS 'GHL rejected the refresh token; tokens are not refreshed again until the app is reinstalled';
+COMMENT ON COLUMN public.ghl_configurations.reauth_reason IS 'Why needs_reauth was set, as reported by the token broker';
+COMMENT ON COLUMN public.ghl_configurations.needs_reauth_at IS 'When needs_reauth was set';